@@ -0,0 +1,113 @@
+/**
+ * Unified Cache Policies
+ *
+ * One policy per cacheService namespace (see services/cacheService.js):
+ * 1. ttlSeconds - how long an entry lives; 0 keeps it until invalidated
+ * 2. durable - also keep entries in MongoDB (CacheEntry) so they survive a
+ *    Redis flush; Redis then holds them for at most hotTtlSeconds
+ * 3. costUsd - provider spend avoided by one hit, unless the entry was stored
+ *    with its own cost
+ * 4. provider - who would have been called on a miss (NetworkAnalytics names)
+ *
+ * Any field can be overridden per namespace with CACHE_POLICIES, e.g.
+ * {"search_discovery":{"ttlSeconds":43200},"zillow_images":{"durable":false}}
+ */
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+const DEFAULT_POLICY = {
+  ttlSeconds: HOUR,
+  durable: false,
+  hotTtlSeconds: 6 * HOUR,
+  costUsd: 0.01,
+  provider: 'other'
+};
+
+const NAMESPACE_POLICIES = {
+  // AI search results
+  search_discovery: { ttlSeconds: DAY, durable: true, costUsd: 0.02, provider: 'zillow' },
+  search_address: { ttlSeconds: 30 * DAY, durable: true, costUsd: 0.63, provider: 'corelogic' },
+  marketplace_discovery: { ttlSeconds: 2 * HOUR, durable: true, costUsd: 0.02, provider: 'zillow' },
+  search_legacy: { ttlSeconds: DAY, durable: true, costUsd: 0.50, provider: 'corelogic' },
+  search_legacy_user: { ttlSeconds: 30 * 60, costUsd: 0.50, provider: 'corelogic' },
+  zillow_search: { ttlSeconds: 15 * 60, costUsd: 0.02, provider: 'zillow' },
+  zillow_images: { ttlSeconds: 30 * DAY, durable: true, hotTtlSeconds: HOUR, costUsd: 0.05, provider: 'zillow' },
+
+  // CoreLogic
+  corelogic_search: { ttlSeconds: DAY, costUsd: 0.50, provider: 'corelogic' },
+  corelogic_property: { ttlSeconds: DAY, costUsd: 1.50, provider: 'corelogic' },
+  corelogic_enriched_search: { ttlSeconds: 4 * HOUR, costUsd: 2.50, provider: 'corelogic' },
+  corelogic_comprehensive: { ttlSeconds: 12 * HOUR, costUsd: 10.00, provider: 'corelogic' },
+  corelogic_avm: { ttlSeconds: 6 * HOUR, costUsd: 2.00, provider: 'corelogic' },
+  corelogic_comps: { ttlSeconds: 2 * HOUR, costUsd: 3.50, provider: 'corelogic' },
+  corelogic_climate: { ttlSeconds: 7 * DAY, costUsd: 17.50, provider: 'corelogic' },
+  corelogic_intelligence: { ttlSeconds: 30 * DAY, costUsd: 10.00, provider: 'corelogic' },
+  // Served from mock data until the live insights call is wired up, so a hit saves nothing yet
+  corelogic_insights: { ttlSeconds: HOUR, costUsd: 0, provider: 'corelogic' },
+
+  // Property detail pages (CoreLogic CLIP lookups never change)
+  property_pid: { ttlSeconds: 0, durable: true, costUsd: 0.50, provider: 'corelogic' },
+  property_basic: { ttlSeconds: 45 * DAY, durable: true, costUsd: 2.00, provider: 'corelogic' },
+  proforma_inputs: { ttlSeconds: 30 * DAY, costUsd: 1.00, provider: 'corelogic' },
+  premium_ownership: { ttlSeconds: 60 * DAY, durable: true, costUsd: 8.00, provider: 'corelogic' },
+  premium_mortgage: { ttlSeconds: 60 * DAY, durable: true, costUsd: 12.00, provider: 'corelogic' },
+  premium_liens: { ttlSeconds: 120 * DAY, durable: true, costUsd: 10.00, provider: 'corelogic' },
+  premium_transactions: { ttlSeconds: 120 * DAY, durable: true, costUsd: 10.50, provider: 'corelogic' },
+  premium_climate: { ttlSeconds: 300 * DAY, durable: true, costUsd: 20.00, provider: 'corelogic' },
+
+  // Marketplace reads from our own Property collection
+  properties_marketplace: { ttlSeconds: 10 * 60, costUsd: 0, provider: 'internal' },
+  properties_featured: { ttlSeconds: 15 * 60, costUsd: 0, provider: 'internal' },
+  property_listing: { ttlSeconds: 5 * 60, costUsd: 0, provider: 'internal' },
+
+  // Other providers
+  attom_request: { ttlSeconds: HOUR, costUsd: 0.75, provider: 'attom' },
+  attom_id: { ttlSeconds: DAY, costUsd: 0.75, provider: 'attom' },
+  google_address: { ttlSeconds: 7 * DAY, costUsd: 0.005, provider: 'googlemaps' },
+  google_nearby: { ttlSeconds: DAY, costUsd: 0.128, provider: 'googlemaps' },
+  schools: { ttlSeconds: 7 * DAY, costUsd: 0.10, provider: 'greatschools' },
+
+  // On-demand enrichment tabs
+  enrichment_schools: { ttlSeconds: 90 * DAY, costUsd: 0.10, provider: 'greatschools' },
+  enrichment_walkability: { ttlSeconds: 180 * DAY, costUsd: 0.05, provider: 'other' },
+  enrichment_crime: { ttlSeconds: 30 * DAY, costUsd: 0.10, provider: 'other' },
+  enrichment_amenities: { ttlSeconds: 60 * DAY, costUsd: 0.032, provider: 'googlemaps' }
+};
+
+function parseOverrides() {
+  if (!process.env.CACHE_POLICIES) return {};
+  try {
+    return JSON.parse(process.env.CACHE_POLICIES);
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid CACHE_POLICIES:', error.message);
+    return {};
+  }
+}
+
+const overrides = parseOverrides();
+
+/**
+ * Full policy for a namespace: defaults, then the built-in policy, then overrides
+ */
+function getPolicy(namespace) {
+  return {
+    ...DEFAULT_POLICY,
+    ...(NAMESPACE_POLICIES[namespace] || {}),
+    ...(overrides[namespace] || {})
+  };
+}
+
+/**
+ * Every namespace with a built-in or overridden policy
+ */
+function listNamespaces() {
+  return [...new Set([...Object.keys(NAMESPACE_POLICIES), ...Object.keys(overrides)])];
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  NAMESPACE_POLICIES,
+  getPolicy,
+  listNamespaces
+};
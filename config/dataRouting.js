@@ -0,0 +1,54 @@
+/**
+ * Learning Data Source Router Configuration
+ *
+ * Controls how DataSourceRouter turns observed provider behaviour into
+ * routing decisions (see services/routingStatsService.js):
+ * 1. Rolling window - how much recent history counts
+ * 2. Sample thresholds - when observations outweigh the static priors
+ * 3. Limits - default per-request cost ceiling and latency SLO
+ *
+ * Per-request limits passed to determineOptimalRoute() take precedence over
+ * ROUTER_MAX_COST_USD and ROUTER_LATENCY_SLO_MS.
+ */
+
+function parseLimit(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+module.exports = {
+  // Observations older than this are ignored, and NetworkAnalytics is read over the same window
+  STATS_WINDOW_HOURS: parseInt(process.env.ROUTER_STATS_WINDOW_HOURS) || 24,
+
+  // Samples kept per provider / search type / region
+  MAX_SAMPLES_PER_KEY: 200,
+
+  // Fewer samples than this and a stats level is skipped in favour of a broader one
+  MIN_SAMPLES: parseInt(process.env.ROUTER_MIN_SAMPLES) || 5,
+
+  // Observed completeness fully replaces the static quality prior at this many samples
+  FULL_CONFIDENCE_SAMPLES: 20,
+
+  // How often the NetworkAnalytics baseline is re-read
+  BASELINE_REFRESH_MS: 5 * 60 * 1000,
+
+  // Cost factors from NetworkAnalytics are clamped to this range of the static estimate
+  COST_FACTOR_RANGE: [0.25, 4],
+
+  // Used until a provider has any latency or error data (ms, 95th percentile)
+  LATENCY_PRIORS_MS: {
+    zillow: 1500,
+    corelogic: 4000,
+    attom: 2500
+  },
+  ERROR_RATE_PRIOR: 0.05,
+
+  // Score added to the strategy the search-pattern rules would have picked,
+  // so observations must beat the rules by a clear margin to override them
+  RULE_PREFERENCE_BONUS: 1,
+
+  MAX_COST_USD: parseLimit(process.env.ROUTER_MAX_COST_USD),
+  LATENCY_SLO_MS: parseLimit(process.env.ROUTER_LATENCY_SLO_MS) || 10000,
+
+  parseLimit
+};
@@ -25,9 +25,29 @@ const config = {
   ORACLE_RETRY_ATTEMPTS: parseInt(process.env.ORACLE_RETRY_ATTEMPTS) || 3,
   ORACLE_RETRY_DELAY_MS: parseInt(process.env.ORACLE_RETRY_DELAY_MS) || 2000,
   
+  // Oracle sources queried for the daily price (each is skipped unless configured)
+  PRICE_ORACLE_SOURCES: (process.env.PRICE_ORACLE_SOURCES || 'primary,fallback,dex,manual,file').split(',').map(s => s.trim()).filter(Boolean),
+  ORACLE_MIN_SOURCES: parseInt(process.env.ORACLE_MIN_SOURCES) || 1,
+  ORACLE_MAX_DEVIATION: parseFloat(process.env.ORACLE_MAX_DEVIATION) || 0.10, // Quotes >10% from the median are rejected
+  PRICE_ORACLE_PRICE_PATH: process.env.PRICE_ORACLE_PRICE_PATH || null, // e.g. 'data.price'
+  FALLBACK_ORACLE_PRICE_PATH: process.env.FALLBACK_ORACLE_PRICE_PATH || null,
+  
+  // On-chain DEX pool (Uniswap V2-style pair) read over JSON-RPC
+  DEX_RPC_URL: process.env.DEX_RPC_URL || null,
+  DEX_POOL_ADDRESS: process.env.DEX_POOL_ADDRESS || null,
+  DEX_FXCT_IS_TOKEN0: process.env.DEX_FXCT_IS_TOKEN0 !== 'false',
+  DEX_FXCT_DECIMALS: parseInt(process.env.DEX_FXCT_DECIMALS) || 18,
+  DEX_QUOTE_DECIMALS: parseInt(process.env.DEX_QUOTE_DECIMALS) || 6,
+  DEX_QUOTE_USD_PRICE: parseFloat(process.env.DEX_QUOTE_USD_PRICE) || 1, // 1 for a USD stablecoin pair
+  
+  // Manual admin price and local file stub
+  MANUAL_PRICE_TTL_HOURS: parseInt(process.env.MANUAL_PRICE_TTL_HOURS) || 24,
+  PRICE_ORACLE_STUB_FILE: process.env.PRICE_ORACLE_STUB_FILE || null, // JSON like { "FXCT": 0.05 }
+  
   // Cache and staleness configuration
   PRICE_CACHE_TTL_SECONDS: parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 3600, // 1 hour
   MAX_PRICE_STALENESS_HOURS: parseInt(process.env.MAX_PRICE_STALENESS_HOURS) || 48,
+  PRICE_TWAP_DAYS: parseInt(process.env.PRICE_TWAP_DAYS) || 7, // Window for the time-weighted average price
   
   // Minimum FXCT floors by data type
   MINIMUM_FXCT_FLOORS: {
@@ -63,6 +83,25 @@ const config = {
   // Buy FXCT integration
   BUY_FXCT_URL: process.env.BUY_FXCT_URL || 'https://app.fractionax.com/buy-fxct',
   
+  // FXCT top-up purchases
+  PURCHASE_MIN_FXCT: parseFloat(process.env.PURCHASE_MIN_FXCT) || 50,
+  PURCHASE_MAX_FXCT: parseFloat(process.env.PURCHASE_MAX_FXCT) || 100000,
+  PURCHASE_MIN_USD: parseFloat(process.env.PURCHASE_MIN_USD) || 0.50, // Card processors reject smaller charges
+  PURCHASE_INTENT_TTL_MINUTES: parseInt(process.env.PURCHASE_INTENT_TTL_MINUTES) || 60,
+  
+  // Auto top-up: back off after a failed charge, switch off after repeated failures
+  AUTO_TOPUP_RETRY_HOURS: parseInt(process.env.AUTO_TOPUP_RETRY_HOURS) || 6,
+  AUTO_TOPUP_MAX_FAILURES: parseInt(process.env.AUTO_TOPUP_MAX_FAILURES) || 3,
+
+  // Spending caps: notify the user as spend crosses these fractions of a cap
+  SPENDING_CAP_ALERT_LEVELS: (process.env.SPENDING_CAP_ALERT_LEVELS || '0.8,1').split(',').map(parseFloat),
+
+  // Wallet-to-wallet transfers (daily limits are per sender over a rolling 24 hours)
+  TRANSFER_MIN_FXCT: parseFloat(process.env.TRANSFER_MIN_FXCT) || 1,
+  TRANSFER_MAX_FXCT: parseFloat(process.env.TRANSFER_MAX_FXCT) || 10000,
+  TRANSFER_DAILY_MAX_FXCT: parseFloat(process.env.TRANSFER_DAILY_MAX_FXCT) || 25000,
+  TRANSFER_DAILY_MAX_COUNT: parseInt(process.env.TRANSFER_DAILY_MAX_COUNT) || 20,
+
   // Observability
   METRICS_ENABLED: process.env.PRICING_METRICS_ENABLED !== 'false',
   METRICS_PREFIX: process.env.PRICING_METRICS_PREFIX || 'fxct_pricing_',
@@ -86,6 +125,14 @@ function validatePricingConfig() {
     errors.push('Both PRICE_ORACLE_URL and FALLBACK_ORACLE_URL must be configured');
   }
   
+  if (config.PRICE_TWAP_DAYS < 1 || config.PRICE_TWAP_DAYS > 90) {
+    errors.push('PRICE_TWAP_DAYS must be between 1 and 90');
+  }
+  
+  if (config.ORACLE_MAX_DEVIATION <= 0 || config.ORACLE_MAX_DEVIATION >= 1) {
+    errors.push('ORACLE_MAX_DEVIATION must be between 0 and 1');
+  }
+  
   // Validate minimum floors are positive
   for (const [type, floor] of Object.entries(config.MINIMUM_FXCT_FLOORS)) {
     if (floor <= 0) {
@@ -0,0 +1,94 @@
+/**
+ * Multi-provider Property Merge Configuration
+ *
+ * Controls how propertyMergeService combines records for the same property
+ * from several providers:
+ * 1. Trust rankings - which provider wins each group of fields, best first
+ * 2. Freshness - how quickly a value's weight decays with age
+ * 3. Conflict rules - how far providers may disagree before it is flagged
+ *
+ * Trust rankings can be overridden per group with PROPERTY_MERGE_TRUST, e.g.
+ * {"structure":["attom","corelogic","zillow"]}
+ */
+
+// Which canonical fields (services/propertyProviders/schema.js) belong to which group
+const FIELD_GROUPS = {
+  address: ['address.line1', 'address.city', 'address.state', 'address.zip', 'address.oneLine'],
+  location: ['location.lat', 'location.lng'],
+  structure: ['propertyType', 'beds', 'baths', 'sqft', 'lotSqft', 'yearBuilt', 'stories'],
+  listing: ['listingStatus', 'listPrice', 'description'],
+  valuation: ['estimatedValue', 'valuationLow', 'valuationHigh', 'valuationConfidence', 'rentEstimate'],
+  records: ['lastSalePrice', 'lastSaleDate', 'assessedValue', 'taxAmount']
+};
+
+const DEFAULT_TRUST_RANKINGS = {
+  address: ['corelogic', 'attom', 'zillow', 'corelogic_v2', 'loopnet'],
+  location: ['corelogic', 'zillow', 'attom', 'corelogic_v2', 'loopnet'],
+  structure: ['corelogic', 'attom', 'corelogic_v2', 'zillow', 'loopnet'],
+  listing: ['zillow', 'loopnet', 'corelogic', 'attom'],
+  valuation: ['corelogic', 'attom', 'zillow', 'corelogic_v2'],
+  records: ['corelogic', 'attom', 'corelogic_v2', 'zillow']
+};
+
+function parseTrustOverrides() {
+  if (!process.env.PROPERTY_MERGE_TRUST) return {};
+  try {
+    return JSON.parse(process.env.PROPERTY_MERGE_TRUST);
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid PROPERTY_MERGE_TRUST:', error.message);
+    return {};
+  }
+}
+
+const config = {
+  FIELD_GROUPS,
+  TRUST_RANKINGS: { ...DEFAULT_TRUST_RANKINGS, ...parseTrustOverrides() },
+
+  // A value this many days old counts half as much as a fresh one
+  FRESHNESS_HALF_LIFE_DAYS: {
+    address: 365,
+    location: 365,
+    structure: parseInt(process.env.MERGE_STRUCTURE_HALF_LIFE_DAYS) || 365,
+    listing: parseInt(process.env.MERGE_LISTING_HALF_LIFE_DAYS) || 7,
+    valuation: parseInt(process.env.MERGE_VALUATION_HALF_LIFE_DAYS) || 30,
+    records: 180
+  },
+
+  // type 'absolute': |a - b| > tolerance; 'relative': |a - b| / max > tolerance; 'exact': a !== b
+  CONFLICT_RULES: {
+    beds: { type: 'absolute', tolerance: 0, major: 1 },
+    baths: { type: 'absolute', tolerance: 0.5 },
+    sqft: { type: 'relative', tolerance: parseFloat(process.env.MERGE_SQFT_TOLERANCE) || 0.10 },
+    lotSqft: { type: 'relative', tolerance: 0.15 },
+    yearBuilt: { type: 'absolute', tolerance: 1 },
+    stories: { type: 'absolute', tolerance: 0, major: 1 },
+    propertyType: { type: 'exact' },
+    estimatedValue: { type: 'relative', tolerance: parseFloat(process.env.MERGE_VALUE_TOLERANCE) || 0.15 },
+    lastSalePrice: { type: 'relative', tolerance: 0.02 },
+    'location.lat': { type: 'absolute', tolerance: 0.002 }, // ~200m
+    'location.lng': { type: 'absolute', tolerance: 0.002 }
+  },
+
+  // A conflict is 'major' once the disagreement is this many times the tolerance
+  // (or above a rule's own `major` threshold)
+  MAJOR_CONFLICT_MULTIPLIER: 2,
+
+  // Fields that count toward completeness in the data-quality score
+  QUALITY_KEY_FIELDS: [
+    'address.line1', 'address.zip', 'location.lat', 'location.lng',
+    'propertyType', 'beds', 'baths', 'sqft', 'yearBuilt', 'estimatedValue'
+  ],
+  QUALITY_CONFLICT_PENALTY: { minor: 5, major: 15 }
+};
+
+/**
+ * Group a canonical field belongs to (defaults to 'records')
+ */
+function getFieldGroup(field) {
+  return Object.keys(FIELD_GROUPS).find(group => FIELD_GROUPS[group].includes(field)) || 'records';
+}
+
+module.exports = {
+  ...config,
+  getFieldGroup
+};
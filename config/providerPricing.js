@@ -2,6 +2,10 @@
  * Provider Pricing Configuration
  * Real-world pricing models for all external API providers
  * Last Updated: 2024-08-08
+ *
+ * PROVIDER_PRICING seeds the provider cost catalog (services/costTableService).
+ * estimateProviderCost prices calls from the catalog version in force and only
+ * uses these built-in figures when the catalog is unavailable.
  */
 
 const PROVIDER_PRICING = {
@@ -340,8 +344,7 @@ const PROVIDER_PRICING = {
 /**
  * Get volume tier multiplier based on usage
  */
-function getVolumeTierMultiplier(provider, callCount) {
-  const providerConfig = PROVIDER_PRICING[provider.toLowerCase()];
+function getVolumeTierMultiplier(provider, callCount, providerConfig = PROVIDER_PRICING[provider.toLowerCase()]) {
   if (!providerConfig || !providerConfig.volume_tiers) return 1.0;
 
   for (const tier of providerConfig.volume_tiers) {
@@ -356,11 +359,13 @@ function getVolumeTierMultiplier(provider, callCount) {
 /**
  * Calculate OpenAI token-based pricing
  */
-function calculateOpenAITokenCost(model, inputTokens, outputTokens = 0) {
-  const modelConfig = PROVIDER_PRICING.openai.models[model.toLowerCase()];
+function calculateOpenAITokenCost(model, inputTokens, outputTokens = 0, openaiConfig = PROVIDER_PRICING.openai) {
+  const modelConfig = openaiConfig.models[model.toLowerCase()];
   if (!modelConfig) {
     console.warn(`Unknown OpenAI model: ${model}, using GPT-3.5-turbo pricing`);
-    return calculateOpenAITokenCost('gpt-3.5-turbo', inputTokens, outputTokens);
+    return model.toLowerCase() === 'gpt-3.5-turbo'
+      ? 0
+      : calculateOpenAITokenCost('gpt-3.5-turbo', inputTokens, outputTokens, openaiConfig);
   }
 
   let cost = 0;
@@ -382,8 +387,7 @@ function calculateOpenAITokenCost(model, inputTokens, outputTokens = 0) {
 /**
  * Calculate per-call pricing with volume discounts
  */
-function calculatePerCallCost(provider, endpoint, monthlyCallCount = 0) {
-  const providerConfig = PROVIDER_PRICING[provider.toLowerCase()];
+function calculatePerCallCost(provider, endpoint, monthlyCallCount = 0, providerConfig = PROVIDER_PRICING[provider.toLowerCase()]) {
   if (!providerConfig) return 0;
 
   let baseCost = 0;
@@ -399,7 +403,7 @@ function calculatePerCallCost(provider, endpoint, monthlyCallCount = 0) {
   }
 
   // Apply volume tier discount
-  const tierMultiplier = getVolumeTierMultiplier(provider, monthlyCallCount);
+  const tierMultiplier = getVolumeTierMultiplier(provider, monthlyCallCount, providerConfig);
   const finalCost = baseCost * tierMultiplier;
 
   return parseFloat(finalCost.toFixed(4));
@@ -484,6 +488,20 @@ async function getMonthlyUsageStats(provider, userId = null) {
   }
 }
 
+/**
+ * Pricing for a provider from the catalog in force, or the built-in table
+ */
+async function getCatalogPricing(provider) {
+  try {
+    // Required lazily: costTableService seeds its catalog from this module
+    const { costTableService } = require('../services/costTableService');
+    return (await costTableService.getProviderPricing(provider)) || PROVIDER_PRICING[provider];
+  } catch (error) {
+    console.warn(`Provider cost catalog unavailable for ${provider}:`, error.message);
+    return PROVIDER_PRICING[provider];
+  }
+}
+
 /**
  * Estimate cost for a provider API call
  */
@@ -498,6 +516,11 @@ async function estimateProviderCost(provider, endpoint, options = {}) {
   } = options;
 
   const providerLower = provider.toLowerCase();
+  const pricing = await getCatalogPricing(providerLower);
+  if (!pricing) {
+    console.warn(`Unknown provider for cost calculation: ${provider}`);
+    return 0;
+  }
   
   // Get monthly usage for volume tier calculation
   const monthlyStats = await getMonthlyUsageStats(providerLower, userId);
@@ -508,23 +531,23 @@ async function estimateProviderCost(provider, endpoint, options = {}) {
         console.warn('OpenAI cost calculation requires model and inputTokens');
         return 0;
       }
-      return calculateOpenAITokenCost(model, inputTokens, outputTokens || 0);
+      return calculateOpenAITokenCost(model, inputTokens, outputTokens || 0, pricing);
 
     case 'corelogic':
     case 'attom':
     case 'zillow':
     case 'googlemaps':
     case 'greatschools':
-      return calculatePerCallCost(providerLower, endpoint, monthlyStats.totalCalls);
+      return calculatePerCallCost(providerLower, endpoint, monthlyStats.totalCalls, pricing);
 
     case 'sumsub':
     case 'jumio':
-      const verificationTier = getVolumeTierMultiplier(providerLower, verificationCount || monthlyStats.totalCalls);
-      const serviceConfig = PROVIDER_PRICING[providerLower].services[endpoint];
+      const verificationTier = getVolumeTierMultiplier(providerLower, verificationCount || monthlyStats.totalCalls, pricing);
+      const serviceConfig = pricing.services?.[endpoint];
       return serviceConfig ? serviceConfig.base_cost * verificationTier : 0;
 
     case 'sendgrid':
-      const emailTiers = PROVIDER_PRICING.sendgrid.tiers;
+      const emailTiers = pricing.tiers || [];
       const emailCount = messageCount || 1;
       
       for (const tier of emailTiers) {
@@ -535,7 +558,7 @@ async function estimateProviderCost(provider, endpoint, options = {}) {
       return 0;
 
     case 'twilio':
-      const twilioService = PROVIDER_PRICING.twilio.services[endpoint];
+      const twilioService = pricing.services?.[endpoint];
       const count = messageCount || 1;
       return twilioService ? twilioService.cost_per_message * count : 0;
 
@@ -0,0 +1,74 @@
+/**
+ * Outbound Provider Resilience Configuration
+ *
+ * Policies for services/providerResilience.js, per provider (named as in
+ * NetworkAnalytics):
+ * 1. timeoutMs - per attempt, unless the call sets its own
+ * 2. retries / retryBaseMs / retryMaxMs - full-jitter exponential backoff on
+ *    timeouts, network errors, 429 and 5xx; other methods only retry connection
+ *    errors raised before the request was sent, unless retryNonIdempotent is set
+ * 3. maxConcurrent / maxQueue / queueTimeoutMs - the bulkhead
+ * 4. failureThreshold / failureRateThreshold / rollingWindowMs - when the
+ *    breaker opens; openMs - how long it stays open before a half-open trial
+ *    of halfOpenMaxCalls calls
+ *
+ * Any field can be overridden per provider with PROVIDER_RESILIENCE, e.g.
+ * {"zillow":{"maxConcurrent":2},"openai":{"timeoutMs":90000}}
+ */
+
+const DEFAULT_POLICY = {
+  timeoutMs: 10000,
+  retries: 2,
+  retryBaseMs: 300,
+  retryMaxMs: 5000,
+  retryNonIdempotent: false,
+  maxConcurrent: 10,
+  maxQueue: 50,
+  queueTimeoutMs: 5000,
+  failureThreshold: 5,
+  failureRateThreshold: 0.5,
+  rollingWindowMs: 60 * 1000,
+  openMs: 30 * 1000,
+  halfOpenMaxCalls: 1
+};
+
+const PROVIDER_POLICIES = {
+  // RapidAPI plan allows ~3 requests/second
+  zillow: { timeoutMs: 8000, maxConcurrent: 3, maxQueue: 30 },
+  corelogic: { timeoutMs: 10000, maxConcurrent: 5, openMs: 60 * 1000 },
+  attom: { timeoutMs: 10000, maxConcurrent: 5, retryBaseMs: 1000 },
+  googlemaps: { timeoutMs: 5000, maxConcurrent: 20 },
+  greatschools: { timeoutMs: 5000, maxConcurrent: 5 },
+  // Completions are slow, and every re-sent POST is billed, so only unsent requests retry
+  openai: { timeoutMs: 60000, maxConcurrent: 10, retryBaseMs: 1000, retryMaxMs: 10000 },
+  helpscout: { timeoutMs: 10000, maxConcurrent: 5 }
+};
+
+function parseOverrides() {
+  if (!process.env.PROVIDER_RESILIENCE) return {};
+  try {
+    return JSON.parse(process.env.PROVIDER_RESILIENCE);
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid PROVIDER_RESILIENCE:', error.message);
+    return {};
+  }
+}
+
+const overrides = parseOverrides();
+
+/**
+ * Full policy for a provider: defaults, then the built-in policy, then overrides
+ */
+function getPolicy(provider) {
+  return {
+    ...DEFAULT_POLICY,
+    ...(PROVIDER_POLICIES[provider] || {}),
+    ...(overrides[provider] || {})
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  PROVIDER_POLICIES,
+  getPolicy
+};
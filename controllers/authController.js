@@ -1,15 +1,20 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const speakeasy = require("speakeasy");
 const qrcode = require("qrcode");
-
-const generateToken = (user) => {
-  return jwt.sign(
-    { _id: user._id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+const tokenService = require("../services/tokenService");
+const { REFRESH_COOKIE_NAME } = require("../services/tokenService");
+
+const getClientContext = (req) => ({
+  ipAddress: req.ip || req.socket?.remoteAddress || "unknown",
+  userAgent: req.headers["user-agent"] || "",
+});
+
+// Start a device session and hand the refresh token back as an HTTP-only cookie
+const startSession = async (req, res, user) => {
+  const session = await tokenService.issueSession(user, getClientContext(req));
+  res.cookie(REFRESH_COOKIE_NAME, session.refreshToken, tokenService.getRefreshCookieOptions(session.refreshExpiresAt));
+  return session;
 };
 
 // Generate 2FA Secret and QR Code
@@ -120,7 +125,7 @@ exports.register = async (req, res) => {
       password: hashedPassword,
     });
 
-    const token = generateToken(newUser);
+    const session = await startSession(req, res, newUser);
 
     res.status(201).json({
       user: {
@@ -128,7 +133,9 @@ exports.register = async (req, res) => {
         email: newUser.email,
         role: newUser.role,
       },
-      token,
+      token: session.accessToken,
+      expiresIn: session.expiresIn,
+      sessionId: session.sessionId,
     });
   } catch (err) {
     res.status(500).json({ msg: "Registration failed", error: err.message });
@@ -191,7 +198,7 @@ exports.login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    const token = generateToken(user);
+    const session = await startSession(req, res, user);
 
     res.status(200).json({
       user: {
@@ -201,7 +208,9 @@ exports.login = async (req, res) => {
         twoFactorEnabled: user.twoFactorEnabled,
         lastLogin: user.lastLogin
       },
-      token,
+      token: session.accessToken,
+      expiresIn: session.expiresIn,
+      sessionId: session.sessionId,
     });
 
   } catch (err) {
@@ -209,3 +218,54 @@ exports.login = async (req, res) => {
   }
 };
 
+// Rotate the refresh token cookie and issue a new access token
+exports.refresh = async (req, res) => {
+  try {
+    const result = await tokenService.rotate(req.cookies?.[REFRESH_COOKIE_NAME], getClientContext(req));
+
+    if (!result.success) {
+      res.clearCookie(REFRESH_COOKIE_NAME, tokenService.getRefreshCookieOptions());
+      console.warn(`🛑 Refresh rejected: ${result.reason}`);
+      return res.status(401).json({ success: false, msg: "Refresh token invalid", reason: result.reason });
+    }
+
+    res.cookie(REFRESH_COOKIE_NAME, result.refreshToken, tokenService.getRefreshCookieOptions(result.refreshExpiresAt));
+
+    res.status(200).json({
+      success: true,
+      token: result.accessToken,
+      expiresIn: result.expiresIn,
+      sessionId: result.sessionId,
+      csrfToken: req.csrfToken ? req.csrfToken() : undefined,
+    });
+  } catch (err) {
+    console.error("❌ Token refresh failed:", err);
+    res.status(500).json({ success: false, msg: "Token refresh failed", error: err.message });
+  }
+};
+
+// End the current device session
+exports.logout = async (req, res) => {
+  try {
+    const result = await tokenService.logout(req.cookies?.[REFRESH_COOKIE_NAME]);
+    res.clearCookie(REFRESH_COOKIE_NAME, tokenService.getRefreshCookieOptions());
+
+    res.status(200).json({ success: true, msg: "Logged out", sessionEnded: result.success });
+  } catch (err) {
+    console.error("❌ Logout failed:", err);
+    res.status(500).json({ success: false, msg: "Logout failed", error: err.message });
+  }
+};
+
+// End every device session for the signed-in user
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await tokenService.revokeAllForUser(req.user._id || req.user.id, "logout");
+    res.clearCookie(REFRESH_COOKIE_NAME, tokenService.getRefreshCookieOptions());
+
+    res.status(200).json({ success: true, msg: "Logged out of all devices", ...result });
+  } catch (err) {
+    console.error("❌ Logout all failed:", err);
+    res.status(500).json({ success: false, msg: "Logout failed", error: err.message });
+  }
+};
@@ -1,11 +1,125 @@
-await logAudit({
-  event: "TOKEN_TRANSFER",
-  userId: req.user.id,
-  role: req.user.role,
-  meta: {
-    token: "FCT",
-    amount: 500,
-    to: recipientId,
-    txHash: result.txHash,
-  },
-});
+const walletTransferService = require('../services/walletTransferService');
+const logAudit = require('../utils/logAudit');
+
+// Helper function to get user IP address
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for'] ||
+         req.connection.remoteAddress ||
+         req.socket.remoteAddress ||
+         '127.0.0.1';
+};
+
+const userIdOf = (req) => (req.user._id || req.user.id).toString();
+
+/**
+ * Transfer FXCT from the caller's wallet to another user or their organization
+ *
+ * Body: { recipientUserId | recipientEmail | organizationId, amount, note, idempotencyKey }
+ * The Idempotency-Key header is accepted in place of body.idempotencyKey.
+ */
+exports.transferFxct = async (req, res) => {
+  const userId = userIdOf(req);
+  const idempotencyKey = req.body.idempotencyKey || req.get('Idempotency-Key');
+  const recipient = req.body.organizationId
+    ? { organizationId: req.body.organizationId }
+    : { recipientUserId: req.body.recipientUserId, recipientEmail: req.body.recipientEmail };
+
+  try {
+    const result = await walletTransferService.transfer(userId, {
+      ...recipient,
+      amount: req.body.amount,
+      note: req.body.note,
+      idempotencyKey
+    }, {
+      ipAddress: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!result.replayed) {
+      await logAudit({
+        type: 'token_transfer',
+        userId,
+        email: req.user.email,
+        action: 'fxct_transfer_completed',
+        metadata: {
+          token: 'FXCT',
+          transferId: result.transfer.transferId,
+          amount: result.transfer.amountFxct,
+          to: result.transfer.to,
+          ipAddress: getClientIP(req)
+        }
+      });
+    }
+
+    res.status(result.replayed ? 200 : 201).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await logAudit({
+      type: 'token_transfer',
+      userId,
+      email: req.user.email,
+      action: 'fxct_transfer_failed',
+      metadata: {
+        token: 'FXCT',
+        amount: req.body.amount,
+        to: recipient,
+        idempotencyKey,
+        reason: error.message,
+        ipAddress: getClientIP(req)
+      }
+    });
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: { code: 'TRANSFER_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * List the caller's sent and received transfers
+ */
+exports.listTransfers = async (req, res) => {
+  try {
+    const { direction, status, page = 1, limit = 20 } = req.query;
+    const result = await walletTransferService.listForUser(userIdOf(req), { direction, status, page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list transfers:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRANSFERS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Get one of the caller's transfers
+ */
+exports.getTransfer = async (req, res) => {
+  try {
+    const transfer = await walletTransferService.getForUser(userIdOf(req), req.params.transferId);
+
+    res.json({
+      success: true,
+      data: transfer,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: { code: 'TRANSFER_NOT_FOUND', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
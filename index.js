@@ -67,7 +67,14 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use(helmet());
 app.use(compression());
-app.use(express.json());
+// Keep the raw JSON body only where a payment provider signs it; other routes don't need a copy
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/payments/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(hpp());
@@ -147,6 +154,12 @@ app.use("/api/auth", require('./routes/security')); // Security routes
 app.use("/api/security", require('./routes/security')); // Additional security endpoints
 app.use("/api", require('./routes/security')); // Health endpoint
 app.use("/api/admin", require('./routes/admin'));
+app.use("/api/users", require('./routes/users')); // User self-service (holdings, portfolio)
+app.use("/api/offerings", require('./routes/offerings')); // Primary share offerings and purchase orders
+app.use("/api/market", require('./routes/market')); // Secondary market order book and trades
+app.use("/api/payments", require('./routes/payments')); // FXCT top-up purchases
+app.use("/api/me/wallet", require('./routes/myWallet')); // Investor wallet balance, history and statements
+app.use("/api/organizations", require('./routes/organizations')); // Organization accounts, seats and pooled wallets
 app.use("/api/admin/support-tickets", require('./routes/supportTickets')); // Support ticket management
 app.use("/api/webhooks", require('./routes/webhooks')); // Webhook handlers for integrations
 app.use("/api/kyc", require('./routes/kyc')); // KYC/Sumsub integration
@@ -160,6 +173,7 @@ app.use("/api/attom-data", require('./routes/attomData'));
 app.use("/api/token-prices", require('./routes/tokenPrices'));
 app.use("/api/uploads", require('./routes/api/uploads'));
 app.use("/api/properties", require('./routes/api/properties'));
+app.use("/api/properties", require('./routes/api/properties/proforma')); // Rental pro forma projections
 app.use("/api/corelogic", require('./routes/api/corelogic')); // CoreLogic property insights
 // app.use("/api/test", require('./routes/api/testRedis')); // Commented out - file moved to scripts
 app.use("/api/suggested", require("./routes/api/suggestedRoutes"));
@@ -1,7 +1,7 @@
 const jwt = require("jsonwebtoken");
-const { getAsync, setAsync } = require("../utils/redisClient");
+const tokenRevocationService = require("../services/tokenRevocationService");
 
-// 🔐 Verify JWT Token with User Session Caching
+// 🔐 Verify JWT Token and check it against the revocation list
 const verifyToken = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "");
   if (!token) {
@@ -9,41 +9,31 @@ const verifyToken = async (req, res, next) => {
     return res.status(401).json({ msg: "No token, authorization denied" });
   }
 
+  let decoded;
   try {
-    // 📥 Try to check cache first (gracefully handle Redis failures)
-    let cachedUser = null;
-    try {
-      const cacheKey = `user:session:${token.slice(-10)}`; // Use last 10 chars for key
-      cachedUser = await getAsync(cacheKey);
-      
-      if (cachedUser) {
-        console.log('📥 Cache hit for user session');
-        req.user = typeof cachedUser === 'string' ? JSON.parse(cachedUser) : cachedUser;
-        return next();
-      }
-    } catch (cacheErr) {
-      console.warn('⚠️ Cache lookup failed, proceeding without cache:', cacheErr.message);
-    }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    console.error("❌ Token verification failed:", err.message);
+    return res.status(401).json({ msg: "Invalid token" });
+  }
 
-    // 🔍 Decode JWT (fallback or no cache)
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log("🔑 Token decoded:", decoded.email || decoded._id);
-    req.user = decoded;
-    
-    // 💾 Try to cache user session (gracefully handle Redis failures)
-    try {
-      const cacheKey = `user:session:${token.slice(-10)}`;
-      await setAsync(cacheKey, JSON.stringify(decoded), 900);
-      console.log(`📝 Cached user session for: ${decoded.email || decoded._id}`);
-    } catch (cacheErr) {
-      console.warn('⚠️ Cache write failed, continuing without cache:', cacheErr.message);
+  try {
+    // 🚫 Suspension, demotion, logout and password resets take effect immediately
+    const verdict = await tokenRevocationService.checkToken(decoded);
+    if (verdict.revoked) {
+      console.warn(`🛑 Rejected revoked token for ${decoded.email || decoded._id}: ${verdict.reason}`);
+      return res.status(verdict.status).json({
+        msg: verdict.status === 403 ? "Account suspended" : "Token has been revoked",
+        reason: verdict.reason
+      });
     }
-    
-    next();
   } catch (err) {
-    console.error("❌ Token verification failed:", err.message);
-    res.status(401).json({ msg: "Invalid token" });
+    console.error("❌ Token revocation check failed:", err.message);
+    return res.status(503).json({ msg: "Unable to verify session, please retry" });
   }
+
+  req.user = decoded;
+  next();
 };
 
 // 🛡️ Authorize Admin Only
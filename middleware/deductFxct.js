@@ -8,11 +8,17 @@
  * 4. Usage tracking in new wallet ledger system
  * 5. Auto-wallet creation for new users
  * 6. Insufficient funds handling with buy options
+ * 7. Per-user daily/monthly and per-data-type spending caps
+ * 8. Organization members billed to the pooled wallet within their allowance
+ *    (send `X-Billing-Wallet: personal` to use the personal wallet instead)
  */
 
 const { fxctRatesService } = require('../services/fxctRatesService');
 const { costTableService } = require('../services/costTableService');
 const walletService = require('../services/walletService');
+const { overageHandlerService } = require('../services/overageHandlerService');
+const spendingCapService = require('../services/spendingCapService');
+const organizationService = require('../services/organizationService');
 const { WalletUsageLedger } = require('../models/Wallet');
 const crypto = require('crypto');
 
@@ -95,10 +101,33 @@ class FXCTDeductionMiddleware {
       // Get FXCT rate for this data type
       const fxctRate = await fxctRatesService.getFXCTRateForDataType(dataType);
       
-      // Get or create user wallet
-      const walletInfo = await walletService.getOrCreateWallet(userId, 'system');
+      // Pick the wallet to charge: the organization's pooled wallet for members, else the user's own
+      const walletInfo = await organizationService.resolveBillingWallet(userId, {
+        preference: req.get('X-Billing-Wallet')
+      });
       const walletId = walletInfo.wallet._id.toString();
       const currentBalance = walletInfo.balance;
+      const billing = {
+        organizationId: walletInfo.organization?._id || null,
+        organizationName: walletInfo.organization?.name || null
+      };
+
+      if (walletInfo.organization) {
+        const allowanceCheck = await organizationService.checkAllowance(walletInfo.membership, walletId, fxctRate);
+        if (!allowanceCheck.allowed) {
+          return this.rejectOverAllowance(res, userId, walletInfo, allowanceCheck.allowance, dataType, fxctRate);
+        }
+      }
+
+      // Enforce the user's own spending caps before touching the balance; members
+      // keep their personal caps on top of the organization allowance
+      const capsWallet = walletInfo.organization
+        ? (await walletService.getOrCreateWallet(userId, 'system')).wallet
+        : walletInfo.wallet;
+      const capCheck = await spendingCapService.checkCharge(userId, capsWallet, dataType, fxctRate);
+      if (!capCheck.allowed) {
+        return this.rejectOverCap(res, userId, capsWallet, capCheck, dataType, fxctRate);
+      }
       
       // Check sufficient balance
       if (currentBalance.available < fxctRate) {
@@ -108,7 +137,8 @@ class FXCTDeductionMiddleware {
         await this.logUsage(userId, walletId, endpoint, dataType, fxctRate, currentBalance.available, 'failed', {
           errorCode: 'INSUFFICIENT_BALANCE',
           deficit,
-          paymentRequired: true
+          paymentRequired: true,
+          organizationId: billing.organizationId
         }, req);
 
         // Return 402 with purchase options
@@ -117,6 +147,7 @@ class FXCTDeductionMiddleware {
           required: fxctRate,
           available: currentBalance.available,
           deficit,
+          organization: billing.organizationName,
           buyOptions: {
             url: `${process.env.FRONTEND_URL || 'https://fractionax.io'}/pricing`,
             plans: [
@@ -130,7 +161,10 @@ class FXCTDeductionMiddleware {
       }
 
       // Deduct FXCT tokens
-      const newBalance = await this.deductFXCT(userId, walletId, fxctRate, endpoint, dataType, req);
+      const newBalance = await this.deductFXCT(userId, walletId, fxctRate, endpoint, dataType, req, billing);
+
+      spendingCapService.sendAlerts(userId, capsWallet, capCheck, fxctRate)
+        .catch(error => console.error(`❌ Spending cap alerts failed for user ${userId}:`, error.message));
       
       // Add balance info to request for downstream use
       req.fxct = {
@@ -138,7 +172,9 @@ class FXCTDeductionMiddleware {
         balanceBefore: currentBalance.available,
         balanceAfter: newBalance.balance.available,
         dataType,
-        endpoint
+        endpoint,
+        walletId,
+        organizationId: billing.organizationId
       };
 
       // Continue to actual API handler
@@ -158,6 +194,84 @@ class FXCTDeductionMiddleware {
     }
   }
 
+  /**
+   * Refuse a charge that breaks the user's spending caps
+   * 402 when the data type is blocked outright, 429 with Retry-After when a
+   * daily/monthly cap would be exceeded
+   * @param {Object} res - Express response
+   * @param {string} userId - User ID
+   * @param {Object} wallet - Wallet document
+   * @param {Object} capCheck - Result of spendingCapService.checkCharge
+   * @param {string} dataType - Data type
+   * @param {number} fxctRate - FXCT the call would cost
+   */
+  rejectOverCap(res, userId, wallet, capCheck, dataType, fxctRate) {
+    const { violation } = capCheck;
+    console.log(`🚫 Spending cap refused ${dataType} call for user ${userId}: ${violation.reason} (${violation.scope}${violation.period ? `/${violation.period}` : ''})`);
+
+    spendingCapService.sendAlerts(userId, wallet, capCheck, 0)
+      .catch(error => console.error(`❌ Spending cap alerts failed for user ${userId}:`, error.message));
+
+    if (violation.reason === 'DATA_TYPE_BLOCKED') {
+      return res.status(402).json({
+        error: 'DATA_TYPE_BLOCKED',
+        message: `${dataType} data is blocked by this account's spending caps`,
+        dataType,
+        required: fxctRate,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set('Retry-After', String(Math.max(1, Math.ceil((violation.resetsAt.getTime() - Date.now()) / 1000))));
+    return res.status(429).json({
+      error: 'SPENDING_CAP_EXCEEDED',
+      message: `This call would exceed the ${violation.scope === 'total' ? '' : `${violation.scope} `}${violation.period} FXCT spending cap`,
+      cap: {
+        scope: violation.scope,
+        period: violation.period,
+        limit: violation.limitFxct,
+        spent: violation.spentFxct,
+        remaining: Math.max(0, violation.limitFxct - violation.spentFxct),
+        resetsAt: violation.resetsAt
+      },
+      required: fxctRate,
+      dataType,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Refuse an organization member's call once their monthly allowance is spent
+   * @param {Object} res - Express response
+   * @param {string} userId - User ID
+   * @param {Object} walletInfo - Result of organizationService.resolveBillingWallet
+   * @param {Object} allowance - { limitFxct, spentFxct, remainingFxct, resetsAt }
+   * @param {string} dataType - Data type
+   * @param {number} fxctRate - FXCT the call would cost
+   */
+  rejectOverAllowance(res, userId, walletInfo, allowance, dataType, fxctRate) {
+    console.log(`🚫 Organization allowance refused ${dataType} call for user ${userId} (${allowance.spentFxct}/${allowance.limitFxct} FXCT)`);
+
+    organizationService.notifyAllowanceExhausted(walletInfo.membership, walletInfo.organization, allowance)
+      .catch(error => console.error(`❌ Allowance notification failed for user ${userId}:`, error.message));
+
+    res.set('Retry-After', String(Math.max(1, Math.ceil((allowance.resetsAt.getTime() - Date.now()) / 1000))));
+    return res.status(429).json({
+      error: 'ALLOWANCE_EXCEEDED',
+      message: `This call would exceed your monthly allowance from ${walletInfo.organization.name}`,
+      allowance: {
+        limit: allowance.limitFxct,
+        spent: allowance.spentFxct,
+        remaining: allowance.remainingFxct,
+        resetsAt: allowance.resetsAt
+      },
+      required: fxctRate,
+      dataType,
+      hint: 'Send X-Billing-Wallet: personal to charge your personal wallet',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Deduct FXCT tokens from user balance
    * @param {string} userId - User ID
@@ -166,9 +280,10 @@ class FXCTDeductionMiddleware {
    * @param {string} endpoint - API endpoint
    * @param {string} dataType - Data type
    * @param {Object} req - Express request
+   * @param {Object} billing - { organizationId } when charging an organization's pooled wallet
    * @returns {Object} Updated balance
    */
-  async deductFXCT(userId, walletId, amount, endpoint, dataType, req) {
+  async deductFXCT(userId, walletId, amount, endpoint, dataType, req, billing = {}) {
     try {
       // Get current balance for logging
       const balanceBefore = await walletService.getBalance(walletId);
@@ -189,7 +304,8 @@ class FXCTDeductionMiddleware {
           sessionId: req.session?.id,
           ipAddress: req.ip || req.connection.remoteAddress,
           userAgent: req.get('User-Agent'),
-          pid: req.params?.pid || req.body?.propertyId
+          pid: req.params?.pid || req.body?.propertyId,
+          ...(billing.organizationId ? { organizationId: billing.organizationId, memberId: userId } : {})
         },
         idempotencyKey,
         processedBy: 'system'
@@ -201,9 +317,16 @@ class FXCTDeductionMiddleware {
         sessionId: req.session?.id,
         ipAddress: req.ip || req.connection.remoteAddress,
         userAgent: req.get('User-Agent'),
-        walletTransactionId: result.transaction._id
+        walletTransactionId: result.transaction._id,
+        organizationId: billing.organizationId
       }, req);
 
+      // Evaluate the user's auto top-up rule without holding up the request
+      if (!billing.organizationId) {
+        overageHandlerService.handleAutoTopup(userId, amount, result.balance.available)
+          .catch(error => console.error(`❌ Auto top-up check failed for user ${userId}:`, error.message));
+      }
+
       return result;
 
     } catch (error) {
@@ -234,6 +357,7 @@ class FXCTDeductionMiddleware {
       const usageEntry = new WalletUsageLedger({
         userId,
         walletId,
+        organizationId: metadata.organizationId || undefined,
         pid: req.params?.pid || req.body?.propertyId,
         dataType,
         fxctDebited: fxctAmount,
@@ -72,6 +72,7 @@ function extractRequestMetrics(provider, requestData, responseData) {
 
 /**
  * Enhanced cost calculation using real pricing models
+ * Prices come from the provider cost catalog version in force.
  */
 async function getEstimatedCost(provider, endpoint, requestData, responseData, userId = null) {
   try {
@@ -132,11 +133,14 @@ async function trackNetworkRequest({
   cacheHit = false,
   rateLimitRemaining,
   rateLimitResetTime,
-  metadata
+  metadata,
+  cost: knownCost
 }) {
   try {
     // Calculate cost using enhanced pricing system with real provider data
-    const cost = await getEstimatedCost(provider, endpoint, requestParams, responseData, userId);
+    const cost = knownCost !== undefined
+      ? knownCost
+      : await getEstimatedCost(provider, endpoint, requestParams, responseData, userId);
     const sanitizedParams = sanitizeRequestParams(requestParams);
     
     const analyticsData = {
@@ -182,8 +186,23 @@ async function trackNetworkRequest({
   }
 }
 
+/**
+ * Endpoint path of an axios request, resolving relative URLs against baseURL
+ */
+function endpointOf(config) {
+  try {
+    return new URL(config.url, config.baseURL).pathname.replace(/^\/+/, '');
+  } catch (error) {
+    return String(config.url || '').split('?')[0].replace(/^\/+/, '');
+  }
+}
+
 /**
  * Axios interceptor for automatic tracking
+ *
+ * Tracking is not awaited, so a slow analytics write never holds up the
+ * provider response. Clients from services/providerResilience.js also record
+ * attempts and breaker state, and calls the breaker or bulkhead rejected.
  */
 function createAxiosInterceptor(provider, defaultUserId = null) {
   return {
@@ -204,11 +223,10 @@ function createAxiosInterceptor(provider, defaultUserId = null) {
       const responseTime = endTime - config.metadata.startTime;
       
       // Extract endpoint from URL
-      const url = new URL(config.url);
-      const endpoint = url.pathname.replace(/^\/+/, '');
+      const endpoint = endpointOf(config);
       
       // Track successful request
-      await trackNetworkRequest({
+      trackNetworkRequest({
         provider,
         endpoint,
         method: config.method.toUpperCase(),
@@ -229,7 +247,8 @@ function createAxiosInterceptor(provider, defaultUserId = null) {
           new Date(parseInt(response.headers['x-ratelimit-reset']) * 1000) : null,
         metadata: {
           url: config.url,
-          userAgent: config.headers['User-Agent']
+          userAgent: config.headers['User-Agent'],
+          resilience: config.metadata.resilience
         }
       });
       
@@ -244,27 +263,29 @@ function createAxiosInterceptor(provider, defaultUserId = null) {
       const responseTime = endTime - config.metadata.startTime;
       
       // Extract endpoint from URL
-      const url = new URL(config.url);
-      const endpoint = url.pathname.replace(/^\/+/, '');
+      const endpoint = endpointOf(config);
       
       // Determine error status
       let status = 'error';
-      if (error.code === 'ECONNABORTED') {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
         status = 'timeout';
       } else if (error.response?.status === 429) {
         status = 'rate_limited';
       }
+      // Rejected by the circuit breaker or bulkhead before reaching the provider
+      const rejected = error.code === 'ECIRCUITOPEN' || error.code === 'EBULKHEADFULL';
       
       // Track failed request
-      await trackNetworkRequest({
+      trackNetworkRequest({
         provider,
         endpoint,
         method: config.method.toUpperCase(),
         status,
         responseTime,
-        statusCode: error.response?.status,
+        statusCode: error.response?.status || (rejected ? error.status : undefined),
         requestSize: JSON.stringify(config.data || {}).length,
         responseSize: 0,
+        cost: rejected ? 0 : undefined,
         errorMessage: error.message,
         userId: config.metadata.userId,
         requestParams: { 
@@ -276,8 +297,10 @@ function createAxiosInterceptor(provider, defaultUserId = null) {
           new Date(parseInt(error.response.headers['x-ratelimit-reset']) * 1000) : null,
         metadata: {
           url: config.url,
-          userAgent: config.headers['User-Agent'],
-          errorCode: error.code
+          userAgent: config.headers?.['User-Agent'],
+          errorCode: error.code,
+          resilience: config.metadata.resilience,
+          rejectedBy: rejected ? (error.code === 'ECIRCUITOPEN' ? 'circuit_breaker' : 'bulkhead') : undefined
         }
       });
       
@@ -208,5 +208,6 @@ setInterval(cleanupInactiveSessions, 5 * 60 * 1000);
 module.exports = {
   trackUserSession,
   cleanupInactiveSessions,
-  getRealTimeStats
+  getRealTimeStats,
+  parseUserAgent
 };
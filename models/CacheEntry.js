@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Durable tier of services/cacheService.js: entries of namespaces whose policy is
+// `durable` are kept here as well as in Redis
+const CacheEntrySchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  tags: [{
+    type: String
+  }],
+  // Provider spend one hit avoids (USD)
+  costUsd: {
+    type: Number,
+    default: 0
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastAccessed: {
+    type: Date
+  },
+  // Unset for entries that live until invalidated
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+CacheEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+CacheEntrySchema.index({ tags: 1 });
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', CacheEntrySchema);
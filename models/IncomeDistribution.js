@@ -0,0 +1,145 @@
+/**
+ * Income Distribution Models
+ *
+ * Rental income paid out to fractional property holders:
+ * - One distribution record per property payout run, with its status lifecycle
+ * - One payout row per holder, snapshotting the cap table at calculation time
+ */
+
+const mongoose = require('mongoose');
+
+const decimalGetter = function(value) {
+  return value ? parseFloat(value.toString()) : 0;
+};
+
+// Income Distribution Schema - One payout run for a property
+const IncomeDistributionSchema = new mongoose.Schema({
+  distributionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    index: true
+  },
+  period: {
+    start: Date,
+    end: Date
+  },
+  // calculated -> processing -> completed | partially_failed | failed; calculated -> cancelled
+  status: {
+    type: String,
+    enum: ['calculated', 'processing', 'completed', 'partially_failed', 'failed', 'cancelled'],
+    default: 'calculated',
+    index: true
+  },
+  // USD figures as reported by property management
+  grossIncomeUsd: { type: Number, required: true, min: 0 },
+  expensesUsd: { type: Number, default: 0, min: 0 },
+  managementFeeRate: { type: Number, required: true, min: 0, max: 1 },
+  managementFeeUsd: { type: Number, required: true, min: 0 },
+  netDistributableUsd: { type: Number, required: true, min: 0 },
+  // Conversion used to pay holders in FXCT
+  fxctUsdPrice: { type: Number, required: true, min: 0 },
+  netDistributableFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  perShareFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  // Rounding dust left over after flooring each payout
+  undistributedFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0,
+    get: decimalGetter
+  },
+  sharesOutstanding: { type: Number, required: true, min: 0 },
+  holderCount: { type: Number, default: 0 },
+  summary: {
+    paidCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    paidFxct: { type: Number, default: 0 }
+  },
+  notes: String,
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  executedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  executedAt: Date,
+  // Refreshed as payouts are made; a processing run that stops refreshing it can be resumed
+  claimedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+IncomeDistributionSchema.index({ propertyId: 1, createdAt: -1 });
+
+// Distribution Payout Schema - One holder's share of a distribution
+const DistributionPayoutSchema = new mongoose.Schema({
+  distributionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  shares: { type: Number, required: true, min: 0 },
+  ownershipPercent: { type: Number, required: true },
+  amountFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  amountUsd: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  // Passed to walletService.credit so retries never pay twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' },
+  ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  paidAt: Date
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+DistributionPayoutSchema.index({ distributionId: 1, userId: 1 }, { unique: true });
+DistributionPayoutSchema.index({ userId: 1, status: 1, paidAt: -1 });
+
+const IncomeDistribution = mongoose.model('IncomeDistribution', IncomeDistributionSchema);
+const DistributionPayout = mongoose.model('DistributionPayout', DistributionPayoutSchema);
+
+module.exports = {
+  IncomeDistribution,
+  DistributionPayout
+};
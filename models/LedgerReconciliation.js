@@ -0,0 +1,105 @@
+/**
+ * Ledger Reconciliation Models
+ *
+ * - LedgerReconciliationRun: one pass over the wallets (scheduled or manual)
+ * - LedgerDiscrepancy: a disagreement between a wallet's ledger and its stored
+ *   balance, kept open until an admin resolves it
+ */
+
+const mongoose = require('mongoose');
+
+const LedgerReconciliationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  options: {
+    walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' },
+    freezeOnMismatch: { type: Boolean, default: false }
+  },
+  walletsChecked: { type: Number, default: 0 },
+  entriesReplayed: { type: Number, default: 0 },
+  walletsWithDiscrepancies: { type: Number, default: 0 },
+  discrepancyCount: { type: Number, default: 0 },
+  frozenWalletIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' }],
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+LedgerReconciliationRunSchema.index({ startedAt: -1 });
+
+const LedgerDiscrepancySchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true,
+    index: true
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  type: {
+    type: String,
+    enum: [
+      'balance_mismatch',    // Replayed ledger total differs from WalletBalance
+      'version_mismatch',    // Balance save count differs from mutating ledger entries
+      'chain_break',         // Entry's balanceBefore differs from the previous entry's balanceAfter
+      'entry_mismatch',      // Entry's snapshots don't move by its own amount
+      'negative_balance',    // Replay goes below zero
+      'missing_balance'      // Wallet has no WalletBalance record
+    ],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'critical'],
+    default: 'critical'
+  },
+  ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  expected: { type: mongoose.Schema.Types.Mixed },
+  actual: { type: mongoose.Schema.Types.Mixed },
+  details: String,
+  walletFrozen: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: Date,
+  resolutionNote: String
+}, {
+  timestamps: true
+});
+
+LedgerDiscrepancySchema.index({ walletId: 1, type: 1, status: 1 });
+
+const LedgerReconciliationRun = mongoose.model('LedgerReconciliationRun', LedgerReconciliationRunSchema);
+const LedgerDiscrepancy = mongoose.model('LedgerDiscrepancy', LedgerDiscrepancySchema);
+
+module.exports = {
+  LedgerReconciliationRun,
+  LedgerDiscrepancy
+};
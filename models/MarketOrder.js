@@ -0,0 +1,139 @@
+/**
+ * Secondary Market Models
+ *
+ * Holder-to-holder trading of fractional property shares for FXCT:
+ * - Limit orders resting on a per-property book, escrowing FXCT (bids) or shares (asks)
+ * - Trades produced by the matching engine, each settled exactly once
+ */
+
+const mongoose = require('mongoose');
+
+const decimalGetter = function(value) {
+  return value ? parseFloat(value.toString()) : 0;
+};
+
+// Market Order Schema - A limit bid or ask on one property's book
+const MarketOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  pricePerShareFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  shares: { type: Number, required: true, min: 1 },
+  filledShares: { type: Number, default: 0, min: 0 },
+  // open -> partially_filled -> filled; open | partially_filled -> cancelled
+  status: {
+    type: String,
+    enum: ['open', 'partially_filled', 'filled', 'cancelled'],
+    default: 'open'
+  },
+  // Bids only: FXCT still held in the buyer's wallet for the unfilled remainder
+  heldFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0,
+    get: decimalGetter
+  },
+  walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' },
+  // Client-supplied key so a retried submission doesn't place a second order
+  clientKey: { type: String, default: null },
+  cancelledAt: Date,
+  cancelReason: String
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Price-time priority lookups for the matching engine
+MarketOrderSchema.index({ propertyId: 1, side: 1, status: 1, pricePerShareFxct: 1, createdAt: 1 });
+MarketOrderSchema.index({ userId: 1, createdAt: -1 });
+MarketOrderSchema.index({ userId: 1, clientKey: 1 }, { unique: true, partialFilterExpression: { clientKey: { $type: 'string' } } });
+
+// Trade Schema - One fill between a resting (maker) and incoming (taker) order
+const TradeSchema = new mongoose.Schema({
+  tradeId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  buyOrderId: { type: String, required: true },
+  sellOrderId: { type: String, required: true },
+  buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  takerSide: { type: String, enum: ['buy', 'sell'], required: true },
+  shares: { type: Number, required: true, min: 1 },
+  // Trades execute at the maker's price
+  pricePerShareFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  amountFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  // Portion of the buyer's hold this fill releases; anything above amountFxct is price improvement returned to the buyer
+  buyerHoldReleasedFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  buyerWalletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet', required: true },
+  status: {
+    type: String,
+    enum: ['pending_settlement', 'settled', 'settlement_failed'],
+    default: 'pending_settlement',
+    index: true
+  },
+  settlement: {
+    sharesTransferred: { type: Boolean, default: false },
+    buyerDebited: { type: Boolean, default: false },
+    sellerCredited: { type: Boolean, default: false },
+    attempts: { type: Number, default: 0 },
+    lastError: String
+  },
+  settledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+TradeSchema.index({ propertyId: 1, createdAt: -1 });
+
+const MarketOrder = mongoose.model('MarketOrder', MarketOrderSchema);
+const Trade = mongoose.model('Trade', TradeSchema);
+
+module.exports = {
+  MarketOrder,
+  Trade
+};
@@ -208,6 +208,33 @@ NetworkAnalyticsSchema.statics.getTopEndpoints = async function(provider, limit
   ]);
 };
 
+// Per-provider latency spread, failure rate and per-call cost of live (non-cached)
+// requests, used by the data source router to learn provider behaviour
+NetworkAnalyticsSchema.statics.getRoutingBaseline = async function(timeRange = 24) {
+  const startTime = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+
+  return this.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: startTime },
+        cacheHit: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: '$provider',
+        totalRequests: { $sum: 1 },
+        failedRequests: {
+          $sum: { $cond: [{ $eq: ['$status', 'success'] }, 0, 1] }
+        },
+        avgResponseTime: { $avg: '$responseTime' },
+        stdDevResponseTime: { $stdDevPop: '$responseTime' },
+        avgCost: { $avg: '$cost' }
+      }
+    }
+  ]);
+};
+
 NetworkAnalyticsSchema.statics.getErrorAnalysis = async function(timeRange = 24) {
   const startTime = new Date(Date.now() - timeRange * 60 * 60 * 1000);
   
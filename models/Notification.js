@@ -0,0 +1,46 @@
+/**
+ * Notification Model
+ *
+ * In-app notifications for investors (wallet top-ups, spending alerts, etc.).
+ * A dedupeKey makes sending idempotent: retried jobs and redelivered webhooks
+ * produce one notification, not several.
+ */
+
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  title: { type: String, required: true },
+  message: { type: String, required: true },
+  severity: {
+    type: String,
+    enum: ['info', 'success', 'warning', 'critical'],
+    default: 'info'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
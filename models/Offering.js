@@ -0,0 +1,141 @@
+/**
+ * Primary Offering Models
+ *
+ * Initial sale of a fractional property's shares to investors for FXCT:
+ * - One offering per sale round, tracking reserved and sold shares against its size
+ * - One order per purchase, moving from a wallet hold to a confirmed allocation
+ */
+
+const mongoose = require('mongoose');
+
+const decimalGetter = function(value) {
+  return value ? parseFloat(value.toString()) : 0;
+};
+
+// Offering Schema - A fixed-price sale round for one property
+const OfferingSchema = new mongoose.Schema({
+  offeringId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Shares are always allocated against a Property; listing-backed offerings keep the link to sync availability
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['property', 'marketplace_listing'],
+    default: 'property'
+  },
+  listingId: { type: String, index: true }, // MarketplaceListing.id
+  // open -> fully_subscribed | closed | cancelled
+  status: {
+    type: String,
+    enum: ['open', 'fully_subscribed', 'closed', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+  pricePerShareFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  // USD reference price and the FXCT rate used to fix the FXCT price at launch
+  pricePerShareUsd: Number,
+  fxctUsdPrice: Number,
+  totalShares: { type: Number, required: true, min: 1 },
+  sharesReserved: { type: Number, default: 0, min: 0 },
+  sharesSold: { type: Number, default: 0, min: 0 },
+  minInvestmentFxct: { type: Number, default: 0, min: 0 },
+  maxSharesPerInvestor: { type: Number, default: null },
+  reservationTtlMinutes: { type: Number, default: 15, min: 1 },
+  investorCount: { type: Number, default: 0 },
+  closesAt: Date,
+  closedAt: Date,
+  closedReason: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+OfferingSchema.index({ propertyId: 1, status: 1 });
+
+// Share Order Schema - One investor purchase within an offering
+const ShareOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  offeringId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  shares: { type: Number, required: true, min: 1 },
+  pricePerShareFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  amountFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: decimalGetter
+  },
+  // reserved -> confirming -> confirmed | failed; reserved -> cancelled | expired
+  status: {
+    type: String,
+    enum: ['reserved', 'confirming', 'confirmed', 'cancelled', 'expired', 'failed'],
+    default: 'reserved',
+    index: true
+  },
+  walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' },
+  holdLedgerId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  settleLedgerId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  shareTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShareTransaction' },
+  // Client-supplied key so a retried purchase request doesn't reserve twice
+  clientKey: { type: String, default: null },
+  expiresAt: { type: Date, required: true },
+  confirmedAt: Date,
+  cancelledAt: Date,
+  // Set when an order is cancelled or expires, cleared once its hold and shares are given back
+  releasePending: Boolean,
+  lastError: String
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+ShareOrderSchema.index({ status: 1, expiresAt: 1 });
+ShareOrderSchema.index({ releasePending: 1, cancelledAt: 1 }, { partialFilterExpression: { releasePending: true } });
+ShareOrderSchema.index({ userId: 1, createdAt: -1 });
+ShareOrderSchema.index({ userId: 1, clientKey: 1 }, { unique: true, partialFilterExpression: { clientKey: { $type: 'string' } } });
+
+const Offering = mongoose.model('Offering', OfferingSchema);
+const ShareOrder = mongoose.model('ShareOrder', ShareOrderSchema);
+
+module.exports = {
+  Offering,
+  ShareOrder
+};
@@ -0,0 +1,150 @@
+/**
+ * Organization Models
+ *
+ * Firm accounts whose members draw FXCT from one pooled wallet:
+ * - Organization: the firm and its pooled wallet
+ * - OrganizationMembership: a user's seat, role and monthly allowance
+ * - OrganizationInvite: pending email invitations (token stored hashed)
+ *
+ * A user holds at most one active membership, so the deductFxct middleware
+ * never has to guess which organization to bill.
+ */
+
+const mongoose = require('mongoose');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'closed'],
+    default: 'active',
+    index: true
+  },
+  settings: {
+    // Applied to new members unless the invite sets its own (null = unlimited)
+    defaultMonthlyAllowanceFxct: { type: Number, min: 0, default: null },
+    maxSeats: { type: Number, min: 1, default: 25 }
+  }
+}, {
+  timestamps: true
+});
+
+const OrganizationMembershipSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'member'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  // FXCT the member may draw from the pooled wallet per UTC month (null = unlimited)
+  monthlyAllowanceFxct: { type: Number, min: 0, default: null },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  joinedAt: { type: Date, default: Date.now },
+  removedAt: Date,
+  removedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// One active seat per user
+OrganizationMembershipSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+OrganizationMembershipSchema.index({ organizationId: 1, status: 1 });
+
+const OrganizationInviteSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  monthlyAllowanceFxct: { type: Number, min: 0, default: null },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acceptedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+OrganizationInviteSchema.index({ organizationId: 1, email: 1, status: 1 });
+
+const Organization = mongoose.model('Organization', OrganizationSchema);
+const OrganizationMembership = mongoose.model('OrganizationMembership', OrganizationMembershipSchema);
+const OrganizationInvite = mongoose.model('OrganizationInvite', OrganizationInviteSchema);
+
+module.exports = {
+  Organization,
+  OrganizationMembership,
+  OrganizationInvite,
+  ORGANIZATION_ROLES
+};
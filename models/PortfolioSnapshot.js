@@ -0,0 +1,52 @@
+/**
+ * Portfolio Snapshot Model
+ *
+ * One mark-to-market valuation of a user's fractional holdings per day.
+ * Snapshots are the history behind time-weighted returns, drawdowns and
+ * volatility; each position keeps the share price it was marked at so a
+ * day's return can be separated from shares bought or sold that day.
+ */
+
+const mongoose = require('mongoose');
+
+const SnapshotPositionSchema = new mongoose.Schema({
+  propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  shares: { type: Number, required: true, min: 0 },
+  sharePriceUsd: { type: Number, default: null },
+  valueUsd: { type: Number, default: 0 },
+  // avm | list_price | unavailable
+  valuationSource: String,
+  city: String,
+  state: String,
+  propertyType: String
+}, { _id: false });
+
+const PortfolioSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Valuation day as YYYY-MM-DD (UTC)
+  date: {
+    type: String,
+    required: true
+  },
+  positions: [SnapshotPositionSchema],
+  totalValueUsd: { type: Number, default: 0 },
+  // Value of shares acquired (positive) or disposed of (negative) since the previous snapshot, at today's marks
+  netFlowUsd: { type: Number, default: 0 },
+  // Distributions paid since the previous snapshot
+  incomeUsd: { type: Number, default: 0 },
+  // Return for the period ending on this snapshot, net of flows; null for the first snapshot
+  periodReturn: { type: Number, default: null },
+  costBasisFxct: { type: Number, default: 0 },
+  // Share of value marked with an AVM rather than a fallback
+  valuationCoverage: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+PortfolioSnapshotSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('PortfolioSnapshot', PortfolioSnapshotSchema);
@@ -22,6 +22,13 @@ const PropertySchema = new mongoose.Schema(
     expectedMonthlyROI: { type: Number, default: 0 }, // e.g. 6.5% = 0.065
     rentalYield: Number,
     type: { type: String, enum: ["rent", "sale"], default: "sale" },
+
+    // Fractional share structure (holders live in PropertyHolding)
+    tokenization: {
+      totalSupply: { type: Number, default: 0, min: 0 }, // Total shares the property is split into
+      sharesIssued: { type: Number, default: 0, min: 0 }, // Shares allocated to holders so far
+      managementFeeRate: { type: Number, default: 0.08, min: 0, max: 1 } // Fee withheld from distributions
+    },
     
     // AI-enriched property data from batch processor
     data: {
@@ -31,6 +38,8 @@ const PropertySchema = new mongoose.Schema(
     zpid: { type: String, index: true }, // Zillow Property ID for lookups
     externalId: { type: String, index: true }, // Any external property ID
     mls_id: { type: String, index: true }, // MLS ID if available
+    coreLogicClip: { type: String, index: true }, // CoreLogic CLIP, resolved once for AVM valuations
+    coreLogicLookupAt: Date, // Last CLIP lookup attempt, so unmatched addresses aren't retried daily
     
     // Enriched image data
     imgSrc: String, // Primary image URL
@@ -162,9 +162,58 @@ const propertyDetailsCacheSchema = new mongoose.Schema({
   dataFreshness: {
     corelogic: Date,
     zillow: Date,
+    attom: Date,
+    loopnet: Date,
     enrichments: Date
   },
   
+  // Provider IDs for the merged record (zpid, CLIP, ATTOM ID, ...)
+  providerIds: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  // Which provider supplied each merged field and when
+  provenance: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  // Field-level disagreements between providers found while merging
+  conflicts: [{
+    field: String,
+    rule: String, // 'absolute', 'relative', 'exact'
+    tolerance: Number,
+    deviation: Number,
+    severity: {
+      type: String,
+      enum: ['minor', 'major']
+    },
+    chosenProvider: String,
+    chosenValue: mongoose.Schema.Types.Mixed,
+    values: [{
+      _id: false,
+      provider: String,
+      value: mongoose.Schema.Types.Mixed,
+      fetchedAt: Date
+    }],
+    detectedAt: Date
+  }],
+  
+  // Completeness less conflict penalties (see propertyMergeService)
+  dataQuality: {
+    score: Number,
+    label: {
+      type: String,
+      enum: ['excellent', 'good', 'partial', 'poor']
+    },
+    completeness: Number,
+    conflictCount: Number,
+    majorConflicts: Number,
+    sources: [String],
+    evaluatedAt: Date
+  },
+  
   // TTL - Auto-expire after 30 days for property details
   expiresAt: {
     type: Date,
@@ -205,7 +254,8 @@ propertyDetailsCacheSchema.statics.cacheDetails = async function(
   address, 
   propertyDetails, 
   media, 
-  apiCostEstimate = 0.15
+  apiCostEstimate = 0.15,
+  mergeInfo = null // { conflicts, dataQuality, provenance, providerIds, dataFreshness } from a multi-provider merge
 ) {
   try {
     // Check if already exists
@@ -221,6 +271,11 @@ propertyDetailsCacheSchema.statics.cacheDetails = async function(
         ...existing.dataFreshness,
         [dataSource]: new Date()
       };
+      if (mergeInfo) {
+        Object.assign(existing, mergeInfo, {
+          dataFreshness: { ...existing.dataFreshness, ...mergeInfo.dataFreshness }
+        });
+      }
       await existing.save();
       return existing;
     }
@@ -236,6 +291,7 @@ propertyDetailsCacheSchema.statics.cacheDetails = async function(
       dataFreshness: {
         [dataSource]: new Date()
       },
+      ...(mergeInfo || {}),
       expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
     });
     
@@ -293,10 +349,36 @@ propertyDetailsCacheSchema.statics.getPopularProperties = async function(limit =
     .lean();
 };
 
+// ⚠️ Static method to list merged properties whose providers disagree
+propertyDetailsCacheSchema.statics.findConflicted = async function({ severity, field, page = 1, limit = 50 } = {}) {
+  const query = { 'conflicts.0': { $exists: true } };
+  if (severity || field) {
+    query.conflicts = {
+      $elemMatch: {
+        ...(severity ? { severity } : {}),
+        ...(field ? { field } : {})
+      }
+    };
+  }
+  
+  const [items, total] = await Promise.all([
+    this.find(query)
+      .sort({ 'dataQuality.score': 1, lastAccessed: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('propertyId address providerIds conflicts dataQuality lastAccessed')
+      .lean(),
+    this.countDocuments(query)
+  ]);
+  
+  return { items, total, page, pages: Math.ceil(total / limit) };
+};
+
 // 🔍 Add indexes for efficient querying
 propertyDetailsCacheSchema.index({ propertyId: 1, dataSource: 1 }, { unique: true });
 propertyDetailsCacheSchema.index({ 'address.city': 1, 'address.state': 1 });
 propertyDetailsCacheSchema.index({ createdAt: -1, accessCount: -1 });
 propertyDetailsCacheSchema.index({ lastAccessed: -1 });
+propertyDetailsCacheSchema.index({ 'conflicts.severity': 1, 'dataQuality.score': 1 });
 
 module.exports = mongoose.model('PropertyDetailsCache', propertyDetailsCacheSchema);
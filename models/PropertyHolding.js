@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+/**
+ * Cap table entry - how many shares of a fractional property a user holds.
+ * One document per (property, user); the sum of `shares` across a property
+ * is its outstanding supply.
+ */
+const PropertyHoldingSchema = new mongoose.Schema(
+  {
+    propertyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    shares: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    // Shares escrowed by open sell orders; they still count as held but can't be moved
+    lockedShares: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Average-cost basis of the shares currently held, in FXCT
+    costBasisFxct: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      get: function(value) {
+        return value ? parseFloat(value.toString()) : 0;
+      },
+    },
+    firstAcquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+PropertyHoldingSchema.index({ propertyId: 1, userId: 1 }, { unique: true });
+PropertyHoldingSchema.index({ userId: 1, shares: 1 });
+
+/**
+ * Current holders of a property with their share of the outstanding supply
+ */
+PropertyHoldingSchema.statics.getCapTable = async function(propertyId, options = {}) {
+  const holdings = await this.find({ propertyId, shares: { $gt: 0 } })
+    .sort({ shares: -1 })
+    .session(options.session || null)
+    .lean();
+
+  const sharesOutstanding = holdings.reduce((sum, h) => sum + h.shares, 0);
+
+  return {
+    propertyId,
+    sharesOutstanding,
+    holderCount: holdings.length,
+    holders: holdings.map(h => ({
+      userId: h.userId,
+      shares: h.shares,
+      ownershipPercent: sharesOutstanding > 0 ? (h.shares / sharesOutstanding) * 100 : 0,
+      firstAcquiredAt: h.firstAcquiredAt
+    }))
+  };
+};
+
+module.exports = mongoose.model("PropertyHolding", PropertyHoldingSchema);
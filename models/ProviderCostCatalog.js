@@ -0,0 +1,72 @@
+/**
+ * Provider Cost Catalog
+ *
+ * Each document is a full, immutable snapshot of provider costs. Versions form
+ * a single line: every new version is based on the latest one, carries the
+ * diff against it, and takes effect at effectiveFrom. The version in force is
+ * the newest non-cancelled one whose effectiveFrom has passed.
+ *
+ * catalog shape:
+ * - costs: { BASIC: { defaultCost, description, providers: { zillow: 0.1 } }, ... }
+ * - dataTypeMapping: { endpoint: dataType }
+ * - enrichmentAPIs: { name: { dataType, cost } }
+ * - providers: per-provider pricing (same shape as config/providerPricing.js)
+ */
+
+const mongoose = require('mongoose');
+
+const CatalogDiffSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  op: { type: String, enum: ['added', 'removed', 'changed'], required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const ProviderCostCatalogSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Human-readable semantic version, continued from config/providerCosts.json
+  label: {
+    type: String,
+    required: true
+  },
+  description: String,
+  catalog: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['seed', 'admin', 'rollback', 'override'],
+    default: 'admin'
+  },
+  baseVersion: Number,
+  rolledBackTo: Number,
+  overrideId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProviderPriceOverride' },
+  diff: [CatalogDiffSchema],
+  note: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ProviderCostCatalogSchema.index({ status: 1, effectiveFrom: -1, version: -1 });
+
+module.exports = mongoose.model('ProviderCostCatalog', ProviderCostCatalogSchema);
@@ -0,0 +1,89 @@
+/**
+ * Purchase Intent Model
+ *
+ * One FXCT top-up purchase, from checkout creation through provider
+ * confirmation and any later refund or chargeback. Intents are persisted so
+ * an in-flight purchase survives restarts and webhooks that arrive late can
+ * still be matched and credited.
+ */
+
+const mongoose = require('mongoose');
+
+const PurchaseIntentSchema = new mongoose.Schema({
+  intentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  amountFxct: { type: Number, required: true, min: 0 },
+  amountUsd: { type: Number, required: true, min: 0 },
+  fxctUsdPrice: { type: Number, required: true }, // Quote used to price the purchase
+  provider: {
+    type: String,
+    required: true
+  },
+  // Checkout session / charge id at the provider
+  providerRef: String,
+  // Underlying payment id that refunds and disputes reference (e.g. Stripe PaymentIntent)
+  paymentRef: String,
+  checkoutUrl: String,
+  live: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'expired', 'refunded', 'disputed'],
+    default: 'pending',
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'overage', 'auto_topup'],
+    default: 'manual'
+  },
+  // Wallet ledger entries for the credit and any reversal
+  creditTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  reversals: [{
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+    reason: { type: String, enum: ['refunded', 'disputed'] },
+    disputeRef: String, // Provider dispute (or event) the reversal belongs to
+    amountFxct: Number,
+    shortfallFxct: Number, // Portion the wallet could not cover
+    createdAt: { type: Date, default: Date.now }
+  }],
+  reversedFxct: { type: Number, default: 0 },
+  refundedUsd: { type: Number, default: 0 },
+  // Provider webhook events already applied, for deduplication
+  events: [{
+    eventId: String,
+    type: String,
+    receivedAt: { type: Date, default: Date.now }
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  failureReason: String,
+  expiresAt: { type: Date, required: true },
+  completedAt: Date,
+  failedAt: Date,
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+PurchaseIntentSchema.index({ userId: 1, createdAt: -1 });
+PurchaseIntentSchema.index({ status: 1, expiresAt: 1 });
+PurchaseIntentSchema.index({ provider: 1, providerRef: 1 });
+PurchaseIntentSchema.index({ provider: 1, paymentRef: 1 });
+
+module.exports = mongoose.model('PurchaseIntent', PurchaseIntentSchema);
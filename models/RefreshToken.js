@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+/**
+ * Refresh tokens are stored hashed, one chain ("family") per device session.
+ * Every rotation marks the presented token as used and issues a successor in
+ * the same family, so presenting an already-used token means it was stolen
+ * and the whole family gets revoked.
+ */
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Matches UserSession.sessionId for the device this chain belongs to
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the raw token; the raw value only ever lives in the cookie
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'reuse_detected', 'admin_force_logout', 'user_suspended', 'password_reset', 'role_changed', null],
+      default: null,
+    },
+    ipAddress: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ familyId: 1 });
+RefreshTokenSchema.index({ sessionId: 1 });
+// Let MongoDB drop tokens once they can no longer be redeemed
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Token can still be exchanged for a new pair
+RefreshTokenSchema.methods.isRedeemable = function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+/**
+ * Append-only history of share movements for fractional properties.
+ * Issuances come from the property (no `fromUserId`), transfers move shares
+ * between two holders, adjustments are admin corrections.
+ */
+const ShareTransactionSchema = new mongoose.Schema(
+  {
+    propertyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["issuance", "transfer", "adjustment"],
+      required: true,
+    },
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    shares: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    pricePerShareFxct: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      get: function(value) {
+        return value ? parseFloat(value.toString()) : 0;
+      },
+    },
+    // Cost basis removed from the sender by this movement (transfers only)
+    costBasisTransferredFxct: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      get: function(value) {
+        return value ? parseFloat(value.toString()) : 0;
+      },
+    },
+    // Purchase order, trade or admin ticket this movement belongs to
+    ref: String,
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: String,
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+ShareTransactionSchema.index({ propertyId: 1, createdAt: -1 });
+ShareTransactionSchema.index({ fromUserId: 1, createdAt: -1 });
+ShareTransactionSchema.index({ toUserId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ShareTransaction", ShareTransactionSchema);
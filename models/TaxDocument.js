@@ -0,0 +1,57 @@
+/**
+ * Tax Document Model
+ *
+ * Generated year-end tax summaries, stored so investors and admins can
+ * download the exact file that was issued. Regenerating a year keeps the
+ * earlier versions, marked superseded.
+ */
+
+const mongoose = require('mongoose');
+
+const TaxDocumentSchema = new mongoose.Schema({
+  documentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taxYear: {
+    type: Number,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'pdf'],
+    required: true
+  },
+  version: { type: Number, default: 1 },
+  status: {
+    type: String,
+    enum: ['ready', 'superseded'],
+    default: 'ready'
+  },
+  filename: { type: String, required: true },
+  contentType: { type: String, required: true },
+  content: { type: Buffer, required: true },
+  sizeBytes: Number,
+  checksum: String, // sha256 of content
+  // Headline totals at generation time, so listings don't need the file
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  downloadCount: { type: Number, default: 0 },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true
+});
+
+TaxDocumentSchema.index({ userId: 1, taxYear: -1, format: 1, version: -1 });
+
+module.exports = mongoose.model('TaxDocument', TaxDocumentSchema);
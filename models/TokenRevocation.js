@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Denylist entries for access tokens that must stop working before they expire.
+ * `kind` is `session`: every token minted for a device session, matched against
+ * the JWT `sid` claim.
+ */
+const TokenRevocationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['session'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Once every token the entry could match has expired it is no longer needed
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+TokenRevocationSchema.index({ kind: 1, value: 1 }, { unique: true });
+TokenRevocationSchema.index({ userId: 1, expiresAt: 1 });
+TokenRevocationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("TokenRevocation", TokenRevocationSchema);
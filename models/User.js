@@ -124,6 +124,11 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Access tokens issued before this instant are rejected by verifyToken
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
     // 🔴 Real-time tracking fields
     isOnline: {
       type: Boolean,
@@ -2,13 +2,14 @@
  * Wallet System Models
  * 
  * MongoDB/Mongoose models for the FXCT internal wallet system:
- * - Internal custodial wallets per user
+ * - Internal custodial wallets per user and pooled organization wallets
  * - Wallet balances with available/pending amounts
  * - Comprehensive transaction ledger
  * - Token issuances from plan renewals
  * - Withdrawal tracking and status
  * - External wallet connections
  * - Deposit tracking
+ * - Wallet-to-wallet transfers
  * - FXCT pricing rates (extends existing)
  * - Usage ledger integration
  */
@@ -16,14 +17,19 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('crypto').randomUUID || require('uuid').v4;
 
-// Wallet Schema - One custodial wallet per user
+// Wallet Schema - One custodial wallet per user, plus one pooled wallet per organization
 const WalletSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true, // One wallet per user
-    index: true
+    required: function() { return !this.organizationId; },
+    index: true // Lookups; uniqueness is the partial index below
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    unique: true,
+    sparse: true
   },
   status: {
     type: String,
@@ -38,7 +44,39 @@ const WalletSchema = new mongoose.Schema({
     frozenReason: String,
     frozenAt: Date,
     lastActivity: Date,
-    totalTransactions: { type: Number, default: 0 }
+    totalTransactions: { type: Number, default: 0 },
+    // Written when a transfer is recorded so concurrent transfers from this wallet serialize
+    lastTransferAt: Date
+  },
+  // Automatic FXCT purchase when the balance falls to the threshold
+  autoTopup: {
+    enabled: { type: Boolean, default: false },
+    thresholdFxct: { type: Number, min: 0 },
+    amountFxct: { type: Number, min: 0 },
+    monthlyCapUsd: { type: Number, min: 0 },
+    paymentMethod: {
+      provider: String,
+      customerId: String,       // Provider customer (e.g. Stripe cus_...)
+      paymentMethodId: String   // Saved card for off-session charges
+    },
+    // At most one top-up in flight; cleared when its purchase settles
+    inFlightIntentId: String,
+    inFlightSince: Date,
+    consecutiveFailures: { type: Number, default: 0 },
+    retryAfter: Date,
+    lastTriggeredAt: Date,
+    lastSucceededAt: Date,
+    updatedAt: Date
+  },
+  // FXCT spending budgets enforced by the deductFxct middleware (UTC day/month)
+  spendingCaps: {
+    dailyFxct: { type: Number, min: 0 },
+    monthlyFxct: { type: Number, min: 0 },
+    // Keyed by data type (BASIC, STANDARD, PRO_LOW, PRO_HIGH): { dailyFxct, monthlyFxct, blocked }
+    dataTypes: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    locked: { type: Boolean, default: false }, // Set by an admin; the user cannot change them
+    updatedBy: String,
+    updatedAt: Date
   }
 }, {
   timestamps: true
@@ -375,6 +413,76 @@ const ExternalWalletLinkSchema = new mongoose.Schema({
 ExternalWalletLinkSchema.index({ address: 1, network: 1 }, { unique: true });
 ExternalWalletLinkSchema.index({ userId: 1, isActive: 1 });
 
+// Wallet Transfer Schema - User-initiated FXCT transfers between wallets
+const WalletTransferSchema = new mongoose.Schema({
+  transferId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromWalletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  toWalletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  toOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  amountFxct: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    get: function(value) {
+      return value ? parseFloat(value.toString()) : 0;
+    }
+  },
+  note: {
+    type: String,
+    maxlength: 280
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  // Client-supplied key, scoped to the sender
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  debitTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  creditTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletLedger' },
+  failureReason: String,
+  requestContext: {
+    ipAddress: String,
+    userAgent: String
+  },
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+WalletTransferSchema.index({ fromUserId: 1, createdAt: -1 });
+WalletTransferSchema.index({ toUserId: 1, createdAt: -1 });
+WalletTransferSchema.index({ toOrganizationId: 1, createdAt: -1 });
+
 // Enhanced Usage Ledger Schema - Extends existing for wallet integration
 const WalletUsageLedgerSchema = new mongoose.Schema({
   userId: {
@@ -389,6 +497,11 @@ const WalletUsageLedgerSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when a member's call was billed to their organization's pooled wallet
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   pid: String, // Property ID
   dataType: {
     type: String,
@@ -438,8 +551,17 @@ const WalletUsageLedgerSchema = new mongoose.Schema({
 WalletUsageLedgerSchema.index({ userId: 1, createdAt: -1 });
 WalletUsageLedgerSchema.index({ walletId: 1, createdAt: -1 });
 WalletUsageLedgerSchema.index({ dataType: 1, createdAt: -1 });
+WalletUsageLedgerSchema.index({ organizationId: 1, createdAt: -1 }, { sparse: true });
 
 // Create models
+// One wallet per user; organization wallets have no userId. Deployments created
+// before organization wallets carry a plain unique userId_1 index that must be
+// replaced first: scripts/admin-utils/migrate-wallet-user-index.js
+WalletSchema.index(
+  { userId: 1 },
+  { name: 'userId_wallet_unique', unique: true, partialFilterExpression: { userId: { $type: 'objectId' } } }
+);
+
 const Wallet = mongoose.model('Wallet', WalletSchema);
 const WalletBalance = mongoose.model('WalletBalance', WalletBalanceSchema);
 const WalletLedger = mongoose.model('WalletLedger', WalletLedgerSchema);
@@ -447,6 +569,7 @@ const WalletIssuance = mongoose.model('WalletIssuance', WalletIssuanceSchema);
 const WalletWithdrawal = mongoose.model('WalletWithdrawal', WalletWithdrawalSchema);
 const WalletDeposit = mongoose.model('WalletDeposit', WalletDepositSchema);
 const ExternalWalletLink = mongoose.model('ExternalWalletLink', ExternalWalletLinkSchema);
+const WalletTransfer = mongoose.model('WalletTransfer', WalletTransferSchema);
 const WalletUsageLedger = mongoose.model('WalletUsageLedger', WalletUsageLedgerSchema);
 
 module.exports = {
@@ -457,5 +580,6 @@ module.exports = {
   WalletWithdrawal,
   WalletDeposit,
   ExternalWalletLink,
+  WalletTransfer,
   WalletUsageLedger
 };
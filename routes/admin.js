@@ -17,6 +17,12 @@ const websocketService = require('../services/websocketService');
 const dailyWorkflowService = require('../services/dailyWorkflowService');
 const helpScoutService = require('../services/helpScoutService');
 const slackService = require('../services/slackService');
+const tokenService = require('../services/tokenService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const { overageHandlerService } = require('../services/overageHandlerService');
+const spendingCapService = require('../services/spendingCapService');
+const walletTransferService = require('../services/walletTransferService');
+const ledgerReconciliationService = require('../services/ledgerReconciliationService');
 
 // Helper function to generate secure temporary passwords
 function generateTempPassword() {
@@ -278,6 +284,15 @@ router.put("/users/:id", verifyToken, authorizeAdmin, async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password -twoFactorSecret');
 
+    // Make role and suspension changes effective for tokens already in circulation
+    if (suspended === true && !user.suspended) {
+      await tokenService.revokeAllForUser(req.params.id, 'user_suspended');
+    } else if (role !== undefined && role !== user.role) {
+      await tokenRevocationService.revokeAllBefore(req.params.id, 'role_changed');
+    } else if (suspended !== undefined) {
+      await tokenRevocationService.invalidate(req.params.id);
+    }
+
     res.json({ 
       msg: "User updated successfully", 
       user: updatedUser 
@@ -350,6 +365,258 @@ router.get("/users/:id/transactions", verifyToken, authorizeAdmin, async (req, r
   }
 });
 
+// ✅ List FXCT Purchases
+router.get("/purchases", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { userId, status, provider, page = 1, limit = 50 } = req.query;
+    const result = await overageHandlerService.listPurchases(
+      { userId, status, provider },
+      { page: parseInt(page), limit: Math.min(parseInt(limit), 200) }
+    );
+
+    res.json({ ...result, metrics: overageHandlerService.getMetrics() });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch purchases", error: err.message });
+  }
+});
+
+// ✅ Refund FXCT Purchase
+router.post("/purchases/:intentId/refund", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { amountUsd, reason, force = false } = req.body;
+    if (!reason) return res.status(400).json({ msg: "Refund reason is required" });
+
+    const { intent, refund } = await overageHandlerService.refundPurchase(req.params.intentId, {
+      amountUsd: amountUsd ? parseFloat(amountUsd) : undefined,
+      reason,
+      force: force === true,
+      processedBy: req.user.id
+    });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: intent.userId,
+      action: `Admin refunded FXCT purchase ${intent.intentId}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        refundedUsd: intent.refundedUsd,
+        reversedFxct: intent.reversedFxct,
+        refundRef: refund.refundRef,
+        manual: refund.manual || false,
+        reason
+      }
+    });
+
+    res.json({
+      msg: refund.manual ? "Credit reversed - send the on-chain refund manually" : "Purchase refunded",
+      purchase: intent,
+      refund
+    });
+  } catch (err) {
+    res.status(400).json({ msg: "Refund failed", error: err.message });
+  }
+});
+
+// ✅ List FXCT Transfers (audit view)
+router.get("/transfers", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { userId, status, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const result = await walletTransferService.listAll(
+      { userId, status, startDate, endDate },
+      { page: parseInt(page), limit: Math.min(parseInt(limit), 200) }
+    );
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch transfers", error: err.message });
+  }
+});
+
+// ✅ List Ledger Reconciliation Runs
+router.get("/ledger-reconciliation/runs", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await ledgerReconciliationService.listRuns({
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+    res.json({ ...result, inProgress: ledgerReconciliationService.running });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch reconciliation runs", error: err.message });
+  }
+});
+
+// ✅ Get Ledger Reconciliation Run
+router.get("/ledger-reconciliation/runs/:runId", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await ledgerReconciliationService.getRun(req.params.runId);
+    res.json(result);
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ msg: "Failed to fetch reconciliation run", error: err.message });
+  }
+});
+
+// ✅ Run Ledger Reconciliation Now
+router.post("/ledger-reconciliation/run", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    if (ledgerReconciliationService.running) {
+      return res.status(409).json({ msg: "A reconciliation run is already in progress" });
+    }
+
+    const { walletId, freezeOnMismatch } = req.body;
+    const options = {
+      trigger: 'manual',
+      triggeredBy: req.user.id,
+      walletId: walletId || null,
+      ...(typeof freezeOnMismatch === 'boolean' ? { freezeOnMismatch } : {})
+    };
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin started ledger reconciliation${walletId ? ` for wallet ${walletId}` : ''}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        walletId: walletId || null,
+        freezeOnMismatch: options.freezeOnMismatch ?? null
+      }
+    });
+
+    // A single wallet is quick; a full pass runs in the background
+    if (walletId) {
+      const run = await ledgerReconciliationService.runReconciliation(options);
+      return res.json({ msg: "Reconciliation complete", run });
+    }
+
+    ledgerReconciliationService.runReconciliation(options).catch(err => {
+      console.error('❌ Manual ledger reconciliation failed:', err);
+    });
+    res.status(202).json({ msg: "Reconciliation started" });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to run reconciliation", error: err.message });
+  }
+});
+
+// ✅ List Ledger Discrepancies
+router.get("/ledger-reconciliation/discrepancies", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { status = 'open', type, walletId, severity, page = 1, limit = 50 } = req.query;
+    const result = await ledgerReconciliationService.listDiscrepancies(
+      { status: status === 'all' ? null : status, type, walletId, severity },
+      { page: parseInt(page), limit: Math.min(parseInt(limit), 200) }
+    );
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch discrepancies", error: err.message });
+  }
+});
+
+// ✅ Acknowledge or Resolve Ledger Discrepancy
+router.post("/ledger-reconciliation/discrepancies/:id/resolve", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { status = 'resolved', note, unfreeze = false } = req.body;
+    const discrepancy = await ledgerReconciliationService.updateDiscrepancy(req.params.id, {
+      status,
+      note,
+      resolvedBy: req.user.id,
+      unfreeze: unfreeze === true
+    });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: discrepancy.userId || req.user.id,
+      action: `Admin marked ledger discrepancy ${discrepancy._id} ${status}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        walletId: discrepancy.walletId,
+        discrepancyType: discrepancy.type,
+        note,
+        unfreeze: unfreeze === true
+      }
+    });
+
+    res.json({ msg: `Discrepancy ${status}`, discrepancy });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : err.message.startsWith('Status must') ? 400 : 500;
+    res.status(status).json({ msg: "Failed to update discrepancy", error: err.message });
+  }
+});
+
+// ✅ Get User Spending Caps
+router.get("/users/:id/spending-caps", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const caps = await spendingCapService.getCaps(req.params.id);
+    res.json({ caps });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch spending caps", error: err.message });
+  }
+});
+
+// ✅ Set User Spending Caps
+router.put("/users/:id/spending-caps", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id email');
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const { dailyFxct, monthlyFxct, dataTypes, locked = true } = req.body;
+    const toLimit = (value) => value === undefined || value === null || value === '' ? null : parseFloat(value);
+    const caps = await spendingCapService.setCaps(req.params.id, {
+      dailyFxct: toLimit(dailyFxct),
+      monthlyFxct: toLimit(monthlyFxct),
+      dataTypes: Object.fromEntries(Object.entries(dataTypes || {}).map(([dataType, rule]) => [dataType, {
+        dailyFxct: toLimit(rule.dailyFxct),
+        monthlyFxct: toLimit(rule.monthlyFxct),
+        blocked: rule.blocked === true
+      }]))
+    }, { updatedBy: req.user.id, admin: true, locked: locked === true });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.params.id,
+      action: `Admin set FXCT spending caps for ${user.email}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        dailyFxct: caps.daily?.limitFxct ?? null,
+        monthlyFxct: caps.monthly?.limitFxct ?? null,
+        dataTypes: req.body.dataTypes || {},
+        locked: caps.locked
+      }
+    });
+
+    res.json({ msg: "Spending caps updated", caps });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to set spending caps", error: err.message });
+  }
+});
+
+// ✅ Remove User Spending Caps
+router.delete("/users/:id/spending-caps", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id email');
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const caps = await spendingCapService.clearCaps(req.params.id, { updatedBy: req.user.id, admin: true });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.params.id,
+      action: `Admin removed FXCT spending caps for ${user.email}`,
+      metadata: { adminId: req.user.id, adminEmail: req.user.email }
+    });
+
+    res.json({ msg: "Spending caps removed", caps });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to remove spending caps", error: err.message });
+  }
+});
+
 // ✅ Get User Security Logs
 router.get("/users/:id/security-logs", verifyToken, authorizeAdmin, async (req, res) => {
   try {
@@ -444,6 +711,9 @@ router.post("/users/:id/promote", verifyToken, authorizeAdmin, async (req, res)
 
     if (!updated) return res.status(404).json({ msg: "User not found" });
 
+    // Existing tokens still carry the old role; force a refresh to pick up the new one
+    await tokenRevocationService.revokeAllBefore(updated._id, 'role_changed');
+
     res.json({ msg: "User promoted to admin", user: updated });
   } catch (err) {
     res.status(500).json({ msg: "Promotion failed", error: err.message });
@@ -461,6 +731,8 @@ router.post("/users/:id/demote", verifyToken, authorizeAdmin, async (req, res) =
 
     if (!updated) return res.status(404).json({ msg: "User not found" });
 
+    await tokenRevocationService.revokeAllBefore(updated._id, 'role_changed');
+
     res.json({ msg: "Admin demoted to user", user: updated });
   } catch (err) {
     res.status(500).json({ msg: "Demotion failed", error: err.message });
@@ -478,6 +750,8 @@ router.post("/users/:id/suspend", verifyToken, authorizeAdmin, async (req, res)
 
     if (!updated) return res.status(404).json({ msg: "User not found" });
 
+    await tokenService.revokeAllForUser(updated._id, 'user_suspended');
+
     res.json({ msg: "User suspended successfully", user: updated });
   } catch (err) {
     res.status(500).json({ msg: "Suspension failed", error: err.message });
@@ -495,6 +769,8 @@ router.post("/users/:id/unsuspend", verifyToken, authorizeAdmin, async (req, res
 
     if (!updated) return res.status(404).json({ msg: "User not found" });
 
+    await tokenRevocationService.invalidate(updated._id);
+
     res.json({ msg: "User unsuspended successfully", user: updated });
   } catch (err) {
     res.status(500).json({ msg: "Unsuspension failed", error: err.message });
@@ -507,6 +783,8 @@ router.delete("/users/:id", verifyToken, authorizeAdmin, async (req, res) => {
     const deleted = await User.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ msg: "User not found" });
 
+    await tokenService.revokeAllForUser(req.params.id, 'admin_force_logout');
+
     res.json({ msg: "User deleted successfully", userId: req.params.id });
   } catch (err) {
     res.status(500).json({ msg: "Deletion failed", error: err.message });
@@ -549,6 +827,8 @@ router.post("/users/:id/reset-password", verifyToken, authorizeAdmin, async (req
       passwordResetBy: req.user.id
     });
 
+    await tokenService.revokeAllForUser(req.params.id, 'password_reset');
+
     // Build response - only return temp password if it was generated
     const response = {
       msg: "Password reset successfully", 
@@ -600,6 +880,8 @@ router.post("/users/:id/force-password-change", verifyToken, authorizeAdmin, asy
       passwordChangedBy: req.user.id
     });
 
+    await tokenService.revokeAllForUser(req.params.id, 'password_reset');
+
     res.json({
       msg: "Password changed successfully",
       userId: req.params.id,
@@ -712,6 +994,7 @@ router.post("/users/bulk/:action", verifyToken, authorizeAdmin, async (req, res)
         break;
       case 'delete':
         const deleteResult = await User.deleteMany({ _id: { $in: userIds } });
+        await Promise.all(userIds.map(id => tokenService.revokeAllForUser(id, 'admin_force_logout')));
         return res.json({ 
           msg: `${deleteResult.deletedCount} users deleted successfully`,
           deletedCount: deleteResult.deletedCount 
@@ -725,6 +1008,12 @@ router.post("/users/bulk/:action", verifyToken, authorizeAdmin, async (req, res)
       updateQuery
     );
 
+    if (action === 'suspend') {
+      await Promise.all(userIds.map(id => tokenService.revokeAllForUser(id, 'user_suspended')));
+    } else {
+      await Promise.all(userIds.map(id => tokenRevocationService.invalidate(id)));
+    }
+
     res.json({ 
       msg: successMessage,
       modifiedCount: updateResult.modifiedCount,
@@ -736,6 +1025,13 @@ router.post("/users/bulk/:action", verifyToken, authorizeAdmin, async (req, res)
 });
 
 const Property = require("../models/Property"); // adjust path if needed
+const PropertyHolding = require("../models/PropertyHolding");
+const incomeDistributionService = require('../services/incomeDistributionService');
+const holdingsService = require('../services/holdingsService');
+const offeringService = require('../services/offeringService');
+const orderBookService = require('../services/orderBookService');
+const portfolioService = require('../services/portfolioService');
+const taxReportingService = require('../services/taxReportingService');
 
 // 🔍 List all properties for review
 router.get("/properties", verifyToken, authorizeAdmin, async (req, res) => {
@@ -801,6 +1097,15 @@ router.get("/token-analytics", verifyToken, authorizeAdmin, (req, res) => {
 
 const NetworkAnalytics = require("../models/NetworkAnalytics");
 const ProviderPriceOverride = require("../models/ProviderPriceOverride");
+const { costTableService } = require('../services/costTableService');
+const { fxctRatesService } = require('../services/fxctRatesService');
+const pricingSimulatorService = require('../services/pricingSimulatorService');
+const { priceFeedService } = require('../services/priceFeedService');
+const PropertyDetailsCache = require("../models/PropertyDetailsCache");
+const propertyProviders = require('../services/propertyProviders');
+const propertyMergeService = require('../services/propertyMergeService');
+const providerResilience = require('../services/providerResilience');
+const cacheService = require('../services/cacheService');
 
 router.get("/audit-logs", verifyToken, authorizeAdmin, async (req, res) => {
   try {
@@ -2106,13 +2411,14 @@ router.post("/users/:id/logout", verifyToken, authorizeAdmin, async (req, res) =
   try {
     const { id } = req.params;
     
-    // In a real implementation, you'd invalidate user sessions/tokens
+    const revocation = await tokenService.revokeAllForUser(id, 'admin_force_logout');
     console.log(`🔐 Admin force logout for user: ${id}`);
     
     res.json({
       msg: "User sessions terminated successfully",
       userId: id,
-      actionBy: req.user.email
+      actionBy: req.user.email,
+      ...revocation
     });
   } catch (err) {
     res.status(500).json({ msg: "Failed to logout user", error: err.message });
@@ -2621,24 +2927,18 @@ router.post("/security/force-logout", verifyToken, authorizeAdmin, async (req, r
     
     let result;
     if (sessionId && sessionId !== 'all') {
-      // Terminate specific session
-      result = await UserSession.findOneAndUpdate(
-        { _id: sessionId, userId: userId },
-        { 
-          isActive: false, 
-          logoutTime: new Date()
-        },
-        { new: true }
-      );
+      // Terminate specific session (sessionId here is the UserSession document id)
+      const session = await UserSession.findOne({ _id: sessionId, userId: userId });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          msg: 'Session not found'
+        });
+      }
+      result = await tokenService.revokeSession(userId, session.sessionId, 'admin_force_logout');
     } else {
-      // Terminate all sessions for user
-      result = await UserSession.updateMany(
-        { userId: userId, isActive: true },
-        { 
-          isActive: false, 
-          logoutTime: new Date()
-        }
-      );
+      // Terminate all sessions and refresh tokens for user
+      result = await tokenService.revokeAllForUser(userId, 'admin_force_logout');
     }
     
     // Log the admin action
@@ -2656,7 +2956,8 @@ router.post("/security/force-logout", verifyToken, authorizeAdmin, async (req, r
     res.json({
       success: true,
       msg: `User sessions terminated successfully`,
-      terminatedSessions: sessionId === 'all' ? result.modifiedCount : 1
+      terminatedSessions: result.sessionsTerminated,
+      revokedTokens: result.tokensRevoked
     });
   } catch (err) {
     console.error('❌ Force logout error:', err);
@@ -2791,6 +3092,12 @@ router.post("/security/action", verifyToken, authorizeAdmin, async (req, res) =>
     if (Object.keys(updateData).length > 0) {
       await User.findByIdAndUpdate(userId, updateData);
     }
+
+    if (action === 'suspend') {
+      await tokenService.revokeAllForUser(userId, 'user_suspended');
+    } else if (action === 'unsuspend') {
+      await tokenRevocationService.invalidate(userId);
+    }
     
     // Log the admin action
     await AuditLog.create({
@@ -4983,14 +5290,15 @@ router.post("/users/:id/force-logout-all-devices", verifyToken, authorizeAdmin,
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ msg: "User not found" });
 
-    // Simulate forcing logout on all devices
+    const revocation = await tokenService.revokeAllForUser(req.params.id, 'admin_force_logout');
+
     const logoutAction = {
       userId: req.params.id,
       actionBy: req.user.id,
       timestamp: new Date(),
       reason: reason || 'Admin security action',
-      devicesAffected: 3,
-      sessionsTerminated: 5,
+      sessionsTerminated: revocation.sessionsTerminated,
+      refreshTokensRevoked: revocation.tokensRevoked,
       
       securityMeasures: [
         'All active sessions terminated',
@@ -5214,197 +5522,33 @@ router.get("/users/:id/portfolio", verifyToken, authorizeAdmin, async (req, res)
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ msg: "User not found" });
     
-    // Mock portfolio data - replace with real Portfolio/Investment models
+    const [valuation, history, statement] = await Promise.all([
+      portfolioService.getPortfolio(req.params.id),
+      holdingsService.getHistory({ userId: req.params.id }, { limit: 10 }),
+      incomeDistributionService.getInvestorStatement(req.params.id)
+    ]);
+
     const portfolio = {
       userId: req.params.id,
-      lastUpdated: new Date(),
-      
-      overview: {
-        totalValue: 125750.50,
-        totalInvested: 100000,
-        unrealizedGains: 25750.50,
-        realizedGains: 8240.75,
-        totalReturn: 33991.25,
-        returnPercentage: 34.0,
-        portfolioScore: 85, // Risk-adjusted performance score
-        diversificationScore: 78
-      },
-      
-      assetAllocation: {
-        realEstate: {
-          value: 85000,
-          percentage: 67.6,
-          properties: 8,
-          avgReturn: 12.5
-        },
-        tokens: {
-          fxct: { value: 25000, percentage: 19.9, tokens: 25000 },
-          fxst: { value: 15750.50, percentage: 12.5, tokens: 15750.50 }
-        }
-      },
+      lastUpdated: valuation.lastUpdated,
       
-      properties: [
-        {
-          id: 'prop_001',
-          name: 'Manhattan Luxury Apartment',
-          type: 'residential',
-          location: 'New York, NY',
-          investmentAmount: 25000,
-          currentValue: 28750,
-          ownership: 5.0, // percentage
-          monthlyIncome: 312.50,
-          annualReturn: 15.2,
-          status: 'active',
-          purchaseDate: '2024-03-15',
-          lastValuation: '2024-07-30'
-        },
-        {
-          id: 'prop_002',
-          name: 'Downtown Office Complex',
-          type: 'commercial',
-          location: 'Chicago, IL',
-          investmentAmount: 35000,
-          currentValue: 37200,
-          ownership: 2.8,
-          monthlyIncome: 425.00,
-          annualReturn: 11.8,
-          status: 'active',
-          purchaseDate: '2024-01-20',
-          lastValuation: '2024-07-28'
-        },
-        {
-          id: 'prop_003',
-          name: 'Suburban Retail Center',
-          type: 'retail',
-          location: 'Austin, TX',
-          investmentAmount: 15000,
-          currentValue: 16800,
-          ownership: 1.5,
-          monthlyIncome: 189.00,
-          annualReturn: 18.5,
-          status: 'active',
-          purchaseDate: '2024-05-10',
-          lastValuation: '2024-07-25'
-        }
-      ],
+      overview: valuation.overview,
       
-      performanceMetrics: {
-        monthlyReturns: [
-          { month: 'Jan 2024', return: 2.1 },
-          { month: 'Feb 2024', return: 1.8 },
-          { month: 'Mar 2024', return: 3.2 },
-          { month: 'Apr 2024', return: 2.7 },
-          { month: 'May 2024', return: 4.1 },
-          { month: 'Jun 2024', return: 1.9 },
-          { month: 'Jul 2024', return: 2.8 }
-        ],
-        
-        riskMetrics: {
-          sharpeRatio: 1.45,
-          volatility: 8.2, // annualized
-          maxDrawdown: -3.1,
-          beta: 0.85, // relative to real estate market
-          var95: -2.8 // Value at Risk 95%
-        },
-        
-        benchmarkComparison: {
-          spReit: { return: 8.9, outperformance: +25.1 },
-          realEstateIndex: { return: 11.2, outperformance: +22.8 },
-          sp500: { return: 12.1, outperformance: +21.9 }
-        }
-      },
+      properties: valuation.positions,
       
-      cashFlows: {
-        monthlyIncome: 926.50,
-        annualProjected: 11118.00,
-        yieldOnCost: 11.12,
-        
-        incomeBreakdown: [
-          { source: 'Rental Income', amount: 658.50, percentage: 71.1 },
-          { source: 'Dividend Distributions', amount: 185.00, percentage: 20.0 },
-          { source: 'Token Rewards', amount: 83.00, percentage: 8.9 }
-        ],
-        
-        upcomingPayments: [
-          { date: '2024-08-15', amount: 312.50, source: 'Manhattan Apartment' },
-          { date: '2024-08-20', amount: 425.00, source: 'Office Complex' },
-          { date: '2024-08-25', amount: 189.00, source: 'Retail Center' }
-        ]
+      income: {
+        distributions: statement.totals.distributions,
+        byProperty: statement.properties,
+        recent: statement.lines.slice(0, 10)
       },
       
       transactions: {
-        recent: [
-          {
-            date: '2024-07-28',
-            type: 'income',
-            amount: 926.50,
-            description: 'Monthly rental income',
-            properties: ['prop_001', 'prop_002', 'prop_003']
-          },
-          {
-            date: '2024-07-15',
-            type: 'investment',
-            amount: 20000,
-            description: 'Additional investment in prop_001',
-            properties: ['prop_001']
-          },
-          {
-            date: '2024-06-30',
-            type: 'income',
-            amount: 896.20,
-            description: 'Monthly rental income',
-            properties: ['prop_001', 'prop_002', 'prop_003']
-          }
-        ],
-        
-        summary: {
-          totalTransactions: 47,
-          totalInvestments: 100000,
-          totalIncome: 8926.50,
-          totalWithdrawals: 2500,
-          averageInvestment: 6250
-        }
+        recent: history.transactions,
+        total: history.pagination.total
       },
       
-      riskAnalysis: {
-        concentrationRisk: {
-          geographic: {
-            'New York': 45.8,
-            'Illinois': 29.6,
-            'Texas': 24.6
-          },
-          propertyType: {
-            'residential': 45.8,
-            'commercial': 29.6,
-            'retail': 24.6
-          }
-        },
-        
-        liquidityAnalysis: {
-          immediatelyLiquid: 15.2, // percentage
-          liquid30Days: 32.8,
-          liquid90Days: 67.4,
-          illiquid: 32.6
-        },
-        
-        recommendations: [
-          {
-            type: 'diversification',
-            priority: 'medium',
-            suggestion: 'Consider investing in international properties to reduce geographic concentration'
-          },
-          {
-            type: 'rebalancing',
-            priority: 'low',
-            suggestion: 'Portfolio allocation is well balanced across property types'
-          },
-          {
-            type: 'income_optimization',
-            priority: 'high',
-            suggestion: 'Consider reinvesting monthly income to compound returns'
-          }
-        ]
-      }
+      concentration: valuation.concentration,
+      performance: valuation.performance
     };
     
     res.json({ portfolio });
@@ -5413,6 +5557,19 @@ router.get("/users/:id/portfolio", verifyToken, authorizeAdmin, async (req, res)
   }
 });
 
+// ✅ User Share Holdings
+router.get("/users/:id/holdings", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const holdings = await holdingsService.getUserHoldings(req.params.id);
+    res.json({ holdings });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch holdings", error: err.message });
+  }
+});
+
 // ✅ Portfolio Performance Analytics
 router.get("/users/:id/portfolio/performance", verifyToken, authorizeAdmin, async (req, res) => {
   try {
@@ -5420,62 +5577,7 @@ router.get("/users/:id/portfolio/performance", verifyToken, authorizeAdmin, asyn
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ msg: "User not found" });
     
-    const performance = {
-      userId: req.params.id,
-      timeframe,
-      analysisDate: new Date(),
-      
-      performanceChart: generatePerformanceData(timeframe),
-      
-      kpis: {
-        totalReturn: {
-          value: 34.0,
-          benchmark: 11.2,
-          outperformance: +22.8
-        },
-        annualizedReturn: {
-          value: 28.5,
-          benchmark: 9.8,
-          outperformance: +18.7
-        },
-        volatility: {
-          value: 8.2,
-          benchmark: 12.1,
-          improvement: -3.9
-        },
-        sharpeRatio: {
-          value: 1.45,
-          benchmark: 0.81,
-          improvement: +0.64
-        }
-      },
-      
-      attribution: {
-        propertySelection: +12.3, // contribution to outperformance
-        timing: +3.2,
-        allocation: +7.3,
-        fees: -1.1,
-        other: +1.1
-      },
-      
-      drawdownAnalysis: {
-        maxDrawdown: -3.1,
-        currentDrawdown: -0.8,
-        recoveryDays: 45,
-        drawdownPeriods: [
-          { start: '2024-02-15', end: '2024-03-02', magnitude: -2.1 },
-          { start: '2024-05-20', end: '2024-06-10', magnitude: -3.1 },
-          { start: '2024-07-08', end: '2024-07-18', magnitude: -1.2 }
-        ]
-      },
-      
-      rollingReturns: {
-        '30d': 2.8,
-        '90d': 8.1,
-        '180d': 16.7,
-        '365d': 34.0
-      }
-    };
+    const performance = await portfolioService.getPerformance(req.params.id, timeframe);
     
     res.json({ performance });
   } catch (err) {
@@ -5489,126 +5591,37 @@ router.get("/users/:id/portfolio/risk-analysis", verifyToken, authorizeAdmin, as
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ msg: "User not found" });
     
-    const riskAnalysis = {
-      userId: req.params.id,
-      analysisDate: new Date(),
-      
-      overallRiskScore: 65, // 0-100 scale
-      riskProfile: 'moderate', // conservative, moderate, aggressive
-      
-      riskMetrics: {
-        concentration: {
-          score: 72,
-          geographic: 68, // higher = more concentrated
-          sector: 45,
-          property: 55,
-          recommendations: [
-            'Consider diversifying into west coast properties',
-            'Add industrial property exposure'
-          ]
-        },
-        
-        liquidity: {
-          score: 58,
-          immediateAccess: 15.2, // percentage of portfolio
-          thirtyDayAccess: 32.8,
-          ninetyDayAccess: 67.4,
-          recommendations: [
-            'Maintain higher cash reserves for opportunities',
-            'Consider REITs for improved liquidity'
-          ]
-        },
-        
-        creditRisk: {
-          score: 82, // lower score = higher risk
-          tenantQuality: 'A-',
-          occupancyRate: 94.2,
-          leaseExpiry: {
-            'within1Year': 25.0,
-            'within2Years': 45.0,
-            'beyond2Years': 30.0
-          },
-          recommendations: [
-            'Monitor upcoming lease renewals',
-            'Diversify tenant base'
-          ]
-        },
-        
-        marketRisk: {
-          score: 71,
-          correlationToMarket: 0.85,
-          interestRateSensitivity: 'medium',
-          economicSensitivity: 'medium-high',
-          recommendations: [
-            'Consider inflation-protected investments',
-            'Monitor interest rate environment'
-          ]
-        }
-      },
-      
-      stressTesting: {
-        scenarios: [
-          {
-            name: 'Market Crash (-30%)',
-            portfolioImpact: -18.5,
-            recoveryTime: '18-24 months'
-          },
-          {
-            name: 'Interest Rate Rise (+2%)',
-            portfolioImpact: -8.2,
-            recoveryTime: '6-12 months'
-          },
-          {
-            name: 'Recession',
-            portfolioImpact: -12.7,
-            recoveryTime: '12-18 months'
-          },
-          {
-            name: 'Inflation Spike (+3%)',
-            portfolioImpact: +4.1,
-            recoveryTime: 'N/A (positive)'
-          }
-        ]
-      },
-      
-      valueAtRisk: {
-        var95_1day: -1.2, // 95% confidence, 1 day
-        var95_1week: -2.8,
-        var95_1month: -5.4,
-        expectedShortfall: -7.1 // average loss beyond VaR
-      },
-      
-      recommendations: {
-        immediate: [
-          'Increase cash allocation to 10% for opportunities',
-          'Review concentration in New York market'
-        ],
-        medium_term: [
-          'Add international property exposure',
-          'Consider defensive sectors (healthcare, utilities)'
-        ],
-        long_term: [
-          'Implement systematic rebalancing strategy',
-          'Explore alternative real estate investments'
-        ]
-      }
-    };
-    
-    res.json({ riskAnalysis });
-  } catch (err) {
-    res.status(500).json({ msg: "Failed to fetch risk analysis", error: err.message });
-  }
-});
-
-// ===== PROPERTY MANAGEMENT =====
-
-// ✅ Property Portfolio Overview
-router.get("/properties/portfolio-overview", verifyToken, authorizeAdmin, async (req, res) => {
-  try {
-    const totalProperties = await Property.countDocuments();
-    
-    const portfolioOverview = {
-      lastUpdated: new Date(),
+    const riskAnalysis = await portfolioService.getRiskAnalysis(req.params.id);
+    
+    res.json({ riskAnalysis });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch risk analysis", error: err.message });
+  }
+});
+
+// ✅ Record Portfolio Snapshot (refreshes today's valuation for one user)
+router.post("/users/:id/portfolio/snapshot", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ msg: "User not found" });
+    
+    const snapshot = await portfolioService.recordSnapshot(req.params.id);
+    
+    res.json({ snapshot });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to record portfolio snapshot", error: err.message });
+  }
+});
+
+// ===== PROPERTY MANAGEMENT =====
+
+// ✅ Property Portfolio Overview
+router.get("/properties/portfolio-overview", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const totalProperties = await Property.countDocuments();
+    
+    const portfolioOverview = {
+      lastUpdated: new Date(),
       
       summary: {
         totalProperties,
@@ -5887,399 +5900,532 @@ router.post("/properties/:id/valuation", verifyToken, authorizeAdmin, async (req
   }
 });
 
-// ✅ Property Income Distribution
-router.post("/properties/:id/distribute-income", verifyToken, authorizeAdmin, async (req, res) => {
+// ✅ Configure Fractional Share Structure
+router.put("/properties/:id/tokenization", verifyToken, authorizeAdmin, async (req, res) => {
   try {
-    const { distributionAmount, distributionDate, notes } = req.body;
+    const { totalSupply, managementFeeRate, isFractional } = req.body;
     const property = await Property.findById(req.params.id);
     if (!property) return res.status(404).json({ msg: "Property not found" });
-    
-    const distribution = {
-      propertyId: req.params.id,
-      distributionId: `dist_${Date.now()}`,
-      amount: distributionAmount,
-      distributionDate: distributionDate || new Date(),
-      initiatedBy: req.user.id,
-      notes: notes || 'Monthly rental income distribution',
-      
-      calculations: {
-        grossIncome: distributionAmount * 1.25, // Before expenses
-        expenses: distributionAmount * 0.25,
-        netIncome: distributionAmount,
-        managementFee: distributionAmount * 0.08,
-        distributionToInvestors: distributionAmount * 0.92
-      },
-      
-      investorImpact: {
-        totalInvestors: 247,
-        totalTokensOutstanding: 3250000, // 65% of 5M tokens sold
-        distributionPerToken: (distributionAmount * 0.92 / 3250000).toFixed(6),
-        estimatedInvestorPayouts: {
-          'smallInvestor_1k': ((distributionAmount * 0.92 / 3250000) * 1000).toFixed(2),
-          'mediumInvestor_25k': ((distributionAmount * 0.92 / 3250000) * 25000).toFixed(2),
-          'largeInvestor_100k': ((distributionAmount * 0.92 / 3250000) * 100000).toFixed(2)
-        }
-      },
-      
-      processing: {
-        status: 'pending',
-        estimatedProcessingTime: '2-3 business days',
-        notificationsSent: false,
-        paymentMethod: 'automatic_transfer'
+
+    const sharesIssued = property.tokenization?.sharesIssued || 0;
+
+    if (totalSupply !== undefined) {
+      if (!Number.isInteger(Number(totalSupply)) || Number(totalSupply) < sharesIssued) {
+        return res.status(400).json({ msg: `totalSupply must be an integer of at least ${sharesIssued} (shares already issued)` });
       }
-    };
-    
-    console.log(`💸 Admin initiated income distribution of $${distributionAmount} for property ${req.params.id}`);
-    
+      property.tokenization.totalSupply = Number(totalSupply);
+    }
+    if (managementFeeRate !== undefined) property.tokenization.managementFeeRate = Number(managementFeeRate);
+    if (isFractional !== undefined) property.isFractional = !!isFractional;
+
+    await property.save();
+
     res.json({
-      msg: "Income distribution initiated successfully",
-      distribution
+      msg: "Tokenization updated",
+      propertyId: property._id,
+      isFractional: property.isFractional,
+      tokenization: property.tokenization
     });
   } catch (err) {
-    res.status(500).json({ msg: "Failed to initiate income distribution", error: err.message });
+    res.status(400).json({ msg: "Failed to update tokenization", error: err.message });
   }
 });
 
-// ===== TAX REPORTING =====
-
-// ✅ User Tax Summary
-router.get("/users/:id/tax-summary", verifyToken, authorizeAdmin, async (req, res) => {
+// ✅ Issue Shares to a User
+router.post("/properties/:id/issue-shares", verifyToken, authorizeAdmin, async (req, res) => {
   try {
-    const { taxYear = new Date().getFullYear() } = req.query;
-    const user = await User.findById(req.params.id);
+    const { userId, shares, pricePerShareFxct = 0, notes, idempotencyKey } = req.body;
+    if (!userId || !Number.isInteger(Number(shares)) || Number(shares) <= 0) {
+      return res.status(400).json({ msg: "userId and a positive integer shares are required" });
+    }
+
+    const user = await User.findById(userId);
     if (!user) return res.status(404).json({ msg: "User not found" });
-    
-    const taxSummary = {
-      userId: req.params.id,
-      taxYear: parseInt(taxYear),
-      generatedAt: new Date(),
-      
-      overview: {
-        totalIncome: 11250.75,
-        totalCapitalGains: 8450.25,
-        totalDividends: 9870.50,
-        totalDeductions: 1250.00,
-        netTaxableIncome: 28321.50,
-        estimatedTaxLiability: 6797.16
-      },
-      
-      rentalIncome: {
-        totalRentalIncome: 11250.75,
-        properties: [
-          {
-            propertyName: 'Manhattan Luxury Apartment',
-            grossIncome: 3750.25,
-            expenses: 1125.08,
-            netIncome: 2625.17,
-            depreciationDeduction: 875.00
-          },
-          {
-            propertyName: 'Chicago Office Complex',
-            grossIncome: 5100.00,
-            expenses: 1530.00,
-            netIncome: 3570.00,
-            depreciationDeduction: 1200.00
-          },
-          {
-            propertyName: 'Austin Retail Center',
-            grossIncome: 2400.50,
-            expenses: 720.15,
-            netIncome: 1680.35,
-            depreciationDeduction: 600.00
-          }
-        ],
-        
-        totalExpenses: {
-          management: 1875.23,
-          maintenance: 945.50,
-          insurance: 678.90,
-          taxes: 1245.00,
-          depreciation: 2675.00,
-          other: 455.60
-        }
-      },
-      
-      capitalGains: {
-        shortTerm: {
-          gains: 2450.00,
-          losses: 350.00,
-          netGains: 2100.00
-        },
-        longTerm: {
-          gains: 7250.25,
-          losses: 900.00,
-          netGains: 6350.25
-        },
-        totalNetCapitalGains: 8450.25,
-        
-        transactions: [
-          {
-            date: '2024-03-15',
-            propertyName: 'Downtown Condo',
-            type: 'sale',
-            salePrice: 125000,
-            costBasis: 120000,
-            gain: 5000,
-            holdingPeriod: 'long_term'
-          },
-          {
-            date: '2024-07-22',
-            tokenType: 'FXCT',
-            type: 'sale',
-            salePrice: 5450.25,
-            costBasis: 2000.00,
-            gain: 3450.25,
-            holdingPeriod: 'long_term'
-          }
-        ]
-      },
-      
-      dividendIncome: {
-        qualifiedDividends: 7890.50,
-        nonQualifiedDividends: 1980.00,
-        totalDividendIncome: 9870.50,
-        
-        sources: [
-          {
-            source: 'FractionaX REIT Distributions',
-            amount: 6750.50,
-            qualified: true
-          },
-          {
-            source: 'Property Income Distributions',
-            amount: 2120.00,
-            qualified: true
-          },
-          {
-            source: 'Token Staking Rewards',
-            amount: 1000.00,
-            qualified: false
-          }
-        ]
-      },
-      
-      deductions: {
-        standardDeduction: 13850, // 2024 standard deduction
-        itemizedDeductions: {
-          stateAndLocalTaxes: 5000, // SALT cap
-          mortgageInterest: 8750,
-          charitableContributions: 2500,
-          professionalFees: 1250,
-          total: 17500
-        },
-        recommendedDeduction: 'itemized', // Higher than standard
-        totalDeductions: 17500
-      },
-      
-      taxCalculations: {
-        adjustedGrossIncome: 29571.50,
-        taxableIncome: 12071.50, // AGI - deductions
-        federalTax: 1207.15, // Simplified calculation
-        stateTax: 603.58, // Assuming 5% state tax
-        totalTaxLiability: 1810.73,
-        
-        marginalTaxRate: 12, // Percent
-        effectiveTaxRate: 6.1 // Percent
-      },
-      
-      estimatedPayments: {
-        q1Payment: 450.00,
-        q2Payment: 450.00,
-        q3Payment: 450.00,
-        q4Payment: 450.00,
-        totalPaid: 1800.00,
-        remainingDue: 10.73,
-        overpaid: false
-      },
-      
-      forms: {
-        required: [
-          'Form 1040',
-          'Schedule E (Rental Income)',
-          'Schedule D (Capital Gains)',
-          'Schedule B (Dividend Income)',
-          'Form 8949 (Sales of Capital Assets)'
-        ],
-        
-        generated1099s: [
-          {
-            form: '1099-DIV',
-            payer: 'FractionaX Inc.',
-            amount: 9870.50,
-            qualified: 7890.50
-          },
-          {
-            form: '1099-MISC',
-            payer: 'Property Management Co.',
-            amount: 11250.75
-          }
-        ]
-      },
-      
-      recommendations: [
-        {
-          category: 'deductions',
-          suggestion: 'Maximize retirement contributions to reduce taxable income',
-          potentialSavings: 1500
-        },
-        {
-          category: 'timing',
-          suggestion: 'Consider tax-loss harvesting for remaining positions',
-          potentialSavings: 300
-        },
-        {
-          category: 'planning',
-          suggestion: 'Increase quarterly estimated payments for next year',
-          recommendedQuarterly: 500
-        }
-      ]
-    };
-    
-    res.json({ taxSummary });
+
+    const result = await holdingsService.issueShares({
+      propertyId: req.params.id,
+      userId,
+      shares: Number(shares),
+      pricePerShareFxct: Number(pricePerShareFxct) || 0,
+      ref: 'admin_issuance',
+      idempotencyKey,
+      performedBy: req.user.id,
+      notes
+    });
+
+    res.json({ msg: "Shares issued", ...result });
   } catch (err) {
-    res.status(500).json({ msg: "Failed to fetch tax summary", error: err.message });
+    res.status(400).json({ msg: "Failed to issue shares", error: err.message });
   }
 });
 
-// ✅ Generate Tax Documents
-router.post("/users/:id/generate-tax-documents", verifyToken, authorizeAdmin, async (req, res) => {
+// ✅ Transfer Shares Between Users
+router.post("/properties/:id/transfer-shares", verifyToken, authorizeAdmin, async (req, res) => {
   try {
-    const { taxYear, documentTypes, deliveryMethod = 'email' } = req.body;
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ msg: "User not found" });
-    
-    const documentGeneration = {
-      userId: req.params.id,
-      requestId: `taxdoc_${Date.now()}`,
-      taxYear: taxYear || new Date().getFullYear(),
-      requestedBy: req.user.id,
-      requestedAt: new Date(),
-      
-      documents: {
-        '1099-DIV': {
-          status: 'generating',
-          estimatedCompletion: new Date(Date.now() + 5 * 60 * 1000), // 5 minutes
-          amount: 9870.50,
-          qualifiedDividends: 7890.50
-        },
-        '1099-MISC': {
-          status: 'generating',
-          estimatedCompletion: new Date(Date.now() + 5 * 60 * 1000),
-          amount: 11250.75
-        },
-        'Tax_Summary': {
-          status: 'ready',
-          fileSize: '2.4 MB',
-          downloadUrl: '/admin/tax-documents/tax_summary_2024_user123.pdf'
-        },
-        'Schedule_E_Worksheet': {
-          status: 'generating',
-          estimatedCompletion: new Date(Date.now() + 8 * 60 * 1000)
-        }
-      },
-      
-      delivery: {
-        method: deliveryMethod,
-        email: user.email,
-        encryptionEnabled: true,
-        passwordProtected: true,
-        deliveryConfirmation: true
-      },
-      
-      compliance: {
-        irsReportingComplete: true,
-        stateReportingRequired: true,
-        deadlineCompliance: 'on_time',
-        retentionPeriod: '7 years'
-      }
-    };
-    
-    console.log(`📋 Admin initiated tax document generation for user: ${user.email}, Year: ${taxYear}`);
-    
-    res.json({
-      msg: "Tax document generation initiated",
-      documentGeneration
+    const { fromUserId, toUserId, shares, pricePerShareFxct = 0, notes, idempotencyKey } = req.body;
+    if (!fromUserId || !toUserId || !Number.isInteger(Number(shares)) || Number(shares) <= 0) {
+      return res.status(400).json({ msg: "fromUserId, toUserId and a positive integer shares are required" });
+    }
+
+    const recipient = await User.findById(toUserId);
+    if (!recipient) return res.status(404).json({ msg: "Recipient not found" });
+
+    const result = await holdingsService.transferShares({
+      propertyId: req.params.id,
+      fromUserId,
+      toUserId,
+      shares: Number(shares),
+      pricePerShareFxct: Number(pricePerShareFxct) || 0,
+      ref: 'admin_transfer',
+      idempotencyKey,
+      performedBy: req.user.id,
+      notes
     });
+
+    res.json({ msg: "Shares transferred", ...result });
   } catch (err) {
-    res.status(500).json({ msg: "Failed to generate tax documents", error: err.message });
+    res.status(400).json({ msg: "Failed to transfer shares", error: err.message });
   }
 });
 
-// ✅ Platform Tax Analytics
-router.get("/tax-analytics/platform-overview", verifyToken, authorizeAdmin, async (req, res) => {
+// ✅ Property Share History
+router.get("/properties/:id/share-history", verifyToken, authorizeAdmin, async (req, res) => {
   try {
-    const { taxYear = new Date().getFullYear() } = req.query;
-    
-    const totalUsers = await User.countDocuments();
-    
-    const platformTaxAnalytics = {
-      taxYear: parseInt(taxYear),
-      generatedAt: new Date(),
-      
-      overview: {
-        totalUsers,
-        usersWithTaxActivity: Math.floor(totalUsers * 0.68),
-        documentsGenerated: Math.floor(totalUsers * 1.8), // Some users get multiple docs
-        totalDistributionsIssued: 2450000,
-        totalTaxableIncome: 18750000
-      },
-      
-      distributionAnalytics: {
-        totalDistributed: 2450000,
-        averagePerUser: totalUsers > 0 ? (2450000 / totalUsers).toFixed(2) : 0,
-        
-        byQuarter: [
-          { quarter: 'Q1 2024', amount: 580000, recipients: Math.floor(totalUsers * 0.65) },
-          { quarter: 'Q2 2024', amount: 625000, recipients: Math.floor(totalUsers * 0.68) },
-          { quarter: 'Q3 2024', amount: 590000, recipients: Math.floor(totalUsers * 0.66) },
-          { quarter: 'Q4 2024', amount: 655000, recipients: Math.floor(totalUsers * 0.70) }
-        ],
-        
-        byType: [
-          { type: 'Rental Income', amount: 1470000, percentage: 60.0 },
-          { type: 'Capital Gains Distributions', amount: 490000, percentage: 20.0 },
-          { type: 'Dividend Distributions', amount: 343000, percentage: 14.0 },
-          { type: 'Token Rewards', amount: 147000, percentage: 6.0 }
-        ]
-      },
-      
-      formGeneration: {
-        '1099-DIV': {
-          issued: Math.floor(totalUsers * 0.85),
-          totalAmount: 9750000,
-          qualifiedDividends: 7312500
-        },
-        '1099-MISC': {
-          issued: Math.floor(totalUsers * 0.45),
-          totalAmount: 5625000
-        },
-        '1099-B': {
-          issued: Math.floor(totalUsers * 0.23),
-          totalProceeds: 3750000,
-          totalGains: 450000
-        },
-        'K-1': {
-          issued: Math.floor(totalUsers * 0.12),
-          partnerships: 5
-        }
-      },
-      
-      complianceMetrics: {
-        onTimeFilingRate: 96.8,
-        documentsDeliveredOnTime: 98.2,
-        irsReportingAccuracy: 99.7,
-        customerSatisfactionScore: 4.6,
-        
-        issues: {
-          addressUpdatesRequired: 12,
-          documentRegeneration: 8,
-          deliveryFailures: 3,
-          customerInquiries: 45
-        }
-      },
-      
-      geographicBreakdown: [
-        { state: 'California', users: Math.floor(totalUsers * 0.22), totalIncome: 4125000 },
+    const { page = 1, limit = 50, type } = req.query;
+    const history = await holdingsService.getHistory(
+      { propertyId: req.params.id, type },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch share history", error: err.message });
+  }
+});
+
+// ✅ Open a Primary Offering for a Property
+router.post("/properties/:id/offerings", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const {
+      totalShares,
+      pricePerShareFxct,
+      pricePerShareUsd,
+      fxctUsdPrice,
+      minInvestmentFxct,
+      maxSharesPerInvestor,
+      reservationTtlMinutes,
+      closesAt
+    } = req.body;
+
+    const offering = await offeringService.openOffering({
+      propertyId: req.params.id,
+      totalShares: totalShares !== undefined ? Number(totalShares) : undefined,
+      pricePerShareFxct: Number(pricePerShareFxct) || undefined,
+      pricePerShareUsd: Number(pricePerShareUsd) || undefined,
+      fxctUsdPrice: Number(fxctUsdPrice) || undefined,
+      minInvestmentFxct: Number(minInvestmentFxct) || 0,
+      maxSharesPerInvestor: Number(maxSharesPerInvestor) || null,
+      reservationTtlMinutes: Number(reservationTtlMinutes) || undefined,
+      closesAt,
+      createdBy: req.user.id
+    });
+
+    res.json({ msg: "Offering opened", offering });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to open offering", error: err.message });
+  }
+});
+
+// ✅ Open a Primary Offering from a Marketplace Listing
+router.post("/marketplace-listings/:listingId/offering", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { totalShares, pricePerShareFxct, fxctUsdPrice, minInvestmentFxct, maxSharesPerInvestor, reservationTtlMinutes, closesAt } = req.body;
+
+    const offering = await offeringService.openListingOffering(req.params.listingId, {
+      totalShares: totalShares !== undefined ? Number(totalShares) : undefined,
+      pricePerShareFxct: Number(pricePerShareFxct) || undefined,
+      fxctUsdPrice: Number(fxctUsdPrice) || undefined,
+      minInvestmentFxct: minInvestmentFxct !== undefined ? Number(minInvestmentFxct) : undefined,
+      maxSharesPerInvestor: Number(maxSharesPerInvestor) || null,
+      reservationTtlMinutes: Number(reservationTtlMinutes) || undefined,
+      closesAt,
+      createdBy: req.user.id
+    });
+
+    res.json({ msg: "Offering opened", offering });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to open listing offering", error: err.message });
+  }
+});
+
+// ✅ List Offerings
+router.get("/offerings", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { status, propertyId, page = 1, limit = 20 } = req.query;
+    const result = await offeringService.listOfferings(
+      { status, propertyId },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch offerings", error: err.message });
+  }
+});
+
+// ✅ Offering Orders
+router.get("/offerings/:offeringId/orders", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const offering = await offeringService.getOffering(req.params.offeringId);
+    if (!offering) return res.status(404).json({ msg: "Offering not found" });
+
+    const result = await offeringService.listOrders(
+      { offeringId: req.params.offeringId, status },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({ offering, ...result });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch offering orders", error: err.message });
+  }
+});
+
+// ✅ Close or Cancel an Offering (open reservations are released)
+router.post("/offerings/:offeringId/close", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const reason = req.body.cancel ? 'cancelled' : 'closed';
+    const offering = await offeringService.closeOffering(req.params.offeringId, reason);
+
+    res.json({ msg: `Offering ${offering.status}`, offering });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to close offering", error: err.message });
+  }
+});
+
+// ✅ Secondary Market Trades (filter by property / settlement status)
+router.get("/market/trades", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { propertyId, userId, status, page = 1, limit = 50 } = req.query;
+    const result = await orderBookService.getTrades(
+      { propertyId, userId, status },
+      { page: parseInt(page), limit: parseInt(limit), includeCounterparties: true }
+    );
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch trades", error: err.message });
+  }
+});
+
+// ✅ Retry Settlement of a Trade
+router.post("/market/trades/:tradeId/settle", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const trade = await orderBookService.settleTrade(req.params.tradeId);
+    res.json({ msg: `Trade ${trade.status}`, trade });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to settle trade", error: err.message });
+  }
+});
+
+// ✅ Cancel a Market Order on a User's Behalf
+router.post("/market/orders/:orderId/cancel", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const order = await orderBookService.cancelOrder(req.params.orderId, null, req.body.reason || 'admin_cancelled');
+    res.json({ msg: "Order cancelled", order });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to cancel order", error: err.message });
+  }
+});
+
+// ✅ Property Cap Table
+router.get("/properties/:id/cap-table", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+    if (!property) return res.status(404).json({ msg: "Property not found" });
+
+    const capTable = await PropertyHolding.getCapTable(req.params.id);
+
+    res.json({
+      capTable: {
+        ...capTable,
+        totalSupply: property.tokenization?.totalSupply || 0
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch cap table", error: err.message });
+  }
+});
+
+// ✅ Calculate Income Distribution (optionally pay out immediately)
+router.post("/properties/:id/distribute-income", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const {
+      grossIncome,
+      distributionAmount,
+      expenses = 0,
+      managementFeeRate,
+      fxctUsdPrice,
+      periodStart,
+      periodEnd,
+      notes,
+      execute = false
+    } = req.body;
+
+    const grossIncomeUsd = Number(grossIncome ?? distributionAmount);
+    if (!(grossIncomeUsd > 0)) {
+      return res.status(400).json({ msg: "grossIncome must be a positive number" });
+    }
+
+    const property = await Property.findById(req.params.id);
+    if (!property) return res.status(404).json({ msg: "Property not found" });
+
+    let result = await incomeDistributionService.calculateDistribution({
+      propertyId: property._id,
+      grossIncomeUsd,
+      expensesUsd: Number(expenses) || 0,
+      managementFeeRate: managementFeeRate !== undefined ? Number(managementFeeRate) : undefined,
+      fxctUsdPrice: fxctUsdPrice !== undefined ? Number(fxctUsdPrice) : undefined,
+      period: { start: periodStart, end: periodEnd },
+      notes: notes || 'Monthly rental income distribution',
+      initiatedBy: req.user.id
+    });
+
+    if (execute) {
+      result = await incomeDistributionService.executeDistribution(result.distribution.distributionId, req.user.id);
+    }
+
+    console.log(`💸 Admin ${execute ? 'executed' : 'calculated'} income distribution ${result.distribution.distributionId} for property ${req.params.id}`);
+
+    res.json({
+      msg: execute ? "Income distribution processed" : "Income distribution calculated",
+      ...result
+    });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to initiate income distribution", error: err.message });
+  }
+});
+
+// ✅ List Property Income Distributions
+router.get("/properties/:id/distributions", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await incomeDistributionService.listDistributions(req.params.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch distributions", error: err.message });
+  }
+});
+
+// ✅ Income Distribution Details
+router.get("/distributions/:distributionId", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await incomeDistributionService.getDistribution(req.params.distributionId);
+    res.json(result);
+  } catch (err) {
+    res.status(404).json({ msg: "Distribution not found", error: err.message });
+  }
+});
+
+// ✅ Execute (or retry failed payouts of) an Income Distribution
+router.post("/distributions/:distributionId/execute", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await incomeDistributionService.executeDistribution(req.params.distributionId, req.user.id);
+    res.json({ msg: "Income distribution processed", ...result });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to execute distribution", error: err.message });
+  }
+});
+
+// ✅ Cancel an Income Distribution before payout
+router.post("/distributions/:distributionId/cancel", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await incomeDistributionService.cancelDistribution(req.params.distributionId);
+    res.json({ msg: "Income distribution cancelled", ...result });
+  } catch (err) {
+    res.status(400).json({ msg: "Failed to cancel distribution", error: err.message });
+  }
+});
+
+// ✅ Investor Distribution Statement
+router.get("/users/:id/distribution-statement", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, propertyId } = req.query;
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const statement = await incomeDistributionService.getInvestorStatement(req.params.id, {
+      startDate,
+      endDate,
+      propertyId
+    });
+
+    res.json({ statement });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to generate distribution statement", error: err.message });
+  }
+});
+
+// ===== TAX REPORTING =====
+
+// ✅ User Tax Summary
+router.get("/users/:id/tax-summary", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const taxYear = taxReportingService.parseTaxYear(req.query.taxYear ?? new Date().getFullYear());
+    if (taxYear === null) return res.status(400).json({ msg: "Invalid tax year" });
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ msg: "User not found" });
+    
+    const taxSummary = await taxReportingService.buildTaxSummary(req.params.id, taxYear);
+    
+    res.json({ taxSummary });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch tax summary", error: err.message });
+  }
+});
+
+// ✅ Generate Tax Documents (CSV and/or PDF, stored for re-download)
+router.post("/users/:id/generate-tax-documents", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { formats } = req.body;
+    const taxYear = taxReportingService.parseTaxYear(req.body.taxYear ?? new Date().getFullYear() - 1);
+    if (taxYear === null) return res.status(400).json({ msg: "Invalid tax year" });
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ msg: "User not found" });
+    
+    const { summary, documents } = await taxReportingService.generateDocuments(req.params.id, taxYear, {
+      formats,
+      generatedBy: req.user._id || req.user.id
+    });
+    
+    console.log(`📋 Admin generated tax documents for user: ${user.email}, Year: ${summary.taxYear}`);
+    
+    res.json({
+      msg: "Tax documents generated",
+      documentGeneration: {
+        userId: req.params.id,
+        taxYear: summary.taxYear,
+        requestedBy: req.user._id || req.user.id,
+        overview: summary.overview,
+        warnings: summary.warnings,
+        documents: documents.map(document => ({
+          ...document,
+          downloadUrl: `/api/admin/tax-documents/${document.documentId}/download`
+        }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to generate tax documents", error: err.message });
+  }
+});
+
+// ✅ List User Tax Documents
+router.get("/users/:id/tax-documents", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { taxYear, includeSuperseded } = req.query;
+    const documents = await taxReportingService.listDocuments(req.params.id, {
+      taxYear,
+      includeSuperseded: includeSuperseded === 'true'
+    });
+    
+    res.json({ documents });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to list tax documents", error: err.message });
+  }
+});
+
+// ✅ Download Tax Document
+router.get("/tax-documents/:documentId/download", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const document = await taxReportingService.getDocumentForDownload(req.params.documentId);
+    
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+    res.send(document.content);
+  } catch (err) {
+    res.status(404).json({ msg: "Tax document not found", error: err.message });
+  }
+});
+
+// ✅ Platform Tax Analytics
+router.get("/tax-analytics/platform-overview", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { taxYear = new Date().getFullYear() } = req.query;
+    
+    const totalUsers = await User.countDocuments();
+    
+    const platformTaxAnalytics = {
+      taxYear: parseInt(taxYear),
+      generatedAt: new Date(),
+      
+      overview: {
+        totalUsers,
+        usersWithTaxActivity: Math.floor(totalUsers * 0.68),
+        documentsGenerated: Math.floor(totalUsers * 1.8), // Some users get multiple docs
+        totalDistributionsIssued: 2450000,
+        totalTaxableIncome: 18750000
+      },
+      
+      distributionAnalytics: {
+        totalDistributed: 2450000,
+        averagePerUser: totalUsers > 0 ? (2450000 / totalUsers).toFixed(2) : 0,
+        
+        byQuarter: [
+          { quarter: 'Q1 2024', amount: 580000, recipients: Math.floor(totalUsers * 0.65) },
+          { quarter: 'Q2 2024', amount: 625000, recipients: Math.floor(totalUsers * 0.68) },
+          { quarter: 'Q3 2024', amount: 590000, recipients: Math.floor(totalUsers * 0.66) },
+          { quarter: 'Q4 2024', amount: 655000, recipients: Math.floor(totalUsers * 0.70) }
+        ],
+        
+        byType: [
+          { type: 'Rental Income', amount: 1470000, percentage: 60.0 },
+          { type: 'Capital Gains Distributions', amount: 490000, percentage: 20.0 },
+          { type: 'Dividend Distributions', amount: 343000, percentage: 14.0 },
+          { type: 'Token Rewards', amount: 147000, percentage: 6.0 }
+        ]
+      },
+      
+      formGeneration: {
+        '1099-DIV': {
+          issued: Math.floor(totalUsers * 0.85),
+          totalAmount: 9750000,
+          qualifiedDividends: 7312500
+        },
+        '1099-MISC': {
+          issued: Math.floor(totalUsers * 0.45),
+          totalAmount: 5625000
+        },
+        '1099-B': {
+          issued: Math.floor(totalUsers * 0.23),
+          totalProceeds: 3750000,
+          totalGains: 450000
+        },
+        'K-1': {
+          issued: Math.floor(totalUsers * 0.12),
+          partnerships: 5
+        }
+      },
+      
+      complianceMetrics: {
+        onTimeFilingRate: 96.8,
+        documentsDeliveredOnTime: 98.2,
+        irsReportingAccuracy: 99.7,
+        customerSatisfactionScore: 4.6,
+        
+        issues: {
+          addressUpdatesRequired: 12,
+          documentRegeneration: 8,
+          deliveryFailures: 3,
+          customerInquiries: 45
+        }
+      },
+      
+      geographicBreakdown: [
+        { state: 'California', users: Math.floor(totalUsers * 0.22), totalIncome: 4125000 },
         { state: 'New York', users: Math.floor(totalUsers * 0.18), totalIncome: 3375000 },
         { state: 'Texas', users: Math.floor(totalUsers * 0.15), totalIncome: 2812500 },
         { state: 'Florida', users: Math.floor(totalUsers * 0.12), totalIncome: 2250000 },
@@ -6305,43 +6451,6 @@ router.get("/tax-analytics/platform-overview", verifyToken, authorizeAdmin, asyn
   }
 });
 
-// ===== HELPER FUNCTIONS FOR PHASE 2 =====
-
-// Generate performance chart data
-function generatePerformanceData(timeframe) {
-  const dataPoints = {
-    '1M': 30,
-    '3M': 90,
-    '6M': 180,
-    '1Y': 365,
-    '2Y': 730,
-    'ALL': 1095 // 3 years
-  };
-  
-  const points = dataPoints[timeframe] || 365;
-  const data = [];
-  
-  let baseValue = 100000; // Starting portfolio value
-  const dailyVolatility = 0.008; // 0.8% daily volatility
-  const annualReturn = 0.28; // 28% annual return
-  const dailyReturn = Math.pow(1 + annualReturn, 1/365) - 1;
-  
-  for (let i = 0; i < points; i++) {
-    const date = new Date(Date.now() - (points - i) * 24 * 60 * 60 * 1000);
-    const randomFactor = 1 + (Math.random() - 0.5) * dailyVolatility;
-    baseValue *= (1 + dailyReturn) * randomFactor;
-    
-    data.push({
-      date: date.toISOString().split('T')[0],
-      portfolioValue: Math.round(baseValue),
-      benchmark: Math.round(100000 * Math.pow(1.112, i/365)), // 11.2% benchmark
-      cashFlow: i % 30 === 0 ? Math.round(baseValue * 0.008) : 0 // Monthly distributions
-    });
-  }
-  
-  return data;
-}
-
 // ===== PHASE 3: ADVANCED REPORTING, COMPLIANCE MANAGEMENT & INTEGRATION APIs =====
 
 // ===== ADVANCED REPORTING =====
@@ -9926,12 +10035,15 @@ router.get("/network-analytics/:provider", verifyToken, authorizeAdmin, async (r
 // ===== PROVIDER PRICING MANAGEMENT =====
 
 // ✅ Get Provider Pricing Configuration
-router.get("/provider-pricing", verifyToken, authorizeAdmin, (req, res) => {
+router.get("/provider-pricing", verifyToken, authorizeAdmin, async (req, res) => {
   try {
-    const { PROVIDER_PRICING } = require('../config/providerPricing');
+    const costs = await costTableService.loadCosts();
+    const PROVIDER_PRICING = costs.providers || {};
     
     const pricingOverview = {
-      lastUpdated: new Date(),
+      lastUpdated: costs.lastUpdated,
+      catalogVersion: costs.catalogVersion || null,
+      catalogLabel: costs.version,
       totalProviders: Object.keys(PROVIDER_PRICING).length,
       
       providers: Object.entries(PROVIDER_PRICING).map(([provider, config]) => ({
@@ -9963,9 +10075,9 @@ router.get("/provider-pricing", verifyToken, authorizeAdmin, (req, res) => {
 router.get("/provider-pricing/:provider", verifyToken, authorizeAdmin, async (req, res) => {
   try {
     const { provider } = req.params;
-    const { PROVIDER_PRICING, getMonthlyUsageStats } = require('../config/providerPricing');
+    const { getMonthlyUsageStats } = require('../config/providerPricing');
     
-    const providerConfig = PROVIDER_PRICING[provider.toLowerCase()];
+    const providerConfig = await costTableService.getProviderPricing(provider);
     if (!providerConfig) {
       return res.status(404).json({ msg: "Provider not found" });
     }
@@ -9993,49 +10105,52 @@ router.get("/provider-pricing/:provider", verifyToken, authorizeAdmin, async (re
 // ✅ Update Provider Pricing Configuration
 router.put("/provider-pricing/:provider", verifyToken, authorizeAdmin, async (req, res) => {
   try {
-    const { provider } = req.params;
-    const { endpoints, services, models, volume_tiers, volume_discounts } = req.body;
-    
-    // This is a mock update - in production, you'd want to:
-    // 1. Validate the pricing structure
-    // 2. Update a database or configuration file
-    // 3. Apply changes with proper versioning
-    // 4. Log the changes for audit purposes
-    
-    const updateResult = {
-      provider: provider.toLowerCase(),
-      updatedBy: req.user.id,
-      updatedAt: new Date(),
-      
-      changes: {
-        endpoints: endpoints || null,
-        services: services || null,
-        models: models || null,
-        volume_tiers: volume_tiers || null,
-        volume_discounts: volume_discounts || null
-      },
-      
-      validation: {
-        structureValid: true, // Mock validation
-        costRangeValid: true,
-        tierLogicValid: true
-      },
-      
-      impact: {
-        affectedUsers: 'all', // All users using this provider
-        estimatedCostChange: calculateCostChangeImpact(provider, req.body),
-        effectiveDate: new Date()
+    const provider = req.params.provider.toLowerCase();
+    const { endpoints, services, models, volume_tiers, volume_discounts, effectiveFrom, baseVersion, note } = req.body;
+
+    const current = await costTableService.getProviderPricing(provider);
+    if (!current) {
+      return res.status(404).json({ msg: "Provider not found" });
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries({ endpoints, services, models, volume_tiers, volume_discounts })
+        .filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ msg: "No pricing changes provided" });
+    }
+
+    const version = await costTableService.createVersion({
+      changes: { providers: { [provider]: changes } },
+      effectiveFrom,
+      baseVersion,
+      note: note || `Updated ${provider} pricing`,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin updated ${provider} provider pricing (catalog v${version.version})`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        provider,
+        catalogVersion: version.version,
+        effectiveFrom: version.effectiveFrom,
+        changes: version.diff.length
       }
-    };
-    
-    console.log(`💰 Admin updated pricing for provider: ${provider}`);
+    });
+
+    console.log(`💰 Admin updated pricing for provider: ${provider} (catalog v${version.version})`);
     
     res.json({
       msg: `Pricing configuration updated for ${provider}`,
-      update: updateResult
+      version
     });
   } catch (err) {
-    res.status(500).json({ msg: "Failed to update pricing configuration", error: err.message });
+    res.status(err.status || 500).json({ msg: "Failed to update pricing configuration", error: err.message });
   }
 });
 
@@ -10214,15 +10329,6 @@ function generatePricingRecommendations(config, usageStats) {
   return recommendations;
 }
 
-function calculateCostChangeImpact(provider, changes) {
-  // Mock calculation - implement real cost change analysis
-  return {
-    percentageChange: '+5.2%',
-    monthlyImpact: '$127.50',
-    affectedEndpoints: 3
-  };
-}
-
 function generateCostBreakdown(provider, endpoint, options) {
   return {
     baseCost: 2.50,
@@ -10298,6 +10404,475 @@ function generateCostOptimizationRecommendations(provider, usageStats) {
   ];
 }
 
+// ===== PROVIDER COST CATALOG =====
+
+// Recompute FXCT rates when a catalog change takes effect immediately
+function refreshRatesForVersion(version) {
+  if (new Date(version.effectiveFrom) > new Date()) return;
+  fxctRatesService.computeAllRates(true).catch(err => {
+    console.error('❌ FXCT rate recompute after catalog change failed:', err.message);
+  });
+}
+
+// ✅ Get Current Provider Cost Catalog
+router.get("/provider-costs", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const [current, head] = await Promise.all([
+      costTableService.getEffectiveVersion(),
+      costTableService.getHeadVersion()
+    ]);
+
+    res.json({
+      current,
+      scheduled: head.version !== current.version ? head : null
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch provider cost catalog", error: err.message });
+  }
+});
+
+// ✅ List Provider Cost Catalog Versions
+router.get("/provider-costs/versions", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, includeCancelled } = req.query;
+    const result = await costTableService.listVersions({
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100),
+      includeCancelled: includeCancelled === 'true'
+    });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch catalog versions", error: err.message });
+  }
+});
+
+// ✅ Diff Two Provider Cost Catalog Versions
+router.get("/provider-costs/diff", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ msg: "from and to versions are required" });
+    }
+    res.json(await costTableService.diffVersions(from, to));
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to diff catalog versions", error: err.message });
+  }
+});
+
+// ✅ Get Provider Cost Catalog Version
+router.get("/provider-costs/versions/:version", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const version = await costTableService.getVersion(req.params.version);
+    res.json({ version });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to fetch catalog version", error: err.message });
+  }
+});
+
+// ✅ Create Provider Cost Catalog Version
+router.post("/provider-costs/versions", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { catalog, changes, effectiveFrom, baseVersion, description, note } = req.body;
+    const version = await costTableService.createVersion({
+      catalog,
+      changes,
+      effectiveFrom,
+      baseVersion,
+      description,
+      note,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin created provider cost catalog v${version.version}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        catalogVersion: version.version,
+        effectiveFrom: version.effectiveFrom,
+        changes: version.diff.length,
+        note
+      }
+    });
+
+    refreshRatesForVersion(version);
+    res.status(201).json({ msg: "Catalog version created", version });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to create catalog version", error: err.message });
+  }
+});
+
+// ✅ Cancel Scheduled Provider Cost Catalog Version
+router.delete("/provider-costs/versions/:version", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const version = await costTableService.cancelVersion(req.params.version, req.user.id);
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin cancelled scheduled provider cost catalog v${req.params.version}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        catalogVersion: Number(req.params.version)
+      }
+    });
+
+    res.json({ msg: "Scheduled version cancelled", version });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to cancel catalog version", error: err.message });
+  }
+});
+
+// ✅ Roll Back Provider Cost Catalog
+router.post("/provider-costs/rollback", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { toVersion, effectiveFrom, note } = req.body;
+    if (!toVersion) {
+      return res.status(400).json({ msg: "toVersion is required" });
+    }
+
+    const version = await costTableService.rollback(toVersion, { note, effectiveFrom, createdBy: req.user.id });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin rolled provider cost catalog back to v${toVersion}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        rolledBackTo: Number(toVersion),
+        catalogVersion: version.version,
+        note
+      }
+    });
+
+    refreshRatesForVersion(version);
+    res.json({ msg: `Catalog rolled back to version ${toVersion}`, version });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to roll back catalog", error: err.message });
+  }
+});
+
+// ✅ Apply Approved Price Override to Provider Cost Catalog
+router.post("/provider-costs/apply-override/:overrideId", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const override = await ProviderPriceOverride.findById(req.params.overrideId);
+    if (!override) {
+      return res.status(404).json({ msg: "Provider price override not found" });
+    }
+
+    const version = await costTableService.applyOverride(override, req.user.id);
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin applied ${override.provider} price override to provider cost catalog v${version.version}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        overrideId: override._id,
+        provider: override.provider,
+        catalogVersion: version.version
+      }
+    });
+
+    refreshRatesForVersion(version);
+    res.json({ msg: "Override applied to catalog", version });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to apply override", error: err.message });
+  }
+});
+
+// ===== FXCT PRICING SIMULATOR =====
+
+// ✅ Preview Current FXCT Rate Schedule
+router.get("/pricing/rate-schedule", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await pricingSimulatorService.simulate({ days: req.query.days });
+    res.json({
+      assumptions: result.assumptions.current,
+      rates: Object.fromEntries(Object.entries(result.rates).map(([dataType, rate]) => [dataType, rate.current])),
+      projection: {
+        days: result.projection.days,
+        since: result.projection.since,
+        calls: result.projection.calls,
+        actual: result.projection.totals.actual,
+        atCurrentRates: result.projection.totals.current
+      }
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to preview rate schedule", error: err.message });
+  }
+});
+
+// ✅ Simulate FXCT Pricing Changes (what-if)
+router.post("/pricing/simulate", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { margin, floors, costs, fxctPrice, days } = req.body;
+    const simulation = await pricingSimulatorService.simulate({ margin, floors, costs, fxctPrice, days });
+    res.json({ simulation });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: "Failed to run pricing simulation", error: err.message });
+  }
+});
+
+// ===== FXCT PRICE ORACLES =====
+
+// ✅ Get Price Oracle Sources and Health
+router.get("/price-oracles", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const [manualPrice, twap] = await Promise.all([
+      priceFeedService.getManualPrice(),
+      priceFeedService.getSevenDayAverage().catch(err => ({ error: err.message }))
+    ]);
+
+    res.json({ ...priceFeedService.getOracleStatus(), manualPrice, twap });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch price oracles", error: err.message });
+  }
+});
+
+// ✅ Query Price Oracles Without Saving
+router.post("/price-oracles/check", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await priceFeedService.fetchAggregatedPrice();
+    res.json({ result, sources: priceFeedService.getOracleStatus().sources });
+  } catch (err) {
+    res.status(502).json({ msg: "Price oracle check failed", error: err.message, sources: priceFeedService.getOracleStatus().sources });
+  }
+});
+
+// ✅ Refresh Today's FXCT Price From Oracles
+router.post("/price-oracles/refresh", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const record = await priceFeedService.updateDailyPrice(new Date(), { force: true });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin refreshed FXCT daily price: $${record.price}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        price: record.price,
+        source: record.source,
+        day: record.day
+      }
+    });
+
+    res.json({ msg: "FXCT price refreshed", record });
+  } catch (err) {
+    res.status(502).json({ msg: "Failed to refresh FXCT price", error: err.message });
+  }
+});
+
+// ✅ Get FXCT TWAP for a Window
+router.get("/price-oracles/twap", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || undefined;
+    if (days !== undefined && (days < 1 || days > 90)) {
+      return res.status(400).json({ msg: "days must be between 1 and 90" });
+    }
+    const twap = await priceFeedService.getTwapPrice(null, days);
+    res.json({ twap });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to calculate TWAP", error: err.message });
+  }
+});
+
+// ✅ Set Manual FXCT Price
+router.put("/price-oracles/manual", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { price, expiresInHours, reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ msg: "A reason is required for a manual price" });
+    }
+
+    const manualPrice = await priceFeedService.setManualPrice({
+      price,
+      expiresInHours,
+      reason,
+      setBy: req.user.id
+    });
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin set manual FXCT price $${manualPrice.price}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        price: manualPrice.price,
+        expiresAt: manualPrice.expiresAt,
+        reason
+      }
+    });
+
+    res.json({ msg: "Manual price set", manualPrice });
+  } catch (err) {
+    const status = err.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ msg: "Failed to set manual price", error: err.message });
+  }
+});
+
+// ✅ Clear Manual FXCT Price
+router.delete("/price-oracles/manual", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const cleared = await priceFeedService.clearManualPrice(req.user.id);
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: 'Admin cleared manual FXCT price',
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        cleared
+      }
+    });
+
+    res.json({ msg: cleared ? "Manual price cleared" : "No active manual price", cleared });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to clear manual price", error: err.message });
+  }
+});
+
+// ===== PROPERTY DATA PROVIDERS & CONFLICTS =====
+
+// ✅ Get Property Data Providers and Merge Stats
+router.get("/property-providers", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    res.json({
+      providers: propertyProviders.list(),
+      offline: propertyProviders.offline,
+      merge: propertyMergeService.getStats()
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch property providers", error: err.message });
+  }
+});
+
+// ✅ List Properties With Provider Conflicts
+router.get("/property-conflicts", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { severity, field } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    if (severity && !['minor', 'major'].includes(severity)) {
+      return res.status(400).json({ msg: "severity must be 'minor' or 'major'" });
+    }
+
+    const result = await PropertyDetailsCache.findConflicted({ severity, field, page, limit });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch property conflicts", error: err.message });
+  }
+});
+
+// ===== PROVIDER CIRCUIT BREAKERS =====
+
+// ✅ Get Circuit Breaker and Bulkhead State for Outbound Providers
+router.get("/provider-breakers", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const providers = providerResilience.getState();
+    res.json({
+      providers,
+      summary: {
+        total: providers.length,
+        open: providers.filter(p => p.breaker.state === 'open').map(p => p.provider),
+        halfOpen: providers.filter(p => p.breaker.state === 'half-open').map(p => p.provider)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch provider breakers", error: err.message });
+  }
+});
+
+// ✅ Close a Provider's Circuit Breaker
+router.post("/provider-breakers/:provider/reset", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const before = providerResilience.getState().find(p => p.provider === provider);
+    if (!providerResilience.reset(provider)) {
+      return res.status(404).json({ msg: `No circuit breaker for provider '${provider}'` });
+    }
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin reset ${provider} circuit breaker`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        provider,
+        previousState: before.breaker.state,
+        lastFailure: before.breaker.lastFailure
+      }
+    });
+
+    res.json({
+      msg: `${provider} circuit breaker closed`,
+      provider: providerResilience.getState().find(p => p.provider === provider)
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to reset provider breaker", error: err.message });
+  }
+});
+
+// ===== UNIFIED CACHE =====
+
+// ✅ Get Cache Hit Rates and Provider Spend Saved
+router.get("/cache/stats", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { namespace, provider } = req.query;
+    res.json(cacheService.getStats({ namespace, provider }));
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch cache stats", error: err.message });
+  }
+});
+
+// ✅ Invalidate Cached Entries by Tag, Address or Namespace
+router.post("/cache/invalidate", verifyToken, authorizeAdmin, async (req, res) => {
+  try {
+    const { tag, address, namespace } = req.body;
+    let result;
+
+    if (tag || address) {
+      const target = tag || cacheService.addressTag(address);
+      if (!target) {
+        return res.status(400).json({ msg: "Address has nothing to match on" });
+      }
+      result = await cacheService.invalidateTag(target);
+    } else if (namespace) {
+      if (!cacheService.policies.listNamespaces().includes(namespace)) {
+        return res.status(404).json({ msg: `Unknown cache namespace '${namespace}'` });
+      }
+      result = await cacheService.invalidateNamespace(namespace);
+    } else {
+      return res.status(400).json({ msg: "Provide a tag, address or namespace to invalidate" });
+    }
+
+    await AuditLog.create({
+      type: 'admin_action',
+      userId: req.user.id,
+      action: `Admin invalidated cache ${result.tag ? `tag ${result.tag}` : `namespace ${result.namespace}`}`,
+      metadata: {
+        adminId: req.user.id,
+        adminEmail: req.user.email,
+        ...result
+      }
+    });
+
+    res.json({ msg: "Cache invalidated", ...result });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to invalidate cache", error: err.message });
+  }
+});
+
 // ===== PROVIDER PRICE OVERRIDE MANAGEMENT =====
 
 // ✅ Get All Provider Price Overrides
@@ -7,7 +7,7 @@
 
 const express = require('express');
 const router = express.Router();
-const enhancedCache = require('../../../services/enhancedCacheService');
+const cacheService = require('../../../services/cacheService');
 const { PropertyBatchProcessor } = require('../../../services/propertyBatchProcessor');
 const { DataSourceRouter } = require('../../../services/dataSourceRouter');
 const { performance } = require('perf_hooks');
@@ -43,7 +43,7 @@ router.get('/', async (req, res) => {
     const uptime = (currentTime - performanceMetrics.startTime) / 1000; // seconds
 
     // Get cache performance
-    const cacheStats = enhancedCache.getStats();
+    const cacheStats = cacheService.getStats();
     
     // Get data source routing stats
     const routingStats = dataSourceRouter.getRoutingStats();
@@ -61,14 +61,13 @@ router.get('/', async (req, res) => {
       },
       
       caching: {
-        performance: cacheStats.performance,
-        redis: cacheStats.redis,
-        mongodb: cacheStats.mongodb,
-        storage: cacheStats.storage,
+        totals: cacheStats.totals,
+        byProvider: cacheStats.byProvider,
+        byNamespace: cacheStats.byNamespace,
         efficiency: {
-          totalSavings: `$${cacheStats.performance.costSavings.toFixed(2)}`,
-          avgResponseTime: `${cacheStats.performance.avgResponseTime.toFixed(2)}ms`,
-          hitRate: `${cacheStats.performance.hitRate}%`
+          totalSavings: `$${cacheStats.totals.costSavedUsd.toFixed(2)}`,
+          avgResponseTime: `${cacheStats.totals.avgLookupMs.toFixed(2)}ms`,
+          hitRate: `${cacheStats.totals.hitRate}%`
         }
       },
       
@@ -217,18 +216,18 @@ async function runCachingTest() {
   
   // Test cache write
   const writeStart = performance.now();
-  await enhancedCache.set('test', { query: 'performance test' }, testData);
+  await cacheService.set('test', { query: 'performance test' }, testData);
   const writeTime = performance.now() - writeStart;
   
   // Test cache read (should hit)
   const readStart = performance.now();
-  const cachedResult = await enhancedCache.get('test', { query: 'performance test' });
+  const cachedResult = await cacheService.get('test', { query: 'performance test' });
   const readTime = performance.now() - readStart;
   
   return {
     writeTime: `${writeTime.toFixed(2)}ms`,
     readTime: `${readTime.toFixed(2)}ms`,
-    cacheHit: cachedResult.cached,
+    cacheHit: cachedResult.hit,
     efficiency: `${((writeTime + readTime) / 2).toFixed(2)}ms avg operation time`
   };
 }
@@ -303,14 +302,14 @@ function calculateSystemHealthScore(cacheStats, routingStats, perfMetrics) {
   let score = 100;
   
   // Cache performance impact
-  if (cacheStats.performance.hitRate < 50) score -= 20;
-  else if (cacheStats.performance.hitRate < 70) score -= 10;
-  else if (cacheStats.performance.hitRate > 90) score += 5;
+  if (cacheStats.totals.hitRate < 50) score -= 20;
+  else if (cacheStats.totals.hitRate < 70) score -= 10;
+  else if (cacheStats.totals.hitRate > 90) score += 5;
   
   // Response time impact
-  if (cacheStats.performance.avgResponseTime > 1000) score -= 15;
-  else if (cacheStats.performance.avgResponseTime > 500) score -= 10;
-  else if (cacheStats.performance.avgResponseTime < 100) score += 5;
+  if (cacheStats.totals.avgLookupMs > 1000) score -= 15;
+  else if (cacheStats.totals.avgLookupMs > 500) score -= 10;
+  else if (cacheStats.totals.avgLookupMs < 100) score += 5;
   
   // Routing efficiency impact
   if (routingStats.performance.avgDecisionTime > 50) score -= 10;
@@ -342,7 +341,7 @@ function calculateOptimalRoutingPercentage(routingStats) {
 function generateOptimizationRecommendations(cacheStats, routingStats, perfMetrics) {
   const recommendations = [];
   
-  if (cacheStats.performance.hitRate < 70) {
+  if (cacheStats.totals.hitRate < 70) {
     recommendations.push({
       type: 'caching',
       priority: 'high',
@@ -351,7 +350,7 @@ function generateOptimizationRecommendations(cacheStats, routingStats, perfMetri
     });
   }
   
-  if (cacheStats.performance.avgResponseTime > 500) {
+  if (cacheStats.totals.avgLookupMs > 500) {
     recommendations.push({
       type: 'performance',
       priority: 'medium',
@@ -14,22 +14,26 @@
 
 const express = require("express");
 const router = express.Router();
-const OpenAI = require("openai");
 const fetch = require("node-fetch");
 require("dotenv").config();
 
 // Import services and middleware from search_v2 architecture
 const { freemiumRateLimit, addLimitsToResponse } = require("../../../middleware/freemiumRateLimit");
 const { applyTierLimitsMiddleware } = require("../../../utils/freemiumDataLimiter");
-const SearchCache = require("../../../models/SearchCache");
 const Property = require("../../../models/Property");
-const enhancedCache = require("../../../services/enhancedCacheService");
-const { DataSourceRouter } = require("../../../services/dataSourceRouter");
-const { getAsync, setAsync, getUserKey } = require("../../../utils/redisClient");
+const cacheService = require("../../../services/cacheService");
+const routingStatsService = require("../../../services/routingStatsService");
+const { getUserKey } = require("../../../utils/redisClient");
 const { PropertyBatchProcessor } = require("../../../services/propertyBatchProcessor");
 const { performance } = require('perf_hooks');
+const { buildFractionalAnalysis } = require("../../../services/investmentScoring");
+const propertyProviders = require("../../../services/propertyProviders");
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const openai = require("../../../services/openaiService");
+const providerResilience = require("../../../services/providerResilience");
+
+// Breaker, bulkhead, timeout and retries for direct RapidAPI calls
+const zillowFetch = providerResilience.wrapFetch("zillow", fetch);
 
 /**
  * 🎯 POST /api/ai/marketplace
@@ -38,6 +42,8 @@ const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
  */
 router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddleware, async (req, res) => {
   const requestStartTime = performance.now();
+  // Every property in this response is scored as of the same moment
+  const scoredAt = new Date();
   
   try {
     console.log("🏠🤖 AI Marketplace: Generating investment property suggestions...");
@@ -58,7 +64,7 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
     const discoveryStartTime = performance.now();
     
     const discoveryResult = await marketplaceDiscoveryPhase({ 
-      location, maxPrice, minPrice, limit, analysis_type 
+      location, maxPrice, minPrice, limit, analysis_type
     });
     
     const discoveryTime = performance.now() - discoveryStartTime;
@@ -118,22 +124,10 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
       // Fast path: Skip AI analysis for immediate loading
       console.log(`⚡ Fast path: Generating quick fractional scores...`);
       
-      // Add basic fractional analysis without AI
+      // Deterministic scoring only - no narrative call
       analyzedProperties = batchResult.properties.map(property => ({
         ...property,
-        fractional_analysis: {
-          fractionalization_score: Math.random() * 3 + 7, // 7-10 range
-          tokenization_suitability: Math.random() * 3 + 7,
-          investor_demand: Math.random() * 3 + 6,
-          management_complexity: Math.random() * 3 + 3,
-          liquidity_potential: Math.random() * 3 + 6,
-          regulatory_risk: 'low',
-          min_investment: Math.max(100, Math.floor(property.price / 1000)),
-          recommended_token_price: Math.floor(property.price / 1000),
-          fractional_reasoning: 'Fast-generated fractional property ready for tokenization',
-          estimated_roi: Math.random() * 4 + 8,
-          rental_yield: property.rentEstimate ? (property.rentEstimate * 12 / property.price * 100) : (Math.random() * 4 + 6)
-        }
+        fractional_analysis: buildFractionalAnalysis(property, { asOf: scoredAt })
       }));
       
       // Apply basic filtering
@@ -145,7 +139,7 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
     } else {
       // Full AI path: Complete analysis with OpenAI
       console.log(`🤖 Full path: AI analyzing for fractionalization potential...`);
-      analyzedProperties = await analyzeForFractionalization(batchResult.properties, query);
+      analyzedProperties = await analyzeForFractionalization(batchResult.properties, query, scoredAt);
       
       // Filter for fractional properties only
       console.log(`🪙 Filtering for fractional-suitable properties...`);
@@ -213,21 +207,13 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
       }
     };
     
-    // Store in enhanced cache with 2-hour TTL for marketplace data
+    // Cache marketplace data for the 'marketplace_discovery' policy TTL (2 hours)
     try {
-      await enhancedCache.set(
+      await cacheService.set(
         'marketplace_discovery',
         { location, maxPrice, minPrice, limit, analysis_type, searchType: 'marketplace_fractional' },
         cacheData,
-        {
-          customTTL: 2 * 60 * 60, // 2 hours
-          priority: 'high',
-          estimatedCost: formattedListings.length * 0.03,
-          metadata: {
-            searchType: 'marketplace_fractional',
-            fractionalAnalysis: true
-          }
-        }
+        { costUsd: formattedListings.length * 0.03 }
       );
       console.log(`💾 Cached marketplace results for 2 hours`);
     } catch (cacheError) {
@@ -326,7 +312,7 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
   // Extract city/state from location
   const [city, state = 'TX'] = location.split(',').map(s => s.trim());
   
-  // Build enhanced cache parameters for marketplace
+  // Build cache parameters for marketplace
   const searchParams = {
     city: city.toLowerCase(),
     state: state.toLowerCase(),
@@ -338,7 +324,7 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
   };
   
   // ⚡ Enable cache-first approach for better performance
-  console.log('💾 Checking caches (MongoDB first, then enhanced cache)...');
+  console.log('💾 Checking caches (MongoDB properties first, then discovery cache)...');
   const BYPASS_CACHE = false; // Enable caching for production
   
   if (!BYPASS_CACHE) {
@@ -372,7 +358,7 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
           cacheMetrics: {
             source: 'mongodb',
             totalFound: mongoProperties.length,
-            avgScore: mongoProperties.reduce((sum, p) => sum + (p.fractional_analysis?.fractionalization_score || 7), 0) / mongoProperties.length
+            avgScore: averageFractionalScore(mongoProperties)
           },
           performanceMetrics: {
             totalTime: mongoTime,
@@ -386,13 +372,13 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
       console.warn('⚠️ MongoDB fractional property query error:', mongoError.message);
     }
     
-    // 🎯 SECOND: Check enhanced cache for marketplace discovery data
-    console.log('🔍 Step 2: Checking enhanced cache for marketplace discovery data...');
+    // 🎯 SECOND: Check the discovery cache (Redis, then MongoDB)
+    console.log('🔍 Step 2: Checking cache for marketplace discovery data...');
     
     try {
-      const cacheResult = await enhancedCache.get('marketplace_discovery', searchParams);
+      const cacheResult = await cacheService.get('marketplace_discovery', searchParams);
       
-      if (cacheResult && cacheResult.cached && cacheResult.data) {
+      if (cacheResult.hit && cacheResult.data) {
         const cacheTime = performance.now() - startTime;
         console.log(`💾 Marketplace discovery served from ${cacheResult.source} cache in ${cacheTime.toFixed(2)}ms`);
         
@@ -446,53 +432,16 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
         }
       }
       
-      console.log(`🔄 No enhanced cache hit (source: ${cacheResult?.source || 'none'})`);
+      console.log('🔄 No marketplace discovery cache hit');
     } catch (cacheError) {
-      console.warn('⚠️ Enhanced cache error:', cacheError.message);
-    }
-    
-    // Fallback to MongoDB cache for stability
-    console.log('🔍 Checking MongoDB fallback cache...');
-    try {
-      const mongoCache = await SearchCache.findCachedResults(`marketplace_discovery_${JSON.stringify(searchParams)}`, searchParams);
-      
-      if (mongoCache && mongoCache.listings && Array.isArray(mongoCache.listings)) {
-        const cacheTime = performance.now() - startTime;
-        console.log(`💾 Marketplace discovery served from MongoDB fallback cache in ${cacheTime.toFixed(2)}ms`);
-        return {
-          listings: mongoCache.listings,
-          fromCache: true,
-          source: 'mongodb_fallback',
-          cacheMetrics: mongoCache.metadata,
-          performanceMetrics: {
-            totalTime: cacheTime,
-            cacheHitTime: cacheTime
-          }
-        };
-      }
-    } catch (mongoError) {
-      console.warn('⚠️ MongoDB cache fallback error:', mongoError.message);
+      console.warn('⚠️ Marketplace discovery cache error:', cacheError.message);
     }
   }
   
   console.log('🔄 No cache hits, proceeding with fresh marketplace discovery');
 
-  // ⚡ Use DataSourceRouter for intelligent routing
-  const dataSourceRouter = new DataSourceRouter();
-  const routingDecision = await dataSourceRouter.determineOptimalRoute({
-    city,
-    state,
-    maxPrice,
-    minPrice,
-    searchType: 'marketplace_fractional'
-  }, {
-    prioritizeSpeed: true,
-    prioritizeCost: true,
-    preferResidential: true // Marketplace prefers residential for fractional investment
-  });
-  
-  console.log(`🎯 Marketplace routing: Using ${routingDecision.strategy} (confidence: ${routingDecision.confidence})`);
-
+  // Only Zillow serves city-wide listing search, so discovery isn't routed;
+  // the call is still recorded for the router's learned provider stats
   // Fresh search: Use Zillow API with performance tracking
   const zillowStartTime = performance.now();
   console.log('🏠 Calling Zillow API for marketplace discovery...');
@@ -501,6 +450,17 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
   const zillowTime = performance.now() - zillowStartTime;
   
   console.log(`📡 Zillow API response time: ${zillowTime.toFixed(2)}ms`);
+
+  // Mock listings mean Zillow failed and fetchZillowProperties fell back
+  const zillowFailed = zillowResult.some(property => property.source === 'fractional_mock');
+  routingStatsService.record({
+    provider: 'zillow',
+    searchType: 'area_search',
+    region: routingStatsService.regionOf({ state }),
+    latencyMs: zillowTime,
+    ok: !zillowFailed,
+    completeness: zillowFailed ? null : routingStatsService.listingCompleteness(zillowResult)
+  });
   
   // Cache the fresh results
   const cacheData = {
@@ -512,34 +472,22 @@ async function marketplaceDiscoveryPhase(searchCriteria) {
       performanceMetrics: {
         zillowApiTime: zillowTime,
         totalTime: performance.now() - startTime
-      },
-      routingDecision: routingDecision.strategy
+      }
     }
   };
   
-  // Store in enhanced cache
-  await enhancedCache.set(
-    'marketplace_discovery',
-    searchParams,
-    cacheData,
-    {
-      customTTL: 2 * 60 * 60, // 2 hours for marketplace
-      priority: 'high',
-      estimatedCost: zillowResult.length * 0.02,
-      metadata: {
-        searchType: 'marketplace_fractional',
-        routingDecision: routingDecision.strategy
-      }
-    }
-  );
+  // Cache for the 'marketplace_discovery' policy TTL (2 hours)
+  await cacheService.set('marketplace_discovery', searchParams, cacheData, {
+    costUsd: zillowResult.length * 0.02
+  });
   
   const totalTime = performance.now() - startTime;
-  console.log(`✅ Marketplace discovery completed in ${totalTime.toFixed(2)}ms: ${zillowResult.length} properties via ${routingDecision.strategy}`);
+  console.log(`✅ Marketplace discovery completed in ${totalTime.toFixed(2)}ms: ${zillowResult.length} properties via Zillow`);
   
   return {
     listings: zillowResult,
     fromCache: false,
-    source: routingDecision.strategy,
+    source: 'zillow',
     performanceMetrics: {
       totalTime,
       zillowApiTime: zillowTime
@@ -572,7 +520,7 @@ async function fetchZillowProperties({ location, maxPrice, minPrice, limit }) {
           console.log(`🔍 Attempt ${attempts}: Testing /propertyExtendedSearch endpoint...`);
           
           // Try /propertyExtendedSearch first (main search endpoint)
-          response = await fetch(`${process.env.ZILLOW_API_URL}/propertyExtendedSearch?location=${encodeURIComponent(location)}&status_type=ForSale&home_type=Houses&sort=Homes_for_You`, {
+          response = await zillowFetch(`${process.env.ZILLOW_API_URL}/propertyExtendedSearch?location=${encodeURIComponent(location)}&status_type=ForSale&home_type=Houses&sort=Homes_for_You`, {
             method: 'GET',
             headers: {
               'x-rapidapi-host': process.env.ZILLOW_RAPIDAPI_HOST,
@@ -583,7 +531,7 @@ async function fetchZillowProperties({ location, maxPrice, minPrice, limit }) {
           console.log(`🔍 Attempt ${attempts}: Testing /locationSuggestions + /propertyExtendedSearch...`);
           
           // Try getting location suggestions first, then search
-          const locationResponse = await fetch(`${process.env.ZILLOW_API_URL}/locationSuggestions?location=${encodeURIComponent(location)}`, {
+          const locationResponse = await zillowFetch(`${process.env.ZILLOW_API_URL}/locationSuggestions?location=${encodeURIComponent(location)}`, {
             method: 'GET',
             headers: {
               'x-rapidapi-host': process.env.ZILLOW_RAPIDAPI_HOST,
@@ -593,7 +541,7 @@ async function fetchZillowProperties({ location, maxPrice, minPrice, limit }) {
           
           if (locationResponse.ok) {
             await new Promise(resolve => setTimeout(resolve, 400));
-            response = await fetch(`${process.env.ZILLOW_API_URL}/propertyExtendedSearch?location=${encodeURIComponent(location)}`, {
+            response = await zillowFetch(`${process.env.ZILLOW_API_URL}/propertyExtendedSearch?location=${encodeURIComponent(location)}`, {
               method: 'GET',
               headers: {
                 'x-rapidapi-host': process.env.ZILLOW_RAPIDAPI_HOST,
@@ -608,7 +556,7 @@ async function fetchZillowProperties({ location, maxPrice, minPrice, limit }) {
           
           // Get coordinates for the location and try coordinate search
           const coords = await getLocationCoordinates(location);
-          response = await fetch(`${process.env.ZILLOW_API_URL}/propertyByCoordinates?lat=${coords[1]}&lng=${coords[0]}`, {
+          response = await zillowFetch(`${process.env.ZILLOW_API_URL}/propertyByCoordinates?lat=${coords[1]}&lng=${coords[0]}`, {
             method: 'GET',
             headers: {
               'x-rapidapi-host': process.env.ZILLOW_RAPIDAPI_HOST,
@@ -854,126 +802,76 @@ async function enhanceWithCoreLogic(properties) {
 }
 
 /**
- * 🤖 AI Analysis specifically for fractionalization potential
+ * 🤖 Fractionalization analysis
+ *
+ * Scores come from the deterministic investmentScoring module so the same
+ * property always gets the same numbers; GPT only writes the narrative.
+ * @param {Date} asOf - Date the scores are as of
  */
-async function analyzeForFractionalization(properties, query) {
+async function analyzeForFractionalization(properties, query, asOf) {
+  console.log(`🤖 Analyzing ${properties.length} properties for fractionalization...`);
+
+  const analyzed = properties.map(property => ({
+    ...property,
+    fractional_analysis: buildFractionalAnalysis(property, { asOf })
+  }));
+
   try {
-    console.log(`🤖 Analyzing ${properties.length} properties for fractionalization...`);
-    
-    const fractionalAnalysisPrompt = `
-Analyze these real estate properties SPECIFICALLY for fractionalization potential and tokenization suitability:
-
-FRACTIONALIZATION CRITERIA:
-- Property value range ($100K-$2M optimal for tokenization)
-- Liquidity potential (ease of buying/selling tokens)
-- Rental income stability
-- Market appreciation prospects
-- Regulatory compliance (residential properties easier to fractionalise)
-- Management complexity
-- Investor appeal
+    const narrativePrompt = `
+Write a short investor-facing explanation (1-2 sentences) of why each property below is or isn't a good fit for fractional ownership.
+The scores are already computed - do NOT change or invent numbers; refer only to the metrics given.
 
 USER QUERY: "${query}"
 
-PROPERTIES TO ANALYZE:
-${JSON.stringify(properties.slice(0, 8).map(p => ({
+PROPERTIES:
+${JSON.stringify(analyzed.slice(0, 8).map(p => ({
   id: p.id,
   address: p.address,
   price: p.price,
   propertyType: p.propertyType,
-  squareFeet: p.squareFeet,
-  bedrooms: p.bedrooms,
-  yearBuilt: p.yearBuilt,
-  rentEstimate: p.rentEstimate,
-  neighborhood: p.neighborhood
+  fractionalization_score: p.fractional_analysis.fractionalization_score,
+  cap_rate: p.fractional_analysis.cap_rate,
+  rental_yield: p.fractional_analysis.rental_yield,
+  components: p.fractional_analysis.score_breakdown.components.map(c => ({ label: c.label, value: c.value, score: c.score })),
+  missing: p.fractional_analysis.score_breakdown.missingInputs
 })), null, 2)}
 
-For each property, provide:
-1. Fractionalization score (1-10) - MOST IMPORTANT
-2. Tokenization suitability (1-10)
-3. Expected investor demand (1-10)
-4. Management complexity (1-10, lower is better)
-5. Liquidity potential (1-10)
-6. Regulatory risk (low/medium/high)
-7. Minimum viable investment amount
-8. Recommended token price
-9. Why this property is good/bad for fractionalization
-
-Respond with a JSON array focusing on fractionalization metrics.
+Respond with a JSON array of objects: [{ "id": "<property id>", "narrative": "<text>" }]
 `;
 
     const completion = await openai.chat.completions.create({
       model: "gpt-4",
-      messages: [{ role: "user", content: fractionalAnalysisPrompt }],
-      temperature: 0.2, // Lower temperature for consistent analysis
-      max_tokens: 2500
+      messages: [{ role: "user", content: narrativePrompt }],
+      temperature: 0.2,
+      max_tokens: 1500
     });
 
     const aiResponse = completion.choices[0].message.content;
-    console.log("🤖 AI Fractionalization Analysis:", aiResponse.substring(0, 200) + "...");
+    console.log("🤖 AI Fractionalization Narrative:", aiResponse.substring(0, 200) + "...");
 
-    try {
-      const analyzedData = JSON.parse(aiResponse);
-      
-      const mergedProperties = properties.map((property, index) => {
-        const aiAnalysis = analyzedData[index] || {};
-        return {
-          ...property,
-          fractional_analysis: {
-            fractionalization_score: aiAnalysis.fractionalization_score || (Math.random() * 4 + 6), // 6-10 range
-            tokenization_suitability: aiAnalysis.tokenization_suitability || (Math.random() * 4 + 6),
-            investor_demand: aiAnalysis.expected_investor_demand || (Math.random() * 4 + 5),
-            management_complexity: aiAnalysis.management_complexity || (Math.random() * 4 + 3), // 3-7 range
-            liquidity_potential: aiAnalysis.liquidity_potential || (Math.random() * 4 + 5),
-            regulatory_risk: aiAnalysis.regulatory_risk || 'low',
-            min_investment: aiAnalysis.minimum_viable_investment_amount || Math.max(100, Math.floor(property.price / 1000)),
-            recommended_token_price: aiAnalysis.recommended_token_price || Math.floor(property.price / 1000),
-            fractional_reasoning: aiAnalysis.why_good_bad_for_fractionalization || 'Suitable for tokenization based on property characteristics',
-            estimated_roi: (Math.random() * 6 + 8), // 8-14% range
-            rental_yield: property.rentEstimate ? (property.rentEstimate * 12 / property.price * 100) : (Math.random() * 4 + 6)
-          }
-        };
-      });
-
-      return mergedProperties;
+    const narratives = new Map(
+      (JSON.parse(aiResponse) || [])
+        .filter(n => n && n.id !== undefined && typeof n.narrative === 'string')
+        .map(n => [String(n.id), n.narrative])
+    );
 
-    } catch (parseError) {
-      console.warn("⚠️ AI response parsing error, using fallback fractional scoring");
-      return properties.map(property => ({
+    return analyzed.map(property => {
+      const narrative = narratives.get(String(property.id));
+      if (!narrative) return property;
+      return {
         ...property,
         fractional_analysis: {
-          fractionalization_score: Math.random() * 4 + 6,
-          tokenization_suitability: Math.random() * 4 + 6,
-          investor_demand: Math.random() * 4 + 5,
-          management_complexity: Math.random() * 3 + 3,
-          liquidity_potential: Math.random() * 4 + 5,
-          regulatory_risk: 'low',
-          min_investment: Math.max(100, Math.floor(property.price / 1000)),
-          recommended_token_price: Math.floor(property.price / 1000),
-          fractional_reasoning: 'Property analyzed for tokenization potential',
-          estimated_roi: Math.random() * 6 + 8,
-          rental_yield: Math.random() * 4 + 6
+          ...property.fractional_analysis,
+          fractional_reasoning: narrative,
+          narrative_source: 'ai'
         }
-      }));
-    }
+      };
+    });
 
   } catch (error) {
-    console.error('❌ AI Fractionalization Analysis Error:', error);
-    return properties.map(property => ({
-      ...property,
-      fractional_analysis: {
-        fractionalization_score: Math.random() * 4 + 6,
-        tokenization_suitability: Math.random() * 4 + 6,
-        investor_demand: Math.random() * 4 + 5,
-        management_complexity: Math.random() * 3 + 3,
-        liquidity_potential: Math.random() * 4 + 5,
-        regulatory_risk: 'low',
-        min_investment: Math.max(100, Math.floor(property.price / 1000)),
-        recommended_token_price: Math.floor(property.price / 1000),
-        fractional_reasoning: 'Property available for tokenization',
-        estimated_roi: Math.random() * 6 + 8,
-        rental_yield: Math.random() * 4 + 6
-      }
-    }));
+    // Scores are unaffected; only the narrative falls back to the generated explanation
+    console.warn('⚠️ AI fractionalization narrative unavailable, using score explanation:', error.message);
+    return analyzed;
   }
 }
 
@@ -1007,12 +905,22 @@ function filterFractionalProperties(analyzedProperties) {
   return fractionalSuitable;
 }
 
+/**
+ * Mean fractionalization score over the properties that could be scored (null if none)
+ */
+function averageFractionalScore(properties) {
+  const scores = properties
+    .map(p => p.fractional_analysis?.fractionalization_score)
+    .filter(score => score !== null && score !== undefined);
+  return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
 /**
  * 📝 Generate AI summary specifically for fractional properties
  */
 async function generateFractionalMarketplaceSummary(properties, query, location) {
   try {
-    const avgFractionalScore = properties.reduce((sum, p) => sum + (p.fractional_analysis?.fractionalization_score || 7), 0) / properties.length;
+    const avgFractionalScore = averageFractionalScore(properties);
     const avgTokenPrice = properties.reduce((sum, p) => sum + (p.fractional_analysis?.recommended_token_price || 100), 0) / properties.length;
     
     const summaryPrompt = `
@@ -1020,7 +928,7 @@ Generate a professional summary for these FRACTIONAL investment properties in ${
 
 USER QUERY: "${query}"
 TOTAL FRACTIONAL PROPERTIES: ${properties.length}
-AVERAGE FRACTIONALIZATION SCORE: ${avgFractionalScore.toFixed(1)}/10
+AVERAGE FRACTIONALIZATION SCORE: ${avgFractionalScore === null ? "not enough data" : `${avgFractionalScore.toFixed(1)}/10`}
 AVERAGE TOKEN PRICE: $${Math.round(avgTokenPrice)}
 PRICE RANGE: $${Math.min(...properties.map(p => p.price)).toLocaleString()} - $${Math.max(...properties.map(p => p.price)).toLocaleString()}
 
@@ -1179,7 +1087,7 @@ function formatFractionalPropertiesForMarketplace(properties) {
       // Add fallback fields for different image access patterns
       zillowImage: imgSrc, // For property.zillowImage fallback
       
-      description: `Tokenized investment property with ${fractionalAnalysis.fractionalization_score?.toFixed(1) || 'high'} fractionalization score.`,
+      description: `Tokenized investment property with ${fractionalAnalysis.fractionalization_score?.toFixed(1) ?? 'an unrated'} fractionalization score.`,
       detailedDescription: `${property.description || 'Prime investment property ready for tokenization.'} Fractionalization Analysis: ${fractionalAnalysis.fractional_reasoning || 'Excellent tokenization potential with strong investor appeal.'}`,
       features: [
         'tokenized_property',
@@ -1199,16 +1107,18 @@ function formatFractionalPropertiesForMarketplace(properties) {
       minInvestment: fractionalAnalysis.min_investment || Math.max(100, tokenPrice),
       
       // Financial metrics
-      expectedROI: fractionalAnalysis.estimated_roi || 8.5,
-      rentalYield: fractionalAnalysis.rental_yield || 6.5,
+      expectedROI: fractionalAnalysis.estimated_roi ?? null,
+      rentalYield: fractionalAnalysis.rental_yield ?? null,
       monthlyRent: Math.round((property.rentEstimate || price * 0.008)),
-      capRate: property.corelogic?.investment_metrics?.cap_rate * 100 || (Math.random() * 4 + 6),
+      capRate: property.corelogic?.investment_metrics?.cap_rate * 100 || fractionalAnalysis.cap_rate || null,
       
       // Investment scores
-      fractionalScore: fractionalAnalysis.fractionalization_score || 7.5,
-      tokenizationSuitability: fractionalAnalysis.tokenization_suitability || 7.5,
-      investorDemand: fractionalAnalysis.investor_demand || 7,
-      liquidityPotential: fractionalAnalysis.liquidity_potential || 7,
+      fractionalScore: fractionalAnalysis.fractionalization_score ?? null,
+      tokenizationSuitability: fractionalAnalysis.tokenization_suitability ?? null,
+      investorDemand: fractionalAnalysis.investor_demand ?? null,
+      liquidityPotential: fractionalAnalysis.liquidity_potential ?? null,
+      scoreBreakdown: fractionalAnalysis.score_breakdown || null,
+      missingInputs: fractionalAnalysis.score_breakdown?.missingInputs || [],
       
       taxes: Math.round(price * 0.012),
       insurance: Math.round(price * 0.003),
@@ -1395,49 +1305,21 @@ async function getLocationCoordinates(location) {
 async function fetchLoopNetProperties({ coordinates, maxPrice, minPrice, limit }) {
   try {
     const [lng, lat] = coordinates;
-    
-    const requestBody = {
-      coordination: [lng, lat],
-      radius: 10, // 10 mile radius
-      page: 1,
-      limit: limit || 25
-    };
 
-    console.log("🔍 LoopNet API Request:", requestBody);
+    console.log("🔍 LoopNet search:", { lat, lng, limit: limit || 25 });
 
-    const response = await fetch(`${process.env.LOOPNET_API_URL}${process.env.LOOPNET_LEASE_SEARCH_ENDPOINT}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-rapidapi-host': process.env.LOOPNET_RAPIDAPI_HOST,
-        'x-rapidapi-key': process.env.RAPIDAPI_KEY
-      },
-      body: JSON.stringify(requestBody)
+    // Step 1: Get LoopNet coordinates and listing IDs
+    const listings = await propertyProviders.get('loopnet').search({
+      coordinates: { lat, lng },
+      radiusMiles: 10, // 10 mile radius
+      limit: limit || 25
     });
 
-    if (!response.ok) {
-      throw new Error(`LoopNet API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    console.log("🏠 LoopNet API Response structure:", {
-      status: data.status,
-      total_properties: data.data?.length || 0,
-      message: data.message
-    });
+    console.log(`📊 LoopNet: Retrieved ${listings.length} listing IDs and coordinates`);
 
-    // Extract LoopNet listing IDs and coordinates
-    const loopnetListings = data.data || data.properties || data.listings || data.results || [];
-    
-    console.log(`📊 LoopNet: Retrieved ${loopnetListings.length} listing IDs and coordinates`);
-    
-    // Step 1: Get LoopNet coordinates and listing IDs
-    const loopnetData = loopnetListings.slice(0, limit || 25).map((item) => ({
-      loopNetId: item.listingId,
-      coordinates: item.coordinations && item.coordinations[0] ? {
-        lat: item.coordinations[0][1],
-        lng: item.coordinations[0][0]
-      } : { lat: 29.7604, lng: -95.3698 }
+    const loopnetData = listings.map((listing) => ({
+      loopNetId: listing.ids.loopnet,
+      coordinates: listing.data.location || { lat: 29.7604, lng: -95.3698 }
     }));
     
     console.log(`🔄 Step 1 Complete: ${loopnetData.length} LoopNet locations extracted`);
@@ -1464,10 +1346,27 @@ async function fetchLoopNetProperties({ coordinates, maxPrice, minPrice, limit }
   }
 }
 
+/**
+ * 📐 Deterministic investment fields for ai_analysis
+ */
+function scoredInvestmentAnalysis(property, asOf) {
+  const fractional = buildFractionalAnalysis(property, { asOf });
+  const breakdown = fractional.score_breakdown;
+  const riskLevel = breakdown.score === null ? 'medium' : breakdown.score >= 7 ? 'low' : breakdown.score >= 5 ? 'medium' : 'high';
+
+  return {
+    investment_score: breakdown.score,
+    fractionalization_score: fractional.fractionalization_score,
+    risk_level: riskLevel,
+    estimated_roi: fractional.estimated_roi,
+    score_breakdown: breakdown
+  };
+}
+
 /**
  * 🤖 Analyze properties with AI for investment potential
  */
-async function analyzePropertiesWithAI(properties, query) {
+async function analyzePropertiesWithAI(properties, query, asOf) {
   try {
     const analysisPrompt = `
 Analyze these real estate properties for investment and fractionalization potential:
@@ -1512,13 +1411,11 @@ Respond with a JSON array of analyzed properties with scores and analysis.
       // Merge AI analysis with original property data
       const mergedProperties = properties.map((property, index) => {
         const aiAnalysis = analyzedData[index] || {};
+        // Numbers always come from the deterministic scorer; GPT contributes the qualitative notes
         return {
           ...property,
           ai_analysis: {
-            investment_score: aiAnalysis.investment_score || Math.random() * 3 + 7, // 7-10 range
-            fractionalization_score: aiAnalysis.fractionalization_suitability || Math.random() * 3 + 6,
-            risk_level: aiAnalysis.risk_level || 'medium',
-            estimated_roi: aiAnalysis.estimated_roi || (Math.random() * 5 + 8), // 8-13% range
+            ...scoredInvestmentAnalysis(property, asOf),
             highlights: aiAnalysis.key_investment_highlights || ['AI-identified investment potential'],
             concerns: aiAnalysis.potential_concerns || []
           }
@@ -1533,10 +1430,7 @@ Respond with a JSON array of analyzed properties with scores and analysis.
       return properties.map(property => ({
         ...property,
         ai_analysis: {
-          investment_score: Math.random() * 3 + 7,
-          fractionalization_score: Math.random() * 3 + 6,
-          risk_level: 'medium',
-          estimated_roi: Math.random() * 5 + 8,
+          ...scoredInvestmentAnalysis(property, asOf),
           highlights: ['Investment potential identified', 'Suitable for fractionalization'],
           concerns: []
         }
@@ -1549,10 +1443,7 @@ Respond with a JSON array of analyzed properties with scores and analysis.
     return properties.map(property => ({
       ...property,
       ai_analysis: {
-        investment_score: Math.random() * 3 + 7,
-        fractionalization_score: Math.random() * 3 + 6,
-        risk_level: 'medium',
-        estimated_roi: Math.random() * 5 + 8,
+        ...scoredInvestmentAnalysis(property, asOf),
         highlights: ['Property analyzed'],
         concerns: []
       }
@@ -1626,7 +1517,9 @@ function formatPropertiesForMarketplace(properties) {
       tokenPrice: Math.floor(price / 1000),
       totalTokens: 1000,
       availableTokens: 1000,
-      expectedROI: analysis.estimated_roi || 8.5,
+      expectedROI: analysis.estimated_roi ?? null,
+      investmentScore: analysis.investment_score ?? null,
+      missingInputs: analysis.score_breakdown?.missingInputs || [],
       monthlyRent: Math.round(price * 0.008),
       taxes: Math.round(price * 0.012), // 1.2% annual
       insurance: Math.round(price * 0.003), // 0.3% annual
@@ -1735,7 +1628,7 @@ async function fetchZillowPropertiesNearCoordinates(loopnetData, { maxPrice, min
         // Add delay to avoid rate limits
         await new Promise(resolve => setTimeout(resolve, 1200));
         
-        const zillowResponse = await fetch(`${process.env.ZILLOW_API_URL}/propertyByCoordinates?lat=${location.coordinates.lat}&lng=${location.coordinates.lng}`, {
+        const zillowResponse = await zillowFetch(`${process.env.ZILLOW_API_URL}/propertyByCoordinates?lat=${location.coordinates.lat}&lng=${location.coordinates.lng}`, {
           method: 'GET',
           headers: {
             'x-rapidapi-host': process.env.ZILLOW_RAPIDAPI_HOST,
@@ -10,11 +10,10 @@ const { applyTierLimitsMiddleware } = require("../../../utils/freemiumDataLimite
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const { getPropertyDetail, getAttomId, fetchMultipleProperties } = require("../../../services/attom");
-const { getAsync, setAsync, getUserKey } = require("../../../utils/redisClient");
-const SearchCache = require("../../../models/SearchCache");
+const { getUserKey } = require("../../../utils/redisClient");
 // Import optimization services
 const { PropertyBatchProcessor } = require("../../../services/propertyBatchProcessor");
-const enhancedCache = require("../../../services/enhancedCacheService");
+const cacheService = require("../../../services/cacheService");
 const { DataSourceRouter } = require("../../../services/dataSourceRouter");
 const { performance } = require('perf_hooks');
 
@@ -297,14 +296,15 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
     }
   }
 
-  // 💰 PHASE 1: Check MongoDB cache first to save costs
-  console.log('💰 Phase 1: Checking MongoDB cache to save API costs...');
+  // 💰 PHASE 1: Check the shared search cache first to save costs
+  console.log('💰 Phase 1: Checking search cache to save API costs...');
   
   // Extract search parameters for cache lookup
   let searchFilters = { limit: req.body.limit || 10 };
+  const searchCacheParams = { query, ...searchFilters };
   
   // Try to get cached results first
-  const cachedResults = await SearchCache.findCachedResults(query, searchFilters);
+  const { data: cachedResults } = await cacheService.get('search_legacy', searchCacheParams);
   if (cachedResults) {
     console.log('🎉 Serving cached results - no API costs incurred!');
     return res.status(200).json({ 
@@ -372,18 +372,11 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
 
   // 💾 Add per-user caching for personalized search results
   const userKey = getUserKey(req);
-  const searchCacheKey = `ai:fullSearch:${userKey}:${JSON.stringify(parsedFilter)}`;
-  const cached = await getAsync(searchCacheKey);
-  if (cached) {
+  const userCacheParams = { userKey, ...parsedFilter };
+  const cached = await cacheService.get('search_legacy_user', userCacheParams);
+  if (cached.hit) {
     console.log(`📥 Cache hit for AI search: ${userKey}`);
-    try {
-      return res.status(200).json({ fromCache: true, ...JSON.parse(cached) });
-    } catch (parseError) {
-      console.warn(`⚠️ Failed to parse cached search data, fetching fresh data:`, parseError.message);
-      // Clear the corrupted cache entry and continue with fresh search
-      const { deleteAsync } = require("../../../utils/redisClient");
-      await deleteAsync(searchCacheKey);
-    }
+    return res.status(200).json({ fromCache: true, ...cached.data });
   }
 
   // 🔧 Normalize values
@@ -417,51 +410,25 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
   const { coreLogicCache } = require('../../../utils/coreLogicCacheWrapper');
   
   let coreLogicProperties = [];
-  const coreLogicCacheKey = `corelogic:search:comprehensive:${normalizedCity}:${max_price}:${min_beds}:${property_type}`;
-  
-  // Check cache for CoreLogic comprehensive search
-  const cachedCoreLogic = await getAsync(coreLogicCacheKey);
-  if (cachedCoreLogic) {
-    console.log(`💰 CoreLogic cache hit - saved expensive API calls!`);
-    try {
-      coreLogicProperties = JSON.parse(cachedCoreLogic);
-    } catch (parseError) {
-      console.warn(`⚠️ Failed to parse cached CoreLogic data, fetching fresh:`, parseError.message);
-      const { deleteAsync } = require("../../../utils/redisClient");
-      await deleteAsync(coreLogicCacheKey);
-    }
-  }
   
-  // If no cached data, use CoreLogic SuperClient to search for properties
-  if (!coreLogicProperties || coreLogicProperties.length === 0) {
-    console.log('🔥 CoreLogic cache miss - making API call...');
-    const { CoreLogicSuperClient } = require('../../../utils/coreLogicSuperClient');
-    const superClient = new CoreLogicSuperClient();
+  // The cache wrapper keeps CoreLogic searches in the 'corelogic_enriched_search' namespace
+  try {
+    // Use CoreLogic's comprehensive property search
+    const searchResult = await coreLogicCache.getCachedPropertySearch({
+      city: normalizedCity,
+      state: 'TX', // Default to TX since most searches are Houston-based
+      maxPrice: max_price,
+      minBedrooms: min_beds,
+      propertyType: property_type === 'house' ? 'SFR' : property_type.toUpperCase(),
+      limit: 30 // Get top 30 properties from CoreLogic to show more search power
+    });
     
-    try {
-      // Use CoreLogic's comprehensive property search
-      const searchResult = await coreLogicCache.getCachedPropertySearch({
-        city: normalizedCity,
-        state: 'TX', // Default to TX since most searches are Houston-based
-        maxPrice: max_price,
-        minBedrooms: min_beds,
-        propertyType: property_type === 'house' ? 'SFR' : property_type.toUpperCase(),
-        limit: 30 // Get top 30 properties from CoreLogic to show more search power
-      });
-      
-      coreLogicProperties = searchResult?.properties || [];
-      
-      // Cache the results for 30 minutes (property searches change moderately)
-      if (coreLogicProperties.length > 0) {
-        await setAsync(coreLogicCacheKey, coreLogicProperties, 1800);
-        console.log(`📝 Cached ${coreLogicProperties.length} CoreLogic properties`);
-      }
-      
-    } catch (coreLogicError) {
-      console.warn('⚠️ CoreLogic search failed, falling back to Zillow-first approach:', coreLogicError.message);
-      // Fallback to original Zillow-first approach if CoreLogic fails
-      coreLogicProperties = [];
-    }
+    coreLogicProperties = searchResult?.properties || [];
+    
+  } catch (coreLogicError) {
+    console.warn('⚠️ CoreLogic search failed, falling back to Zillow-first approach:', coreLogicError.message);
+    // Fallback to original Zillow-first approach if CoreLogic fails
+    coreLogicProperties = [];
   }
   
   let rawListings = [];
@@ -497,19 +464,13 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
       status_type: "ForSale",
     });
 
-    const zillowCacheKey = `zillow:search:${normalizedCity}:${max_price}:${min_beds}:${property_type}`;
+    const zillowCacheParams = { city: normalizedCity, max_price, min_beds, property_type };
     let zillowData;
     
-    const cachedZillow = await getAsync(zillowCacheKey);
-    if (cachedZillow) {
+    const cachedZillow = await cacheService.get('zillow_search', zillowCacheParams);
+    if (cachedZillow.hit) {
       console.log(`📥 Cache hit for Zillow search: ${normalizedCity}`);
-      try {
-        zillowData = JSON.parse(cachedZillow);
-      } catch (parseError) {
-        console.warn(`⚠️ Failed to parse cached Zillow data, fetching fresh data:`, parseError.message);
-        const { deleteAsync } = require("../../../utils/redisClient");
-        await deleteAsync(zillowCacheKey);
-      }
+      zillowData = cachedZillow.data;
     }
     
     if (!zillowData) {
@@ -530,7 +491,9 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
         }
 
         zillowData = await zillowResponse.json();
-        await setAsync(zillowCacheKey, zillowData, 900);
+        await cacheService.set('zillow_search', zillowCacheParams, zillowData, {
+          tags: (zillowData.props || []).map(prop => cacheService.addressTag(prop.address))
+        });
         console.log(`📝 Cached Zillow search results for: ${normalizedCity}`);
         
       } catch (err) {
@@ -927,20 +890,13 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
     }
   };
 
-  // 💰 Cache results in MongoDB for aggressive cost savings
+  // 💰 Cache results (Redis + MongoDB) for aggressive cost savings
   const estimatedApiCost = rawListings.length * 0.05; // Estimate $0.05 per CoreLogic API call
-  console.log(`\n💰 Caching search results in MongoDB (estimated API cost: $${estimatedApiCost.toFixed(2)})`);
-  
-  try {
-    await SearchCache.cacheResults(query, searchFilters, responsePayload, estimatedApiCost);
-    console.log('✅ Successfully cached search results in MongoDB');
-  } catch (cacheError) {
-    console.warn('⚠️ Failed to cache results in MongoDB:', cacheError.message);
-  }
+  console.log(`\n💰 Caching search results (estimated API cost: $${estimatedApiCost.toFixed(2)})`);
+  await cacheService.set('search_legacy', searchCacheParams, responsePayload, { costUsd: estimatedApiCost });
 
-  // Keep Redis cache for backwards compatibility (shorter TTL)
-  console.log(`\n💾 Also caching in Redis for short-term performance`);
-  await setAsync(searchCacheKey, responsePayload, 1800); // Cache for 30 mins
+  // Per-user copy for 30 mins
+  await cacheService.set('search_legacy_user', userCacheParams, responsePayload, { costUsd: estimatedApiCost });
 
   console.log(`\n✅ Search completed successfully. Returning ${enrichedListings.length} properties to client.`);
   res.status(200).json({ fromCache: false, ...responsePayload });
@@ -15,7 +15,6 @@
 
 const express = require("express");
 const router = express.Router();
-const OpenAI = require("openai");
 const fetch = require("node-fetch");
 require("dotenv").config();
 
@@ -23,15 +22,18 @@ require("dotenv").config();
 const { freemiumRateLimit, addLimitsToResponse } = require("../../../middleware/freemiumRateLimit");
 const { applyTierLimitsMiddleware } = require("../../../utils/freemiumDataLimiter");
 const googleVerification = require("../../../services/googleAddressVerification");
-const SearchCache = require("../../../models/SearchCache");
 const Property = require("../../../models/Property");
-const enhancedCache = require("../../../services/enhancedCacheService");
+const cacheService = require("../../../services/cacheService");
 const { DataSourceRouter } = require("../../../services/dataSourceRouter");
-const { getAsync, setAsync, getUserKey } = require("../../../utils/redisClient");
+const routingStatsService = require("../../../services/routingStatsService");
+const { getUserKey } = require("../../../utils/redisClient");
 const { PropertyBatchProcessor } = require("../../../services/propertyBatchProcessor");
 const { performance } = require('perf_hooks');
+const openai = require("../../../services/openaiService");
+const providerResilience = require("../../../services/providerResilience");
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Breaker, bulkhead, timeout and retries for direct RapidAPI calls
+const zillowFetch = providerResilience.wrapFetch("zillow", fetch);
 
 /**
  * 🔍 Detect if query is an address search vs general search
@@ -69,6 +71,9 @@ function detectSearchType(query) {
 
 /**
  * 🎯 Discovery Phase: Search for properties using Zillow (+ future MLS Grid)
+ *
+ * Only Zillow serves city-wide listing search, so discovery isn't routed;
+ * its calls are still recorded for the router's learned provider stats.
  */
 async function discoveryPhase(searchCriteria) {
   const startTime = performance.now();
@@ -76,7 +81,7 @@ async function discoveryPhase(searchCriteria) {
   
   const { city, state = 'TX', maxPrice, minBeds, exactBeds, propertyType } = searchCriteria;
   
-  // Build enhanced cache parameters - use proper parameter structure
+  // Build cache parameters - use proper parameter structure
   const searchParams = {
     city: city.toLowerCase(),
     state: state.toLowerCase(),
@@ -86,13 +91,13 @@ async function discoveryPhase(searchCriteria) {
     propertyType: propertyType || 'any'
   };
   
-  // ⚡ Use enhanced cache service with proper parameter structure
-  console.log('🔍 Checking enhanced cache for discovery data...');
+  // ⚡ Check the unified cache (Redis, then MongoDB)
+  console.log('🔍 Checking cache for discovery data...');
   
   try {
-    const cacheResult = await enhancedCache.get('discovery', searchParams);
+    const cacheResult = await cacheService.get('search_discovery', searchParams);
     
-    if (cacheResult && cacheResult.cached && cacheResult.data) {
+    if (cacheResult.hit && cacheResult.data) {
       const cacheTime = performance.now() - startTime;
       console.log(`💾 Discovery served from ${cacheResult.source} cache in ${cacheTime.toFixed(2)}ms`);
       
@@ -154,34 +159,9 @@ async function discoveryPhase(searchCriteria) {
       }
     }
     
-    console.log(`🔄 No enhanced cache hit (source: ${cacheResult?.source || 'none'})`);
+    console.log('🔄 No discovery cache hit');
   } catch (cacheError) {
-    console.warn('⚠️ Enhanced cache error:', cacheError.message);
-  }
-  
-  // Fallback to original MongoDB cache for stability
-  console.log('🔍 Checking fallback MongoDB cache...');
-  try {
-    const mongoCache = await SearchCache.findCachedResults(`discovery_${JSON.stringify(searchCriteria)}`, {
-      city, state, maxPrice, minBeds, exactBeds, propertyType
-    });
-    
-    if (mongoCache && mongoCache.listings && Array.isArray(mongoCache.listings)) {
-      const cacheTime = performance.now() - startTime;
-      console.log(`💾 Discovery served from MongoDB fallback cache in ${cacheTime.toFixed(2)}ms`);
-      return {
-        listings: mongoCache.listings,
-        fromCache: true,
-        source: 'mongodb_fallback',
-        cacheMetrics: mongoCache.metadata,
-        performanceMetrics: {
-          totalTime: cacheTime,
-          cacheHitTime: cacheTime
-        }
-      };
-    }
-  } catch (mongoError) {
-    console.warn('⚠️ MongoDB cache fallback error:', mongoError.message);
+    console.warn('⚠️ Discovery cache error:', cacheError.message);
   }
   
   console.log('🔄 No cache hits, proceeding with fresh search');
@@ -213,36 +193,35 @@ async function discoveryPhase(searchCriteria) {
     console.warn('⚠️ WARNING: No price or bedroom filters set - may return broad results');
   }
 
+  const recordZillowOutcome = (outcome) => routingStatsService.record({
+    provider: 'zillow',
+    searchType: 'area_search',
+    region: routingStatsService.regionOf({ state }),
+    ...outcome
+  });
+
   try {
-    // ⚡ Use DataSourceRouter for intelligent routing (Zillow preferred for city-wide searches)
-    const dataSourceRouter = new DataSourceRouter();
-    const routingDecision = await dataSourceRouter.determineOptimalRoute({
-      city,
-      state,
-      maxPrice,
-      exactBeds,
-      propertyType,
-      searchType: 'discovery'
-    }, {
-      prioritizeSpeed: true,
-      prioritizeCost: true
-    });
-    
-    console.log(`🎯 Routing decision: Using ${routingDecision.strategy} (confidence: ${routingDecision.confidence})`);
-    
     const zillowStartTime = performance.now();
     console.log('🏠 Calling Zillow API for discovery...');
     const zillowUrl = `https://zillow-com1.p.rapidapi.com/propertyExtendedSearch?${zillowParams.toString()}`;
     
-    const response = await fetch(zillowUrl, {
-      method: "GET",
-      headers: {
-        "x-rapidapi-key": process.env.RAPIDAPI_KEY,
-        "x-rapidapi-host": "zillow-com1.p.rapidapi.com",
-      },
-    });
+    let response;
+    try {
+      response = await zillowFetch(zillowUrl, {
+        method: "GET",
+        headers: {
+          "x-rapidapi-key": process.env.RAPIDAPI_KEY,
+          "x-rapidapi-host": "zillow-com1.p.rapidapi.com",
+        },
+      });
+    } catch (fetchError) {
+      // Timeouts and an open breaker throw rather than return a response
+      recordZillowOutcome({ latencyMs: performance.now() - zillowStartTime, ok: false });
+      throw fetchError;
+    }
 
     if (!response.ok) {
+      recordZillowOutcome({ latencyMs: performance.now() - zillowStartTime, ok: false });
       throw new Error(`Zillow API returned status ${response.status}`);
     }
 
@@ -276,6 +255,12 @@ async function discoveryPhase(searchCriteria) {
     
     const batchTime = performance.now() - batchStartTime;
     console.log(`⚡ Batch processing completed in ${batchTime.toFixed(2)}ms`);
+
+    recordZillowOutcome({
+      latencyMs: zillowTime,
+      ok: true,
+      completeness: routingStatsService.listingCompleteness(rawListings)
+    });
     
     // 💾 Save enriched properties with carouselPhotos to MongoDB for persistent access
     console.log('💾 Saving enriched properties to MongoDB...');
@@ -319,34 +304,22 @@ async function discoveryPhase(searchCriteria) {
           zillowApiTime: zillowTime,
           batchProcessingTime: batchTime,
           totalTime: performance.now() - startTime
-        },
-        routingDecision
+        }
       }
     };
     
-    // Store in enhanced cache with 24-hour TTL for discovery data
-    await enhancedCache.set(
-      'discovery',
-      searchParams,
-      cacheData,
-      {
-        customTTL: 24 * 60 * 60, // 24 hours
-        priority: 'high',
-        estimatedCost: listings.length * 0.02,
-        metadata: {
-          searchType: 'discovery',
-          routingDecision: routingDecision.strategy
-        }
-      }
-    );
+    // Cache discovery data for the 'search_discovery' policy TTL (24 hours)
+    await cacheService.set('search_discovery', searchParams, cacheData, {
+      costUsd: listings.length * 0.02
+    });
 
     const totalTime = performance.now() - startTime;
-    console.log(`✅ Discovery completed in ${totalTime.toFixed(2)}ms: ${listings.length} properties via ${routingDecision.strategy}`);
+    console.log(`✅ Discovery completed in ${totalTime.toFixed(2)}ms: ${listings.length} properties via Zillow`);
     
     return {
       listings,
       fromCache: false,
-      source: routingDecision.strategy,
+      source: 'zillow',
       performanceMetrics: {
         totalTime,
         zillowApiTime: zillowTime,
@@ -363,7 +336,7 @@ async function discoveryPhase(searchCriteria) {
 /**
  * 🏢 Address Search: Verify with Google, then parallel fetch from Zillow + CoreLogic
  */
-async function addressSearch(address) {
+async function addressSearch(address, routingLimits = {}) {
   const startTime = performance.now();
   console.log(`🏠 Address Search: Processing "${address}"`);
   
@@ -395,16 +368,16 @@ async function addressSearch(address) {
     };
   }
 
-  // Step 2: Check enhanced cache (30-day for address searches)
+  // Step 2: Check cache (30-day for address searches)
   const addressParams = {
     normalizedAddress: verification.normalizedAddress
   };
-  console.log('🔍 Checking enhanced cache for address data...');
+  console.log('🔍 Checking cache for address data...');
   
   try {
-    const cacheResult = await enhancedCache.get('address', addressParams);
+    const cacheResult = await cacheService.get('search_address', addressParams);
     
-    if (cacheResult && cacheResult.cached && cacheResult.data) {
+    if (cacheResult.hit && cacheResult.data) {
       const cacheTime = performance.now() - startTime;
       console.log(`💾 Address search served from ${cacheResult.source} cache in ${cacheTime.toFixed(2)}ms`);
       return {
@@ -415,98 +388,80 @@ async function addressSearch(address) {
       };
     }
     
-    console.log(`🔄 No address cache hit (source: ${cacheResult?.source || 'none'})`);
+    console.log('🔄 No address cache hit');
   } catch (cacheError) {
-    console.warn('⚠️ Enhanced address cache error:', cacheError.message);
+    console.warn('⚠️ Address cache error:', cacheError.message);
   }
 
-  console.log('🔄 Step 2: Parallel fetch from Zillow + CoreLogic...');
-  
-  // Step 3: Parallel fetch from both sources with performance tracking
-  const fetchStartTime = performance.now();
-  const promises = [];
-  
-  // Zillow search promise
-  promises.push(
-    fetch(`https://zillow-com1.p.rapidapi.com/propertyExtendedSearch?location=${encodeURIComponent(verification.zillowFormat)}`, {
-      method: "GET",
-      headers: {
-        "x-rapidapi-key": process.env.RAPIDAPI_KEY,
-        "x-rapidapi-host": "zillow-com1.p.rapidapi.com",
-      }
-    }).then(res => res.json()).then(data => ({
-      source: 'zillow',
-      data: data.props?.[0] || null
-    })).catch(error => ({
-      source: 'zillow',
-      error: error.message
-    }))
-  );
-
-  // CoreLogic search promise
-  promises.push(
-    (async () => {
-      try {
-        const { CoreLogicSuperClient } = require('../../../utils/coreLogicSuperClient');
-        const superClient = new CoreLogicSuperClient();
-        
-        const result = await superClient.searchAndEnrich(verification.coreLogicFormat);
-        return {
-          source: 'corelogic',
-          data: result
-        };
-      } catch (error) {
-        return {
-          source: 'corelogic',
-          error: error.message
-        };
-      }
-    })()
-  );
+  // Step 3: Route, then fetch from the chosen providers and merge field by field
+  const dataSourceRouter = new DataSourceRouter();
+  const routingDecision = await dataSourceRouter.determineOptimalRoute({
+    address: verification.normalizedAddress,
+    searchType: 'address'
+  }, routingLimits);
 
-  const [zillowResult, coreLogicResult] = await Promise.all(promises);
+  console.log(`🔄 Step 2: Fetching from ${routingDecision.strategy} providers...`);
+  const fetchStartTime = performance.now();
+  const { coreLogicFormat } = verification;
+  const merged = await dataSourceRouter.fetchParallel({
+    address: {
+      line1: coreLogicFormat.streetAddress,
+      city: coreLogicFormat.city,
+      state: coreLogicFormat.state,
+      zip: coreLogicFormat.zipCode,
+      oneLine: verification.zillowFormat
+    },
+    location: {
+      lat: verification.coordinates.latitude,
+      lng: verification.coordinates.longitude
+    }
+  }, {
+    providers: routingDecision.providers,
+    includeImages: true,
+    searchType: routingDecision.trace?.searchType
+  });
   const fetchTime = performance.now() - fetchStartTime;
-  
-  console.log('📊 Zillow result:', zillowResult.error ? `Error: ${zillowResult.error}` : 'Success');
-  console.log('📊 CoreLogic result:', coreLogicResult.error ? `Error: ${coreLogicResult.error}` : 'Success');
 
-  // Step 4: Merge and enrich data
+  for (const [provider, outcome] of Object.entries(merged.providers)) {
+    console.log(`📊 ${provider} result:`, outcome.ok ? (outcome.found ? 'Success' : 'Not found') : `Error: ${outcome.error}`);
+  }
+
+  // Step 4: Shape the merged record for the existing listing format
   let mergedProperty = null;
   
-  if (zillowResult.data || coreLogicResult.data) {
+  if (merged.record) {
+    const { record, conflicts, quality } = merged;
+    const data = record.data;
+    const photos = record.images.map(image => image.url);
+
     mergedProperty = {
-      id: zillowResult.data?.zpid || 'address_property',
+      id: record.ids.zillow || 'address_property',
       address: { oneLine: verification.normalizedAddress },
-      
-      // Prioritize CoreLogic for valuation, Zillow for listing data
-      price: coreLogicResult.data?.searchResult?.items?.[0]?.assessedValue || 
-             zillowResult.data?.price || null,
-             
-      beds: coreLogicResult.data?.intelligence?.buildings?.bedrooms || 
-            zillowResult.data?.bedrooms || null,
-            
-      baths: coreLogicResult.data?.intelligence?.buildings?.bathrooms || 
-             zillowResult.data?.bathrooms || null,
-             
-      sqft: coreLogicResult.data?.intelligence?.buildings?.squareFeet || 
-            zillowResult.data?.livingArea || null,
-            
+      price: data.listPrice || data.estimatedValue || data.assessedValue || null,
+      beds: data.beds ?? null,
+      baths: data.baths ?? null,
+      sqft: data.sqft || null,
+      yearBuilt: data.yearBuilt || null,
+      propertyType: data.propertyType || null,
       location: {
         latitude: verification.coordinates.latitude,
         longitude: verification.coordinates.longitude
       },
       
-      // Always use Zillow for images - maintain backward compatibility with imgSrc
-      imgSrc: zillowResult.data?.imgSrc || null,
-      carouselPhotos: zillowResult.data?.carouselPhotos || (zillowResult.data?.imgSrc ? [zillowResult.data.imgSrc] : []),
-      zpid: zillowResult.data?.zpid || null,
-      photoCount: zillowResult.data?.carouselPhotos?.length || (zillowResult.data?.imgSrc ? 1 : 0),
+      // Keep imgSrc for backward compatibility
+      imgSrc: photos[0] || null,
+      carouselPhotos: photos,
+      zpid: record.ids.zillow || null,
+      clip: record.ids.corelogic || null,
+      attomId: record.ids.attom || null,
+      photoCount: photos.length,
       
-      // Data sources
-      dataSource: 'combined',
-      dataQuality: 'excellent',
-      zillowData: zillowResult.data,
-      coreLogicData: coreLogicResult.data,
+      // Data sources and field-level provenance
+      dataSource: record.sources.length > 1 ? 'combined' : record.sources[0],
+      dataQuality: quality.label,
+      dataQualityScore: quality.score,
+      conflicts,
+      provenance: record.provenance,
       verification
     };
   }
@@ -524,9 +479,10 @@ async function addressSearch(address) {
         parallelFetchTime: fetchTime,
         totalTime
       },
+      routingStrategy: routingDecision.strategy,
+      routingTrace: routingDecision.trace,
       dataSources: {
-        zillow: !!zillowResult.data,
-        corelogic: !!coreLogicResult.data,
+        ...Object.fromEntries(Object.entries(merged.providers).map(([provider, outcome]) => [provider, outcome.found === true])),
         google: true
       }
     },
@@ -535,23 +491,11 @@ async function addressSearch(address) {
       : `Address ${verification.normalizedAddress} was verified but no property data is available. The property may not be listed or in our database.`
   };
 
-  // ⚡ Cache using enhanced cache service for 30 days (address searches are stable)
+  // ⚡ Cache for 30 days (address searches are stable), tagged so the address can be invalidated
   if (mergedProperty) {
-    await enhancedCache.set(
-      'address',
-      addressParams,
-      resultData,
-      {
-        customTTL: 30 * 24 * 60 * 60, // 30 days
-        priority: 'high',
-        estimatedCost: 0.10, // Higher cost estimate for parallel API calls
-        metadata: {
-          searchType: 'address',
-          addressVerification: true,
-          parallelFetch: true
-        }
-      }
-    );
+    await cacheService.set('search_address', addressParams, resultData, {
+      tags: [cacheService.addressTag(verification.normalizedAddress)]
+    });
     
     console.log(`💾 Cached address search result for 30 days`);
   }
@@ -574,7 +518,9 @@ async function addressSearch(address) {
  */
 router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddleware, async (req, res) => {
   const requestStartTime = performance.now();
-  const { query } = req.body;
+  const { query, maxCost, latencySloMs } = req.body;
+  // Optional per-request limits for the data source router (address searches)
+  const routingLimits = { maxCost, latencySloMs };
   
   if (!query || typeof query !== "string") {
     return res.status(400).json({ error: "Missing or invalid query" });
@@ -597,7 +543,7 @@ router.post("/", freemiumRateLimit, addLimitsToResponse, applyTierLimitsMiddlewa
       console.log(`📈 Phase 2 - Starting Address Search`);
       const addressStartTime = performance.now();
       
-      const result = await addressSearch(query);
+      const result = await addressSearch(query, routingLimits);
       const addressTime = performance.now() - addressStartTime;
       const totalRequestTime = performance.now() - requestStartTime;
       
@@ -763,12 +709,12 @@ router.get("/details/:id", async (req, res) => {
 
   try {
     // Check cache first (30-day for property details)
-    const cacheKey = `property_details:${id}:${source || 'any'}`;
-    const cached = await getAsync(cacheKey);
+    const cacheKey = `${id}:${source || 'any'}`;
+    const cached = await cacheService.get('corelogic_intelligence', cacheKey);
     
-    if (cached) {
+    if (cached.hit) {
       console.log('💾 Property details served from cache');
-      return res.json({ fromCache: true, ...JSON.parse(cached) });
+      return res.json({ fromCache: true, ...cached.data });
     }
 
     let details = null;
@@ -790,7 +736,9 @@ router.get("/details/:id", async (req, res) => {
 
     if (details) {
       // Cache for 30 days
-      await setAsync(cacheKey, JSON.stringify(details), 30 * 24 * 60 * 60);
+      await cacheService.set('corelogic_intelligence', cacheKey, details, {
+        tags: [cacheService.tag('clip', id)]
+      });
       
       return res.json({
         fromCache: false,
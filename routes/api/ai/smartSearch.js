@@ -10,7 +10,7 @@ const { applyTierLimitsMiddleware } = require("../../../utils/freemiumDataLimite
 const { fetchZillowPhotos } = require("../../../services/fetchZillow");
 const { getPropertyInfoFromCoreLogic } = require("../../../utils/coreLogicClientV2");
 const { CoreLogicSuperClient } = require("../../../utils/coreLogicSuperClient");
-const { getAsync, setAsync } = require("../../../utils/redisClient");
+const cacheService = require("../../../services/cacheService");
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const superClient = new CoreLogicSuperClient();
@@ -197,14 +197,14 @@ async function handleListingsSearch(query, sessionId) {
     status_type: "ForSale",
   });
 
-  // Check cache first
-  const zillowCacheKey = `zillow:search:${normalizedCity}:${max_price}:${min_beds}:${property_type}`;
+  // Check cache first (same entries as the legacy search's Zillow fallback)
+  const zillowCacheParams = { city: normalizedCity, max_price, min_beds, property_type };
   let zillowData;
   
-  const cachedZillow = await getAsync(zillowCacheKey);
-  if (cachedZillow) {
+  const cachedZillow = await cacheService.get('zillow_search', zillowCacheParams);
+  if (cachedZillow.hit) {
     console.log(`💾 Cache hit for Zillow search: ${normalizedCity}`);
-    zillowData = cachedZillow;
+    zillowData = cachedZillow.data;
   } else {
     const zillowUrl = `https://zillow-com1.p.rapidapi.com/propertyExtendedSearch?${zillowParams.toString()}`;
     
@@ -222,8 +222,10 @@ async function handleListingsSearch(query, sessionId) {
 
     zillowData = await zillowResponse.json();
     
-    // Cache for 15 minutes
-    await setAsync(zillowCacheKey, zillowData, 900);
+    // Cache for the 'zillow_search' policy TTL (15 minutes)
+    await cacheService.set('zillow_search', zillowCacheParams, zillowData, {
+      tags: (zillowData.props || []).map(prop => cacheService.addressTag(prop.address))
+    });
     console.log(`💾 Cached Zillow search results for: ${normalizedCity}`);
   }
 
@@ -6,6 +6,7 @@ const { verifyToken } = require('../../../middleware/auth');
 const SearchCache = require('../../../models/SearchCache');
 const CoreLogicCache = require('../../../models/CoreLogicCache');
 const ZillowImageCache = require('../../../models/ZillowImageCache');
+const cacheService = require('../../../services/cacheService');
 
 // 📊 GET Global Cache Statistics - Admin only
 router.get('/stats', verifyToken, async (req, res) => {
@@ -93,6 +94,9 @@ router.get('/stats', verifyToken, async (req, res) => {
           }
         }
       },
+
+      // Live hit/miss and cost-saved figures from the unified cache service
+      unified: cacheService.getStats(),
       
       timestamp: new Date().toISOString()
     };
@@ -1,22 +1,20 @@
 const express = require("express");
 const router = express.Router();
-const { getAsync, setAsync, getUserKey } = require("../../utils/redisClient");
+const cacheService = require("../../services/cacheService");
 
 // ✅ Get enhanced property insights from CoreLogic
 router.get("/property/:id", async (req, res) => {
   try {
     const propertyId = req.params.id;
-    const userKey = getUserKey(req);
-    const cacheKey = `corelogic:insights:${propertyId}:${userKey}`;
 
     // 📥 Check cache first (CoreLogic data is expensive, cache for longer)
-    const cached = await getAsync(cacheKey);
-    if (cached) {
-      console.log(`📥 Cache hit for CoreLogic insights ${propertyId}: ${userKey}`);
+    const cached = await cacheService.get('corelogic_insights', propertyId);
+    if (cached.hit) {
+      console.log(`📥 Cache hit for CoreLogic insights ${propertyId}`);
       return res.json({ 
         success: true,
         fromCache: true, 
-        data: cached 
+        data: cached.data 
       });
     }
 
@@ -115,9 +113,11 @@ router.get("/property/:id", async (req, res) => {
       }
     };
 
-    // 💾 Cache for 1 hour (CoreLogic data is relatively stable)
-    await setAsync(cacheKey, mockCoreLogicData, 3600);
-    console.log(`📝 Cached CoreLogic insights ${propertyId} for user: ${userKey}`);
+    // 💾 Cache for the 'corelogic_insights' policy TTL (1 hour)
+    await cacheService.set('corelogic_insights', propertyId, mockCoreLogicData, {
+      tags: [cacheService.tag('property', propertyId)]
+    });
+    console.log(`📝 Cached CoreLogic insights ${propertyId}`);
     
     res.json({ 
       success: true,
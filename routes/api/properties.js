@@ -1,20 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const Property = require("../../models/Property");
-const { getAsync, setAsync, getUserKey, deletePatternAsync, deleteAsync } = require("../../utils/redisClient");
+const cacheService = require("../../services/cacheService");
 
-// ✅ Marketplace: Get all APPROVED properties with per-user caching
+const PROPERTY_NAMESPACES = ['properties_marketplace', 'properties_featured', 'property_listing'];
+
+// ✅ Marketplace: Get all APPROVED properties with caching
 router.get("/", async (req, res) => {
   try {
-    const userKey = getUserKey(req);
-    const queryParams = JSON.stringify(req.query);
-    const cacheKey = `properties:marketplace:${userKey}:${queryParams}`;
-
     // 📥 Check cache first
-    const cached = await getAsync(cacheKey);
-    if (cached) {
-      console.log(`📥 Cache hit for properties: ${userKey}`);
-      return res.json({ fromCache: true, data: cached });
+    const cached = await cacheService.get('properties_marketplace', req.query);
+    if (cached.hit) {
+      console.log('📥 Cache hit for marketplace properties');
+      return res.json({ fromCache: true, data: cached.data });
     }
 
     const filters = { status: "approved" };
@@ -29,9 +27,9 @@ router.get("/", async (req, res) => {
 
     const properties = await Property.find(filters).sort({ createdAt: -1 });
     
-    // 💾 Cache the results for 10 minutes (marketplace data changes frequently)
-    await setAsync(cacheKey, properties, 600);
-    console.log(`📝 Cached properties for user: ${userKey}`);
+    // 💾 Cache for the 'properties_marketplace' policy TTL (10 minutes; marketplace data changes frequently)
+    await cacheService.set('properties_marketplace', req.query, properties);
+    console.log('📝 Cached marketplace properties');
     
     res.json({ fromCache: false, data: properties });
   } catch (err) {
@@ -42,13 +40,11 @@ router.get("/", async (req, res) => {
 // ✅ Get featured properties for homepage "Properties Getting Snapped Up" section
 router.get("/featured", async (req, res) => {
   try {
-    const cacheKey = 'properties:featured:homepage';
-    
     // Check cache first
-    const cached = await getAsync(cacheKey);
-    if (cached) {
+    const cached = await cacheService.get('properties_featured', 'homepage');
+    if (cached.hit) {
       console.log('📥 Cache hit for featured properties');
-      return res.json({ fromCache: true, data: cached });
+      return res.json({ fromCache: true, data: cached.data });
     }
     
     console.log('🏠 Fetching featured properties from database...');
@@ -244,8 +240,8 @@ router.get("/featured", async (req, res) => {
     
     console.log(`✅ Prepared ${featuredProperties.length} featured properties for homepage`);
     
-    // Cache for 15 minutes
-    await setAsync(cacheKey, featuredProperties, 900);
+    // Cache for the 'properties_featured' policy TTL (15 minutes)
+    await cacheService.set('properties_featured', 'homepage', featuredProperties);
     
     res.json({ fromCache: false, data: featuredProperties });
   } catch (err) {
@@ -258,14 +254,12 @@ router.get("/featured", async (req, res) => {
 router.get("/:id", async (req, res) => {
   try {
     const propertyId = req.params.id;
-    const userKey = getUserKey(req);
-    const cacheKey = `property:${propertyId}:${userKey}`;
 
     // 📥 Check cache first
-    const cached = await getAsync(cacheKey);
-    if (cached) {
-      console.log(`📥 Cache hit for property ${propertyId}: ${userKey}`);
-      return res.json({ fromCache: true, data: cached });
+    const cached = await cacheService.get('property_listing', propertyId);
+    if (cached.hit) {
+      console.log(`📥 Cache hit for property ${propertyId}`);
+      return res.json({ fromCache: true, data: cached.data });
     }
 
     // Try to find property in database first
@@ -589,9 +583,11 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ error: "Property not found" });
     }
 
-    // 💾 Cache the result for 5 minutes
-    await setAsync(cacheKey, property, 300);
-    console.log(`📝 Cached property ${propertyId} for user: ${userKey}`);
+    // 💾 Cache for the 'property_listing' policy TTL (5 minutes)
+    await cacheService.set('property_listing', propertyId, property, {
+      tags: [cacheService.tag('property', propertyId), cacheService.addressTag(property.address)]
+    });
+    console.log(`📝 Cached property ${propertyId}`);
     
     res.json({ fromCache: false, data: property });
   } catch (err) {
@@ -604,8 +600,7 @@ router.get("/:id", async (req, res) => {
 router.delete("/cache/:id", async (req, res) => {
   try {
     const propertyId = req.params.id;
-    const pattern = `property:${propertyId}:*`;
-    await deletePatternAsync(pattern);
+    await cacheService.invalidateTag(cacheService.tag('property', propertyId));
     
     console.log(`🗑️ Cleared cache for property ${propertyId}`);
     res.json({ success: true, message: `Cache cleared for property ${propertyId}` });
@@ -618,8 +613,9 @@ router.delete("/cache/:id", async (req, res) => {
 // 🗑️ Clear all property caches
 router.delete("/cache", async (req, res) => {
   try {
-    await deletePatternAsync("property:*");
-    await deletePatternAsync("properties:*");
+    for (const namespace of PROPERTY_NAMESPACES) {
+      await cacheService.invalidateNamespace(namespace);
+    }
     
     console.log(`🗑️ Cleared all property caches`);
     res.json({ success: true, message: "All property caches cleared" });
@@ -4,7 +4,8 @@ const crypto = require("crypto");
 require("dotenv").config();
 
 // Import caching and CoreLogic clients
-const { getAsync, setAsync, getUserKey } = require("../../../utils/redisClient");
+const { getUserKey } = require("../../../utils/redisClient");
+const cacheService = require("../../../services/cacheService");
 const { CoreLogicSuperClient } = require("../../../utils/coreLogicSuperClient");
 
 /**
@@ -32,15 +33,14 @@ function createPropertyLookupKey(address, city, state, zip) {
 async function getOrCreatePropertyID(addressData) {
   const { street, city, state, zip } = addressData;
   const lookupKey = createPropertyLookupKey(street, city, state, zip);
-  const pidCacheKey = `pid:${lookupKey}`;
   
   console.log(`🔍 Looking up Property ID for: ${street}, ${city}, ${state} ${zip}`);
   
   // Check if we have cached PID (indefinite cache)
-  const cachedPID = await getAsync(pidCacheKey);
-  if (cachedPID) {
-    console.log(`💾 PID Cache HIT: ${cachedPID} (saved expensive lookup)`);
-    return JSON.parse(cachedPID);
+  const cachedPID = await cacheService.get('property_pid', lookupKey);
+  if (cachedPID.hit) {
+    console.log(`💾 PID Cache HIT: ${cachedPID.data.pid} (saved expensive lookup)`);
+    return cachedPID.data;
   }
 
   console.log(`💸 PID Cache MISS - making CoreLogic lookupPropertyID call`);
@@ -78,7 +78,9 @@ async function getOrCreatePropertyID(addressData) {
       ttl: 'indefinite'
     };
     
-    await setAsync(pidCacheKey, pidData, 0); // 0 = never expire
+    await cacheService.set('property_pid', lookupKey, pidData, {
+      tags: [cacheService.addressTag(addressData), cacheService.tag('clip', pid)]
+    });
     console.log(`💾 PID Cached indefinitely: ${pid}`);
     
     return pidData;
@@ -93,13 +95,11 @@ async function getOrCreatePropertyID(addressData) {
  * 🏠 Get Basic Property Details - Cached for 30-60 days
  */
 async function getBasicPropertyDetails(pid) {
-  const detailCacheKey = `property:basic:${pid}`;
-  
   // Check cache first (30-60 day cache)
-  const cachedDetails = await getAsync(detailCacheKey);
-  if (cachedDetails) {
+  const cachedDetails = await cacheService.get('property_basic', pid);
+  if (cachedDetails.hit) {
     console.log(`💾 Property details cache HIT for ${pid}`);
-    return JSON.parse(cachedDetails);
+    return cachedDetails.data;
   }
 
   console.log(`💸 Making CoreLogic Property Detail v2 call for ${pid}`);
@@ -133,8 +133,9 @@ async function getBasicPropertyDetails(pid) {
     };
 
     // Cache for 45 days (property details don't change often)
-    const ttlSeconds = 45 * 24 * 60 * 60; // 45 days
-    await setAsync(detailCacheKey, basicDetails, ttlSeconds);
+    await cacheService.set('property_basic', pid, basicDetails, {
+      tags: [cacheService.tag('clip', pid)]
+    });
     console.log(`💾 Property basic details cached for 45 days: ${pid}`);
     
     return basicDetails;
@@ -356,8 +357,7 @@ router.post('/:addressKey/refresh', async (req, res) => {
   try {
     if (forceRefresh) {
       // Clear existing cache
-      const detailCacheKey = `property:basic:${pid}`;
-      await setAsync(detailCacheKey, null, 1); // Expire immediately
+      await cacheService.del('property_basic', pid);
       console.log(`💾 Cleared cache for ${pid}`);
     }
     
@@ -393,24 +393,20 @@ router.get('/:addressKey/cache-status', async (req, res) => {
   
   try {
     const lookupKey = createPropertyLookupKey(address, city, state, zip);
-    const pidCacheKey = `pid:${lookupKey}`;
     
     // Check PID cache
-    const pidData = await getAsync(pidCacheKey);
-    const hasPID = !!pidData;
+    const pidData = await cacheService.get('property_pid', lookupKey, { peek: true });
+    const hasPID = pidData.hit;
     
     let hasBasicDetails = false;
     let basicDetailsTTL = null;
     
     if (hasPID) {
-      const parsedPID = JSON.parse(pidData);
-      const detailCacheKey = `property:basic:${parsedPID.pid}`;
-      const detailData = await getAsync(detailCacheKey);
-      hasBasicDetails = !!detailData;
+      const detailData = await cacheService.get('property_basic', pidData.data.pid, { peek: true });
+      hasBasicDetails = detailData.hit;
       
       if (hasBasicDetails) {
-        const parsedDetails = JSON.parse(detailData);
-        basicDetailsTTL = parsedDetails.cachedAt;
+        basicDetailsTTL = detailData.data.cachedAt;
       }
     }
     
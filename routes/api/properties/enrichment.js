@@ -4,7 +4,7 @@ const fetch = require("node-fetch");
 require("dotenv").config();
 
 // Import caching utilities
-const { getAsync, setAsync } = require("../../../utils/redisClient");
+const cacheService = require("../../../services/cacheService");
 
 /**
  * 🌟 ON-DEMAND PROPERTY ENRICHMENT APIS
@@ -40,13 +40,13 @@ router.get('/:addressKey/schools', async (req, res) => {
   }
 
   try {
-    const cacheKey = `enrichment:schools:${latitude}_${longitude}`;
+    const cacheKey = `${latitude}_${longitude}`;
     
     // Check cache first (90 days for school data)
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
+    const cached = await cacheService.get('enrichment_schools', cacheKey);
+    if (cached.hit) {
       console.log('💾 Schools data served from cache - no API cost');
-      const parsedData = JSON.parse(cachedData);
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         feature: 'schools',
@@ -151,8 +151,7 @@ router.get('/:addressKey/schools', async (req, res) => {
       ttl: '90_days'
     };
     
-    const cacheSeconds = 90 * 24 * 60 * 60; // 90 days
-    await setAsync(cacheKey, cacheData, cacheSeconds);
+    await cacheService.set('enrichment_schools', cacheKey, cacheData);
     console.log('💾 Schools data cached for 90 days');
 
     res.status(200).json({
@@ -199,12 +198,12 @@ router.get('/:addressKey/walkability', async (req, res) => {
   }
 
   try {
-    const cacheKey = `enrichment:walkability:${latitude}_${longitude}`;
+    const cacheKey = `${latitude}_${longitude}`;
     
     // Check cache (6 months for walkability - changes very slowly)
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
+    const cached = await cacheService.get('enrichment_walkability', cacheKey);
+    if (cached.hit) {
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         cost: { charged: 0, reason: 'served_from_cache' },
@@ -240,7 +239,7 @@ router.get('/:addressKey/walkability', async (req, res) => {
       ttl: '180_days'
     };
     
-    await setAsync(cacheKey, cacheData, 180 * 24 * 60 * 60);
+    await cacheService.set('enrichment_walkability', cacheKey, cacheData);
     
     res.status(200).json({
       success: true,
@@ -283,12 +282,12 @@ router.get('/:addressKey/crime', async (req, res) => {
   }
 
   try {
-    const cacheKey = `enrichment:crime:${latitude}_${longitude}`;
+    const cacheKey = `${latitude}_${longitude}`;
     
     // Check cache (30 days - crime data should be fresher)
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
+    const cached = await cacheService.get('enrichment_crime', cacheKey);
+    if (cached.hit) {
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         cost: { charged: 0, reason: 'served_from_cache' },
@@ -334,7 +333,7 @@ router.get('/:addressKey/crime', async (req, res) => {
       ttl: '30_days'
     };
     
-    await setAsync(cacheKey, cacheData, 30 * 24 * 60 * 60);
+    await cacheService.set('enrichment_crime', cacheKey, cacheData);
     
     res.status(200).json({
       success: true,
@@ -377,12 +376,12 @@ router.get('/:addressKey/amenities', async (req, res) => {
   }
 
   try {
-    const cacheKey = `enrichment:amenities:${latitude}_${longitude}`;
+    const cacheKey = `${latitude}_${longitude}`;
     
     // Check cache (60 days)
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
+    const cached = await cacheService.get('enrichment_amenities', cacheKey);
+    if (cached.hit) {
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         cost: { charged: 0, reason: 'served_from_cache' },
@@ -448,7 +447,7 @@ router.get('/:addressKey/amenities', async (req, res) => {
       ttl: '60_days'
     };
     
-    await setAsync(cacheKey, cacheData, 60 * 24 * 60 * 60);
+    await cacheService.set('enrichment_amenities', cacheKey, cacheData);
     
     res.status(200).json({
       success: true,
@@ -523,10 +522,8 @@ router.get('/:addressKey/available', async (req, res) => {
     try {
       for (const [feature, info] of Object.entries(availableFeatures)) {
         if (info.available) {
-          const cacheKey = `enrichment:${feature}:${latitude}_${longitude}`;
-          const cachedData = await getAsync(cacheKey);
-          info.cached = !!cachedData;
-          info.costToUser = cachedData ? '$0 (cached)' : info.cost;
+          info.cached = await cacheService.has(`enrichment_${feature}`, `${latitude}_${longitude}`);
+          info.costToUser = info.cached ? '$0 (cached)' : info.cost;
         }
       }
     } catch (error) {
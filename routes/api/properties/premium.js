@@ -4,7 +4,8 @@ const crypto = require("crypto");
 require("dotenv").config();
 
 // Import caching, CoreLogic clients, and user/wallet services
-const { getAsync, setAsync, getUserKey } = require("../../../utils/redisClient");
+const { getUserKey } = require("../../../utils/redisClient");
+const cacheService = require("../../../services/cacheService");
 const { CoreLogicSuperClient } = require("../../../utils/coreLogicSuperClient");
 const { verifyToken } = require("../../../middleware/auth");
 
@@ -96,12 +97,11 @@ router.get('/:addressKey/ownership', verifyToken, async (req, res) => {
     const cost = FEATURE_COSTS[feature];
 
     // Step 1: Check cache first (even before FXCT check to save costs)
-    const cacheKey = `premium:ownership:${pid}`;
-    const cachedData = await getAsync(cacheKey);
+    const cached = await cacheService.get('premium_ownership', pid);
     
-    if (cachedData) {
+    if (cached.hit) {
       console.log('💾 Ownership data served from cache - NO FXCT charge');
-      const parsedData = JSON.parse(cachedData);
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         feature: feature,
@@ -182,8 +182,10 @@ router.get('/:addressKey/ownership', verifyToken, async (req, res) => {
       ttl: '60_days'
     };
     
-    const cacheSeconds = 60 * 24 * 60 * 60; // 60 days
-    await setAsync(cacheKey, cacheData, cacheSeconds);
+    await cacheService.set('premium_ownership', pid, cacheData, {
+      tags: [cacheService.tag('clip', pid)],
+      costUsd: cost.usd
+    });
     console.log(`💾 Ownership data cached for 60 days`);
 
     res.status(200).json({
@@ -240,12 +242,11 @@ router.get('/:addressKey/mortgage', verifyToken, async (req, res) => {
     const cost = FEATURE_COSTS[feature];
 
     // Check cache first
-    const cacheKey = `premium:mortgage:${pid}`;
-    const cachedData = await getAsync(cacheKey);
+    const cached = await cacheService.get('premium_mortgage', pid);
     
-    if (cachedData) {
+    if (cached.hit) {
       console.log('💾 Mortgage data served from cache - NO FXCT charge');
-      const parsedData = JSON.parse(cachedData);
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         feature: feature,
@@ -314,7 +315,10 @@ router.get('/:addressKey/mortgage', verifyToken, async (req, res) => {
       ttl: '60_days'
     };
     
-    await setAsync(cacheKey, cacheData, 60 * 24 * 60 * 60);
+    await cacheService.set('premium_mortgage', pid, cacheData, {
+      tags: [cacheService.tag('clip', pid)],
+      costUsd: cost.usd
+    });
     console.log(`💾 Mortgage data cached for 60 days`);
 
     res.status(200).json({
@@ -360,12 +364,11 @@ router.get('/:addressKey/liens', verifyToken, async (req, res) => {
   try {
     const feature = 'liens';
     const cost = FEATURE_COSTS[feature];
-    const cacheKey = `premium:liens:${pid}`;
     
     // Check cache (longer TTL for liens - they don't change as often)
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
+    const cached = await cacheService.get('premium_liens', pid);
+    if (cached.hit) {
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         feature: feature,
@@ -424,7 +427,10 @@ router.get('/:addressKey/liens', verifyToken, async (req, res) => {
       ttl: '120_days'
     };
     
-    await setAsync(cacheKey, cacheData, 120 * 24 * 60 * 60);
+    await cacheService.set('premium_liens', pid, cacheData, {
+      tags: [cacheService.tag('clip', pid)],
+      costUsd: cost.usd
+    });
     
     res.status(200).json({
       success: true,
@@ -468,12 +474,11 @@ router.get('/:addressKey/transactions', verifyToken, async (req, res) => {
   try {
     const feature = 'transactions';
     const cost = FEATURE_COSTS[feature];
-    const cacheKey = `premium:transactions:${pid}`;
     
     // Check cache
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
+    const cached = await cacheService.get('premium_transactions', pid);
+    if (cached.hit) {
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         cost: { charged: 0, reason: 'served_from_cache' },
@@ -514,7 +519,10 @@ router.get('/:addressKey/transactions', verifyToken, async (req, res) => {
       ttl: '120_days'
     };
     
-    await setAsync(cacheKey, cacheData, 120 * 24 * 60 * 60);
+    await cacheService.set('premium_transactions', pid, cacheData, {
+      tags: [cacheService.tag('clip', pid)],
+      costUsd: cost.usd
+    });
     
     res.status(200).json({
       success: true,
@@ -556,12 +564,11 @@ router.get('/:addressKey/climate-risk', verifyToken, async (req, res) => {
   try {
     const feature = 'climateRisk';
     const cost = FEATURE_COSTS[feature];
-    const cacheKey = `premium:climate:${pid}`;
     
     // Check cache (longest TTL - climate data changes very slowly)
-    const cachedData = await getAsync(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
+    const cached = await cacheService.get('premium_climate', pid);
+    if (cached.hit) {
+      const parsedData = cached.data;
       return res.status(200).json({
         success: true,
         cost: { charged: 0, reason: 'served_from_cache' },
@@ -605,7 +612,10 @@ router.get('/:addressKey/climate-risk', verifyToken, async (req, res) => {
       ttl: '300_days'
     };
     
-    await setAsync(cacheKey, cacheData, 300 * 24 * 60 * 60);
+    await cacheService.set('premium_climate', pid, cacheData, {
+      tags: [cacheService.tag('clip', pid)],
+      costUsd: cost.usd
+    });
     
     res.status(200).json({
       success: true,
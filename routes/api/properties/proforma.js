@@ -0,0 +1,292 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const { query, param, validationResult } = require("express-validator");
+require("dotenv").config();
+
+const cacheService = require("../../../services/cacheService");
+const { CoreLogicSuperClient } = require("../../../utils/coreLogicSuperClient");
+const { verifyToken } = require("../../../middleware/auth");
+const Property = require("../../../models/Property");
+const { buildProforma, DEFAULT_ASSUMPTIONS } = require("../../../services/proformaCalculator");
+
+/**
+ * 📊 RENTAL PRO FORMA
+ *
+ * Projects rental operations for a property from user-supplied assumptions,
+ * filling the gaps from CoreLogic (rent model, latest tax bill) and the
+ * calculator defaults. Every input reports where it came from so the client
+ * can show which numbers are estimates.
+ */
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+/**
+ * 📍 Same lookup key as the detail endpoint so the PID cache is shared
+ */
+function createPropertyLookupKey(address, city, state, zip) {
+  const keyString = `${address}_${city}_${state}_${zip}`.toLowerCase().replace(/[^\w]/g, '');
+  return crypto.createHash('sha256').update(keyString).digest('hex').slice(0, 12);
+}
+
+/**
+ * 🔍 Resolve the CoreLogic CLIP for an address (cached indefinitely)
+ */
+async function resolvePropertyID({ address, city, state, zip }) {
+  const lookupKey = createPropertyLookupKey(address, city, state, zip);
+
+  const cachedPID = await cacheService.get('property_pid', lookupKey);
+  if (cachedPID.data?.pid) {
+    return cachedPID.data.pid;
+  }
+
+  const superClient = new CoreLogicSuperClient();
+  const searchResult = await superClient.searchPropertiesWithGeocode({
+    streetAddress: address,
+    city,
+    state,
+    zipCode: zip,
+    bestMatch: true
+  });
+
+  const pid = searchResult?.items?.[0]?.clip;
+  if (!pid) {
+    return null;
+  }
+
+  await cacheService.set('property_pid', lookupKey, {
+    pid,
+    clip: pid,
+    searchResult: searchResult.items[0],
+    addressKey: lookupKey,
+    cachedAt: new Date().toISOString(),
+    ttl: 'indefinite'
+  }, {
+    tags: [cacheService.addressTag({ address, city, state, zip }), cacheService.tag('clip', pid)]
+  });
+
+  return pid;
+}
+
+function firstPositive(...values) {
+  for (const value of values) {
+    const n = Number(value);
+    if (value !== null && value !== undefined && Number.isFinite(n) && n > 0) return n;
+  }
+  return null;
+}
+
+/**
+ * 💾 Fetch a CoreLogic payload through the proforma_inputs cache (rent and tax
+ * figures change slowly); failures resolve to null
+ */
+async function cachedCoreLogic(cacheKey, pid, fetcher) {
+  try {
+    return await cacheService.wrap('proforma_inputs', cacheKey, fetcher, {
+      tags: [cacheService.tag('clip', pid)]
+    });
+  } catch (error) {
+    console.warn(`⚠️ CoreLogic lookup failed for ${cacheKey}:`, error.message);
+    return null;
+  }
+}
+
+// The rent model and tax endpoints have shipped a few response shapes
+function extractMonthlyRent(ram) {
+  return firstPositive(
+    ram?.rentAmount?.estimatedValue,
+    ram?.rentAmount?.value,
+    ram?.estimatedRentAmount,
+    ram?.estimatedValue,
+    ram?.rentalAvm?.estimatedValue,
+    ram?.items?.[0]?.rentAmount?.estimatedValue
+  );
+}
+
+function extractAnnualTaxes(tax) {
+  return firstPositive(
+    tax?.taxAmount?.totalTaxAmount,
+    tax?.taxAmount?.amount,
+    tax?.taxAssessments?.taxAmount,
+    tax?.taxAmount,
+    tax?.items?.[0]?.taxAmount?.totalTaxAmount
+  );
+}
+
+/**
+ * GET /api/properties/:addressKey/proforma
+ * Cash flow projection, NOI, cap rate, cash-on-cash and IRR
+ *
+ * Query:
+ * - address, city, state, zip: used to find the CoreLogic property (or pass pid)
+ * - price (required unless propertyId has one), rent (monthly), annualTaxes, annualInsurance
+ * - vacancyRate, managementFeeRate, holdYears, appreciationRate, rentGrowthRate
+ * - downPaymentRate (1 = all cash), interestRate, loanTermYears
+ * - propertyId: fractional property; adds per-share returns from its share count
+ * - totalShares: per-share returns for properties not yet on the platform
+ */
+router.get('/:addressKey/proforma', verifyToken, [
+  param('addressKey').isString().notEmpty(),
+  query('pid').optional().isString(),
+  query(['address', 'city', 'state', 'zip']).optional().isString().trim(),
+  query('price').optional().isFloat({ gt: 0 }).toFloat(),
+  query('rent').optional().isFloat({ gt: 0 }).toFloat(),
+  query(['annualTaxes', 'annualInsurance', 'annualHoa']).optional().isFloat({ min: 0 }).toFloat(),
+  query(['vacancyRate', 'managementFeeRate']).optional().isFloat({ min: 0, max: 0.99 }).toFloat(),
+  query('downPaymentRate').optional().isFloat({ gt: 0, max: 1 }).toFloat(),
+  query('interestRate').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  query(['appreciationRate', 'rentGrowthRate']).optional().isFloat({ min: -0.5, max: 1 }).toFloat(),
+  query('loanTermYears').optional().isInt({ min: 1, max: 40 }).toInt(),
+  query('holdYears').optional().isInt({ min: 1, max: 30 }).toInt(),
+  query('propertyId').optional().isMongoId(),
+  query('totalShares').optional().isInt({ min: 1 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  const q = req.query;
+  const sources = {};
+
+  try {
+    let property = null;
+    if (q.propertyId) {
+      property = await Property.findById(q.propertyId).lean();
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'PROPERTY_NOT_FOUND', message: 'Property not found' },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Only call CoreLogic for inputs the caller didn't supply
+    let pid = q.pid || null;
+    const needsProvider = q.rent === undefined || q.annualTaxes === undefined;
+    if (!pid && needsProvider && q.address && q.city && q.state) {
+      try {
+        pid = await resolvePropertyID({ address: q.address, city: q.city, state: q.state, zip: q.zip });
+      } catch (error) {
+        console.warn('⚠️ Pro forma PID lookup failed:', error.message);
+      }
+    }
+
+    const superClient = pid && needsProvider ? new CoreLogicSuperClient() : null;
+    const [rentModel, taxAssessment] = await Promise.all([
+      superClient && q.rent === undefined
+        ? cachedCoreLogic(`ram:${pid}`, pid, () => superClient.getRentAmountModel(pid))
+        : null,
+      superClient && q.annualTaxes === undefined
+        ? cachedCoreLogic(`tax:${pid}`, pid, () => superClient.getTaxAssessments(pid))
+        : null
+    ]);
+
+    const pick = (key, userValue, ...fallbacks) => {
+      if (userValue !== undefined) {
+        sources[key] = 'user';
+        return userValue;
+      }
+      for (const [source, value] of fallbacks) {
+        if (value !== null && value !== undefined) {
+          sources[key] = source;
+          return value;
+        }
+      }
+      sources[key] = 'default';
+      return undefined;
+    };
+
+    const purchasePrice = pick('price', q.price, ['property', firstPositive(property?.price)]);
+    const monthlyRent = pick('rent', q.rent, ['corelogic', extractMonthlyRent(rentModel)]);
+
+    if (!purchasePrice) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'PRICE_REQUIRED', message: 'A purchase price is required' },
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!monthlyRent) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: 'RENT_UNAVAILABLE',
+          message: pid
+            ? 'No rent estimate is available for this property; pass rent explicitly'
+            : 'Pass rent, or an address or pid so it can be estimated'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const managementFeeRate = pick('managementFeeRate', q.managementFeeRate,
+      ['property', property?.isFractional ? property.tokenization?.managementFeeRate : null]);
+    const totalShares = pick('totalShares', q.totalShares,
+      ['property', firstPositive(property?.tokenization?.totalSupply)]);
+
+    const proforma = buildProforma({
+      purchasePrice,
+      monthlyRent,
+      annualTaxes: pick('annualTaxes', q.annualTaxes, ['corelogic', extractAnnualTaxes(taxAssessment)]),
+      annualInsurance: pick('annualInsurance', q.annualInsurance),
+      annualHoa: q.annualHoa,
+      vacancyRate: pick('vacancyRate', q.vacancyRate),
+      managementFeeRate,
+      appreciationRate: q.appreciationRate,
+      rentGrowthRate: q.rentGrowthRate,
+      holdYears: q.holdYears,
+      totalShares,
+      financing: {
+        downPaymentRate: q.downPaymentRate,
+        interestRate: q.interestRate,
+        amortizationYears: q.loanTermYears
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        addressKey: req.params.addressKey,
+        pid,
+        propertyId: q.propertyId || null,
+        sources,
+        ...proforma
+      },
+      metadata: {
+        defaults: DEFAULT_ASSUMPTIONS,
+        generatedAt: new Date().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ASSUMPTIONS') {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_ASSUMPTIONS', message: error.message },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ Pro forma failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'PROFORMA_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
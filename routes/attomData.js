@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const attom = require('../services/attom');
-const { getAsync, setAsync } = require('../utils/redisClient'); // 👈 Make sure the path is correct
+const cacheService = require('../services/cacheService');
 
 router.post('/', async (req, res) => {
   const { address1, postalcode, city, state, data_required = [] } = req.body;
@@ -12,16 +12,12 @@ router.post('/', async (req, res) => {
     });
   }
 
-  // 🔁 1. Check Redis Cache First
-  const cacheKey = `api:attom:${address1}:${postalcode}:${data_required.join(',')}`;
-  try {
-    const cached = await getAsync(cacheKey);
-    if (cached) {
-      console.log(`📦 Cache hit: ${cacheKey}`);
-      return res.json({ fromCache: true, ...JSON.parse(cached) });
-    }
-  } catch (err) {
-    console.warn(`⚠️ Redis read failed: ${err.message}`);
+  // 🔁 1. Check the cache first
+  const cacheKey = { address1, postalcode, data_required };
+  const cached = await cacheService.get('attom_request', cacheKey);
+  if (cached.hit) {
+    console.log(`📦 Cache hit: ATTOM ${address1} ${postalcode}`);
+    return res.json({ fromCache: true, ...cached.data });
   }
 
   // 🆔 2. Lookup ATTOM ID
@@ -77,7 +73,7 @@ router.post('/', async (req, res) => {
     }
   }
 
-  // 💾 4. Save to Redis Cache
+  // 💾 4. Save to the cache for the 'attom_request' policy TTL (1 hour)
   const responseData = {
     address1,
     postalcode,
@@ -87,11 +83,9 @@ router.post('/', async (req, res) => {
     ...(errors.length ? { errors } : {})
   };
 
-  try {
-    await setAsync(cacheKey, responseData, 3600); // 1 hour TTL
-  } catch (err) {
-    console.warn(`⚠️ Redis write failed: ${err.message}`);
-  }
+  await cacheService.set('attom_request', cacheKey, responseData, {
+    tags: [cacheService.addressTag({ address1, city, state, postalcode }), cacheService.tag('attomid', attomid)]
+  });
 
   // 📤 5. Return to client
   res.status(200).json({ fromCache: false, ...responseData });
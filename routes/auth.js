@@ -25,6 +25,12 @@ router.post("/register",
   authController.register
 );
 
+// POST /api/auth/logout
+router.post("/logout", authController.logout);
+
+// POST /api/auth/logout-all
+router.post("/logout-all", verifyToken, authController.logoutAll);
+
 // POST /api/auth/setup-2fa
 router.post("/setup-2fa", verifyToken, limit2FA, authController.setup2FA);
 
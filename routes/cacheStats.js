@@ -1,22 +1,20 @@
 const express = require("express");
 const router = express.Router();
-const redisClient = require("../utils/redisClient");
+const cacheService = require("../services/cacheService");
 
+// Zillow cache figures from the unified cache service
 router.get("/", async (req, res) => {
   try {
-    if (!redisClient.isOpen) await redisClient.connect();
-
-    const hits = await redisClient.get("zillow:stats:hits");
-    const misses = await redisClient.get("zillow:stats:misses");
-
-    const hitCount = Number(hits || 0);
-    const missCount = Number(misses || 0);
-    const total = hitCount + missCount;
+    const { since, totals, byNamespace } = cacheService.getStats({ provider: "zillow" });
+    const total = totals.hits + totals.misses;
 
     res.json({
-      hits: hitCount,
-      misses: missCount,
-      hitRate: total > 0 ? (hitCount / total).toFixed(2) : null
+      hits: totals.hits,
+      misses: totals.misses,
+      hitRate: total > 0 ? (totals.hits / total).toFixed(2) : null,
+      costSavedUsd: totals.costSavedUsd,
+      since,
+      byNamespace
     });
   } catch (err) {
     console.error("❌ Cache Stats Error:", err);
@@ -0,0 +1,223 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { verifyToken } = require("../middleware/auth");
+const orderBookService = require("../services/orderBookService");
+
+/**
+ * Secondary market - trade fractional property shares between holders
+ *
+ * Limit orders only. Bids hold FXCT in the buyer's wallet and asks lock the
+ * seller's shares until the order fills or is cancelled.
+ */
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+/**
+ * GET /api/market/orders/mine
+ * The signed-in user's orders (status=active for resting orders only)
+ */
+router.get("/orders/mine", verifyToken, [
+  query('propertyId').optional().isMongoId(),
+  query('status').optional().isIn(['active', 'open', 'partially_filled', 'filled', 'cancelled']),
+  ...pagination,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { propertyId, status, page = 1, limit = 50 } = req.query;
+    const result = await orderBookService.listOrders(
+      { userId: req.user._id || req.user.id, propertyId, status },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list market orders:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDERS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/market/trades/mine
+ * Trades the signed-in user bought or sold in
+ */
+router.get("/trades/mine", verifyToken, [
+  query('propertyId').optional().isMongoId(),
+  ...pagination,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { propertyId, page = 1, limit = 50 } = req.query;
+    const result = await orderBookService.getTrades(
+      { userId: req.user._id || req.user.id, propertyId },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch user trades:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRADES_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/market/orders/:orderId/cancel
+ * Cancel the unfilled remainder of an order
+ */
+router.post("/orders/:orderId/cancel", verifyToken, [
+  param('orderId').isString().notEmpty(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const order = await orderBookService.cancelOrder(req.params.orderId, req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      data: { order },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Market order cancellation failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'ORDER_CANCEL_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/market/:propertyId/book
+ * Aggregated bid/ask depth
+ */
+router.get("/:propertyId/book", verifyToken, [
+  param('propertyId').isMongoId().withMessage('Valid property ID is required'),
+  query('depth').optional().isInt({ min: 1, max: 50 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const book = await orderBookService.getOrderBook(req.params.propertyId, req.query.depth || 10);
+
+    res.json({
+      success: true,
+      data: book,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch order book:', error.message);
+    res.status(404).json({
+      success: false,
+      error: { code: 'BOOK_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/market/:propertyId/trades
+ * Public trade history (counterparties omitted)
+ */
+router.get("/:propertyId/trades", verifyToken, [
+  param('propertyId').isMongoId().withMessage('Valid property ID is required'),
+  ...pagination,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await orderBookService.getTrades({ propertyId: req.params.propertyId }, { page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch trade history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRADES_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/market/:propertyId/orders
+ * Place a limit order
+ *
+ * Body:
+ * - side: 'buy' | 'sell' (required)
+ * - shares: integer (required)
+ * - pricePerShareFxct: number (required) - limit price
+ * - idempotencyKey: string (optional)
+ */
+router.post("/:propertyId/orders", verifyToken, [
+  param('propertyId').isMongoId().withMessage('Valid property ID is required'),
+  body('side').isIn(['buy', 'sell']).withMessage('Side must be buy or sell'),
+  body('shares').isInt({ min: 1 }).toInt().withMessage('Shares must be a positive integer'),
+  body('pricePerShareFxct').isFloat({ gt: 0 }).toFloat().withMessage('Price must be positive'),
+  body('idempotencyKey').optional().isString().isLength({ max: 128 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await orderBookService.placeOrder({
+      propertyId: req.params.propertyId,
+      userId: req.user._id || req.user.id,
+      side: req.body.side,
+      shares: req.body.shares,
+      pricePerShareFxct: req.body.pricePerShareFxct,
+      clientKey: req.body.idempotencyKey
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Market order rejected:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'ORDER_REJECTED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { verifyToken } = require("../middleware/auth");
+const walletStatementService = require("../services/walletStatementService");
+const spendingCapService = require("../services/spendingCapService");
+const fctController = require("../controllers/fctController");
+
+/**
+ * The signed-in user's FXCT wallet: balance, transaction and usage history,
+ * spend breakdown, monthly statements, spending caps and transfers. Admin
+ * wallet operations live in routes/wallet.js.
+ */
+
+const LEDGER_TYPES = ['issuance', 'debit', 'credit', 'hold', 'release', 'withdraw', 'refund', 'adjust'];
+const DATA_TYPES = ['BASIC', 'STANDARD', 'PRO_LOW', 'PRO_HIGH'];
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const dateRangeValidators = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date')
+];
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+];
+
+const userIdOf = (req) => (req.user._id || req.user.id).toString();
+
+/**
+ * GET /api/me/wallet
+ * Available vs pending balance, USD value and month-to-date API spend
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const summary = await walletStatementService.getSummary(userIdOf(req));
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch wallet summary:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'WALLET_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/me/wallet/ledger
+ * Wallet transactions, newest first
+ *
+ * Query:
+ * - type: ledger entry type
+ * - action: e.g. fxct_purchase, income_distribution, share_purchase
+ * - direction: 'in' | 'out'
+ * - startDate / endDate: ISO dates
+ * - page / limit
+ */
+router.get("/ledger", verifyToken, [
+  query('type').optional().isIn(LEDGER_TYPES),
+  query('action').optional().isString().trim(),
+  query('direction').optional().isIn(['in', 'out']),
+  ...dateRangeValidators,
+  ...paginationValidators,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { type, action, direction, startDate, endDate, page, limit } = req.query;
+    const ledger = await walletStatementService.getLedger(userIdOf(req), {
+      type, action, direction, startDate, endDate, page, limit
+    });
+
+    res.json({
+      success: true,
+      data: ledger,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch wallet ledger:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'LEDGER_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/me/wallet/usage
+ * Per-request FXCT usage charges, newest first
+ *
+ * Query:
+ * - dataType: BASIC | STANDARD | PRO_LOW | PRO_HIGH
+ * - status: completed | failed | refunded
+ * - endpoint, pid
+ * - startDate / endDate: ISO dates
+ * - page / limit
+ */
+router.get("/usage", verifyToken, [
+  query('dataType').optional().isIn(DATA_TYPES),
+  query('status').optional().isIn(['completed', 'failed', 'refunded']),
+  query('endpoint').optional().isString().trim(),
+  query('pid').optional().isString().trim(),
+  ...dateRangeValidators,
+  ...paginationValidators,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { dataType, status, endpoint, pid, startDate, endDate, page, limit } = req.query;
+    const usage = await walletStatementService.getUsage(userIdOf(req), {
+      dataType, status, endpoint, pid, startDate, endDate, page, limit
+    });
+
+    res.json({
+      success: true,
+      data: usage,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch wallet usage:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'USAGE_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/me/wallet/spend-breakdown
+ * FXCT spend per endpoint and per data type (defaults to the last 30 days)
+ */
+router.get("/spend-breakdown", verifyToken, [
+  ...dateRangeValidators,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const breakdown = await walletStatementService.getSpendBreakdown(userIdOf(req), {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    res.json({
+      success: true,
+      data: breakdown,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to build spend breakdown:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'SPEND_BREAKDOWN_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/me/wallet/statements/:month
+ * Monthly statement for a UTC calendar month (YYYY-MM)
+ *
+ * Query:
+ * - format: 'json' (default) | 'csv' | 'pdf'
+ */
+router.get("/statements/:month", verifyToken, [
+  param('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be YYYY-MM'),
+  query('format').optional().isIn(['json', 'csv', 'pdf']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (format === 'json') {
+      const statement = await walletStatementService.buildStatement(userIdOf(req), req.params.month);
+      return res.json({
+        success: true,
+        data: statement,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const file = await walletStatementService.renderStatement(userIdOf(req), req.params.month, format);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) {
+    console.error('❌ Failed to build wallet statement:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'STATEMENT_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/me/wallet/caps
+ * Spending caps with today's and this month's spend against each
+ */
+router.get("/caps", verifyToken, async (req, res) => {
+  try {
+    const caps = await spendingCapService.getCaps(userIdOf(req));
+
+    res.json({
+      success: true,
+      data: caps,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch spending caps:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CAPS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/me/wallet/caps
+ * Replace the caller's spending caps (omitted limits are removed)
+ *
+ * Body:
+ * - dailyFxct / monthlyFxct: number (total usage spend per UTC day / month)
+ * - dataTypes: { BASIC|STANDARD|PRO_LOW|PRO_HIGH: { dailyFxct, monthlyFxct, blocked } }
+ */
+router.put("/caps", verifyToken, [
+  body('dailyFxct').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('monthlyFxct').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('dataTypes').optional().isObject(),
+  body('dataTypes.*.dailyFxct').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('dataTypes.*.monthlyFxct').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('dataTypes.*.blocked').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const caps = await spendingCapService.setCaps(userIdOf(req), {
+      dailyFxct: req.body.dailyFxct,
+      monthlyFxct: req.body.monthlyFxct,
+      dataTypes: req.body.dataTypes
+    });
+
+    res.json({
+      success: true,
+      data: caps,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'CAPS_UPDATE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/me/wallet/caps
+ * Remove all of the caller's spending caps
+ */
+router.delete("/caps", verifyToken, async (req, res) => {
+  try {
+    const caps = await spendingCapService.clearCaps(userIdOf(req));
+
+    res.json({
+      success: true,
+      data: caps,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'CAPS_UPDATE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/me/wallet/transfers
+ * Send FXCT to another user, or into the caller's organization wallet
+ *
+ * Body:
+ * - recipientUserId | recipientEmail | organizationId (one required)
+ * - amount: number (FXCT)
+ * - note: string (optional, shown to the recipient)
+ * - idempotencyKey: string (or Idempotency-Key header; retries return the original transfer)
+ */
+router.post("/transfers", verifyToken, [
+  body('recipientUserId').optional().isMongoId(),
+  body('recipientEmail').optional().isEmail(),
+  body('organizationId').optional().isMongoId(),
+  body().custom(value => [value.recipientUserId, value.recipientEmail, value.organizationId].filter(Boolean).length === 1)
+    .withMessage('Exactly one of recipientUserId, recipientEmail or organizationId is required'),
+  body('amount').isFloat({ gt: 0 }).toFloat().withMessage('FXCT amount must be positive'),
+  body('note').optional().isString().trim().isLength({ max: 280 }),
+  body('idempotencyKey').optional().isString().trim().isLength({ min: 8, max: 128 }),
+  handleValidationErrors
+], fctController.transferFxct);
+
+/**
+ * GET /api/me/wallet/transfers
+ * Sent and received transfers, newest first
+ *
+ * Query:
+ * - direction: 'sent' | 'received'
+ * - status: pending | completed | failed
+ * - page / limit
+ */
+router.get("/transfers", verifyToken, [
+  query('direction').optional().isIn(['sent', 'received']),
+  query('status').optional().isIn(['pending', 'completed', 'failed']),
+  ...paginationValidators,
+  handleValidationErrors
+], fctController.listTransfers);
+
+/**
+ * GET /api/me/wallet/transfers/:transferId
+ */
+router.get("/transfers/:transferId", verifyToken, [
+  param('transferId').matches(/^trf_[a-f0-9]{24}$/),
+  handleValidationErrors
+], fctController.getTransfer);
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { verifyToken } = require("../middleware/auth");
+const offeringService = require("../services/offeringService");
+
+/**
+ * Primary offerings - buy newly issued fractional shares with FXCT
+ *
+ * Flow: reserve an order (wallet hold) -> confirm (hold consumed, shares allocated)
+ * or cancel; unconfirmed reservations expire automatically.
+ */
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/offerings
+ * Offerings currently open for investment
+ */
+router.get("/", verifyToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await offeringService.listOfferings({ status: 'open' }, { page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list offerings:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'OFFERINGS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/offerings/orders/mine
+ * The signed-in user's share orders
+ */
+router.get("/orders/mine", verifyToken, [
+  query('status').optional().isIn(['reserved', 'confirming', 'confirmed', 'cancelled', 'expired', 'failed']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const result = await offeringService.listOrders(
+      { userId: req.user._id || req.user.id, status },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list orders:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDERS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/offerings/orders/:orderId/confirm
+ * Pay for a reservation and receive the shares
+ */
+router.post("/orders/:orderId/confirm", verifyToken, [
+  param('orderId').isString().notEmpty(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await offeringService.confirmOrder(req.params.orderId, req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Order confirmation failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'ORDER_CONFIRM_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/offerings/orders/:orderId/cancel
+ * Drop a reservation and release the held FXCT
+ */
+router.post("/orders/:orderId/cancel", verifyToken, [
+  param('orderId').isString().notEmpty(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const order = await offeringService.cancelOrder(req.params.orderId, req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      data: { order },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Order cancellation failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'ORDER_CANCEL_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/offerings/:offeringId
+ * Offering terms and subscription progress
+ */
+router.get("/:offeringId", verifyToken, async (req, res) => {
+  try {
+    const offering = await offeringService.getOffering(req.params.offeringId);
+    if (!offering) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'OFFERING_NOT_FOUND', message: 'Offering not found' },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: offering,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch offering:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'OFFERING_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/offerings/:offeringId/orders
+ * Reserve shares; the total is held in the buyer's wallet until confirmed
+ *
+ * Body:
+ * - shares: integer (required)
+ * - idempotencyKey: string (optional) - retries with the same key return the same order
+ */
+router.post("/:offeringId/orders", verifyToken, [
+  body('shares').isInt({ min: 1 }).toInt().withMessage('Shares must be a positive integer'),
+  body('idempotencyKey').optional().isString().isLength({ max: 128 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const order = await offeringService.reserveOrder({
+      offeringId: req.params.offeringId,
+      userId: req.user._id || req.user.id,
+      shares: req.body.shares,
+      clientKey: req.body.idempotencyKey
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { order },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Share reservation failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'ORDER_RESERVE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { verifyToken } = require("../middleware/auth");
+const organizationService = require("../services/organizationService");
+
+/**
+ * Organization accounts
+ *
+ * Members draw FXCT for API calls from the organization's pooled wallet, up
+ * to their monthly allowance. Owners and admins manage seats, invitations
+ * and allowances and see the org-level usage report.
+ */
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+const userIdOf = (req) => (req.user._id || req.user.id).toString();
+
+const sendError = (res, error, code) => {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`❌ Organization request failed (${code}):`, error.message);
+  }
+  res.status(status).json({
+    success: false,
+    error: { code, message: error.message },
+    timestamp: new Date().toISOString()
+  });
+};
+
+const allowanceValidator = (field) => body(field).optional({ nullable: true }).isFloat({ min: 0 }).toFloat()
+  .withMessage('Allowance must be zero or more FXCT (null for unlimited)');
+
+/**
+ * POST /api/organizations
+ * Create an organization; the caller becomes its owner
+ *
+ * Body:
+ * - name: string
+ * - defaultMonthlyAllowanceFxct: number | null (applied to new members)
+ * - maxSeats: number
+ */
+router.post("/", verifyToken, [
+  body('name').isString().trim().isLength({ min: 1, max: 120 }).withMessage('Name is required'),
+  allowanceValidator('defaultMonthlyAllowanceFxct'),
+  body('maxSeats').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(userIdOf(req), {
+      name: req.body.name,
+      defaultMonthlyAllowanceFxct: req.body.defaultMonthlyAllowanceFxct ?? null,
+      maxSeats: req.body.maxSeats
+    });
+
+    res.status(201).json({
+      success: true,
+      data: organization,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'ORGANIZATION_CREATE_FAILED');
+  }
+});
+
+/**
+ * GET /api/organizations/me
+ * The caller's organization and seat (null when not a member)
+ */
+router.get("/me", verifyToken, async (req, res) => {
+  try {
+    const organization = await organizationService.getMyOrganization(userIdOf(req));
+
+    res.json({
+      success: true,
+      data: organization,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'ORGANIZATION_FETCH_FAILED');
+  }
+});
+
+/**
+ * GET /api/organizations/invites
+ * Pending invitations addressed to the caller
+ */
+router.get("/invites", verifyToken, async (req, res) => {
+  try {
+    const invites = await organizationService.listMyInvites(userIdOf(req));
+
+    res.json({
+      success: true,
+      data: { invites },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'INVITES_FETCH_FAILED');
+  }
+});
+
+/**
+ * POST /api/organizations/invites/accept
+ * Join an organization
+ *
+ * Body (one of):
+ * - token: string (shared by the inviter)
+ * - inviteId: string (from GET /invites)
+ */
+router.post("/invites/accept", verifyToken, [
+  body('token').optional().isString().trim(),
+  body('inviteId').optional().isMongoId(),
+  body().custom(value => Boolean(value.token || value.inviteId)).withMessage('token or inviteId is required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const organization = await organizationService.acceptInvite(userIdOf(req), {
+      token: req.body.token,
+      inviteId: req.body.inviteId
+    });
+
+    res.json({
+      success: true,
+      data: organization,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'INVITE_ACCEPT_FAILED');
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId
+ * Organization details and pooled wallet balance (members)
+ */
+router.get("/:orgId", verifyToken, [
+  param('orgId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.orgId, userIdOf(req));
+
+    res.json({
+      success: true,
+      data: organization,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'ORGANIZATION_FETCH_FAILED');
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId
+ * Rename or change settings (owner/admin)
+ */
+router.patch("/:orgId", verifyToken, [
+  param('orgId').isMongoId(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 120 }),
+  allowanceValidator('defaultMonthlyAllowanceFxct'),
+  body('maxSeats').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const organization = await organizationService.updateOrganization(req.params.orgId, userIdOf(req), {
+      name: req.body.name,
+      defaultMonthlyAllowanceFxct: req.body.defaultMonthlyAllowanceFxct,
+      maxSeats: req.body.maxSeats
+    });
+
+    res.json({
+      success: true,
+      data: organization,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'ORGANIZATION_UPDATE_FAILED');
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/members
+ * Active members with allowance usage this month (members)
+ */
+router.get("/:orgId/members", verifyToken, [
+  param('orgId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const members = await organizationService.listMembers(req.params.orgId, userIdOf(req));
+
+    res.json({
+      success: true,
+      data: { members },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'MEMBERS_FETCH_FAILED');
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:userId
+ * Change a member's role or monthly allowance (owner/admin)
+ *
+ * Body:
+ * - role: 'admin' | 'member' (owner only)
+ * - monthlyAllowanceFxct: number | null (null = unlimited)
+ */
+router.patch("/:orgId/members/:userId", verifyToken, [
+  param('orgId').isMongoId(),
+  param('userId').isMongoId(),
+  body('role').optional().isIn(['admin', 'member']),
+  allowanceValidator('monthlyAllowanceFxct'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const member = await organizationService.updateMember(req.params.orgId, userIdOf(req), req.params.userId, {
+      role: req.body.role,
+      monthlyAllowanceFxct: req.body.monthlyAllowanceFxct
+    });
+
+    res.json({
+      success: true,
+      data: member,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'MEMBER_UPDATE_FAILED');
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:userId
+ * Remove a member (owner/admin), or leave when :userId is the caller
+ */
+router.delete("/:orgId/members/:userId", verifyToken, [
+  param('orgId').isMongoId(),
+  param('userId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await organizationService.removeMember(req.params.orgId, userIdOf(req), req.params.userId);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'MEMBER_REMOVE_FAILED');
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/invites
+ * Invite someone by email (owner/admin). The response carries the one-time
+ * token to share with the invitee; registered users also see it in-app.
+ *
+ * Body:
+ * - email: string
+ * - role: 'admin' | 'member'
+ * - monthlyAllowanceFxct: number | null (defaults to the organization setting)
+ */
+router.post("/:orgId/invites", verifyToken, [
+  param('orgId').isMongoId(),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(['admin', 'member']),
+  allowanceValidator('monthlyAllowanceFxct'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const invite = await organizationService.createInvite(req.params.orgId, userIdOf(req), {
+      email: req.body.email,
+      role: req.body.role,
+      monthlyAllowanceFxct: req.body.monthlyAllowanceFxct
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invite,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'INVITE_CREATE_FAILED');
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/invites
+ * Pending invitations (owner/admin)
+ */
+router.get("/:orgId/invites", verifyToken, [
+  param('orgId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const invites = await organizationService.listInvites(req.params.orgId, userIdOf(req));
+
+    res.json({
+      success: true,
+      data: { invites },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'INVITES_FETCH_FAILED');
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/invites/:inviteId
+ * Revoke a pending invitation (owner/admin)
+ */
+router.delete("/:orgId/invites/:inviteId", verifyToken, [
+  param('orgId').isMongoId(),
+  param('inviteId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const invite = await organizationService.revokeInvite(req.params.orgId, userIdOf(req), req.params.inviteId);
+
+    res.json({
+      success: true,
+      data: invite,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'INVITE_REVOKE_FAILED');
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/usage
+ * FXCT drawn from the pooled wallet by member, data type and endpoint (owner/admin)
+ *
+ * Query:
+ * - startDate / endDate: ISO dates (defaults to the current month)
+ */
+router.get("/:orgId/usage", verifyToken, [
+  param('orgId').isMongoId(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const report = await organizationService.getUsageReport(req.params.orgId, userIdOf(req), {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'USAGE_REPORT_FAILED');
+  }
+});
+
+module.exports = router;
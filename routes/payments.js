@@ -0,0 +1,263 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { verifyToken, authorizeAdmin } = require("../middleware/auth");
+const { overageHandlerService } = require("../services/overageHandlerService");
+const paymentProviders = require("../services/paymentProviders");
+const { isStubModeEnabled } = require("../services/paymentProviders/stubMode");
+
+/**
+ * FXCT top-up purchases
+ *
+ * Flow: create a purchase (checkout opened with the provider) -> pay on the
+ * provider's hosted page -> signed webhook credits the wallet. Provider
+ * webhooks are received at /api/webhooks/payments/:provider.
+ *
+ * Auto top-up rules buy FXCT automatically when a usage debit leaves the
+ * balance at or below the rule's threshold.
+ */
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/payments/providers
+ * Payment providers currently accepting purchases
+ */
+router.get("/providers", verifyToken, (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: paymentProviders.list() },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/payments/purchases
+ * Start an FXCT purchase and get a checkout URL
+ *
+ * Body:
+ * - amount: number (FXCT, required)
+ * - provider: string (optional, defaults to PAYMENT_DEFAULT_PROVIDER)
+ */
+router.post("/purchases", verifyToken, [
+  body('amount').isFloat({ gt: 0 }).toFloat().withMessage('FXCT amount must be positive'),
+  body('provider').optional().isString().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const userId = (req.user._id || req.user.id).toString();
+    const purchase = await overageHandlerService.processFXCTPurchase(userId, req.body.amount, {
+      provider: req.body.provider,
+      source: 'manual'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: purchase,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to start FXCT purchase:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'PURCHASE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/payments/purchases
+ * The caller's purchases, newest first
+ */
+router.get("/purchases", verifyToken, [
+  query('status').optional().isIn(['pending', 'completed', 'failed', 'expired', 'refunded', 'disputed']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const result = await overageHandlerService.listPurchases(
+      { userId: req.user._id || req.user.id, status },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list purchases:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'PURCHASES_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/payments/purchases/:intentId
+ * Status of one purchase (poll after returning from checkout)
+ */
+router.get("/purchases/:intentId", verifyToken, async (req, res) => {
+  try {
+    const purchase = await overageHandlerService.getPurchase(req.params.intentId, req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      data: purchase,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'PURCHASE_NOT_FOUND', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/payments/purchases/:intentId/simulate
+ * Admin only, and only in payment stub mode: send a signed webhook for the
+ * purchase through the normal confirmation path
+ *
+ * Body:
+ * - outcome: 'succeeded' | 'failed' | 'expired' | 'refunded' | 'disputed'
+ */
+router.post("/purchases/:intentId/simulate", verifyToken, authorizeAdmin, [
+  param('intentId').isString(),
+  body('outcome').isIn(['succeeded', 'failed', 'expired', 'refunded', 'disputed']).withMessage('Valid outcome is required'),
+  handleValidationErrors
+], async (req, res) => {
+  if (!isStubModeEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'STUB_MODE_DISABLED', message: 'Payment simulation requires PAYMENT_STUB_MODE' },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await overageHandlerService.simulatePayment(req.params.intentId, req.body.outcome);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'SIMULATION_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/payments/auto-topup
+ * The caller's auto top-up rule and this month's spend against the cap
+ */
+router.get("/auto-topup", verifyToken, async (req, res) => {
+  try {
+    const rule = await overageHandlerService.getAutoTopupRule((req.user._id || req.user.id).toString());
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch auto top-up rule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'AUTO_TOPUP_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/payments/auto-topup
+ * Create or replace the caller's auto top-up rule
+ *
+ * Body:
+ * - thresholdFxct: number (top up when available balance falls to this)
+ * - amountFxct: number (FXCT bought per top-up)
+ * - monthlyCapUsd: number (maximum auto top-up spend per calendar month)
+ * - paymentMethod: { provider, customerId, paymentMethodId } (saved method for off-session charges)
+ */
+router.put("/auto-topup", verifyToken, [
+  body('thresholdFxct').isFloat({ min: 0 }).toFloat().withMessage('Threshold must be zero or more FXCT'),
+  body('amountFxct').isFloat({ gt: 0 }).toFloat().withMessage('Top-up amount must be positive'),
+  body('monthlyCapUsd').isFloat({ gt: 0 }).toFloat().withMessage('Monthly cap must be positive'),
+  body('paymentMethod').optional().isObject(),
+  body('paymentMethod.provider').optional().isString().trim(),
+  body('paymentMethod.customerId').optional().isString().trim(),
+  body('paymentMethod.paymentMethodId').optional().isString().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const rule = await overageHandlerService.setAutoTopupRule((req.user._id || req.user.id).toString(), {
+      thresholdFxct: req.body.thresholdFxct,
+      amountFxct: req.body.amountFxct,
+      monthlyCapUsd: req.body.monthlyCapUsd,
+      paymentMethod: req.body.paymentMethod
+    });
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'AUTO_TOPUP_UPDATE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/payments/auto-topup
+ * Turn off auto top-up (the rule is kept so it can be re-enabled)
+ */
+router.delete("/auto-topup", verifyToken, async (req, res) => {
+  try {
+    const rule = await overageHandlerService.disableAutoTopup((req.user._id || req.user.id).toString());
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: { code: 'AUTO_TOPUP_UPDATE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -2,21 +2,21 @@ const express = require("express");
 const router = express.Router();
 const fetch = require("node-fetch");
 require("dotenv").config();
-const { getAsync, setAsync } = require("../utils/redisClient");
+const cacheService = require("../services/cacheService");
 const { parseStringPromise } = require("xml2js");
 
 router.get("/", async (req, res) => {
-  const { lat, lon } = req.query;
-  const userKey = req.user?.id || req.sessionID || "guest"; // ✅ moved inside
+  // address is optional; when given, the entry is tagged so address invalidation clears it
+  const { lat, lon, address } = req.query;
 
   if (!lat || !lon) {
     return res.status(400).json({ error: "Missing lat/lon parameters" });
   }
 
-  const cacheKey = `schoolinfo:${userKey}:${lat}:${lon}`;
+  const cacheKey = { lat, lon };
   try {
-    const cached = await getAsync(cacheKey);
-    if (cached) return res.json({ fromCache: true, schools: JSON.parse(cached) });
+    const cached = await cacheService.get("schools", cacheKey);
+    if (cached.hit) return res.json({ fromCache: true, schools: cached.data });
 
     const url = `https://api.greatschools.org/schools/nearby?key=${process.env.GREATSCHOOLS_API_KEY}&lat=${lat}&lon=${lon}&limit=5`;
 
@@ -25,7 +25,10 @@ router.get("/", async (req, res) => {
     const json = await parseStringPromise(xml, { explicitArray: false });
     const schools = json.schools?.school || [];
 
-    await setAsync(cacheKey, schools, 3600); // 1 hour cache
+    // Cached for the 'schools' policy TTL (7 days)
+    await cacheService.set("schools", cacheKey, schools, {
+      tags: [cacheService.tag("geo", `${lat},${lon}`), address ? cacheService.addressTag(address) : null]
+    });
     res.json({ fromCache: false, schools });
   } catch (err) {
     console.error("❌ GreatSchools API error:", err);
@@ -1,6 +1,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { verifyToken } = require('../middleware/auth');
+const authController = require('../controllers/authController');
 
 const router = express.Router();
 
@@ -52,45 +53,10 @@ router.get('/csrf-token', securityLimiter, (req, res) => {
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token using refresh token
- * @access  Private (requires valid refresh token)
+ * @desc    Rotate the HTTP-only refresh token cookie and issue a new access token
+ * @access  Public (requires valid refresh token cookie)
  */
-router.post('/refresh', authLimiter, async (req, res) => {
-  try {
-    const { sessionId } = req.body;
-    
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Session ID is required'
-      });
-    }
-
-    // In a real implementation, you would:
-    // 1. Validate the refresh token from HTTP-only cookie
-    // 2. Generate new access token
-    // 3. Set new HTTP-only cookies
-    // 4. Return success response
-
-    // For now, return a mock response
-    const csrfToken = req.csrfToken();
-    
-    res.status(200).json({
-      success: true,
-      message: 'Token refreshed successfully',
-      csrfToken,
-      expiresIn: 15 * 60 * 1000 // 15 minutes
-    });
-    
-    console.log('🔄 Token refreshed for session:', sessionId);
-  } catch (error) {
-    console.error('❌ Token refresh failed:', error);
-    res.status(401).json({
-      success: false,
-      message: 'Token refresh failed'
-    });
-  }
-});
+router.post('/refresh', authLimiter, authController.refresh);
 
 /**
  * @route   GET /api/auth/session-check
@@ -1,20 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const orderBookService = require('../services/orderBookService');
 
-// Mock token prices — you can update this later to fetch live data
-router.get('/', (req, res) => {
-  res.json({
-    fct: {
-      price: 0.2739,
-      bid: 0.2715,
-      ask: 0.2742,
-    },
-    fst: {
-      price: 1.0000,
-      bid: 0.9998,
-      ask: 1.0004,
-    },
-  });
+// Fixed FCT/FST quotes; property shares are quoted live from the order book below
+const STATIC_PRICES = {
+  fct: {
+    price: 0.2739,
+    bid: 0.2715,
+    ask: 0.2742,
+  },
+  fst: {
+    price: 1.0000,
+    bid: 0.9998,
+    ask: 1.0004,
+  },
+};
+
+// GET /api/token-prices?properties=<id>,<id> adds top-of-book quotes for property shares
+router.get('/', async (req, res) => {
+  const propertyIds = (req.query.properties || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .slice(0, 50);
+
+  if (propertyIds.length === 0) {
+    return res.json(STATIC_PRICES);
+  }
+
+  // Unknown properties come back as null rather than failing the whole response
+  const quotes = await Promise.all(propertyIds.map(async (id) => {
+    try {
+      return [id, await orderBookService.getTopOfBook(id)];
+    } catch (error) {
+      return [id, null];
+    }
+  }));
+
+  res.json({ ...STATIC_PRICES, properties: Object.fromEntries(quotes) });
+});
+
+// GET /api/token-prices/properties/:propertyId - live bid/ask/last from the order book
+router.get('/properties/:propertyId', async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.propertyId)) {
+    return res.status(400).json({ error: 'Invalid property ID' });
+  }
+
+  try {
+    res.json(await orderBookService.getTopOfBook(req.params.propertyId));
+  } catch (error) {
+    res.status(404).json({ error: 'Quote unavailable', message: error.message });
+  }
 });
 
 module.exports = router;
@@ -1,13 +1,402 @@
 const express = require("express");
 const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
 const { verifyToken, authorizeAdmin } = require("../middleware/auth");
+const User = require("../models/User");
+const holdingsService = require("../services/holdingsService");
+const portfolioService = require("../services/portfolioService");
+const taxReportingService = require("../services/taxReportingService");
+const notificationService = require("../services/notificationService");
+
+// Validation middleware helper
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request parameters',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
 
 // Protected route (any authenticated user)
 router.get("/me", verifyToken, (req, res) => {
   res.json({ user: req.user });
 });
 
+/**
+ * GET /api/users/me/holdings
+ * Fractional property shares held by the signed-in user
+ */
+router.get("/me/holdings", verifyToken, async (req, res) => {
+  try {
+    const holdings = await holdingsService.getUserHoldings(req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      data: holdings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch holdings:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'HOLDINGS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/holdings/history
+ * Share issuances and transfers involving the signed-in user
+ */
+router.get("/me/holdings/history", verifyToken, [
+  query('propertyId').optional().isMongoId().withMessage('Valid property ID is required'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { propertyId, page = 1, limit = 50 } = req.query;
+    const history = await holdingsService.getHistory(
+      { userId: req.user._id || req.user.id, propertyId },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch holdings history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'HISTORY_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/portfolio
+ * Holdings marked to market with concentration and a performance summary
+ */
+router.get("/me/portfolio", verifyToken, [
+  query('timeframe').optional().isIn(['1M', '3M', '6M', '1Y', '2Y', 'ALL']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const portfolio = await portfolioService.getPortfolio(req.user._id || req.user.id, {
+      timeframe: req.query.timeframe
+    });
+
+    res.json({
+      success: true,
+      data: portfolio,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch portfolio:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'PORTFOLIO_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/portfolio/performance
+ * Time-weighted returns, drawdowns and value history from daily snapshots
+ */
+router.get("/me/portfolio/performance", verifyToken, [
+  query('timeframe').optional().isIn(['1M', '3M', '6M', '1Y', '2Y', 'ALL']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const performance = await portfolioService.getPerformance(req.user._id || req.user.id, req.query.timeframe || '1Y');
+
+    res.json({
+      success: true,
+      data: performance,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch portfolio performance:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'PERFORMANCE_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/portfolio/risk
+ * Concentration, liquidity and volatility view of the portfolio
+ */
+router.get("/me/portfolio/risk", verifyToken, async (req, res) => {
+  try {
+    const riskAnalysis = await portfolioService.getRiskAnalysis(req.user._id || req.user.id);
+
+    res.json({
+      success: true,
+      data: riskAnalysis,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch portfolio risk:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'RISK_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/tax/summary
+ * Distribution income, other income and FIFO realized gains for a tax year
+ */
+router.get("/me/tax/summary", verifyToken, [
+  query('taxYear').optional().isInt({ min: 2000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const taxYear = req.query.taxYear || new Date().getFullYear() - 1;
+    const summary = await taxReportingService.buildTaxSummary(req.user._id || req.user.id, taxYear);
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to build tax summary:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'TAX_SUMMARY_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/tax/documents
+ * Previously generated tax documents
+ */
+router.get("/me/tax/documents", verifyToken, [
+  query('taxYear').optional().isInt({ min: 2000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const documents = await taxReportingService.listDocuments(req.user._id || req.user.id, {
+      taxYear: req.query.taxYear
+    });
+
+    res.json({
+      success: true,
+      data: { documents },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list tax documents:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TAX_DOCUMENTS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/tax/documents
+ * Generate the tax year's CSV and/or PDF summary
+ *
+ * Body:
+ * - taxYear: integer (optional, defaults to last year)
+ * - formats: ['csv', 'pdf'] (optional, defaults to both)
+ */
+router.post("/me/tax/documents", verifyToken, [
+  body('taxYear').optional().isInt({ min: 2000 }).toInt(),
+  body('formats').optional().isArray({ min: 1 }),
+  body('formats.*').optional().isIn(['csv', 'pdf']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { documents, summary } = await taxReportingService.generateDocuments(
+      userId,
+      req.body.taxYear || new Date().getFullYear() - 1,
+      { formats: req.body.formats, generatedBy: userId }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { taxYear: summary.taxYear, overview: summary.overview, warnings: summary.warnings, documents },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Tax document generation failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'TAX_DOCUMENTS_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/tax/documents/:documentId/download
+ * Download a stored tax document
+ */
+router.get("/me/tax/documents/:documentId/download", verifyToken, async (req, res) => {
+  try {
+    const document = await taxReportingService.getDocumentForDownload(req.params.documentId, req.user._id || req.user.id);
+
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+    res.send(document.content);
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'TAX_DOCUMENT_NOT_FOUND', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/notifications
+ * In-app notifications, newest first
+ */
+router.get("/me/notifications", verifyToken, [
+  query('unreadOnly').optional().isBoolean().toBoolean(),
+  query('type').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { unreadOnly, type, page = 1, limit = 20 } = req.query;
+    const result = await notificationService.listForUser(req.user._id || req.user.id, { unreadOnly, type, page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list notifications:', error.message);
+    res.status(500).json({
+      success: false,
+      error: { code: 'NOTIFICATIONS_FETCH_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/notifications/read
+ * Mark notifications read
+ *
+ * Body:
+ * - ids: string[] (optional, all unread when omitted)
+ */
+router.post("/me/notifications/read", verifyToken, [
+  body('ids').optional().isArray({ min: 1 }),
+  body('ids.*').optional().isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const marked = await notificationService.markRead(req.user._id || req.user.id, req.body.ids || null);
+
+    res.json({
+      success: true,
+      data: { marked },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: { code: 'NOTIFICATIONS_UPDATE_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/holdings/transfer
+ * Gift or sell shares to another registered user
+ *
+ * Body:
+ * - propertyId: string (required)
+ * - recipientEmail: string (required)
+ * - shares: integer (required)
+ * - pricePerShareFxct: number (optional) - agreed price, recorded for cost basis
+ * - idempotencyKey: string (optional)
+ */
+router.post("/me/holdings/transfer", verifyToken, [
+  body('propertyId').isMongoId().withMessage('Valid property ID is required'),
+  body('recipientEmail').isEmail().normalizeEmail().withMessage('Valid recipient email is required'),
+  body('shares').isInt({ min: 1 }).toInt().withMessage('Shares must be a positive integer'),
+  body('pricePerShareFxct').optional().isFloat({ min: 0 }).toFloat(),
+  body('idempotencyKey').optional().isString().isLength({ max: 128 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { propertyId, recipientEmail, shares, pricePerShareFxct = 0, idempotencyKey } = req.body;
+    const senderId = req.user._id || req.user.id;
+
+    const recipient = await User.findOne({ email: recipientEmail }).select('_id suspended');
+    if (!recipient || recipient.suspended) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'RECIPIENT_NOT_FOUND', message: 'Recipient not found' },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await holdingsService.transferShares({
+      propertyId,
+      fromUserId: senderId,
+      toUserId: recipient._id,
+      shares,
+      pricePerShareFxct,
+      idempotencyKey: idempotencyKey ? `user_transfer_${senderId}_${idempotencyKey}` : undefined,
+      performedBy: senderId,
+      meta: { initiatedVia: 'user_api' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        transaction: result.transaction,
+        holding: result.from
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Share transfer failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: { code: 'TRANSFER_FAILED', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Admin-only route
 router.post("/admin/data", verifyToken, authorizeAdmin, (req, res) => {
   res.json({ message: "Welcome Admin!" });
 });
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const helpScoutService = require('../services/helpScoutService');
 const slackService = require('../services/slackService');
 const dailyWorkflowService = require('../services/dailyWorkflowService');
+const { overageHandlerService } = require('../services/overageHandlerService');
+const paymentProviders = require('../services/paymentProviders');
 const crypto = require('crypto');
 
 /**
@@ -169,6 +171,35 @@ router.post('/helpscout', express.raw({ type: 'application/json' }), verifyHelpS
   }
 });
 
+/**
+ * @route   POST /api/webhooks/payments/:provider
+ * @desc    Payment provider webhooks (FXCT purchase confirmations, refunds, chargebacks)
+ * @access  Public (verified by provider signature over the raw body)
+ */
+router.post('/payments/:provider', async (req, res) => {
+  if (!paymentProviders.has(req.params.provider)) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+
+  let payload;
+  try {
+    const provider = paymentProviders.get(req.params.provider);
+    payload = provider.verifyWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    console.warn(`❌ ${req.params.provider} payment webhook rejected:`, error.message);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await overageHandlerService.handleProviderEvent(req.params.provider, payload);
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    // Non-2xx makes the provider retry; processing is idempotent
+    console.error(`❌ ${req.params.provider} payment webhook processing failed:`, error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
 /**
  * Parse command and subcommand from text input
  */
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration of paid CoreLogic cache entries into cacheService
+ *
+ * Premium features, PID lookups and basic property details used to be cached
+ * under plain Redis keys (premium:<feature>:<pid>, pid:<lookupKey>,
+ * property:basic:<pid>). cacheService reads cache:<namespace>:<key>, so without
+ * this copy every one of those paid results would be fetched - and charged -
+ * again. Each entry keeps its remaining TTL and gains the clip tag the routes
+ * now write. Legacy keys are left to expire. Safe to run more than once.
+ *
+ * Usage: node scripts/admin-utils/migrate-legacy-cache-keys.js [--dry-run]
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const cacheService = require('../../services/cacheService');
+const { ensureConnected, getClient } = require('../../utils/redisClient');
+
+const PREMIUM_FEATURES = ['ownership', 'mortgage', 'liens', 'transactions', 'climate'];
+
+// Legacy key pattern -> namespace, the key within it and the clip the entry belongs to
+const MIGRATIONS = [
+  ...PREMIUM_FEATURES.map(feature => ({
+    pattern: `premium:${feature}:*`,
+    namespace: `premium_${feature}`,
+    keyOf: legacyKey => legacyKey.slice(`premium:${feature}:`.length),
+    clipOf: key => key
+  })),
+  {
+    pattern: 'pid:*',
+    namespace: 'property_pid',
+    keyOf: legacyKey => legacyKey.slice('pid:'.length),
+    clipOf: (key, value) => value?.pid || value?.clip
+  },
+  {
+    pattern: 'property:basic:*',
+    namespace: 'property_basic',
+    keyOf: legacyKey => legacyKey.slice('property:basic:'.length),
+    clipOf: key => key
+  }
+];
+
+async function migrateNamespace(client, migration, dryRun) {
+  const counts = { found: 0, migrated: 0, skipped: 0 };
+  let cursor = '0';
+
+  do {
+    const [next, legacyKeys] = await client.scan(cursor, 'MATCH', migration.pattern, 'COUNT', 500);
+    cursor = next;
+
+    for (const legacyKey of legacyKeys) {
+      counts.found++;
+      const key = migration.keyOf(legacyKey);
+
+      if (await cacheService.has(migration.namespace, key)) {
+        counts.skipped++;
+        continue;
+      }
+
+      let value;
+      try {
+        value = JSON.parse(await client.get(legacyKey));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable ${legacyKey}:`, error.message);
+        counts.skipped++;
+        continue;
+      }
+      if (value === null || value === undefined) {
+        counts.skipped++;
+        continue;
+      }
+
+      // -1 means the legacy key never expires; 0 keeps it until invalidated here too
+      const ttl = await client.ttl(legacyKey);
+      if (ttl === -2) {
+        counts.skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await cacheService.set(migration.namespace, key, value, {
+          ttlSeconds: ttl > 0 ? ttl : 0,
+          tags: [cacheService.tag('clip', migration.clipOf(key, value))]
+        });
+      }
+      counts.migrated++;
+    }
+  } while (cursor !== '0');
+
+  return counts;
+}
+
+async function migrateLegacyCacheKeys() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/fractionax');
+    console.log('📦 Connected to MongoDB');
+
+    await ensureConnected();
+    const client = getClient();
+    if (!client) {
+      throw new Error('Redis is not available');
+    }
+
+    for (const migration of MIGRATIONS) {
+      const counts = await migrateNamespace(client, migration, dryRun);
+      console.log(`${dryRun ? '🔍' : '✅'} ${migration.pattern} -> ${migration.namespace}: ${counts.found} found, ${counts.migrated} ${dryRun ? 'to migrate' : 'migrated'}, ${counts.skipped} skipped`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Legacy cache migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateLegacyCacheKeys();
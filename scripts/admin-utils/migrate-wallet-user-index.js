@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration for organization wallets
+ *
+ * Wallets used to carry a plain unique index on userId (userId_1). Organization
+ * wallets have no userId, so with that index in place the second organization
+ * wallet fails with E11000. This replaces it with the indexes the Wallet model
+ * now declares: a plain userId_1 for lookups and the partial unique
+ * userId_wallet_unique. Safe to run more than once.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const { Wallet } = require('../../models/Wallet');
+
+async function migrateWalletUserIndex() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/fractionax');
+    console.log('📦 Connected to MongoDB');
+
+    const indexes = await Wallet.collection.indexes();
+    const legacy = indexes.find(index => index.name === 'userId_1');
+
+    if (legacy?.unique) {
+      await Wallet.collection.dropIndex('userId_1');
+      console.log('🗑️ Dropped legacy userId_1 index');
+    } else {
+      console.log('ℹ️ No legacy userId_1 index found');
+    }
+
+    await Wallet.createIndexes();
+    console.log('✅ Wallet indexes in place:', (await Wallet.collection.indexes()).map(index => index.name).join(', '));
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Wallet index migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateWalletUserIndex();
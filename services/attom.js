@@ -1,9 +1,12 @@
-const axios = require("axios");
-const { getAsync, setAsync } = require("../utils/redisClient");
+const cacheService = require("./cacheService");
+const providerResilience = require("./providerResilience");
 
 const BASE_URL = "https://api.gateway.attomdata.com/propertyapi/v1.0.0";
 const API_KEY = process.env.ATTOM_API_KEY;
 
+// Retries (including 429s), timeouts, breaker and bulkhead from the 'attom' resilience policy
+const attomClient = providerResilience.createClient("attom");
+
 const defaultHeaders = {
   apikey: API_KEY,
   Host: "api.gateway.attomdata.com",
@@ -28,26 +31,24 @@ async function logAttomUsage(endpoint, params, result, error) {
   // TODO: Add DB logging logic here
 }
 
-// 🔁 Request wrapper with caching and retry
+// 🔁 Request wrapper with caching
 async function request(endpoint, rawParams = {}) {
   const params = sanitizeObject(rawParams);
-  const cacheKey = `attom:${endpoint}:${JSON.stringify(params)}`;
+  const cacheParams = { endpoint, ...params };
 
   try {
-    const cached = await getAsync(cacheKey);
-    if (cached) {
-      console.log(`📥 Redis cache hit: ${cacheKey}`);
-      return JSON.parse(cached);
+    const cached = await cacheService.get("attom_request", cacheParams);
+    if (cached.hit) {
+      console.log(`📥 Cache hit: attom ${endpoint}`);
+      return cached.data;
     }
 
-    const response = await retryRequest(() =>
-      axios.get(`${BASE_URL}${endpoint}`, {
-        headers: defaultHeaders,
-        params,
-      })
-    );
+    const response = await attomClient.get(`${BASE_URL}${endpoint}`, {
+      headers: defaultHeaders,
+      params,
+    });
 
-    await setAsync(cacheKey, response.data, 3600); // 1 hour TTL
+    await cacheService.set("attom_request", cacheParams, response.data);
     await logAttomUsage(endpoint, params, response.data, null);
     return response.data;
   } catch (error) {
@@ -58,26 +59,7 @@ async function request(endpoint, rawParams = {}) {
   }
 }
 
-// 🔁 Retry wrapper for 429 errors
-async function retryRequest(fn, retries = 3, delayMs = 1000) {
-  for (let i = 0; i <= retries; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      if (err.response?.status === 429 && i < retries) {
-        const wait = (delayMs + Math.random() * 300) * (i + 1);
-        console.warn(`🔁 Rate limited (429). Retrying in ${wait}ms...`);
-        await new Promise((res) => setTimeout(res, wait));
-      } else {
-        throw err;
-      }
-    }
-  }
-  throw new Error("Retry limit reached");
-}
-
-// 🔍 Lookup Attom ID
-// 🔍 Lookup Attom ID (with Redis caching)
+// 🔍 Lookup Attom ID (cached)
 async function getAttomId(address1, city = "Houston", state = "TX", postalcode) {
   const params = {
     address1: (address1 || "").trim(),
@@ -91,20 +73,20 @@ async function getAttomId(address1, city = "Houston", state = "TX", postalcode)
     return null;
   }
 
-  const cacheKey = `attom:lookup:${params.address1}:${params.city}:${params.state}:${params.postalcode}`;
-  
   try {
-    const cachedId = await getAsync(cacheKey);
-    if (cachedId) {
-      console.log(`📥 Redis hit for ATTOM ID: ${cacheKey}`);
-      return cachedId;
+    const cached = await cacheService.get("attom_id", params);
+    if (cached.hit) {
+      console.log(`📥 Cache hit for ATTOM ID: ${params.address1}, ${params.postalcode}`);
+      return cached.data;
     }
 
     const res = await request("/property/address", params);
     const attomid = res?.property?.[0]?.identifier?.attomid || null;
 
     if (attomid) {
-      await setAsync(cacheKey, attomid, 86400); // Cache for 1 day
+      await cacheService.set("attom_id", params, attomid, {
+        tags: [cacheService.addressTag(params)]
+      });
     }
 
     return attomid;
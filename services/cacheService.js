@@ -0,0 +1,540 @@
+/**
+ * 🗄️ Unified Cache Service
+ *
+ * Single cache API for provider data, replacing the per-feature Redis keys,
+ * enhancedCacheService and the per-feature Mongo cache lookups:
+ * - Namespaces - every entry belongs to one, and its policy
+ *   (config/cachePolicies.js) sets the TTL, whether it is also kept in MongoDB
+ *   and what a hit saves
+ * - Tags - entries can be tagged (e.g. with addressTag()) and everything under
+ *   a tag invalidated at once, across namespaces and tiers
+ * - Metrics - hits, misses, writes and provider spend saved per namespace and
+ *   per provider
+ *
+ * Redis is the hot tier; durable namespaces are read back from CacheEntry and
+ * re-warmed into Redis when Redis misses. Cache failures never fail a call:
+ * reads degrade to misses, writes are skipped and deletes report only what
+ * each tier managed to remove.
+ */
+
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/CacheEntry');
+const cachePolicies = require('../config/cachePolicies');
+const { ensureConnected, getClient } = require('../utils/redisClient');
+
+const KEY_PREFIX = 'cache';
+const TAG_PREFIX = `${KEY_PREFIX}:tag`;
+
+function emptyCounters() {
+  return {
+    hits: 0,
+    redisHits: 0,
+    mongoHits: 0,
+    misses: 0,
+    writes: 0,
+    invalidations: 0,
+    errors: 0,
+    costSavedUsd: 0,
+    lookupMs: 0,
+    lastHitAt: null,
+    lastMissAt: null
+  };
+}
+
+function hitRate(counters) {
+  const lookups = counters.hits + counters.misses;
+  return lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 10 : 0;
+}
+
+function avgLookupMs(counters) {
+  const lookups = counters.hits + counters.misses;
+  return lookups > 0 ? Math.round((counters.lookupMs / lookups) * 100) / 100 : 0;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class CacheService {
+  constructor(policies = cachePolicies) {
+    this.policies = policies;
+    this.metrics = new Map(); // namespace -> counters
+    this.inflight = new Map(); // redis key -> pending wrap() fetch
+    this.tagErrors = 0; // tag invalidation failures, which belong to no single namespace
+    this.statsSince = new Date();
+  }
+
+  policy(namespace) {
+    return this.policies.getPolicy(namespace);
+  }
+
+  counters(namespace) {
+    if (!this.metrics.has(namespace)) this.metrics.set(namespace, emptyCounters());
+    return this.metrics.get(namespace);
+  }
+
+  /**
+   * Normalise parameters so equivalent lookups share a key: empty values
+   * dropped, strings trimmed and lower-cased, object keys sorted
+   */
+  normalizeParams(value) {
+    if (typeof value === 'string') return value.trim().toLowerCase();
+    if (Array.isArray(value)) return value.map(item => this.normalizeParams(item)).sort();
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((normalized, name) => {
+        const item = value[name];
+        if (item !== null && item !== undefined && item !== '') {
+          normalized[name] = this.normalizeParams(item);
+        }
+        return normalized;
+      }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Strings and numbers are used as-is; parameter objects are normalised and hashed
+   */
+  keyOf(key) {
+    if (typeof key === 'string' || typeof key === 'number') return String(key);
+    const normalized = JSON.stringify(this.normalizeParams(key || {}));
+    return crypto.createHash('md5').update(normalized).digest('hex');
+  }
+
+  redisKey(namespace, key) {
+    return `${KEY_PREFIX}:${namespace}:${key}`;
+  }
+
+  /**
+   * Tag for everything cached about one address, whatever its formatting
+   * @param {string|Object} address - One-line address, or
+   *   { street|streetAddress|address1|address, city, state, zip|zipCode|postalcode }
+   */
+  addressTag(address) {
+    const text = typeof address === 'string'
+      ? address
+      : [
+        address?.street || address?.streetAddress || address?.address1 || address?.address,
+        address?.city,
+        address?.state,
+        address?.zip || address?.postalcode || address?.zipCode
+      ].filter(Boolean).join(' ');
+    const normalized = String(text || '')
+      .toLowerCase()
+      .replace(/\b(usa|united states)\b/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    return normalized ? `address:${normalized.replace(/ /g, '_')}` : null;
+  }
+
+  /**
+   * Tag for one identifier, e.g. tag('clip', clip) or tag('zpid', zpid)
+   */
+  tag(type, id) {
+    return id === null || id === undefined || id === '' ? null : `${type}:${String(id).trim().toLowerCase()}`;
+  }
+
+  async redis() {
+    await ensureConnected();
+    return getClient();
+  }
+
+  mongoReady(policy) {
+    return policy.durable && mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Look an entry up in Redis, then (for durable namespaces) MongoDB
+   * @param {Object} [options] - { countMiss: false } when another key will be tried next;
+   *   { peek: true } to inspect an entry without counting it as a hit or miss
+   * @returns {Promise<Object>} { hit, data, source: 'redis' | 'mongodb' | 'none', cachedAt }
+   */
+  async get(namespace, key, { countMiss = true, peek = false } = {}) {
+    const policy = this.policy(namespace);
+    const counters = this.counters(namespace);
+    const cacheKey = this.keyOf(key);
+    const fullKey = this.redisKey(namespace, cacheKey);
+    const startTime = performance.now();
+
+    try {
+      const client = await this.redis();
+      const raw = client ? await client.get(fullKey) : null;
+      if (raw) {
+        const entry = JSON.parse(raw);
+        if (peek) return { hit: true, data: entry.v, source: 'redis', cachedAt: new Date(entry.at) };
+        return this.recordHit(counters, policy, startTime, 'redis', entry.v, entry.cost, entry.at);
+      }
+    } catch (error) {
+      counters.errors++;
+      console.warn(`⚠️ Cache read failed for ${fullKey}:`, error.message);
+    }
+
+    if (this.mongoReady(policy)) {
+      try {
+        const now = new Date();
+        const doc = await CacheEntry.findOne({
+          namespace,
+          key: cacheKey,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        }).lean();
+
+        if (doc && peek) {
+          return { hit: true, data: doc.value, source: 'mongodb', cachedAt: doc.updatedAt || null };
+        }
+
+        if (doc) {
+          CacheEntry.updateOne({ _id: doc._id }, { $inc: { hits: 1 }, $set: { lastAccessed: now } })
+            .catch(error => console.warn(`⚠️ Failed to update cache entry ${fullKey}:`, error.message));
+
+          const remainingSeconds = doc.expiresAt ? Math.floor((doc.expiresAt - now) / 1000) : 0;
+          await this.writeRedis(fullKey, {
+            v: doc.value,
+            at: doc.updatedAt ? new Date(doc.updatedAt).getTime() : Date.now(),
+            cost: doc.costUsd,
+            tags: doc.tags
+          }, this.hotTtl(policy, remainingSeconds), doc.tags || []);
+
+          return this.recordHit(counters, policy, startTime, 'mongodb', doc.value, doc.costUsd, doc.updatedAt);
+        }
+      } catch (error) {
+        counters.errors++;
+        console.warn(`⚠️ Durable cache read failed for ${fullKey}:`, error.message);
+      }
+    }
+
+    if (peek) return { hit: false, data: null, source: 'none', cachedAt: null };
+
+    counters.lookupMs += performance.now() - startTime;
+    if (countMiss) {
+      counters.misses++;
+      counters.lastMissAt = new Date();
+    }
+    return { hit: false, data: null, source: 'none', cachedAt: null };
+  }
+
+  recordHit(counters, policy, startTime, source, data, cost, cachedAt) {
+    counters.hits++;
+    counters.lookupMs += performance.now() - startTime;
+    counters[source === 'redis' ? 'redisHits' : 'mongoHits']++;
+    counters.costSavedUsd += Number.isFinite(cost) ? cost : policy.costUsd;
+    counters.lastHitAt = new Date();
+    return { hit: true, data, source, cachedAt: cachedAt ? new Date(cachedAt) : null };
+  }
+
+  /**
+   * Redis TTL for an entry: durable namespaces only keep a hot copy in Redis
+   */
+  hotTtl(policy, ttlSeconds) {
+    if (!policy.durable) return ttlSeconds;
+    return ttlSeconds > 0 ? Math.min(ttlSeconds, policy.hotTtlSeconds) : policy.hotTtlSeconds;
+  }
+
+  async writeRedis(fullKey, entry, ttlSeconds, tags) {
+    const client = await this.redis();
+    if (!client) return false;
+
+    const payload = JSON.stringify(entry);
+    const result = ttlSeconds > 0
+      ? await client.set(fullKey, payload, 'EX', ttlSeconds)
+      : await client.set(fullKey, payload);
+
+    // Tag sets must outlive every key they index
+    for (const tag of tags) {
+      const tagKey = `${TAG_PREFIX}:${tag}`;
+      await client.sadd(tagKey, fullKey);
+      const tagTtl = await client.ttl(tagKey);
+      if (ttlSeconds <= 0) {
+        await client.persist(tagKey);
+      } else if (tagTtl !== -1 && tagTtl < ttlSeconds) {
+        await client.expire(tagKey, ttlSeconds);
+      }
+    }
+
+    return result === 'OK';
+  }
+
+  /**
+   * Store an entry; null and undefined values are not cached
+   * @param {Object} [options] - { ttlSeconds, tags, costUsd } overriding the namespace policy
+   * @returns {Promise<boolean>} Whether any tier stored it
+   */
+  async set(namespace, key, value, options = {}) {
+    if (value === null || value === undefined) return false;
+
+    const policy = this.policy(namespace);
+    const counters = this.counters(namespace);
+    const cacheKey = this.keyOf(key);
+    const fullKey = this.redisKey(namespace, cacheKey);
+    const ttlSeconds = Number.isFinite(options.ttlSeconds) ? options.ttlSeconds : policy.ttlSeconds;
+    const tags = [...new Set((options.tags || []).filter(Boolean))];
+    const costUsd = Number.isFinite(options.costUsd) ? options.costUsd : policy.costUsd;
+    let stored = false;
+
+    try {
+      stored = await this.writeRedis(fullKey, { v: value, at: Date.now(), cost: costUsd, tags }, this.hotTtl(policy, ttlSeconds), tags);
+    } catch (error) {
+      counters.errors++;
+      console.warn(`⚠️ Cache write failed for ${fullKey}:`, error.message);
+    }
+
+    if (this.mongoReady(policy)) {
+      try {
+        await CacheEntry.updateOne(
+          { namespace, key: cacheKey },
+          {
+            $set: {
+              value,
+              tags,
+              costUsd,
+              expiresAt: ttlSeconds > 0 ? new Date(Date.now() + ttlSeconds * 1000) : null
+            }
+          },
+          { upsert: true }
+        );
+        stored = true;
+      } catch (error) {
+        counters.errors++;
+        console.warn(`⚠️ Durable cache write failed for ${fullKey}:`, error.message);
+      }
+    }
+
+    if (stored) counters.writes++;
+    return stored;
+  }
+
+  /**
+   * Return the cached value, or fetch, cache and return it. Concurrent misses
+   * for the same key share one fetch.
+   * @param {Function} fetcher - async () => value
+   * @param {Object} [options] - set() options, where tags and ttlSeconds may be
+   *   functions of the fetched value, plus shouldCache(value) (default: not null)
+   */
+  async wrap(namespace, key, fetcher, options = {}) {
+    const cached = await this.get(namespace, key);
+    if (cached.hit) return cached.data;
+
+    const fullKey = this.redisKey(namespace, this.keyOf(key));
+    if (this.inflight.has(fullKey)) return this.inflight.get(fullKey);
+
+    const pending = (async () => {
+      const value = await fetcher();
+      const shouldCache = options.shouldCache ? options.shouldCache(value) : value !== null && value !== undefined;
+      if (shouldCache) {
+        await this.set(namespace, key, value, {
+          costUsd: options.costUsd,
+          ttlSeconds: typeof options.ttlSeconds === 'function' ? options.ttlSeconds(value) : options.ttlSeconds,
+          tags: typeof options.tags === 'function' ? options.tags(value) : options.tags
+        });
+      }
+      return value;
+    })();
+
+    this.inflight.set(fullKey, pending);
+    try {
+      return await pending;
+    } finally {
+      this.inflight.delete(fullKey);
+    }
+  }
+
+  /**
+   * Whether an entry is cached, without counting a hit or miss
+   */
+  async has(namespace, key) {
+    const policy = this.policy(namespace);
+    const cacheKey = this.keyOf(key);
+    try {
+      const client = await this.redis();
+      if (client && await client.exists(this.redisKey(namespace, cacheKey))) return true;
+      if (this.mongoReady(policy)) {
+        return Boolean(await CacheEntry.exists({
+          namespace,
+          key: cacheKey,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Cache lookup failed for ${namespace}:${cacheKey}:`, error.message);
+    }
+    return false;
+  }
+
+  /**
+   * Remove one entry from every tier
+   */
+  async del(namespace, key) {
+    const counters = this.counters(namespace);
+    const cacheKey = this.keyOf(key);
+    const fullKey = this.redisKey(namespace, cacheKey);
+    const result = { redis: 0, mongodb: 0 };
+
+    try {
+      const client = await this.redis();
+      if (client) result.redis = await client.del(fullKey);
+    } catch (error) {
+      counters.errors++;
+      console.warn(`⚠️ Cache delete failed for ${fullKey}:`, error.message);
+    }
+
+    if (mongoose.connection.readyState === 1) {
+      try {
+        result.mongodb = (await CacheEntry.deleteOne({ namespace, key: cacheKey })).deletedCount;
+      } catch (error) {
+        counters.errors++;
+        console.warn(`⚠️ Durable cache delete failed for ${fullKey}:`, error.message);
+      }
+    }
+
+    counters.invalidations += result.redis + result.mongodb > 0 ? 1 : 0;
+    return result;
+  }
+
+  /**
+   * Remove every entry carrying a tag, in any namespace
+   * @returns {Promise<Object>} { tag, redis, mongodb } deleted counts
+   */
+  async invalidateTag(tag) {
+    const result = { tag, redis: 0, mongodb: 0 };
+    if (!tag) return result;
+
+    const tagKey = `${TAG_PREFIX}:${tag}`;
+    try {
+      const client = await this.redis();
+      if (client) {
+        const keys = await client.smembers(tagKey);
+        if (keys.length > 0) {
+          result.redis = await client.del(...keys);
+          for (const fullKey of keys) {
+            this.counters(fullKey.split(':')[1]).invalidations++;
+          }
+        }
+        await client.del(tagKey);
+      }
+    } catch (error) {
+      this.tagErrors++;
+      console.warn(`⚠️ Cache tag invalidation failed for ${tagKey}:`, error.message);
+    }
+
+    if (mongoose.connection.readyState === 1) {
+      try {
+        const deleted = await CacheEntry.deleteMany({ tags: tag });
+        result.mongodb = deleted.deletedCount;
+      } catch (error) {
+        this.tagErrors++;
+        console.warn(`⚠️ Durable cache tag invalidation failed for ${tag}:`, error.message);
+      }
+    }
+
+    console.log(`🗑️ Invalidated cache tag ${tag}: ${result.redis} Redis / ${result.mongodb} MongoDB entries`);
+    return result;
+  }
+
+  /**
+   * Remove every entry in a namespace
+   * @returns {Promise<Object>} { namespace, redis, mongodb } deleted counts
+   */
+  async invalidateNamespace(namespace) {
+    const counters = this.counters(namespace);
+    const result = { namespace, redis: 0, mongodb: 0 };
+
+    try {
+      const client = await this.redis();
+      if (client) {
+        let cursor = '0';
+        do {
+          const [next, keys] = await client.scan(cursor, 'MATCH', `${KEY_PREFIX}:${namespace}:*`, 'COUNT', 500);
+          if (keys.length > 0) result.redis += await client.del(...keys);
+          cursor = next;
+        } while (cursor !== '0');
+      }
+    } catch (error) {
+      counters.errors++;
+      console.warn(`⚠️ Cache namespace invalidation failed for ${namespace}:`, error.message);
+    }
+
+    if (mongoose.connection.readyState === 1) {
+      try {
+        const deleted = await CacheEntry.deleteMany({ namespace });
+        result.mongodb = deleted.deletedCount;
+      } catch (error) {
+        counters.errors++;
+        console.warn(`⚠️ Durable cache namespace invalidation failed for ${namespace}:`, error.message);
+      }
+    }
+
+    counters.invalidations += result.redis + result.mongodb;
+    console.log(`🗑️ Invalidated cache namespace ${namespace}: ${result.redis} Redis / ${result.mongodb} MongoDB entries`);
+    return result;
+  }
+
+  /**
+   * Hit/miss and cost-saved figures since startup (or the last resetStats())
+   * @param {Object} [filter] - { namespace, provider } to narrow the report
+   */
+  getStats({ namespace, provider } = {}) {
+    const namespaces = [...new Set([...this.policies.listNamespaces(), ...this.metrics.keys()])];
+    const byNamespace = [];
+    const byProvider = {};
+    const totals = emptyCounters();
+
+    for (const name of namespaces) {
+      const policy = this.policy(name);
+      if (namespace && name !== namespace) continue;
+      if (provider && policy.provider !== provider) continue;
+
+      const counters = this.metrics.get(name) || emptyCounters();
+      const { lookupMs, ...reported } = counters;
+      byNamespace.push({
+        namespace: name,
+        provider: policy.provider,
+        ttlSeconds: policy.ttlSeconds,
+        durable: policy.durable,
+        ...reported,
+        costSavedUsd: roundUsd(counters.costSavedUsd),
+        avgLookupMs: avgLookupMs(counters),
+        hitRate: hitRate(counters)
+      });
+
+      const providerTotals = byProvider[policy.provider] || (byProvider[policy.provider] = { hits: 0, misses: 0, costSavedUsd: 0 });
+      providerTotals.hits += counters.hits;
+      providerTotals.misses += counters.misses;
+      providerTotals.costSavedUsd = roundUsd(providerTotals.costSavedUsd + counters.costSavedUsd);
+
+      for (const field of ['hits', 'redisHits', 'mongoHits', 'misses', 'writes', 'invalidations', 'errors', 'costSavedUsd', 'lookupMs']) {
+        totals[field] += counters[field];
+      }
+    }
+
+    for (const providerTotals of Object.values(byProvider)) {
+      providerTotals.hitRate = hitRate(providerTotals);
+    }
+
+    return {
+      since: this.statsSince,
+      totals: {
+        hits: totals.hits,
+        redisHits: totals.redisHits,
+        mongoHits: totals.mongoHits,
+        misses: totals.misses,
+        writes: totals.writes,
+        invalidations: totals.invalidations,
+        errors: totals.errors + (namespace || provider ? 0 : this.tagErrors),
+        costSavedUsd: roundUsd(totals.costSavedUsd),
+        avgLookupMs: avgLookupMs(totals),
+        hitRate: hitRate(totals)
+      },
+      byProvider,
+      byNamespace: byNamespace.sort((a, b) => b.costSavedUsd - a.costSavedUsd || b.hits - a.hits)
+    };
+  }
+
+  resetStats() {
+    this.metrics.clear();
+    this.tagErrors = 0;
+    this.statsSince = new Date();
+  }
+}
+
+module.exports = new CacheService();
@@ -2,45 +2,172 @@
  * Provider Cost Table Service
  * 
  * Manages USD costs for various provider APIs organized by data types.
- * Supports versioning and dynamic cost updates from the configuration file.
+ * Costs live in a versioned, effective-dated catalog in MongoDB
+ * (ProviderCostCatalog). The first version is seeded from
+ * config/providerCosts.json plus the per-provider pricing in
+ * config/providerPricing.js; after that every admin edit, rollback or
+ * negotiated override creates a new version with its diff.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const ProviderCostCatalog = require('../models/ProviderCostCatalog');
+const { PROVIDER_PRICING } = require('../config/providerPricing');
+
+const CACHE_TTL_MS = 300000; // 5 minutes
+const REQUIRED_DATA_TYPES = ['BASIC', 'STANDARD', 'PRO_LOW', 'PRO_HIGH'];
+const CATALOG_SECTIONS = ['costs', 'dataTypeMapping', 'enrichmentAPIs', 'providers'];
+
+function costError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
 
 class CostTableService {
   constructor() {
     this.costsCache = null;
     this.lastLoaded = null;
+    this.nextEffectiveAt = null;
+    this.seedCache = null;
     this.configPath = path.join(__dirname, '../config/providerCosts.json');
   }
 
   /**
-   * Load costs from configuration file with caching
+   * Load the catalog version currently in force, with caching
    * @returns {Object} The costs configuration object
    */
   async loadCosts() {
     try {
-      // Check if we need to reload (cache for 5 minutes)
+      // Reload every 5 minutes, or as soon as a scheduled version takes effect
       const now = Date.now();
-      if (this.costsCache && this.lastLoaded && (now - this.lastLoaded < 300000)) {
+      if (this.costsCache && this.lastLoaded && (now - this.lastLoaded < CACHE_TTL_MS) &&
+          (!this.nextEffectiveAt || now < this.nextEffectiveAt)) {
         return this.costsCache;
       }
 
-      const configData = await fs.readFile(this.configPath, 'utf8');
-      this.costsCache = JSON.parse(configData);
+      const current = await this.getEffectiveVersion();
+      const next = await ProviderCostCatalog.findOne({
+        status: 'active',
+        effectiveFrom: { $gt: new Date(now) }
+      }).sort({ effectiveFrom: 1 }).select('effectiveFrom').lean();
+
+      this.costsCache = this.toCosts(current);
       this.lastLoaded = now;
-      
-      console.log(`✅ Loaded provider costs version ${this.costsCache.version}`);
+      this.nextEffectiveAt = next ? next.effectiveFrom.getTime() : null;
+
       return this.costsCache;
     } catch (error) {
-      console.error('❌ Failed to load provider costs:', error.message);
+      console.error('❌ Failed to load provider cost catalog:', error.message);
       
-      // Return fallback costs if file read fails
-      return this.getFallbackCosts();
+      // Fall back to the seed file (or built-in costs) if the catalog is unreachable
+      return this.loadSeedCosts();
     }
   }
 
+  /**
+   * Shape a catalog version the way callers of loadCosts() expect
+   */
+  toCosts(doc) {
+    return {
+      version: doc.label,
+      catalogVersion: doc.version,
+      lastUpdated: (doc.createdAt || doc.effectiveFrom).toISOString(),
+      effectiveFrom: doc.effectiveFrom.toISOString(),
+      description: doc.description,
+      ...doc.catalog
+    };
+  }
+
+  /**
+   * Newest non-cancelled version whose effective date has passed,
+   * seeding version 1 on first use
+   */
+  async getEffectiveVersion(at = new Date()) {
+    const current = await ProviderCostCatalog.findOne({
+      status: 'active',
+      effectiveFrom: { $lte: at }
+    }).sort({ effectiveFrom: -1, version: -1 }).lean();
+
+    return current || this.seedCatalog();
+  }
+
+  /**
+   * Latest non-cancelled version, including ones scheduled for later.
+   * New versions are always based on this one.
+   */
+  async getHeadVersion() {
+    const head = await ProviderCostCatalog.findOne({ status: 'active' }).sort({ version: -1 }).lean();
+    return head || this.seedCatalog();
+  }
+
+  /**
+   * Create version 1 from config/providerCosts.json and config/providerPricing.js
+   */
+  async seedCatalog() {
+    const seed = await this.loadSeedCosts();
+    try {
+      const doc = await ProviderCostCatalog.create({
+        version: 1,
+        label: seed.version,
+        description: seed.description,
+        catalog: this.pickCatalog(seed),
+        effectiveFrom: new Date(0),
+        source: 'seed',
+        note: 'Seeded from config/providerCosts.json and config/providerPricing.js'
+      });
+      console.log(`✅ Seeded provider cost catalog from ${seed.version}`);
+      return doc.toObject();
+    } catch (error) {
+      // Another instance seeded first
+      if (error.code === 11000) {
+        return ProviderCostCatalog.findOne({ version: 1 }).lean();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the seed file, falling back to built-in costs
+   */
+  async loadSeedCosts() {
+    if (this.seedCache) return this.seedCache;
+
+    let costs;
+    try {
+      const configData = await fs.readFile(this.configPath, 'utf8');
+      costs = JSON.parse(configData);
+    } catch (error) {
+      console.error('❌ Failed to load provider costs file:', error.message);
+      costs = this.getFallbackCosts();
+    }
+
+    this.seedCache = { providers: clone(PROVIDER_PRICING), ...costs };
+    return this.seedCache;
+  }
+
+  pickCatalog(costs) {
+    const catalog = {};
+    for (const section of CATALOG_SECTIONS) {
+      catalog[section] = clone(costs[section] || {});
+    }
+    return catalog;
+  }
+
+  clearCache() {
+    this.costsCache = null;
+    this.lastLoaded = null;
+    this.nextEffectiveAt = null;
+  }
+
   /**
    * Get cost for a specific data type
    * @param {string} dataType - The data type (BASIC, STANDARD, PRO_LOW, PRO_HIGH)
@@ -120,28 +247,30 @@ class CostTableService {
     return result;
   }
 
+  /**
+   * Get per-provider pricing from the catalog in force
+   * @param {string} provider - Provider key (e.g. 'corelogic')
+   * @returns {Object|null} Provider pricing in config/providerPricing.js shape
+   */
+  async getProviderPricing(provider) {
+    const costs = await this.loadCosts();
+    return costs.providers?.[provider.toLowerCase()] || null;
+  }
+
   /**
    * Update costs configuration (for admin use)
+   * Kept for callers that replace the whole table; creates a catalog version.
    * @param {Object} newCosts - New costs configuration
    * @returns {boolean} Success status
    */
   async updateCosts(newCosts) {
     try {
-      // Validate the new costs structure
-      this.validateCostsStructure(newCosts);
-      
-      // Update version and timestamp
-      newCosts.version = this.incrementVersion(newCosts.version || '1.0.0');
-      newCosts.lastUpdated = new Date().toISOString();
-      
-      // Write to file
-      await fs.writeFile(this.configPath, JSON.stringify(newCosts, null, 2));
-      
-      // Clear cache to force reload
-      this.costsCache = null;
-      this.lastLoaded = null;
-      
-      console.log(`✅ Updated provider costs to version ${newCosts.version}`);
+      await this.createVersion({
+        catalog: newCosts,
+        description: newCosts.description,
+        note: newCosts.updated_reason,
+        createdBy: newCosts.updated_by
+      });
       return true;
     } catch (error) {
       console.error('❌ Failed to update provider costs:', error.message);
@@ -150,26 +279,332 @@ class CostTableService {
   }
 
   /**
-   * Validate costs configuration structure
-   * @param {Object} costs - Costs configuration to validate
+   * Create a new catalog version on top of the latest one
+   * @param {Object} params
+   * @param {Object} params.catalog - Full replacement (sections not given are kept)
+   * @param {Object} params.changes - Partial update merged into the latest version; null removes a key
+   * @param {Date|string} params.effectiveFrom - When the version takes effect (default now)
+   * @param {number} params.baseVersion - Reject if the latest version is no longer this one
+   * @returns {Promise<Object>} The created version
+   */
+  async createVersion({
+    catalog,
+    changes,
+    effectiveFrom,
+    baseVersion,
+    description,
+    note,
+    createdBy,
+    source = 'admin',
+    rolledBackTo,
+    overrideId
+  }) {
+    if (!catalog && !changes) {
+      throw costError('Either catalog or changes is required');
+    }
+
+    const head = await this.getHeadVersion();
+    if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== head.version) {
+      throw costError(`Catalog is now at version ${head.version}; reload and reapply your changes`, 409);
+    }
+
+    const startsAt = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (isNaN(startsAt.getTime())) {
+      throw costError('effectiveFrom must be a valid date');
+    }
+    if (startsAt < head.effectiveFrom) {
+      throw costError(`Version ${head.version} is scheduled for ${head.effectiveFrom.toISOString()}; cancel it or schedule this version after it`, 409);
+    }
+
+    const next = catalog
+      ? this.pickCatalog({ ...head.catalog, ...catalog })
+      : this.mergeChanges(clone(head.catalog), changes);
+    this.validateCatalog(next);
+
+    const diff = this.computeDiff(head.catalog, next);
+    if (diff.length === 0) {
+      throw costError('No changes from the current catalog');
+    }
+
+    try {
+      const doc = await ProviderCostCatalog.create({
+        version: head.version + 1,
+        label: this.incrementVersion(head.label),
+        description: description || head.description,
+        catalog: next,
+        effectiveFrom: startsAt,
+        source,
+        baseVersion: head.version,
+        rolledBackTo,
+        overrideId,
+        diff,
+        note,
+        createdBy
+      });
+
+      this.clearCache();
+      console.log(`✅ Provider cost catalog v${doc.version} (${doc.label}) created, effective ${startsAt.toISOString()} - ${diff.length} changes`);
+      return doc.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw costError('The catalog was changed at the same time; reload and retry', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new version restoring an earlier version's catalog
+   * @param {number} toVersion - Version to restore
+   */
+  async rollback(toVersion, { note, createdBy, effectiveFrom } = {}) {
+    const target = await ProviderCostCatalog.findOne({ version: Number(toVersion) }).lean();
+    if (!target) {
+      throw costError(`Catalog version ${toVersion} not found`, 404);
+    }
+
+    return this.createVersion({
+      catalog: target.catalog,
+      description: target.description,
+      effectiveFrom,
+      note: note || `Rollback to version ${target.version} (${target.label})`,
+      createdBy,
+      source: 'rollback',
+      rolledBackTo: target.version
+    });
+  }
+
+  /**
+   * Cancel a version that has not taken effect yet. Only the latest version
+   * can be cancelled, so every remaining version's diff stays meaningful.
+   */
+  async cancelVersion(version, cancelledBy) {
+    const head = await this.getHeadVersion();
+    if (head.version !== Number(version)) {
+      throw costError('Only the latest catalog version can be cancelled', 409);
+    }
+    if (head.effectiveFrom <= new Date()) {
+      throw costError('Version is already in effect; roll back instead', 409);
+    }
+
+    const doc = await ProviderCostCatalog.findOneAndUpdate(
+      { version: head.version, status: 'active' },
+      { $set: { status: 'cancelled', cancelledBy, cancelledAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    this.clearCache();
+    return doc;
+  }
+
+  /**
+   * Fold an approved negotiated price override into the catalog
+   * @param {Object} override - ProviderPriceOverride document
+   */
+  async applyOverride(override, createdBy) {
+    if (override.approval?.status !== 'approved') {
+      throw costError('Only approved overrides can be applied to the catalog');
+    }
+
+    const head = await this.getHeadVersion();
+    const provider = override.provider;
+    const current = head.catalog.providers?.[provider];
+    if (!current) {
+      throw costError(`Provider ${provider} is not in the cost catalog`, 404);
+    }
+
+    const toObject = (value) => value instanceof Map ? Object.fromEntries(value) : (value || {});
+    const overrides = override.overrides || {};
+    const change = {};
+
+    const endpoints = toObject(overrides.endpoints);
+    for (const [endpoint, config] of Object.entries(endpoints)) {
+      if (config?.base_cost === undefined) continue;
+      const section = current.services?.[endpoint] ? 'services' : 'endpoints';
+      change[section] = change[section] || {};
+      change[section][endpoint] = { base_cost: config.base_cost };
+    }
+
+    const models = toObject(overrides.models);
+    for (const [model, config] of Object.entries(models)) {
+      const rates = {};
+      if (config?.input_cost_per_1k_tokens !== undefined) rates.input_cost_per_1k_tokens = config.input_cost_per_1k_tokens;
+      if (config?.output_cost_per_1k_tokens !== undefined) rates.output_cost_per_1k_tokens = config.output_cost_per_1k_tokens;
+      if (Object.keys(rates).length > 0) {
+        change.models = change.models || {};
+        change.models[model] = rates;
+      }
+    }
+
+    const services = toObject(overrides.services);
+    for (const [service, config] of Object.entries(services)) {
+      const rates = {};
+      if (config?.cost_per_verification !== undefined) rates.base_cost = config.cost_per_verification;
+      if (config?.cost_per_message !== undefined) rates.cost_per_message = config.cost_per_message;
+      if (config?.cost_per_email !== undefined) rates.cost_per_email = config.cost_per_email;
+      if (Object.keys(rates).length > 0) {
+        change.services = change.services || {};
+        change.services[service] = rates;
+      }
+    }
+
+    if (Array.isArray(overrides.volume_tiers) && overrides.volume_tiers.length > 0) {
+      change.volume_tiers = overrides.volume_tiers.map(({ min_calls, max_calls, multiplier }) => ({
+        min_calls,
+        max_calls: max_calls ?? null,
+        multiplier
+      }));
+    }
+
+    if (Object.keys(change).length === 0) {
+      throw costError('Override has no prices to apply');
+    }
+
+    const effectiveFrom = override.negotiation?.effective_date && override.negotiation.effective_date > head.effectiveFrom
+      ? override.negotiation.effective_date
+      : undefined;
+
+    return this.createVersion({
+      changes: { providers: { [provider]: change } },
+      effectiveFrom,
+      note: `Negotiated ${provider} pricing (override ${override._id})`,
+      createdBy,
+      source: 'override',
+      overrideId: override._id
+    });
+  }
+
+  /**
+   * List catalog versions, newest first (catalog bodies omitted)
+   */
+  async listVersions({ page = 1, limit = 20, includeCancelled = false } = {}) {
+    const query = includeCancelled ? {} : { status: 'active' };
+    const skip = (page - 1) * limit;
+    const [versions, total, current] = await Promise.all([
+      ProviderCostCatalog.find(query)
+        .select('-catalog')
+        .populate('createdBy', 'email firstName lastName')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ProviderCostCatalog.countDocuments(query),
+      this.getEffectiveVersion()
+    ]);
+
+    return {
+      currentVersion: current.version,
+      versions: versions.map(v => ({
+        ...v,
+        changeCount: v.diff?.length || 0,
+        diff: undefined,
+        state: v.status === 'cancelled' ? 'cancelled'
+          : v.version === current.version ? 'current'
+          : v.effectiveFrom > new Date() ? 'scheduled'
+          : 'superseded'
+      })),
+      pagination: { page, limit, total, hasMore: skip + versions.length < total }
+    };
+  }
+
+  async getVersion(version) {
+    const doc = await ProviderCostCatalog.findOne({ version: Number(version) })
+      .populate('createdBy', 'email firstName lastName')
+      .lean();
+    if (!doc) {
+      throw costError(`Catalog version ${version} not found`, 404);
+    }
+    return doc;
+  }
+
+  /**
+   * Diff any two versions
+   */
+  async diffVersions(fromVersion, toVersion) {
+    const [from, to] = await Promise.all([this.getVersion(fromVersion), this.getVersion(toVersion)]);
+    return {
+      from: { version: from.version, label: from.label },
+      to: { version: to.version, label: to.label },
+      diff: this.computeDiff(from.catalog, to.catalog)
+    };
+  }
+
+  /**
+   * Leaf-level differences between two catalogs (arrays compare as a whole)
+   * @returns {Array} [{ path, op, before, after }]
+   */
+  computeDiff(before = {}, after = {}, prefix = '') {
+    const diff = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of [...keys].sort()) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const a = before?.[key];
+      const b = after?.[key];
+
+      if (isPlainObject(a) && isPlainObject(b)) {
+        diff.push(...this.computeDiff(a, b, path));
+      } else if (a === undefined) {
+        diff.push({ path, op: 'added', after: b });
+      } else if (b === undefined) {
+        diff.push({ path, op: 'removed', before: a });
+      } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+        diff.push({ path, op: 'changed', before: a, after: b });
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Deep-merge a partial update; null removes the key
+   */
+  mergeChanges(target, changes) {
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (value === null) {
+        delete target[key];
+      } else if (isPlainObject(value) && isPlainObject(target[key])) {
+        this.mergeChanges(target[key], value);
+      } else {
+        target[key] = clone(value);
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Validate a catalog before it is stored
    * @throws {Error} If validation fails
    */
-  validateCostsStructure(costs) {
-    const requiredFields = ['version', 'description', 'costs'];
-    for (const field of requiredFields) {
-      if (!costs[field]) {
-        throw new Error(`Missing required field: ${field}`);
+  validateCatalog(catalog) {
+    for (const dataType of REQUIRED_DATA_TYPES) {
+      const config = catalog.costs?.[dataType];
+      if (!config) {
+        throw costError(`Missing required data type: ${dataType}`);
+      }
+      if (typeof config.defaultCost !== 'number' || config.defaultCost <= 0) {
+        throw costError(`Invalid default cost for ${dataType}`);
       }
     }
 
-    const requiredDataTypes = ['BASIC', 'STANDARD', 'PRO_LOW', 'PRO_HIGH'];
-    for (const dataType of requiredDataTypes) {
-      if (!costs.costs[dataType]) {
-        throw new Error(`Missing required data type: ${dataType}`);
+    for (const [endpoint, dataType] of Object.entries(catalog.dataTypeMapping || {})) {
+      if (!catalog.costs[dataType]) {
+        throw costError(`Endpoint ${endpoint} maps to unknown data type ${dataType}`);
       }
-      
-      if (typeof costs.costs[dataType].defaultCost !== 'number' || costs.costs[dataType].defaultCost <= 0) {
-        throw new Error(`Invalid default cost for ${dataType}`);
+    }
+
+    const checkCosts = (value, path) => {
+      if (typeof value === 'number') {
+        if (!(value >= 0)) throw costError(`Invalid cost at ${path}`);
+      } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) checkCosts(child, `${path}.${key}`);
+      }
+    };
+    checkCosts(catalog.providers, 'providers');
+
+    for (const [provider, config] of Object.entries(catalog.providers || {})) {
+      if (!config?.type) {
+        throw costError(`Provider ${provider} is missing its pricing type`);
       }
     }
   }
@@ -222,10 +657,12 @@ class CostTableService {
     
     return {
       version: costs.version,
+      catalogVersion: costs.catalogVersion || null,
       lastUpdated: costs.lastUpdated,
       totalDataTypes: Object.keys(costs.costs).length,
       totalEndpoints: Object.keys(costs.dataTypeMapping || {}).length,
       totalEnrichmentAPIs: Object.keys(costs.enrichmentAPIs || {}).length,
+      totalProviders: Object.keys(costs.providers || {}).length,
       costRanges: {
         min: Math.min(...Object.values(costs.costs).map(c => c.defaultCost)),
         max: Math.max(...Object.values(costs.costs).map(c => c.defaultCost))
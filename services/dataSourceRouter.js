@@ -10,9 +10,18 @@
  * - Performance optimization
  * - Fallback strategies
  * - Quality assessment and recommendations
+ * - Learning from observed outcomes: latency, errors and cost from
+ *   NetworkAnalytics plus per-request data completeness (routingStatsService)
+ *   replace the static estimates once enough samples exist
+ * - Per-request cost ceiling and latency SLO, with a decision trace
  */
 
 const { performance } = require('perf_hooks');
+const propertyProviders = require('./propertyProviders');
+const propertyMergeService = require('./propertyMergeService');
+const { addImages } = require('./propertyProviders/schema');
+const routingStatsService = require('./routingStatsService');
+const routingConfig = require('../config/dataRouting');
 
 class DataSourceRouter {
   constructor() {
@@ -36,6 +45,10 @@ class DataSourceRouter {
         search: 0.50,
         comprehensive: 2.00,
         intelligence: 1.00
+      },
+      attom: {
+        search: 0.10,
+        details: 0.25
       }
     };
 
@@ -67,9 +80,10 @@ class DataSourceRouter {
       prioritizeSpeed = false,
       prioritizeCost = false,
       prioritizeQuality = false,
-      maxCost = null,
       requiredDataTypes = []
     } = options;
+    const maxCost = routingConfig.parseLimit(options.maxCost) || routingConfig.MAX_COST_USD;
+    const latencySloMs = routingConfig.parseLimit(options.latencySloMs) || routingConfig.LATENCY_SLO_MS;
 
     console.log(`🧠 Analyzing optimal data source route for: ${JSON.stringify(searchRequest)}`);
     
@@ -82,13 +96,17 @@ class DataSourceRouter {
       
       // Assess quality requirements
       const qualityAnalysis = this.analyzeQualityRequirements(requiredDataTypes);
+
+      // Pick up fresh NetworkAnalytics figures for next time
+      routingStatsService.maybeRefreshBaseline();
       
       // Make routing decision
       const routingDecision = this.makeRoutingDecision(
         searchAnalysis, 
         costAnalysis, 
         qualityAnalysis, 
-        { prioritizeSpeed, prioritizeCost, prioritizeQuality, maxCost }
+        { prioritizeSpeed, prioritizeCost, prioritizeQuality, maxCost, latencySloMs },
+        { searchType: searchAnalysis.searchType, region: routingStatsService.regionOf(searchRequest) }
       );
 
       this.routingStats.totalRoutes++;
@@ -113,6 +131,7 @@ class DataSourceRouter {
       console.log(`🎯 Routing decision: ${routingDecision.strategy} (${(performance.now() - startTime).toFixed(2)}ms)`);
       console.log(`💰 Estimated cost: $${routingDecision.estimatedCost.toFixed(3)}`);
       console.log(`📊 Quality score: ${routingDecision.qualityScore}/10`);
+      console.log(`⏱️ Expected p95 latency: ${routingDecision.expectedLatencyMs}ms`);
 
       return {
         ...routingDecision,
@@ -191,15 +210,21 @@ class DataSourceRouter {
       zillowCost: 0,
       corelogicCost: 0,
       parallelCost: 0,
-      recommendedBudget: 0
+      recommendedBudget: 0,
+      breakdown: {} // strategy -> { provider: cost }
     };
+    let parallelBreakdown;
 
     // Base costs for different strategies
     switch (searchAnalysis.searchType) {
       case 'specific_address':
         analysis.zillowCost = this.costs.zillow.search + this.costs.zillow.images;
         analysis.corelogicCost = this.costs.corelogic.comprehensive;
-        analysis.parallelCost = analysis.zillowCost + this.costs.corelogic.search;
+        parallelBreakdown = {
+          zillow: analysis.zillowCost,
+          corelogic: this.costs.corelogic.search,
+          attom: this.costs.attom.search
+        };
         analysis.recommendedBudget = 0.20;
         break;
         
@@ -208,17 +233,24 @@ class DataSourceRouter {
         const expectedProperties = this.estimatePropertyCount(searchRequest);
         analysis.zillowCost = this.costs.zillow.search + (expectedProperties * 0.005); // Bulk processing discount
         analysis.corelogicCost = expectedProperties * this.costs.corelogic.search;
-        analysis.parallelCost = analysis.zillowCost + (expectedProperties * 0.02);
+        parallelBreakdown = { zillow: analysis.zillowCost, corelogic: expectedProperties * 0.02 };
         analysis.recommendedBudget = 0.10;
         break;
         
       default:
         analysis.zillowCost = this.costs.zillow.search;
         analysis.corelogicCost = this.costs.corelogic.search;
-        analysis.parallelCost = analysis.zillowCost + analysis.corelogicCost;
+        parallelBreakdown = { zillow: analysis.zillowCost, corelogic: analysis.corelogicCost };
         analysis.recommendedBudget = 0.05;
     }
 
+    analysis.parallelCost = Object.values(parallelBreakdown).reduce((sum, cost) => sum + cost, 0);
+    analysis.breakdown = {
+      zillow_primary: { zillow: analysis.zillowCost },
+      corelogic_primary: { corelogic: analysis.corelogicCost },
+      parallel: parallelBreakdown
+    };
+
     return analysis;
   }
 
@@ -258,133 +290,337 @@ class DataSourceRouter {
 
   /**
    * 🎯 Make the final routing decision
+   *
+   * The search-pattern rules propose a strategy; every strategy is then scored
+   * on observed outcomes (routingStatsService) and the best one that fits the
+   * request's cost ceiling and latency SLO wins. The rule pick gets a bonus of
+   * RULE_PREFERENCE_BONUS so it only loses to a clearly better observed option.
    */
-  makeRoutingDecision(searchAnalysis, costAnalysis, qualityAnalysis, preferences) {
-    const { prioritizeSpeed, prioritizeCost, prioritizeQuality, maxCost } = preferences;
-    
-    let strategy = 'zillow_primary'; // Default
-    let estimatedCost = costAnalysis.zillowCost;
-    let qualityScore = qualityAnalysis.zillowQualityScore;
-    let reasoning = [];
+  makeRoutingDecision(searchAnalysis, costAnalysis, qualityAnalysis, preferences, context = {}) {
+    const { maxCost = null, latencySloMs = null } = preferences;
+    const rule = this.ruleBasedStrategy(searchAnalysis, costAnalysis, qualityAnalysis, preferences);
+    const reasoning = [...rule.reasoning];
+
+    const candidates = this.evaluateStrategies(searchAnalysis, costAnalysis, qualityAnalysis, context)
+      .map(candidate => {
+        const violations = [];
+        if (maxCost && candidate.estimatedCost > maxCost) {
+          violations.push(`cost $${candidate.estimatedCost.toFixed(3)} over ceiling $${maxCost}`);
+        }
+        if (latencySloMs && candidate.expectedLatencyMs > latencySloMs) {
+          violations.push(`p95 latency ${candidate.expectedLatencyMs}ms over SLO ${latencySloMs}ms`);
+        }
+        const bonus = candidate.strategy === rule.strategy ? routingConfig.RULE_PREFERENCE_BONUS : 0;
+        return {
+          ...candidate,
+          score: Math.round((candidate.qualityScore + bonus) * 100) / 100,
+          feasible: violations.length === 0,
+          violations
+        };
+      });
+
+    const feasible = candidates
+      .filter(candidate => candidate.feasible)
+      .sort((a, b) => b.score - a.score || a.estimatedCost - b.estimatedCost);
+    let chosen;
+
+    if (feasible.length > 0) {
+      chosen = feasible[0];
+      const ruleCandidate = candidates.find(candidate => candidate.strategy === rule.strategy);
+      if (chosen.strategy !== rule.strategy) {
+        reasoning.push(ruleCandidate.feasible
+          ? `Observed outcomes favour ${chosen.strategy} (score ${chosen.score} vs ${ruleCandidate.score})`
+          : `${rule.strategy} rejected: ${ruleCandidate.violations.join('; ')}; using ${chosen.strategy}`);
+      }
+    } else {
+      // Nothing fits: break the fewest limits, then stay as cheap and fast as possible
+      chosen = candidates.slice().sort((a, b) =>
+        a.violations.length - b.violations.length ||
+        a.estimatedCost - b.estimatedCost ||
+        a.expectedLatencyMs - b.expectedLatencyMs
+      )[0];
+      reasoning.push(`Warning: no strategy meets the request limits; using ${chosen.strategy} (${chosen.violations.join('; ')})`);
+    }
+
+    return {
+      strategy: chosen.strategy,
+      providers: chosen.providers,
+      estimatedCost: chosen.estimatedCost,
+      expectedLatencyMs: chosen.expectedLatencyMs,
+      qualityScore: chosen.qualityScore,
+      reasoning,
+      alternatives: this.getAlternatives(candidates),
+      confidence: searchAnalysis.confidence,
+      searchAnalysis,
+      costAnalysis,
+      qualityAnalysis,
+      trace: {
+        searchType: context.searchType || searchAnalysis.searchType,
+        region: context.region || '*',
+        limits: { maxCost, latencySloMs },
+        ruleBased: rule,
+        candidates,
+        chosen: chosen.strategy,
+        constraintsMet: chosen.feasible,
+        baselineRefreshedAt: routingStatsService.baselineRefreshedAt
+      }
+    };
+  }
+
+  /**
+   * 📏 Strategy the search-pattern rules and priorities point to
+   * @returns {Object} { strategy, reasoning }
+   */
+  ruleBasedStrategy(searchAnalysis, costAnalysis, qualityAnalysis, preferences) {
+    const { prioritizeSpeed, prioritizeCost, prioritizeQuality } = preferences;
 
     // Priority-based decision making
     if (prioritizeSpeed) {
       if (searchAnalysis.searchType === 'specific_address') {
-        strategy = 'parallel';
-        estimatedCost = costAnalysis.parallelCost;
-        qualityScore = Math.max(qualityAnalysis.zillowQualityScore, qualityAnalysis.corelogicQualityScore);
-        reasoning.push('Parallel execution for speed on address search');
-      } else {
-        strategy = 'zillow_primary';
-        estimatedCost = costAnalysis.zillowCost;
-        qualityScore = qualityAnalysis.zillowQualityScore;
-        reasoning.push('Zillow primary for fastest city-wide search');
+        return { strategy: 'parallel', reasoning: ['Parallel execution for speed on address search'] };
       }
+      return { strategy: 'zillow_primary', reasoning: ['Zillow primary for fastest city-wide search'] };
     }
-    else if (prioritizeCost) {
+
+    if (prioritizeCost) {
       if (costAnalysis.zillowCost <= costAnalysis.corelogicCost) {
-        strategy = 'zillow_primary';
-        estimatedCost = costAnalysis.zillowCost;
-        qualityScore = qualityAnalysis.zillowQualityScore;
-        reasoning.push('Zillow primary for cost optimization');
-      } else {
-        strategy = 'corelogic_primary';
-        estimatedCost = costAnalysis.corelogicCost;
-        qualityScore = qualityAnalysis.corelogicQualityScore;
-        reasoning.push('CoreLogic primary despite higher cost');
+        return { strategy: 'zillow_primary', reasoning: ['Zillow primary for cost optimization'] };
       }
+      return { strategy: 'corelogic_primary', reasoning: ['CoreLogic primary despite higher cost'] };
     }
-    else if (prioritizeQuality) {
+
+    if (prioritizeQuality) {
       if (qualityAnalysis.zillowQualityScore >= qualityAnalysis.corelogicQualityScore) {
-        strategy = 'zillow_primary';
-        estimatedCost = costAnalysis.zillowCost;
-        qualityScore = qualityAnalysis.zillowQualityScore;
-        reasoning.push('Zillow primary for quality requirements');
-      } else {
-        strategy = 'corelogic_primary';
-        estimatedCost = costAnalysis.corelogicCost;
-        qualityScore = qualityAnalysis.corelogicQualityScore;
-        reasoning.push('CoreLogic primary for quality requirements');
+        return { strategy: 'zillow_primary', reasoning: ['Zillow primary for quality requirements'] };
       }
+      return { strategy: 'corelogic_primary', reasoning: ['CoreLogic primary for quality requirements'] };
     }
-    else {
-      // Smart default routing based on search pattern
-      switch (searchAnalysis.searchType) {
-        case 'specific_address':
-          strategy = 'parallel';
-          estimatedCost = costAnalysis.parallelCost;
-          qualityScore = 9; // High quality for parallel approach
-          reasoning.push('Parallel execution optimal for address-specific searches');
-          break;
-          
-        case 'area_search':
-        case 'filtered_search':
-          strategy = 'zillow_primary';
-          estimatedCost = costAnalysis.zillowCost;
-          qualityScore = qualityAnalysis.zillowQualityScore;
-          reasoning.push('Zillow primary optimal for area/filtered searches');
-          break;
-          
-        default:
-          strategy = 'zillow_primary';
-          estimatedCost = costAnalysis.zillowCost;
-          qualityScore = qualityAnalysis.zillowQualityScore;
-          reasoning.push('Zillow primary as safe default');
-      }
+
+    // Smart default routing based on search pattern
+    switch (searchAnalysis.searchType) {
+      case 'specific_address':
+        return { strategy: 'parallel', reasoning: ['Parallel execution optimal for address-specific searches'] };
+      case 'area_search':
+      case 'filtered_search':
+        return { strategy: 'zillow_primary', reasoning: ['Zillow primary optimal for area/filtered searches'] };
+      default:
+        return { strategy: 'zillow_primary', reasoning: ['Zillow primary as safe default'] };
     }
+  }
 
-    // Cost limit check
-    if (maxCost && estimatedCost > maxCost) {
-      if (costAnalysis.zillowCost <= maxCost) {
-        strategy = 'zillow_primary';
-        estimatedCost = costAnalysis.zillowCost;
-        qualityScore = qualityAnalysis.zillowQualityScore;
-        reasoning.push(`Cost limit enforced: switched to Zillow (under $${maxCost})`);
-      } else {
-        reasoning.push(`Warning: All options exceed cost limit of $${maxCost}`);
-      }
+  /**
+   * 📈 What one provider is expected to do for this search type and region:
+   * observed samples first, then the NetworkAnalytics baseline, then priors
+   */
+  providerOutlook(provider, { searchType, region } = {}) {
+    const stats = routingStatsService.get(provider, searchType, region);
+    const baseline = routingStatsService.baselineFor(provider);
+    const outlook = {
+      provider,
+      source: 'prior',
+      samples: 0,
+      p95LatencyMs: routingConfig.LATENCY_PRIORS_MS[provider] || 3000,
+      errorRate: routingConfig.ERROR_RATE_PRIOR,
+      completeness: stats ? stats.avgCompleteness : null,
+      completenessSamples: stats ? stats.completenessSamples : 0,
+      costFactor: 1,
+      costSource: 'prior'
+    };
+
+    if (stats && stats.p95LatencyMs !== null) {
+      Object.assign(outlook, {
+        source: `observed:${stats.level}`,
+        samples: stats.samples,
+        p95LatencyMs: stats.p95LatencyMs,
+        errorRate: stats.errorRate
+      });
+    } else if (baseline) {
+      Object.assign(outlook, {
+        source: 'network_analytics',
+        samples: baseline.requests,
+        p95LatencyMs: baseline.p95LatencyMs,
+        errorRate: baseline.errorRate
+      });
     }
 
-    return {
-      strategy,
-      estimatedCost,
-      qualityScore,
-      reasoning,
-      alternatives: this.getAlternatives(costAnalysis, qualityAnalysis),
-      confidence: searchAnalysis.confidence,
-      searchAnalysis,
-      costAnalysis,
-      qualityAnalysis
+    // Scale the static estimate by what calls have actually been costing
+    const priorCallCost = this.costs[provider]?.search;
+    if (baseline?.avgCostUsd && priorCallCost) {
+      const [low, high] = routingConfig.COST_FACTOR_RANGE;
+      outlook.costFactor = Math.round(Math.min(high, Math.max(low, baseline.avgCostUsd / priorCallCost)) * 100) / 100;
+      outlook.costSource = 'network_analytics';
+    }
+
+    return outlook;
+  }
+
+  /**
+   * 📊 Expected cost, p95 latency, success rate and quality of each strategy
+   */
+  evaluateStrategies(searchAnalysis, costAnalysis, qualityAnalysis, context = {}) {
+    const priors = {
+      zillow_primary: qualityAnalysis.zillowQualityScore,
+      corelogic_primary: qualityAnalysis.corelogicQualityScore,
+      parallel: searchAnalysis.searchType === 'specific_address'
+        ? 9 // High quality for parallel approach
+        : Math.max(qualityAnalysis.zillowQualityScore, qualityAnalysis.corelogicQualityScore)
     };
+
+    return Object.entries(priors).map(([strategy, priorQuality]) => {
+      const breakdown = costAnalysis.breakdown[strategy];
+      const providers = Object.keys(breakdown);
+      const outlooks = providers.map(provider => this.providerOutlook(provider, context));
+
+      const estimatedCost = outlooks.reduce((sum, outlook) => sum + breakdown[outlook.provider] * outlook.costFactor, 0);
+      // Providers run side by side, so the slowest one sets the pace
+      const expectedLatencyMs = Math.max(...outlooks.map(outlook => outlook.p95LatencyMs));
+      // The strategy only fails outright if every provider fails
+      const successRate = 1 - outlooks.reduce((product, outlook) => product * outlook.errorRate, 1);
+
+      let completeness = null;
+      let weight = 0;
+      if (outlooks.every(outlook => outlook.completeness !== null)) {
+        completeness = 1 - outlooks.reduce((product, outlook) => product * (1 - outlook.completeness), 1);
+        const samples = Math.min(...outlooks.map(outlook => outlook.completenessSamples));
+        weight = Math.min(1, samples / routingConfig.FULL_CONFIDENCE_SAMPLES);
+      }
+      const qualityScore = ((1 - weight) * priorQuality + weight * 10 * (completeness || 0)) * successRate;
+
+      return {
+        strategy,
+        providers,
+        estimatedCost: Math.round(estimatedCost * 10000) / 10000,
+        expectedLatencyMs: Math.round(expectedLatencyMs),
+        successRate: Math.round(successRate * 1000) / 1000,
+        completeness: completeness === null ? null : Math.round(completeness * 1000) / 1000,
+        priorQuality: Math.round(priorQuality * 100) / 100,
+        observedWeight: Math.round(weight * 100) / 100,
+        qualityScore: Math.round(qualityScore * 100) / 100,
+        providerOutlooks: outlooks
+      };
+    });
   }
 
   /**
    * 🔧 Get alternative routing strategies
    */
-  getAlternatives(costAnalysis, qualityAnalysis) {
-    return [
-      {
-        strategy: 'zillow_primary',
-        cost: costAnalysis.zillowCost,
-        quality: qualityAnalysis.zillowQualityScore,
-        speed: 'fast',
-        description: 'Zillow-first with fast results and good coverage'
-      },
-      {
-        strategy: 'corelogic_primary',
-        cost: costAnalysis.corelogicCost,
-        quality: qualityAnalysis.corelogicQualityScore,
-        speed: 'medium',
-        description: 'CoreLogic-first with detailed property intelligence'
-      },
-      {
-        strategy: 'parallel',
-        cost: costAnalysis.parallelCost,
-        quality: Math.max(qualityAnalysis.zillowQualityScore, qualityAnalysis.corelogicQualityScore),
-        speed: 'fast',
-        description: 'Parallel execution for maximum speed and data coverage'
+  getAlternatives(candidates) {
+    const descriptions = {
+      zillow_primary: 'Zillow-first with fast results and good coverage',
+      corelogic_primary: 'CoreLogic-first with detailed property intelligence',
+      parallel: 'Parallel execution for maximum speed and data coverage'
+    };
+
+    return candidates.map(candidate => ({
+      strategy: candidate.strategy,
+      cost: candidate.estimatedCost,
+      quality: candidate.qualityScore,
+      expectedLatencyMs: candidate.expectedLatencyMs,
+      feasible: candidate.feasible,
+      description: descriptions[candidate.strategy]
+    }));
+  }
+
+  /**
+   * 🔀 Parallel strategy: fetch one property from several providers at once
+   * and merge the records field by field (see propertyMergeService)
+   * @param {Object} ref - { address: { line1, city, state, zip }, location, ids }
+   * @param {Object} options - { providers, includeValuation, includeImages, persist, trust,
+   *   searchType, region } where searchType/region file each provider's outcome
+   *   in routingStatsService (region defaults to the address state)
+   * @returns {Promise<Object>} { record, conflicts, quality, providers }
+   */
+  async fetchParallel(ref, options = {}) {
+    const {
+      providers = ['zillow', 'corelogic', 'attom'],
+      includeValuation = false,
+      includeImages = false,
+      persist = true,
+      trust,
+      searchType = 'specific_address',
+      region = routingStatsService.regionOf({ state: ref.address?.state })
+    } = options;
+
+    // The offline fixture adapter stands in for every provider
+    const adapters = propertyProviders.active('detail')
+      .filter(adapter => adapter.offline || providers.includes(adapter.name));
+    const outcomes = {};
+    const records = [];
+
+    await Promise.all(adapters.map(async (adapter) => {
+      const startTime = performance.now();
+      try {
+        let found;
+        if (adapter.offline) {
+          found = adapter.find(ref).filter(record => record.sources.some(source => providers.includes(source)));
+        } else {
+          const detail = await adapter.getDetail(ref);
+          found = [detail];
+          if (detail && includeImages && adapter.supports('images')) {
+            addImages(detail, await adapter.getImages(detail), { provider: adapter.name, fetchedAt: new Date().toISOString() });
+          }
+          if (includeValuation && adapter.supports('valuation')) {
+            found.push(await adapter.getValuation(ref));
+          }
+        }
+        found = found.filter(Boolean);
+        records.push(...found);
+        outcomes[adapter.name] = {
+          ok: true,
+          found: found.length > 0,
+          latencyMs: Math.round(performance.now() - startTime),
+          completeness: routingStatsService.completenessOf(found)
+        };
+      } catch (error) {
+        console.warn(`⚠️ ${adapter.displayName} failed in parallel fetch:`, error.message);
+        outcomes[adapter.name] = {
+          ok: false,
+          error: error.message,
+          unsupported: Boolean(error.unsupported),
+          latencyMs: Math.round(performance.now() - startTime)
+        };
       }
-    ];
+
+      // Fixtures and unsupported operations say nothing about the provider
+      if (!adapter.offline && !outcomes[adapter.name].unsupported) {
+        routingStatsService.record({ provider: adapter.name, searchType, region, ...outcomes[adapter.name] });
+      }
+    }));
+
+    if (records.length === 0) {
+      return { record: null, conflicts: [], quality: null, providers: outcomes };
+    }
+
+    const result = propertyMergeService.merge(records, { trust });
+    if (result.conflicts.length > 0) {
+      console.log(`⚠️ ${result.conflicts.length} provider conflict(s): ${result.conflicts.map(c => c.field).join(', ')}`);
+    }
+
+    if (persist) {
+      // Don't hold the response for the cache write
+      propertyMergeService.saveToCache(result).catch(error => {
+        console.warn('⚠️ Failed to store merged property details:', error.message);
+      });
+    }
+
+    return { ...result, providers: outcomes };
+  }
+
+  /**
+   * 📝 Feed the outcome of a provider call made for a routing decision back
+   * into the rolling stats
+   * @param {Object} routingDecision - Result of determineOptimalRoute()
+   * @param {string} provider - zillow | corelogic | attom
+   * @param {Object} outcome - { latencyMs, ok, completeness (0-1) }
+   */
+  recordOutcome(routingDecision, provider, outcome) {
+    const trace = routingDecision?.trace || {};
+    routingStatsService.record({
+      provider,
+      searchType: trace.searchType || routingDecision?.searchAnalysis?.searchType,
+      region: trace.region,
+      ...outcome
+    });
   }
 
   /**
@@ -451,11 +687,13 @@ class DataSourceRouter {
   getDefaultRoute(searchRequest) {
     return {
       strategy: 'zillow_primary',
+      providers: ['zillow'],
       estimatedCost: this.costs.zillow.search,
       qualityScore: 7,
       reasoning: ['Default safe route due to decision error'],
       confidence: 0.5,
-      isDefault: true
+      isDefault: true,
+      trace: null
     };
   }
 
@@ -484,7 +722,8 @@ class DataSourceRouter {
       performance: {
         avgDecisionTime: parseFloat(this.routingStats.avgDecisionTime.toFixed(2)),
         estimatedCostSavings: parseFloat(this.routingStats.costSavings.toFixed(2))
-      }
+      },
+      learning: routingStatsService.snapshot()
     };
   }
 
@@ -37,7 +37,8 @@ const FXCTRatesSchema = new mongoose.Schema({
     appliedFloor: Boolean, // Whether minimum floor was applied
     strictMode: Boolean, // Whether strict mode was active
     priceDataPoints: Number, // Number of price data points used
-    priceStale: Boolean // Whether price data was stale
+    priceStale: Boolean, // Whether price data was stale
+    costCatalogVersion: String // Provider cost catalog version the USD cost came from
   }
 }, {
   timestamps: true
@@ -89,10 +90,10 @@ class FXCTRatesService {
    * Apply minimum floor for data type
    * @param {number} roundedRate - Rounded FXCT rate
    * @param {string} dataType - Data type (BASIC, STANDARD, etc.)
+   * @param {Object} floors - Floors to apply (defaults to the effective floors)
    * @returns {number} Rate with floor applied
    */
-  applyMinimumFloor(roundedRate, dataType) {
-    const floors = getEffectiveFloors();
+  applyMinimumFloor(roundedRate, dataType, floors = getEffectiveFloors()) {
     const minFloor = floors[dataType];
     
     if (!minFloor) {
@@ -129,6 +130,7 @@ class FXCTRatesService {
       
       // Get current costs for all data types
       const allCosts = await costTableService.getAllDataTypeCosts();
+      const { version: costCatalogVersion } = await costTableService.loadCosts();
       
       // Get effective margin and floors
       const targetMargin = getEffectiveMargin();
@@ -170,7 +172,8 @@ class FXCTRatesService {
               appliedFloor: floorApplied,
               strictMode: process.env.PRICING_STRICT_MODE === 'true',
               priceDataPoints: priceData.dataPoints,
-              priceStale: priceData.isStale
+              priceStale: priceData.isStale,
+              costCatalogVersion
             }
           },
           {
@@ -5,8 +5,12 @@
  * Prevents wasted API costs on invalid addresses
  */
 
-const fetch = require("node-fetch");
-const { getAsync, setAsync } = require("../utils/redisClient");
+const nodeFetch = require("node-fetch");
+const cacheService = require("./cacheService");
+const providerResilience = require("./providerResilience");
+
+// Breaker, bulkhead, timeout and retries from the 'googlemaps' resilience policy
+const fetch = providerResilience.wrapFetch("googlemaps", nodeFetch);
 
 class GoogleAddressVerificationService {
   constructor() {
@@ -31,17 +35,13 @@ class GoogleAddressVerificationService {
       };
     }
 
-    const cacheKey = `google_address_verify:${address.toLowerCase().replace(/\s+/g, '_')}`;
+    const cacheKey = address.toLowerCase().replace(/\s+/g, '_');
     
     // Check cache first (addresses don't change often - 7 day cache)
-    const cached = await getAsync(cacheKey);
-    if (cached) {
+    const cached = await cacheService.get('google_address', cacheKey);
+    if (cached.hit) {
       console.log('💾 Google address verification served from cache');
-      try {
-        return JSON.parse(cached);
-      } catch (error) {
-        console.warn('⚠️ Failed to parse cached Google verification, fetching fresh');
-      }
+      return cached.data;
     }
 
     try {
@@ -63,7 +63,9 @@ class GoogleAddressVerificationService {
         const verification = this.parseGoogleResult(result, address);
         
         // Cache successful verification for 7 days
-        await setAsync(cacheKey, JSON.stringify(verification), 7 * 24 * 60 * 60);
+        await cacheService.set('google_address', cacheKey, verification, {
+          tags: [cacheService.addressTag(verification.normalizedAddress)]
+        });
         
         console.log('✅ Address verified by Google:', verification.normalizedAddress);
         return verification;
@@ -79,7 +81,7 @@ class GoogleAddressVerificationService {
         };
 
         // Cache failed verification for 1 hour (addresses might be corrected)
-        await setAsync(cacheKey, JSON.stringify(verification), 60 * 60);
+        await cacheService.set('google_address', cacheKey, verification, { ttlSeconds: 60 * 60 });
         
         console.log('❌ Address verification failed:', verification.error);
         return verification;
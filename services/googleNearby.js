@@ -1,29 +1,32 @@
 // services/googleNearby.js
-const axios = require("axios");
-const { getAsync, setAsync } = require("../utils/redisClient");
+const cacheService = require("./cacheService");
+const providerResilience = require("./providerResilience");
 
 const GOOGLE_API_KEY = process.env.GOOGLE_MAPS_KEY;
 const PLACE_TYPES = ["gym", "restaurant", "grocery_or_supermarket", "park"];
 
+const googleClient = providerResilience.createClient("googlemaps");
+
 async function getNearbyAmenities(lat, lng, radius = 1600) {
   // 📍 Create location-based cache key (round to 3 decimals for nearby locations)
   const roundedLat = Math.round(lat * 1000) / 1000;
   const roundedLng = Math.round(lng * 1000) / 1000;
-  const cacheKey = `google:amenities:${roundedLat}:${roundedLng}:${radius}`;
+  const cacheKey = `${roundedLat}:${roundedLng}:${radius}`;
   
   // 📥 Check cache first - amenities don't change often!
-  const cached = await getAsync(cacheKey);
-  if (cached) {
+  const cached = await cacheService.get("google_nearby", cacheKey);
+  if (cached.hit) {
     console.log(`📥 Cache hit for Google amenities: ${roundedLat},${roundedLng}`);
-    return JSON.parse(cached);
+    return cached.data;
   }
 
   const baseUrl = "https://maps.googleapis.com/maps/api/place/nearbysearch/json";
   const results = {};
+  let failures = 0;
 
   for (const type of PLACE_TYPES) {
     try {
-      const { data } = await axios.get(baseUrl, {
+      const { data } = await googleClient.get(baseUrl, {
         params: {
           location: `${lat},${lng}`,
           radius,
@@ -40,11 +43,17 @@ async function getNearbyAmenities(lat, lng, radius = 1600) {
     } catch (err) {
       console.error(`❌ Google Nearby failed for type '${type}':`, err.message);
       results[type] = [];
+      failures++;
     }
   }
 
+  // Don't keep an outage's empty answer for a day
+  if (failures === PLACE_TYPES.length) {
+    return results;
+  }
+
   // 💾 Cache for 24 hours - amenities don't change frequently
-  await setAsync(cacheKey, results, 86400);
+  await cacheService.set("google_nearby", cacheKey, results);
   console.log(`📝 Cached Google amenities for: ${roundedLat},${roundedLng}`);
 
   return results;
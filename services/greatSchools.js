@@ -1,24 +1,26 @@
-const axios = require("axios");
-const { getAsync, setAsync } = require("../utils/redisClient");
+const cacheService = require("./cacheService");
+const providerResilience = require("./providerResilience");
 
 const GREAT_SCHOOLS_API_KEY = process.env.GREAT_SCHOOLS_KEY;
 const BASE_URL = "https://api.greatschools.org/schools/nearby";
 
+const greatSchoolsClient = providerResilience.createClient("greatschools");
+
 async function getSchoolScores(lat, lng, radius = 5) {
   // 🏫 Create location-based cache key for schools (round to 2 decimals for wider coverage)
   const roundedLat = Math.round(lat * 100) / 100;
   const roundedLng = Math.round(lng * 100) / 100;
-  const cacheKey = `schools:${roundedLat}:${roundedLng}:${radius}`;
+  const cacheKey = `${roundedLat}:${roundedLng}:${radius}`;
   
   // 📥 Check cache first - school data changes very rarely!
-  const cached = await getAsync(cacheKey);
-  if (cached) {
+  const cached = await cacheService.get("schools", cacheKey);
+  if (cached.hit) {
     console.log(`📥 Cache hit for school data: ${roundedLat},${roundedLng}`);
-    return JSON.parse(cached);
+    return cached.data;
   }
 
   try {
-    const { data } = await axios.get(BASE_URL, {
+    const { data } = await greatSchoolsClient.get(BASE_URL, {
       params: {
         key: GREAT_SCHOOLS_API_KEY,
         lat,
@@ -38,7 +40,7 @@ async function getSchoolScores(lat, lng, radius = 5) {
     })) || [];
     
     // 💾 Cache for 7 days - school data changes very rarely
-    await setAsync(cacheKey, schools, 604800);
+    await cacheService.set("schools", cacheKey, schools);
     console.log(`📝 Cached school data for: ${roundedLat},${roundedLng}`);
     
     return schools;
@@ -1,11 +1,12 @@
-const axios = require('axios');
 const SupportTicket = require('../models/SupportTicket');
+const providerResilience = require('./providerResilience');
 
 class HelpScoutService {
   constructor() {
     this.apiKey = process.env.HELPSCOUT_API_KEY;
     this.mailboxId = process.env.HELPSCOUT_MAILBOX_ID;
     this.baseUrl = 'https://api.helpscout.net/v2';
+    this.client = providerResilience.createClient('helpscout');
     this.connected = false;
     this.lastSync = null;
     
@@ -49,14 +50,14 @@ class HelpScoutService {
         config.data = data;
       }
 
-      const response = await axios(config);
+      const response = await this.client.request(config);
       return { success: true, data: response.data };
     } catch (error) {
       console.error(`Help Scout API Error (${method} ${endpoint}):`, error.response?.data || error.message);
       return { 
         success: false, 
         error: error.response?.data || error.message,
-        status: error.response?.status
+        status: error.response?.status || error.status
       };
     }
   }
@@ -0,0 +1,385 @@
+/**
+ * Holdings Service - Fractional share ownership ledger
+ *
+ * Features:
+ * - Share issuance against a property's total supply
+ * - Holder-to-holder transfers with balance and supply validation
+ * - Average-cost basis carried on each holding
+ * - Append-only ShareTransaction history with idempotency keys
+ * - Share locks so shares escrowed by sell orders can't be moved elsewhere
+ * - Holdings views for users and admins
+ */
+
+const mongoose = require('mongoose');
+const { Decimal128 } = require('mongodb');
+const Property = require('../models/Property');
+const PropertyHolding = require('../models/PropertyHolding');
+const ShareTransaction = require('../models/ShareTransaction');
+const { DistributionPayout } = require('../models/IncomeDistribution');
+
+class HoldingsService {
+  constructor() {
+    this.metrics = {
+      issuances: 0,
+      transfers: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Allocate newly issued shares of a property to a user
+   * @param {Object} request - { propertyId, userId, shares, pricePerShareFxct, ref, idempotencyKey, performedBy, notes, meta }
+   * @param {Object} options - { session } to join an outer transaction
+   * @returns {Promise<Object>} Holding and share transaction
+   */
+  async issueShares(request, options = {}) {
+    const { propertyId, userId, shares, pricePerShareFxct = 0, ref, idempotencyKey, performedBy, notes, meta = {} } = request;
+
+    if (!Number.isInteger(shares) || shares <= 0) {
+      throw new Error('Shares must be a positive integer');
+    }
+
+    if (idempotencyKey) {
+      const existingTx = await ShareTransaction.findOne({ idempotencyKey });
+      if (existingTx) {
+        console.log(`ℹ️ Duplicate share issuance detected: ${idempotencyKey}`);
+        const holding = await PropertyHolding.findOne({ propertyId, userId });
+        return {
+          success: true,
+          transaction: existingTx.toObject(),
+          holding: holding ? holding.toObject() : null
+        };
+      }
+    }
+
+    return this.runInTransaction(options.session, async (session) => {
+      const property = await Property.findById(propertyId).session(session);
+      if (!property) {
+        throw new Error(`Property ${propertyId} not found`);
+      }
+      if (!property.isFractional) {
+        throw new Error(`Property ${propertyId} is not a fractional property`);
+      }
+
+      // Reserve supply atomically so concurrent issuances can't oversubscribe
+      const updated = await Property.findOneAndUpdate(
+        {
+          _id: propertyId,
+          $expr: {
+            $lte: [{ $add: [{ $ifNull: ['$tokenization.sharesIssued', 0] }, shares] }, '$tokenization.totalSupply']
+          }
+        },
+        { $inc: { 'tokenization.sharesIssued': shares } },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        const available = (property.tokenization?.totalSupply || 0) - (property.tokenization?.sharesIssued || 0);
+        throw new Error(`Insufficient supply: requested ${shares} shares, ${available} available`);
+      }
+
+      const cost = shares * pricePerShareFxct;
+      const holding = await this.addToHolding(propertyId, userId, shares, cost, session);
+
+      const [transaction] = await ShareTransaction.create([{
+        propertyId,
+        type: 'issuance',
+        toUserId: userId,
+        shares,
+        pricePerShareFxct: new Decimal128(pricePerShareFxct.toString()),
+        ref,
+        idempotencyKey,
+        performedBy,
+        notes,
+        meta
+      }], { session });
+
+      this.metrics.issuances++;
+      console.log(`🏠 Issued ${shares} shares of property ${propertyId} to user ${userId}`);
+
+      return {
+        success: true,
+        transaction: transaction.toObject(),
+        holding: holding.toObject(),
+        supply: {
+          totalSupply: updated.tokenization.totalSupply,
+          sharesIssued: updated.tokenization.sharesIssued,
+          available: updated.tokenization.totalSupply - updated.tokenization.sharesIssued
+        }
+      };
+    });
+  }
+
+  /**
+   * Move shares from one holder to another
+   * @param {Object} request - { propertyId, fromUserId, toUserId, shares, pricePerShareFxct, ref, idempotencyKey, performedBy, notes, meta }
+   * @param {Object} options - { session } to join an outer transaction
+   * @returns {Promise<Object>} Both holdings and the share transaction
+   */
+  async transferShares(request, options = {}) {
+    const { propertyId, fromUserId, toUserId, shares, pricePerShareFxct = 0, ref, idempotencyKey, performedBy, notes, meta = {} } = request;
+
+    if (!Number.isInteger(shares) || shares <= 0) {
+      throw new Error('Shares must be a positive integer');
+    }
+    if (String(fromUserId) === String(toUserId)) {
+      throw new Error('Cannot transfer shares to the same holder');
+    }
+
+    if (idempotencyKey) {
+      const existingTx = await ShareTransaction.findOne({ idempotencyKey });
+      if (existingTx) {
+        console.log(`ℹ️ Duplicate share transfer detected: ${idempotencyKey}`);
+        return { success: true, transaction: existingTx.toObject() };
+      }
+    }
+
+    return this.runInTransaction(options.session, async (session) => {
+      const property = await Property.findById(propertyId).session(session);
+      if (!property) {
+        throw new Error(`Property ${propertyId} not found`);
+      }
+
+      const sender = await PropertyHolding.findOne({ propertyId, userId: fromUserId }).session(session);
+      const transferable = (sender?.shares || 0) - (sender?.lockedShares || 0);
+      if (transferable < shares) {
+        throw new Error(`Insufficient shares: need ${shares}, have ${transferable} unlocked`);
+      }
+
+      // Sender keeps average cost; the moved shares take their proportional basis with them
+      const basisMoved = sender.costBasisFxct * (shares / sender.shares);
+      sender.shares -= shares;
+      sender.costBasisFxct = new Decimal128((sender.shares === 0 ? 0 : sender.costBasisFxct - basisMoved).toFixed(8));
+      await sender.save({ session });
+
+      // A priced transfer is a purchase for the receiver; an unpriced one inherits the sender's basis
+      const receiverCost = pricePerShareFxct > 0 ? shares * pricePerShareFxct : basisMoved;
+      const receiver = await this.addToHolding(propertyId, toUserId, shares, receiverCost, session);
+
+      // Transfers never change supply, but guard against a corrupted ledger
+      const outstanding = await PropertyHolding.aggregate([
+        { $match: { propertyId: property._id } },
+        { $group: { _id: null, total: { $sum: '$shares' } } }
+      ]).session(session);
+      const totalSupply = property.tokenization?.totalSupply || 0;
+      if ((outstanding[0]?.total || 0) > totalSupply) {
+        throw new Error(`Outstanding shares would exceed total supply of ${totalSupply}`);
+      }
+
+      const [transaction] = await ShareTransaction.create([{
+        propertyId,
+        type: 'transfer',
+        fromUserId,
+        toUserId,
+        shares,
+        pricePerShareFxct: new Decimal128(pricePerShareFxct.toString()),
+        costBasisTransferredFxct: new Decimal128(basisMoved.toFixed(8)),
+        ref,
+        idempotencyKey,
+        performedBy,
+        notes,
+        meta
+      }], { session });
+
+      this.metrics.transfers++;
+      console.log(`🔁 Transferred ${shares} shares of property ${propertyId} from ${fromUserId} to ${toUserId}`);
+
+      return {
+        success: true,
+        transaction: transaction.toObject(),
+        from: sender.toObject(),
+        to: receiver.toObject()
+      };
+    });
+  }
+
+  /**
+   * Escrow shares so they can only leave the holding through unlockShares
+   * @param {Object} request - { propertyId, userId, shares }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Updated holding
+   */
+  async lockShares({ propertyId, userId, shares }, options = {}) {
+    const holding = await PropertyHolding.findOneAndUpdate(
+      {
+        propertyId,
+        userId,
+        $expr: { $gte: [{ $subtract: ['$shares', { $ifNull: ['$lockedShares', 0] }] }, shares] }
+      },
+      { $inc: { lockedShares: shares } },
+      { new: true, session: options.session }
+    );
+
+    if (!holding) {
+      throw new Error(`Insufficient unlocked shares to lock ${shares}`);
+    }
+    return holding.toObject();
+  }
+
+  /**
+   * Release previously escrowed shares
+   * @param {Object} request - { propertyId, userId, shares }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Updated holding
+   */
+  async unlockShares({ propertyId, userId, shares }, options = {}) {
+    const holding = await PropertyHolding.findOneAndUpdate(
+      { propertyId, userId, lockedShares: { $gte: shares } },
+      { $inc: { lockedShares: -shares } },
+      { new: true, session: options.session }
+    );
+
+    if (!holding) {
+      throw new Error(`Cannot unlock ${shares} shares - not locked`);
+    }
+    return holding.toObject();
+  }
+
+  /**
+   * Every property a user holds shares in, with valuation and income received
+   * @param {string} userId - Holder
+   * @returns {Promise<Object>} Holdings and totals
+   */
+  async getUserHoldings(userId) {
+    const holdings = await PropertyHolding.find({ userId, shares: { $gt: 0 } })
+      .populate('propertyId', 'title address city state price propertyType tokenization imgSrc status');
+
+    const income = await DistributionPayout.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), status: 'paid' } },
+      { $group: { _id: '$propertyId', totalFxct: { $sum: { $toDouble: '$amountFxct' } }, totalUsd: { $sum: '$amountUsd' }, count: { $sum: 1 } } }
+    ]);
+    const incomeByProperty = new Map(income.map(i => [i._id.toString(), i]));
+
+    const positions = holdings.map(holding => {
+      const property = holding.propertyId;
+      const totalSupply = property?.tokenization?.totalSupply || 0;
+      const sharePriceUsd = totalSupply > 0 && property?.price ? property.price / totalSupply : null;
+      const propertyIncome = incomeByProperty.get(property?._id?.toString()) || {};
+
+      return {
+        propertyId: property?._id,
+        title: property?.title || property?.address?.oneLine || null,
+        location: [property?.address?.city || property?.city, property?.address?.state || property?.state].filter(Boolean).join(', '),
+        propertyType: property?.propertyType || null,
+        imgSrc: property?.imgSrc || null,
+        shares: holding.shares,
+        lockedShares: holding.lockedShares || 0,
+        ownershipPercent: totalSupply > 0 ? (holding.shares / totalSupply) * 100 : 0,
+        costBasisFxct: holding.costBasisFxct,
+        sharePriceUsd,
+        marketValueUsd: sharePriceUsd !== null ? Math.round(sharePriceUsd * holding.shares * 100) / 100 : null,
+        incomeReceivedFxct: propertyIncome.totalFxct || 0,
+        incomeReceivedUsd: propertyIncome.totalUsd || 0,
+        distributionsReceived: propertyIncome.count || 0,
+        firstAcquiredAt: holding.firstAcquiredAt
+      };
+    });
+
+    return {
+      userId,
+      positions,
+      totals: {
+        properties: positions.length,
+        shares: positions.reduce((sum, p) => sum + p.shares, 0),
+        costBasisFxct: positions.reduce((sum, p) => sum + p.costBasisFxct, 0),
+        marketValueUsd: Math.round(positions.reduce((sum, p) => sum + (p.marketValueUsd || 0), 0) * 100) / 100,
+        incomeReceivedFxct: positions.reduce((sum, p) => sum + p.incomeReceivedFxct, 0),
+        incomeReceivedUsd: Math.round(positions.reduce((sum, p) => sum + p.incomeReceivedUsd, 0) * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * Share movement history filtered by property and/or user
+   * @param {Object} filters - { propertyId, userId, type }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Transactions with pagination
+   */
+  async getHistory(filters = {}, options = {}) {
+    const { propertyId, userId, type } = filters;
+    const { page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (propertyId) query.propertyId = propertyId;
+    if (type) query.type = type;
+    if (userId) query.$or = [{ fromUserId: userId }, { toUserId: userId }];
+
+    const skip = (page - 1) * limit;
+
+    const [transactions, total] = await Promise.all([
+      ShareTransaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('propertyId', 'title address')
+        .populate('fromUserId toUserId', 'firstName lastName email'),
+      ShareTransaction.countDocuments(query)
+    ]);
+
+    return {
+      transactions: transactions.map(t => t.toObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: skip + transactions.length < total
+      }
+    };
+  }
+
+  /**
+   * Increase a holding, creating it on first acquisition
+   */
+  async addToHolding(propertyId, userId, shares, costFxct, session) {
+    let holding = await PropertyHolding.findOne({ propertyId, userId }).session(session);
+
+    if (!holding) {
+      holding = new PropertyHolding({ propertyId, userId, shares: 0, firstAcquiredAt: new Date() });
+    } else if (holding.shares === 0) {
+      holding.firstAcquiredAt = new Date();
+    }
+
+    holding.shares += shares;
+    holding.costBasisFxct = new Decimal128((holding.costBasisFxct + costFxct).toFixed(8));
+    await holding.save({ session });
+
+    return holding;
+  }
+
+  /**
+   * Run work inside the caller's transaction, or a new one if none was given
+   */
+  async runInTransaction(outerSession, work) {
+    if (outerSession) {
+      return work(outerSession);
+    }
+
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        result = await work(session);
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' }
+      });
+      return result;
+    } catch (error) {
+      this.metrics.errors++;
+      console.error('❌ Holdings operation failed:', error.message);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Export singleton instance
+const holdingsService = new HoldingsService();
+module.exports = holdingsService;
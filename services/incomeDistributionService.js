@@ -0,0 +1,448 @@
+/**
+ * Income Distribution Service - Rental income payouts to fractional holders
+ *
+ * Features:
+ * - Pro-rata payout calculation from the PropertyHolding cap table
+ * - Distribution and its payout snapshot written in one transaction
+ * - Management fee and expenses withheld before distribution
+ * - USD income converted to FXCT at the 7-day average price
+ * - Holders credited through walletService.credit with per-payout idempotency keys
+ * - Retryable execution: only unpaid payouts are attempted again, and a run
+ *   interrupted mid-way is resumed once its claim goes stale
+ * - Per-investor statements across distributions
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Decimal128 } = require('mongodb');
+const Property = require('../models/Property');
+const PropertyHolding = require('../models/PropertyHolding');
+const { IncomeDistribution, DistributionPayout } = require('../models/IncomeDistribution');
+const walletService = require('./walletService');
+const { priceFeedService } = require('./priceFeedService');
+
+// Payouts are floored to this many FXCT decimals; the remainder stays undistributed
+const FXCT_DECIMALS = 6;
+const FXCT_UNIT = 10 ** FXCT_DECIMALS;
+
+// A processing run that hasn't made a payout for this long is treated as dead
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+class IncomeDistributionService {
+  constructor() {
+    this.metrics = {
+      distributionsCalculated: 0,
+      payoutsPaid: 0,
+      payoutsFailed: 0
+    };
+  }
+
+  /**
+   * Calculate a distribution and snapshot each holder's payout
+   * @param {Object} request - { propertyId, grossIncomeUsd, expensesUsd, managementFeeRate, fxctUsdPrice, period, notes, initiatedBy }
+   * @returns {Promise<Object>} Distribution and payouts
+   */
+  async calculateDistribution(request) {
+    const {
+      propertyId,
+      grossIncomeUsd,
+      expensesUsd = 0,
+      period = {},
+      notes,
+      initiatedBy
+    } = request;
+
+    if (!(grossIncomeUsd > 0)) {
+      throw new Error('Gross income must be positive');
+    }
+    if (expensesUsd < 0 || expensesUsd >= grossIncomeUsd) {
+      throw new Error('Expenses must be non-negative and less than gross income');
+    }
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      throw new Error(`Property ${propertyId} not found`);
+    }
+    if (!property.isFractional) {
+      throw new Error(`Property ${propertyId} is not a fractional property`);
+    }
+
+    const managementFeeRate = request.managementFeeRate ?? property.tokenization?.managementFeeRate ?? 0.08;
+    if (managementFeeRate < 0 || managementFeeRate >= 1) {
+      throw new Error('Management fee rate must be between 0 and 1');
+    }
+
+    const capTable = await PropertyHolding.getCapTable(propertyId);
+    if (capTable.sharesOutstanding <= 0) {
+      throw new Error(`Property ${propertyId} has no shares outstanding`);
+    }
+
+    const fxctUsdPrice = request.fxctUsdPrice || (await priceFeedService.getSevenDayAverage()).price;
+    if (!(fxctUsdPrice > 0)) {
+      throw new Error('Invalid FXCT price - cannot convert distribution');
+    }
+
+    // Fee is charged on income after operating expenses
+    const netOperatingIncome = grossIncomeUsd - expensesUsd;
+    const managementFeeUsd = this.roundUsd(netOperatingIncome * managementFeeRate);
+    const netDistributableUsd = this.roundUsd(netOperatingIncome - managementFeeUsd);
+
+    const totalUnits = BigInt(Math.floor((netDistributableUsd / fxctUsdPrice) * FXCT_UNIT));
+    const outstanding = BigInt(capTable.sharesOutstanding);
+
+    const distributionId = `dist_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    let paidUnits = 0n;
+
+    const payouts = capTable.holders.map(holder => {
+      const units = (totalUnits * BigInt(holder.shares)) / outstanding;
+      paidUnits += units;
+      const amountFxct = this.unitsToFxct(units);
+
+      return {
+        distributionId,
+        propertyId,
+        userId: holder.userId,
+        shares: holder.shares,
+        ownershipPercent: holder.ownershipPercent,
+        amountFxct: new Decimal128(amountFxct),
+        amountUsd: this.roundUsd(parseFloat(amountFxct) * fxctUsdPrice),
+        idempotencyKey: `${distributionId}_${holder.userId}`
+      };
+    });
+
+    const distributionDoc = {
+      distributionId,
+      propertyId,
+      period: {
+        start: period.start ? new Date(period.start) : undefined,
+        end: period.end ? new Date(period.end) : undefined
+      },
+      grossIncomeUsd,
+      expensesUsd,
+      managementFeeRate,
+      managementFeeUsd,
+      netDistributableUsd,
+      fxctUsdPrice,
+      netDistributableFxct: new Decimal128(this.unitsToFxct(totalUnits)),
+      perShareFxct: new Decimal128(this.unitsToFxct(totalUnits / outstanding)),
+      undistributedFxct: new Decimal128(this.unitsToFxct(totalUnits - paidUnits)),
+      sharesOutstanding: capTable.sharesOutstanding,
+      holderCount: payouts.length,
+      notes,
+      initiatedBy
+    };
+    // Holders whose share floors to zero are recorded but never credited
+    const payoutDocs = payouts.map(p => (
+      parseFloat(p.amountFxct.toString()) > 0 ? p : { ...p, status: 'cancelled', lastError: 'Payout below minimum unit' }
+    ));
+
+    // A distribution without its full payout snapshot could be executed short, so both land or neither does
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await IncomeDistribution.create([distributionDoc], { session });
+        await DistributionPayout.insertMany(payoutDocs, { session });
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    this.metrics.distributionsCalculated++;
+    console.log(`💸 Calculated distribution ${distributionId} for property ${propertyId}: ${this.unitsToFxct(totalUnits)} FXCT to ${payouts.length} holders`);
+
+    return this.getDistribution(distributionId);
+  }
+
+  /**
+   * Pay every unpaid payout of a distribution
+   * @param {string} distributionId - Distribution to execute
+   * @param {string} executedBy - Admin user ID
+   * @returns {Promise<Object>} Distribution with payout results
+   */
+  async executeDistribution(distributionId, executedBy) {
+    // Claim the run so two admins can't execute it concurrently. A stale claim is
+    // taken over: payouts are keyed per holder, so resuming never pays anyone twice
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_CLAIM_MS);
+    const distribution = await IncomeDistribution.findOneAndUpdate(
+      {
+        distributionId,
+        $or: [
+          { status: { $in: ['calculated', 'partially_failed', 'failed'] } },
+          { status: 'processing', claimedAt: { $lte: staleBefore } },
+          { status: 'processing', claimedAt: { $exists: false }, executedAt: { $lte: staleBefore } }
+        ]
+      },
+      { status: 'processing', executedBy, executedAt: now, claimedAt: now },
+      { new: true }
+    );
+
+    if (!distribution) {
+      const existing = await IncomeDistribution.findOne({ distributionId });
+      if (!existing) {
+        throw new Error(`Distribution ${distributionId} not found`);
+      }
+      throw new Error(`Distribution ${distributionId} cannot be executed from status ${existing.status}`);
+    }
+
+    const payouts = await DistributionPayout.find({
+      distributionId,
+      status: { $in: ['pending', 'failed'] }
+    });
+
+    for (const payout of payouts) {
+      await this.payHolder(distribution, payout, executedBy);
+      await IncomeDistribution.updateOne({ distributionId, status: 'processing' }, { claimedAt: new Date() });
+    }
+
+    return this.finalizeDistribution(distributionId);
+  }
+
+  /**
+   * Resume runs left in processing by a crash or restart
+   * @returns {Promise<number>} Distributions resumed
+   */
+  async resumeStaleDistributions() {
+    const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+    const stale = await IncomeDistribution.find({
+      status: 'processing',
+      $or: [
+        { claimedAt: { $lte: staleBefore } },
+        { claimedAt: { $exists: false }, executedAt: { $lte: staleBefore } }
+      ]
+    }).limit(20);
+
+    let resumed = 0;
+    for (const distribution of stale) {
+      try {
+        console.log(`🔁 Resuming stale distribution ${distribution.distributionId}`);
+        await this.executeDistribution(distribution.distributionId, distribution.executedBy);
+        resumed++;
+      } catch (error) {
+        console.error(`❌ Failed to resume distribution ${distribution.distributionId}:`, error.message);
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Credit one holder's wallet; failures are recorded on the payout, not thrown
+   */
+  async payHolder(distribution, payout, executedBy) {
+    payout.attempts++;
+
+    try {
+      const { wallet } = await walletService.getOrCreateWallet(payout.userId, executedBy);
+      const result = await walletService.credit({
+        walletId: wallet._id.toString(),
+        amount: payout.amountFxct,
+        type: 'credit',
+        ref: distribution.distributionId,
+        meta: {
+          action: 'income_distribution',
+          propertyId: distribution.propertyId.toString(),
+          shares: payout.shares,
+          perShareFxct: distribution.perShareFxct,
+          period: distribution.period
+        },
+        idempotencyKey: payout.idempotencyKey,
+        processedBy: executedBy
+      });
+
+      payout.status = 'paid';
+      payout.walletId = wallet._id;
+      payout.ledgerEntryId = result.transaction._id;
+      payout.paidAt = new Date();
+      payout.lastError = undefined;
+      this.metrics.payoutsPaid++;
+    } catch (error) {
+      payout.status = 'failed';
+      payout.lastError = error.message;
+      this.metrics.payoutsFailed++;
+      console.error(`❌ Payout ${payout.idempotencyKey} failed:`, error.message);
+    }
+
+    await payout.save();
+  }
+
+  /**
+   * Recompute the summary and settle the distribution status from its payouts
+   */
+  async finalizeDistribution(distributionId) {
+    const payouts = await DistributionPayout.find({ distributionId });
+    const payable = payouts.filter(p => p.status !== 'cancelled');
+    const paid = payable.filter(p => p.status === 'paid');
+    const failed = payable.filter(p => p.status === 'failed');
+
+    let status = 'completed';
+    if (failed.length > 0) {
+      status = paid.length > 0 ? 'partially_failed' : 'failed';
+    }
+
+    await IncomeDistribution.updateOne(
+      { distributionId },
+      {
+        status,
+        summary: {
+          paidCount: paid.length,
+          failedCount: failed.length,
+          paidFxct: paid.reduce((sum, p) => sum + p.amountFxct, 0)
+        },
+        ...(status === 'completed' ? { completedAt: new Date() } : {})
+      }
+    );
+
+    console.log(`💸 Distribution ${distributionId} ${status}: ${paid.length} paid, ${failed.length} failed`);
+    return this.getDistribution(distributionId);
+  }
+
+  /**
+   * Cancel a distribution that has not been executed yet
+   */
+  async cancelDistribution(distributionId) {
+    const distribution = await IncomeDistribution.findOneAndUpdate(
+      { distributionId, status: 'calculated' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!distribution) {
+      throw new Error(`Distribution ${distributionId} not found or already executed`);
+    }
+
+    await DistributionPayout.updateMany({ distributionId, status: 'pending' }, { status: 'cancelled' });
+    return this.getDistribution(distributionId);
+  }
+
+  /**
+   * Distribution record with its payouts
+   */
+  async getDistribution(distributionId) {
+    const distribution = await IncomeDistribution.findOne({ distributionId });
+    if (!distribution) {
+      throw new Error(`Distribution ${distributionId} not found`);
+    }
+
+    const payouts = await DistributionPayout.find({ distributionId })
+      .populate('userId', 'firstName lastName email')
+      .sort({ shares: -1 });
+
+    return {
+      distribution: distribution.toObject(),
+      payouts: payouts.map(p => p.toObject())
+    };
+  }
+
+  /**
+   * Distribution history for a property
+   */
+  async listDistributions(propertyId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const [distributions, total] = await Promise.all([
+      IncomeDistribution.find({ propertyId }).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      IncomeDistribution.countDocuments({ propertyId })
+    ]);
+
+    return {
+      distributions: distributions.map(d => d.toObject()),
+      pagination: { page, limit, total, hasMore: skip + distributions.length < total }
+    };
+  }
+
+  /**
+   * Paid distributions for one investor, grouped by property
+   * @param {string} userId - Investor
+   * @param {Object} options - { startDate, endDate, propertyId }
+   * @returns {Promise<Object>} Statement lines and totals
+   */
+  async getInvestorStatement(userId, options = {}) {
+    const { startDate, endDate, propertyId } = options;
+
+    const query = { userId, status: 'paid' };
+    if (propertyId) query.propertyId = propertyId;
+    if (startDate || endDate) {
+      query.paidAt = {};
+      if (startDate) query.paidAt.$gte = new Date(startDate);
+      if (endDate) query.paidAt.$lte = new Date(endDate);
+    }
+
+    const payouts = await DistributionPayout.find(query)
+      .populate('propertyId', 'title address city state')
+      .sort({ paidAt: -1 });
+
+    const distributions = await IncomeDistribution.find({
+      distributionId: { $in: payouts.map(p => p.distributionId) }
+    });
+    const distributionsById = new Map(distributions.map(d => [d.distributionId, d]));
+
+    const byProperty = {};
+    const lines = payouts.map(p => {
+      const distribution = distributionsById.get(p.distributionId);
+      const propertyKey = p.propertyId?._id?.toString() || String(p.propertyId);
+
+      if (!byProperty[propertyKey]) {
+        byProperty[propertyKey] = {
+          propertyId: propertyKey,
+          title: p.propertyId?.title || p.propertyId?.address?.oneLine || null,
+          distributions: 0,
+          totalFxct: 0,
+          totalUsd: 0
+        };
+      }
+      byProperty[propertyKey].distributions++;
+      byProperty[propertyKey].totalFxct += p.amountFxct;
+      byProperty[propertyKey].totalUsd += p.amountUsd;
+
+      return {
+        distributionId: p.distributionId,
+        propertyId: propertyKey,
+        period: distribution?.period,
+        shares: p.shares,
+        ownershipPercent: p.ownershipPercent,
+        perShareFxct: distribution?.perShareFxct,
+        fxctUsdPrice: distribution?.fxctUsdPrice,
+        amountFxct: p.amountFxct,
+        amountUsd: p.amountUsd,
+        paidAt: p.paidAt
+      };
+    });
+
+    return {
+      userId,
+      range: { startDate: startDate || null, endDate: endDate || null },
+      lines,
+      properties: Object.values(byProperty),
+      totals: {
+        distributions: lines.length,
+        totalFxct: lines.reduce((sum, l) => sum + l.amountFxct, 0),
+        totalUsd: this.roundUsd(lines.reduce((sum, l) => sum + l.amountUsd, 0))
+      }
+    };
+  }
+
+  unitsToFxct(units) {
+    const negative = units < 0n;
+    const abs = negative ? -units : units;
+    const whole = abs / BigInt(FXCT_UNIT);
+    const fraction = (abs % BigInt(FXCT_UNIT)).toString().padStart(FXCT_DECIMALS, '0');
+    return `${negative ? '-' : ''}${whole}.${fraction}`;
+  }
+
+  roundUsd(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Export singleton instance
+const incomeDistributionService = new IncomeDistributionService();
+module.exports = incomeDistributionService;
@@ -0,0 +1,278 @@
+/**
+ * Investment Scoring - deterministic, explainable property scores
+ *
+ * Every score is derived only from the property's own numbers, so the same
+ * inputs always produce the same result. Each component maps one metric onto
+ * 0-10 between a "poor" and "strong" bound; components with no input are left
+ * out and the remaining weights are renormalized (reported as confidence).
+ * Scores with no inputs behind them are null rather than a default, and the
+ * caller supplies the as-of date so a score can be reproduced later.
+ */
+
+const { scoreAmenities } = require("./amenityScorer");
+
+const SCORING_VERSION = "1.0.0";
+
+// Operating assumptions used to turn rent into NOI when the listing doesn't say
+const ASSUMPTIONS = {
+  propertyTaxRate: 0.012,      // of price, per year
+  insuranceRate: 0.003,        // of price, per year
+  vacancyRate: 0.05,           // of gross rent
+  maintenanceRate: 0.08,       // of gross rent
+  managementRate: 0.08,        // of gross rent
+  annualAppreciation: 3.0      // % per year, long-run national average
+};
+
+// Tokenization works best in this price band (matches filterFractionalProperties)
+const PRICE_BAND = { min: 100000, max: 2000000 };
+
+const COMPONENTS = [
+  { key: "capRate", label: "Cap rate", weight: 0.25, poor: 3, strong: 9, unit: "%" },
+  { key: "grossYield", label: "Gross rental yield", weight: 0.15, poor: 5, strong: 12, unit: "%" },
+  { key: "priceToRent", label: "Price-to-rent ratio", weight: 0.15, poor: 20, strong: 10, unit: "x" },
+  { key: "age", label: "Building age", weight: 0.10, poor: 60, strong: 0, unit: "years" },
+  { key: "daysOnMarket", label: "Days on market", weight: 0.10, poor: 120, strong: 7, unit: "days" },
+  { key: "schoolRating", label: "School rating", weight: 0.15, poor: 1, strong: 10, unit: "/10" },
+  { key: "amenityScore", label: "Nearby amenities", weight: 0.10, poor: 0, strong: 100, unit: "/100" }
+];
+
+// Stand-in for building age in the management estimate when yearBuilt is unknown
+const NEUTRAL_SCORE = 5;
+
+const COMMERCIAL_TYPES = ["office", "retail", "industrial", "mixed-use", "commercial"];
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function clamp(value, min = 0, max = 10) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Linear 0-10 between the poor and strong bounds (works for either direction)
+function scaleBetween(value, poor, strong) {
+  return clamp(((value - poor) / (strong - poor)) * 10);
+}
+
+function firstNumber(...values) {
+  for (const value of values) {
+    const n = Number(value);
+    if (value !== null && value !== undefined && value !== "" && Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+/**
+ * Pull scoring inputs out of the various property shapes used across providers
+ */
+function extractInputs(property = {}) {
+  const price = firstNumber(property.price, property.listPrice, property.list_price);
+  const monthlyRent = firstNumber(
+    property.rentEstimate,
+    property.rent_zestimate,
+    property.rentZestimate,
+    property.monthlyRent
+  );
+
+  const schools = Array.isArray(property.schools) ? property.schools : [];
+  const ratings = schools
+    .map(s => firstNumber(s?.rating, s?.greatSchoolsRating, s?.score))
+    .filter(r => r !== null && r > 0);
+
+  let amenityScore = firstNumber(property.amenityScore, property.amenity_score);
+  if (amenityScore === null && property.amenities && typeof property.amenities === "object") {
+    amenityScore = scoreAmenities(property.amenities);
+  }
+
+  return {
+    price,
+    monthlyRent,
+    annualTaxes: firstNumber(property.annualTaxes, property.taxes, property.taxAnnualAmount),
+    annualInsurance: firstNumber(property.annualInsurance, property.insurance),
+    yearBuilt: firstNumber(property.yearBuilt, property.year_built),
+    daysOnMarket: firstNumber(
+      property.daysOnMarket,
+      property.daysOnZillow,
+      property.days_on_zillow,
+      property.stats?.daysOnMarket
+    ),
+    schoolRating: ratings.length > 0 ? ratings.reduce((a, b) => a + b, 0) / ratings.length : null,
+    amenityScore,
+    propertyType: String(property.propertyType || property.homeType || "").toLowerCase()
+  };
+}
+
+/**
+ * Compute raw investment metrics from inputs
+ */
+function computeMetrics(inputs, asOf) {
+  const { price, monthlyRent } = inputs;
+  const metrics = {
+    grossYield: null,
+    capRate: null,
+    priceToRent: null,
+    noi: null,
+    age: null,
+    daysOnMarket: inputs.daysOnMarket,
+    schoolRating: inputs.schoolRating,
+    amenityScore: inputs.amenityScore
+  };
+
+  if (price > 0 && monthlyRent > 0) {
+    const annualRent = monthlyRent * 12;
+    const taxes = inputs.annualTaxes ?? price * ASSUMPTIONS.propertyTaxRate;
+    const insurance = inputs.annualInsurance ?? price * ASSUMPTIONS.insuranceRate;
+    const operating = annualRent * (ASSUMPTIONS.vacancyRate + ASSUMPTIONS.maintenanceRate + ASSUMPTIONS.managementRate);
+
+    metrics.noi = Math.round(annualRent - taxes - insurance - operating);
+    metrics.grossYield = round((annualRent / price) * 100, 2);
+    metrics.capRate = round((metrics.noi / price) * 100, 2);
+    metrics.priceToRent = round(price / annualRent, 2);
+  }
+
+  if (inputs.yearBuilt > 1700) {
+    metrics.age = Math.max(0, asOf.getFullYear() - inputs.yearBuilt);
+  }
+
+  return metrics;
+}
+
+/**
+ * Score a property and explain how the score was reached
+ * @param {Object} property - Property in any of the marketplace shapes
+ * @param {Object} options - { asOf } date the score is as of (building age); required
+ * @returns {Object} { score, confidence, components, metrics, missingInputs, asOf, version }
+ */
+function scoreProperty(property, options = {}) {
+  const { asOf } = options;
+  if (!(asOf instanceof Date) || Number.isNaN(asOf.getTime())) {
+    throw new Error("scoreProperty requires an asOf date");
+  }
+
+  const inputs = extractInputs(property);
+  const metrics = computeMetrics(inputs, asOf);
+
+  const scored = [];
+  const missingInputs = [];
+
+  for (const component of COMPONENTS) {
+    const value = metrics[component.key];
+    if (value === null || value === undefined) {
+      missingInputs.push(component.key);
+      continue;
+    }
+    scored.push({ ...component, value, score: round(scaleBetween(value, component.poor, component.strong), 2) });
+  }
+
+  const availableWeight = scored.reduce((sum, c) => sum + c.weight, 0);
+  const components = scored.map(c => {
+    const weight = availableWeight > 0 ? c.weight / availableWeight : 0;
+    return {
+      key: c.key,
+      label: c.label,
+      value: c.value,
+      unit: c.unit,
+      score: c.score,
+      weight: round(weight, 3),
+      contribution: round(c.score * weight, 2)
+    };
+  });
+
+  const score = availableWeight > 0
+    ? round(scored.reduce((sum, c) => sum + c.score * c.weight, 0) / availableWeight)
+    : null;
+
+  return {
+    score,
+    confidence: round(availableWeight, 2),
+    components,
+    metrics,
+    missingInputs,
+    asOf: asOf.toISOString(),
+    assumptions: ASSUMPTIONS,
+    version: SCORING_VERSION
+  };
+}
+
+/**
+ * How well the price suits fractional ownership (10 inside the band, tapering outside)
+ */
+function scorePriceBand(price) {
+  if (!(price > 0)) return null;
+  if (price >= PRICE_BAND.min && price <= PRICE_BAND.max) return 10;
+  if (price < PRICE_BAND.min) return round(clamp((price / PRICE_BAND.min) * 10));
+  return round(clamp(10 - ((price - PRICE_BAND.max) / PRICE_BAND.max) * 10));
+}
+
+/**
+ * Plain-language explanation built from the strongest and weakest components
+ */
+function explainScore(breakdown) {
+  if (breakdown.score === null) {
+    return "Not enough financial data to score this property yet.";
+  }
+
+  const sorted = [...breakdown.components].sort((a, b) => b.score - a.score);
+  const strengths = sorted.filter(c => c.score >= 7).slice(0, 2).map(c => `${c.label.toLowerCase()} (${c.value}${c.unit === "%" ? "%" : ` ${c.unit}`})`);
+  const weaknesses = sorted.filter(c => c.score < 4).slice(-2).map(c => `${c.label.toLowerCase()} (${c.value}${c.unit === "%" ? "%" : ` ${c.unit}`})`);
+
+  const parts = [`Scored ${breakdown.score}/10`];
+  if (strengths.length) parts.push(`supported by ${strengths.join(" and ")}`);
+  if (weaknesses.length) parts.push(`held back by ${weaknesses.join(" and ")}`);
+  if (breakdown.missingInputs.length) parts.push(`${breakdown.missingInputs.length} input(s) unavailable`);
+
+  return `${parts.join(", ")}.`;
+}
+
+/**
+ * Fractional-marketplace view of a property: the fields analyzeForFractionalization returns
+ * @param {Object} property - Property in any marketplace shape
+ * @param {Object} options - { asOf } as for scoreProperty
+ * @returns {Object} fractional_analysis with score_breakdown attached; scores
+ *   without inputs are null
+ */
+function buildFractionalAnalysis(property, options = {}) {
+  const breakdown = scoreProperty(property, options);
+  const inputs = extractInputs(property);
+  const price = inputs.price || 0;
+  const componentScore = (key) => breakdown.components.find(c => c.key === key)?.score ?? null;
+  const average = (...values) => {
+    const present = values.filter(v => v !== null);
+    return present.length ? round(present.reduce((a, b) => a + b, 0) / present.length) : null;
+  };
+
+  const priceBand = scorePriceBand(price);
+  const ageScore = componentScore("age");
+  const isCommercial = COMMERCIAL_TYPES.some(t => inputs.propertyType.includes(t));
+  const isMultiFamily = inputs.propertyType.includes("multi");
+
+  // Investment quality blended with how easily the price divides into tokens
+  const fractionalizationScore = breakdown.score === null
+    ? null
+    : round(breakdown.score * 0.8 + (priceBand ?? breakdown.score) * 0.2);
+
+  return {
+    fractionalization_score: fractionalizationScore,
+    tokenization_suitability: average(priceBand, ageScore),
+    investor_demand: average(componentScore("daysOnMarket"), componentScore("schoolRating"), componentScore("amenityScore")) ?? breakdown.score,
+    management_complexity: round(clamp(2 + (10 - (ageScore ?? NEUTRAL_SCORE)) * 0.5 + (isMultiFamily ? 1.5 : 0) + (isCommercial ? 2 : 0))),
+    liquidity_potential: average(priceBand, componentScore("daysOnMarket")),
+    regulatory_risk: isCommercial ? "medium" : "low",
+    min_investment: Math.max(100, Math.floor(price / 1000)),
+    recommended_token_price: Math.floor(price / 1000),
+    fractional_reasoning: explainScore(breakdown),
+    estimated_roi: breakdown.metrics.capRate !== null ? round(breakdown.metrics.capRate + ASSUMPTIONS.annualAppreciation, 2) : null,
+    rental_yield: breakdown.metrics.grossYield,
+    cap_rate: breakdown.metrics.capRate,
+    score_breakdown: breakdown
+  };
+}
+
+module.exports = {
+  scoreProperty,
+  buildFractionalAnalysis,
+  explainScore,
+  scorePriceBand,
+  SCORING_VERSION
+};
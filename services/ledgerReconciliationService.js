@@ -0,0 +1,431 @@
+/**
+ * Ledger Reconciliation Service - Verifies wallet balances against the ledger
+ *
+ * For each wallet the ledger is replayed from zero in order and compared with
+ * the stored WalletBalance:
+ * - every entry must move the balance by its own amount (entry_mismatch)
+ * - every entry must start where the previous one ended (chain_break)
+ * - the replayed available/pending must equal the stored balance (balance_mismatch)
+ * - the balance document's save counter must equal the number of mutating
+ *   entries (version_mismatch). WalletBalance's pre-save hook calls
+ *   increment(), which bumps the document version key (__v) on every save;
+ *   that counter is what gets compared.
+ *
+ * Discrepancies are recorded once per wallet/type/entry and stay open until an
+ * admin resolves them. With freezeOnMismatch, wallets whose balance disagrees
+ * with the ledger are frozen so no further credits or debits go through.
+ */
+
+const crypto = require('crypto');
+const { Wallet, WalletBalance, WalletLedger } = require('../models/Wallet');
+const { LedgerReconciliationRun, LedgerDiscrepancy } = require('../models/LedgerReconciliation');
+const slackService = require('./slackService');
+
+const TOLERANCE = 1e-6;
+const MAX_ENTRY_ISSUES_PER_WALLET = 20;
+const FREEZE_TYPES = ['balance_mismatch', 'negative_balance'];
+
+function toNumber(value) {
+  if (value === null || value === undefined) return 0;
+  return typeof value === 'number' ? value : parseFloat(value.toString());
+}
+
+function snapshot(value) {
+  return value ? { available: toNumber(value.available), pending: toNumber(value.pending) } : null;
+}
+
+function round(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function differs(a, b) {
+  return Math.abs(a.available - b.available) > TOLERANCE || Math.abs(a.pending - b.pending) > TOLERANCE;
+}
+
+class LedgerReconciliationService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Reconcile every wallet (or one)
+   * @param {Object} options - { walletId, freezeOnMismatch, trigger, triggeredBy }
+   * @returns {Promise<Object>} Finished run summary
+   */
+  async runReconciliation(options = {}) {
+    if (this.running) {
+      throw new Error('A reconciliation run is already in progress');
+    }
+
+    const {
+      walletId = null,
+      freezeOnMismatch = process.env.LEDGER_RECON_FREEZE_ON_MISMATCH === 'true',
+      trigger = 'scheduled',
+      triggeredBy = null
+    } = options;
+
+    this.running = true;
+    const started = Date.now();
+    const run = await LedgerReconciliationRun.create({
+      runId: `recon_${new Date().toISOString().slice(0, 10)}_${crypto.randomBytes(4).toString('hex')}`,
+      trigger,
+      triggeredBy,
+      options: { walletId, freezeOnMismatch }
+    });
+
+    console.log(`🧮 Ledger reconciliation ${run.runId} started (${walletId ? `wallet ${walletId}` : 'all wallets'})`);
+
+    try {
+      const cursor = Wallet.find(walletId ? { _id: walletId } : {})
+        .select('_id userId organizationId status')
+        .lean()
+        .cursor();
+
+      for await (const wallet of cursor) {
+        const result = await this.reconcileWallet(wallet);
+        run.walletsChecked++;
+        run.entriesReplayed += result.entriesReplayed;
+
+        if (result.issues.length === 0) continue;
+
+        const recorded = await this.recordDiscrepancies(run.runId, wallet, result.issues);
+        run.walletsWithDiscrepancies++;
+        run.discrepancyCount += recorded.length;
+
+        if (freezeOnMismatch && result.issues.some(issue => FREEZE_TYPES.includes(issue.type))) {
+          const frozen = await this.freezeWallet(wallet, run.runId);
+          if (frozen) {
+            run.frozenWalletIds.push(wallet._id);
+            await LedgerDiscrepancy.updateMany(
+              { _id: { $in: recorded.map(d => d._id) } },
+              { $set: { walletFrozen: true } }
+            );
+          }
+        }
+      }
+
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      console.error(`❌ Ledger reconciliation ${run.runId} failed:`, error);
+    } finally {
+      run.finishedAt = new Date();
+      run.durationMs = Date.now() - started;
+      await run.save();
+      this.running = false;
+    }
+
+    console.log(`🧮 Ledger reconciliation ${run.runId} ${run.status}: ${run.walletsChecked} wallets, ${run.discrepancyCount} discrepancies, ${run.frozenWalletIds.length} frozen`);
+
+    if (run.status === 'failed' || run.discrepancyCount > 0) {
+      await this.report(run);
+    }
+
+    return run.toObject();
+  }
+
+  /**
+   * Replay one wallet's ledger and compare it with the stored balance
+   * Re-checks once before reporting a stored-balance mismatch, since a live
+   * transaction can land between reading the ledger and reading the balance.
+   * @param {Object} wallet - Wallet (lean)
+   * @returns {Promise<Object>} { entriesReplayed, issues }
+   */
+  async reconcileWallet(wallet, attempt = 1) {
+    const issues = [];
+    const replay = await this.replayLedger(wallet._id, issues);
+    const balance = await WalletBalance.findOne({ walletId: wallet._id }).lean();
+
+    if (!balance) {
+      issues.push({
+        type: 'missing_balance',
+        severity: 'critical',
+        expected: replay.state,
+        actual: null,
+        details: 'Wallet has no balance record'
+      });
+      return { entriesReplayed: replay.count, issues };
+    }
+
+    const stored = { available: toNumber(balance.availableFxct), pending: toNumber(balance.pendingFxct) };
+    const storedVersion = balance.__v || 0;
+    const balanceOff = differs(replay.state, stored);
+    const versionOff = storedVersion !== replay.mutations;
+
+    if ((balanceOff || versionOff) && attempt === 1) {
+      const latest = await WalletLedger.findOne({ walletId: wallet._id }).sort({ createdAt: -1, _id: -1 }).select('_id').lean();
+      if (latest && latest._id.toString() !== replay.lastEntryId) {
+        return this.reconcileWallet(wallet, 2);
+      }
+    }
+
+    if (balanceOff) {
+      issues.push({
+        type: 'balance_mismatch',
+        severity: 'critical',
+        expected: { available: round(replay.state.available), pending: round(replay.state.pending) },
+        actual: stored,
+        details: `Ledger replays to ${round(replay.state.available)} available / ${round(replay.state.pending)} pending; stored balance is ${stored.available} / ${stored.pending}`
+      });
+    }
+    if (versionOff) {
+      issues.push({
+        type: 'version_mismatch',
+        severity: 'warning',
+        expected: { version: replay.mutations },
+        actual: { version: storedVersion, versionField: balance.version },
+        details: `${replay.mutations} mutating ledger entries but the balance has been saved ${storedVersion} times`
+      });
+    }
+
+    return { entriesReplayed: replay.count, issues };
+  }
+
+  /**
+   * Apply the wallet's ledger entries in order
+   * @returns {Promise<Object>} { state, count, mutations, lastEntryId }
+   */
+  async replayLedger(walletId, issues) {
+    const state = { available: 0, pending: 0 };
+    let previousAfter = null;
+    let count = 0;
+    let mutations = 0;
+    let lastEntryId = null;
+    let entryIssues = 0;
+    let wentNegative = false;
+
+    const addEntryIssue = (issue) => {
+      if (entryIssues++ < MAX_ENTRY_ISSUES_PER_WALLET) issues.push(issue);
+    };
+
+    const cursor = WalletLedger.find({ walletId })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('type amountFxct meta balanceBefore balanceAfter createdAt')
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      count++;
+      lastEntryId = entry._id.toString();
+      if (entry.meta?.action === 'wallet_created') {
+        previousAfter = snapshot(entry.balanceAfter);
+        continue;
+      }
+      mutations++;
+
+      const before = snapshot(entry.balanceBefore);
+      const after = snapshot(entry.balanceAfter);
+      const effect = this.entryEffect(entry, before, after);
+
+      if (before && previousAfter && differs(before, previousAfter)) {
+        addEntryIssue({
+          type: 'chain_break',
+          severity: 'critical',
+          ledgerEntryId: entry._id,
+          expected: previousAfter,
+          actual: before,
+          details: `Entry of ${entry.createdAt.toISOString()} starts from a different balance than the previous entry ended`
+        });
+      }
+
+      if (before && after) {
+        const moved = { available: after.available - before.available, pending: after.pending - before.pending };
+        if (differs(moved, effect)) {
+          addEntryIssue({
+            type: 'entry_mismatch',
+            severity: 'critical',
+            ledgerEntryId: entry._id,
+            expected: { available: round(effect.available), pending: round(effect.pending) },
+            actual: { available: round(moved.available), pending: round(moved.pending) },
+            details: `${entry.type} of ${toNumber(entry.amountFxct)} FXCT moved the balance by a different amount`
+          });
+        }
+      }
+
+      state.available += effect.available;
+      state.pending += effect.pending;
+      previousAfter = after;
+
+      if (!wentNegative && (state.available < -TOLERANCE || state.pending < -TOLERANCE)) {
+        wentNegative = true;
+        addEntryIssue({
+          type: 'negative_balance',
+          severity: 'critical',
+          ledgerEntryId: entry._id,
+          expected: { available: 0, pending: 0 },
+          actual: { available: round(state.available), pending: round(state.pending) },
+          details: `Replayed balance goes negative at entry of ${entry.createdAt.toISOString()}`
+        });
+      }
+    }
+
+    return { state, count, mutations, lastEntryId };
+  }
+
+  /**
+   * How an entry should move { available, pending }, mirroring walletService
+   */
+  entryEffect(entry, before, after) {
+    const amount = toNumber(entry.amountFxct);
+    switch (entry.type) {
+      case 'issuance':
+      case 'credit':
+      case 'refund':
+        return { available: amount, pending: 0 };
+      case 'debit':
+      case 'withdraw':
+        return { available: -amount, pending: 0 };
+      case 'hold':
+        return { available: -amount, pending: amount };
+      case 'release':
+        return entry.meta?.releaseType === 'consume'
+          ? { available: 0, pending: -amount }
+          : { available: amount, pending: -amount };
+      default:
+        // Adjustments carry no sign; trust their own snapshots
+        return before && after
+          ? { available: after.available - before.available, pending: after.pending - before.pending }
+          : { available: 0, pending: 0 };
+    }
+  }
+
+  /**
+   * Store issues, refreshing any still-open discrepancy of the same kind
+   * @returns {Promise<Array>} Discrepancy documents
+   */
+  async recordDiscrepancies(runId, wallet, issues) {
+    const recorded = [];
+    for (const issue of issues) {
+      const key = {
+        walletId: wallet._id,
+        type: issue.type,
+        ledgerEntryId: issue.ledgerEntryId || null,
+        status: { $in: ['open', 'acknowledged'] }
+      };
+      const update = {
+        runId,
+        severity: issue.severity,
+        expected: issue.expected,
+        actual: issue.actual,
+        details: issue.details
+      };
+
+      const existing = await LedgerDiscrepancy.findOneAndUpdate(key, { $set: update }, { new: true });
+      recorded.push(existing || await LedgerDiscrepancy.create({
+        ...update,
+        walletId: wallet._id,
+        userId: wallet.userId,
+        organizationId: wallet.organizationId,
+        type: issue.type,
+        ledgerEntryId: issue.ledgerEntryId
+      }));
+    }
+    return recorded;
+  }
+
+  /**
+   * Freeze a wallet whose balance disagrees with its ledger
+   * @returns {Promise<boolean>} Whether this run froze it
+   */
+  async freezeWallet(wallet, runId) {
+    const result = await Wallet.updateOne(
+      { _id: wallet._id, status: 'active' },
+      {
+        $set: {
+          status: 'frozen',
+          'metadata.frozenReason': `Ledger reconciliation ${runId} found a balance discrepancy`,
+          'metadata.frozenAt': new Date()
+        }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      console.warn(`🧊 Wallet ${wallet._id} frozen by ledger reconciliation ${runId}`);
+      return true;
+    }
+    return false;
+  }
+
+  async report(run) {
+    const discrepancies = await LedgerDiscrepancy.find({ runId: run.runId })
+      .sort({ severity: 1, createdAt: -1 })
+      .limit(10)
+      .lean();
+
+    const result = await slackService.notifyLedgerReconciliation(run.toObject ? run.toObject() : run, discrepancies);
+    if (!result?.success) {
+      console.warn(`⚠️ Ledger reconciliation report not sent to Slack: ${result?.error || 'unknown error'}`);
+    }
+  }
+
+  async listRuns({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [runs, total] = await Promise.all([
+      LedgerReconciliationRun.find().sort({ startedAt: -1 }).skip(skip).limit(limit).lean(),
+      LedgerReconciliationRun.countDocuments()
+    ]);
+    return { runs, pagination: { page, limit, total, hasMore: skip + runs.length < total } };
+  }
+
+  async getRun(runId) {
+    const run = await LedgerReconciliationRun.findOne({ runId }).lean();
+    if (!run) {
+      throw new Error(`Reconciliation run ${runId} not found`);
+    }
+    const discrepancies = await LedgerDiscrepancy.find({ runId }).sort({ createdAt: -1 }).limit(500).lean();
+    return { run, discrepancies };
+  }
+
+  /**
+   * @param {Object} filters - { status, type, walletId, severity }
+   */
+  async listDiscrepancies(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+    for (const field of ['status', 'type', 'walletId', 'severity']) {
+      if (filters[field]) query[field] = filters[field];
+    }
+
+    const skip = (page - 1) * limit;
+    const [discrepancies, total] = await Promise.all([
+      LedgerDiscrepancy.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      LedgerDiscrepancy.countDocuments(query)
+    ]);
+    return { discrepancies, pagination: { page, limit, total, hasMore: skip + discrepancies.length < total } };
+  }
+
+  /**
+   * Mark a discrepancy acknowledged or resolved
+   * @param {string} id - Discrepancy ID
+   * @param {Object} resolution - { status: 'acknowledged' | 'resolved', note, resolvedBy, unfreeze }
+   */
+  async updateDiscrepancy(id, { status, note, resolvedBy, unfreeze = false }) {
+    if (!['acknowledged', 'resolved'].includes(status)) {
+      throw new Error('Status must be acknowledged or resolved');
+    }
+
+    const discrepancy = await LedgerDiscrepancy.findByIdAndUpdate(id, {
+      $set: {
+        status,
+        resolutionNote: note,
+        resolvedBy,
+        ...(status === 'resolved' ? { resolvedAt: new Date() } : {})
+      }
+    }, { new: true }).lean();
+
+    if (!discrepancy) {
+      throw new Error('Discrepancy not found');
+    }
+
+    // Only lift freezes this job applied; manual admin freezes stay in place
+    if (unfreeze && status === 'resolved' && discrepancy.walletFrozen) {
+      await Wallet.updateOne(
+        { _id: discrepancy.walletId, status: 'frozen', 'metadata.frozenReason': /^Ledger reconciliation/ },
+        { $set: { status: 'active' }, $unset: { 'metadata.frozenReason': '', 'metadata.frozenAt': '' } }
+      );
+    }
+    return discrepancy;
+  }
+}
+
+const ledgerReconciliationService = new LedgerReconciliationService();
+module.exports = ledgerReconciliationService;
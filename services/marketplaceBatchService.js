@@ -16,9 +16,8 @@
 const cron = require('node-cron');
 const mongoose = require('mongoose');
 const fetch = require('node-fetch');
-const OpenAI = require('openai');
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { buildFractionalAnalysis } = require('./investmentScoring');
+const openai = require('./openaiService');
 
 // MongoDB Schema for Marketplace Listings
 const MarketplaceListingSchema = new mongoose.Schema({
@@ -59,6 +58,7 @@ const MarketplaceListingSchema = new mongoose.Schema({
   
   // Investment scores
   fractionalScore: Number,
+  scoreBreakdown: mongoose.Schema.Types.Mixed,
   tokenizationSuitability: Number,
   investorDemand: Number,
   liquidityPotential: Number,
@@ -222,7 +222,7 @@ class MarketplaceBatchService {
       for (const market of markets) {
         try {
           console.log(`📍 Processing ${market.location}...`);
-          const marketListings = await this.fetchMarketListings(market);
+          const marketListings = await this.fetchMarketListings(market, this.batchStats.startTime);
           allNewListings.push(...marketListings);
           
           console.log(`✅ ${market.location}: ${marketListings.length} listings processed`);
@@ -257,14 +257,14 @@ class MarketplaceBatchService {
   /**
    * 🏡 Fetch listings for a specific market
    */
-  async fetchMarketListings(market) {
+  async fetchMarketListings(market, batchDate) {
     try {
       // Updated flow: Zillow + Lazy CoreLogic + AI Analysis
       const zillowProperties = await this.fetchZillowProperties(market);
       const preparedForCoreLogic = await this.prepareForCoreLogicLazyLoading(zillowProperties);
-      const analyzedProperties = await this.analyzeForFractionalization(preparedForCoreLogic);
+      const analyzedProperties = await this.analyzeForFractionalization(preparedForCoreLogic, batchDate);
       const fractionalProperties = this.filterFractionalProperties(analyzedProperties);
-      const formattedListings = this.formatFractionalPropertiesForBatch(fractionalProperties);
+      const formattedListings = this.formatFractionalPropertiesForBatch(fractionalProperties, batchDate);
 
       this.batchStats.totalProcessed += zillowProperties.length;
       this.batchStats.fractionalReady += fractionalProperties.length;
@@ -322,27 +322,15 @@ class MarketplaceBatchService {
   }
 
   /**
-   * 🤖 AI Analysis for fractionalization (simplified for batch)
+   * 🤖 Fractionalization analysis for batch (deterministic scoring, no API calls)
+   * Scored as of the batch start so every listing in a run agrees
    */
-  async analyzeForFractionalization(properties) {
+  async analyzeForFractionalization(properties, batchDate) {
     console.log(`🤖 Batch analyzing ${properties.length} properties for fractionalization...`);
     
-    // For batch processing, use deterministic scoring to avoid API limits
     return properties.map(property => ({
       ...property,
-      fractional_analysis: {
-        fractionalization_score: Math.random() * 4 + 6, // 6-10 range
-        tokenization_suitability: Math.random() * 4 + 6,
-        investor_demand: Math.random() * 4 + 5,
-        management_complexity: Math.random() * 3 + 3,
-        liquidity_potential: Math.random() * 4 + 5,
-        regulatory_risk: 'low',
-        min_investment: Math.max(100, Math.floor(property.price / 1000)),
-        recommended_token_price: Math.floor(property.price / 1000),
-        fractional_reasoning: 'Batch analyzed property suitable for tokenization',
-        estimated_roi: Math.random() * 6 + 8,
-        rental_yield: Math.random() * 4 + 6
-      }
+      fractional_analysis: buildFractionalAnalysis(property, { asOf: batchDate })
     }));
   }
 
@@ -368,8 +356,7 @@ class MarketplaceBatchService {
   /**
    * 🔄 Format properties for batch storage
    */
-  formatFractionalPropertiesForBatch(properties) {
-    const batchDate = new Date();
+  formatFractionalPropertiesForBatch(properties, batchDate) {
     
     return properties.map((property, index) => {
       const fractionalAnalysis = property.fractional_analysis || {};
@@ -391,7 +378,7 @@ class MarketplaceBatchService {
         propertyType: property.propertyType || 'residential',
         listingType: 'fractional-ready',
         images: property.images || [],
-        description: `Tokenized investment property with ${fractionalAnalysis.fractionalization_score?.toFixed(1) || 'high'} fractionalization score.`,
+        description: `Tokenized investment property with ${fractionalAnalysis.fractionalization_score?.toFixed(1) ?? 'an unrated'} fractionalization score.`,
         detailedDescription: `${property.description || 'Prime investment property ready for tokenization.'} Batch processed with AI fractionalization analysis.`,
         features: [
           'tokenized_property',
@@ -411,16 +398,18 @@ class MarketplaceBatchService {
         minInvestment: fractionalAnalysis.min_investment || Math.max(100, tokenPrice),
         
         // Financial metrics
-        expectedROI: fractionalAnalysis.estimated_roi || 8.5,
-        rentalYield: fractionalAnalysis.rental_yield || 6.5,
+        expectedROI: fractionalAnalysis.estimated_roi ?? null,
+        rentalYield: fractionalAnalysis.rental_yield ?? null,
         monthlyRent: Math.round((property.rentEstimate || price * 0.008)),
-        capRate: property.corelogic?.investment_metrics?.cap_rate * 100 || (Math.random() * 4 + 6),
+        capRate: property.corelogic?.investment_metrics?.cap_rate * 100 || fractionalAnalysis.cap_rate || null,
         
         // Investment scores
-        fractionalScore: fractionalAnalysis.fractionalization_score || 7.5,
-        tokenizationSuitability: fractionalAnalysis.tokenization_suitability || 7.5,
-        investorDemand: fractionalAnalysis.investor_demand || 7,
-        liquidityPotential: fractionalAnalysis.liquidity_potential || 7,
+        fractionalScore: fractionalAnalysis.fractionalization_score ?? null,
+        tokenizationSuitability: fractionalAnalysis.tokenization_suitability ?? null,
+        investorDemand: fractionalAnalysis.investor_demand ?? null,
+        liquidityPotential: fractionalAnalysis.liquidity_potential ?? null,
+        scoreBreakdown: fractionalAnalysis.score_breakdown || null,
+        missingInputs: fractionalAnalysis.score_breakdown?.missingInputs || [],
         
         listingDate: new Date(),
         batchDate: batchDate,
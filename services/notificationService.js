@@ -0,0 +1,76 @@
+/**
+ * Notification Service
+ *
+ * Stores in-app notifications for users and lists them for the
+ * /api/users/me/notifications endpoints.
+ */
+
+const Notification = require('../models/Notification');
+
+class NotificationService {
+  /**
+   * Send a notification to a user
+   * @param {string} userId - Recipient
+   * @param {Object} notification - { type, title, message, severity, data, dedupeKey }
+   * @returns {Promise<Object|null>} The notification, or null if this dedupeKey was already sent
+   */
+  async notify(userId, notification) {
+    const { type, title, message, severity = 'info', data = {}, dedupeKey } = notification;
+
+    try {
+      const created = await Notification.create({ userId, type, title, message, severity, data, dedupeKey });
+      console.log(`🔔 Notified user ${userId}: ${type}`);
+      return created.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      // Notifications are best-effort; never fail the caller's operation
+      console.error(`❌ Failed to notify user ${userId} (${type}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { unreadOnly, type, page, limit }
+   * @returns {Promise<Object>} Notifications, unread count and pagination
+   */
+  async listForUser(userId, options = {}) {
+    const { unreadOnly = false, type = null, page = 1, limit = 20 } = options;
+    const query = { userId };
+    if (unreadOnly) query.readAt = null;
+    if (type) query.type = type;
+
+    const skip = (page - 1) * limit;
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-dedupeKey').lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, readAt: null })
+    ]);
+
+    return {
+      notifications,
+      unread,
+      pagination: { page, limit, total, hasMore: skip + notifications.length < total }
+    };
+  }
+
+  /**
+   * Mark notifications read
+   * @param {string} userId - User ID
+   * @param {string[]|null} ids - Notification IDs, or null for all
+   * @returns {Promise<number>} Number marked read
+   */
+  async markRead(userId, ids = null) {
+    const query = { userId, readAt: null };
+    if (ids) query._id = { $in: ids };
+
+    const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+}
+
+const notificationService = new NotificationService();
+module.exports = notificationService;
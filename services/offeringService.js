@@ -0,0 +1,729 @@
+/**
+ * Offering Service - Primary sale of fractional shares for FXCT
+ *
+ * Features:
+ * - Fixed-price offerings opened on a Property or promoted from a MarketplaceListing
+ * - Purchase orders reserve shares and place a wallet hold for the full amount
+ * - Confirmation consumes the hold and allocates shares through holdingsService
+ * - Cancelled or timed-out reservations restore the hold and free the shares
+ * - Releases and confirmations interrupted part-way are finished by a recovery sweep
+ * - KYC-approved investors only, with minimum investment and per-investor caps
+ * - Offerings close automatically once every share is sold
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Decimal128 } = require('mongodb');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { Offering, ShareOrder } = require('../models/Offering');
+const { WalletLedger } = require('../models/Wallet');
+const { MarketplaceListing } = require('./marketplaceBatchService');
+const walletService = require('./walletService');
+const holdingsService = require('./holdingsService');
+const { priceFeedService } = require('./priceFeedService');
+
+// Cancelled orders still holding funds, and confirmations idle this long, are picked up by recoverStuckOrders()
+const STUCK_ORDER_MS = 10 * 60 * 1000;
+
+class OfferingService {
+  constructor() {
+    this.metrics = {
+      ordersReserved: 0,
+      ordersConfirmed: 0,
+      ordersCancelled: 0,
+      ordersExpired: 0,
+      ordersFailed: 0
+    };
+  }
+
+  /**
+   * Open an offering for shares of a fractional property
+   * @param {Object} request - { propertyId, totalShares, pricePerShareFxct, pricePerShareUsd, fxctUsdPrice, minInvestmentFxct, maxSharesPerInvestor, reservationTtlMinutes, closesAt, createdBy }
+   * @returns {Promise<Object>} Created offering
+   */
+  async openOffering(request) {
+    const { propertyId, createdBy } = request;
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      throw new Error(`Property ${propertyId} not found`);
+    }
+    if (!property.isFractional || !(property.tokenization?.totalSupply > 0)) {
+      throw new Error(`Property ${propertyId} has no tokenized share supply`);
+    }
+
+    const active = await Offering.findOne({ propertyId, status: 'open' });
+    if (active) {
+      throw new Error(`Property ${propertyId} already has an open offering (${active.offeringId})`);
+    }
+
+    // Shares already issued or committed to an earlier offering can't be sold again
+    const committed = await Offering.aggregate([
+      { $match: { propertyId: property._id, status: { $in: ['open', 'fully_subscribed'] } } },
+      { $group: { _id: null, pending: { $sum: { $subtract: ['$totalShares', '$sharesSold'] } } } }
+    ]);
+    const unissued = property.tokenization.totalSupply - (property.tokenization.sharesIssued || 0) - (committed[0]?.pending || 0);
+    const totalShares = request.totalShares || unissued;
+
+    if (!Number.isInteger(totalShares) || totalShares <= 0) {
+      throw new Error('Total shares must be a positive integer');
+    }
+    if (totalShares > unissued) {
+      throw new Error(`Offering size ${totalShares} exceeds ${unissued} unissued shares`);
+    }
+
+    let { pricePerShareFxct, pricePerShareUsd, fxctUsdPrice } = request;
+    if (!pricePerShareUsd && property.price) {
+      pricePerShareUsd = property.price / property.tokenization.totalSupply;
+    }
+    if (!(pricePerShareFxct > 0)) {
+      if (!(pricePerShareUsd > 0)) {
+        throw new Error('A share price in FXCT or USD is required');
+      }
+      fxctUsdPrice = fxctUsdPrice || (await priceFeedService.getSevenDayAverage()).price;
+      if (!(fxctUsdPrice > 0)) {
+        throw new Error('Invalid FXCT price - cannot price offering');
+      }
+      pricePerShareFxct = pricePerShareUsd / fxctUsdPrice;
+    }
+
+    const offering = await Offering.create({
+      offeringId: `off_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      propertyId,
+      source: request.listingId ? 'marketplace_listing' : 'property',
+      listingId: request.listingId,
+      pricePerShareFxct: new Decimal128(pricePerShareFxct.toFixed(8)),
+      pricePerShareUsd,
+      fxctUsdPrice,
+      totalShares,
+      minInvestmentFxct: request.minInvestmentFxct || 0,
+      maxSharesPerInvestor: request.maxSharesPerInvestor || null,
+      reservationTtlMinutes: request.reservationTtlMinutes || 15,
+      closesAt: request.closesAt ? new Date(request.closesAt) : undefined,
+      createdBy
+    });
+
+    console.log(`📣 Opened offering ${offering.offeringId}: ${totalShares} shares of property ${propertyId} at ${pricePerShareFxct.toFixed(4)} FXCT`);
+    return offering.toObject();
+  }
+
+  /**
+   * Promote a batch MarketplaceListing to a fractional Property and open its offering
+   * @param {string} listingId - MarketplaceListing.id
+   * @param {Object} options - Offering overrides plus createdBy
+   * @returns {Promise<Object>} Created offering
+   */
+  async openListingOffering(listingId, options = {}) {
+    const listing = await MarketplaceListing.findOne({ id: listingId });
+    if (!listing) {
+      throw new Error(`Marketplace listing ${listingId} not found`);
+    }
+    if (!(listing.totalTokens > 0) || !(listing.tokenPrice > 0)) {
+      throw new Error(`Marketplace listing ${listingId} has no token structure`);
+    }
+
+    // Holdings and distributions are keyed by Property, so the listing gets one
+    let property = await Property.findOne({ externalId: listing.id });
+    if (!property) {
+      property = await Property.create({
+        title: listing.title,
+        address1: listing.address,
+        city: listing.city,
+        state: listing.state,
+        price: listing.price,
+        status: 'approved',
+        isFractional: true,
+        rentalYield: listing.rentalYield,
+        externalId: listing.id,
+        imgSrc: listing.images?.[0],
+        carouselPhotos: listing.images || [],
+        photoCount: listing.images?.length || 0,
+        address: {
+          oneLine: [listing.address, listing.city, listing.state, listing.zipCode].filter(Boolean).join(', '),
+          city: listing.city,
+          state: listing.state,
+          zip: listing.zipCode
+        },
+        beds: listing.beds,
+        baths: listing.baths,
+        sqft: listing.sqft,
+        propertyType: listing.propertyType,
+        submittedBy: options.createdBy,
+        tokenization: { totalSupply: listing.totalTokens, sharesIssued: 0 }
+      });
+      console.log(`🏗️ Created fractional property ${property._id} from marketplace listing ${listing.id}`);
+    }
+
+    const fxctUsdPrice = options.fxctUsdPrice || (await priceFeedService.getSevenDayAverage()).price;
+    if (!(fxctUsdPrice > 0)) {
+      throw new Error('Invalid FXCT price - cannot price offering');
+    }
+
+    const offering = await this.openOffering({
+      ...options,
+      propertyId: property._id,
+      listingId: listing.id,
+      pricePerShareUsd: listing.tokenPrice,
+      fxctUsdPrice,
+      pricePerShareFxct: options.pricePerShareFxct || listing.tokenPrice / fxctUsdPrice,
+      minInvestmentFxct: options.minInvestmentFxct ?? (listing.minInvestment ? listing.minInvestment / fxctUsdPrice : 0)
+    });
+
+    listing.status = 'offering_open';
+    await listing.save();
+
+    return offering;
+  }
+
+  /**
+   * Reserve shares and hold the purchase amount in the buyer's wallet
+   * @param {Object} request - { offeringId, userId, shares, clientKey }
+   * @returns {Promise<Object>} Reserved order
+   */
+  async reserveOrder(request) {
+    const { offeringId, userId, shares, clientKey = null } = request;
+
+    if (!Number.isInteger(shares) || shares <= 0) {
+      throw new Error('Shares must be a positive integer');
+    }
+
+    if (clientKey) {
+      const existing = await ShareOrder.findOne({ userId, clientKey });
+      if (existing) {
+        console.log(`ℹ️ Duplicate order request detected: ${clientKey}`);
+        return existing.toObject();
+      }
+    }
+
+    const user = await User.findById(userId).select('kyc suspended');
+    if (!user || user.suspended) {
+      throw new Error('User account is not active');
+    }
+    if (user.kyc?.status !== 'approved') {
+      throw new Error('KYC verification must be approved before investing');
+    }
+
+    const offering = await Offering.findOne({ offeringId });
+    if (!offering || offering.status !== 'open') {
+      throw new Error(`Offering ${offeringId} is not open`);
+    }
+    if (offering.closesAt && offering.closesAt < new Date()) {
+      throw new Error(`Offering ${offeringId} has ended`);
+    }
+
+    const pricePerShareFxct = offering.pricePerShareFxct;
+    const amountFxct = parseFloat((shares * pricePerShareFxct).toFixed(8));
+    if (amountFxct < offering.minInvestmentFxct) {
+      throw new Error(`Minimum investment is ${offering.minInvestmentFxct} FXCT`);
+    }
+
+    if (offering.maxSharesPerInvestor) {
+      const owned = await ShareOrder.aggregate([
+        { $match: { offeringId, userId: user._id, status: { $in: ['reserved', 'confirming', 'confirmed'] } } },
+        { $group: { _id: null, shares: { $sum: '$shares' } } }
+      ]);
+      if ((owned[0]?.shares || 0) + shares > offering.maxSharesPerInvestor) {
+        throw new Error(`Purchase would exceed the limit of ${offering.maxSharesPerInvestor} shares per investor`);
+      }
+    }
+
+    // Claim shares and record the order together, so a failed insert can't strand reserved shares
+    let order;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Conditional claim so concurrent orders can't oversubscribe the offering
+        const claimed = await Offering.findOneAndUpdate(
+          {
+            offeringId,
+            status: 'open',
+            $expr: { $lte: [{ $add: ['$sharesSold', '$sharesReserved', shares] }, '$totalShares'] }
+          },
+          { $inc: { sharesReserved: shares } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          const available = offering.totalShares - offering.sharesSold - offering.sharesReserved;
+          throw new Error(`Insufficient shares: requested ${shares}, ${Math.max(available, 0)} available`);
+        }
+
+        [order] = await ShareOrder.create([{
+          orderId: `ord_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+          offeringId,
+          propertyId: offering.propertyId,
+          userId,
+          shares,
+          pricePerShareFxct: new Decimal128(pricePerShareFxct.toFixed(8)),
+          amountFxct: new Decimal128(amountFxct.toFixed(8)),
+          clientKey,
+          expiresAt: new Date(Date.now() + offering.reservationTtlMinutes * 60 * 1000)
+        }], { session });
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' }
+      });
+    } finally {
+      await session.endSession();
+    }
+    // Later saves of the order run outside the finished transaction
+    order.$session(null);
+
+    try {
+      const { wallet } = await walletService.getOrCreateWallet(userId, userId);
+      const hold = await walletService.hold({
+        walletId: wallet._id,
+        amount: amountFxct,
+        ref: order.orderId,
+        meta: { action: 'share_purchase_hold', offeringId, propertyId: offering.propertyId, shares },
+        idempotencyKey: `${order.orderId}_hold`,
+        processedBy: userId
+      });
+
+      order.walletId = wallet._id;
+      order.holdLedgerId = hold.transaction._id;
+      await order.save();
+    } catch (error) {
+      await Offering.updateOne({ offeringId }, { $inc: { sharesReserved: -shares } });
+      order.status = 'failed';
+      order.lastError = error.message;
+      await order.save();
+      this.metrics.ordersFailed++;
+      throw error;
+    }
+
+    this.metrics.ordersReserved++;
+    console.log(`🛒 Reserved ${shares} shares in ${offeringId} for user ${userId} (order ${order.orderId}, ${amountFxct} FXCT held)`);
+    return order.toObject();
+  }
+
+  /**
+   * Settle a reservation: consume the hold and allocate the shares
+   * @param {string} orderId - Order to confirm
+   * @param {string} userId - Buyer, checked against the order
+   * @returns {Promise<Object>} Confirmed order and resulting holding
+   */
+  async confirmOrder(orderId, userId) {
+    const existing = await ShareOrder.findOne({ orderId, userId });
+    if (!existing) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+    if (existing.status === 'confirmed') {
+      return { order: existing.toObject() };
+    }
+
+    // Claim the order so a concurrent cancel or expiry sweep can't release the same hold
+    const order = await ShareOrder.findOneAndUpdate(
+      { orderId, userId, status: 'reserved', expiresAt: { $gt: new Date() } },
+      { status: 'confirming' },
+      { new: true }
+    );
+    if (!order) {
+      if (existing.status === 'reserved') {
+        await this.expireOrder(existing);
+      }
+      throw new Error(`Order ${orderId} can no longer be confirmed (status: ${existing.status === 'reserved' ? 'expired' : existing.status})`);
+    }
+
+    let settle;
+    try {
+      settle = await this.consumeHold(order);
+    } catch (error) {
+      // Nothing was taken - hand the reservation back so it can be retried or expire
+      await ShareOrder.updateOne({ _id: order._id, status: 'confirming' }, { status: 'reserved', lastError: error.message });
+      throw error;
+    }
+
+    return this.allocateOrder(order, settle.transaction._id);
+  }
+
+  consumeHold(order) {
+    return walletService.release({
+      walletId: order.walletId,
+      amount: order.amountFxct,
+      ref: order.orderId,
+      meta: { releaseType: 'consume', action: 'share_purchase', offeringId: order.offeringId, propertyId: order.propertyId, shares: order.shares },
+      idempotencyKey: `${order.orderId}_settle`,
+      processedBy: order.userId
+    });
+  }
+
+  /**
+   * Allocate the shares of an order whose hold was consumed, refunding the buyer if that fails.
+   * Every step is keyed on the order, so an interrupted confirmation can be run again.
+   */
+  async allocateOrder(order, settleLedgerId) {
+    const { orderId, userId } = order;
+
+    let allocation;
+    try {
+      allocation = await holdingsService.issueShares({
+        propertyId: order.propertyId,
+        userId,
+        shares: order.shares,
+        pricePerShareFxct: order.pricePerShareFxct,
+        ref: orderId,
+        idempotencyKey: `${orderId}_allocation`,
+        performedBy: userId,
+        meta: { offeringId: order.offeringId, source: 'primary_offering' }
+      });
+    } catch (error) {
+      // Funds were already taken - refund them rather than leave the buyer without shares
+      await walletService.credit({
+        walletId: order.walletId,
+        amount: order.amountFxct,
+        type: 'refund',
+        ref: orderId,
+        meta: { action: 'share_purchase_refund', offeringId: order.offeringId, reason: error.message },
+        idempotencyKey: `${orderId}_refund`,
+        processedBy: userId
+      });
+      const failed = await this.updateOrderAndOffering(
+        { _id: order._id, status: 'confirming' },
+        { status: 'failed', settleLedgerId, lastError: error.message },
+        { sharesReserved: -order.shares }
+      );
+      if (failed) this.metrics.ordersFailed++;
+      console.error(`❌ Share allocation failed for order ${orderId}, refunded:`, error.message);
+      throw error;
+    }
+
+    const firstPurchase = !(await ShareOrder.exists({
+      offeringId: order.offeringId, userId, status: 'confirmed', _id: { $ne: order._id }
+    }));
+    const confirmed = await this.updateOrderAndOffering(
+      { _id: order._id, status: 'confirming' },
+      { status: 'confirmed', confirmedAt: new Date(), settleLedgerId, shareTransactionId: allocation.transaction._id },
+      { sharesReserved: -order.shares, sharesSold: order.shares, investorCount: firstPurchase ? 1 : 0 }
+    );
+    if (!confirmed) {
+      // Another run finished this order first
+      return { order: (await ShareOrder.findById(order._id)).toObject(), holding: allocation.holding };
+    }
+
+    const offering = await Offering.findOne({ offeringId: order.offeringId });
+    await this.syncListing(offering, order.shares, firstPurchase);
+    if (offering.status === 'open' && offering.sharesSold >= offering.totalShares) {
+      await this.closeOffering(offering.offeringId, 'fully_subscribed');
+    }
+
+    this.metrics.ordersConfirmed++;
+    console.log(`✅ Confirmed order ${orderId}: ${order.shares} shares of property ${order.propertyId} for user ${userId}`);
+
+    return { order: confirmed.toObject(), holding: allocation.holding };
+  }
+
+  /**
+   * Apply an order update and its offering counter change together, only while
+   * the order still matches `filter`, so a retried step moves the counters once
+   * @returns {Promise<Object|null>} Updated order, or null if it no longer matched
+   */
+  async updateOrderAndOffering(filter, update, offeringInc) {
+    const session = await mongoose.startSession();
+    let updated = null;
+    try {
+      await session.withTransaction(async () => {
+        updated = await ShareOrder.findOneAndUpdate(filter, update, { new: true, session });
+        if (updated) {
+          await Offering.updateOne({ offeringId: updated.offeringId }, { $inc: offeringInc }, { session });
+        }
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' }
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (updated) updated.$session(null);
+    return updated;
+  }
+
+  /**
+   * Buyer cancels a reservation before confirming it
+   * @param {string} orderId - Order to cancel
+   * @param {string} userId - Buyer, checked against the order
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId, userId) {
+    const order = await ShareOrder.findOneAndUpdate(
+      { orderId, userId, status: 'reserved' },
+      { status: 'cancelled', cancelledAt: new Date(), releasePending: true },
+      { new: true }
+    );
+    if (!order) {
+      throw new Error(`Order ${orderId} is not an open reservation`);
+    }
+
+    try {
+      await this.releaseReservation(order, 'cancelled');
+    } catch (error) {
+      console.error(`❌ Release of cancelled order ${orderId} failed, will be retried:`, error.message);
+    }
+    this.metrics.ordersCancelled++;
+    return order.toObject();
+  }
+
+  /**
+   * Expire a single reservation whose hold window has passed
+   */
+  async expireOrder(order) {
+    const expired = await ShareOrder.findOneAndUpdate(
+      { _id: order._id, status: 'reserved', expiresAt: { $lte: new Date() } },
+      { status: 'expired', cancelledAt: new Date(), releasePending: true },
+      { new: true }
+    );
+    if (!expired) {
+      return false;
+    }
+
+    this.metrics.ordersExpired++;
+    await this.releaseReservation(expired, 'expired');
+    return true;
+  }
+
+  /**
+   * Expire every reservation past its window
+   * @returns {Promise<number>} Orders expired
+   */
+  async expireStaleReservations() {
+    const stale = await ShareOrder.find({ status: 'reserved', expiresAt: { $lte: new Date() } }).limit(500);
+    let expired = 0;
+
+    for (const order of stale) {
+      try {
+        if (await this.expireOrder(order)) expired++;
+      } catch (error) {
+        console.error(`❌ Failed to expire order ${order.orderId}:`, error.message);
+      }
+    }
+
+    if (expired > 0) {
+      console.log(`⏰ Expired ${expired} share reservations`);
+    }
+    return expired;
+  }
+
+  /**
+   * Return a held amount to the buyer and put the shares back on sale.
+   * Safe to repeat: the wallet release is keyed on the order and the shares
+   * go back only while the order is still flagged releasePending.
+   */
+  async releaseReservation(order, reason) {
+    if (order.walletId && order.holdLedgerId) {
+      await walletService.release({
+        walletId: order.walletId,
+        amount: order.amountFxct,
+        ref: order.orderId,
+        meta: { releaseType: 'restore', action: 'share_purchase_release', reason, offeringId: order.offeringId },
+        idempotencyKey: `${order.orderId}_release`,
+        processedBy: order.userId
+      });
+    }
+    const released = await this.updateOrderAndOffering(
+      { _id: order._id, releasePending: true },
+      { $unset: { releasePending: 1 } },
+      { sharesReserved: -order.shares }
+    );
+    if (released) {
+      console.log(`↩️ Released order ${order.orderId} (${reason}): ${order.shares} shares returned to ${order.offeringId}`);
+    }
+  }
+
+  /**
+   * Finish orders left half-done by a crash or a failed wallet call: cancelled
+   * or expired orders whose hold was never released, and confirmations that
+   * stopped part-way
+   * @returns {Promise<Object>} { released, resumed }
+   */
+  async recoverStuckOrders() {
+    const cutoff = new Date(Date.now() - STUCK_ORDER_MS);
+    let released = 0;
+    let resumed = 0;
+
+    const unreleased = await ShareOrder.find({ releasePending: true, cancelledAt: { $lte: cutoff } }).limit(500);
+    for (const order of unreleased) {
+      try {
+        await this.releaseReservation(order, `${order.status}_retry`);
+        released++;
+      } catch (error) {
+        console.error(`❌ Release retry failed for order ${order.orderId}:`, error.message);
+      }
+    }
+
+    const confirming = await ShareOrder.find({ status: 'confirming', updatedAt: { $lte: cutoff } }).limit(100);
+    for (const order of confirming) {
+      try {
+        await this.resumeConfirmation(order);
+        resumed++;
+      } catch (error) {
+        console.error(`❌ Confirmation recovery failed for order ${order.orderId}:`, error.message);
+      }
+    }
+
+    if (released + resumed > 0) {
+      console.log(`🔁 Share order recovery: ${released} releases retried, ${resumed} confirmations resumed`);
+    }
+    return { released, resumed };
+  }
+
+  /**
+   * Continue a confirmation that stopped part-way. If the hold was consumed the
+   * shares are allocated (or the buyer refunded); otherwise the order goes back
+   * to reserved, where confirming again or expiry picks it up.
+   */
+  async resumeConfirmation(order) {
+    const settle = await WalletLedger.findOne({ idempotencyKey: `${order.orderId}_settle` });
+    if (!settle) {
+      await ShareOrder.updateOne(
+        { _id: order._id, status: 'confirming' },
+        { status: 'reserved', lastError: 'Confirmation interrupted before payment' }
+      );
+      return;
+    }
+
+    await this.allocateOrder(order, settle._id);
+  }
+
+  /**
+   * Close an offering; outstanding reservations are released
+   * @param {string} offeringId - Offering to close
+   * @param {string} reason - fully_subscribed, closed or cancelled
+   * @returns {Promise<Object>} Closed offering
+   */
+  async closeOffering(offeringId, reason = 'closed') {
+    const status = ['fully_subscribed', 'cancelled'].includes(reason) ? reason : 'closed';
+    const offering = await Offering.findOneAndUpdate(
+      { offeringId, status: 'open' },
+      { status, closedAt: new Date(), closedReason: reason },
+      { new: true }
+    );
+    if (!offering) {
+      throw new Error(`Offering ${offeringId} is not open`);
+    }
+
+    const reservations = await ShareOrder.find({ offeringId, status: 'reserved' });
+    for (const reservation of reservations) {
+      const cancelled = await ShareOrder.findOneAndUpdate(
+        { _id: reservation._id, status: 'reserved' },
+        { status: 'cancelled', cancelledAt: new Date(), lastError: `Offering ${status}`, releasePending: true },
+        { new: true }
+      );
+      if (!cancelled) continue;
+
+      // One failed release must not leave the rest open; recoverStuckOrders() retries it
+      try {
+        await this.releaseReservation(cancelled, `offering_${status}`);
+      } catch (error) {
+        console.error(`❌ Release of order ${cancelled.orderId} on closing ${offeringId} failed, will be retried:`, error.message);
+      }
+    }
+
+    if (offering.listingId) {
+      await MarketplaceListing.updateOne(
+        { id: offering.listingId },
+        { status: status === 'fully_subscribed' ? 'fully_funded' : 'offering_closed' }
+      );
+    }
+
+    console.log(`🔒 Offering ${offeringId} ${status}: ${offering.sharesSold}/${offering.totalShares} shares sold`);
+    return (await Offering.findOne({ offeringId })).toObject();
+  }
+
+  /**
+   * Mirror sold shares onto the source listing so marketplace views stay current
+   */
+  async syncListing(offering, sharesSold, newInvestor) {
+    if (!offering?.listingId) {
+      return;
+    }
+
+    try {
+      await MarketplaceListing.updateOne(
+        { id: offering.listingId },
+        {
+          $inc: { availableTokens: -sharesSold, 'stats.tokenHolders': newInvestor ? 1 : 0 },
+          lastUpdated: new Date()
+        }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to sync listing ${offering.listingId}:`, error.message);
+    }
+  }
+
+  async getOffering(offeringId) {
+    const offering = await Offering.findOne({ offeringId })
+      .populate('propertyId', 'title address city state price propertyType imgSrc tokenization');
+    if (!offering) {
+      return null;
+    }
+
+    const data = offering.toObject();
+    return {
+      ...data,
+      sharesAvailable: Math.max(data.totalShares - data.sharesSold - data.sharesReserved, 0),
+      percentSubscribed: Math.round((data.sharesSold / data.totalShares) * 10000) / 100
+    };
+  }
+
+  async listOfferings(filters = {}, options = {}) {
+    const { status, propertyId } = filters;
+    const { page = 1, limit = 20 } = options;
+
+    const query = {};
+    if (status) query.status = status;
+    if (propertyId) query.propertyId = propertyId;
+
+    const skip = (page - 1) * limit;
+    const [offerings, total] = await Promise.all([
+      Offering.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('propertyId', 'title address city state price propertyType imgSrc'),
+      Offering.countDocuments(query)
+    ]);
+
+    return {
+      offerings: offerings.map(o => ({
+        ...o.toObject(),
+        sharesAvailable: Math.max(o.totalShares - o.sharesSold - o.sharesReserved, 0)
+      })),
+      pagination: { page, limit, total, hasMore: skip + offerings.length < total }
+    };
+  }
+
+  async listOrders(filters = {}, options = {}) {
+    const { userId, offeringId, status } = filters;
+    const { page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (userId) query.userId = userId;
+    if (offeringId) query.offeringId = offeringId;
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+    const [orders, total] = await Promise.all([
+      ShareOrder.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('propertyId', 'title address'),
+      ShareOrder.countDocuments(query)
+    ]);
+
+    return {
+      orders: orders.map(o => o.toObject()),
+      pagination: { page, limit, total, hasMore: skip + orders.length < total }
+    };
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Export singleton instance
+const offeringService = new OfferingService();
+module.exports = offeringService;
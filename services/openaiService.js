@@ -1,8 +1,14 @@
 // ai/services/openaiClient.js
 const OpenAI = require("openai");
+const providerResilience = require("./providerResilience");
 
+// Retries run in the resilience wrapper alongside the breaker and bulkhead,
+// so the SDK's own retries are off. Calls aren't tracked in NetworkAnalytics
+// here: token costs need the request and response bodies.
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
+  maxRetries: 0,
+  fetch: providerResilience.wrapFetch("openai", globalThis.fetch, { track: false }),
 });
 
 module.exports = openai;
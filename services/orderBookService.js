@@ -0,0 +1,593 @@
+/**
+ * Order Book Service - Secondary market for fractional property shares
+ *
+ * Features:
+ * - Per-property limit order book priced in FXCT per share
+ * - Price-time priority matching; trades execute at the resting order's price
+ * - Partial fills, cancellation and self-trade prevention
+ * - Bids escrow FXCT with walletService.hold, asks escrow shares with holdingsService.lockShares
+ * - Settlement consumes the buyer's hold, refunds price improvement, credits the seller
+ *   and moves the shares, each step idempotent so failed settlements can be retried
+ * - Depth, top-of-book and trade history views
+ */
+
+const crypto = require('crypto');
+const { Decimal128 } = require('mongodb');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const ShareTransaction = require('../models/ShareTransaction');
+const { MarketOrder, Trade } = require('../models/MarketOrder');
+const walletService = require('./walletService');
+const holdingsService = require('./holdingsService');
+
+// Prices and amounts are handled as integer micro-FXCT so holds always net out exactly
+const FXCT_DECIMALS = 6;
+const FXCT_UNIT = 10 ** FXCT_DECIMALS;
+const MAX_SETTLEMENT_ATTEMPTS = 5;
+const OPEN_STATUSES = ['open', 'partially_filled'];
+
+class OrderBookService {
+  constructor() {
+    // Tail of the pending work per property book; matching for one property runs one order at a time
+    this.bookLocks = new Map();
+    this.metrics = {
+      ordersPlaced: 0,
+      ordersCancelled: 0,
+      tradesExecuted: 0,
+      settlementsFailed: 0
+    };
+  }
+
+  /**
+   * Place a limit order and match it against the book
+   * @param {Object} request - { propertyId, userId, side, shares, pricePerShareFxct, clientKey }
+   * @returns {Promise<Object>} Order after matching and the trades it produced
+   */
+  async placeOrder(request) {
+    const { propertyId, userId, side, shares, clientKey = null } = request;
+
+    if (!['buy', 'sell'].includes(side)) {
+      throw new Error('Side must be buy or sell');
+    }
+    if (!Number.isInteger(shares) || shares <= 0) {
+      throw new Error('Shares must be a positive integer');
+    }
+    const priceUnits = this.toUnits(request.pricePerShareFxct);
+    if (priceUnits <= 0n) {
+      throw new Error(`Price must be at least ${1 / FXCT_UNIT} FXCT`);
+    }
+
+    if (clientKey) {
+      const existing = await MarketOrder.findOne({ userId, clientKey });
+      if (existing) {
+        console.log(`ℹ️ Duplicate market order detected: ${clientKey}`);
+        return { order: existing.toObject(), trades: [] };
+      }
+    }
+
+    const user = await User.findById(userId).select('kyc suspended');
+    if (!user || user.suspended) {
+      throw new Error('User account is not active');
+    }
+    if (user.kyc?.status !== 'approved') {
+      throw new Error('KYC verification must be approved before trading');
+    }
+
+    const property = await Property.findById(propertyId).select('isFractional tokenization');
+    if (!property || !property.isFractional) {
+      throw new Error(`Property ${propertyId} is not a tradable fractional property`);
+    }
+
+    const orderId = `mkt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const orderData = {
+      orderId,
+      propertyId,
+      userId,
+      side,
+      pricePerShareFxct: new Decimal128(this.unitsToFxct(priceUnits)),
+      shares,
+      clientKey
+    };
+
+    // Escrow first so a resting order is always fully backed
+    if (side === 'buy') {
+      const heldUnits = priceUnits * BigInt(shares);
+      const { wallet } = await walletService.getOrCreateWallet(userId, userId);
+      await walletService.hold({
+        walletId: wallet._id,
+        amount: parseFloat(this.unitsToFxct(heldUnits)),
+        ref: orderId,
+        meta: { action: 'market_bid_hold', propertyId, shares },
+        idempotencyKey: `${orderId}_hold`,
+        processedBy: userId
+      });
+      orderData.walletId = wallet._id;
+      orderData.heldFxct = new Decimal128(this.unitsToFxct(heldUnits));
+    } else {
+      await holdingsService.lockShares({ propertyId, userId, shares });
+    }
+
+    let order;
+    try {
+      order = await MarketOrder.create(orderData);
+    } catch (error) {
+      await this.releaseEscrow(orderData, shares, this.toUnits(orderData.heldFxct?.toString() || 0), 'order_rejected');
+      throw error;
+    }
+
+    this.metrics.ordersPlaced++;
+    console.log(`📈 ${side.toUpperCase()} ${shares} @ ${this.unitsToFxct(priceUnits)} FXCT placed on property ${propertyId} (${orderId})`);
+
+    const trades = await this.withBookLock(propertyId, () => this.matchOrder(orderId));
+
+    // Settlement runs outside the book lock; escrow guarantees each side can pay
+    for (const trade of trades) {
+      await this.settleTrade(trade.tradeId);
+    }
+
+    return {
+      order: (await MarketOrder.findOne({ orderId })).toObject(),
+      trades: await Trade.find({ tradeId: { $in: trades.map(t => t.tradeId) } }).then(docs => docs.map(d => d.toObject()))
+    };
+  }
+
+  /**
+   * Match an incoming order against resting orders on the other side
+   * @param {string} orderId - Taker order
+   * @returns {Promise<Array>} Trades created
+   */
+  async matchOrder(orderId) {
+    const trades = [];
+
+    for (;;) {
+      const taker = await MarketOrder.findOne({ orderId });
+      if (!taker || !OPEN_STATUSES.includes(taker.status)) break;
+
+      const remaining = taker.shares - taker.filledShares;
+      if (remaining <= 0) break;
+
+      const isBuy = taker.side === 'buy';
+      const takerPrice = new Decimal128(taker.pricePerShareFxct.toFixed(FXCT_DECIMALS));
+      const maker = await MarketOrder.findOne({
+        propertyId: taker.propertyId,
+        side: isBuy ? 'sell' : 'buy',
+        status: { $in: OPEN_STATUSES },
+        userId: { $ne: taker.userId },
+        pricePerShareFxct: isBuy ? { $lte: takerPrice } : { $gte: takerPrice }
+      }).sort({ pricePerShareFxct: isBuy ? 1 : -1, createdAt: 1 });
+
+      if (!maker) break;
+
+      const fillShares = Math.min(remaining, maker.shares - maker.filledShares);
+      const buyOrder = isBuy ? taker : maker;
+      const sellOrder = isBuy ? maker : taker;
+
+      const tradePriceUnits = this.toUnits(maker.pricePerShareFxct);
+      const amountUnits = tradePriceUnits * BigInt(fillShares);
+      const buyerFilled = buyOrder.filledShares + fillShares === buyOrder.shares;
+      const buyerHeldUnits = this.toUnits(buyOrder.heldFxct);
+      // The last fill of a bid releases whatever is still held so nothing is stranded
+      const holdReleasedUnits = buyerFilled
+        ? buyerHeldUnits
+        : this.toUnits(buyOrder.pricePerShareFxct) * BigInt(fillShares);
+
+      const makerFilled = await this.applyFill(maker, fillShares, maker.side === 'buy' ? buyerHeldUnits - holdReleasedUnits : null);
+      if (!makerFilled) {
+        // Lost a race with a cancel from another instance; look again
+        continue;
+      }
+      const takerFilled = await this.applyFill(taker, fillShares, taker.side === 'buy' ? buyerHeldUnits - holdReleasedUnits : null);
+      if (!takerFilled) {
+        // The taker was cancelled or filled elsewhere meanwhile: give the maker its
+        // shares back and stop, so no trade is recorded or settled
+        await this.revertFill(maker, fillShares);
+        break;
+      }
+
+      const trade = await Trade.create({
+        tradeId: `trd_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        propertyId: taker.propertyId,
+        buyOrderId: buyOrder.orderId,
+        sellOrderId: sellOrder.orderId,
+        buyerId: buyOrder.userId,
+        sellerId: sellOrder.userId,
+        takerSide: taker.side,
+        shares: fillShares,
+        pricePerShareFxct: new Decimal128(this.unitsToFxct(tradePriceUnits)),
+        amountFxct: new Decimal128(this.unitsToFxct(amountUnits)),
+        buyerHoldReleasedFxct: new Decimal128(this.unitsToFxct(holdReleasedUnits)),
+        buyerWalletId: buyOrder.walletId
+      });
+
+      trades.push(trade.toObject());
+      this.metrics.tradesExecuted++;
+      console.log(`🤝 Trade ${trade.tradeId}: ${fillShares} shares of property ${taker.propertyId} @ ${this.unitsToFxct(tradePriceUnits)} FXCT`);
+    }
+
+    return trades;
+  }
+
+  /**
+   * Record a fill on an order, guarded against concurrent modification
+   */
+  async applyFill(order, fillShares, heldUnitsAfter) {
+    const filled = order.filledShares + fillShares;
+    const update = {
+      $inc: { filledShares: fillShares },
+      $set: { status: filled === order.shares ? 'filled' : 'partially_filled' }
+    };
+    if (heldUnitsAfter !== null) {
+      update.$set.heldFxct = new Decimal128(this.unitsToFxct(heldUnitsAfter));
+    }
+
+    return MarketOrder.findOneAndUpdate(
+      { _id: order._id, filledShares: order.filledShares, status: { $in: OPEN_STATUSES } },
+      update,
+      { new: true }
+    );
+  }
+
+  /**
+   * Undo a fill recorded by applyFill, restoring the order as it was before it
+   * @param {Object} order - The order as read before applyFill
+   */
+  async revertFill(order, fillShares) {
+    const update = {
+      $inc: { filledShares: -fillShares },
+      $set: { status: order.status }
+    };
+    if (order.side === 'buy') {
+      update.$set.heldFxct = order.heldFxct;
+    }
+
+    const reverted = await MarketOrder.findOneAndUpdate(
+      { _id: order._id, filledShares: order.filledShares + fillShares },
+      update,
+      { new: true }
+    );
+    if (!reverted) {
+      console.error(`❌ Could not revert ${fillShares}-share fill on order ${order.orderId}; it changed concurrently`);
+    }
+    return reverted;
+  }
+
+  /**
+   * Settle a trade: move shares, debit the buyer's hold and credit the seller
+   * Each step carries its own idempotency key and is flagged once done, so this is safe to retry.
+   * @param {string} tradeId - Trade to settle
+   * @returns {Promise<Object>} Trade after settlement attempt
+   */
+  async settleTrade(tradeId) {
+    const trade = await Trade.findOne({ tradeId });
+    if (!trade) {
+      throw new Error(`Trade ${tradeId} not found`);
+    }
+    if (trade.status === 'settled') {
+      return trade.toObject();
+    }
+
+    trade.settlement.attempts++;
+
+    try {
+      if (!trade.settlement.sharesTransferred) {
+        const sharesKey = `${tradeId}_shares`;
+        const alreadyMoved = await ShareTransaction.exists({ idempotencyKey: sharesKey });
+        if (!alreadyMoved) {
+          await holdingsService.runInTransaction(null, async (session) => {
+            await holdingsService.unlockShares(
+              { propertyId: trade.propertyId, userId: trade.sellerId, shares: trade.shares },
+              { session }
+            );
+            await holdingsService.transferShares({
+              propertyId: trade.propertyId,
+              fromUserId: trade.sellerId,
+              toUserId: trade.buyerId,
+              shares: trade.shares,
+              pricePerShareFxct: trade.pricePerShareFxct,
+              ref: tradeId,
+              idempotencyKey: sharesKey,
+              performedBy: trade.sellerId,
+              meta: { source: 'secondary_market', buyOrderId: trade.buyOrderId, sellOrderId: trade.sellOrderId }
+            }, { session });
+          });
+        }
+        trade.settlement.sharesTransferred = true;
+      }
+
+      if (!trade.settlement.buyerDebited) {
+        await walletService.release({
+          walletId: trade.buyerWalletId,
+          amount: trade.amountFxct,
+          ref: tradeId,
+          meta: { releaseType: 'consume', action: 'share_purchase', propertyId: trade.propertyId, shares: trade.shares },
+          idempotencyKey: `${tradeId}_buyer_debit`,
+          processedBy: trade.buyerId
+        });
+
+        const improvementUnits = this.toUnits(trade.buyerHoldReleasedFxct) - this.toUnits(trade.amountFxct);
+        if (improvementUnits > 0n) {
+          await walletService.release({
+            walletId: trade.buyerWalletId,
+            amount: parseFloat(this.unitsToFxct(improvementUnits)),
+            ref: tradeId,
+            meta: { releaseType: 'restore', action: 'price_improvement', propertyId: trade.propertyId },
+            idempotencyKey: `${tradeId}_buyer_improvement`,
+            processedBy: trade.buyerId
+          });
+        }
+        trade.settlement.buyerDebited = true;
+      }
+
+      if (!trade.settlement.sellerCredited) {
+        const { wallet } = await walletService.getOrCreateWallet(trade.sellerId, trade.sellerId);
+        await walletService.credit({
+          walletId: wallet._id,
+          amount: trade.amountFxct,
+          type: 'credit',
+          ref: tradeId,
+          meta: { action: 'share_sale', propertyId: trade.propertyId, shares: trade.shares },
+          idempotencyKey: `${tradeId}_seller_credit`,
+          processedBy: trade.sellerId
+        });
+        trade.settlement.sellerCredited = true;
+      }
+
+      trade.status = 'settled';
+      trade.settledAt = new Date();
+      trade.settlement.lastError = undefined;
+    } catch (error) {
+      trade.status = 'settlement_failed';
+      trade.settlement.lastError = error.message;
+      this.metrics.settlementsFailed++;
+      console.error(`❌ Settlement failed for trade ${tradeId}:`, error.message);
+    }
+
+    await trade.save();
+    return trade.toObject();
+  }
+
+  /**
+   * Retry trades whose settlement failed or never completed
+   * @returns {Promise<Object>} { attempted, settled }
+   */
+  async retryPendingSettlements() {
+    const stale = await Trade.find({
+      status: { $in: ['pending_settlement', 'settlement_failed'] },
+      'settlement.attempts': { $lt: MAX_SETTLEMENT_ATTEMPTS },
+      updatedAt: { $lt: new Date(Date.now() - 60 * 1000) }
+    }).limit(100);
+
+    let settled = 0;
+    for (const trade of stale) {
+      const result = await this.settleTrade(trade.tradeId);
+      if (result.status === 'settled') settled++;
+    }
+
+    if (stale.length > 0) {
+      console.log(`🔁 Settlement retry: ${settled}/${stale.length} trades settled`);
+    }
+    return { attempted: stale.length, settled };
+  }
+
+  /**
+   * Cancel the unfilled remainder of an order and release its escrow
+   * @param {string} orderId - Order to cancel
+   * @param {string} userId - Owner, checked against the order (omit for admin cancels)
+   * @param {string} reason - Recorded on the order
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId, userId = null, reason = 'user_cancelled') {
+    const query = { orderId };
+    if (userId) query.userId = userId;
+
+    const existing = await MarketOrder.findOne(query);
+    if (!existing) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    // Cancels queue behind matching so they never race a fill on the same book
+    return this.withBookLock(existing.propertyId, async () => {
+      const order = await MarketOrder.findOneAndUpdate(
+        { ...query, status: { $in: OPEN_STATUSES } },
+        { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason },
+        { new: false }
+      );
+      if (!order) {
+        throw new Error(`Order ${orderId} is no longer open`);
+      }
+
+      const remaining = order.shares - order.filledShares;
+      const heldUnits = this.toUnits(order.heldFxct);
+      await this.releaseEscrow(order, remaining, heldUnits, reason);
+
+      if (order.side === 'buy' && heldUnits > 0n) {
+        await MarketOrder.updateOne({ _id: order._id }, { heldFxct: new Decimal128('0') });
+      }
+
+      this.metrics.ordersCancelled++;
+      console.log(`🚫 Cancelled order ${orderId} (${remaining} shares unfilled, ${reason})`);
+      return (await MarketOrder.findById(order._id)).toObject();
+    });
+  }
+
+  /**
+   * Return whatever an order still has in escrow
+   */
+  async releaseEscrow(order, remainingShares, heldUnits, reason) {
+    if (order.side === 'buy') {
+      if (heldUnits > 0n) {
+        await walletService.release({
+          walletId: order.walletId,
+          amount: parseFloat(this.unitsToFxct(heldUnits)),
+          ref: order.orderId,
+          meta: { releaseType: 'restore', action: 'market_bid_release', reason },
+          idempotencyKey: `${order.orderId}_release`,
+          processedBy: order.userId
+        });
+      }
+    } else if (remainingShares > 0) {
+      await holdingsService.unlockShares({ propertyId: order.propertyId, userId: order.userId, shares: remainingShares });
+    }
+  }
+
+  /**
+   * Aggregated price levels for both sides of a property's book
+   * @param {string} propertyId - Property
+   * @param {number} depth - Price levels per side
+   * @returns {Promise<Object>} { bids, asks }
+   */
+  async getOrderBook(propertyId, depth = 10) {
+    const property = await Property.findById(propertyId).select('_id');
+    if (!property) {
+      throw new Error(`Property ${propertyId} not found`);
+    }
+
+    const levels = (side) => MarketOrder.aggregate([
+      { $match: { propertyId: property._id, side, status: { $in: OPEN_STATUSES } } },
+      {
+        $group: {
+          _id: '$pricePerShareFxct',
+          shares: { $sum: { $subtract: ['$shares', '$filledShares'] } },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: side === 'buy' ? -1 : 1 } },
+      { $limit: depth }
+    ]);
+
+    const [bids, asks] = await Promise.all([levels('buy'), levels('sell')]);
+    const format = (level) => ({
+      pricePerShareFxct: parseFloat(level._id.toString()),
+      shares: level.shares,
+      orders: level.orders
+    });
+
+    return {
+      propertyId,
+      bids: bids.map(format),
+      asks: asks.map(format),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Best bid, best ask and last trade for a property
+   * @param {string} propertyId - Property
+   * @returns {Promise<Object>} Top-of-book quote
+   */
+  async getTopOfBook(propertyId) {
+    const [book, lastTrade] = await Promise.all([
+      this.getOrderBook(propertyId, 1),
+      Trade.findOne({ propertyId }).sort({ createdAt: -1 })
+    ]);
+
+    const bid = book.bids[0]?.pricePerShareFxct ?? null;
+    const ask = book.asks[0]?.pricePerShareFxct ?? null;
+
+    return {
+      propertyId,
+      price: lastTrade ? lastTrade.pricePerShareFxct : null,
+      bid,
+      ask,
+      bidSize: book.bids[0]?.shares || 0,
+      askSize: book.asks[0]?.shares || 0,
+      spread: bid !== null && ask !== null ? parseFloat((ask - bid).toFixed(FXCT_DECIMALS)) : null,
+      lastTradeAt: lastTrade?.createdAt || null
+    };
+  }
+
+  /**
+   * Executed trades filtered by property and/or participant
+   * @param {Object} filters - { propertyId, userId }
+   * @param {Object} options - { page, limit, includeCounterparties }
+   * @returns {Promise<Object>} Trades with pagination
+   */
+  async getTrades(filters = {}, options = {}) {
+    const { propertyId, userId, status } = filters;
+    const { page = 1, limit = 50, includeCounterparties = false } = options;
+
+    const query = {};
+    if (propertyId) query.propertyId = propertyId;
+    if (status) query.status = status;
+    if (userId) query.$or = [{ buyerId: userId }, { sellerId: userId }];
+
+    const skip = (page - 1) * limit;
+    const [trades, total] = await Promise.all([
+      Trade.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Trade.countDocuments(query)
+    ]);
+
+    return {
+      trades: trades.map(t => {
+        const trade = t.toObject();
+        // Counterparties stay anonymous on public history
+        if (!userId && !includeCounterparties) {
+          delete trade.buyerId;
+          delete trade.sellerId;
+          delete trade.buyerWalletId;
+        }
+        return trade;
+      }),
+      pagination: { page, limit, total, hasMore: skip + trades.length < total }
+    };
+  }
+
+  async listOrders(filters = {}, options = {}) {
+    const { userId, propertyId, status } = filters;
+    const { page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (userId) query.userId = userId;
+    if (propertyId) query.propertyId = propertyId;
+    if (status === 'active') query.status = { $in: OPEN_STATUSES };
+    else if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+    const [orders, total] = await Promise.all([
+      MarketOrder.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('propertyId', 'title address'),
+      MarketOrder.countDocuments(query)
+    ]);
+
+    return {
+      orders: orders.map(o => o.toObject()),
+      pagination: { page, limit, total, hasMore: skip + orders.length < total }
+    };
+  }
+
+  /**
+   * Serialize work on one property's book within this process
+   */
+  withBookLock(propertyId, work) {
+    const key = String(propertyId);
+    const previous = this.bookLocks.get(key) || Promise.resolve();
+    const run = previous.then(work);
+    const tail = run.catch(() => {});
+
+    this.bookLocks.set(key, tail);
+    tail.then(() => {
+      if (this.bookLocks.get(key) === tail) this.bookLocks.delete(key);
+    });
+
+    return run;
+  }
+
+  toUnits(value) {
+    return BigInt(Math.round(Number(value || 0) * FXCT_UNIT));
+  }
+
+  unitsToFxct(units) {
+    const negative = units < 0n;
+    const abs = negative ? -units : units;
+    const whole = abs / BigInt(FXCT_UNIT);
+    const fraction = (abs % BigInt(FXCT_UNIT)).toString().padStart(FXCT_DECIMALS, '0');
+    return `${negative ? '-' : ''}${whole}.${fraction}`;
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Export singleton instance
+const orderBookService = new OrderBookService();
+module.exports = orderBookService;
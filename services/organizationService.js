@@ -0,0 +1,675 @@
+/**
+ * Organization Service - Firm accounts with a pooled FXCT wallet
+ *
+ * Features:
+ * - Organizations with owner/admin/member roles and a seat limit
+ * - Invitations by email, accepted in-app or with a one-time token
+ * - Per-member monthly allowances drawn from the pooled wallet
+ * - Billing wallet resolution for the deductFxct middleware
+ * - Org-level usage report by member, data type and endpoint
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Organization, OrganizationMembership, OrganizationInvite } = require('../models/Organization');
+const { WalletUsageLedger } = require('../models/Wallet');
+const User = require('../models/User');
+const walletService = require('./walletService');
+const notificationService = require('./notificationService');
+
+const INVITE_TTL_DAYS = parseInt(process.env.ORGANIZATION_INVITE_TTL_DAYS) || 7;
+const MANAGER_ROLES = ['owner', 'admin'];
+
+function orgError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function round(value, decimals = 6) {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function monthBounds(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return { start, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)), key: start.toISOString().slice(0, 7) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function slugify(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'org';
+  return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+class OrganizationService {
+  /**
+   * Create an organization owned by the caller, with its pooled wallet
+   * @param {string} ownerId - User creating the organization
+   * @param {Object} details - { name, defaultMonthlyAllowanceFxct, maxSeats }
+   * @returns {Promise<Object>} Organization with the owner's membership
+   */
+  async createOrganization(ownerId, details) {
+    const { name, defaultMonthlyAllowanceFxct = null, maxSeats } = details;
+    if (!name || !name.trim()) {
+      throw orgError('Organization name is required');
+    }
+
+    const existing = await OrganizationMembership.findOne({ userId: ownerId, status: 'active' }).lean();
+    if (existing) {
+      throw orgError('You already belong to an organization; leave it before creating another', 409);
+    }
+
+    const organization = await Organization.create({
+      name: name.trim(),
+      slug: slugify(name),
+      ownerId,
+      settings: {
+        defaultMonthlyAllowanceFxct,
+        ...(maxSeats ? { maxSeats } : {})
+      }
+    });
+
+    try {
+      await OrganizationMembership.create({
+        organizationId: organization._id,
+        userId: ownerId,
+        role: 'owner',
+        monthlyAllowanceFxct: null
+      });
+
+      const { wallet } = await walletService.getOrCreateOrganizationWallet(organization._id, ownerId);
+      organization.walletId = wallet._id;
+      await organization.save();
+    } catch (error) {
+      await OrganizationMembership.deleteMany({ organizationId: organization._id });
+      await Organization.deleteOne({ _id: organization._id });
+      throw error.code === 11000
+        ? orgError('You already belong to an organization; leave it before creating another', 409)
+        : error;
+    }
+
+    console.log(`🏢 Organization ${organization.slug} created by user ${ownerId}`);
+    return this.getOrganization(organization._id, ownerId);
+  }
+
+  /**
+   * Organization details, pooled balance and the caller's seat
+   */
+  async getOrganization(organizationId, userId) {
+    const { organization, membership } = await this.requireMember(organizationId, userId);
+    const [balance, seatsUsed] = await Promise.all([
+      organization.walletId ? walletService.getBalance(organization.walletId.toString()) : null,
+      this.countSeats(organization._id)
+    ]);
+
+    return {
+      id: organization._id,
+      name: organization.name,
+      slug: organization.slug,
+      status: organization.status,
+      ownerId: organization.ownerId,
+      settings: organization.settings,
+      seats: { used: seatsUsed, max: organization.settings?.maxSeats || null },
+      wallet: balance ? {
+        walletId: organization.walletId,
+        available: balance.available,
+        pending: balance.pending,
+        total: balance.total
+      } : null,
+      membership: {
+        role: membership.role,
+        joinedAt: membership.joinedAt,
+        allowance: await this.getAllowance(membership, organization.walletId)
+      },
+      createdAt: organization.createdAt
+    };
+  }
+
+  /**
+   * The caller's active organization, or null
+   */
+  async getMyOrganization(userId) {
+    const membership = await OrganizationMembership.findOne({ userId, status: 'active' }).lean();
+    return membership ? this.getOrganization(membership.organizationId, userId) : null;
+  }
+
+  /**
+   * Update organization name and settings (owner/admin)
+   */
+  async updateOrganization(organizationId, actorId, updates) {
+    const { organization } = await this.requireManager(organizationId, actorId);
+    const $set = {};
+
+    if (updates.name !== undefined) {
+      if (!updates.name || !updates.name.trim()) throw orgError('Organization name is required');
+      $set.name = updates.name.trim();
+    }
+    if (updates.defaultMonthlyAllowanceFxct !== undefined) {
+      $set['settings.defaultMonthlyAllowanceFxct'] = updates.defaultMonthlyAllowanceFxct;
+    }
+    if (updates.maxSeats !== undefined) {
+      const seatsUsed = await this.countSeats(organization._id);
+      if (updates.maxSeats < seatsUsed) {
+        throw orgError(`The organization already uses ${seatsUsed} seats`);
+      }
+      $set['settings.maxSeats'] = updates.maxSeats;
+    }
+
+    await Organization.updateOne({ _id: organization._id }, { $set });
+    return this.getOrganization(organization._id, actorId);
+  }
+
+  /**
+   * Active members with their allowance usage this month
+   */
+  async listMembers(organizationId, userId) {
+    const { organization } = await this.requireMember(organizationId, userId);
+    const memberships = await OrganizationMembership.find({ organizationId: organization._id, status: 'active' })
+      .sort({ joinedAt: 1 })
+      .lean();
+
+    const users = await User.find({ _id: { $in: memberships.map(m => m.userId) } })
+      .select('firstName lastName email')
+      .lean();
+    const userMap = new Map(users.map(u => [u._id.toString(), u]));
+    const spend = await this.getMemberSpend(organization.walletId, monthBounds().start);
+
+    return memberships.map(membership => {
+      const user = userMap.get(membership.userId.toString()) || {};
+      const spent = spend.get(membership.userId.toString()) || 0;
+      return {
+        userId: membership.userId,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' ') || null,
+        email: user.email || null,
+        role: membership.role,
+        joinedAt: membership.joinedAt,
+        allowance: this.describeAllowance(membership.monthlyAllowanceFxct, spent)
+      };
+    });
+  }
+
+  /**
+   * Change a member's role or allowance (owner/admin; only the owner appoints admins)
+   * @param {Object} updates - { role, monthlyAllowanceFxct }
+   */
+  async updateMember(organizationId, actorId, memberId, updates) {
+    const { organization, membership: actor } = await this.requireManager(organizationId, actorId);
+    const target = await OrganizationMembership.findOne({
+      organizationId: organization._id,
+      userId: memberId,
+      status: 'active'
+    });
+    if (!target) throw orgError('Member not found', 404);
+
+    if (target.role === 'owner') {
+      throw orgError('The owner\'s seat cannot be changed', 403);
+    }
+    if (target.role === 'admin' && actor.role !== 'owner') {
+      throw orgError('Only the owner can change an admin', 403);
+    }
+
+    if (updates.role !== undefined) {
+      if (!['admin', 'member'].includes(updates.role)) throw orgError('Role must be admin or member');
+      if (updates.role === 'admin' && actor.role !== 'owner') {
+        throw orgError('Only the owner can appoint admins', 403);
+      }
+      target.role = updates.role;
+    }
+    if (updates.monthlyAllowanceFxct !== undefined) {
+      target.monthlyAllowanceFxct = updates.monthlyAllowanceFxct;
+    }
+
+    await target.save();
+    console.log(`🏢 Member ${memberId} of organization ${organization.slug} updated by ${actorId}`);
+
+    const members = await this.listMembers(organization._id, actorId);
+    return members.find(m => m.userId.toString() === memberId.toString());
+  }
+
+  /**
+   * Remove a member (owner/admin), or leave when actorId === memberId
+   */
+  async removeMember(organizationId, actorId, memberId) {
+    const leaving = actorId.toString() === memberId.toString();
+    const { organization, membership: actor } = leaving
+      ? await this.requireMember(organizationId, actorId)
+      : await this.requireManager(organizationId, actorId);
+
+    const target = leaving ? await OrganizationMembership.findById(actor._id) : await OrganizationMembership.findOne({
+      organizationId: organization._id,
+      userId: memberId,
+      status: 'active'
+    });
+    if (!target) throw orgError('Member not found', 404);
+
+    if (target.role === 'owner') {
+      throw orgError('The owner cannot leave or be removed from the organization', 403);
+    }
+    if (!leaving && target.role === 'admin' && actor.role !== 'owner') {
+      throw orgError('Only the owner can remove an admin', 403);
+    }
+
+    target.status = 'removed';
+    target.removedAt = new Date();
+    target.removedBy = actorId;
+    await target.save();
+
+    if (!leaving) {
+      await notificationService.notify(memberId, {
+        type: 'organization_removed',
+        title: `You were removed from ${organization.name}`,
+        message: `API usage is billed to your personal wallet again.`,
+        severity: 'info',
+        data: { organizationId: organization._id }
+      });
+    }
+
+    console.log(`🏢 User ${memberId} ${leaving ? 'left' : 'removed from'} organization ${organization.slug}`);
+    return { userId: memberId, removed: true };
+  }
+
+  /**
+   * Invite someone by email (owner/admin)
+   * @param {Object} invite - { email, role, monthlyAllowanceFxct }
+   * @returns {Promise<Object>} Invite, including the one-time token to share
+   */
+  async createInvite(organizationId, actorId, invite) {
+    const { organization, membership: actor } = await this.requireManager(organizationId, actorId);
+    const email = (invite.email || '').toLowerCase().trim();
+    const role = invite.role || 'member';
+
+    if (!email) throw orgError('Email is required');
+    if (role === 'admin' && actor.role !== 'owner') {
+      throw orgError('Only the owner can invite admins', 403);
+    }
+
+    const seatsUsed = await this.countSeats(organization._id);
+    if (seatsUsed >= (organization.settings?.maxSeats || Infinity)) {
+      throw orgError(`All ${organization.settings.maxSeats} seats are taken`, 409);
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id').lean();
+    if (existingUser) {
+      const seat = await OrganizationMembership.findOne({ userId: existingUser._id, status: 'active' }).lean();
+      if (seat) throw orgError('That user already belongs to an organization', 409);
+    }
+
+    // A new invite replaces any earlier pending one for the same address
+    await OrganizationInvite.updateMany(
+      { organizationId: organization._id, email, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const created = await OrganizationInvite.create({
+      organizationId: organization._id,
+      email,
+      role,
+      monthlyAllowanceFxct: invite.monthlyAllowanceFxct !== undefined
+        ? invite.monthlyAllowanceFxct
+        : organization.settings?.defaultMonthlyAllowanceFxct ?? null,
+      tokenHash: hashToken(token),
+      invitedBy: actorId,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    if (existingUser) {
+      await notificationService.notify(existingUser._id, {
+        type: 'organization_invite',
+        title: `You've been invited to join ${organization.name}`,
+        message: `Accept the invitation to draw FXCT from ${organization.name}'s shared wallet.`,
+        severity: 'info',
+        data: { organizationId: organization._id, inviteId: created._id, role },
+        dedupeKey: `organization_invite_${created._id}`
+      });
+    }
+
+    console.log(`🏢 Invite to ${organization.slug} sent to ${email} by ${actorId}`);
+    return { ...this.formatInvite(created.toObject()), token };
+  }
+
+  async listInvites(organizationId, actorId) {
+    const { organization } = await this.requireManager(organizationId, actorId);
+    await this.expireInvites(organization._id);
+    const invites = await OrganizationInvite.find({ organizationId: organization._id, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .lean();
+    return invites.map(invite => this.formatInvite(invite));
+  }
+
+  async revokeInvite(organizationId, actorId, inviteId) {
+    const { organization } = await this.requireManager(organizationId, actorId);
+    const invite = await OrganizationInvite.findOneAndUpdate(
+      { _id: inviteId, organizationId: organization._id, status: 'pending' },
+      { $set: { status: 'revoked' } },
+      { new: true }
+    ).lean();
+    if (!invite) throw orgError('Invite not found', 404);
+    return this.formatInvite(invite);
+  }
+
+  /**
+   * Pending invites addressed to the caller's email
+   */
+  async listMyInvites(userId) {
+    const user = await User.findById(userId).select('email').lean();
+    if (!user) return [];
+
+    const invites = await OrganizationInvite.find({ email: user.email, status: 'pending', expiresAt: { $gt: new Date() } })
+      .populate('organizationId', 'name slug')
+      .sort({ createdAt: -1 })
+      .lean();
+    return invites.map(invite => ({
+      ...this.formatInvite(invite),
+      organization: invite.organizationId ? { id: invite.organizationId._id, name: invite.organizationId.name } : null
+    }));
+  }
+
+  /**
+   * Accept an invite by its shared token or, when signed in as the invitee, its ID
+   * @param {string} userId - Accepting user; must own the invited email
+   * @param {Object} ref - { token } or { inviteId }
+   */
+  async acceptInvite(userId, ref) {
+    const invite = ref.token
+      ? await OrganizationInvite.findOne({ tokenHash: hashToken(ref.token) })
+      : mongoose.Types.ObjectId.isValid(ref.inviteId) ? await OrganizationInvite.findById(ref.inviteId) : null;
+    if (!invite || invite.status !== 'pending') {
+      throw orgError('Invitation not found or no longer valid', 404);
+    }
+    if (invite.expiresAt < new Date()) {
+      invite.status = 'expired';
+      await invite.save();
+      throw orgError('Invitation has expired', 410);
+    }
+
+    const user = await User.findById(userId).select('email').lean();
+    if (!user || user.email !== invite.email) {
+      throw orgError('This invitation was sent to a different email address', 403);
+    }
+
+    const organization = await Organization.findById(invite.organizationId).lean();
+    if (!organization || organization.status !== 'active') {
+      throw orgError('Organization is not accepting members', 409);
+    }
+    if (await this.countSeats(organization._id, { excludeInviteId: invite._id }) >= (organization.settings?.maxSeats || Infinity)) {
+      throw orgError('All seats in this organization are taken', 409);
+    }
+
+    try {
+      await OrganizationMembership.create({
+        organizationId: organization._id,
+        userId,
+        role: invite.role,
+        monthlyAllowanceFxct: invite.monthlyAllowanceFxct,
+        invitedBy: invite.invitedBy
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw orgError('You already belong to an organization; leave it before joining another', 409);
+      }
+      throw error;
+    }
+
+    invite.status = 'accepted';
+    invite.acceptedBy = userId;
+    invite.acceptedAt = new Date();
+    await invite.save();
+
+    console.log(`🏢 User ${userId} joined organization ${organization.slug}`);
+    return this.getOrganization(organization._id, userId);
+  }
+
+  /**
+   * Usage drawn from the pooled wallet (owner/admin)
+   * @param {Object} range - { startDate, endDate } (defaults to the current month)
+   */
+  async getUsageReport(organizationId, actorId, range = {}) {
+    const { organization } = await this.requireManager(organizationId, actorId);
+    const start = range.startDate ? new Date(range.startDate) : monthBounds().start;
+    const end = range.endDate ? new Date(range.endDate) : new Date();
+
+    const [result] = await WalletUsageLedger.aggregate([
+      {
+        $match: {
+          walletId: new mongoose.Types.ObjectId(organization.walletId.toString()),
+          createdAt: { $gte: start, $lte: end }
+        }
+      },
+      {
+        $facet: {
+          byMember: [
+            {
+              $group: {
+                _id: '$userId',
+                calls: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                fxct: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, { $toDouble: '$fxctDebited' }, 0] } },
+                usdCost: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, { $toDouble: '$usdCostRef' }, 0] } },
+                declined: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+                lastUsedAt: { $max: '$createdAt' }
+              }
+            },
+            { $sort: { fxct: -1 } }
+          ],
+          byDataType: [
+            { $match: { status: 'completed' } },
+            { $group: { _id: '$dataType', calls: { $sum: 1 }, fxct: { $sum: { $toDouble: '$fxctDebited' } } } },
+            { $sort: { fxct: -1 } }
+          ],
+          byEndpoint: [
+            { $match: { status: 'completed' } },
+            { $group: { _id: { $ifNull: ['$endpoint', 'unknown'] }, calls: { $sum: 1 }, fxct: { $sum: { $toDouble: '$fxctDebited' } } } },
+            { $sort: { fxct: -1 } },
+            { $limit: 25 }
+          ]
+        }
+      }
+    ]);
+
+    const members = await this.listMembers(organization._id, actorId);
+    const memberMap = new Map(members.map(m => [m.userId.toString(), m]));
+    const formerIds = (result?.byMember || []).map(row => row._id).filter(id => !memberMap.has(id.toString()));
+    const formerUsers = formerIds.length
+      ? await User.find({ _id: { $in: formerIds } }).select('firstName lastName email').lean()
+      : [];
+    const formerMap = new Map(formerUsers.map(u => [u._id.toString(), u]));
+
+    const byMember = (result?.byMember || []).map(row => {
+      const member = memberMap.get(row._id.toString());
+      const former = formerMap.get(row._id.toString()) || {};
+      return {
+        userId: row._id,
+        name: member ? member.name : [former.firstName, former.lastName].filter(Boolean).join(' ') || null,
+        email: member ? member.email : former.email || null,
+        role: member ? member.role : 'former member',
+        calls: row.calls,
+        fxct: round(row.fxct),
+        usdCost: round(row.usdCost, 2),
+        declinedForBalance: row.declined,
+        lastUsedAt: row.lastUsedAt,
+        allowance: member ? member.allowance : null
+      };
+    });
+
+    return {
+      organization: { id: organization._id, name: organization.name },
+      period: { start, end },
+      totals: {
+        calls: byMember.reduce((sum, row) => sum + row.calls, 0),
+        fxct: round(byMember.reduce((sum, row) => sum + row.fxct, 0)),
+        usdCost: round(byMember.reduce((sum, row) => sum + row.usdCost, 0), 2),
+        activeMembers: byMember.filter(row => row.calls > 0).length
+      },
+      byMember,
+      byDataType: (result?.byDataType || []).map(row => ({ dataType: row._id, calls: row.calls, fxct: round(row.fxct) })),
+      byEndpoint: (result?.byEndpoint || []).map(row => ({ endpoint: row._id, calls: row.calls, fxct: round(row.fxct) }))
+    };
+  }
+
+  /**
+   * Decide which wallet pays for a user's API call
+   *
+   * Members of an active organization are billed to its pooled wallet unless
+   * they ask for their personal wallet (preference 'personal').
+   * @param {string} userId - User ID
+   * @param {Object} options - { preference: 'organization' | 'personal' }
+   * @returns {Promise<Object>} { wallet, balance, organization, membership } (organization null for personal)
+   */
+  async resolveBillingWallet(userId, options = {}) {
+    const personal = async () => ({
+      ...(await walletService.getOrCreateWallet(userId, 'system')),
+      organization: null,
+      membership: null
+    });
+
+    if (options.preference === 'personal') {
+      return personal();
+    }
+
+    const membership = await OrganizationMembership.findOne({ userId, status: 'active' }).lean();
+    if (!membership) {
+      return personal();
+    }
+
+    const organization = await Organization.findById(membership.organizationId).lean();
+    if (!organization || organization.status !== 'active' || !organization.walletId) {
+      return personal();
+    }
+
+    const walletInfo = await walletService.getOrCreateOrganizationWallet(organization._id, 'system');
+    return { ...walletInfo, organization, membership };
+  }
+
+  /**
+   * Check a charge against the member's monthly allowance
+   * @returns {Promise<Object>} { allowed, allowance }
+   */
+  async checkAllowance(membership, walletId, amount) {
+    if (membership.monthlyAllowanceFxct === null || membership.monthlyAllowanceFxct === undefined) {
+      return { allowed: true, allowance: null };
+    }
+
+    const allowance = await this.getAllowance(membership, walletId);
+    return {
+      allowed: allowance.spentFxct + amount <= allowance.limitFxct + 1e-9,
+      allowance
+    };
+  }
+
+  /**
+   * Tell a member once per month that their allowance is used up
+   */
+  async notifyAllowanceExhausted(membership, organization, allowance) {
+    return notificationService.notify(membership.userId, {
+      type: 'organization_allowance_reached',
+      title: `Your ${organization.name} allowance is used up`,
+      message: `You've used your ${allowance.limitFxct} FXCT monthly allowance. Ask an organization admin to raise it, or bill calls to your personal wallet.`,
+      severity: 'warning',
+      data: { organizationId: organization._id, ...allowance },
+      dedupeKey: `organization_allowance_${membership._id}_${monthBounds().key}`
+    });
+  }
+
+  async getAllowance(membership, walletId) {
+    if (membership.monthlyAllowanceFxct === null || membership.monthlyAllowanceFxct === undefined || !walletId) {
+      return null;
+    }
+    const spend = await this.getMemberSpend(walletId, monthBounds().start, membership.userId);
+    return this.describeAllowance(membership.monthlyAllowanceFxct, spend.get(membership.userId.toString()) || 0);
+  }
+
+  describeAllowance(limit, spent) {
+    if (limit === null || limit === undefined) {
+      return { limitFxct: null, spentFxct: round(spent), remainingFxct: null, resetsAt: monthBounds().resetsAt };
+    }
+    return {
+      limitFxct: limit,
+      spentFxct: round(spent),
+      remainingFxct: round(Math.max(0, limit - spent)),
+      resetsAt: monthBounds().resetsAt
+    };
+  }
+
+  /**
+   * Completed spend per member on the pooled wallet since `since`
+   * @returns {Promise<Map<string, number>>} userId -> FXCT
+   */
+  async getMemberSpend(walletId, since, userId = null) {
+    if (!walletId) return new Map();
+
+    const match = {
+      walletId: new mongoose.Types.ObjectId(walletId.toString()),
+      status: 'completed',
+      createdAt: { $gte: since }
+    };
+    if (userId) match.userId = new mongoose.Types.ObjectId(userId.toString());
+
+    const rows = await WalletUsageLedger.aggregate([
+      { $match: match },
+      { $group: { _id: '$userId', fxct: { $sum: { $toDouble: '$fxctDebited' } } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.fxct]));
+  }
+
+  async countSeats(organizationId, options = {}) {
+    await this.expireInvites(organizationId);
+    const inviteQuery = { organizationId, status: 'pending' };
+    if (options.excludeInviteId) inviteQuery._id = { $ne: options.excludeInviteId };
+
+    const [members, invites] = await Promise.all([
+      OrganizationMembership.countDocuments({ organizationId, status: 'active' }),
+      OrganizationInvite.countDocuments(inviteQuery)
+    ]);
+    return members + invites;
+  }
+
+  async expireInvites(organizationId) {
+    await OrganizationInvite.updateMany(
+      { organizationId, status: 'pending', expiresAt: { $lt: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  formatInvite(invite) {
+    return {
+      id: invite._id,
+      email: invite.email,
+      role: invite.role,
+      monthlyAllowanceFxct: invite.monthlyAllowanceFxct,
+      status: invite.status,
+      invitedBy: invite.invitedBy,
+      expiresAt: invite.expiresAt,
+      createdAt: invite.createdAt
+    };
+  }
+
+  async requireMember(organizationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+      throw orgError('Organization not found', 404);
+    }
+
+    const [organization, membership] = await Promise.all([
+      Organization.findById(organizationId).lean(),
+      OrganizationMembership.findOne({ organizationId, userId, status: 'active' }).lean()
+    ]);
+    if (!organization || !membership) {
+      throw orgError('Organization not found', 404);
+    }
+    return { organization, membership };
+  }
+
+  async requireManager(organizationId, userId) {
+    const result = await this.requireMember(organizationId, userId);
+    if (!MANAGER_ROLES.includes(result.membership.role)) {
+      throw orgError('Only organization owners and admins can do this', 403);
+    }
+    return result;
+  }
+}
+
+const organizationService = new OrganizationService();
+module.exports = organizationService;
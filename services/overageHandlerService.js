@@ -7,15 +7,50 @@
  * 3. Integration with payment providers (Stripe, Coinbase, etc.)
  * 4. Overage tracking and billing
  * 5. Auto-topup functionality
+ *
+ * Purchases are persisted as PurchaseIntents. The wallet is only credited when
+ * the provider's signed webhook confirms payment, using an idempotency key per
+ * intent so a purchase can never be credited twice; refunds and chargebacks
+ * debit the credit back out.
  */
 
-const { tokenIssuanceService } = require('./tokenIssuance');
-const { fxctRatesService } = require('./fxctRates');
-const { BUY_FXCT_URL } = require('../config/pricing');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { fxctRatesService } = require('./fxctRatesService');
+const { priceFeedService } = require('./priceFeedService');
+const walletService = require('./walletService');
+const paymentProviders = require('./paymentProviders');
+const notificationService = require('./notificationService');
+const PurchaseIntent = require('../models/PurchaseIntent');
+const { Wallet, WalletLedger, WalletUsageLedger } = require('../models/Wallet');
+const {
+  BUY_FXCT_URL,
+  PURCHASE_MIN_FXCT,
+  PURCHASE_MAX_FXCT,
+  PURCHASE_MIN_USD,
+  PURCHASE_INTENT_TTL_MINUTES,
+  AUTO_TOPUP_RETRY_HOURS,
+  AUTO_TOPUP_MAX_FAILURES
+} = require('../config/pricing');
+
+function roundFxct(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function isDuplicateKeyError(error) {
+  return error.code === 11000 || /duplicate key/i.test(error.message || '');
+}
 
 class OverageHandlerService {
   constructor() {
-    this.pendingPurchases = new Map(); // Track pending FXCT purchases
+    this.metrics = {
+      intentsCreated: 0,
+      purchasesCompleted: 0,
+      purchasesFailed: 0,
+      reversals: 0,
+      webhooksProcessed: 0,
+      duplicateWebhooks: 0
+    };
   }
 
   /**
@@ -32,14 +67,17 @@ class OverageHandlerService {
       const fxctRate = await fxctRatesService.getFXCTRateForEndpoint(endpoint);
       
       // Check user balance
-      const balanceCheck = await tokenIssuanceService.checkSufficientBalance(userId, fxctRate);
+      const { balance } = await walletService.getOrCreateWallet(userId, 'system');
+      const hasSufficient = balance.available >= fxctRate;
       
       return {
-        ...balanceCheck,
+        currentBalance: balance.available,
+        hasSufficient,
+        deficit: hasSufficient ? 0 : fxctRate - balance.available,
         endpoint,
         fxctRate,
-        canProceed: balanceCheck.hasSufficient || balanceCheck.overdraftAvailable,
-        requiresPayment: !balanceCheck.hasSufficient && !balanceCheck.overdraftAvailable,
+        canProceed: hasSufficient,
+        requiresPayment: !hasSufficient,
         operationCost: fxctRate
       };
 
@@ -137,7 +175,7 @@ class OverageHandlerService {
     ];
 
     // Add estimated USD values (this would integrate with current FXCT price)
-    const priceData = await require('./priceFeed').priceFeedService.getSevenDayAverage();
+    const priceData = await priceFeedService.getSevenDayAverage();
     const fxctUsd = priceData.price;
 
     return options.map(option => ({
@@ -168,75 +206,108 @@ class OverageHandlerService {
 
   /**
    * Generate unique purchase ID for tracking
-   * 
+   *
    * @param {string} userId - User ID
    * @param {number} amount - FXCT amount
    * @returns {string} Purchase ID
    */
   generatePurchaseId(userId, amount) {
-    const timestamp = Date.now();
-    const hash = require('crypto')
-      .createHash('md5')
-      .update(`${userId}${amount}${timestamp}`)
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${userId}${amount}${Date.now()}${crypto.randomBytes(8).toString('hex')}`)
       .digest('hex')
-      .substring(0, 8);
-    
+      .substring(0, 16);
+
     return `fxct_${hash}`;
   }
 
   /**
-   * Process FXCT purchase (integration stub)
-   * 
+   * Start an FXCT purchase: price it, persist the intent and open a checkout
+   * with the payment provider. The wallet is credited later, when the
+   * provider's webhook confirms payment.
+   *
    * @param {string} userId - User ID
    * @param {number} amount - FXCT amount to purchase
-   * @param {Object} paymentData - Payment provider data
-   * @returns {Object} Purchase result
+   * @param {Object} paymentData - { provider, source, intentId, paymentMethod, ...metadata }
+   * @returns {Object} Purchase result with checkout URL (none for saved-method charges)
    */
-  async processFXCTPurchase(userId, amount, paymentData) {
+  async processFXCTPurchase(userId, amount, paymentData = {}) {
     try {
       console.log(`💳 Processing FXCT purchase for user ${userId}: ${amount} FXCT`);
 
-      const purchaseId = this.generatePurchaseId(userId, amount);
-      
-      // Store pending purchase
-      this.pendingPurchases.set(purchaseId, {
+      if (!(amount >= PURCHASE_MIN_FXCT) || amount > PURCHASE_MAX_FXCT) {
+        throw new Error(`Purchase amount must be between ${PURCHASE_MIN_FXCT} and ${PURCHASE_MAX_FXCT} FXCT`);
+      }
+
+      const { provider: providerName, source = 'manual', intentId, paymentMethod, ...metadata } = paymentData;
+      const provider = providerName ? paymentProviders.get(providerName) : paymentProviders.getDefault();
+
+      const priceData = await priceFeedService.getSevenDayAverage();
+      if (!(priceData?.price > 0)) {
+        throw new Error('FXCT price unavailable - cannot price purchase');
+      }
+
+      const amountUsd = Math.round(amount * priceData.price * 100) / 100;
+      if (amountUsd < PURCHASE_MIN_USD) {
+        throw new Error(`Purchase total must be at least $${PURCHASE_MIN_USD.toFixed(2)}`);
+      }
+
+      const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+      if (wallet.status !== 'active') {
+        throw new Error(`Wallet is ${wallet.status} - purchases are disabled`);
+      }
+
+      const intent = await PurchaseIntent.create({
+        intentId: intentId || this.generatePurchaseId(userId, amount),
         userId,
-        amount,
-        paymentData,
-        status: 'pending',
-        createdAt: new Date()
+        walletId: wallet._id,
+        amountFxct: amount,
+        amountUsd,
+        fxctUsdPrice: priceData.price,
+        provider: provider.name,
+        source,
+        metadata,
+        expiresAt: new Date(Date.now() + PURCHASE_INTENT_TTL_MINUTES * 60 * 1000)
       });
+      this.metrics.intentsCreated++;
 
-      // Integration stub - in real implementation, this would:
-      // 1. Validate payment with Stripe/Coinbase/etc.
-      // 2. Execute payment transaction
-      // 3. Add FXCT to user balance on successful payment
-      // 4. Send confirmation notifications
-
-      // For now, return success (in production, this would be async)
-      const result = await this.mockPaymentProcessor(userId, amount, paymentData, purchaseId);
-      
-      if (result.success) {
-        // Add FXCT to user balance
-        await tokenIssuanceService.updateUserBalance(userId, amount, 'purchase');
-        
-        // Update pending purchase
-        const pendingPurchase = this.pendingPurchases.get(purchaseId);
-        if (pendingPurchase) {
-          pendingPurchase.status = 'completed';
-          pendingPurchase.completedAt = new Date();
-        }
+      // Saved payment methods are charged directly; everything else goes through checkout
+      const chargeDirectly = Boolean(paymentMethod) && typeof provider.chargeSavedMethod === 'function';
 
-        console.log(`✅ FXCT purchase completed: ${amount} FXCT added to user ${userId}`);
+      try {
+        const checkout = chargeDirectly
+          ? await provider.chargeSavedMethod(intent, paymentMethod)
+          : await provider.createCheckout(intent);
+        intent.providerRef = checkout.providerRef;
+        intent.paymentRef = checkout.paymentRef || intent.paymentRef;
+        intent.checkoutUrl = checkout.checkoutUrl;
+        intent.expiresAt = checkout.expiresAt || intent.expiresAt;
+        intent.live = checkout.live;
+        await intent.save();
+      } catch (error) {
+        intent.status = 'failed';
+        intent.failureReason = `Checkout creation failed: ${error.response?.data?.error?.message || error.message}`;
+        intent.failedAt = new Date();
+        await intent.save();
+        this.metrics.purchasesFailed++;
+        throw new Error(intent.failureReason);
       }
 
+      console.log(`🧾 Purchase intent ${intent.intentId} created via ${provider.name}: ${amount} FXCT for $${amountUsd}`);
+
       return {
-        purchaseId,
-        success: result.success,
+        purchaseId: intent.intentId,
+        success: true,
+        status: intent.status,
         amount,
+        amountUsd,
         userId,
-        transactionId: result.transactionId,
-        message: result.message
+        provider: provider.name,
+        checkoutUrl: intent.checkoutUrl,
+        expiresAt: intent.expiresAt,
+        message: intent.checkoutUrl
+          ? 'Complete payment at the checkout URL to receive FXCT'
+          : 'Payment submitted - FXCT is credited once the charge confirms'
       };
 
     } catch (error) {
@@ -246,80 +317,664 @@ class OverageHandlerService {
   }
 
   /**
-   * Mock payment processor (replace with real integration)
-   * 
+   * Apply a verified provider webhook payload
+   *
+   * @param {string} providerName - Provider the webhook was addressed to
+   * @param {Object} payload - Payload returned by provider.verifyWebhook
+   * @returns {Object} Processing result
+   */
+  async handleProviderEvent(providerName, payload) {
+    const provider = paymentProviders.get(providerName);
+    const event = provider.normalizeEvent(payload);
+
+    if (!event) {
+      return { handled: false, reason: 'ignored_event_type' };
+    }
+
+    const intent = await this.findIntentForEvent(provider.name, event);
+    if (!intent) {
+      console.warn(`⚠️ ${provider.name} webhook ${event.eventId} (${event.providerType}) matched no purchase intent`);
+      return { handled: false, reason: 'intent_not_found', eventId: event.eventId };
+    }
+
+    if (intent.events.some(applied => applied.eventId === event.eventId)) {
+      this.metrics.duplicateWebhooks++;
+      return { handled: true, duplicate: true, intentId: intent.intentId, status: intent.status };
+    }
+
+    // Every branch below is idempotent, so the event is only marked applied
+    // once it has been processed; a crash in between just means a safe retry
+    let updated;
+    switch (event.type) {
+      case 'payment.succeeded':
+        updated = await this.completePurchase(intent, event);
+        break;
+      case 'payment.failed':
+      case 'payment.expired':
+        updated = await this.closeUnpaidPurchase(intent, event.type === 'payment.failed' ? 'failed' : 'expired', event.reason || event.providerType);
+        break;
+      case 'payment.refunded':
+        updated = await this.reverseCredit(intent, 'refunded', { refundedUsd: event.refundedUsd });
+        break;
+      case 'payment.disputed':
+        updated = await this.reverseCredit(intent, 'disputed', { note: event.reason, disputeRef: event.disputeRef || event.eventId });
+        break;
+      case 'payment.dispute_won':
+        updated = await this.reinstateDisputedCredit(intent, event.disputeRef || event.eventId);
+        break;
+      default:
+        updated = intent;
+    }
+
+    await PurchaseIntent.updateOne(
+      { _id: intent._id, 'events.eventId': { $ne: event.eventId } },
+      { $push: { events: { eventId: event.eventId, type: event.providerType } } }
+    );
+    this.metrics.webhooksProcessed++;
+
+    return { handled: true, intentId: intent.intentId, status: updated.status };
+  }
+
+  /**
+   * Locate the intent a provider event refers to
+   */
+  async findIntentForEvent(providerName, event) {
+    if (event.intentId) {
+      const intent = await PurchaseIntent.findOne({ intentId: event.intentId, provider: providerName });
+      if (intent) return intent;
+    }
+    if (event.providerRef) {
+      const intent = await PurchaseIntent.findOne({ provider: providerName, providerRef: event.providerRef });
+      if (intent) return intent;
+    }
+    if (event.paymentRef) {
+      return PurchaseIntent.findOne({ provider: providerName, paymentRef: event.paymentRef });
+    }
+    return null;
+  }
+
+  /**
+   * Credit the wallet for a confirmed payment, exactly once per intent
+   *
+   * @param {Object} intent - PurchaseIntent
+   * @param {Object} event - Normalized payment event
+   * @returns {Object} Updated intent
+   */
+  async completePurchase(intent, event = {}) {
+    if (intent.creditTransactionId || ['refunded', 'disputed'].includes(intent.status)) {
+      return intent;
+    }
+
+    // Crypto invoices can be underpaid; those stay uncredited until resolved
+    if (event.amountUsd != null && event.amountUsd + 0.01 < intent.amountUsd) {
+      console.warn(`⚠️ Purchase ${intent.intentId} underpaid: $${event.amountUsd} of $${intent.amountUsd}`);
+      return this.closeUnpaidPurchase(intent, 'failed', `Underpaid: received $${event.amountUsd} of $${intent.amountUsd}`);
+    }
+
+    const idempotencyKey = `purchase_${intent.intentId}`;
+    let transaction;
+    try {
+      const result = await walletService.credit({
+        walletId: intent.walletId.toString(),
+        amount: intent.amountFxct,
+        type: 'credit',
+        ref: intent.intentId,
+        meta: {
+          action: 'fxct_purchase',
+          provider: intent.provider,
+          providerRef: intent.providerRef,
+          paymentRef: event.paymentRef || intent.paymentRef,
+          amountUsd: intent.amountUsd,
+          fxctUsdPrice: intent.fxctUsdPrice,
+          source: intent.source
+        },
+        idempotencyKey
+      });
+      transaction = result.transaction;
+    } catch (error) {
+      // A concurrent delivery of the same confirmation won the insert
+      if (!isDuplicateKeyError(error)) throw error;
+      transaction = await WalletLedger.findOne({ idempotencyKey }).lean();
+    }
+
+    const updated = await PurchaseIntent.findOneAndUpdate(
+      { _id: intent._id, creditTransactionId: null },
+      {
+        $set: {
+          status: 'completed',
+          creditTransactionId: transaction._id,
+          paymentRef: event.paymentRef || intent.paymentRef,
+          completedAt: new Date(),
+          failureReason: null
+        }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      this.metrics.purchasesCompleted++;
+      console.log(`✅ FXCT purchase completed: ${intent.amountFxct} FXCT added to user ${intent.userId} (${intent.intentId})`);
+      await this.onPurchaseSettled(updated);
+    }
+
+    return updated || PurchaseIntent.findById(intent._id);
+  }
+
+  /**
+   * Close an unpaid intent as failed or expired
+   */
+  async closeUnpaidPurchase(intent, status, reason = null) {
+    const updated = await PurchaseIntent.findOneAndUpdate(
+      { _id: intent._id, status: 'pending', creditTransactionId: null },
+      { $set: { status, failureReason: reason, failedAt: new Date() } },
+      { new: true }
+    );
+
+    if (updated) {
+      if (status === 'failed') this.metrics.purchasesFailed++;
+      await this.onPurchaseSettled(updated);
+    }
+
+    return updated || PurchaseIntent.findById(intent._id);
+  }
+
+  /**
+   * Reverse a purchase credit after a refund or chargeback
+   *
+   * Partial refunds reverse a proportional share of the FXCT. When the
+   * wallet no longer holds enough FXCT the remainder is recorded as a
+   * shortfall and the wallet is frozen for review.
+   *
+   * @param {Object} intent - PurchaseIntent
+   * @param {string} reason - 'refunded' | 'disputed'
+   * @param {Object} options - { refundedUsd, note, processedBy }
+   * @returns {Object} Updated intent
+   */
+  async reverseCredit(intent, reason, options = {}) {
+    const current = await PurchaseIntent.findById(intent._id);
+
+    if (!current.creditTransactionId) {
+      // Nothing was credited, so there is nothing to take back
+      return PurchaseIntent.findOneAndUpdate(
+        { _id: current._id },
+        { $set: { status: reason, reversedAt: new Date(), failureReason: options.note || null } },
+        { new: true }
+      );
+    }
+
+    const targetUsd = reason === 'disputed'
+      ? current.amountUsd
+      : Math.min(current.amountUsd, options.refundedUsd || current.amountUsd);
+    const targetFxct = roundFxct(current.amountFxct * targetUsd / current.amountUsd);
+    const due = roundFxct(targetFxct - current.reversedFxct);
+
+    if (due <= 0) {
+      return current;
+    }
+
+    const walletId = current.walletId.toString();
+    const wallet = await Wallet.findById(walletId);
+    const balance = await walletService.getBalance(walletId);
+    const recoverable = wallet.status === 'active' ? Math.min(due, balance.available) : 0;
+
+    let transaction = null;
+    if (recoverable > 0) {
+      const result = await walletService.debit({
+        walletId,
+        amount: roundFxct(recoverable),
+        type: 'debit',
+        ref: current.intentId,
+        meta: {
+          action: 'fxct_purchase_reversal',
+          reason,
+          provider: current.provider,
+          paymentRef: current.paymentRef,
+          refundedUsd: targetUsd,
+          note: options.note
+        },
+        // Keyed on the cumulative refund (or the dispute) so redelivered events don't debit twice
+        idempotencyKey: reason === 'disputed'
+          ? `purchase_reversal_${current.intentId}_dispute_${options.disputeRef}`
+          : `purchase_reversal_${current.intentId}_${Math.round(targetUsd * 100)}`,
+        processedBy: options.processedBy
+      });
+      transaction = result.transaction;
+    }
+
+    const debited = transaction ? transaction.amountFxct : 0;
+    const shortfall = roundFxct(due - debited);
+
+    if (shortfall > 0) {
+      await Wallet.updateOne(
+        { _id: walletId, status: 'active' },
+        {
+          $set: {
+            status: 'frozen',
+            'metadata.frozenReason': `Purchase ${current.intentId} ${reason}: ${shortfall} FXCT could not be recovered`,
+            'metadata.frozenAt': new Date()
+          }
+        }
+      );
+      console.warn(`🧊 Wallet ${walletId} frozen: ${shortfall} FXCT shortfall reversing ${current.intentId}`);
+    }
+
+    this.metrics.reversals++;
+    console.log(`↩️ Reversed ${debited} FXCT for purchase ${current.intentId} (${reason})`);
+
+    return PurchaseIntent.findOneAndUpdate(
+      { _id: current._id },
+      {
+        $set: {
+          status: reason,
+          reversedAt: new Date(),
+          ...(reason === 'refunded' ? { refundedUsd: targetUsd } : {})
+        },
+        $inc: { reversedFxct: due },
+        $push: {
+          reversals: {
+            transactionId: transaction?._id,
+            reason,
+            disputeRef: options.disputeRef,
+            amountFxct: debited,
+            shortfallFxct: shortfall
+          }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back FXCT taken for a chargeback the merchant went on to win
+   * @param {Object} intent - PurchaseIntent
+   * @param {string} disputeRef - Provider dispute ID (event ID when the provider has none)
+   */
+  async reinstateDisputedCredit(intent, disputeRef) {
+    const current = await PurchaseIntent.findById(intent._id);
+    if (current.status !== 'disputed' || !current.creditTransactionId) {
+      return current;
+    }
+
+    // Only what this dispute took; earlier disputes on the intent were settled already
+    const disputeReversals = current.reversals
+      .filter(reversal => reversal.reason === 'disputed' && reversal.disputeRef === disputeRef);
+    const recovered = roundFxct(disputeReversals
+      .reduce((sum, reversal) => sum + (reversal.amountFxct || 0), 0));
+    // reversedFxct counted the shortfall too, so give back both and keep any earlier refund's share
+    const reversedByDispute = roundFxct(disputeReversals
+      .reduce((sum, reversal) => sum + (reversal.amountFxct || 0) + (reversal.shortfallFxct || 0), 0));
+
+    if (recovered > 0) {
+      await walletService.credit({
+        walletId: current.walletId.toString(),
+        amount: recovered,
+        type: 'credit',
+        ref: current.intentId,
+        meta: { action: 'fxct_purchase_reinstated', provider: current.provider, paymentRef: current.paymentRef },
+        idempotencyKey: `purchase_reinstate_${current.intentId}_${disputeRef}`
+      });
+    }
+
+    // Any shortfall freeze is left for an admin to lift
+    return PurchaseIntent.findOneAndUpdate(
+      { _id: current._id, status: 'disputed' },
+      {
+        $set: { status: current.refundedUsd > 0 ? 'refunded' : 'completed' },
+        $inc: { reversedFxct: -reversedByDispute }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Refund a completed purchase through its provider and reverse the credit
+   *
+   * @param {string} intentId - Purchase intent ID
+   * @param {Object} options - { amountUsd, reason, processedBy, force }
+   * @returns {Object} { intent, refund }
+   */
+  async refundPurchase(intentId, options = {}) {
+    const intent = await PurchaseIntent.findOne({ intentId });
+    if (!intent) {
+      throw new Error(`Purchase ${intentId} not found`);
+    }
+    if (!['completed', 'refunded'].includes(intent.status) || !intent.creditTransactionId) {
+      throw new Error(`Purchase ${intentId} is ${intent.status} and cannot be refunded`);
+    }
+
+    const amountUsd = Math.min(intent.amountUsd, options.amountUsd || intent.amountUsd);
+    if (amountUsd <= intent.refundedUsd) {
+      throw new Error(`Purchase ${intentId} has already been refunded $${intent.refundedUsd}`);
+    }
+
+    // Don't send money back that we can't claw the FXCT for, unless told to
+    const due = roundFxct(intent.amountFxct * amountUsd / intent.amountUsd - intent.reversedFxct);
+    const balance = await walletService.getBalance(intent.walletId.toString());
+    if (balance.available < due && !options.force) {
+      throw new Error(`Wallet holds ${balance.available} FXCT but the refund reverses ${due} FXCT`);
+    }
+
+    const provider = paymentProviders.get(intent.provider);
+    const refund = await provider.refund(intent, { amountUsd, reason: options.reason });
+
+    const updated = await this.reverseCredit(intent, 'refunded', {
+      refundedUsd: amountUsd,
+      note: options.reason,
+      processedBy: options.processedBy
+    });
+
+    await PurchaseIntent.updateOne(
+      { _id: intent._id },
+      { $set: { 'metadata.lastRefund': { ...refund, reason: options.reason, requestedAt: new Date() } } }
+    );
+
+    return { intent: updated, refund };
+  }
+
+  /**
+   * Drive a stub-mode purchase through the real webhook path (admin testing)
+   *
+   * @param {string} intentId - Purchase intent ID
+   * @param {string} outcome - succeeded | failed | expired | refunded | disputed
+   * @returns {Object} Webhook processing result
+   */
+  async simulatePayment(intentId, outcome) {
+    const intent = await PurchaseIntent.findOne({ intentId });
+    if (!intent) {
+      throw new Error(`Purchase ${intentId} not found`);
+    }
+
+    const provider = paymentProviders.get(intent.provider);
+    if (typeof provider.simulateEvent !== 'function') {
+      throw new Error(`Provider ${provider.name} has no stub mode`);
+    }
+
+    const { rawBody, headers } = provider.simulateEvent(intent, outcome);
+    const payload = provider.verifyWebhook(rawBody, headers);
+    return this.handleProviderEvent(provider.name, payload);
+  }
+
+  /**
+   * Get one of a user's purchases
+   */
+  async getPurchase(intentId, userId = null) {
+    const query = { intentId };
+    if (userId) query.userId = userId;
+
+    const intent = await PurchaseIntent.findOne(query).select('-events').lean();
+    if (!intent) {
+      throw new Error(`Purchase ${intentId} not found`);
+    }
+    return intent;
+  }
+
+  /**
+   * List purchases, newest first
+   *
+   * @param {Object} filters - { userId, status, provider }
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Purchases with pagination
+   */
+  async listPurchases(filters = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const query = {};
+    if (filters.userId) query.userId = filters.userId;
+    if (filters.status) query.status = filters.status;
+    if (filters.provider) query.provider = filters.provider;
+
+    const skip = (page - 1) * limit;
+    const [purchases, total] = await Promise.all([
+      PurchaseIntent.find(query).select('-events').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      PurchaseIntent.countDocuments(query)
+    ]);
+
+    return {
+      purchases,
+      pagination: { page, limit, total, hasMore: skip + purchases.length < total }
+    };
+  }
+
+  /**
+   * Get service metrics
+   */
+  getMetrics() {
+    return { ...this.metrics, providers: paymentProviders.list() };
+  }
+
+  /**
+   * Get a user's auto top-up rule
+   *
    * @param {string} userId - User ID
-   * @param {number} amount - FXCT amount
-   * @param {Object} paymentData - Payment data
-   * @param {string} purchaseId - Purchase ID
-   * @returns {Object} Payment result
+   * @returns {Object} Rule plus current-month spend against the cap
    */
-  async mockPaymentProcessor(userId, amount, paymentData, purchaseId) {
-    // Simulate payment processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Mock success (90% success rate for testing)
-    const success = Math.random() > 0.1;
-    
-    if (success) {
-      return {
-        success: true,
-        transactionId: `txn_${purchaseId}_${Date.now()}`,
-        message: 'Payment processed successfully'
-      };
-    } else {
-      return {
-        success: false,
-        transactionId: null,
-        message: 'Payment failed - insufficient funds or invalid payment method'
-      };
+  async getAutoTopupRule(userId) {
+    const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+    const rule = wallet.autoTopup || {};
+    const spentUsd = await this.getAutoTopupSpend(wallet._id);
+
+    return {
+      enabled: Boolean(rule.enabled),
+      thresholdFxct: rule.thresholdFxct ?? null,
+      amountFxct: rule.amountFxct ?? null,
+      monthlyCapUsd: rule.monthlyCapUsd ?? null,
+      paymentMethod: rule.paymentMethod?.provider ? {
+        provider: rule.paymentMethod.provider,
+        hasSavedMethod: Boolean(rule.paymentMethod.paymentMethodId)
+      } : null,
+      month: {
+        spentUsd,
+        remainingUsd: rule.monthlyCapUsd != null ? Math.max(0, Math.round((rule.monthlyCapUsd - spentUsd) * 100) / 100) : null
+      },
+      inFlightIntentId: rule.inFlightIntentId || null,
+      consecutiveFailures: rule.consecutiveFailures || 0,
+      retryAfter: rule.retryAfter || null,
+      lastTriggeredAt: rule.lastTriggeredAt || null,
+      lastSucceededAt: rule.lastSucceededAt || null
+    };
+  }
+
+  /**
+   * Create or replace a user's auto top-up rule
+   *
+   * @param {string} userId - User ID
+   * @param {Object} rule - { thresholdFxct, amountFxct, monthlyCapUsd, paymentMethod: { provider, customerId, paymentMethodId } }
+   * @returns {Object} Saved rule
+   */
+  async setAutoTopupRule(userId, rule) {
+    const { thresholdFxct, amountFxct, monthlyCapUsd, paymentMethod = {} } = rule;
+
+    if (!(thresholdFxct >= 0)) {
+      throw new Error('Threshold must be zero or more FXCT');
+    }
+    if (!(amountFxct >= PURCHASE_MIN_FXCT) || amountFxct > PURCHASE_MAX_FXCT) {
+      throw new Error(`Top-up amount must be between ${PURCHASE_MIN_FXCT} and ${PURCHASE_MAX_FXCT} FXCT`);
+    }
+    if (!(monthlyCapUsd > 0)) {
+      throw new Error('Monthly cap must be a positive USD amount');
+    }
+
+    const provider = paymentMethod.provider ? paymentProviders.get(paymentMethod.provider) : paymentProviders.getDefault();
+    if (provider.isLive() && typeof provider.chargeSavedMethod === 'function' &&
+        (!paymentMethod.customerId || !paymentMethod.paymentMethodId)) {
+      throw new Error(`A saved ${provider.displayName} payment method is required for automatic charges`);
+    }
+
+    const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+    await Wallet.updateOne({ _id: wallet._id }, {
+      $set: {
+        'autoTopup.enabled': true,
+        'autoTopup.thresholdFxct': thresholdFxct,
+        'autoTopup.amountFxct': amountFxct,
+        'autoTopup.monthlyCapUsd': monthlyCapUsd,
+        'autoTopup.paymentMethod': {
+          provider: provider.name,
+          customerId: paymentMethod.customerId,
+          paymentMethodId: paymentMethod.paymentMethodId
+        },
+        // A fresh rule starts with a clean failure record
+        'autoTopup.consecutiveFailures': 0,
+        'autoTopup.retryAfter': null,
+        'autoTopup.updatedAt': new Date()
+      }
+    });
+
+    console.log(`⚙️ Auto top-up set for user ${userId}: ${amountFxct} FXCT at <= ${thresholdFxct} FXCT, cap $${monthlyCapUsd}/month`);
+    return this.getAutoTopupRule(userId);
+  }
+
+  /**
+   * Switch off a user's auto top-up rule
+   */
+  async disableAutoTopup(userId, reason = null) {
+    const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+    await Wallet.updateOne({ _id: wallet._id }, {
+      $set: { 'autoTopup.enabled': false, 'autoTopup.updatedAt': new Date() }
+    });
+
+    if (reason) {
+      console.log(`⚙️ Auto top-up disabled for user ${userId}: ${reason}`);
     }
+    return this.getAutoTopupRule(userId);
   }
 
   /**
-   * Handle auto-topup for users with enabled feature
-   * 
+   * USD committed to auto top-ups this calendar month (pending or paid)
+   */
+  async getAutoTopupSpend(walletId, now = new Date()) {
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const [result] = await PurchaseIntent.aggregate([
+      {
+        $match: {
+          walletId: new mongoose.Types.ObjectId(walletId.toString()),
+          source: 'auto_topup',
+          status: { $in: ['pending', 'completed'] },
+          createdAt: { $gte: monthStart }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amountUsd' } } }
+    ]);
+
+    return Math.round((result?.total || 0) * 100) / 100;
+  }
+
+  /**
+   * Evaluate the user's auto top-up rule after a debit
+   *
+   * Only one top-up can be in flight per wallet: the wallet document is
+   * claimed atomically before the purchase is created, so concurrent debits
+   * crossing the threshold start a single purchase.
+   *
    * @param {string} userId - User ID
    * @param {number} triggeredAmount - Amount that triggered topup
+   * @param {number|null} balanceAfter - Available balance after the debit, if known
    * @returns {Object} Topup result
    */
-  async handleAutoTopup(userId, triggeredAmount) {
+  async handleAutoTopup(userId, triggeredAmount, balanceAfter = null) {
     try {
-      // Get user balance to check auto-topup settings
-      const balance = await tokenIssuanceService.getUserBalance(userId);
-      
-      if (!balance.metadata?.autoTopup) {
+      const wallet = await Wallet.findOne({ userId }).lean();
+      const rule = wallet?.autoTopup;
+
+      if (!rule?.enabled) {
         return { autoTopupEnabled: false };
       }
 
-      const topupAmount = balance.metadata.autoTopupAmount || 500; // Default 500 FXCT
-      const triggerThreshold = balance.metadata.lowBalanceAlert || 10; // Default 10 FXCT
+      const currentBalance = balanceAfter ?? (await walletService.getBalance(wallet._id.toString())).available;
+      if (currentBalance > rule.thresholdFxct) {
+        return {
+          autoTopupEnabled: true,
+          triggered: false,
+          currentBalance,
+          threshold: rule.thresholdFxct
+        };
+      }
+
+      const now = new Date();
+      if (rule.retryAfter && rule.retryAfter > now) {
+        return { autoTopupEnabled: true, triggered: false, reason: 'retry_backoff', retryAfter: rule.retryAfter };
+      }
+
+      const priceData = await priceFeedService.getSevenDayAverage();
+      const estimatedUsd = Math.round(rule.amountFxct * priceData.price * 100) / 100;
+      const spentUsd = await this.getAutoTopupSpend(wallet._id, now);
+
+      if (spentUsd + estimatedUsd > rule.monthlyCapUsd) {
+        const month = now.toISOString().slice(0, 7);
+        await notificationService.notify(userId, {
+          type: 'auto_topup_cap_reached',
+          title: 'Auto top-up paused for this month',
+          message: `Your next ${rule.amountFxct} FXCT top-up (~$${estimatedUsd.toFixed(2)}) would exceed your $${rule.monthlyCapUsd} monthly cap. Top up manually or raise the cap.`,
+          severity: 'warning',
+          data: { spentUsd, monthlyCapUsd: rule.monthlyCapUsd, balance: currentBalance },
+          dedupeKey: `auto_topup_cap_${wallet._id}_${month}`
+        });
+        return { autoTopupEnabled: true, triggered: false, reason: 'monthly_cap_reached', spentUsd };
+      }
+
+      // Claim the wallet; stale claims (purchase never settled) can be taken over
+      const intentId = this.generatePurchaseId(userId, rule.amountFxct);
+      const staleBefore = new Date(now.getTime() - PURCHASE_INTENT_TTL_MINUTES * 60 * 1000);
+      const claimed = await Wallet.findOneAndUpdate(
+        {
+          _id: wallet._id,
+          'autoTopup.enabled': true,
+          $or: [
+            { 'autoTopup.inFlightIntentId': null },
+            { 'autoTopup.inFlightSince': { $lt: staleBefore } }
+          ]
+        },
+        { $set: { 'autoTopup.inFlightIntentId': intentId, 'autoTopup.inFlightSince': now, 'autoTopup.lastTriggeredAt': now } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        return { autoTopupEnabled: true, triggered: false, reason: 'topup_in_progress' };
+      }
+
+      console.log(`🔄 Auto-topup triggered for user ${userId}: balance ${currentBalance} <= threshold ${rule.thresholdFxct}`);
 
-      // Check if balance is below trigger threshold
-      if (balance.balance <= triggerThreshold) {
-        console.log(`🔄 Auto-topup triggered for user ${userId}: balance ${balance.balance} <= threshold ${triggerThreshold}`);
-        
-        // Process auto-topup purchase
-        const topupResult = await this.processFXCTPurchase(userId, topupAmount, {
+      let topupResult;
+      try {
+        topupResult = await this.processFXCTPurchase(userId, rule.amountFxct, {
+          provider: rule.paymentMethod?.provider,
           source: 'auto_topup',
+          intentId,
+          paymentMethod: rule.paymentMethod,
           triggeredBy: triggeredAmount,
-          paymentMethod: balance.metadata.autoTopupPaymentMethod || 'default'
+          balanceAtTrigger: currentBalance
         });
+      } catch (error) {
+        const intent = await PurchaseIntent.findOne({ intentId });
+        if (intent) {
+          await this.onPurchaseSettled(intent);
+        } else {
+          // Failed before an intent existed (pricing, frozen wallet, ...)
+          await this.recordAutoTopupOutcome(wallet._id, userId, intentId, {
+            success: false,
+            amountFxct: rule.amountFxct,
+            reason: error.message
+          });
+        }
+        throw error;
+      }
 
-        return {
-          autoTopupEnabled: true,
-          triggered: true,
-          amount: topupAmount,
-          success: topupResult.success,
-          purchaseId: topupResult.purchaseId
-        };
+      if (topupResult.checkoutUrl) {
+        // Provider can't charge without the user, so ask them to pay
+        await notificationService.notify(userId, {
+          type: 'auto_topup_action_required',
+          title: 'Complete your FXCT top-up',
+          message: `Your balance fell to ${currentBalance} FXCT. Pay $${topupResult.amountUsd.toFixed(2)} to add ${rule.amountFxct} FXCT.`,
+          severity: 'warning',
+          data: { intentId, checkoutUrl: topupResult.checkoutUrl, expiresAt: topupResult.expiresAt },
+          dedupeKey: `auto_topup_${intentId}_checkout`
+        });
       }
 
       return {
         autoTopupEnabled: true,
-        triggered: false,
-        currentBalance: balance.balance,
-        threshold: triggerThreshold
+        triggered: true,
+        amount: rule.amountFxct,
+        success: topupResult.success,
+        purchaseId: topupResult.purchaseId
       };
 
     } catch (error) {
@@ -332,6 +987,85 @@ class OverageHandlerService {
     }
   }
 
+  /**
+   * Release the wallet's in-flight claim once an auto top-up purchase settles,
+   * and tell the user how it went
+   *
+   * @param {Object} intent - Settled PurchaseIntent
+   */
+  async onPurchaseSettled(intent) {
+    if (!intent || intent.source !== 'auto_topup' || intent.status === 'pending') {
+      return;
+    }
+
+    try {
+      await this.recordAutoTopupOutcome(intent.walletId, intent.userId, intent.intentId, {
+        success: intent.status === 'completed',
+        amountFxct: intent.amountFxct,
+        amountUsd: intent.amountUsd,
+        reason: intent.failureReason
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record auto top-up outcome for ${intent.intentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Update the rule's failure tracking and notify the user
+   */
+  async recordAutoTopupOutcome(walletId, userId, intentId, outcome) {
+    const now = new Date();
+    const claim = { _id: walletId, 'autoTopup.inFlightIntentId': intentId };
+
+    if (outcome.success) {
+      await Wallet.updateOne(claim, {
+        $set: {
+          'autoTopup.inFlightIntentId': null,
+          'autoTopup.consecutiveFailures': 0,
+          'autoTopup.retryAfter': null,
+          'autoTopup.lastSucceededAt': now
+        }
+      });
+      await notificationService.notify(userId, {
+        type: 'auto_topup_succeeded',
+        title: 'FXCT auto top-up complete',
+        message: `${outcome.amountFxct} FXCT was added to your wallet for $${outcome.amountUsd.toFixed(2)}.`,
+        severity: 'success',
+        data: { intentId, amountFxct: outcome.amountFxct, amountUsd: outcome.amountUsd },
+        dedupeKey: `auto_topup_${intentId}_succeeded`
+      });
+      return;
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(claim, {
+      $set: {
+        'autoTopup.inFlightIntentId': null,
+        'autoTopup.retryAfter': new Date(now.getTime() + AUTO_TOPUP_RETRY_HOURS * 60 * 60 * 1000)
+      },
+      $inc: { 'autoTopup.consecutiveFailures': 1 }
+    }, { new: true });
+
+    // Already handled for this intent (e.g. redelivered failure webhook)
+    if (!wallet) return;
+
+    const failures = wallet.autoTopup.consecutiveFailures;
+    const disable = failures >= AUTO_TOPUP_MAX_FAILURES;
+    if (disable) {
+      await Wallet.updateOne({ _id: walletId }, { $set: { 'autoTopup.enabled': false, 'autoTopup.updatedAt': now } });
+    }
+
+    await notificationService.notify(userId, {
+      type: 'auto_topup_failed',
+      title: disable ? 'FXCT auto top-up turned off' : 'FXCT auto top-up failed',
+      message: disable
+        ? `Auto top-up failed ${failures} times in a row and has been turned off. Update your payment method and re-enable it.`
+        : `We couldn't add ${outcome.amountFxct} FXCT to your wallet${outcome.reason ? `: ${outcome.reason}` : ''}. We'll try again in ${AUTO_TOPUP_RETRY_HOURS} hours.`,
+      severity: disable ? 'critical' : 'warning',
+      data: { intentId, consecutiveFailures: failures, disabled: disable, reason: outcome.reason || null },
+      dedupeKey: `auto_topup_${intentId}_failed`
+    });
+  }
+
   /**
    * Get overage statistics for a user
    * 
@@ -344,28 +1078,25 @@ class OverageHandlerService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      // Get usage ledger entries for insufficient balance scenarios
-      const { UsageLedger } = require('../models/PricingModels');
-      
-      const overageEvents = await UsageLedger.find({
-        userId: new mongoose.Types.ObjectId(userId),
-        timestamp: { $gte: startDate },
-        status: 'failed',
-        'metadata.errorCode': 'INSUFFICIENT_BALANCE'
-      }).sort({ timestamp: -1 });
+      // Usage is only logged as failed when the balance couldn't cover it
+      const overageEvents = await WalletUsageLedger.find({
+        userId,
+        createdAt: { $gte: startDate },
+        status: 'failed'
+      }).sort({ createdAt: -1 });
 
       const totalOverages = overageEvents.length;
       const totalFxctDeficit = overageEvents.reduce((sum, event) => sum + (event.fxctDebited || 0), 0);
 
       // Get purchase history in the same period
-      const purchases = Array.from(this.pendingPurchases.values()).filter(
-        purchase => purchase.userId === userId && 
-        purchase.createdAt >= startDate &&
-        purchase.status === 'completed'
-      );
+      const purchases = await PurchaseIntent.find({
+        userId,
+        createdAt: { $gte: startDate },
+        status: 'completed'
+      }).select('amountFxct amountUsd').lean();
 
       const totalPurchases = purchases.length;
-      const totalFxctPurchased = purchases.reduce((sum, purchase) => sum + purchase.amount, 0);
+      const totalFxctPurchased = purchases.reduce((sum, purchase) => sum + purchase.amountFxct, 0);
 
       return {
         userId,
@@ -374,6 +1105,7 @@ class OverageHandlerService {
         totalFxctDeficit,
         totalPurchases,
         totalFxctPurchased,
+        totalUsdSpent: Math.round(purchases.reduce((sum, purchase) => sum + purchase.amountUsd, 0) * 100) / 100,
         conversionRate: totalOverages > 0 ? (totalPurchases / totalOverages) : 0,
         averageOverageAmount: totalOverages > 0 ? (totalFxctDeficit / totalOverages) : 0
       };
@@ -385,18 +1117,28 @@ class OverageHandlerService {
   }
 
   /**
-   * Clean up expired pending purchases
+   * Expire pending purchases whose checkout window has closed
+   *
+   * A payment that still confirms afterwards is credited normally; this only
+   * keeps abandoned checkouts out of the pending list.
+   * @returns {number} Number of intents expired
    */
-  async cleanupExpiredPurchases() {
-    const now = Date.now();
-    const expirationTime = 15 * 60 * 1000; // 15 minutes
-
-    for (const [purchaseId, purchase] of this.pendingPurchases.entries()) {
-      if (purchase.status === 'pending' && (now - purchase.createdAt.getTime()) > expirationTime) {
-        console.log(`🧹 Cleaning up expired purchase: ${purchaseId}`);
-        this.pendingPurchases.delete(purchaseId);
-      }
+  async expireStalePurchases() {
+    const stale = await PurchaseIntent.find({ status: 'pending', expiresAt: { $lt: new Date() } })
+      .select('_id')
+      .limit(500)
+      .lean();
+
+    let expired = 0;
+    for (const intent of stale) {
+      const updated = await this.closeUnpaidPurchase(intent, 'expired', 'Checkout expired');
+      if (updated?.status === 'expired') expired++;
     }
+
+    if (expired > 0) {
+      console.log(`🧹 Expired ${expired} abandoned FXCT purchases`);
+    }
+    return expired;
   }
 
   /**
@@ -410,24 +1152,21 @@ class OverageHandlerService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      const { UsageLedger } = require('../models/PricingModels');
-      
-      const stats = await UsageLedger.aggregate([
+      const stats = await WalletUsageLedger.aggregate([
         {
           $match: {
-            timestamp: { $gte: startDate },
-            status: 'failed',
-            'metadata.errorCode': 'INSUFFICIENT_BALANCE'
+            createdAt: { $gte: startDate },
+            status: 'failed'
           }
         },
         {
           $group: {
             _id: {
-              date: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } },
+              date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
               dataType: "$dataType"
             },
             overageCount: { $sum: 1 },
-            totalDeficit: { $sum: "$fxctDebited" },
+            totalDeficit: { $sum: { $toDouble: "$fxctDebited" } },
             uniqueUsers: { $addToSet: "$userId" }
           }
         },
@@ -469,11 +1208,6 @@ class OverageHandlerService {
 // Create and export singleton instance
 const overageHandlerService = new OverageHandlerService();
 
-// Cleanup expired purchases every 5 minutes
-setInterval(() => {
-  overageHandlerService.cleanupExpiredPurchases().catch(console.error);
-}, 5 * 60 * 1000);
-
 module.exports = {
   OverageHandlerService,
   overageHandlerService
@@ -0,0 +1,208 @@
+/**
+ * Crypto invoice provider (Coinbase Commerce charges)
+ *
+ * Live mode creates fixed-price USD charges when COINBASE_COMMERCE_API_KEY is
+ * set; the buyer pays in any supported coin on the hosted page. Without a key,
+ * and only with PAYMENT_STUB_MODE=true outside production, it runs as a local
+ * stub that signs simulated webhooks the same way.
+ *
+ * On-chain payments can't be pulled back, so refunds are settled manually and
+ * there are no chargebacks; `refund` only records the request.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { BUY_FXCT_URL } = require('../../config/pricing');
+const { isStubModeEnabled, getStubWebhookSecret } = require('./stubMode');
+
+const API_BASE = 'https://api.commerce.coinbase.com';
+const API_VERSION = '2018-03-22';
+
+// Coinbase Commerce event type -> normalized payment event type
+const EVENT_TYPES = {
+  'charge:confirmed': 'payment.succeeded',
+  'charge:resolved': 'payment.succeeded', // Under/overpayment resolved by support
+  'charge:failed': 'payment.failed'
+};
+
+class CryptoInvoiceProvider {
+  constructor() {
+    this.name = 'crypto';
+    this.displayName = 'Crypto (Coinbase Commerce)';
+    this.method = 'crypto';
+    this.apiKey = process.env.COINBASE_COMMERCE_API_KEY;
+    this.webhookSecret = process.env.COINBASE_COMMERCE_WEBHOOK_SECRET;
+  }
+
+  isLive() {
+    return Boolean(this.apiKey);
+  }
+
+  isAvailable() {
+    return this.isLive() || isStubModeEnabled();
+  }
+
+  getWebhookSecret() {
+    if (this.isLive()) {
+      if (!this.webhookSecret) {
+        throw new Error('COINBASE_COMMERCE_WEBHOOK_SECRET is not configured');
+      }
+      return this.webhookSecret;
+    }
+    if (!isStubModeEnabled()) {
+      throw new Error(`${this.displayName} is not configured`);
+    }
+    return this.webhookSecret || getStubWebhookSecret(this.name);
+  }
+
+  /**
+   * Create a hosted invoice for a purchase intent
+   * @param {Object} intent - PurchaseIntent document
+   * @returns {Promise<Object>} { providerRef, checkoutUrl, expiresAt }
+   */
+  async createCheckout(intent) {
+    if (!this.isLive()) {
+      const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+      return {
+        providerRef: `charge_stub_${code}`,
+        checkoutUrl: `${BUY_FXCT_URL}?intent=${intent.intentId}&invoice=${code}&stub=1`,
+        expiresAt: intent.expiresAt,
+        live: false
+      };
+    }
+
+    const response = await axios.post(`${API_BASE}/charges`, {
+      name: `${intent.amountFxct} FXCT`,
+      description: 'FXCT token top-up',
+      pricing_type: 'fixed_price',
+      local_price: { amount: intent.amountUsd.toFixed(2), currency: 'USD' },
+      metadata: { intentId: intent.intentId, userId: intent.userId.toString() },
+      redirect_url: `${BUY_FXCT_URL}?intent=${intent.intentId}&status=success`,
+      cancel_url: `${BUY_FXCT_URL}?intent=${intent.intentId}&status=cancelled`
+    }, {
+      headers: {
+        'X-CC-Api-Key': this.apiKey,
+        'X-CC-Version': API_VERSION
+      },
+      timeout: 15000
+    });
+
+    const charge = response.data.data;
+    return {
+      providerRef: charge.id,
+      checkoutUrl: charge.hosted_url,
+      expiresAt: charge.expires_at ? new Date(charge.expires_at) : intent.expiresAt,
+      live: true
+    };
+  }
+
+  /**
+   * Verify the X-CC-Webhook-Signature header against the raw request body
+   * @param {string} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers (lower-cased)
+   * @returns {Object} Parsed webhook payload
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-cc-webhook-signature'];
+    if (!signature || !rawBody) {
+      throw new Error('Missing Coinbase Commerce signature or body');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody), 'utf8');
+    const received = Buffer.from(signature, 'utf8');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new Error('Invalid Coinbase Commerce signature');
+    }
+
+    return JSON.parse(rawBody);
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.getWebhookSecret()).update(payload).digest('hex');
+  }
+
+  /**
+   * Map a Coinbase Commerce webhook onto the provider-neutral event shape
+   * @param {Object} payload - Webhook payload ({ id, event })
+   * @returns {Object|null} Normalized event, or null for event types we ignore
+   */
+  normalizeEvent(payload) {
+    const event = payload.event || {};
+    const type = EVENT_TYPES[event.type];
+    if (!type) return null;
+
+    const charge = event.data || {};
+    const paid = (charge.payments || [])
+      .filter(payment => ['CONFIRMED', 'RESOLVED'].includes(String(payment.status).toUpperCase()))
+      .reduce((sum, payment) => sum + parseFloat(payment.value?.local?.amount || 0), 0);
+
+    return {
+      eventId: event.id || payload.id,
+      type,
+      providerType: event.type,
+      intentId: charge.metadata?.intentId || null,
+      providerRef: charge.id || null,
+      paymentRef: charge.code || null,
+      disputeRef: null,
+      amountUsd: paid > 0 ? paid : null,
+      refundedUsd: null,
+      reason: null
+    };
+  }
+
+  /**
+   * Record a refund request; the payout itself is sent manually on-chain
+   * @param {Object} intent - Completed PurchaseIntent
+   * @param {Object} options - { amountUsd, reason }
+   * @returns {Promise<Object>} { refundRef, refundedUsd, manual }
+   */
+  async refund(intent, options = {}) {
+    return {
+      refundRef: null,
+      refundedUsd: options.amountUsd || intent.amountUsd,
+      manual: true
+    };
+  }
+
+  /**
+   * Build a signed webhook request for the local stub
+   * @param {Object} intent - PurchaseIntent
+   * @param {string} outcome - succeeded | failed
+   * @returns {Object} { rawBody, headers }
+   */
+  simulateEvent(intent, outcome) {
+    if (this.isLive() || !isStubModeEnabled()) {
+      throw new Error('Simulated payments are only available in stub mode');
+    }
+
+    const types = { succeeded: 'charge:confirmed', failed: 'charge:failed' };
+    if (!types[outcome]) {
+      throw new Error(`Unsupported simulated outcome for crypto invoices: ${outcome}`);
+    }
+
+    const eventId = crypto.randomUUID();
+    const rawBody = JSON.stringify({
+      id: eventId,
+      event: {
+        id: eventId,
+        type: types[outcome],
+        created_at: new Date().toISOString(),
+        data: {
+          id: intent.providerRef,
+          code: intent.providerRef.replace('charge_stub_', ''),
+          metadata: { intentId: intent.intentId },
+          payments: outcome === 'succeeded'
+            ? [{ status: 'CONFIRMED', value: { local: { amount: intent.amountUsd.toFixed(2), currency: 'USD' } } }]
+            : []
+        }
+      }
+    });
+
+    return {
+      rawBody,
+      headers: { 'x-cc-webhook-signature': this.sign(rawBody) }
+    };
+  }
+}
+
+module.exports = new CryptoInvoiceProvider();
@@ -0,0 +1,73 @@
+/**
+ * Payment provider registry
+ *
+ * Every provider implements the same interface so the overage handler never
+ * branches on provider:
+ * - createCheckout(intent) -> { providerRef, checkoutUrl, expiresAt, live }
+ * - verifyWebhook(rawBody, headers) -> parsed payload (throws if unsigned)
+ * - normalizeEvent(payload) -> { eventId, type, intentId, providerRef, paymentRef,
+ *   disputeRef, amountUsd, refundedUsd, reason } or null when the event is irrelevant
+ * - refund(intent, { amountUsd, reason }) -> { refundRef, refundedUsd }
+ * - simulateEvent(intent, outcome) -> signed { rawBody, headers } (stub mode only)
+ *
+ * Providers that can charge a saved payment method without the customer
+ * present also implement chargeSavedMethod(intent, paymentMethod); auto
+ * top-ups send the user a checkout link for the others instead.
+ */
+
+const stripeProvider = require('./stripeProvider');
+const cryptoInvoiceProvider = require('./cryptoInvoiceProvider');
+
+const REQUIRED_METHODS = ['createCheckout', 'verifyWebhook', 'normalizeEvent', 'refund', 'isLive', 'isAvailable'];
+
+class PaymentProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (!provider.name || missing.length > 0) {
+      throw new Error(`Invalid payment provider ${provider.name || '(unnamed)'}: missing ${missing.join(', ')}`);
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (!provider.isAvailable()) {
+      throw new Error(`Payment provider ${name} is not configured`);
+    }
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  getDefault() {
+    return this.get(process.env.PAYMENT_DEFAULT_PROVIDER || 'stripe');
+  }
+
+  list() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.isAvailable())
+      .map(provider => ({
+        name: provider.name,
+        displayName: provider.displayName,
+        method: provider.method,
+        live: provider.isLive(),
+        supportsAutoCharge: typeof provider.chargeSavedMethod === 'function'
+      }));
+  }
+}
+
+const paymentProviders = new PaymentProviderRegistry()
+  .register(stripeProvider)
+  .register(cryptoInvoiceProvider);
+
+module.exports = paymentProviders;
@@ -0,0 +1,401 @@
+/**
+ * Card checkout provider (Stripe Checkout)
+ *
+ * Live mode creates hosted Checkout Sessions through the Stripe REST API when
+ * STRIPE_SECRET_KEY is set. Without a key, and only with PAYMENT_STUB_MODE=true
+ * outside production (see ./stubMode), the provider runs as a local stub:
+ * checkouts get fake session ids and `simulateEvent` produces webhook payloads
+ * signed exactly like Stripe's, so the confirmation path is the same in both.
+ *
+ * Saved cards can also be charged off-session (auto top-up) via
+ * `chargeSavedMethod`; those confirm through payment_intent webhooks.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { BUY_FXCT_URL } = require('../../config/pricing');
+const { isStubModeEnabled, getStubWebhookSecret } = require('./stubMode');
+
+const API_BASE = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe event type -> normalized payment event type
+const EVENT_TYPES = {
+  'checkout.session.completed': 'payment.succeeded',
+  'checkout.session.async_payment_succeeded': 'payment.succeeded',
+  'checkout.session.async_payment_failed': 'payment.failed',
+  'checkout.session.expired': 'payment.expired',
+  'charge.refunded': 'payment.refunded',
+  'charge.dispute.created': 'payment.disputed',
+  'charge.dispute.closed': 'payment.dispute_closed',
+  // Off-session charges (auto top-up) have no checkout session
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed'
+};
+
+/**
+ * Stripe's API takes form-encoded bodies with bracketed keys for nesting
+ */
+function formEncode(value, prefix = '', params = new URLSearchParams()) {
+  if (value === undefined || value === null) return params;
+  if (typeof value === 'object') {
+    for (const [key, nested] of Object.entries(value)) {
+      formEncode(nested, prefix ? `${prefix}[${key}]` : key, params);
+    }
+  } else {
+    params.append(prefix, String(value));
+  }
+  return params;
+}
+
+class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.displayName = 'Card (Stripe)';
+    this.method = 'card';
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  }
+
+  isLive() {
+    return Boolean(this.secretKey);
+  }
+
+  isAvailable() {
+    return this.isLive() || isStubModeEnabled();
+  }
+
+  getWebhookSecret() {
+    if (this.isLive()) {
+      if (!this.webhookSecret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+      }
+      return this.webhookSecret;
+    }
+    if (!isStubModeEnabled()) {
+      throw new Error(`${this.displayName} is not configured`);
+    }
+    return this.webhookSecret || getStubWebhookSecret(this.name);
+  }
+
+  /**
+   * Create a hosted checkout for a purchase intent
+   * @param {Object} intent - PurchaseIntent document
+   * @returns {Promise<Object>} { providerRef, checkoutUrl, expiresAt }
+   */
+  async createCheckout(intent) {
+    const amountCents = Math.round(intent.amountUsd * 100);
+
+    if (!this.isLive()) {
+      const sessionId = `cs_stub_${crypto.randomBytes(12).toString('hex')}`;
+      return {
+        providerRef: sessionId,
+        checkoutUrl: `${BUY_FXCT_URL}?intent=${intent.intentId}&session=${sessionId}&stub=1`,
+        expiresAt: intent.expiresAt,
+        live: false
+      };
+    }
+
+    const returnUrl = `${BUY_FXCT_URL}?intent=${intent.intentId}`;
+    const response = await axios.post(`${API_BASE}/checkout/sessions`, formEncode({
+      mode: 'payment',
+      client_reference_id: intent.intentId,
+      success_url: `${returnUrl}&status=success`,
+      cancel_url: `${returnUrl}&status=cancelled`,
+      // Stripe requires at least 30 minutes from now
+      expires_at: Math.floor(Math.max(intent.expiresAt.getTime(), Date.now() + 30 * 60 * 1000) / 1000),
+      line_items: {
+        0: {
+          quantity: 1,
+          price_data: {
+            currency: 'usd',
+            unit_amount: amountCents,
+            product_data: { name: `${intent.amountFxct} FXCT` }
+          }
+        }
+      },
+      metadata: { intentId: intent.intentId, userId: intent.userId.toString() },
+      payment_intent_data: { metadata: { intentId: intent.intentId } }
+    }).toString(), {
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': `checkout_${intent.intentId}`
+      },
+      timeout: 15000
+    });
+
+    return {
+      providerRef: response.data.id,
+      checkoutUrl: response.data.url,
+      expiresAt: new Date(response.data.expires_at * 1000),
+      live: true
+    };
+  }
+
+  /**
+   * Charge a saved card without the customer present
+   * @param {Object} intent - PurchaseIntent document
+   * @param {Object} paymentMethod - { customerId, paymentMethodId }
+   * @returns {Promise<Object>} { providerRef, paymentRef, checkoutUrl, expiresAt }
+   */
+  async chargeSavedMethod(intent, paymentMethod = {}) {
+    if (!this.isLive()) {
+      const paymentIntentId = `pi_stub_${crypto.randomBytes(12).toString('hex')}`;
+      return {
+        providerRef: paymentIntentId,
+        paymentRef: paymentIntentId,
+        checkoutUrl: null,
+        expiresAt: intent.expiresAt,
+        live: false
+      };
+    }
+
+    if (!paymentMethod.customerId || !paymentMethod.paymentMethodId) {
+      throw new Error('A saved Stripe customer and payment method are required');
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/payment_intents`, formEncode({
+        amount: Math.round(intent.amountUsd * 100),
+        currency: 'usd',
+        customer: paymentMethod.customerId,
+        payment_method: paymentMethod.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        description: `${intent.amountFxct} FXCT auto top-up`,
+        metadata: { intentId: intent.intentId, offSession: 'true' }
+      }).toString(), {
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Idempotency-Key': `charge_${intent.intentId}`
+        },
+        timeout: 15000
+      });
+
+      return {
+        providerRef: response.data.id,
+        paymentRef: response.data.id,
+        checkoutUrl: null,
+        expiresAt: intent.expiresAt,
+        live: true
+      };
+    } catch (error) {
+      // Declines come back as 402 with the reason in the error body
+      const reason = error.response?.data?.error?.decline_code || error.response?.data?.error?.message;
+      throw new Error(reason ? `Card charge declined: ${reason}` : error.message);
+    }
+  }
+
+  /**
+   * Verify the Stripe-Signature header against the raw request body
+   * @param {string} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers (lower-cased)
+   * @returns {Object} Parsed Stripe event
+   */
+  verifyWebhook(rawBody, headers) {
+    const header = headers['stripe-signature'];
+    if (!header || !rawBody) {
+      throw new Error('Missing Stripe signature or body');
+    }
+
+    const parts = header.split(',').reduce((acc, part) => {
+      const [key, value] = part.split('=');
+      if (key === 't') acc.timestamp = value;
+      if (key === 'v1') acc.signatures.push(value);
+      return acc;
+    }, { timestamp: null, signatures: [] });
+
+    if (!parts.timestamp || parts.signatures.length === 0) {
+      throw new Error('Malformed Stripe signature header');
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(parts.timestamp, 10));
+    if (!(age <= SIGNATURE_TOLERANCE_SECONDS)) {
+      throw new Error('Stripe signature timestamp outside tolerance');
+    }
+
+    const expected = Buffer.from(this.sign(`${parts.timestamp}.${rawBody}`), 'utf8');
+    const valid = parts.signatures.some(signature => {
+      const received = Buffer.from(signature, 'utf8');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+
+    if (!valid) {
+      throw new Error('Invalid Stripe signature');
+    }
+
+    return JSON.parse(rawBody);
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.getWebhookSecret()).update(payload).digest('hex');
+  }
+
+  /**
+   * Map a Stripe event onto the provider-neutral shape used by the overage handler
+   * @param {Object} event - Stripe event
+   * @returns {Object|null} Normalized event, or null for event types we ignore
+   */
+  normalizeEvent(event) {
+    const type = EVENT_TYPES[event.type];
+    if (!type) return null;
+
+    const object = event.data?.object || {};
+    const normalized = {
+      eventId: event.id,
+      type,
+      providerType: event.type,
+      intentId: object.metadata?.intentId || object.client_reference_id || null,
+      providerRef: object.object === 'checkout.session' ? object.id : null,
+      paymentRef: object.payment_intent || null,
+      disputeRef: null,
+      amountUsd: null,
+      refundedUsd: null,
+      reason: null
+    };
+
+    if (object.object === 'checkout.session') {
+      // Delayed methods (ACH etc.) complete the session before the money arrives
+      if (event.type === 'checkout.session.completed' && object.payment_status !== 'paid') {
+        return null;
+      }
+      normalized.amountUsd = object.amount_total != null ? object.amount_total / 100 : null;
+    } else if (object.object === 'payment_intent') {
+      // Checkout payments are confirmed by their session events instead
+      if (object.metadata?.offSession !== 'true') return null;
+      normalized.paymentRef = object.id;
+      normalized.providerRef = object.id;
+      normalized.amountUsd = event.type === 'payment_intent.succeeded' ? object.amount_received / 100 : null;
+      normalized.reason = object.last_payment_error?.message || null;
+    } else if (object.object === 'charge') {
+      normalized.amountUsd = object.amount / 100;
+      normalized.refundedUsd = object.amount_refunded / 100;
+    } else if (object.object === 'dispute') {
+      normalized.disputeRef = object.id;
+      normalized.amountUsd = object.amount / 100;
+      normalized.reason = object.reason || null;
+      if (event.type === 'charge.dispute.closed') {
+        normalized.type = object.status === 'won' ? 'payment.dispute_won' : 'payment.dispute_lost';
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Refund a completed payment
+   * @param {Object} intent - Completed PurchaseIntent
+   * @param {Object} options - { amountUsd, reason }
+   * @returns {Promise<Object>} { refundRef, refundedUsd }
+   */
+  async refund(intent, options = {}) {
+    const amountUsd = options.amountUsd || intent.amountUsd;
+
+    if (!this.isLive()) {
+      return { refundRef: `re_stub_${crypto.randomBytes(8).toString('hex')}`, refundedUsd: amountUsd };
+    }
+
+    if (!intent.paymentRef) {
+      throw new Error(`Purchase ${intent.intentId} has no Stripe payment to refund`);
+    }
+
+    const response = await axios.post(`${API_BASE}/refunds`, formEncode({
+      payment_intent: intent.paymentRef,
+      amount: Math.round(amountUsd * 100),
+      reason: 'requested_by_customer',
+      metadata: { intentId: intent.intentId, note: options.reason }
+    }).toString(), {
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': `refund_${intent.intentId}_${Math.round(amountUsd * 100)}`
+      },
+      timeout: 15000
+    });
+
+    return { refundRef: response.data.id, refundedUsd: response.data.amount / 100 };
+  }
+
+  /**
+   * Build a signed webhook request for the local stub
+   * @param {Object} intent - PurchaseIntent
+   * @param {string} outcome - succeeded | failed | expired | refunded | disputed
+   * @returns {Object} { rawBody, headers }
+   */
+  simulateEvent(intent, outcome) {
+    if (this.isLive() || !isStubModeEnabled()) {
+      throw new Error('Simulated payments are only available in stub mode');
+    }
+
+    const amountCents = Math.round(intent.amountUsd * 100);
+    const paymentRef = intent.paymentRef || `pi_stub_${intent.intentId}`;
+    const session = {
+      object: 'checkout.session',
+      id: intent.providerRef,
+      client_reference_id: intent.intentId,
+      metadata: { intentId: intent.intentId },
+      payment_intent: paymentRef,
+      payment_status: outcome === 'succeeded' ? 'paid' : 'unpaid',
+      amount_total: amountCents
+    };
+    const charge = {
+      object: 'charge',
+      id: `ch_stub_${intent.intentId}`,
+      payment_intent: paymentRef,
+      metadata: { intentId: intent.intentId },
+      amount: amountCents,
+      amount_refunded: amountCents
+    };
+
+    const events = {
+      succeeded: ['checkout.session.completed', session],
+      failed: ['checkout.session.async_payment_failed', session],
+      expired: ['checkout.session.expired', session],
+      refunded: ['charge.refunded', charge],
+      disputed: ['charge.dispute.created', {
+        object: 'dispute',
+        id: `dp_stub_${intent.intentId}`,
+        payment_intent: paymentRef,
+        metadata: { intentId: intent.intentId },
+        amount: amountCents,
+        reason: 'fraudulent',
+        status: 'needs_response'
+      }]
+    };
+
+    if (!events[outcome]) {
+      throw new Error(`Unsupported simulated outcome: ${outcome}`);
+    }
+
+    // Off-session charges report through payment intent events
+    if (!intent.checkoutUrl && ['succeeded', 'failed'].includes(outcome)) {
+      events[outcome] = [`payment_intent.${outcome === 'succeeded' ? 'succeeded' : 'payment_failed'}`, {
+        object: 'payment_intent',
+        id: paymentRef,
+        metadata: { intentId: intent.intentId, offSession: 'true' },
+        amount: amountCents,
+        amount_received: outcome === 'succeeded' ? amountCents : 0,
+        last_payment_error: outcome === 'failed' ? { message: 'Your card was declined.' } : null
+      }];
+    }
+
+    const [type, object] = events[outcome];
+    const rawBody = JSON.stringify({
+      id: `evt_stub_${crypto.randomBytes(10).toString('hex')}`,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      rawBody,
+      headers: { 'stripe-signature': `t=${timestamp},v1=${this.sign(`${timestamp}.${rawBody}`)}` }
+    };
+  }
+}
+
+module.exports = new StripeProvider();
@@ -0,0 +1,44 @@
+/**
+ * Payment stub mode
+ *
+ * Providers without API keys only run as local stubs when PAYMENT_STUB_MODE
+ * is explicitly "true", and never in a deployed environment. Stub webhooks are
+ * signed with a secret generated per process (unless one is configured), so
+ * only this process can produce events its providers will accept.
+ */
+
+const crypto = require('crypto');
+
+const DEPLOYED_ENVIRONMENTS = ['production', 'staging'];
+
+let refusalLogged = false;
+
+function isStubModeEnabled() {
+  if (process.env.PAYMENT_STUB_MODE !== 'true') return false;
+
+  if (DEPLOYED_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+    if (!refusalLogged) {
+      console.error(`🚫 PAYMENT_STUB_MODE is ignored in ${process.env.NODE_ENV}`);
+      refusalLogged = true;
+    }
+    return false;
+  }
+  return true;
+}
+
+const stubSecrets = new Map();
+
+/**
+ * Random webhook secret for one stub provider, stable for the process lifetime
+ */
+function getStubWebhookSecret(providerName) {
+  if (!stubSecrets.has(providerName)) {
+    stubSecrets.set(providerName, crypto.randomBytes(32).toString('hex'));
+  }
+  return stubSecrets.get(providerName);
+}
+
+module.exports = {
+  isStubModeEnabled,
+  getStubWebhookSecret
+};
@@ -0,0 +1,632 @@
+/**
+ * Portfolio Service - Mark-to-market valuation and performance of share holdings
+ *
+ * Features:
+ * - Values each property from its CoreLogic AVM (cached), falling back to list price
+ * - Daily snapshots per investor with flows separated from returns
+ * - Time-weighted returns, volatility, drawdowns and rolling returns from snapshots
+ * - Concentration by city, state, property type and single property
+ * - Risk view built from concentration, order book liquidity and realized volatility
+ */
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const PropertyHolding = require('../models/PropertyHolding');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const { DistributionPayout } = require('../models/IncomeDistribution');
+const { coreLogicCache } = require('../utils/coreLogicCacheWrapper');
+const { priceFeedService } = require('./priceFeedService');
+const holdingsService = require('./holdingsService');
+const orderBookService = require('./orderBookService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unmatched addresses are looked up again after this long
+const CLIP_LOOKUP_RETRY_MS = 30 * DAY_MS;
+
+const TIMEFRAME_DAYS = {
+  '1M': 30,
+  '3M': 90,
+  '6M': 180,
+  '1Y': 365,
+  '2Y': 730,
+  'ALL': null
+};
+
+const ROLLING_WINDOWS = { '30d': 30, '90d': 90, '180d': 180, '365d': 365 };
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toDateKey(date = new Date()) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function firstPositive(...values) {
+  for (const value of values) {
+    const n = Number(value);
+    if (value !== null && value !== undefined && Number.isFinite(n) && n > 0) return n;
+  }
+  return null;
+}
+
+// The THV endpoint has returned the estimate under a few different envelopes
+function extractAvmValue(avm) {
+  return firstPositive(
+    avm?.estimatedValue,
+    avm?.avm?.estimatedValue,
+    avm?.valuation?.estimatedValue,
+    avm?.totalHomeValue?.estimatedValue,
+    avm?.items?.[0]?.estimatedValue,
+    avm?.data?.estimatedValue
+  );
+}
+
+/**
+ * Herfindahl index of value weights: 1 = everything in one bucket
+ */
+function herfindahl(weights) {
+  return weights.reduce((sum, w) => sum + w * w, 0);
+}
+
+class PortfolioService {
+  constructor() {
+    this.metrics = {
+      snapshotsRecorded: 0,
+      avmValuations: 0,
+      fallbackValuations: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Resolve and remember a property's CoreLogic CLIP
+   * @param {Object} property - Property document (lean)
+   * @returns {Promise<string|null>} CLIP or null when the address can't be matched
+   */
+  async resolveClip(property) {
+    if (property.coreLogicClip) {
+      return property.coreLogicClip;
+    }
+    if (property.coreLogicLookupAt && Date.now() - new Date(property.coreLogicLookupAt).getTime() < CLIP_LOOKUP_RETRY_MS) {
+      return null;
+    }
+
+    const street = property.address?.street || property.address1;
+    const city = property.address?.city || property.city;
+    const state = property.address?.state || property.state;
+    if (!street || !city || !state) {
+      return null;
+    }
+
+    let clip = null;
+    try {
+      const result = await coreLogicCache.superClient.searchPropertiesWithGeocode({
+        streetAddress: street,
+        city,
+        state,
+        zipCode: property.address?.zip,
+        bestMatch: true
+      });
+      clip = result?.items?.[0]?.clip || null;
+    } catch (error) {
+      console.warn(`⚠️ CLIP lookup failed for property ${property._id}:`, error.message);
+    }
+
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { coreLogicLookupAt: new Date(), ...(clip ? { coreLogicClip: clip } : {}) } }
+    );
+
+    return clip;
+  }
+
+  /**
+   * Current value of a whole property
+   * @param {Object} property - Property document (lean)
+   * @returns {Promise<Object>} { valueUsd, sharePriceUsd, source, confidence, asOf }
+   */
+  async valueProperty(property) {
+    const totalSupply = property.tokenization?.totalSupply || 0;
+    let valueUsd = null;
+    let source = 'unavailable';
+    let confidence = null;
+
+    const clip = await this.resolveClip(property);
+    if (clip) {
+      try {
+        const avm = await coreLogicCache.getCachedAVM(clip);
+        valueUsd = extractAvmValue(avm);
+        confidence = firstPositive(avm?.confidenceScore, avm?.avm?.confidenceScore, avm?.items?.[0]?.confidenceScore);
+        if (valueUsd) source = 'avm';
+      } catch (error) {
+        console.warn(`⚠️ AVM unavailable for property ${property._id}:`, error.message);
+      }
+    }
+
+    if (!valueUsd && property.price > 0) {
+      valueUsd = property.price;
+      source = 'list_price';
+    }
+
+    if (source === 'avm') this.metrics.avmValuations++;
+    else this.metrics.fallbackValuations++;
+
+    return {
+      valueUsd,
+      sharePriceUsd: valueUsd && totalSupply > 0 ? valueUsd / totalSupply : null,
+      source,
+      confidence,
+      asOf: new Date()
+    };
+  }
+
+  /**
+   * Mark a user's positions to market
+   * @param {string} userId - User ID
+   * @param {Map} valuationCache - Property valuations shared across users in one run
+   * @returns {Promise<Object>} { positions, totals }
+   */
+  async valueHoldings(userId, valuationCache = new Map()) {
+    const holdings = await holdingsService.getUserHoldings(userId);
+    const properties = await Property.find({ _id: { $in: holdings.positions.map(p => p.propertyId).filter(Boolean) } })
+      .select('title address address1 city state price propertyType tokenization coreLogicClip coreLogicLookupAt')
+      .lean();
+    const propertyById = new Map(properties.map(p => [p._id.toString(), p]));
+
+    const positions = [];
+    for (const position of holdings.positions) {
+      const property = propertyById.get(position.propertyId?.toString());
+      if (!property) continue;
+
+      const key = property._id.toString();
+      if (!valuationCache.has(key)) {
+        valuationCache.set(key, await this.valueProperty(property));
+      }
+      const valuation = valuationCache.get(key);
+
+      positions.push({
+        ...position,
+        city: property.address?.city || property.city || null,
+        state: property.address?.state || property.state || null,
+        propertyValueUsd: valuation.valueUsd,
+        sharePriceUsd: valuation.sharePriceUsd !== null ? round(valuation.sharePriceUsd, 4) : null,
+        marketValueUsd: valuation.sharePriceUsd !== null ? round(valuation.sharePriceUsd * position.shares) : null,
+        valuationSource: valuation.source,
+        valuationConfidence: valuation.confidence
+      });
+    }
+
+    const totalValueUsd = positions.reduce((sum, p) => sum + (p.marketValueUsd || 0), 0);
+    const avmValueUsd = positions.filter(p => p.valuationSource === 'avm').reduce((sum, p) => sum + (p.marketValueUsd || 0), 0);
+
+    return {
+      positions,
+      totals: {
+        ...holdings.totals,
+        marketValueUsd: round(totalValueUsd),
+        valuationCoverage: totalValueUsd > 0 ? round(avmValueUsd / totalValueUsd, 4) : 0
+      }
+    };
+  }
+
+  /**
+   * Value allocation and concentration indices by grouping
+   */
+  calculateConcentration(positions) {
+    const total = positions.reduce((sum, p) => sum + (p.marketValueUsd || 0), 0);
+
+    const groupBy = (keyFn) => {
+      const buckets = {};
+      for (const p of positions) {
+        const key = keyFn(p) || 'Unknown';
+        buckets[key] = (buckets[key] || 0) + (p.marketValueUsd || 0);
+      }
+
+      const weights = Object.values(buckets).map(v => (total > 0 ? v / total : 0));
+      const hhi = herfindahl(weights);
+
+      return {
+        allocation: Object.fromEntries(
+          Object.entries(buckets)
+            .sort(([, a], [, b]) => b - a)
+            .map(([key, value]) => [key, { valueUsd: round(value), percent: total > 0 ? round((value / total) * 100, 1) : 0 }])
+        ),
+        hhi: round(hhi, 4),
+        effectiveCount: hhi > 0 ? round(1 / hhi, 1) : 0,
+        largestPercent: weights.length ? round(Math.max(...weights) * 100, 1) : 0
+      };
+    };
+
+    return {
+      city: groupBy(p => (p.city ? [p.city, p.state].filter(Boolean).join(', ') : null)),
+      state: groupBy(p => p.state),
+      propertyType: groupBy(p => p.propertyType),
+      property: groupBy(p => p.title || p.propertyId?.toString())
+    };
+  }
+
+  /**
+   * Record (or refresh) today's snapshot for one user
+   * @param {string} userId - User ID
+   * @param {Object} options - { date, valuationCache }
+   * @returns {Promise<Object>} Snapshot
+   */
+  async recordSnapshot(userId, options = {}) {
+    const date = options.date || toDateKey();
+    const valuation = await this.valueHoldings(userId, options.valuationCache);
+
+    const previous = await PortfolioSnapshot.findOne({ userId, date: { $lt: date } }).sort({ date: -1 }).lean();
+
+    let netFlowUsd = 0;
+    let incomeUsd = 0;
+    let periodReturn = null;
+
+    if (previous) {
+      const priceByProperty = new Map(valuation.positions.map(p => [p.propertyId.toString(), p.sharePriceUsd]));
+      const sharesNow = new Map(valuation.positions.map(p => [p.propertyId.toString(), p.shares]));
+      const sharesBefore = new Map(previous.positions.map(p => [p.propertyId.toString(), p.shares]));
+
+      // Shares that changed hands since the last snapshot, valued at today's marks
+      for (const key of new Set([...sharesNow.keys(), ...sharesBefore.keys()])) {
+        const delta = (sharesNow.get(key) || 0) - (sharesBefore.get(key) || 0);
+        if (delta === 0) continue;
+        let price = priceByProperty.get(key);
+        if (price === undefined) {
+          // Fully exited positions aren't in today's valuation; mark them now
+          const property = await Property.findById(key).select('title address address1 city state price tokenization coreLogicClip coreLogicLookupAt').lean();
+          price = property ? (await this.valueProperty(property)).sharePriceUsd : null;
+        }
+        netFlowUsd += delta * (price ?? previous.positions.find(p => p.propertyId.toString() === key)?.sharePriceUsd ?? 0);
+      }
+
+      const since = new Date(`${previous.date}T23:59:59.999Z`);
+      const [income] = await DistributionPayout.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(String(userId)),
+            status: 'paid',
+            paidAt: { $gt: since, $lte: new Date(`${date}T23:59:59.999Z`) }
+          }
+        },
+        { $group: { _id: null, totalUsd: { $sum: '$amountUsd' } } }
+      ]);
+      incomeUsd = income?.totalUsd || 0;
+
+      if (previous.totalValueUsd > 0) {
+        periodReturn = (valuation.totals.marketValueUsd - netFlowUsd + incomeUsd - previous.totalValueUsd) / previous.totalValueUsd;
+      }
+    }
+
+    const snapshot = await PortfolioSnapshot.findOneAndUpdate(
+      { userId, date },
+      {
+        $set: {
+          positions: valuation.positions.map(p => ({
+            propertyId: p.propertyId,
+            shares: p.shares,
+            sharePriceUsd: p.sharePriceUsd,
+            valueUsd: p.marketValueUsd || 0,
+            valuationSource: p.valuationSource,
+            city: p.city,
+            state: p.state,
+            propertyType: p.propertyType
+          })),
+          totalValueUsd: valuation.totals.marketValueUsd,
+          netFlowUsd: round(netFlowUsd),
+          incomeUsd: round(incomeUsd),
+          periodReturn: periodReturn !== null ? round(periodReturn, 8) : null,
+          costBasisFxct: valuation.totals.costBasisFxct,
+          valuationCoverage: valuation.totals.valuationCoverage
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this.metrics.snapshotsRecorded++;
+    return snapshot;
+  }
+
+  /**
+   * Snapshot every investor holding shares, plus anyone who just exited
+   * @returns {Promise<Object>} { date, recorded, failed }
+   */
+  async recordDailySnapshots() {
+    const date = toDateKey();
+    const recentCutoff = toDateKey(Date.now() - 7 * DAY_MS);
+
+    const [holders, recentlyInvested] = await Promise.all([
+      PropertyHolding.distinct('userId', { shares: { $gt: 0 } }),
+      PortfolioSnapshot.distinct('userId', { date: { $gte: recentCutoff, $lt: date }, totalValueUsd: { $gt: 0 } })
+    ]);
+    const userIds = [...new Set([...holders, ...recentlyInvested].map(id => id.toString()))];
+
+    // Each property is valued once per run however many investors hold it
+    const valuationCache = new Map();
+    let recorded = 0;
+    let failed = 0;
+
+    for (const userId of userIds) {
+      try {
+        await this.recordSnapshot(userId, { date, valuationCache });
+        recorded++;
+      } catch (error) {
+        failed++;
+        this.metrics.errors++;
+        console.error(`❌ Portfolio snapshot failed for user ${userId}:`, error.message);
+      }
+    }
+
+    console.log(`📸 Portfolio snapshots for ${date}: ${recorded} recorded, ${failed} failed (${valuationCache.size} properties valued)`);
+    return { date, recorded, failed, propertiesValued: valuationCache.size };
+  }
+
+  /**
+   * Time-weighted performance over a timeframe
+   * @param {string} userId - User ID
+   * @param {string} timeframe - 1M, 3M, 6M, 1Y, 2Y or ALL
+   * @returns {Promise<Object>} Chart series, KPIs, drawdowns and rolling returns
+   */
+  async getPerformance(userId, timeframe = '1Y') {
+    const days = TIMEFRAME_DAYS[timeframe] !== undefined ? TIMEFRAME_DAYS[timeframe] : 365;
+    const query = { userId };
+    if (days !== null) {
+      query.date = { $gte: toDateKey(Date.now() - days * DAY_MS) };
+    }
+
+    const snapshots = await PortfolioSnapshot.find(query)
+      .select('date totalValueUsd netFlowUsd incomeUsd periodReturn valuationCoverage')
+      .sort({ date: 1 })
+      .lean();
+
+    // The first snapshot's return belongs to the period before the window
+    const returns = snapshots.slice(1).map(s => s.periodReturn).filter(r => r !== null);
+
+    let index = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    let drawdownStart = null;
+    const drawdownPeriods = [];
+    const performanceChart = snapshots.map((s, i) => {
+      if (i > 0 && s.periodReturn !== null) {
+        index *= 1 + s.periodReturn;
+      }
+      if (index >= peak) {
+        if (drawdownStart) {
+          drawdownPeriods.push({ ...drawdownStart, end: s.date });
+          drawdownStart = null;
+        }
+        peak = index;
+      } else {
+        const drawdown = index / peak - 1;
+        if (!drawdownStart) drawdownStart = { start: s.date, magnitude: 0 };
+        drawdownStart.magnitude = Math.min(drawdownStart.magnitude, round(drawdown * 100));
+        maxDrawdown = Math.min(maxDrawdown, drawdown);
+      }
+
+      return {
+        date: s.date,
+        portfolioValue: s.totalValueUsd,
+        cumulativeReturn: round((index - 1) * 100),
+        netFlow: s.netFlowUsd,
+        cashFlow: s.incomeUsd
+      };
+    });
+    if (drawdownStart) {
+      drawdownPeriods.push({ ...drawdownStart, end: null });
+    }
+
+    const totalReturn = index - 1;
+    const spanDays = snapshots.length > 1
+      ? (new Date(snapshots[snapshots.length - 1].date) - new Date(snapshots[0].date)) / DAY_MS
+      : 0;
+    const mean = returns.length ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+    const variance = returns.length > 1
+      ? returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1)
+      : null;
+    const volatility = variance !== null ? Math.sqrt(variance) * Math.sqrt(365) : null;
+
+    const rollingReturns = {};
+    const allSnapshots = days === null || days >= 365 ? snapshots : await PortfolioSnapshot.find({
+      userId,
+      date: { $gte: toDateKey(Date.now() - 365 * DAY_MS) }
+    }).select('date periodReturn').sort({ date: 1 }).lean();
+    for (const [label, windowDays] of Object.entries(ROLLING_WINDOWS)) {
+      const cutoff = toDateKey(Date.now() - windowDays * DAY_MS);
+      const windowSnapshots = allSnapshots.filter(s => s.date >= cutoff);
+      rollingReturns[label] = windowSnapshots.length > 1
+        ? round((windowSnapshots.slice(1).reduce((acc, s) => acc * (1 + (s.periodReturn || 0)), 1) - 1) * 100)
+        : null;
+    }
+
+    return {
+      userId,
+      timeframe,
+      analysisDate: new Date(),
+      snapshotCount: snapshots.length,
+      performanceChart,
+      kpis: {
+        totalReturn: round(totalReturn * 100),
+        // Only annualized once there's at least a year of history
+        annualizedReturn: spanDays >= 365 ? round((Math.pow(1 + totalReturn, 365 / spanDays) - 1) * 100) : null,
+        volatility: volatility !== null ? round(volatility * 100) : null,
+        sharpeRatio: volatility ? round((spanDays >= 365 ? Math.pow(1 + totalReturn, 365 / spanDays) - 1 : totalReturn) / volatility) : null,
+        incomeUsd: round(snapshots.slice(1).reduce((sum, s) => sum + (s.incomeUsd || 0), 0)),
+        netContributionsUsd: round(snapshots.slice(1).reduce((sum, s) => sum + (s.netFlowUsd || 0), 0))
+      },
+      drawdownAnalysis: {
+        maxDrawdown: round(maxDrawdown * 100),
+        currentDrawdown: round((index / peak - 1) * 100),
+        drawdownPeriods
+      },
+      rollingReturns
+    };
+  }
+
+  /**
+   * Live portfolio: marked positions, concentration and a performance summary
+   * @param {string} userId - User ID
+   * @param {Object} options - { timeframe }
+   * @returns {Promise<Object>} Portfolio view
+   */
+  async getPortfolio(userId, options = {}) {
+    const [valuation, performance, fxctUsdPrice] = await Promise.all([
+      this.valueHoldings(userId),
+      this.getPerformance(userId, options.timeframe || '1Y'),
+      this.getFxctUsdPrice()
+    ]);
+
+    const { positions, totals } = valuation;
+    const marketValueFxct = fxctUsdPrice ? totals.marketValueUsd / fxctUsdPrice : null;
+
+    return {
+      userId,
+      lastUpdated: new Date(),
+      overview: {
+        totalValueUsd: totals.marketValueUsd,
+        totalValueFxct: round(marketValueFxct, 6),
+        costBasisFxct: totals.costBasisFxct,
+        unrealizedGainFxct: marketValueFxct !== null ? round(marketValueFxct - totals.costBasisFxct, 6) : null,
+        totalShares: totals.shares,
+        propertiesHeld: totals.properties,
+        incomeReceivedFxct: totals.incomeReceivedFxct,
+        incomeReceivedUsd: totals.incomeReceivedUsd,
+        valuationCoverage: totals.valuationCoverage,
+        fxctUsdPrice
+      },
+      positions: positions.map(p => ({
+        ...p,
+        weightPercent: totals.marketValueUsd > 0 ? round(((p.marketValueUsd || 0) / totals.marketValueUsd) * 100, 1) : 0
+      })),
+      concentration: this.calculateConcentration(positions),
+      performance: {
+        timeframe: performance.timeframe,
+        kpis: performance.kpis,
+        rollingReturns: performance.rollingReturns,
+        maxDrawdown: performance.drawdownAnalysis.maxDrawdown
+      }
+    };
+  }
+
+  /**
+   * Risk view: concentration, secondary market liquidity and realized volatility
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Risk analysis
+   */
+  async getRiskAnalysis(userId) {
+    const [valuation, performance, history] = await Promise.all([
+      this.valueHoldings(userId),
+      this.getPerformance(userId, '1Y'),
+      PortfolioSnapshot.find({ userId, periodReturn: { $ne: null } })
+        .select('periodReturn')
+        .sort({ date: -1 })
+        .limit(365)
+        .lean()
+    ]);
+
+    const { positions, totals } = valuation;
+    const concentration = this.calculateConcentration(positions);
+    const total = totals.marketValueUsd;
+
+    // Value that could be sold right now into the best resting bid
+    let immediateValue = 0;
+    let bookValue = 0;
+    for (const p of positions) {
+      if (!p.marketValueUsd) continue;
+      try {
+        const quote = await orderBookService.getTopOfBook(p.propertyId);
+        const sellable = Math.min(p.shares - (p.lockedShares || 0), quote.bidSize || 0);
+        immediateValue += sellable * (p.sharePriceUsd || 0);
+        if (quote.bid !== null || quote.ask !== null) bookValue += p.marketValueUsd;
+      } catch (error) {
+        // No book for this property - counts as illiquid
+      }
+    }
+
+    const returns = history.map(h => h.periodReturn).sort((a, b) => a - b);
+    const var95 = returns.length >= 30 ? returns[Math.floor(returns.length * 0.05)] : null;
+    const tail = var95 !== null ? returns.filter(r => r <= var95) : [];
+
+    const concentrationScore = round(Math.max(concentration.city.hhi, concentration.propertyType.hhi, concentration.property.hhi) * 100, 0);
+    const liquidityPercent = total > 0 ? (immediateValue / total) * 100 : 0;
+    const liquidityScore = round(Math.min(100, liquidityPercent * 2), 0);
+    const volatility = performance.kpis.volatility;
+
+    const recommendations = [];
+    if (concentration.property.largestPercent > 40) {
+      recommendations.push(`Largest position is ${concentration.property.largestPercent}% of the portfolio; consider spreading new investment across more properties`);
+    }
+    if (concentration.city.largestPercent > 50 && positions.length > 1) {
+      recommendations.push(`${concentration.city.largestPercent}% of value is in one city; add exposure to other markets`);
+    }
+    if (concentration.propertyType.largestPercent > 75 && positions.length > 1) {
+      recommendations.push('Holdings are concentrated in one property type');
+    }
+    if (liquidityPercent < 10 && total > 0) {
+      recommendations.push('Little of the portfolio can be sold immediately on the secondary market');
+    }
+    if (totals.valuationCoverage < 0.5 && total > 0) {
+      recommendations.push('Most positions are valued at list price because no AVM is available; treat values as estimates');
+    }
+
+    // 0-100, higher = riskier; volatility only counts once there's history to measure it
+    const components = [concentrationScore, 100 - liquidityScore];
+    if (volatility !== null) components.push(Math.min(100, volatility * 5));
+    const overallRiskScore = positions.length ? round(components.reduce((a, b) => a + b, 0) / components.length, 0) : 0;
+
+    return {
+      userId,
+      analysisDate: new Date(),
+      overallRiskScore,
+      riskProfile: overallRiskScore >= 67 ? 'aggressive' : overallRiskScore >= 34 ? 'moderate' : 'conservative',
+      riskMetrics: {
+        concentration: {
+          score: concentrationScore,
+          geographic: round(concentration.city.hhi * 100, 0),
+          propertyType: round(concentration.propertyType.hhi * 100, 0),
+          property: round(concentration.property.hhi * 100, 0),
+          effectiveProperties: concentration.property.effectiveCount,
+          largestPositionPercent: concentration.property.largestPercent
+        },
+        liquidity: {
+          score: liquidityScore,
+          immediateAccess: round(liquidityPercent, 1),
+          withActiveMarket: total > 0 ? round((bookValue / total) * 100, 1) : 0,
+          lockedInOrders: positions.reduce((sum, p) => sum + (p.lockedShares || 0), 0)
+        },
+        marketRisk: {
+          volatility,
+          maxDrawdown: performance.drawdownAnalysis.maxDrawdown,
+          valuationCoverage: totals.valuationCoverage
+        }
+      },
+      valueAtRisk: {
+        observations: returns.length,
+        var95_1day: var95 !== null ? round(var95 * 100) : null,
+        expectedShortfall: tail.length ? round((tail.reduce((a, b) => a + b, 0) / tail.length) * 100) : null
+      },
+      concentration,
+      recommendations
+    };
+  }
+
+  async getFxctUsdPrice() {
+    try {
+      const { price } = await priceFeedService.getSevenDayAverage();
+      return price > 0 ? price : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+const portfolioService = new PortfolioService();
+
+module.exports = portfolioService;
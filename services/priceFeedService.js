@@ -1,24 +1,25 @@
 /**
- * FXCT Price Feed Service with 7-Day TWAP
+ * FXCT Price Feed Service with configurable TWAP
  * 
  * This service manages the fetching and calculation of FXCT token prices:
- * 1. Fetches daily FXCT/USD prices from primary and fallback oracles
- * 2. Calculates 7-day Time-Weighted Average Price (TWAP)
- * 3. Handles oracle failures with exponential backoff retry
+ * 1. Queries every configured oracle adapter (services/priceOracles) in parallel
+ * 2. Takes the median quote, rejecting outliers too far from it
+ * 3. Handles oracle failures with exponential backoff retry and per-source health
  * 4. Persists price data to database with source tracking
- * 5. Provides cached price data with staleness detection
+ * 5. Calculates the Time-Weighted Average Price over PRICE_TWAP_DAYS (default 7)
+ * 6. Provides cached price data with staleness detection
  */
 
-const axios = require('axios');
 const mongoose = require('mongoose');
 const { validatePricingConfig } = require('../config/pricing');
+const priceOracles = require('./priceOracles');
 
 // MongoDB schema for token prices
 const TokenPriceSchema = new mongoose.Schema({
   symbol: { type: String, required: true, index: true },
   day: { type: Date, required: true, index: true },
   price: { type: Number, required: true },
-  source: { type: String, required: true }, // 'primary', 'fallback', 'manual'
+  source: { type: String, required: true }, // 'median' or the single oracle that answered
   isStale: { type: Boolean, default: false },
   metadata: { type: Object, default: {} }, // Store additional oracle data
   createdAt: { type: Date, default: Date.now }
@@ -42,151 +43,135 @@ class PriceFeedService {
   }
 
   /**
-   * Fetch current FXCT price from primary oracle
-   * @returns {Promise<{price: number, source: string, metadata: Object}>}
+   * Fetch a price from one oracle with retry, recording its health
+   * @returns {Promise<Object|null>} { source, price, latencyMs, metadata }, or null when the source has nothing to report
    */
-  async fetchFromPrimaryOracle() {
-    try {
-      const response = await axios.get(this.config.PRICE_ORACLE_URL, {
-        timeout: this.config.ORACLE_TIMEOUT_MS,
-        headers: {
-          'User-Agent': 'FractionaX-PriceFeed/1.0.0',
-          'Accept': 'application/json'
-        }
-      });
-
-      // Handle different oracle response formats
-      let price;
-      const data = response.data;
-      
-      if (data.price !== undefined) {
-        price = parseFloat(data.price);
-      } else if (data.result !== undefined) {
-        price = parseFloat(data.result);
-      } else if (data[this.config.FXCT_SYMBOL.toLowerCase()]) {
-        price = parseFloat(data[this.config.FXCT_SYMBOL.toLowerCase()].usd);
-      } else {
-        throw new Error('Invalid oracle response format');
-      }
+  async fetchFromOracle(oracle, symbol) {
+    let lastError;
 
-      if (isNaN(price) || price <= 0) {
-        throw new Error(`Invalid price value: ${price}`);
-      }
+    for (let attempt = 1; attempt <= this.config.ORACLE_RETRY_ATTEMPTS; attempt++) {
+      const started = Date.now();
+      try {
+        const { price, metadata } = await oracle.fetchPrice(symbol);
+        const latencyMs = Date.now() - started;
+        priceOracles.recordSuccess(oracle.name, { price, latencyMs });
+        console.log(`📈 Fetched ${symbol} price from ${oracle.name} oracle: $${price.toFixed(6)}`);
+        return { source: oracle.name, price, latencyMs, metadata };
+      } catch (error) {
+        if (error.skip) return null;
+        lastError = error;
 
-      console.log(`📈 Fetched FXCT price from primary oracle: $${price.toFixed(6)}`);
-      
-      return {
-        price,
-        source: 'primary',
-        metadata: {
-          timestamp: new Date().toISOString(),
-          oracle_url: this.config.PRICE_ORACLE_URL,
-          raw_response: data
+        if (attempt < this.config.ORACLE_RETRY_ATTEMPTS) {
+          const delay = this.config.ORACLE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+          console.log(`⏳ ${oracle.name} oracle retry ${attempt}/${this.config.ORACLE_RETRY_ATTEMPTS} in ${delay}ms`);
+          await this.sleep(delay);
         }
-      };
-
-    } catch (error) {
-      console.error('❌ Primary oracle fetch failed:', error.message);
-      throw error;
+      }
     }
+
+    console.error(`❌ ${oracle.name} oracle fetch failed:`, lastError.message);
+    priceOracles.recordFailure(oracle.name, lastError);
+    throw lastError;
   }
 
   /**
-   * Fetch current FXCT price from fallback oracle
+   * Query every active oracle and aggregate their quotes
+   * @param {string} symbol - Token symbol (default: FXCT)
    * @returns {Promise<{price: number, source: string, metadata: Object}>}
    */
-  async fetchFromFallbackOracle() {
-    try {
-      const response = await axios.get(this.config.FALLBACK_ORACLE_URL, {
-        timeout: this.config.ORACLE_TIMEOUT_MS,
-        headers: {
-          'User-Agent': 'FractionaX-PriceFeed-Fallback/1.0.0',
-          'Accept': 'application/json'
-        }
-      });
-
-      // Handle fallback oracle response format (e.g., CoinGecko)
-      const data = response.data;
-      let price;
+  async fetchAggregatedPrice(symbol = null) {
+    const tokenSymbol = symbol || this.config.FXCT_SYMBOL;
+    const oracles = priceOracles.active();
+    if (oracles.length === 0) {
+      throw new Error('No price oracles are configured');
+    }
 
-      if (data.fractionax && data.fractionax.usd) {
-        price = parseFloat(data.fractionax.usd);
-      } else if (data.price) {
-        price = parseFloat(data.price);
-      } else {
-        throw new Error('Invalid fallback oracle response format');
-      }
+    const results = await Promise.allSettled(oracles.map(oracle => this.fetchFromOracle(oracle, tokenSymbol)));
+    const quotes = [];
+    const failed = [];
 
-      if (isNaN(price) || price <= 0) {
-        throw new Error(`Invalid fallback price value: ${price}`);
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed.push({ source: oracles[index].name, error: result.reason.message });
+      } else if (result.value) {
+        quotes.push(result.value);
       }
+    });
 
-      console.log(`📈 Fetched FXCT price from fallback oracle: $${price.toFixed(6)}`);
-      
-      return {
-        price,
-        source: 'fallback',
-        metadata: {
-          timestamp: new Date().toISOString(),
-          oracle_url: this.config.FALLBACK_ORACLE_URL,
-          raw_response: data
-        }
-      };
+    if (quotes.length < this.config.ORACLE_MIN_SOURCES) {
+      throw new Error(`Only ${quotes.length} of ${this.config.ORACLE_MIN_SOURCES} required oracles answered` +
+        (failed.length ? ` (${failed.map(f => `${f.source}: ${f.error}`).join('; ')})` : ''));
+    }
 
-    } catch (error) {
-      console.error('❌ Fallback oracle fetch failed:', error.message);
-      throw error;
+    const aggregate = this.aggregateQuotes(quotes);
+    aggregate.rejected.forEach(quote => priceOracles.recordOutlier(quote.source));
+    if (aggregate.rejected.length > 0) {
+      console.warn(`⚠️ Rejected outlier ${tokenSymbol} quotes: ${aggregate.rejected.map(q => `${q.source} $${q.price}`).join(', ')}`);
     }
+
+    return {
+      price: aggregate.price,
+      source: aggregate.accepted.length === 1 ? aggregate.accepted[0].source : 'median',
+      metadata: {
+        timestamp: new Date().toISOString(),
+        method: 'median',
+        maxDeviation: this.config.ORACLE_MAX_DEVIATION,
+        spread: aggregate.spread,
+        quotes: aggregate.accepted.map(({ source, price, latencyMs, metadata }) => ({ source, price, latencyMs, metadata })),
+        rejected: aggregate.rejected.map(({ source, price, deviation }) => ({ source, price, deviation })),
+        failed
+      }
+    };
   }
 
   /**
-   * Fetch price with retry logic and fallback
-   * @returns {Promise<{price: number, source: string, metadata: Object}>}
+   * Median of the quotes, dropping any more than ORACLE_MAX_DEVIATION away
+   * from it. With fewer than three quotes there is no majority to judge
+   * against, so nothing is rejected and the spread is reported instead.
+   * @param {Array} quotes - [{ source, price }]
+   * @returns {Object} { price, median, spread, accepted, rejected }
    */
-  async fetchPriceWithRetry() {
-    let lastError;
-    
-    // Try primary oracle with retry
-    for (let attempt = 1; attempt <= this.config.ORACLE_RETRY_ATTEMPTS; attempt++) {
-      try {
-        return await this.fetchFromPrimaryOracle();
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < this.config.ORACLE_RETRY_ATTEMPTS) {
-          const delay = this.config.ORACLE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
-          console.log(`⏳ Primary oracle retry ${attempt}/${this.config.ORACLE_RETRY_ATTEMPTS} in ${delay}ms`);
-          await this.sleep(delay);
-        }
+  aggregateQuotes(quotes) {
+    const median = this.median(quotes.map(q => q.price));
+    const prices = quotes.map(q => q.price);
+    const spread = median > 0 ? (Math.max(...prices) - Math.min(...prices)) / median : 0;
+
+    if (quotes.length < 3) {
+      if (spread > this.config.ORACLE_MAX_DEVIATION) {
+        console.warn(`⚠️ Oracle quotes diverge by ${(spread * 100).toFixed(1)}% with too few sources to reject outliers`);
       }
+      return { price: median, median, spread, accepted: quotes, rejected: [] };
     }
 
-    console.warn('⚠️ Primary oracle failed after all retries, trying fallback...');
-    
-    // Try fallback oracle with retry
-    for (let attempt = 1; attempt <= this.config.ORACLE_RETRY_ATTEMPTS; attempt++) {
-      try {
-        return await this.fetchFromFallbackOracle();
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < this.config.ORACLE_RETRY_ATTEMPTS) {
-          const delay = this.config.ORACLE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
-          console.log(`⏳ Fallback oracle retry ${attempt}/${this.config.ORACLE_RETRY_ATTEMPTS} in ${delay}ms`);
-          await this.sleep(delay);
-        }
-      }
+    const accepted = [];
+    const rejected = [];
+    for (const quote of quotes) {
+      const deviation = Math.abs(quote.price - median) / median;
+      (deviation > this.config.ORACLE_MAX_DEVIATION ? rejected : accepted).push({ ...quote, deviation });
     }
 
-    throw new Error(`All oracles failed. Last error: ${lastError.message}`);
+    return {
+      price: this.median(accepted.map(q => q.price)),
+      median,
+      spread,
+      accepted,
+      rejected
+    };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
   }
 
   /**
    * Update daily price in database
    * @param {Date} date - The date for the price
+   * @param {Object} options - { force: refetch even if today's price exists }
    * @returns {Promise<Object>} Saved price record
    */
-  async updateDailyPrice(date = new Date()) {
+  async updateDailyPrice(date = new Date(), { force = false } = {}) {
     try {
       const dayStart = new Date(date);
       dayStart.setUTCHours(0, 0, 0, 0);
@@ -197,13 +182,13 @@ class PriceFeedService {
         day: dayStart
       });
 
-      if (existing && !existing.isStale) {
+      if (existing && !existing.isStale && !force) {
         console.log(`✅ Price already exists for ${dayStart.toISOString().split('T')[0]}`);
         return existing;
       }
 
       // Fetch new price
-      const priceData = await this.fetchPriceWithRetry();
+      const priceData = await this.fetchAggregatedPrice();
       
       // Save to database
       const priceRecord = await TokenPrice.findOneAndUpdate(
@@ -225,6 +210,7 @@ class PriceFeedService {
 
       // Update cache
       this.updatePriceCache(dayStart, priceData.price);
+      this.clearTwapCache();
       this.lastFetchAttempt = new Date();
       this.isStale = false;
 
@@ -253,16 +239,29 @@ class PriceFeedService {
   }
 
   /**
-   * Calculate 7-day Time-Weighted Average Price (TWAP)
+   * Time-Weighted Average Price over the configured window (PRICE_TWAP_DAYS)
+   * Kept under this name for existing callers; the window is no longer fixed at 7 days.
    * @param {string} symbol - Token symbol (default: FXCT)
    * @returns {Promise<{price: number, period: string, dataPoints: number, isStale: boolean}>}
    */
   async getSevenDayAverage(symbol = null) {
+    return this.getTwapPrice(symbol, this.config.PRICE_TWAP_DAYS);
+  }
+
+  /**
+   * Calculate the Time-Weighted Average Price (TWAP) over a window
+   * Each daily price is weighted by how long it was in force inside the
+   * window; the last price before the window covers its start.
+   * @param {string} symbol - Token symbol (default: FXCT)
+   * @param {number} days - Window length in days
+   * @returns {Promise<{price: number, period: string, dataPoints: number, isStale: boolean}>}
+   */
+  async getTwapPrice(symbol = null, days = this.config.PRICE_TWAP_DAYS) {
     const tokenSymbol = symbol || this.config.FXCT_SYMBOL;
     
     try {
       // Check cache first
-      const cacheKey = `7d_avg_${tokenSymbol}`;
+      const cacheKey = `twap_${days}d_${tokenSymbol}`;
       if (this.priceCache.has(cacheKey)) {
         const cached = this.priceCache.get(cacheKey);
         if (Date.now() - cached.timestamp < this.config.PRICE_CACHE_TTL_SECONDS * 1000) {
@@ -270,39 +269,52 @@ class PriceFeedService {
         }
       }
 
-      // Get last 7 days of price data
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      sevenDaysAgo.setUTCHours(0, 0, 0, 0);
-
-      const priceRecords = await TokenPrice.find({
-        symbol: tokenSymbol,
-        day: { $gte: sevenDaysAgo }
-      })
-      .sort({ day: -1 })
-      .limit(7);
-
+      const now = Date.now();
+      const windowStart = new Date(now - days * 24 * 60 * 60 * 1000);
+
+      const [inWindow, before] = await Promise.all([
+        TokenPrice.find({
+          symbol: tokenSymbol,
+          day: { $gt: windowStart }
+        }).sort({ day: 1 }),
+        TokenPrice.findOne({
+          symbol: tokenSymbol,
+          day: { $lte: windowStart }
+        }).sort({ day: -1 })
+      ]);
+
+      const priceRecords = before ? [before, ...inWindow] : inWindow;
       if (priceRecords.length === 0) {
         throw new Error(`No price data found for ${tokenSymbol}`);
       }
 
-      // Calculate arithmetic mean (TWAP acceptable for daily data points)
-      const totalPrice = priceRecords.reduce((sum, record) => sum + record.price, 0);
-      const averagePrice = totalPrice / priceRecords.length;
+      // Weight each price by the time it was in force inside the window
+      let weightedSum = 0;
+      let totalWeight = 0;
+      priceRecords.forEach((record, index) => {
+        const from = Math.max(record.day.getTime(), windowStart.getTime());
+        const to = index + 1 < priceRecords.length ? priceRecords[index + 1].day.getTime() : now;
+        const weight = Math.max(to - from, 0);
+        weightedSum += record.price * weight;
+        totalWeight += weight;
+      });
+      const averagePrice = totalWeight > 0
+        ? weightedSum / totalWeight
+        : priceRecords[priceRecords.length - 1].price;
       
       // Check staleness
+      const latestRecord = priceRecords[priceRecords.length - 1];
       const hasStaleData = priceRecords.some(record => record.isStale);
-      const oldestRecord = priceRecords[priceRecords.length - 1];
-      const staleness = Date.now() - oldestRecord.day.getTime();
+      const staleness = now - latestRecord.day.getTime();
       const isStaleByAge = staleness > (this.config.MAX_PRICE_STALENESS_HOURS * 60 * 60 * 1000);
 
       const result = {
         price: parseFloat(averagePrice.toFixed(8)),
-        period: '7d',
+        period: `${days}d`,
         dataPoints: priceRecords.length,
         isStale: hasStaleData || isStaleByAge || this.isStale,
         staleness: Math.floor(staleness / (60 * 60 * 1000)), // hours
-        lastUpdate: priceRecords[0].day,
+        lastUpdate: latestRecord.day,
         priceRange: {
           min: Math.min(...priceRecords.map(r => r.price)),
           max: Math.max(...priceRecords.map(r => r.price))
@@ -315,15 +327,54 @@ class PriceFeedService {
         timestamp: Date.now()
       });
 
-      console.log(`📊 Calculated 7-day TWAP for ${tokenSymbol}: $${result.price.toFixed(6)} (${result.dataPoints} data points)`);
+      console.log(`📊 Calculated ${days}-day TWAP for ${tokenSymbol}: $${result.price.toFixed(6)} (${result.dataPoints} data points)`);
       return result;
 
     } catch (error) {
-      console.error('❌ Failed to calculate 7-day average:', error.message);
+      console.error(`❌ Failed to calculate ${days}-day TWAP:`, error.message);
       throw error;
     }
   }
 
+  clearTwapCache() {
+    for (const key of Array.from(this.priceCache.keys())) {
+      if (key.startsWith('twap_')) this.priceCache.delete(key);
+    }
+  }
+
+  /**
+   * Oracle sources with health, plus aggregation settings
+   * @returns {Object} Oracle status for the admin view
+   */
+  getOracleStatus() {
+    return {
+      sources: priceOracles.list(),
+      aggregation: {
+        method: 'median',
+        minSources: this.config.ORACLE_MIN_SOURCES,
+        maxDeviation: this.config.ORACLE_MAX_DEVIATION
+      },
+      twapDays: this.config.PRICE_TWAP_DAYS,
+      lastFetchAttempt: this.lastFetchAttempt
+    };
+  }
+
+  async getManualPrice(symbol = null) {
+    return priceOracles.get('manual').getActive(symbol || this.config.FXCT_SYMBOL);
+  }
+
+  /**
+   * Set an admin price that joins aggregation until it expires
+   * @param {Object} params - { price, reason, setBy, expiresInHours }
+   */
+  async setManualPrice(params) {
+    return priceOracles.get('manual').setPrice({ symbol: this.config.FXCT_SYMBOL, ...params });
+  }
+
+  async clearManualPrice(clearedBy) {
+    return priceOracles.get('manual').clearPrice(this.config.FXCT_SYMBOL, clearedBy);
+  }
+
   /**
    * Get latest price for a token
    * @param {string} symbol - Token symbol
@@ -364,6 +415,25 @@ class PriceFeedService {
     return priceHistory;
   }
 
+  /**
+   * Daily price in effect on a given date (the most recent record on or before it)
+   * @param {Date} date - Date to price at
+   * @param {string} symbol - Token symbol
+   * @param {Object} options - { maxAgeDays } ignore records older than this before the date
+   * @returns {Promise<number|null>} Price, or null when no (recent enough) record precedes the date
+   */
+  async getPriceOnDate(date, symbol = null, options = {}) {
+    const tokenSymbol = symbol || this.config.FXCT_SYMBOL;
+    const day = { $lte: new Date(date) };
+    if (options.maxAgeDays) {
+      day.$gte = new Date(new Date(date).getTime() - options.maxAgeDays * 24 * 60 * 60 * 1000);
+    }
+
+    const record = await TokenPrice.findOne({ symbol: tokenSymbol, day }).sort({ day: -1 });
+
+    return record ? record.price : null;
+  }
+
   /**
    * Update price cache
    * @param {Date} date - Date of the price
@@ -390,14 +460,16 @@ class PriceFeedService {
   async healthCheck() {
     try {
       const latest = await this.getLatestPrice();
-      const sevenDayAvg = await this.getSevenDayAverage();
+      const twap = await this.getSevenDayAverage();
       
       return {
         status: 'healthy',
         latestPrice: latest.price,
         latestUpdate: latest.day,
-        sevenDayAverage: sevenDayAvg.price,
-        isStale: sevenDayAvg.isStale,
+        sevenDayAverage: twap.price, // Configured TWAP window; name kept for existing consumers
+        twapDays: this.config.PRICE_TWAP_DAYS,
+        isStale: twap.isStale,
+        oracles: priceOracles.list().map(({ name, status }) => ({ name, status })),
         cacheSize: this.priceCache.size
       };
     } catch (error) {
@@ -0,0 +1,85 @@
+/**
+ * On-chain DEX pool price oracle
+ *
+ * Reads reserves from a Uniswap V2-style pair with a raw JSON-RPC eth_call
+ * (getReserves) and prices FXCT as quote reserve / FXCT reserve, scaled by
+ * each token's decimals and the quote token's USD price (1 for a stablecoin).
+ */
+
+const axios = require('axios');
+
+const GET_RESERVES_SELECTOR = '0x0902f1ac';
+
+class DexPoolOracle {
+  constructor(config) {
+    this.name = 'dex';
+    this.displayName = 'DEX pool reserves';
+    this.type = 'dex_pool';
+    this.rpcUrl = config.DEX_RPC_URL;
+    this.poolAddress = config.DEX_POOL_ADDRESS;
+    this.fxctIsToken0 = config.DEX_FXCT_IS_TOKEN0;
+    this.fxctDecimals = config.DEX_FXCT_DECIMALS;
+    this.quoteDecimals = config.DEX_QUOTE_DECIMALS;
+    this.quoteUsdPrice = config.DEX_QUOTE_USD_PRICE;
+    this.timeoutMs = config.ORACLE_TIMEOUT_MS;
+  }
+
+  isAvailable() {
+    return Boolean(this.rpcUrl && this.poolAddress);
+  }
+
+  describe() {
+    return { poolAddress: this.poolAddress, fxctIsToken0: this.fxctIsToken0, quoteUsdPrice: this.quoteUsdPrice };
+  }
+
+  async fetchPrice() {
+    const response = await axios.post(this.rpcUrl, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'eth_call',
+      params: [{ to: this.poolAddress, data: GET_RESERVES_SELECTOR }, 'latest']
+    }, { timeout: this.timeoutMs });
+
+    if (response.data.error) {
+      throw new Error(`RPC error: ${response.data.error.message}`);
+    }
+
+    const { reserve0, reserve1, blockTimestampLast } = this.decodeReserves(response.data.result);
+    const [fxctReserve, quoteReserve] = this.fxctIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+
+    if (fxctReserve === 0n || quoteReserve === 0n) {
+      throw new Error('Pool has no liquidity');
+    }
+
+    const fxctAmount = Number(fxctReserve) / Math.pow(10, this.fxctDecimals);
+    const quoteAmount = Number(quoteReserve) / Math.pow(10, this.quoteDecimals);
+    const price = (quoteAmount / fxctAmount) * this.quoteUsdPrice;
+
+    return {
+      price,
+      metadata: {
+        poolAddress: this.poolAddress,
+        fxctReserve: fxctAmount,
+        quoteReserve: quoteAmount,
+        poolUpdatedAt: new Date(blockTimestampLast * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * getReserves() returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)
+   */
+  decodeReserves(result) {
+    if (typeof result !== 'string' || result.length < 2 + 64 * 3) {
+      throw new Error('Unexpected getReserves response');
+    }
+    const word = (index) => BigInt(`0x${result.slice(2 + index * 64, 2 + (index + 1) * 64)}`);
+    return {
+      reserve0: word(0),
+      reserve1: word(1),
+      blockTimestampLast: Number(word(2))
+    };
+  }
+}
+
+module.exports = DexPoolOracle;
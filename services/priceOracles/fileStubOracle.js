@@ -0,0 +1,45 @@
+/**
+ * Local file stub oracle
+ *
+ * Reads prices from a JSON file such as { "FXCT": 0.05 } so development and
+ * staging environments can run the price feed without network access.
+ * Refused in production.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class FileStubOracle {
+  constructor(config) {
+    this.name = 'file';
+    this.displayName = 'Local file stub';
+    this.type = 'file_stub';
+    this.filePath = config.PRICE_ORACLE_STUB_FILE
+      ? path.resolve(config.PRICE_ORACLE_STUB_FILE)
+      : null;
+  }
+
+  isAvailable() {
+    return Boolean(this.filePath) && process.env.NODE_ENV !== 'production';
+  }
+
+  describe() {
+    return { filePath: this.filePath };
+  }
+
+  async fetchPrice(symbol) {
+    const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    const price = parseFloat(data[symbol] ?? data.price);
+
+    if (isNaN(price) || price <= 0) {
+      throw new Error(`No valid ${symbol} price in ${this.filePath}`);
+    }
+
+    return {
+      price,
+      metadata: { filePath: this.filePath }
+    };
+  }
+}
+
+module.exports = FileStubOracle;
@@ -0,0 +1,79 @@
+/**
+ * HTTP JSON price oracle
+ *
+ * GETs a JSON endpoint and reads the price from `pricePath` (dot notation) or,
+ * without one, from the shapes our existing feeds return: { price },
+ * { result }, { fxct: { usd } } or CoinGecko's { fractionax: { usd } }.
+ */
+
+const axios = require('axios');
+
+function readPath(data, pricePath) {
+  return pricePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+class HttpJsonOracle {
+  /**
+   * @param {Object} options - { name, displayName, url, pricePath, timeoutMs }
+   */
+  constructor({ name, displayName, url, pricePath = null, timeoutMs = 10000 }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.type = 'http_json';
+    this.url = url;
+    this.pricePath = pricePath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isAvailable() {
+    return Boolean(this.url);
+  }
+
+  describe() {
+    return { url: this.url, pricePath: this.pricePath };
+  }
+
+  /**
+   * @param {string} symbol - Token symbol (e.g. 'FXCT')
+   * @returns {Promise<Object>} { price, metadata }
+   */
+  async fetchPrice(symbol) {
+    const response = await axios.get(this.url, {
+      timeout: this.timeoutMs,
+      headers: {
+        'User-Agent': `FractionaX-PriceFeed/1.0.0 (${this.name})`,
+        'Accept': 'application/json'
+      }
+    });
+
+    const data = response.data;
+    let value;
+
+    if (this.pricePath) {
+      value = readPath(data, this.pricePath);
+    } else if (data.price !== undefined) {
+      value = data.price;
+    } else if (data.result !== undefined) {
+      value = data.result;
+    } else if (data[symbol.toLowerCase()]?.usd !== undefined) {
+      value = data[symbol.toLowerCase()].usd;
+    } else if (data.fractionax?.usd !== undefined) {
+      value = data.fractionax.usd;
+    }
+
+    const price = parseFloat(value);
+    if (isNaN(price) || price <= 0) {
+      throw new Error(`Invalid price in ${this.name} oracle response`);
+    }
+
+    return {
+      price,
+      metadata: {
+        oracle_url: this.url,
+        raw_response: data
+      }
+    };
+  }
+}
+
+module.exports = HttpJsonOracle;
@@ -0,0 +1,134 @@
+/**
+ * Price oracle registry
+ *
+ * Every oracle implements the same interface so priceFeedService can query
+ * them side by side and aggregate:
+ * - name, displayName, type
+ * - isAvailable() -> whether the source is configured in this environment
+ * - fetchPrice(symbol) -> { price, metadata }; errors with `skip` set mean
+ *   "nothing to report" rather than a failure
+ * - describe() -> non-secret configuration for the admin view
+ *
+ * The registry also keeps per-source health in memory: successes, failures,
+ * consecutive failures, outlier rejections, last price and latency.
+ */
+
+const pricingConfig = require('../../config/pricing');
+const HttpJsonOracle = require('./httpJsonOracle');
+const DexPoolOracle = require('./dexPoolOracle');
+const ManualOracle = require('./manualOracle');
+const FileStubOracle = require('./fileStubOracle');
+
+const REQUIRED_METHODS = ['fetchPrice', 'isAvailable', 'describe'];
+const DOWN_AFTER_FAILURES = 3;
+
+class PriceOracleRegistry {
+  constructor(enabled = null) {
+    this.oracles = new Map();
+    this.health = new Map();
+    this.enabled = enabled;
+  }
+
+  register(oracle) {
+    const missing = REQUIRED_METHODS.filter(method => typeof oracle[method] !== 'function');
+    if (!oracle.name || missing.length > 0) {
+      throw new Error(`Invalid price oracle ${oracle.name || '(unnamed)'}: missing ${missing.join(', ')}`);
+    }
+    this.oracles.set(oracle.name, oracle);
+    this.health.set(oracle.name, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      outliers: 0,
+      lastPrice: null,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    });
+    return this;
+  }
+
+  get(name) {
+    const oracle = this.oracles.get(name);
+    if (!oracle) {
+      throw new Error(`Unknown price oracle: ${name}`);
+    }
+    return oracle;
+  }
+
+  isEnabled(name) {
+    return !this.enabled || this.enabled.includes(name);
+  }
+
+  /**
+   * Oracles to query: enabled by config and configured here
+   */
+  active() {
+    return Array.from(this.oracles.values())
+      .filter(oracle => this.isEnabled(oracle.name) && oracle.isAvailable());
+  }
+
+  recordSuccess(name, { price, latencyMs }) {
+    const health = this.health.get(name);
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.lastPrice = price;
+    health.lastLatencyMs = latencyMs;
+    health.lastSuccessAt = new Date();
+  }
+
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastFailureAt = new Date();
+    health.lastError = error.message;
+  }
+
+  recordOutlier(name) {
+    this.health.get(name).outliers++;
+  }
+
+  getStatus(name) {
+    const oracle = this.oracles.get(name);
+    const health = this.health.get(name);
+    if (!this.isEnabled(name)) return 'disabled';
+    if (!oracle.isAvailable()) return 'unconfigured';
+    if (health.consecutiveFailures >= DOWN_AFTER_FAILURES) return 'down';
+    if (health.consecutiveFailures > 0) return 'degraded';
+    return health.successes > 0 ? 'healthy' : 'unknown';
+  }
+
+  list() {
+    return Array.from(this.oracles.values()).map(oracle => ({
+      name: oracle.name,
+      displayName: oracle.displayName,
+      type: oracle.type,
+      status: this.getStatus(oracle.name),
+      config: oracle.describe(),
+      health: { ...this.health.get(oracle.name) }
+    }));
+  }
+}
+
+const priceOracles = new PriceOracleRegistry(pricingConfig.PRICE_ORACLE_SOURCES)
+  .register(new HttpJsonOracle({
+    name: 'primary',
+    displayName: 'Primary oracle',
+    url: pricingConfig.PRICE_ORACLE_URL,
+    pricePath: pricingConfig.PRICE_ORACLE_PRICE_PATH,
+    timeoutMs: pricingConfig.ORACLE_TIMEOUT_MS
+  }))
+  .register(new HttpJsonOracle({
+    name: 'fallback',
+    displayName: 'Fallback oracle',
+    url: pricingConfig.FALLBACK_ORACLE_URL,
+    pricePath: pricingConfig.FALLBACK_ORACLE_PRICE_PATH,
+    timeoutMs: pricingConfig.ORACLE_TIMEOUT_MS
+  }))
+  .register(new DexPoolOracle(pricingConfig))
+  .register(new ManualOracle(pricingConfig))
+  .register(new FileStubOracle(pricingConfig));
+
+module.exports = priceOracles;
@@ -0,0 +1,97 @@
+/**
+ * Manual admin price oracle
+ *
+ * An admin-entered price that takes part in aggregation until it expires.
+ * Useful when the market feeds are down or clearly wrong.
+ */
+
+const mongoose = require('mongoose');
+
+const ManualOraclePriceSchema = new mongoose.Schema({
+  symbol: { type: String, required: true, index: true },
+  price: { type: Number, required: true, min: 0 },
+  reason: String,
+  setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date, required: true },
+  clearedAt: Date,
+  clearedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+ManualOraclePriceSchema.index({ symbol: 1, createdAt: -1 });
+const ManualOraclePrice = mongoose.model('PricingManualOraclePrice', ManualOraclePriceSchema);
+
+class ManualOracle {
+  constructor(config) {
+    this.name = 'manual';
+    this.displayName = 'Manual admin price';
+    this.type = 'manual';
+    this.ttlHours = config.MANUAL_PRICE_TTL_HOURS;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  describe() {
+    return { ttlHours: this.ttlHours };
+  }
+
+  async getActive(symbol) {
+    return ManualOraclePrice.findOne({
+      symbol,
+      clearedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 }).lean();
+  }
+
+  async fetchPrice(symbol) {
+    const active = await this.getActive(symbol);
+    if (!active) {
+      // Not an outage: there is simply no manual price right now
+      const error = new Error('No active manual price');
+      error.skip = true;
+      throw error;
+    }
+
+    return {
+      price: active.price,
+      metadata: {
+        manualPriceId: active._id,
+        reason: active.reason,
+        setBy: active.setBy,
+        expiresAt: active.expiresAt
+      }
+    };
+  }
+
+  /**
+   * @param {Object} params - { symbol, price, reason, setBy, expiresInHours }
+   */
+  async setPrice({ symbol, price, reason, setBy, expiresInHours }) {
+    const value = Number(price);
+    if (!(value > 0)) {
+      throw new Error('Manual price must be a positive number');
+    }
+
+    const hours = Number(expiresInHours) || this.ttlHours;
+    return (await ManualOraclePrice.create({
+      symbol,
+      price: value,
+      reason,
+      setBy,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    })).toObject();
+  }
+
+  async clearPrice(symbol, clearedBy) {
+    const result = await ManualOraclePrice.updateMany(
+      { symbol, clearedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { clearedAt: new Date(), clearedBy } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = ManualOracle;
@@ -0,0 +1,271 @@
+/**
+ * Pricing Simulator Service - What-if analysis for FXCT rates
+ *
+ * Runs hypothetical margin, floors, provider costs and FXCT price through the
+ * same rate pipeline fxctRatesService uses (raw rate → round up to 0.5 →
+ * minimum floor), side by side with the current settings, and replays the
+ * last N days of completed WalletUsageLedger calls at both rate schedules to
+ * project revenue and margin. Nothing is persisted.
+ */
+
+const { WalletUsageLedger } = require('../models/Wallet');
+const { fxctRatesService } = require('./fxctRatesService');
+const { priceFeedService } = require('./priceFeedService');
+const { costTableService } = require('./costTableService');
+const { getEffectiveMargin, getEffectiveFloors } = require('../config/pricing');
+
+const DATA_TYPES = ['BASIC', 'STANDARD', 'PRO_LOW', 'PRO_HIGH'];
+const MAX_DAYS = 365;
+
+function simulatorError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function percentChange(before, after) {
+  return before ? round(((after - before) / before) * 100, 2) : null;
+}
+
+class PricingSimulatorService {
+  /**
+   * Compare a hypothetical rate schedule with the current one
+   * @param {Object} scenario
+   * @param {number} scenario.margin - Target margin (0-1, exclusive)
+   * @param {Object} scenario.floors - Minimum FXCT per data type, merged over current floors
+   * @param {Object} scenario.costs - USD cost per data type, merged over current catalog costs
+   * @param {number} scenario.fxctPrice - FXCT/USD price (defaults to the 7-day average)
+   * @param {number} scenario.days - Usage window for the projection (default 30)
+   * @returns {Promise<Object>} Assumptions, rates and projection for both schedules
+   */
+  async simulate(scenario = {}) {
+    const current = await this.getCurrentAssumptions();
+    const simulated = this.buildScenario(current, scenario);
+    const days = this.parseDays(scenario.days);
+
+    const currentRates = this.computeRates(current);
+    const simulatedRates = this.computeRates(simulated);
+    const usage = await this.getUsage(days);
+
+    return {
+      assumptions: { current, simulated },
+      rates: DATA_TYPES.reduce((rates, dataType) => {
+        const before = currentRates[dataType];
+        const after = simulatedRates[dataType];
+        rates[dataType] = {
+          current: before,
+          simulated: after,
+          change: {
+            fxct: round(after.fxctRate - before.fxctRate, 2),
+            percent: percentChange(before.fxctRate, after.fxctRate)
+          }
+        };
+        return rates;
+      }, {}),
+      projection: this.project(usage, { current, currentRates, simulated, simulatedRates, days }),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Margin, floors, costs and FXCT price in force right now
+   */
+  async getCurrentAssumptions() {
+    const [priceData, allCosts, costTable] = await Promise.all([
+      priceFeedService.getSevenDayAverage(),
+      costTableService.getAllDataTypeCosts(),
+      costTableService.loadCosts()
+    ]);
+
+    return {
+      margin: getEffectiveMargin(),
+      floors: getEffectiveFloors(),
+      costs: Object.fromEntries(DATA_TYPES.map(dataType => [dataType, allCosts[dataType]?.cost])),
+      fxctPrice: priceData.price,
+      priceStale: priceData.isStale,
+      costCatalogVersion: costTable.version
+    };
+  }
+
+  /**
+   * Overlay the requested changes on the current assumptions
+   */
+  buildScenario(current, { margin, floors, costs, fxctPrice } = {}) {
+    const scenario = {
+      margin: current.margin,
+      floors: { ...current.floors },
+      costs: { ...current.costs },
+      fxctPrice: current.fxctPrice
+    };
+
+    if (margin !== undefined && margin !== null) {
+      const value = Number(margin);
+      if (!(value > 0 && value < 1)) {
+        throw simulatorError('Margin must be between 0 and 1 (exclusive)');
+      }
+      scenario.margin = value;
+    }
+
+    if (fxctPrice !== undefined && fxctPrice !== null) {
+      const value = Number(fxctPrice);
+      if (!(value > 0)) {
+        throw simulatorError('fxctPrice must be a positive number');
+      }
+      scenario.fxctPrice = value;
+    }
+
+    for (const [field, values] of [['floors', floors], ['costs', costs]]) {
+      for (const [dataType, raw] of Object.entries(values || {})) {
+        if (!DATA_TYPES.includes(dataType)) {
+          throw simulatorError(`Invalid data type: ${dataType}`);
+        }
+        const value = Number(raw);
+        if (!(value > 0)) {
+          throw simulatorError(`${field === 'floors' ? 'Floor' : 'Cost'} for ${dataType} must be a positive number`);
+        }
+        scenario[field][dataType] = value;
+      }
+    }
+
+    return scenario;
+  }
+
+  parseDays(days) {
+    if (days === undefined || days === null || days === '') return 30;
+    const value = parseInt(days);
+    if (!(value >= 1 && value <= MAX_DAYS)) {
+      throw simulatorError(`days must be between 1 and ${MAX_DAYS}`);
+    }
+    return value;
+  }
+
+  /**
+   * Per-data-type rates through the fxctRatesService pipeline
+   */
+  computeRates({ margin, floors, costs, fxctPrice }) {
+    const rates = {};
+    for (const dataType of DATA_TYPES) {
+      const usdCost = costs[dataType];
+      const rawRate = fxctRatesService.calculateRawFXCTRate(usdCost, fxctPrice, margin);
+      const roundedRate = fxctRatesService.roundFXCTRate(rawRate);
+      const fxctRate = fxctRatesService.applyMinimumFloor(roundedRate, dataType, floors);
+
+      rates[dataType] = {
+        usdCost,
+        rawRate: round(rawRate, 4),
+        roundedRate,
+        fxctRate,
+        floorApplied: fxctRate > roundedRate,
+        usdPrice: round(fxctRate * fxctPrice, 4),
+        effectiveMargin: round(1 - usdCost / (fxctRate * fxctPrice), 4)
+      };
+    }
+    return rates;
+  }
+
+  /**
+   * Completed calls per data type over the window
+   */
+  async getUsage(days) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const rows = await WalletUsageLedger.aggregate([
+      { $match: { status: 'completed', createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$dataType',
+          calls: { $sum: 1 },
+          fxctCharged: { $sum: { $toDouble: '$fxctDebited' } },
+          usdCost: { $sum: { $toDouble: '$usdCostRef' } }
+        }
+      }
+    ]);
+
+    return {
+      since,
+      byDataType: Object.fromEntries(rows.map(row => [row._id, row]))
+    };
+  }
+
+  /**
+   * Revenue and margin if last period's calls had been billed at each schedule
+   */
+  project(usage, { current, currentRates, simulated, simulatedRates, days }) {
+    const totals = {
+      actual: { fxct: 0, usdRevenue: 0, usdCost: 0 },
+      current: { fxct: 0, usdRevenue: 0, usdCost: 0 },
+      simulated: { fxct: 0, usdRevenue: 0, usdCost: 0 }
+    };
+    const byDataType = {};
+    let calls = 0;
+
+    for (const dataType of DATA_TYPES) {
+      const row = usage.byDataType[dataType] || { calls: 0, fxctCharged: 0, usdCost: 0 };
+      calls += row.calls;
+
+      const scenarios = {
+        actual: {
+          fxct: row.fxctCharged,
+          usdRevenue: row.fxctCharged * current.fxctPrice,
+          usdCost: row.usdCost
+        },
+        current: {
+          fxct: row.calls * currentRates[dataType].fxctRate,
+          usdRevenue: row.calls * currentRates[dataType].fxctRate * current.fxctPrice,
+          usdCost: row.calls * current.costs[dataType]
+        },
+        simulated: {
+          fxct: row.calls * simulatedRates[dataType].fxctRate,
+          usdRevenue: row.calls * simulatedRates[dataType].fxctRate * simulated.fxctPrice,
+          usdCost: row.calls * simulated.costs[dataType]
+        }
+      };
+
+      for (const [name, figures] of Object.entries(scenarios)) {
+        totals[name].fxct += figures.fxct;
+        totals[name].usdRevenue += figures.usdRevenue;
+        totals[name].usdCost += figures.usdCost;
+      }
+
+      byDataType[dataType] = {
+        calls: row.calls,
+        ...Object.fromEntries(Object.entries(scenarios).map(([name, figures]) => [name, this.summarize(figures)]))
+      };
+    }
+
+    const summary = Object.fromEntries(Object.entries(totals).map(([name, figures]) => [name, this.summarize(figures)]));
+
+    return {
+      days,
+      since: usage.since.toISOString(),
+      calls,
+      byDataType,
+      totals: summary,
+      change: {
+        usdRevenue: round(summary.simulated.usdRevenue - summary.current.usdRevenue, 2),
+        usdRevenuePercent: percentChange(summary.current.usdRevenue, summary.simulated.usdRevenue),
+        grossProfit: round(summary.simulated.grossProfit - summary.current.grossProfit, 2),
+        marginPoints: summary.simulated.margin !== null && summary.current.margin !== null
+          ? round((summary.simulated.margin - summary.current.margin) * 100, 2)
+          : null
+      }
+    };
+  }
+
+  summarize({ fxct, usdRevenue, usdCost }) {
+    return {
+      fxct: round(fxct, 2),
+      usdRevenue: round(usdRevenue, 2),
+      usdCost: round(usdCost, 2),
+      grossProfit: round(usdRevenue - usdCost, 2),
+      margin: usdRevenue > 0 ? round((usdRevenue - usdCost) / usdRevenue, 4) : null
+    };
+  }
+}
+
+const pricingSimulatorService = new PricingSimulatorService();
+module.exports = pricingSimulatorService;
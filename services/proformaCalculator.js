@@ -0,0 +1,289 @@
+/**
+ * Pro Forma Calculator - rental cash flow projections
+ *
+ * Pure functions: given purchase, income, expense and financing assumptions,
+ * project annual operations over a hold period and derive NOI, cap rate,
+ * cash-on-cash, DSCR and levered/unlevered IRR. Optional share count turns
+ * the equity cash flows into per-share returns for fractional listings.
+ */
+
+const DEFAULT_ASSUMPTIONS = {
+  closingCostRate: 0.03,       // of price, paid at purchase
+  vacancyRate: 0.05,           // of gross rent
+  managementFeeRate: 0.08,     // of effective gross income
+  maintenanceRate: 0.05,       // of gross rent
+  capexReserveRate: 0.05,      // of gross rent
+  propertyTaxRate: 0.012,      // of price, used only when no tax figure is known
+  insuranceRate: 0.004,        // of price, used only when no insurance figure is given
+  annualHoa: 0,
+  otherMonthlyIncome: 0,
+  rentGrowthRate: 0.03,
+  expenseGrowthRate: 0.025,
+  appreciationRate: 0.03,
+  sellingCostRate: 0.06,       // of sale price at exit
+  holdYears: 10
+};
+
+const DEFAULT_FINANCING = {
+  downPaymentRate: 0.25,
+  interestRate: 0.07,
+  amortizationYears: 30,
+  loanPointsRate: 0
+};
+
+const MAX_HOLD_YEARS = 30;
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Level monthly payment for a fully amortizing loan
+ */
+function monthlyPayment(principal, annualRate, years) {
+  if (principal <= 0) return 0;
+  const n = years * 12;
+  const r = annualRate / 12;
+  if (r === 0) return principal / n;
+  return (principal * r) / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * Remaining principal after a number of monthly payments
+ */
+function loanBalanceAfter(principal, annualRate, years, paymentsMade) {
+  if (principal <= 0) return 0;
+  const r = annualRate / 12;
+  const payment = monthlyPayment(principal, annualRate, years);
+  if (r === 0) return Math.max(0, principal - payment * paymentsMade);
+  const balance = principal * Math.pow(1 + r, paymentsMade) - payment * ((Math.pow(1 + r, paymentsMade) - 1) / r);
+  return Math.max(0, balance);
+}
+
+function npv(rate, cashFlows) {
+  return cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+}
+
+/**
+ * Internal rate of return by bisection; null when the cash flows never change sign
+ * @param {number[]} cashFlows - Period 0 first (normally negative)
+ * @returns {number|null} Rate as a decimal
+ */
+function irr(cashFlows) {
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low, cashFlows);
+  const npvHigh = npv(high, cashFlows);
+
+  if (!Number.isFinite(npvLow) || !Number.isFinite(npvHigh) || npvLow * npvHigh > 0) {
+    return null;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid, cashFlows);
+    if (Math.abs(npvMid) < 1e-7) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+// Thrown for assumptions the caller can correct, as opposed to calculation faults
+function assumptionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ASSUMPTIONS';
+  return error;
+}
+
+/**
+ * Merge caller assumptions over the defaults and validate them
+ * @param {Object} input - { purchasePrice, monthlyRent, annualTaxes, annualInsurance, ..., financing, totalShares }
+ * @returns {Object} Normalized assumptions
+ */
+function normalizeAssumptions(input = {}) {
+  const defined = Object.fromEntries(Object.entries(input).filter(([, v]) => v !== undefined && v !== null));
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, ...defined };
+
+  if (!(assumptions.purchasePrice > 0)) {
+    throw assumptionError('purchasePrice must be positive');
+  }
+  if (!(assumptions.monthlyRent > 0)) {
+    throw assumptionError('monthlyRent must be positive');
+  }
+
+  assumptions.holdYears = Math.min(MAX_HOLD_YEARS, Math.max(1, Math.round(assumptions.holdYears)));
+  assumptions.annualTaxes = assumptions.annualTaxes ?? assumptions.purchasePrice * assumptions.propertyTaxRate;
+  assumptions.annualInsurance = assumptions.annualInsurance ?? assumptions.purchasePrice * assumptions.insuranceRate;
+
+  const financing = input.financing === false || input.financing?.enabled === false
+    ? { ...DEFAULT_FINANCING, downPaymentRate: 1 }
+    : { ...DEFAULT_FINANCING, ...Object.fromEntries(Object.entries(input.financing || {}).filter(([, v]) => v !== undefined && v !== null)) };
+
+  if (financing.downPaymentRate <= 0 || financing.downPaymentRate > 1) {
+    throw assumptionError('downPaymentRate must be greater than 0 and at most 1');
+  }
+  if (financing.interestRate < 0 || financing.interestRate > 1) {
+    throw assumptionError('interestRate must be between 0 and 1');
+  }
+  assumptions.financing = financing;
+
+  for (const rate of ['vacancyRate', 'managementFeeRate', 'maintenanceRate', 'capexReserveRate', 'closingCostRate', 'sellingCostRate']) {
+    if (assumptions[rate] < 0 || assumptions[rate] >= 1) {
+      throw assumptionError(`${rate} must be between 0 and 1`);
+    }
+  }
+
+  return assumptions;
+}
+
+/**
+ * Build a full pro forma
+ * @param {Object} input - See normalizeAssumptions
+ * @returns {Object} { assumptions, acquisition, yearOne, projection, returns, perShare }
+ */
+function buildProforma(input) {
+  const a = normalizeAssumptions(input);
+  const f = a.financing;
+
+  const loanAmount = a.purchasePrice * (1 - f.downPaymentRate);
+  const downPayment = a.purchasePrice - loanAmount;
+  const closingCosts = a.purchasePrice * a.closingCostRate;
+  const loanPoints = loanAmount * f.loanPointsRate;
+  const totalCashInvested = downPayment + closingCosts + loanPoints;
+  const annualDebtService = monthlyPayment(loanAmount, f.interestRate, f.amortizationYears) * 12;
+
+  const projection = [];
+  for (let year = 1; year <= a.holdYears; year++) {
+    const rentFactor = Math.pow(1 + a.rentGrowthRate, year - 1);
+    const expenseFactor = Math.pow(1 + a.expenseGrowthRate, year - 1);
+
+    const grossPotentialRent = a.monthlyRent * 12 * rentFactor;
+    const otherIncome = a.otherMonthlyIncome * 12 * rentFactor;
+    const vacancyLoss = grossPotentialRent * a.vacancyRate;
+    const effectiveGrossIncome = grossPotentialRent + otherIncome - vacancyLoss;
+
+    const expenses = {
+      propertyTaxes: a.annualTaxes * expenseFactor,
+      insurance: a.annualInsurance * expenseFactor,
+      hoa: a.annualHoa * expenseFactor,
+      management: effectiveGrossIncome * a.managementFeeRate,
+      maintenance: grossPotentialRent * a.maintenanceRate,
+      capexReserve: grossPotentialRent * a.capexReserveRate
+    };
+    const operatingExpenses = Object.values(expenses).reduce((sum, v) => sum + v, 0);
+    const noi = effectiveGrossIncome - operatingExpenses;
+    const debtService = f.amortizationYears >= year || loanAmount === 0 ? annualDebtService : 0;
+    const cashFlow = noi - debtService;
+    const loanBalance = loanBalanceAfter(loanAmount, f.interestRate, f.amortizationYears, Math.min(year, f.amortizationYears) * 12);
+    const propertyValue = a.purchasePrice * Math.pow(1 + a.appreciationRate, year);
+
+    projection.push({
+      year,
+      grossPotentialRent: round(grossPotentialRent),
+      otherIncome: round(otherIncome),
+      vacancyLoss: round(vacancyLoss),
+      effectiveGrossIncome: round(effectiveGrossIncome),
+      expenses: Object.fromEntries(Object.entries(expenses).map(([k, v]) => [k, round(v)])),
+      operatingExpenses: round(operatingExpenses),
+      noi: round(noi),
+      debtService: round(debtService),
+      cashFlow: round(cashFlow),
+      loanBalance: round(loanBalance),
+      propertyValue: round(propertyValue),
+      equity: round(propertyValue - loanBalance),
+      cashOnCash: round(totalCashInvested > 0 ? (cashFlow / totalCashInvested) * 100 : null)
+    });
+  }
+
+  const exit = projection[projection.length - 1];
+  const salePrice = exit.propertyValue;
+  const sellingCosts = salePrice * a.sellingCostRate;
+  const netSaleProceeds = salePrice - sellingCosts - exit.loanBalance;
+
+  const leveredFlows = [-totalCashInvested, ...projection.map(p => p.cashFlow)];
+  leveredFlows[leveredFlows.length - 1] += netSaleProceeds;
+
+  const unleveredFlows = [-(a.purchasePrice + closingCosts), ...projection.map(p => p.noi)];
+  unleveredFlows[unleveredFlows.length - 1] += salePrice - sellingCosts;
+
+  const totalCashFlow = projection.reduce((sum, p) => sum + p.cashFlow, 0);
+  const totalReturned = totalCashFlow + netSaleProceeds;
+  const leveredIrr = irr(leveredFlows);
+  const unleveredIrr = irr(unleveredFlows);
+
+  const yearOne = projection[0];
+  const result = {
+    assumptions: a,
+    acquisition: {
+      purchasePrice: round(a.purchasePrice),
+      downPayment: round(downPayment),
+      loanAmount: round(loanAmount),
+      closingCosts: round(closingCosts),
+      loanPoints: round(loanPoints),
+      totalCashInvested: round(totalCashInvested),
+      monthlyMortgagePayment: round(annualDebtService / 12)
+    },
+    yearOne: {
+      grossRent: yearOne.grossPotentialRent,
+      effectiveGrossIncome: yearOne.effectiveGrossIncome,
+      operatingExpenses: yearOne.operatingExpenses,
+      noi: yearOne.noi,
+      cashFlow: yearOne.cashFlow,
+      monthlyCashFlow: round(yearOne.cashFlow / 12),
+      capRate: round((yearOne.noi / a.purchasePrice) * 100),
+      grossYield: round((yearOne.grossPotentialRent / a.purchasePrice) * 100),
+      cashOnCash: yearOne.cashOnCash,
+      dscr: annualDebtService > 0 ? round(yearOne.noi / annualDebtService) : null,
+      expenseRatio: round((yearOne.operatingExpenses / yearOne.effectiveGrossIncome) * 100),
+      breakEvenOccupancy: round(((yearOne.operatingExpenses + annualDebtService) / (yearOne.grossPotentialRent + yearOne.otherIncome)) * 100)
+    },
+    projection,
+    returns: {
+      holdYears: a.holdYears,
+      salePrice: round(salePrice),
+      sellingCosts: round(sellingCosts),
+      netSaleProceeds: round(netSaleProceeds),
+      totalCashFlow: round(totalCashFlow),
+      totalProfit: round(totalReturned - totalCashInvested),
+      equityMultiple: round(totalCashInvested > 0 ? totalReturned / totalCashInvested : null),
+      leveredIrr: leveredIrr === null ? null : round(leveredIrr * 100),
+      unleveredIrr: unleveredIrr === null ? null : round(unleveredIrr * 100),
+      averageCashOnCash: round(projection.reduce((sum, p) => sum + (p.cashOnCash || 0), 0) / projection.length)
+    },
+    perShare: null
+  };
+
+  if (a.totalShares > 0) {
+    const shares = a.totalShares;
+    result.perShare = {
+      totalShares: shares,
+      pricePerShare: round(totalCashInvested / shares, 4),
+      yearOneDistribution: round(yearOne.cashFlow / shares, 4),
+      yearOneYield: yearOne.cashOnCash,
+      distributions: projection.map(p => ({ year: p.year, amount: round(p.cashFlow / shares, 4) })),
+      exitProceedsPerShare: round(netSaleProceeds / shares, 4),
+      totalReturnPerShare: round(totalReturned / shares, 4),
+      irr: result.returns.leveredIrr
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  buildProforma,
+  normalizeAssumptions,
+  monthlyPayment,
+  loanBalanceAfter,
+  irr,
+  DEFAULT_ASSUMPTIONS,
+  DEFAULT_FINANCING
+};
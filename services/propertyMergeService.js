@@ -0,0 +1,323 @@
+/**
+ * 🔀 Property Merge Service
+ *
+ * Combines canonical records (services/propertyProviders) describing the same
+ * property, field by field:
+ * - Each candidate value is scored by provider trust for the field's group
+ *   times a freshness factor that halves every FRESHNESS_HALF_LIFE_DAYS
+ * - The best-scoring value wins and keeps its provenance
+ * - Disagreements beyond CONFLICT_RULES are reported as conflicts
+ * - A data-quality score combines completeness with those conflicts
+ *
+ * Merged results can be stored on PropertyDetailsCache so conflicts and the
+ * quality score survive beyond the request.
+ */
+
+const mergeConfig = require('../config/propertyMerge');
+const PropertyDetailsCache = require('../models/PropertyDetailsCache');
+const { createRecord, setField, getField, addImages, addressKey } = require('./propertyProviders/schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PropertyMergeService {
+  constructor(config = mergeConfig) {
+    this.config = config;
+    this.stats = {
+      merges: 0,
+      conflicts: 0,
+      majorConflicts: 0
+    };
+  }
+
+  /**
+   * Rank-based trust in (0, 1]; providers missing from the ranking get 0.1
+   */
+  trustScore(provider, group, trust = this.config.TRUST_RANKINGS) {
+    const ranking = trust[group] || [];
+    const index = ranking.indexOf(provider);
+    return index === -1 ? 0.1 : (ranking.length - index) / ranking.length;
+  }
+
+  freshnessFactor(fetchedAt, group, now = Date.now()) {
+    const fetched = new Date(fetchedAt).getTime();
+    if (!fetchedAt || isNaN(fetched)) return 0.5;
+    const ageDays = Math.max(0, now - fetched) / DAY_MS;
+    const halfLife = this.config.FRESHNESS_HALF_LIFE_DAYS[group] || 365;
+    return Math.pow(0.5, ageDays / halfLife);
+  }
+
+  /**
+   * field -> [{ provider, value, fetchedAt, sourcePath }] across all records
+   */
+  collectCandidates(records) {
+    const candidates = new Map();
+    for (const record of records) {
+      for (const [field, provenance] of Object.entries(record.provenance || {})) {
+        const value = getField(record, field);
+        if (value === null) continue;
+        if (!candidates.has(field)) candidates.set(field, []);
+        candidates.get(field).push({ ...provenance, value });
+      }
+    }
+    return candidates;
+  }
+
+  rankCandidates(field, candidates, { trust, now }) {
+    const group = this.config.getFieldGroup(field);
+    return candidates
+      .map(candidate => ({
+        ...candidate,
+        score: this.trustScore(candidate.provider, group, trust) * this.freshnessFactor(candidate.fetchedAt, group, now)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * How far `value` is from `reference` under a conflict rule
+   * @returns {number|null} Disagreement in the rule's units, or null if not comparable
+   */
+  measure(rule, reference, value) {
+    if (rule.type === 'exact') {
+      return String(reference).toLowerCase() === String(value).toLowerCase() ? 0 : 1;
+    }
+    const a = Number(reference);
+    const b = Number(value);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    if (rule.type === 'relative') {
+      const base = Math.max(Math.abs(a), Math.abs(b));
+      return base === 0 ? 0 : Math.abs(a - b) / base;
+    }
+    return Math.abs(a - b);
+  }
+
+  /**
+   * Compare every other provider's value with the winner's
+   */
+  detectConflict(field, ranked) {
+    const rule = this.config.CONFLICT_RULES[field];
+    if (!rule || ranked.length < 2) return null;
+
+    const [winner] = ranked;
+    const tolerance = rule.tolerance || 0;
+    let deviation = 0;
+
+    for (const candidate of ranked.slice(1)) {
+      if (candidate.provider === winner.provider) continue;
+      const distance = this.measure(rule, winner.value, candidate.value);
+      if (distance !== null && distance > deviation) {
+        deviation = distance;
+      }
+    }
+
+    if (rule.type === 'exact' ? deviation === 0 : deviation <= tolerance) return null;
+
+    const majorAt = rule.major !== undefined ? rule.major : tolerance * this.config.MAJOR_CONFLICT_MULTIPLIER;
+    return {
+      field,
+      rule: rule.type,
+      tolerance: rule.type === 'exact' ? null : tolerance,
+      deviation: Math.round(deviation * 10000) / 10000,
+      severity: rule.type !== 'exact' && deviation > majorAt ? 'major' : 'minor',
+      chosenProvider: winner.provider,
+      chosenValue: winner.value,
+      values: ranked.map(candidate => ({
+        provider: candidate.provider,
+        value: candidate.value,
+        fetchedAt: candidate.fetchedAt
+      }))
+    };
+  }
+
+  /**
+   * Completeness of the key fields less a penalty per conflict (0-100)
+   */
+  assessQuality(record, conflicts) {
+    const keyFields = this.config.QUALITY_KEY_FIELDS;
+    const present = keyFields.filter(field => getField(record, field) !== null).length;
+    const completeness = keyFields.length > 0 ? present / keyFields.length : 1;
+    const penalty = conflicts.reduce((sum, conflict) => sum + (this.config.QUALITY_CONFLICT_PENALTY[conflict.severity] || 0), 0);
+    const score = Math.max(0, Math.min(100, Math.round(completeness * 100 - penalty)));
+
+    let label = 'poor';
+    if (score >= 85) label = 'excellent';
+    else if (score >= 70) label = 'good';
+    else if (score >= 50) label = 'partial';
+
+    return {
+      score,
+      label,
+      completeness: Math.round(completeness * 100) / 100,
+      conflictCount: conflicts.length,
+      majorConflicts: conflicts.filter(conflict => conflict.severity === 'major').length,
+      sources: record.sources.slice(),
+      evaluatedAt: new Date()
+    };
+  }
+
+  /**
+   * Merge records describing one property
+   * @param {Array} records - Canonical records (nulls are ignored)
+   * @param {Object} [options] - { trust: per-group ranking overrides, now }
+   * @returns {Object} { record, conflicts, quality }
+   */
+  merge(records, options = {}) {
+    const trust = { ...this.config.TRUST_RANKINGS, ...(options.trust || {}) };
+    const now = options.now || Date.now();
+    const inputs = records.filter(Boolean);
+    const merged = createRecord();
+    const conflicts = [];
+
+    for (const record of inputs) {
+      Object.assign(merged.ids, record.ids);
+    }
+
+    for (const [field, candidates] of this.collectCandidates(inputs)) {
+      const ranked = this.rankCandidates(field, candidates, { trust, now });
+      const [winner] = ranked;
+      setField(merged, field, winner.value, {
+        provider: winner.provider,
+        fetchedAt: winner.fetchedAt,
+        sourcePath: winner.sourcePath
+      });
+
+      const conflict = this.detectConflict(field, ranked);
+      if (conflict) conflicts.push(conflict);
+    }
+
+    // Photos in listing-trust order so the best gallery comes first
+    const listingRank = provider => {
+      const index = (trust.listing || []).indexOf(provider);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    const images = inputs.flatMap(record => record.images || [])
+      .sort((a, b) => listingRank(a.provider) - listingRank(b.provider));
+    for (const image of images) {
+      addImages(merged, [image], { provider: image.provider, fetchedAt: image.fetchedAt });
+    }
+
+    for (const record of inputs) {
+      for (const source of record.sources || []) {
+        if (!merged.sources.includes(source)) merged.sources.push(source);
+      }
+    }
+
+    this.stats.merges++;
+    this.stats.conflicts += conflicts.length;
+    this.stats.majorConflicts += conflicts.filter(conflict => conflict.severity === 'major').length;
+
+    return {
+      record: merged,
+      conflicts,
+      quality: this.assessQuality(merged, conflicts)
+    };
+  }
+
+  /**
+   * Group records from several providers' search results by property
+   * (shared provider ID or matching address) and merge each group
+   */
+  mergeAll(records, options = {}) {
+    const groups = [];
+    for (const record of records.filter(Boolean)) {
+      const key = addressKey(record.data.address);
+      const group = groups.find(candidate =>
+        (key && candidate.key === key) ||
+        Object.entries(record.ids).some(([provider, id]) => candidate.ids[provider] === id)
+      );
+      if (group) {
+        group.records.push(record);
+        Object.assign(group.ids, record.ids);
+        if (!group.key) group.key = key;
+      } else {
+        groups.push({ key, ids: { ...record.ids }, records: [record] });
+      }
+    }
+    return groups.map(group => this.merge(group.records, options));
+  }
+
+  /**
+   * Map a merged record onto PropertyDetailsCache's propertyDetails shape
+   */
+  toPropertyDetails(record) {
+    const value = field => getField(record, field);
+    const sqft = value('sqft');
+    const price = value('listPrice') || value('estimatedValue');
+
+    return {
+      basics: {
+        beds: value('beds'),
+        baths: value('baths'),
+        sqft,
+        lotSize: value('lotSqft'),
+        yearBuilt: value('yearBuilt'),
+        propertyType: value('propertyType'),
+        stories: value('stories')
+      },
+      financial: {
+        currentValue: value('estimatedValue'),
+        assessedValue: value('assessedValue'),
+        taxAmount: value('taxAmount'),
+        listPrice: value('listPrice'),
+        pricePerSqft: price && sqft ? Math.round(price / sqft) : null
+      },
+      investment: {
+        rentEstimate: value('rentEstimate')
+      }
+    };
+  }
+
+  /**
+   * Store a merge result, conflicts and quality score on PropertyDetailsCache
+   * @param {Object} result - Output of merge()
+   * @param {Object} [options] - { propertyId, apiCost }
+   */
+  async saveToCache(result, { propertyId = null, apiCost = 0 } = {}) {
+    const { record, conflicts, quality } = result;
+    const id = propertyId || addressKey(record.data.address);
+    if (!id) {
+      console.warn('⚠️ Merged property has no address key; not caching conflicts');
+      return null;
+    }
+
+    const address = record.data.address || {};
+    const location = record.data.location || {};
+    const dataFreshness = {};
+    for (const { provider, fetchedAt } of Object.values(record.provenance)) {
+      if (!dataFreshness[provider] || new Date(fetchedAt) > dataFreshness[provider]) {
+        dataFreshness[provider] = new Date(fetchedAt);
+      }
+    }
+
+    return PropertyDetailsCache.cacheDetails(
+      id,
+      'combined',
+      {
+        oneLine: address.oneLine,
+        street: address.line1,
+        city: address.city,
+        state: address.state,
+        zip: address.zip,
+        coordinates: { latitude: location.lat, longitude: location.lng }
+      },
+      this.toPropertyDetails(record),
+      {
+        primaryImage: record.images[0]?.url || null,
+        images: record.images.map(image => image.url)
+      },
+      apiCost,
+      {
+        conflicts: conflicts.map(conflict => ({ ...conflict, detectedAt: new Date() })),
+        dataQuality: quality,
+        provenance: record.provenance,
+        providerIds: record.ids,
+        dataFreshness
+      }
+    );
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new PropertyMergeService();
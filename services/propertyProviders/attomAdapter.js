@@ -0,0 +1,138 @@
+/**
+ * ATTOM Data property adapter
+ *
+ * services/attom.js reports failures as { error, details } instead of
+ * throwing; the adapter turns those into provider errors. ATTOM has no
+ * listing photos, so images are unsupported.
+ */
+
+const attom = require('../attom');
+const { BasePropertyAdapter, providerError } = require('./baseAdapter');
+const { buildRecord, pickFirst, resolveRef } = require('./schema');
+
+function unwrap(response, operation) {
+  if (response?.error) {
+    const details = typeof response.details === 'string' ? response.details : JSON.stringify(response.details);
+    throw providerError(`ATTOM ${operation} failed: ${details}`);
+  }
+  return response;
+}
+
+class AttomAdapter extends BasePropertyAdapter {
+  constructor() {
+    super({ name: 'attom', displayName: 'ATTOM', capabilities: ['search', 'detail', 'valuation'] });
+  }
+
+  isAvailable() {
+    return Boolean(process.env.ATTOM_API_KEY);
+  }
+
+  describe() {
+    return { baseUrl: 'https://api.gateway.attomdata.com/propertyapi/v1.0.0' };
+  }
+
+  toRecord(prop, fetchedAt) {
+    const address = prop.address || {};
+    const building = prop.building || {};
+    const lot = prop.lot || {};
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { attom: pickFirst(prop.identifier?.attomId, prop.identifier?.attomid, prop.identifier?.Id) },
+      fields: {
+        'address.line1': address.line1,
+        'address.city': address.locality,
+        'address.state': address.countrySubd,
+        'address.zip': address.postal1,
+        'address.oneLine': address.oneLine,
+        'location.lat': prop.location?.latitude,
+        'location.lng': prop.location?.longitude,
+        propertyType: pickFirst(prop.summary?.propclass, prop.summary?.proptype, prop.summary?.propertyType),
+        beds: building.rooms?.beds,
+        baths: pickFirst(building.rooms?.bathstotal, building.rooms?.bathsfull),
+        sqft: pickFirst(building.size?.livingsize, building.size?.universalsize),
+        lotSqft: pickFirst(lot.lotsize2, lot.lotsize1 ? lot.lotsize1 * 43560 : null),
+        yearBuilt: prop.summary?.yearbuilt,
+        stories: building.summary?.levels,
+        estimatedValue: prop.avm?.amount?.value,
+        valuationLow: prop.avm?.amount?.low,
+        valuationHigh: prop.avm?.amount?.high,
+        valuationConfidence: prop.avm?.amount?.scr,
+        lastSalePrice: prop.sale?.amount?.saleamt,
+        lastSaleDate: pickFirst(prop.sale?.saleTransDate, prop.sale?.amount?.salerecdate),
+        assessedValue: prop.assessment?.assessed?.assdttlvalue,
+        taxAmount: prop.assessment?.tax?.taxamt
+      },
+      sourcePaths: {
+        beds: 'building.rooms.beds',
+        baths: 'building.rooms.bathstotal',
+        sqft: 'building.size.livingsize',
+        yearBuilt: 'summary.yearbuilt',
+        estimatedValue: 'avm.amount.value',
+        assessedValue: 'assessment.assessed.assdttlvalue'
+      }
+    });
+  }
+
+  async search(query = {}) {
+    if (!query.city && !query.zip) {
+      throw providerError('ATTOM search needs a city or ZIP code', 400);
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const data = unwrap(await attom.fetchMultipleProperties({
+      city: query.city,
+      state: query.state,
+      postalcode: query.zip,
+      max_price: query.maxPrice,
+      min_beds: query.minBeds,
+      property_type: query.propertyType || 'sfr'
+    }), 'search');
+
+    const props = data?.property || [];
+    return props.slice(0, query.limit || props.length).map(prop => this.toRecord(prop, fetchedAt));
+  }
+
+  async resolveAttomId(ref) {
+    const { ids, address } = resolveRef(ref);
+    if (ids.attom) return ids.attom;
+    if (!address.line1 || !address.zip) {
+      throw providerError('ATTOM lookup needs an attom ID or a street address with ZIP code', 400);
+    }
+    return attom.getAttomId(address.line1, address.city, address.state, address.zip);
+  }
+
+  async getDetail(ref) {
+    const attomId = await this.resolveAttomId(ref);
+    if (!attomId) return null;
+
+    const fetchedAt = new Date().toISOString();
+    const data = unwrap(await attom.getPropertyDetail(attomId), 'detail');
+    const prop = data?.property?.[0];
+    return prop ? this.toRecord(prop, fetchedAt) : null;
+  }
+
+  async getValuation(ref) {
+    const attomId = await this.resolveAttomId(ref);
+    if (!attomId) return null;
+
+    const fetchedAt = new Date().toISOString();
+    const data = unwrap(await attom.getAvmDetail(attomId), 'valuation');
+    const prop = data?.property?.[0];
+    if (!prop) return null;
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { attom: attomId },
+      fields: {
+        estimatedValue: prop.avm?.amount?.value,
+        valuationLow: prop.avm?.amount?.low,
+        valuationHigh: prop.avm?.amount?.high,
+        valuationConfidence: prop.avm?.amount?.scr
+      },
+      sourcePaths: { estimatedValue: 'avm.amount.value' }
+    });
+  }
+}
+
+module.exports = AttomAdapter;
@@ -0,0 +1,70 @@
+/**
+ * Base property provider adapter
+ *
+ * Adapters override the operations they support and list them in
+ * `capabilities`; anything else rejects with an `unsupported` error so callers
+ * can skip the provider instead of treating it as an outage.
+ */
+
+function providerError(message, status = 502, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+class BasePropertyAdapter {
+  constructor({ name, displayName, capabilities = [] }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.capabilities = capabilities;
+  }
+
+  supports(operation) {
+    return this.capabilities.includes(operation);
+  }
+
+  isAvailable() {
+    return false;
+  }
+
+  describe() {
+    return {};
+  }
+
+  unsupported(operation) {
+    return Promise.reject(providerError(`${this.displayName} does not support ${operation}`, 501, { unsupported: true }));
+  }
+
+  /**
+   * @param {Object} query - { location, city, state, zip, coordinates: { lat, lng }, minPrice, maxPrice, minBeds, propertyType, limit }
+   * @returns {Promise<Array>} Canonical records
+   */
+  search() {
+    return this.unsupported('search');
+  }
+
+  /**
+   * @param {Object} ref - Canonical record or { address, ids, location }
+   * @returns {Promise<Object|null>} Canonical record, or null when not found
+   */
+  getDetail() {
+    return this.unsupported('detail');
+  }
+
+  /**
+   * @returns {Promise<Array>} [{ url, caption, provider, fetchedAt }]
+   */
+  getImages() {
+    return this.unsupported('images');
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Canonical record holding valuation fields only
+   */
+  getValuation() {
+    return this.unsupported('valuation');
+  }
+}
+
+module.exports = { BasePropertyAdapter, providerError };
@@ -0,0 +1,175 @@
+/**
+ * CoreLogic Property API v2 adapter (CoreLogicSuperClient)
+ *
+ * CoreLogic is keyed by CLIP: detail and valuation resolve one from the
+ * address when the ref doesn't carry it. Calls go through the shared
+ * coreLogicCache so the adapter doesn't bypass the existing cost controls.
+ * CoreLogic has no listing photos, so images are unsupported.
+ */
+
+const { BasePropertyAdapter, providerError } = require('./baseAdapter');
+const { buildRecord, pickFirst, resolveRef } = require('./schema');
+
+function settled(result) {
+  return result.status === 'fulfilled' ? result.value : null;
+}
+
+class CoreLogicAdapter extends BasePropertyAdapter {
+  constructor() {
+    super({ name: 'corelogic', displayName: 'CoreLogic', capabilities: ['search', 'detail', 'valuation'] });
+  }
+
+  isAvailable() {
+    return Boolean(process.env.CORELOGIC_CLIENT_ID && process.env.CORELOGIC_CLIENT_SECRET);
+  }
+
+  describe() {
+    return { tokenUrl: process.env.CORELOGIC_TOKEN_URL || null };
+  }
+
+  // Lazy so requiring the registry doesn't pull in Redis and the OAuth client
+  get cache() {
+    return require('../../utils/coreLogicCacheWrapper').coreLogicCache;
+  }
+
+  searchItemToRecord(item, fetchedAt) {
+    const address = item.address || item.propertyAddress || {};
+    const location = item.location || item.geocode || {};
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { corelogic: item.clip },
+      fields: {
+        'address.line1': pickFirst(address.streetAddress, address.street, item.streetAddress),
+        'address.city': pickFirst(address.city, item.city),
+        'address.state': pickFirst(address.state, item.state),
+        'address.zip': pickFirst(address.zipCode, address.zip, item.zipCode),
+        'address.oneLine': pickFirst(address.oneLine, item.formattedAddress),
+        'location.lat': pickFirst(location.latitude, item.latitude),
+        'location.lng': pickFirst(location.longitude, item.longitude),
+        propertyType: item.propertyType,
+        assessedValue: item.assessedValue
+      }
+    });
+  }
+
+  async search(query = {}) {
+    const street = pickFirst(query.address, query.line1, query.streetAddress);
+    if (!street) {
+      // The v2 search endpoints match addresses; they are not an area search
+      throw providerError('CoreLogic search needs a street address', 400, { unsupported: true });
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const result = await this.cache.superClient.searchPropertiesWithGeocode({
+      streetAddress: street,
+      city: query.city,
+      state: query.state,
+      zipCode: query.zip,
+      bestMatch: false
+    });
+
+    const items = result?.items || [];
+    return items.slice(0, query.limit || items.length).map(item => this.searchItemToRecord(item, fetchedAt));
+  }
+
+  /**
+   * CLIP from the ref, or from a best-match address search
+   */
+  async resolveClip(ref) {
+    const { ids, address } = resolveRef(ref);
+    if (ids.corelogic) return ids.corelogic;
+    if (!address.line1) {
+      throw providerError('CoreLogic lookup needs a CLIP or a street address', 400);
+    }
+
+    const result = await this.cache.superClient.searchPropertiesWithGeocode({
+      streetAddress: address.line1,
+      city: address.city,
+      state: address.state,
+      zipCode: address.zip,
+      bestMatch: true
+    });
+    return result?.items?.[0]?.clip || null;
+  }
+
+  async getDetail(ref) {
+    const clip = await this.resolveClip(ref);
+    if (!clip) return null;
+
+    const fetchedAt = new Date().toISOString();
+    const client = this.cache.superClient;
+    const results = await Promise.allSettled([
+      client.getPropertyDetail(clip),
+      client.getBuildings(clip),
+      client.getSiteLocation(clip),
+      client.getTaxAssessments(clip)
+    ]);
+
+    if (results.every(result => result.status === 'rejected')) {
+      throw providerError(`CoreLogic detail failed for ${clip}: ${results[0].reason?.message}`);
+    }
+
+    const [detail, buildings, site, tax] = results.map(result => settled(result) || {});
+    const building = buildings.buildings?.[0] || buildings.items?.[0] || buildings;
+    const address = detail.address || site.address || {};
+    const { address: refAddress } = resolveRef(ref);
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { corelogic: clip },
+      fields: {
+        'address.line1': pickFirst(address.streetAddress, refAddress.line1),
+        'address.city': pickFirst(address.city, refAddress.city),
+        'address.state': pickFirst(address.state, refAddress.state),
+        'address.zip': pickFirst(address.zipCode, refAddress.zip),
+        'location.lat': pickFirst(site.latitude, site.coordinates?.latitude),
+        'location.lng': pickFirst(site.longitude, site.coordinates?.longitude),
+        propertyType: pickFirst(building.propertyType, detail.landUse, detail.propertyType),
+        beds: pickFirst(building.bedrooms, building.totalBedrooms),
+        baths: pickFirst(building.bathrooms, building.totalBathrooms),
+        sqft: pickFirst(building.squareFeet, building.livingAreaSquareFeet, building.livingArea),
+        lotSqft: pickFirst(site.lotSizeSquareFeet, building.lotSize),
+        yearBuilt: building.yearBuilt,
+        stories: building.stories,
+        description: detail.description,
+        assessedValue: pickFirst(tax.assessedValue, tax.totalAssessedValue),
+        taxAmount: pickFirst(tax.taxAmount?.totalTaxAmount, tax.taxAmount)
+      },
+      sourcePaths: {
+        beds: 'buildings.bedrooms',
+        baths: 'buildings.bathrooms',
+        sqft: 'buildings.squareFeet',
+        yearBuilt: 'buildings.yearBuilt',
+        'location.lat': 'site-location.latitude',
+        'location.lng': 'site-location.longitude',
+        assessedValue: 'tax-assessments.assessedValue'
+      }
+    });
+  }
+
+  async getValuation(ref) {
+    const clip = await this.resolveClip(ref);
+    if (!clip) return null;
+
+    const fetchedAt = new Date().toISOString();
+    const avm = await this.cache.getCachedAVM(clip);
+    // The THV endpoint has returned the estimate under a few different envelopes
+    const estimate = [avm?.avm, avm?.valuation, avm?.totalHomeValue, avm?.items?.[0], avm?.data, avm]
+      .find(envelope => envelope?.estimatedValue !== undefined) || {};
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { corelogic: clip },
+      fields: {
+        estimatedValue: estimate.estimatedValue,
+        valuationLow: pickFirst(estimate.estimatedValueLow, estimate.lowValue),
+        valuationHigh: pickFirst(estimate.estimatedValueHigh, estimate.highValue),
+        valuationConfidence: pickFirst(estimate.confidenceScore, estimate.confidence)
+      },
+      sourcePaths: { estimatedValue: 'avms/thv.estimatedValue' }
+    });
+  }
+}
+
+module.exports = CoreLogicAdapter;
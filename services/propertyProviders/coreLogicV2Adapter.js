@@ -0,0 +1,85 @@
+/**
+ * Legacy CoreLogic parcel adapter (coreLogicClientV2)
+ *
+ * Wraps getPropertyInfoFromCoreLogic via coreLogicCache.getCachedPropertyInfo,
+ * which returns { parcelId, structure, valuation } for one address. Kept as its
+ * own adapter because it is keyed by parcel ID rather than CLIP and can fall
+ * back to coordinates when the address search misses.
+ */
+
+const { BasePropertyAdapter, providerError } = require('./baseAdapter');
+const { buildRecord, pickFields, resolveRef, VALUATION_FIELDS } = require('./schema');
+
+class CoreLogicV2Adapter extends BasePropertyAdapter {
+  constructor() {
+    super({ name: 'corelogic_v2', displayName: 'CoreLogic (legacy parcel API)', capabilities: ['detail', 'valuation'] });
+  }
+
+  isAvailable() {
+    return Boolean(process.env.CORELOGIC_BASE_URL && process.env.CORELOGIC_CLIENT_ID);
+  }
+
+  describe() {
+    return { baseUrl: process.env.CORELOGIC_BASE_URL || null };
+  }
+
+  async getDetail(ref) {
+    const { address, location } = resolveRef(ref);
+    if (!address.line1) {
+      throw providerError('CoreLogic parcel lookup needs a street address', 400);
+    }
+
+    const { coreLogicCache } = require('../../utils/coreLogicCacheWrapper');
+    const fetchedAt = new Date().toISOString();
+    const result = await coreLogicCache.getCachedPropertyInfo({
+      address1: address.line1,
+      city: address.city,
+      state: address.state,
+      postalcode: address.zip,
+      lat: location?.lat,
+      lng: location?.lng
+    });
+
+    if (!result?.parcelId) return null;
+
+    const structure = result.structure || {};
+    const valuation = result.valuation || {};
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { corelogicParcel: result.parcelId },
+      fields: {
+        'address.line1': structure.address?.street,
+        'address.city': structure.address?.city,
+        'address.state': structure.address?.state,
+        'address.zip': structure.address?.zip,
+        propertyType: structure.propertyType,
+        beds: structure.bedrooms,
+        baths: structure.bathrooms,
+        sqft: structure.squareFeet,
+        // extractStructureData falls back to lotSizeAcres, so small values are acres
+        lotSqft: structure.lotSize && structure.lotSize < 100 ? structure.lotSize * 43560 : structure.lotSize,
+        yearBuilt: structure.yearBuilt,
+        stories: structure.stories,
+        estimatedValue: valuation.currentValue,
+        valuationConfidence: valuation.confidenceScore,
+        assessedValue: valuation.assessedValue,
+        lastSalePrice: valuation.lastSalePrice,
+        lastSaleDate: valuation.lastSaleDate
+      },
+      sourcePaths: {
+        beds: 'structure.bedrooms',
+        baths: 'structure.bathrooms',
+        sqft: 'structure.squareFeet',
+        estimatedValue: 'valuation.currentValue'
+      }
+    });
+  }
+
+  async getValuation(ref) {
+    const detail = await this.getDetail(ref);
+    return detail ? pickFields(detail, VALUATION_FIELDS) : null;
+  }
+}
+
+module.exports = CoreLogicV2Adapter;
@@ -0,0 +1,100 @@
+/**
+ * Fixture-backed offline property adapter
+ *
+ * Serves canonical records from a JSON file so routes, the merge logic and
+ * scripts can run without provider credentials or network access. Each
+ * fixture entry is { provider, fetchedAt, ids, fields, images }; `provider`
+ * is what ends up in provenance, so one file can describe what Zillow,
+ * CoreLogic and ATTOM would each say about the same property.
+ *
+ * Available outside production, or anywhere with PROPERTY_PROVIDERS_OFFLINE=true.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BasePropertyAdapter } = require('./baseAdapter');
+const { buildRecord, pickFields, resolveRef, addressKey, getField, VALUATION_FIELDS } = require('./schema');
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, 'fixtures', 'properties.json');
+
+class FixtureAdapter extends BasePropertyAdapter {
+  /**
+   * @param {Object} options - { name, displayName, file, provider } where
+   *   `provider` limits the adapter to entries from that provider
+   */
+  constructor({ name = 'fixture', displayName = 'Offline fixtures', file, provider = null } = {}) {
+    super({ name, displayName, capabilities: ['search', 'detail', 'images', 'valuation'] });
+    this.offline = true;
+    this.filePath = path.resolve(file || process.env.PROPERTY_FIXTURES_FILE || DEFAULT_FIXTURE_FILE);
+    this.provider = provider;
+    this.records = null;
+  }
+
+  isAvailable() {
+    return process.env.NODE_ENV !== 'production' || process.env.PROPERTY_PROVIDERS_OFFLINE === 'true';
+  }
+
+  describe() {
+    return { filePath: this.filePath, provider: this.provider };
+  }
+
+  load() {
+    if (!this.records) {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = entries
+        .filter(entry => !this.provider || entry.provider === this.provider)
+        .map(entry => buildRecord(entry.provider || this.name, entry));
+    }
+    return this.records;
+  }
+
+  reload() {
+    this.records = null;
+    return this.load().length;
+  }
+
+  find(ref) {
+    const { ids, address } = resolveRef(ref);
+    const key = addressKey(address);
+
+    // Copies, so callers can merge into the results without touching the fixtures
+    return this.load()
+      .filter(record =>
+        Object.entries(ids).some(([provider, id]) => record.ids[provider] === id) ||
+        (key && addressKey(record.data.address) === key)
+      )
+      .map(record => structuredClone(record));
+  }
+
+  async search(query = {}) {
+    const matches = this.load().filter(record => {
+      const data = record.data;
+      const city = (query.city || '').toLowerCase();
+      if (city && (data.address?.city || '').toLowerCase() !== city) return false;
+      if (query.state && (data.address?.state || '').toUpperCase() !== query.state.toUpperCase()) return false;
+      if (query.zip && data.address?.zip !== String(query.zip)) return false;
+      if (query.minBeds && !(data.beds >= query.minBeds)) return false;
+
+      const price = getField(record, 'listPrice') || getField(record, 'estimatedValue');
+      if (query.maxPrice && price && price > query.maxPrice) return false;
+      if (query.minPrice && price && price < query.minPrice) return false;
+      return true;
+    });
+    return matches.slice(0, query.limit || matches.length).map(record => structuredClone(record));
+  }
+
+  async getDetail(ref) {
+    return this.find(ref)[0] || null;
+  }
+
+  async getImages(ref) {
+    return this.find(ref).flatMap(record => record.images);
+  }
+
+  async getValuation(ref) {
+    const record = this.find(ref).find(candidate => getField(candidate, 'estimatedValue') !== null);
+    return record ? pickFields(record, VALUATION_FIELDS) : null;
+  }
+}
+
+module.exports = FixtureAdapter;
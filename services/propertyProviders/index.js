@@ -0,0 +1,117 @@
+/**
+ * Property data provider registry
+ *
+ * Every adapter implements the same interface and returns canonical records
+ * (see ./schema.js) with per-field provenance:
+ * - name, displayName, capabilities (subset of search/detail/images/valuation)
+ * - isAvailable() -> whether the provider is configured in this environment
+ * - search(query) -> [record]
+ * - getDetail(ref) -> record | null
+ * - getImages(ref) -> [{ url, caption, provider, fetchedAt }]
+ * - getValuation(ref) -> record with valuation fields only | null
+ * - describe() -> non-secret configuration for admin views
+ *
+ * PROPERTY_PROVIDERS limits which adapters are used (comma separated);
+ * PROPERTY_PROVIDERS_OFFLINE=true routes everything to the fixture adapter.
+ */
+
+const ZillowAdapter = require('./zillowAdapter');
+const CoreLogicAdapter = require('./coreLogicAdapter');
+const CoreLogicV2Adapter = require('./coreLogicV2Adapter');
+const AttomAdapter = require('./attomAdapter');
+const LoopNetAdapter = require('./loopNetAdapter');
+const FixtureAdapter = require('./fixtureAdapter');
+
+const REQUIRED_METHODS = ['search', 'getDetail', 'getImages', 'getValuation', 'supports', 'isAvailable', 'describe'];
+
+const OPERATIONS = {
+  search: 'search',
+  detail: 'getDetail',
+  images: 'getImages',
+  valuation: 'getValuation'
+};
+
+class PropertyProviderRegistry {
+  constructor({ enabled = null, offline = false } = {}) {
+    this.adapters = new Map();
+    this.enabled = enabled;
+    this.offline = offline;
+  }
+
+  register(adapter) {
+    const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (!adapter.name || missing.length > 0) {
+      throw new Error(`Invalid property provider ${adapter.name || '(unnamed)'}: missing ${missing.join(', ')}`);
+    }
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new Error(`Unknown property provider: ${name}`);
+    }
+    return adapter;
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  isEnabled(name) {
+    const adapter = this.adapters.get(name);
+    if (this.offline) return Boolean(adapter?.offline);
+    return !this.enabled || this.enabled.includes(name);
+  }
+
+  /**
+   * Adapters that are enabled, configured and support the operation
+   * @param {string} [operation] - search | detail | images | valuation
+   */
+  active(operation = null) {
+    return Array.from(this.adapters.values()).filter(adapter =>
+      this.isEnabled(adapter.name) &&
+      adapter.isAvailable() &&
+      (!operation || adapter.supports(operation))
+    );
+  }
+
+  /**
+   * Run one operation against one provider
+   */
+  async call(name, operation, ...args) {
+    const method = OPERATIONS[operation];
+    if (!method) {
+      throw new Error(`Unknown property provider operation: ${operation}`);
+    }
+    return this.get(name)[method](...args);
+  }
+
+  list() {
+    return Array.from(this.adapters.values()).map(adapter => ({
+      name: adapter.name,
+      displayName: adapter.displayName,
+      capabilities: adapter.capabilities,
+      enabled: this.isEnabled(adapter.name),
+      available: adapter.isAvailable(),
+      offline: Boolean(adapter.offline),
+      config: adapter.describe()
+    }));
+  }
+}
+
+const propertyProviders = new PropertyProviderRegistry({
+  enabled: process.env.PROPERTY_PROVIDERS
+    ? process.env.PROPERTY_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : null,
+  offline: process.env.PROPERTY_PROVIDERS_OFFLINE === 'true'
+})
+  .register(new ZillowAdapter())
+  .register(new CoreLogicAdapter())
+  .register(new CoreLogicV2Adapter())
+  .register(new AttomAdapter())
+  .register(new LoopNetAdapter())
+  .register(new FixtureAdapter());
+
+module.exports = propertyProviders;
@@ -0,0 +1,134 @@
+/**
+ * LoopNet (RapidAPI) commercial listing adapter
+ *
+ * search -> the coordinate search endpoint configured by LOOPNET_API_URL +
+ * LOOPNET_LEASE_SEARCH_ENDPOINT, which only returns listing IDs and
+ * coordinates. detail and images -> /properties/details?listingId=.
+ */
+
+const axios = require('axios');
+const { BasePropertyAdapter, providerError } = require('./baseAdapter');
+const { buildRecord, pickFirst, resolveRef } = require('./schema');
+
+class LoopNetAdapter extends BasePropertyAdapter {
+  constructor() {
+    super({ name: 'loopnet', displayName: 'LoopNet', capabilities: ['search', 'detail', 'images'] });
+    this.timeoutMs = 15000;
+  }
+
+  get baseUrl() {
+    return process.env.LOOPNET_API_URL;
+  }
+
+  get headers() {
+    return {
+      'Content-Type': 'application/json',
+      'x-rapidapi-host': process.env.LOOPNET_RAPIDAPI_HOST,
+      'x-rapidapi-key': process.env.RAPIDAPI_KEY
+    };
+  }
+
+  isAvailable() {
+    return Boolean(process.env.RAPIDAPI_KEY && this.baseUrl && process.env.LOOPNET_LEASE_SEARCH_ENDPOINT);
+  }
+
+  describe() {
+    return {
+      baseUrl: this.baseUrl || null,
+      searchEndpoint: process.env.LOOPNET_LEASE_SEARCH_ENDPOINT || null
+    };
+  }
+
+  /**
+   * @param {Object} query - { coordinates: { lat, lng }, radiusMiles = 10, limit = 25 }
+   */
+  async search(query = {}) {
+    const { lat, lng } = query.coordinates || {};
+    if (lat === undefined || lng === undefined) {
+      throw providerError('LoopNet search needs coordinates', 400);
+    }
+
+    const fetchedAt = new Date().toISOString();
+    let data;
+    try {
+      const response = await axios.post(`${this.baseUrl}${process.env.LOOPNET_LEASE_SEARCH_ENDPOINT}`, {
+        coordination: [lng, lat],
+        radius: query.radiusMiles || 10,
+        page: 1,
+        limit: query.limit || 25
+      }, { headers: this.headers, timeout: this.timeoutMs });
+      data = response.data;
+    } catch (error) {
+      throw providerError(`LoopNet search failed: ${error.message}`, error.response?.status || 502);
+    }
+
+    const listings = pickFirst(data?.data, data?.properties, data?.listings, data?.results) || [];
+    return listings.slice(0, query.limit || 25).map(item => {
+      // LoopNet returns [lng, lat] pairs
+      const point = item.coordinations?.[0];
+      return buildRecord(this.name, {
+        fetchedAt,
+        ids: { loopnet: item.listingId },
+        fields: {
+          'location.lat': point?.[1],
+          'location.lng': point?.[0]
+        },
+        sourcePaths: { 'location.lat': 'coordinations[0][1]', 'location.lng': 'coordinations[0][0]' }
+      });
+    });
+  }
+
+  async fetchDetails(ref) {
+    const { ids } = resolveRef(ref);
+    if (!ids.loopnet) {
+      throw providerError('LoopNet detail needs a listing ID', 400);
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/properties/details`, {
+        headers: this.headers,
+        params: { listingId: ids.loopnet },
+        timeout: this.timeoutMs
+      });
+      const data = response.data?.data;
+      return Array.isArray(data) ? data[0] : data || null;
+    } catch (error) {
+      throw providerError(`LoopNet detail failed: ${error.message}`, error.response?.status || 502);
+    }
+  }
+
+  async getDetail(ref) {
+    const fetchedAt = new Date().toISOString();
+    const listing = await this.fetchDetails(ref);
+    if (!listing) return null;
+
+    const address = listing.address && typeof listing.address === 'object' ? listing.address : {};
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { loopnet: pickFirst(listing.listingId, resolveRef(ref).ids.loopnet) },
+      fields: {
+        'address.line1': pickFirst(address.streetAddress, typeof listing.address === 'string' ? listing.address : null),
+        'address.city': pickFirst(address.city, listing.city),
+        'address.state': pickFirst(address.state, listing.state),
+        'address.zip': pickFirst(address.zip, address.postalCode, listing.zip),
+        'location.lat': listing.latitude,
+        'location.lng': listing.longitude,
+        propertyType: pickFirst(listing.propertyType, listing.propertySubtype),
+        sqft: pickFirst(listing.buildingSize, listing.squareFeet),
+        yearBuilt: listing.yearBuilt,
+        description: listing.description,
+        listingStatus: listing.listingType,
+        listPrice: listing.price
+      },
+      images: pickFirst(listing.photos, listing.images) || []
+    });
+  }
+
+  async getImages(ref) {
+    const detail = await this.getDetail(ref);
+    return detail ? detail.images : [];
+  }
+}
+
+module.exports = LoopNetAdapter;
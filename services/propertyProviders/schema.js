@@ -0,0 +1,302 @@
+/**
+ * Canonical property schema
+ *
+ * Every provider adapter returns records in this one shape so routes stop
+ * re-mapping Zillow, CoreLogic, Attom and LoopNet payloads by hand:
+ *
+ * {
+ *   ids:        { zillow: '123', corelogic: 'CLIP', attom: '456', loopnet: '789' },
+ *   data:       { address: { line1, city, state, zip, oneLine }, location: { lat, lng },
+ *                 propertyType, beds, baths, sqft, ... },
+ *   images:     [{ url, caption, provider, fetchedAt }],
+ *   provenance: { 'beds': { provider, fetchedAt, sourcePath }, 'address.city': { ... } },
+ *   sources:    ['zillow']
+ * }
+ *
+ * `provenance` is keyed by field path and records which provider supplied each
+ * value and when, so merged records can explain where every number came from.
+ */
+
+const FIELDS = {
+  'address.line1': { type: 'string' },
+  'address.city': { type: 'string' },
+  'address.state': { type: 'string' },
+  'address.zip': { type: 'string' },
+  'address.oneLine': { type: 'string' },
+  'location.lat': { type: 'number', min: -90, max: 90 },
+  'location.lng': { type: 'number', min: -180, max: 180 },
+  propertyType: { type: 'propertyType' },
+  beds: { type: 'number', min: 0 },
+  baths: { type: 'number', min: 0 },
+  sqft: { type: 'number', positive: true },
+  lotSqft: { type: 'number', positive: true },
+  yearBuilt: { type: 'number', min: 1700, max: 2100 },
+  stories: { type: 'number', positive: true },
+  description: { type: 'string' },
+  listingStatus: { type: 'string' },
+  listPrice: { type: 'number', positive: true },
+  estimatedValue: { type: 'number', positive: true },
+  valuationLow: { type: 'number', positive: true },
+  valuationHigh: { type: 'number', positive: true },
+  valuationConfidence: { type: 'number', min: 0 },
+  rentEstimate: { type: 'number', positive: true },
+  lastSalePrice: { type: 'number', positive: true },
+  lastSaleDate: { type: 'date' },
+  assessedValue: { type: 'number', positive: true },
+  taxAmount: { type: 'number', positive: true }
+};
+
+const VALUATION_FIELDS = [
+  'listPrice',
+  'estimatedValue',
+  'valuationLow',
+  'valuationHigh',
+  'valuationConfidence',
+  'rentEstimate',
+  'lastSalePrice',
+  'lastSaleDate',
+  'assessedValue',
+  'taxAmount'
+];
+
+const PROPERTY_TYPES = [
+  [/condo/i, 'condo'],
+  [/town\s*(home|house)|row\s*house/i, 'townhome'],
+  [/multi|duplex|triplex|quad|2-4|apartment/i, 'multi_family'],
+  [/manufactured|mobile/i, 'manufactured'],
+  [/land|lot|vacant/i, 'land'],
+  [/commercial|office|retail|industrial|warehouse/i, 'commercial'],
+  [/single|sfr|residential|house/i, 'single_family']
+];
+
+/**
+ * Map any provider's property type label onto our small canonical set
+ */
+function normalizePropertyType(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const match = PROPERTY_TYPES.find(([pattern]) => pattern.test(raw.replace(/_/g, ' ')));
+  return match ? match[1] : 'other';
+}
+
+function coerce(value, spec) {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (spec.type) {
+    case 'number': {
+      const n = typeof value === 'string' ? Number(value.replace(/[$,\s]/g, '')) : Number(value);
+      if (!Number.isFinite(n)) return null;
+      if (spec.positive && n <= 0) return null;
+      if (spec.min !== undefined && n < spec.min) return null;
+      if (spec.max !== undefined && n > spec.max) return null;
+      return n;
+    }
+    case 'date': {
+      const date = new Date(typeof value === 'number' && value < 1e11 ? value * 1000 : value);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    case 'propertyType':
+      return normalizePropertyType(String(value));
+    default: {
+      const s = String(value).trim();
+      return s || null;
+    }
+  }
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, object);
+  target[last] = value;
+}
+
+/**
+ * First value that is present, for payloads that arrive under several envelopes
+ */
+function pickFirst(...values) {
+  return values.find(value => value !== null && value !== undefined && value !== '');
+}
+
+function createRecord() {
+  return { ids: {}, data: {}, images: [], provenance: {}, sources: [] };
+}
+
+function addSource(record, provider) {
+  if (!record.sources.includes(provider)) {
+    record.sources.push(provider);
+  }
+}
+
+/**
+ * Set one canonical field, coercing it and recording where it came from
+ * @returns {boolean} Whether a usable value was stored
+ */
+function setField(record, path, rawValue, { provider, fetchedAt, sourcePath = null }) {
+  const spec = FIELDS[path];
+  if (!spec) {
+    throw new Error(`Unknown canonical property field: ${path}`);
+  }
+
+  const value = coerce(rawValue, spec);
+  if (value === null) return false;
+
+  setPath(record.data, path, value);
+  record.provenance[path] = { provider, fetchedAt, sourcePath };
+  addSource(record, provider);
+  return true;
+}
+
+function getField(record, path) {
+  const value = getPath(record.data, path);
+  return value === undefined ? null : value;
+}
+
+function normalizeImage(image, provider, fetchedAt) {
+  const url = typeof image === 'string' ? image : pickFirst(image?.url, image?.imgSrc, image?.href);
+  if (!url || typeof url !== 'string') return null;
+  return {
+    url,
+    caption: typeof image === 'object' ? image.caption || image.imageType || null : null,
+    provider,
+    fetchedAt
+  };
+}
+
+function addImages(record, images, { provider, fetchedAt }) {
+  const seen = new Set(record.images.map(image => image.url));
+  for (const raw of images || []) {
+    const image = normalizeImage(raw, provider, fetchedAt);
+    if (image && !seen.has(image.url)) {
+      seen.add(image.url);
+      record.images.push(image);
+    }
+  }
+  if (record.images.some(image => image.provider === provider)) {
+    addSource(record, provider);
+  }
+}
+
+function formatOneLine(address = {}) {
+  const cityState = [address.city, [address.state, address.zip].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return [address.line1, cityState].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Build a canonical record from one provider response
+ * @param {string} provider - Adapter name
+ * @param {Object} params - { ids, fields: { path: value }, sourcePaths: { path: providerField }, images, fetchedAt }
+ */
+function buildRecord(provider, { ids = {}, fields = {}, sourcePaths = {}, images = [], fetchedAt = new Date().toISOString() }) {
+  const record = createRecord();
+
+  for (const [key, value] of Object.entries(ids)) {
+    if (value !== null && value !== undefined && value !== '') {
+      record.ids[key] = String(value);
+    }
+  }
+
+  for (const [path, value] of Object.entries(fields)) {
+    setField(record, path, value, { provider, fetchedAt, sourcePath: sourcePaths[path] || null });
+  }
+
+  if (!getField(record, 'address.oneLine') && getField(record, 'address.line1')) {
+    setField(record, 'address.oneLine', formatOneLine(record.data.address), { provider, fetchedAt, sourcePath: 'derived' });
+  }
+
+  addImages(record, images, { provider, fetchedAt });
+  addSource(record, provider);
+  return record;
+}
+
+/**
+ * Copy only the listed fields (and their provenance) into a new record
+ */
+function pickFields(record, paths) {
+  const picked = createRecord();
+  picked.ids = { ...record.ids };
+  for (const path of paths) {
+    const value = getField(record, path);
+    if (value !== null) {
+      setPath(picked.data, path, value);
+      picked.provenance[path] = record.provenance[path];
+      addSource(picked, record.provenance[path].provider);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Normalise the "which property?" argument adapters receive. Accepts a
+ * canonical record or a plain { address, ids, location } lookup.
+ */
+function resolveRef(ref = {}) {
+  const data = ref.data || ref;
+  const address = data.address || {};
+  return {
+    ids: { ...(ref.ids || {}) },
+    address: {
+      line1: address.line1 || address.street || address.streetAddress || null,
+      city: address.city || null,
+      state: address.state || null,
+      zip: address.zip || address.zipCode || address.postalcode || null,
+      oneLine: address.oneLine || formatOneLine({
+        line1: address.line1 || address.street || address.streetAddress,
+        city: address.city,
+        state: address.state,
+        zip: address.zip || address.zipCode || address.postalcode
+      })
+    },
+    location: data.location || null
+  };
+}
+
+// "Apt 5", "unit 5", "ste. 5", "# 5" and "#5" all name unit 5
+const UNIT_PATTERN = /(?:\b(?:apt|apartment|unit|ste|suite)\b\.?|#)\s*#?\s*([a-z0-9-]+)/;
+
+/**
+ * Stable key for "the same property" across providers: street, unit + zip (or city/state).
+ * Units are normalised to a "#5" suffix so different units at one street address stay apart.
+ */
+function addressKey(address = {}) {
+  let line1 = (address.line1 || '').toLowerCase();
+  let unit = null;
+  const unitMatch = line1.match(UNIT_PATTERN);
+  if (unitMatch) {
+    unit = unitMatch[1].replace(/^0+(?=[a-z0-9])/, '');
+    line1 = line1.slice(0, unitMatch.index) + line1.slice(unitMatch.index + unitMatch[0].length);
+  }
+  line1 = line1
+    .replace(/[.,#]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!line1) return null;
+  const street = unit ? `${line1} #${unit}` : line1;
+  const zip = (address.zip || '').slice(0, 5);
+  const area = zip || `${(address.city || '').toLowerCase().trim()}|${(address.state || '').toLowerCase().trim()}`;
+  return `${street}|${area}`;
+}
+
+module.exports = {
+  FIELDS,
+  VALUATION_FIELDS,
+  normalizePropertyType,
+  pickFirst,
+  createRecord,
+  setField,
+  getField,
+  addImages,
+  buildRecord,
+  pickFields,
+  resolveRef,
+  addressKey,
+  formatOneLine
+};
@@ -0,0 +1,147 @@
+/**
+ * Zillow (RapidAPI) property adapter
+ *
+ * search -> /propertyExtendedSearch, detail and valuation -> /property,
+ * images -> fetchZillowPhotos (which keeps its Mongo/Redis image caches).
+ */
+
+const providerResilience = require('../providerResilience');
+const { BasePropertyAdapter, providerError } = require('./baseAdapter');
+const { buildRecord, pickFields, pickFirst, resolveRef, VALUATION_FIELDS } = require('./schema');
+
+const DEFAULT_HOST = 'zillow-com1.p.rapidapi.com';
+
+// Timeouts, retries, breaker and bulkhead come from the 'zillow' resilience policy
+const zillowClient = providerResilience.createClient('zillow');
+
+class ZillowAdapter extends BasePropertyAdapter {
+  constructor() {
+    super({ name: 'zillow', displayName: 'Zillow', capabilities: ['search', 'detail', 'images', 'valuation'] });
+    this.host = process.env.ZILLOW_RAPIDAPI_HOST || DEFAULT_HOST;
+    this.baseUrl = process.env.ZILLOW_API_URL || `https://${this.host}`;
+  }
+
+  isAvailable() {
+    return Boolean(process.env.RAPIDAPI_KEY);
+  }
+
+  describe() {
+    return { host: this.host, baseUrl: this.baseUrl };
+  }
+
+  async request(endpoint, params) {
+    try {
+      const response = await zillowClient.get(`${this.baseUrl}${endpoint}`, {
+        headers: {
+          'x-rapidapi-key': process.env.RAPIDAPI_KEY,
+          'x-rapidapi-host': this.host
+        },
+        params
+      });
+      return response.data;
+    } catch (error) {
+      throw providerError(`Zillow ${endpoint} failed: ${error.message}`, error.response?.status || error.status || 502);
+    }
+  }
+
+  /**
+   * Map a search hit or /property payload to a canonical record
+   */
+  toRecord(prop, fetchedAt) {
+    const address = typeof prop.address === 'object' && prop.address ? prop.address : {};
+    const oneLine = typeof prop.address === 'string' ? prop.address : null;
+
+    return buildRecord(this.name, {
+      fetchedAt,
+      ids: { zillow: prop.zpid },
+      fields: {
+        'address.line1': pickFirst(address.streetAddress, prop.streetAddress),
+        'address.city': pickFirst(address.city, prop.city),
+        'address.state': pickFirst(address.state, prop.state),
+        'address.zip': pickFirst(address.zipcode, prop.zipcode),
+        'address.oneLine': oneLine,
+        'location.lat': prop.latitude,
+        'location.lng': prop.longitude,
+        propertyType: pickFirst(prop.homeType, prop.propertyType),
+        beds: prop.bedrooms,
+        baths: prop.bathrooms,
+        sqft: prop.livingArea,
+        lotSqft: prop.lotAreaUnit === 'acres' ? prop.lotAreaValue * 43560 : pickFirst(prop.lotSize, prop.lotAreaValue),
+        yearBuilt: prop.yearBuilt,
+        description: prop.description,
+        listingStatus: pickFirst(prop.homeStatus, prop.listingStatus),
+        listPrice: prop.price,
+        estimatedValue: prop.zestimate,
+        rentEstimate: prop.rentZestimate,
+        lastSalePrice: prop.lastSoldPrice,
+        lastSaleDate: prop.dateSold,
+        taxAmount: prop.taxAnnualAmount
+      },
+      sourcePaths: {
+        'address.oneLine': 'address',
+        'location.lat': 'latitude',
+        'location.lng': 'longitude',
+        propertyType: 'homeType',
+        beds: 'bedrooms',
+        baths: 'bathrooms',
+        sqft: 'livingArea',
+        listPrice: 'price',
+        estimatedValue: 'zestimate',
+        rentEstimate: 'rentZestimate'
+      },
+      images: [pickFirst(prop.hiResImageLink, prop.imgSrc)].filter(Boolean)
+    });
+  }
+
+  async search(query = {}) {
+    const location = pickFirst(
+      query.location,
+      [query.city, query.state, query.zip].filter(Boolean).join(', ') || null
+    );
+    if (!location) {
+      throw providerError('Zillow search needs a location', 400);
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const data = await this.request('/propertyExtendedSearch', {
+      location,
+      status_type: 'ForSale',
+      priceMin: query.minPrice,
+      priceMax: query.maxPrice,
+      bedsMin: query.minBeds,
+      home_type: query.propertyType
+    });
+
+    // An exact address match comes back as a single property instead of a list
+    const props = data?.props || (data?.zpid ? [data] : []);
+    return props.slice(0, query.limit || props.length).map(prop => this.toRecord(prop, fetchedAt));
+  }
+
+  async getDetail(ref) {
+    const { ids, address } = resolveRef(ref);
+    if (!ids.zillow && !address.oneLine) {
+      throw providerError('Zillow detail needs a zpid or an address', 400);
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const data = await this.request('/property', ids.zillow ? { zpid: ids.zillow } : { address: address.oneLine });
+    return data?.zpid ? this.toRecord(data, fetchedAt) : null;
+  }
+
+  async getImages(ref) {
+    // Lazy so the image cache model isn't loaded until images are needed
+    const { fetchZillowPhotos } = require('../fetchZillow');
+    const { ids, address } = resolveRef(ref);
+    const fetchedAt = new Date().toISOString();
+
+    const photos = await fetchZillowPhotos(address.oneLine, null, ids.zillow || null);
+    return buildRecord(this.name, { fetchedAt, images: photos }).images;
+  }
+
+  async getValuation(ref) {
+    const detail = await this.getDetail(ref);
+    return detail ? pickFields(detail, VALUATION_FIELDS) : null;
+  }
+}
+
+module.exports = ZillowAdapter;
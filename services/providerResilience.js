@@ -0,0 +1,466 @@
+/**
+ * 🛡️ Provider Resilience Service
+ *
+ * One wrapper for every outbound provider call (Zillow RapidAPI, CoreLogic,
+ * ATTOM, Google, GreatSchools, OpenAI, HelpScout), so one slow or failing
+ * provider can't stall the requests that depend on it:
+ * - Bulkhead: at most maxConcurrent calls per provider, a bounded queue behind it
+ * - Circuit breaker: opens after repeated failures, fails fast while open and
+ *   lets a few trial calls through once half-open
+ * - Timeout per attempt, with retries on transient failures using full-jitter
+ *   exponential backoff (honouring Retry-After)
+ *
+ * Use createClient() for axios (the NetworkAnalytics interceptor is attached
+ * for you), wrapFetch() for node-fetch / fetch based clients such as the
+ * OpenAI SDK, or execute() for anything else. Policies: config/providerResilience.js
+ */
+
+const axios = require('axios');
+const { getPolicy } = require('../config/providerResilience');
+const { createAxiosInterceptor, trackNetworkRequest } = require('../middleware/networkAnalytics');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Connection failures that mean the request never reached the provider
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+
+function resilienceError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 503;
+  Object.assign(error, extra);
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class CircuitBreaker {
+  constructor(provider, policy) {
+    this.provider = provider;
+    this.policy = policy;
+    this.state = 'closed'; // closed, open, half-open
+    this.outcomes = []; // [{ at, failed }] within rollingWindowMs
+    this.openedAt = null;
+    this.trialCalls = 0;
+    this.lastFailure = null;
+    this.lastStateChange = new Date();
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    const icon = { open: '🔴', 'half-open': '🟡', closed: '✅' }[state];
+    console.log(`${icon} ${this.provider} circuit breaker ${this.state} -> ${state}`);
+    this.state = state;
+    this.lastStateChange = new Date();
+    this.trialCalls = 0;
+    if (state === 'open') this.openedAt = Date.now();
+    if (state === 'closed') this.outcomes = [];
+  }
+
+  prune(now = Date.now()) {
+    const since = now - this.policy.rollingWindowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < since) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Reserve permission for one call
+   * @returns {boolean} false while the breaker is open or its trial slots are taken
+   */
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.policy.openMs) return false;
+      this.transition('half-open');
+    }
+    if (this.state === 'half-open') {
+      if (this.trialCalls >= this.policy.halfOpenMaxCalls) return false;
+      this.trialCalls++;
+    }
+    return true;
+  }
+
+  onSuccess() {
+    if (this.state === 'half-open') {
+      this.transition('closed');
+      return;
+    }
+    this.outcomes.push({ at: Date.now(), failed: false });
+    this.prune();
+  }
+
+  onFailure(error) {
+    this.lastFailure = { at: new Date(), message: error.message, code: error.code || null };
+    if (this.state === 'half-open') {
+      this.transition('open');
+      return;
+    }
+
+    this.outcomes.push({ at: Date.now(), failed: true });
+    this.prune();
+    const failures = this.outcomes.filter(outcome => outcome.failed).length;
+    if (failures >= this.policy.failureThreshold &&
+        failures / this.outcomes.length >= this.policy.failureRateThreshold) {
+      this.transition('open');
+    }
+  }
+
+  retryAfterMs() {
+    return this.state === 'open' ? Math.max(0, this.policy.openMs - (Date.now() - this.openedAt)) : 0;
+  }
+
+  reset() {
+    this.transition('closed');
+    this.outcomes = [];
+    this.lastFailure = null;
+  }
+
+  getState() {
+    this.prune();
+    const failures = this.outcomes.filter(outcome => outcome.failed).length;
+    return {
+      state: this.state,
+      recentCalls: this.outcomes.length,
+      recentFailures: failures,
+      failureRate: this.outcomes.length > 0 ? Math.round((failures / this.outcomes.length) * 1000) / 1000 : 0,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAfterMs: this.retryAfterMs(),
+      lastFailure: this.lastFailure,
+      lastStateChange: this.lastStateChange
+    };
+  }
+}
+
+class Bulkhead {
+  constructor(provider, policy) {
+    this.provider = provider;
+    this.policy = policy;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  async run(fn) {
+    if (this.active >= this.policy.maxConcurrent) {
+      await this.wait(); // the finishing call hands its slot straight over
+    } else {
+      this.active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next.resolve();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  wait() {
+    if (this.queue.length >= this.policy.maxQueue) {
+      return Promise.reject(resilienceError(`${this.provider} bulkhead full`, 'EBULKHEADFULL', { provider: this.provider }));
+    }
+    return new Promise((resolve, reject) => {
+      const entry = {
+        resolve: () => {
+          clearTimeout(entry.timer);
+          resolve();
+        }
+      };
+      entry.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        reject(resilienceError(`${this.provider} bulkhead queue timed out`, 'EBULKHEADFULL', { provider: this.provider }));
+      }, this.policy.queueTimeoutMs);
+      this.queue.push(entry);
+    });
+  }
+
+  getState() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.policy.maxConcurrent,
+      maxQueue: this.policy.maxQueue
+    };
+  }
+}
+
+class ProviderResilience {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  get(provider) {
+    if (!this.providers.has(provider)) {
+      const policy = getPolicy(provider);
+      this.providers.set(provider, {
+        policy,
+        breaker: new CircuitBreaker(provider, policy),
+        bulkhead: new Bulkhead(provider, policy),
+        stats: { calls: 0, succeeded: 0, failed: 0, retries: 0, timeouts: 0, shortCircuited: 0, bulkheadRejected: 0 }
+      });
+    }
+    return this.providers.get(provider);
+  }
+
+  /**
+   * Whether a failure says something about the provider's health, and
+   * whether trying again could help
+   */
+  classify(error) {
+    if (error.code === 'ECIRCUITOPEN' || error.code === 'EBULKHEADFULL') {
+      return { failure: false, retryable: false };
+    }
+    // The caller gave up; not the provider's fault
+    if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+      return { failure: false, retryable: false };
+    }
+    const status = error.response?.status ?? error.status;
+    if (status) {
+      const transient = status >= 500 || status === 429 || status === 408;
+      return { failure: transient, retryable: transient };
+    }
+    // Timeouts and network errors
+    return { failure: true, retryable: true };
+  }
+
+  /**
+   * Whether the request failed before it was sent, so even a POST can be retried
+   * (fetch reports the socket error as the cause of a TypeError)
+   */
+  neverSent(error) {
+    const code = error.code || error.cause?.code;
+    return UNSENT_ERROR_CODES.includes(code);
+  }
+
+  backoffMs(policy, attempt, error) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after'] ?? error.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter * 1000 <= policy.retryMaxMs) {
+      return retryAfter * 1000;
+    }
+    const ceiling = Math.min(policy.retryMaxMs, policy.retryBaseMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Run a provider call through the bulkhead, breaker, timeout and retries
+   * @param {string} provider - Provider name as used by NetworkAnalytics
+   * @param {Function} fn - ({ signal, attempt }) => Promise; abort on `signal`
+   * @param {Object} [options] - { timeoutMs, retries, method, onAttempt(attempt, breakerState) }
+   */
+  async execute(provider, fn, options = {}) {
+    const entry = this.get(provider);
+    const { policy, breaker, bulkhead, stats } = entry;
+    const timeoutMs = options.timeoutMs || policy.timeoutMs;
+    const method = (options.method || 'get').toLowerCase();
+    const retries = options.retries ?? policy.retries;
+    // Unless the caller set retries, non-idempotent calls only retry requests that never left
+    const retryAll = options.retries !== undefined || policy.retryNonIdempotent || IDEMPOTENT_METHODS.includes(method);
+
+    stats.calls++;
+    try {
+      return await bulkhead.run(async () => {
+        for (let attempt = 0; ; attempt++) {
+          if (!breaker.tryAcquire()) {
+            stats.shortCircuited++;
+            throw resilienceError(`${provider} circuit breaker is open`, 'ECIRCUITOPEN', {
+              provider,
+              retryAfterMs: breaker.retryAfterMs()
+            });
+          }
+          if (options.onAttempt) options.onAttempt(attempt, breaker.state);
+
+          try {
+            const result = await this.withTimeout(provider, fn, attempt, timeoutMs);
+            breaker.onSuccess();
+            stats.succeeded++;
+            return result;
+          } catch (error) {
+            const { failure, retryable } = this.classify(error);
+            if (failure) {
+              breaker.onFailure(error);
+            } else {
+              // A 4xx still proves the provider is answering
+              breaker.onSuccess();
+            }
+            if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') stats.timeouts++;
+
+            if (!retryable || (!retryAll && !this.neverSent(error)) || attempt >= retries || breaker.state === 'open') {
+              stats.failed++;
+              throw error;
+            }
+            stats.retries++;
+            const wait = this.backoffMs(policy, attempt, error);
+            console.warn(`🔁 ${provider} attempt ${attempt + 1} failed (${error.message}); retrying in ${wait}ms`);
+            await sleep(wait);
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code === 'EBULKHEADFULL') stats.bulkheadRejected++;
+      throw error;
+    }
+  }
+
+  async withTimeout(provider, fn, attempt, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${provider} timed out after ${timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        error.provider = provider;
+        // Settle first so the race reports the timeout, not the abort it causes
+        reject(error);
+        controller.abort(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([fn({ signal: controller.signal, attempt }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * axios instance whose requests all go through execute(), with the
+   * NetworkAnalytics interceptor recording each one
+   * @param {string} provider - Provider name as used by NetworkAnalytics
+   * @param {Object} [config] - axios.create() config
+   */
+  createClient(provider, config = {}) {
+    const client = axios.create(config);
+    const send = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = (requestConfig) => {
+      const timeoutMs = requestConfig.timeout || this.get(provider).policy.timeoutMs;
+      const metadata = requestConfig.metadata || (requestConfig.metadata = {});
+
+      return this.execute(provider, ({ signal }) => send({
+        ...requestConfig,
+        timeout: timeoutMs,
+        signal: requestConfig.signal ? AbortSignal.any([requestConfig.signal, signal]) : signal
+      }), {
+        timeoutMs,
+        method: requestConfig.method,
+        onAttempt: (attempt, breakerState) => {
+          metadata.resilience = { attempts: attempt + 1, breakerState };
+        }
+      }).catch(error => {
+        // Let the interceptor see calls we rejected before they left
+        if (!error.config) error.config = requestConfig;
+        throw error;
+      });
+    };
+
+    const tracking = createAxiosInterceptor(provider);
+    client.interceptors.request.use(tracking.request);
+    client.interceptors.response.use(tracking.response, tracking.error);
+    return client;
+  }
+
+  /**
+   * fetch-compatible function that goes through execute(); 5xx and 429
+   * responses count as failures and are retried, and the last response is
+   * still handed back so callers handle it as before
+   * @param {string} provider - Provider name as used by NetworkAnalytics
+   * @param {Function} [fetchImpl] - Defaults to the global fetch
+   * @param {Object} [options] - { track: record each call in NetworkAnalytics (default true) }
+   */
+  wrapFetch(provider, fetchImpl = globalThis.fetch, { track = true } = {}) {
+    return async (url, init = {}) => {
+      const startTime = Date.now();
+      const resilience = {};
+      let response;
+
+      try {
+        response = await this.execute(provider, async ({ signal }) => {
+          const attemptResponse = await fetchImpl(url, {
+            ...init,
+            signal: init.signal ? AbortSignal.any([init.signal, signal]) : signal
+          });
+          if (attemptResponse.status >= 500 || attemptResponse.status === 429) {
+            throw resilienceError(`${provider} responded ${attemptResponse.status}`, 'EPROVIDERSTATUS', {
+              status: attemptResponse.status,
+              headers: { 'retry-after': attemptResponse.headers.get('retry-after') },
+              fetchResponse: attemptResponse
+            });
+          }
+          return attemptResponse;
+        }, {
+          method: init.method,
+          onAttempt: (attempt, breakerState) => Object.assign(resilience, { attempts: attempt + 1, breakerState })
+        });
+      } catch (error) {
+        if (track) this.trackFetch(provider, url, init, startTime, resilience, error.fetchResponse, error);
+        if (error.fetchResponse) return error.fetchResponse;
+        throw error;
+      }
+
+      if (track) this.trackFetch(provider, url, init, startTime, resilience, response);
+      return response;
+    };
+  }
+
+  /**
+   * Record a wrapFetch() call the way the axios interceptor records axios calls
+   */
+  trackFetch(provider, url, init, startTime, resilience, response, error = null) {
+    let endpoint = String(url);
+    let requestParams = {};
+    try {
+      const parsed = new URL(String(url));
+      endpoint = parsed.pathname.replace(/^\/+/, '');
+      requestParams = Object.fromEntries(parsed.searchParams);
+    } catch (parseError) {
+      // Relative or unusual URL; keep it as the endpoint
+    }
+
+    const rejected = error && (error.code === 'ECIRCUITOPEN' || error.code === 'EBULKHEADFULL');
+    let status = 'success';
+    if (response?.status === 429) status = 'rate_limited';
+    else if (error?.code === 'ETIMEDOUT') status = 'timeout';
+    else if (error || !response?.ok) status = 'error';
+
+    trackNetworkRequest({
+      provider,
+      endpoint,
+      method: (init.method || 'GET').toUpperCase(),
+      status,
+      responseTime: Date.now() - startTime,
+      statusCode: response?.status || (rejected ? error.status : undefined),
+      errorMessage: error?.message,
+      requestParams,
+      cost: rejected ? 0 : undefined,
+      metadata: {
+        resilience,
+        errorCode: error?.code,
+        rejectedBy: rejected ? (error.code === 'ECIRCUITOPEN' ? 'circuit_breaker' : 'bulkhead') : undefined
+      }
+    });
+  }
+
+  reset(provider) {
+    if (!this.providers.has(provider)) return false;
+    this.providers.get(provider).breaker.reset();
+    return true;
+  }
+
+  /**
+   * Breaker, bulkhead and counters for every provider used so far
+   */
+  getState() {
+    return Array.from(this.providers.entries()).map(([provider, { policy, breaker, bulkhead, stats }]) => ({
+      provider,
+      breaker: breaker.getState(),
+      bulkhead: bulkhead.getState(),
+      stats: { ...stats },
+      policy
+    }));
+  }
+}
+
+module.exports = new ProviderResilience();
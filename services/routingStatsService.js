@@ -0,0 +1,225 @@
+/**
+ * 📈 Routing Stats Service
+ *
+ * Rolling per-provider outcome statistics behind DataSourceRouter:
+ * - Each provider call made for a search is recorded with its latency,
+ *   whether it succeeded and how complete the returned data was
+ * - Samples are kept per provider x search type x region, with provider x
+ *   search type and provider-wide rollups to fall back on when a region has
+ *   too few samples
+ * - A NetworkAnalytics baseline supplies latency, error and cost figures for
+ *   providers the router has not observed directly yet
+ *
+ * Samples live in memory, so every router instance in the process shares them.
+ */
+
+const mongoose = require('mongoose');
+const NetworkAnalytics = require('../models/NetworkAnalytics');
+const routingConfig = require('../config/dataRouting');
+const { QUALITY_KEY_FIELDS } = require('../config/propertyMerge');
+const { getField } = require('./propertyProviders/schema');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ANY = '*';
+const LEVELS = ['region', 'searchType', 'provider'];
+
+// Listing fields (with the alternate names routes use) counted toward completeness
+const LISTING_KEY_FIELDS = [
+  ['price', 'listPrice'],
+  ['bedrooms', 'beds'],
+  ['bathrooms', 'baths'],
+  ['livingArea', 'squareFeet', 'sqft'],
+  ['latitude', 'coordinates'],
+  ['imgSrc', 'images', 'carouselPhotos']
+];
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '' && value !== 0;
+}
+
+class RoutingStatsService {
+  constructor(config = routingConfig) {
+    this.config = config;
+    this.samples = new Map(); // 'provider|searchType|region' -> [{ at, latencyMs, ok, completeness }]
+    this.baseline = {};
+    this.baselineRefreshedAt = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Two-letter state code for a search, or '*' when it can't be told
+   * @param {Object} searchRequest - { state, address, query }
+   */
+  regionOf({ state, address, query } = {}) {
+    if (typeof state === 'string' && /^[A-Za-z]{2}$/.test(state.trim())) {
+      return state.trim().toUpperCase();
+    }
+    const text = [address, query].filter(value => typeof value === 'string').join(' ');
+    const match = text.match(/,\s*([A-Z]{2})(?=\s+\d{5}|\s*,|\s*$)/);
+    return match ? match[1] : ANY;
+  }
+
+  keysFor(provider, searchType = ANY, region = ANY) {
+    return [
+      `${provider}|${searchType}|${region}`,
+      `${provider}|${searchType}|${ANY}`,
+      `${provider}|${ANY}|${ANY}`
+    ];
+  }
+
+  /**
+   * Record one provider call
+   * @param {Object} outcome - { provider, searchType, region, latencyMs, ok, completeness (0-1) }
+   */
+  record({ provider, searchType = ANY, region = ANY, latencyMs = null, ok = true, completeness = null }) {
+    if (!provider) return;
+
+    const sample = {
+      at: Date.now(),
+      latencyMs: Number.isFinite(latencyMs) ? Math.round(latencyMs) : null,
+      ok: Boolean(ok),
+      completeness: Number.isFinite(completeness) ? Math.max(0, Math.min(1, completeness)) : null
+    };
+
+    // Region and search type rollups repeat when either is unknown
+    for (const key of new Set(this.keysFor(provider, searchType, region))) {
+      if (!this.samples.has(key)) this.samples.set(key, []);
+      const samples = this.samples.get(key);
+      samples.push(sample);
+      if (samples.length > this.config.MAX_SAMPLES_PER_KEY) {
+        samples.splice(0, samples.length - this.config.MAX_SAMPLES_PER_KEY);
+      }
+    }
+  }
+
+  summarize(samples) {
+    const since = Date.now() - this.config.STATS_WINDOW_HOURS * HOUR_MS;
+    const recent = samples.filter(sample => sample.at >= since);
+    if (recent.length === 0) return null;
+
+    const latencies = recent.map(sample => sample.latencyMs).filter(Number.isFinite);
+    const completeness = recent
+      .filter(sample => sample.ok && sample.completeness !== null)
+      .map(sample => sample.completeness);
+
+    return {
+      samples: recent.length,
+      errorRate: recent.filter(sample => !sample.ok).length / recent.length,
+      avgLatencyMs: latencies.length > 0 ? Math.round(average(latencies)) : null,
+      p95LatencyMs: percentile(latencies, 0.95),
+      avgCompleteness: completeness.length > 0 ? Math.round(average(completeness) * 1000) / 1000 : null,
+      completenessSamples: completeness.length,
+      lastSampleAt: new Date(recent[recent.length - 1].at)
+    };
+  }
+
+  /**
+   * Most specific stats level with at least MIN_SAMPLES recent samples
+   * @returns {Object|null} Summary with `level` ('region' | 'searchType' | 'provider')
+   */
+  get(provider, searchType = ANY, region = ANY) {
+    const keys = this.keysFor(provider, searchType, region);
+    for (let i = 0; i < keys.length; i++) {
+      const summary = this.summarize(this.samples.get(keys[i]) || []);
+      if (summary && summary.samples >= this.config.MIN_SAMPLES) {
+        return { ...summary, level: LEVELS[i] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * NetworkAnalytics figures for a provider, when it has enough requests
+   */
+  baselineFor(provider) {
+    const baseline = this.baseline[provider];
+    return baseline && baseline.requests >= this.config.MIN_SAMPLES ? baseline : null;
+  }
+
+  async refreshBaseline() {
+    if (mongoose.connection.readyState !== 1) return this.baseline;
+
+    const rows = await NetworkAnalytics.getRoutingBaseline(this.config.STATS_WINDOW_HOURS);
+    const baseline = {};
+    for (const row of rows) {
+      const avgLatency = row.avgResponseTime || 0;
+      baseline[row._id] = {
+        requests: row.totalRequests,
+        errorRate: row.totalRequests > 0 ? row.failedRequests / row.totalRequests : 0,
+        avgLatencyMs: Math.round(avgLatency),
+        // Normal approximation; good enough to compare against an SLO
+        p95LatencyMs: Math.round(avgLatency + 1.645 * (row.stdDevResponseTime || 0)),
+        avgCostUsd: row.avgCost ? row.avgCost / 100 : null // stored in cents
+      };
+    }
+
+    this.baseline = baseline;
+    this.baselineRefreshedAt = new Date();
+    return baseline;
+  }
+
+  /**
+   * Re-read the NetworkAnalytics baseline in the background once it is stale;
+   * routing never waits on it
+   */
+  maybeRefreshBaseline() {
+    const age = this.baselineRefreshedAt ? Date.now() - this.baselineRefreshedAt.getTime() : Infinity;
+    if (this.refreshing || age < this.config.BASELINE_REFRESH_MS) return;
+
+    this.refreshing = this.refreshBaseline()
+      .catch(error => console.warn('⚠️ Failed to refresh routing baseline:', error.message))
+      .finally(() => { this.refreshing = null; });
+  }
+
+  /**
+   * Share of the merge quality key fields present in any of a provider's records (0-1)
+   */
+  completenessOf(records) {
+    const present = QUALITY_KEY_FIELDS.filter(field =>
+      records.some(record => record && getField(record, field) !== null)
+    );
+    return QUALITY_KEY_FIELDS.length > 0 ? present.length / QUALITY_KEY_FIELDS.length : 1;
+  }
+
+  /**
+   * Average share of listing key fields filled in across search results (0-1)
+   */
+  listingCompleteness(listings) {
+    if (!Array.isArray(listings) || listings.length === 0) return 0;
+    const perListing = listings.map(listing =>
+      LISTING_KEY_FIELDS.filter(names => names.some(name => hasValue(listing?.[name]))).length / LISTING_KEY_FIELDS.length
+    );
+    return average(perListing);
+  }
+
+  snapshot() {
+    const keys = [];
+    for (const [key, samples] of this.samples) {
+      const summary = this.summarize(samples);
+      if (!summary) continue;
+      const [provider, searchType, region] = key.split('|');
+      keys.push({ provider, searchType, region, ...summary });
+    }
+
+    return {
+      windowHours: this.config.STATS_WINDOW_HOURS,
+      minSamples: this.config.MIN_SAMPLES,
+      baseline: this.baseline,
+      baselineRefreshedAt: this.baselineRefreshedAt,
+      keys
+    };
+  }
+}
+
+module.exports = new RoutingStatsService();
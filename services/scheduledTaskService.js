@@ -1,5 +1,11 @@
 const cron = require('node-cron');
 const dailyWorkflowService = require('./dailyWorkflowService');
+const offeringService = require('./offeringService');
+const orderBookService = require('./orderBookService');
+const incomeDistributionService = require('./incomeDistributionService');
+const portfolioService = require('./portfolioService');
+const { overageHandlerService } = require('./overageHandlerService');
+const ledgerReconciliationService = require('./ledgerReconciliationService');
 
 class ScheduledTaskService {
   constructor() {
@@ -86,6 +92,90 @@ class ScheduledTaskService {
       timezone: process.env.TIMEZONE || 'America/New_York'
     }));
 
+    // Release share reservations that were never confirmed - every minute
+    this.tasks.set('offering-reservations', cron.schedule('* * * * *', async () => {
+      try {
+        await offeringService.expireStaleReservations();
+      } catch (error) {
+        console.error('❌ Reservation expiry sweep failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
+    // Finish share orders left half-released or half-confirmed - every 5 minutes
+    this.tasks.set('offering-recovery', cron.schedule('*/5 * * * *', async () => {
+      try {
+        await offeringService.recoverStuckOrders();
+      } catch (error) {
+        console.error('❌ Share order recovery sweep failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
+    // Resume income distributions interrupted mid-payout - every 15 minutes
+    this.tasks.set('distribution-recovery', cron.schedule('*/15 * * * *', async () => {
+      try {
+        await incomeDistributionService.resumeStaleDistributions();
+      } catch (error) {
+        console.error('❌ Distribution recovery sweep failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
+    // Retry secondary market trades that didn't finish settling - every 5 minutes
+    this.tasks.set('trade-settlement', cron.schedule('*/5 * * * *', async () => {
+      try {
+        await orderBookService.retryPendingSettlements();
+      } catch (error) {
+        console.error('❌ Trade settlement retry failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
+    // Mark investor portfolios to market - daily at 1:30 AM
+    this.tasks.set('portfolio-snapshots', cron.schedule('30 1 * * *', async () => {
+      try {
+        await portfolioService.recordDailySnapshots();
+      } catch (error) {
+        console.error('❌ Portfolio snapshot run failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
+    // Close FXCT purchases whose checkout was abandoned - every 5 minutes
+    this.tasks.set('purchase-expiry', cron.schedule('*/5 * * * *', async () => {
+      try {
+        await overageHandlerService.expireStalePurchases();
+      } catch (error) {
+        console.error('❌ Purchase expiry sweep failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
+    // Replay wallet ledgers against stored balances - daily at 2:15 AM
+    this.tasks.set('ledger-reconciliation', cron.schedule(process.env.LEDGER_RECON_CRON || '15 2 * * *', async () => {
+      try {
+        await ledgerReconciliationService.runReconciliation({ trigger: 'scheduled' });
+      } catch (error) {
+        console.error('❌ Ledger reconciliation run failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'America/New_York'
+    }));
+
     console.log(`✅ Scheduled ${this.tasks.size} automated tasks`);
     this.logNextRuns();
   }
@@ -136,7 +226,14 @@ class ScheduledTaskService {
       'eod-summary': '4:30 PM daily', 
       'weekly-digest': '8:00 AM Mondays',
       'health-check': 'Hourly (9 AM - 6 PM)',
-      'cleanup': 'Daily at midnight'
+      'cleanup': 'Daily at midnight',
+      'offering-reservations': 'Every minute',
+      'offering-recovery': 'Every 5 minutes',
+      'distribution-recovery': 'Every 15 minutes',
+      'trade-settlement': 'Every 5 minutes',
+      'portfolio-snapshots': '1:30 AM daily',
+      'purchase-expiry': 'Every 5 minutes',
+      'ledger-reconciliation': process.env.LEDGER_RECON_CRON || '2:15 AM daily'
     };
 
     for (const [name, schedule] of Object.entries(schedules)) {
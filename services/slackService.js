@@ -956,6 +956,70 @@ class SlackService {
       return { success: false, error: error.message };
     }
   }
+
+  // Report a ledger reconciliation run that failed or found discrepancies
+  async notifyLedgerReconciliation(run, discrepancies = []) {
+    try {
+      const failed = run.status === 'failed';
+      const emoji = failed ? '❌' : '🧮';
+      const summary = failed
+        ? `Ledger reconciliation ${run.runId} failed: ${run.error}`
+        : `Ledger reconciliation ${run.runId} found ${run.discrepancyCount} discrepancies in ${run.walletsWithDiscrepancies} wallets`;
+
+      const lines = discrepancies.map(d =>
+        `• *${d.type}* (${d.severity}) wallet \`${d.walletId}\`${d.walletFrozen ? ' 🧊 frozen' : ''}\n   ${d.details || ''}`
+      );
+
+      const blocks = [
+        {
+          type: 'header',
+          text: {
+            type: 'plain_text',
+            text: `${emoji} Ledger Reconciliation ${failed ? 'Failed' : 'Discrepancies'}`
+          }
+        },
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*Run:* ${run.runId}` },
+            { type: 'mrkdwn', text: `*Trigger:* ${run.trigger}` },
+            { type: 'mrkdwn', text: `*Wallets Checked:* ${run.walletsChecked}` },
+            { type: 'mrkdwn', text: `*Entries Replayed:* ${run.entriesReplayed}` },
+            { type: 'mrkdwn', text: `*Discrepancies:* ${run.discrepancyCount}` },
+            { type: 'mrkdwn', text: `*Wallets Frozen:* ${(run.frozenWalletIds || []).length}` }
+          ]
+        }
+      ];
+
+      if (lines.length > 0) {
+        blocks.push({
+          type: 'section',
+          text: { type: 'mrkdwn', text: lines.join('\n') }
+        });
+      }
+
+      blocks.push({
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '🧾 View Run' },
+            url: `${process.env.ADMIN_URL || 'https://admin.fractionax.io'}/admin/ledger-reconciliation?runId=${run.runId}`,
+            style: failed ? 'danger' : 'primary'
+          }
+        ]
+      });
+
+      return await this.makeRequest('POST', '/chat.postMessage', {
+        channel: process.env.SLACK_FINANCE_CHANNEL_ID || this.channelId,
+        text: `${emoji} ${summary}`,
+        blocks
+      });
+    } catch (error) {
+      console.error('Ledger reconciliation notification failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new SlackService();
@@ -0,0 +1,304 @@
+/**
+ * Spending Cap Service - FXCT budgets per user
+ *
+ * Caps are stored on the wallet (Wallet.spendingCaps) and checked by the
+ * deductFxct middleware before every billable call:
+ * - dailyFxct / monthlyFxct limit total usage spend per UTC day / month
+ * - dataTypes[TYPE].dailyFxct / monthlyFxct limit one data type
+ * - dataTypes[TYPE].blocked refuses that data type outright
+ *
+ * Caps always live on the user's personal wallet and count the user's own
+ * spend, including calls billed to an organization's pooled wallet (which
+ * also has the member's allowance checked separately).
+ *
+ * Spend is read from completed WalletUsageLedger entries, so concurrent calls
+ * can overshoot a cap by at most the calls already in flight.
+ */
+
+const mongoose = require('mongoose');
+const { Wallet, WalletUsageLedger } = require('../models/Wallet');
+const walletService = require('./walletService');
+const notificationService = require('./notificationService');
+const { SPENDING_CAP_ALERT_LEVELS } = require('../config/pricing');
+
+const DATA_TYPES = ['BASIC', 'STANDARD', 'PRO_LOW', 'PRO_HIGH'];
+const PERIODS = ['daily', 'monthly'];
+
+function round(value, decimals = 6) {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function periodBounds(period, now = new Date()) {
+  if (period === 'daily') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return { start, resetsAt: new Date(start.getTime() + 24 * 60 * 60 * 1000), key: start.toISOString().slice(0, 10) };
+  }
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return { start, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)), key: start.toISOString().slice(0, 7) };
+}
+
+function hasCaps(caps) {
+  if (!caps) return false;
+  if (caps.dailyFxct != null || caps.monthlyFxct != null) return true;
+  return Object.values(caps.dataTypes || {}).some(rule =>
+    rule && (rule.blocked || rule.dailyFxct != null || rule.monthlyFxct != null)
+  );
+}
+
+class SpendingCapService {
+  /**
+   * Caps and current spend for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Caps with spent/remaining per limit
+   */
+  async getCaps(userId) {
+    const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+    const caps = wallet.spendingCaps || {};
+    const spend = await this.getSpend(userId);
+
+    const describe = (limit, spent, period) => limit == null ? null : {
+      limitFxct: limit,
+      spentFxct: spent,
+      remainingFxct: round(Math.max(0, limit - spent)),
+      resetsAt: periodBounds(period).resetsAt
+    };
+
+    const dataTypes = {};
+    for (const [dataType, rule] of Object.entries(caps.dataTypes || {})) {
+      dataTypes[dataType] = {
+        blocked: Boolean(rule.blocked),
+        daily: describe(rule.dailyFxct, spend.daily.byDataType[dataType] || 0, 'daily'),
+        monthly: describe(rule.monthlyFxct, spend.monthly.byDataType[dataType] || 0, 'monthly')
+      };
+    }
+
+    return {
+      enabled: hasCaps(caps),
+      locked: Boolean(caps.locked),
+      daily: describe(caps.dailyFxct, spend.daily.total, 'daily'),
+      monthly: describe(caps.monthlyFxct, spend.monthly.total, 'monthly'),
+      dataTypes,
+      spend,
+      updatedBy: caps.updatedBy || null,
+      updatedAt: caps.updatedAt || null
+    };
+  }
+
+  /**
+   * Replace a user's caps
+   * @param {string} userId - User ID
+   * @param {Object} caps - { dailyFxct, monthlyFxct, dataTypes: { TYPE: { dailyFxct, monthlyFxct, blocked } } }
+   * @param {Object} options - { updatedBy, admin, locked }
+   * @returns {Promise<Object>} Saved caps with spend
+   */
+  async setCaps(userId, caps, options = {}) {
+    const { updatedBy = userId.toString(), admin = false, locked } = options;
+    const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+
+    if (wallet.spendingCaps?.locked && !admin) {
+      throw new Error('Spending caps on this account are managed by an administrator');
+    }
+
+    const validateLimit = (value, label) => {
+      if (value === undefined || value === null) return null;
+      if (typeof value !== 'number' || !(value >= 0)) {
+        throw new Error(`${label} must be zero or more FXCT`);
+      }
+      return value;
+    };
+
+    const dataTypes = {};
+    for (const [dataType, rule] of Object.entries(caps.dataTypes || {})) {
+      if (!DATA_TYPES.includes(dataType)) {
+        throw new Error(`Unknown data type: ${dataType}`);
+      }
+      dataTypes[dataType] = {
+        dailyFxct: validateLimit(rule.dailyFxct, `${dataType} daily cap`),
+        monthlyFxct: validateLimit(rule.monthlyFxct, `${dataType} monthly cap`),
+        blocked: Boolean(rule.blocked)
+      };
+    }
+
+    await Wallet.updateOne({ _id: wallet._id }, {
+      $set: {
+        spendingCaps: {
+          dailyFxct: validateLimit(caps.dailyFxct, 'Daily cap'),
+          monthlyFxct: validateLimit(caps.monthlyFxct, 'Monthly cap'),
+          dataTypes,
+          locked: admin ? Boolean(locked) : false,
+          updatedBy,
+          updatedAt: new Date()
+        }
+      }
+    });
+
+    console.log(`⚙️ Spending caps updated for user ${userId} by ${updatedBy}`);
+    return this.getCaps(userId);
+  }
+
+  /**
+   * Remove all caps from a user
+   */
+  async clearCaps(userId, options = {}) {
+    const { updatedBy = userId.toString(), admin = false } = options;
+    const { wallet } = await walletService.getOrCreateWallet(userId, 'system');
+
+    if (wallet.spendingCaps?.locked && !admin) {
+      throw new Error('Spending caps on this account are managed by an administrator');
+    }
+
+    await Wallet.updateOne({ _id: wallet._id }, { $unset: { spendingCaps: 1 } });
+    console.log(`⚙️ Spending caps cleared for user ${userId} by ${updatedBy}`);
+    return this.getCaps(userId);
+  }
+
+  /**
+   * A user's completed usage spend for today and this month, in total and by
+   * data type, across every wallet that paid for it
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { daily: { total, byDataType }, monthly: { total, byDataType } }
+   */
+  async getSpend(userId, now = new Date()) {
+    const day = periodBounds('daily', now);
+    const month = periodBounds('monthly', now);
+
+    const rows = await WalletUsageLedger.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId.toString()),
+          status: 'completed',
+          createdAt: { $gte: month.start }
+        }
+      },
+      {
+        $group: {
+          _id: '$dataType',
+          monthly: { $sum: { $toDouble: '$fxctDebited' } },
+          daily: { $sum: { $cond: [{ $gte: ['$createdAt', day.start] }, { $toDouble: '$fxctDebited' }, 0] } }
+        }
+      }
+    ]);
+
+    const spend = {
+      daily: { total: 0, byDataType: {} },
+      monthly: { total: 0, byDataType: {} }
+    };
+    for (const row of rows) {
+      for (const period of PERIODS) {
+        spend[period].byDataType[row._id] = round(row[period]);
+        spend[period].total = round(spend[period].total + row[period]);
+      }
+    }
+    return spend;
+  }
+
+  /**
+   * Check whether a charge fits the user's caps
+   * @param {string} userId - User ID the spend is attributed to
+   * @param {Object} wallet - The user's personal wallet (plain object), which holds the caps
+   * @param {string} dataType - Data type being charged
+   * @param {number} amount - FXCT about to be debited
+   * @returns {Promise<Object>} { allowed, violation, limits }
+   *   violation: { reason: 'DATA_TYPE_BLOCKED' | 'SPENDING_CAP_EXCEEDED', scope, period, limitFxct, spentFxct, resetsAt }
+   *   limits: the caps that apply to this charge, with spend before it (used for alerts)
+   */
+  async checkCharge(userId, wallet, dataType, amount) {
+    const caps = wallet.spendingCaps;
+    if (!hasCaps(caps)) {
+      return { allowed: true, violation: null, limits: [] };
+    }
+
+    const typeRule = caps.dataTypes?.[dataType] || {};
+    if (typeRule.blocked) {
+      return {
+        allowed: false,
+        violation: { reason: 'DATA_TYPE_BLOCKED', scope: dataType, period: null, limitFxct: 0, spentFxct: 0, resetsAt: null },
+        limits: []
+      };
+    }
+
+    const spend = await this.getSpend(userId);
+    const limits = [];
+    for (const period of PERIODS) {
+      const field = `${period}Fxct`;
+      if (caps[field] != null) {
+        limits.push({ scope: 'total', period, limitFxct: caps[field], spentFxct: spend[period].total });
+      }
+      if (typeRule[field] != null) {
+        limits.push({ scope: dataType, period, limitFxct: typeRule[field], spentFxct: spend[period].byDataType[dataType] || 0 });
+      }
+    }
+
+    const exceeded = limits.find(limit => limit.spentFxct + amount > limit.limitFxct + 1e-9);
+    if (exceeded) {
+      return {
+        allowed: false,
+        violation: { reason: 'SPENDING_CAP_EXCEEDED', ...exceeded, resetsAt: periodBounds(exceeded.period).resetsAt },
+        limits
+      };
+    }
+
+    return { allowed: true, violation: null, limits };
+  }
+
+  /**
+   * Notify the user when a charge (or a refused charge) crosses an alert level
+   * @param {string} userId - User ID
+   * @param {Object} wallet - Wallet document (plain object)
+   * @param {Object} check - Result of checkCharge
+   * @param {number} amount - FXCT debited (0 when the charge was refused)
+   */
+  async sendAlerts(userId, wallet, check, amount) {
+    const pending = [];
+
+    if (check.allowed) {
+      for (const limit of check.limits) {
+        const spent = limit.spentFxct + amount;
+        const used = limit.limitFxct > 0 ? spent / limit.limitFxct : 1;
+        const usedBefore = limit.limitFxct > 0 ? limit.spentFxct / limit.limitFxct : 1;
+
+        for (const level of SPENDING_CAP_ALERT_LEVELS) {
+          if (used >= level && usedBefore < level) {
+            pending.push(this.notifyLevel(userId, wallet, limit, level, spent));
+          }
+        }
+      }
+    } else if (check.violation.reason === 'SPENDING_CAP_EXCEEDED') {
+      // A refused charge means the cap has been reached, whatever the exact spend
+      pending.push(this.notifyLevel(userId, wallet, check.violation, 1, check.violation.spentFxct));
+    } else if (check.violation.reason === 'DATA_TYPE_BLOCKED') {
+      pending.push(notificationService.notify(userId, {
+        type: 'spending_cap_blocked',
+        title: `${check.violation.scope} data is blocked`,
+        message: `A ${check.violation.scope} request was refused because this data type is blocked by your spending caps.`,
+        severity: 'warning',
+        data: { dataType: check.violation.scope },
+        dedupeKey: `spending_cap_${wallet._id}_${check.violation.scope}_blocked_${periodBounds('daily').key}`
+      }));
+    }
+
+    await Promise.all(pending);
+  }
+
+  async notifyLevel(userId, wallet, limit, level, spent) {
+    const { key } = periodBounds(limit.period);
+    const percent = Math.round(level * 100);
+    const label = `${limit.scope === 'total' ? '' : `${limit.scope} `}${limit.period} FXCT cap`;
+
+    return notificationService.notify(userId, {
+      type: level >= 1 ? 'spending_cap_reached' : 'spending_cap_warning',
+      title: level >= 1 ? `Your ${label} has been reached` : `You've used ${percent}% of your ${label}`,
+      message: level >= 1
+        ? `Requests that would exceed your ${label} of ${limit.limitFxct} FXCT are paused until it resets.`
+        : `You've spent ${round(spent, 4)} FXCT of your ${label} of ${limit.limitFxct} FXCT.`,
+      severity: level >= 1 ? 'critical' : 'warning',
+      data: { scope: limit.scope, period: limit.period, limitFxct: limit.limitFxct, spentFxct: round(spent), level },
+      // Once per cap, level and period
+      dedupeKey: `spending_cap_${wallet._id}_${limit.scope}_${limit.period}_${key}_${percent}`
+    });
+  }
+}
+
+const spendingCapService = new SpendingCapService();
+module.exports = spendingCapService;
@@ -0,0 +1,633 @@
+/**
+ * Tax Reporting Service - Year-end income and realized gain summaries
+ *
+ * Features:
+ * - Distribution income from paid DistributionPayouts
+ * - Other taxable wallet credits from the WalletLedger (plan issuances, refunds and sale proceeds excluded)
+ * - Realized gains on share sales with FIFO cost basis and short/long-term split
+ * - FXCT amounts valued in USD at the daily FXCT price on the transaction date
+ * - 1099-style CSV and PDF renderings, stored as TaxDocuments for re-download
+ *
+ * Figures are informational summaries for investors and their preparers,
+ * not IRS-filed information returns.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Wallet, WalletLedger } = require('../models/Wallet');
+const { DistributionPayout } = require('../models/IncomeDistribution');
+const ShareTransaction = require('../models/ShareTransaction');
+const TaxDocument = require('../models/TaxDocument');
+const User = require('../models/User');
+const { priceFeedService } = require('./priceFeedService');
+const { PdfDocument } = require('../utils/pdfWriter');
+
+const LONG_TERM_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A gap in the price feed longer than this leaves the amount unvalued (and flagged) rather than priced at an old rate
+const MAX_PRICE_AGE_DAYS = 7;
+const FIRST_TAX_YEAR = 2000;
+
+// Ledger entries that are not income: plan token grants and top-up purchases
+// are paid for in USD, refunds return the user's own funds, adjustments
+// correct earlier entries and sale proceeds are reported as gains
+const NON_INCOME_LEDGER_TYPES = ['issuance', 'refund', 'adjust', 'release', 'hold', 'debit', 'withdraw'];
+const EXCLUDED_CREDIT_TYPES = ['issuance', 'refund', 'adjust'];
+const NON_INCOME_ACTIONS = ['income_distribution', 'share_sale', 'fxct_purchase', 'fxct_purchase_reinstated', 'transfer_in'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  pdf: 'application/pdf'
+};
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toDateKey(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : '';
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function usd(value) {
+  if (value === null || value === undefined) return 'n/a';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+class TaxReportingService {
+  constructor() {
+    this.metrics = {
+      summariesBuilt: 0,
+      documentsGenerated: 0,
+      downloads: 0
+    };
+  }
+
+  /**
+   * FXCT/USD on a date, memoized per day for one report
+   */
+  async fxctUsdOn(date, priceCache) {
+    const key = toDateKey(date);
+    if (!priceCache.has(key)) {
+      let price = null;
+      try {
+        price = await priceFeedService.getPriceOnDate(new Date(`${key}T23:59:59.999Z`), null, { maxAgeDays: MAX_PRICE_AGE_DAYS });
+      } catch (error) {
+        console.warn(`⚠️ No FXCT price for ${key}:`, error.message);
+      }
+      priceCache.set(key, price);
+    }
+    return priceCache.get(key);
+  }
+
+  async toUsd(amountFxct, date, priceCache) {
+    const price = await this.fxctUsdOn(date, priceCache);
+    return price !== null ? amountFxct * price : null;
+  }
+
+  /**
+   * Paid distributions in the tax year, grouped by property
+   */
+  async getDistributionIncome(userId, range, priceCache) {
+    const payouts = await DistributionPayout.find({
+      userId,
+      status: 'paid',
+      paidAt: { $gte: range.start, $lt: range.end }
+    })
+      .populate('propertyId', 'title address')
+      .sort({ paidAt: 1 });
+
+    const byProperty = new Map();
+    const lines = [];
+    let missingPrice = false;
+
+    for (const payout of payouts) {
+      let amountUsd = payout.amountUsd;
+      if (!(amountUsd > 0)) {
+        amountUsd = await this.toUsd(payout.amountFxct, payout.paidAt, priceCache);
+        if (amountUsd === null) missingPrice = true;
+      }
+
+      const property = payout.propertyId;
+      const key = property?._id?.toString() || 'unknown';
+      const name = property?.title || property?.address?.oneLine || key;
+      const entry = byProperty.get(key) || { propertyId: property?._id || null, propertyName: name, amountFxct: 0, amountUsd: 0, payments: 0 };
+      entry.amountFxct += payout.amountFxct;
+      entry.amountUsd += amountUsd || 0;
+      entry.payments++;
+      byProperty.set(key, entry);
+
+      lines.push({
+        date: toDateKey(payout.paidAt),
+        propertyName: name,
+        distributionId: payout.distributionId,
+        shares: payout.shares,
+        amountFxct: payout.amountFxct,
+        amountUsd: round(amountUsd)
+      });
+    }
+
+    const properties = [...byProperty.values()].map(p => ({
+      ...p,
+      amountFxct: round(p.amountFxct, 6),
+      amountUsd: round(p.amountUsd)
+    }));
+
+    return {
+      totalFxct: round(properties.reduce((sum, p) => sum + p.amountFxct, 0), 6),
+      totalUsd: round(properties.reduce((sum, p) => sum + p.amountUsd, 0)),
+      properties,
+      lines,
+      missingPrice
+    };
+  }
+
+  /**
+   * Taxable wallet credits other than distributions and sale proceeds
+   */
+  async getOtherIncome(userId, range, priceCache) {
+    const wallets = await Wallet.find({ userId }).select('_id');
+    if (wallets.length === 0) {
+      return { totalFxct: 0, totalUsd: 0, lines: [], excluded: {}, missingPrice: false };
+    }
+
+    const entries = await WalletLedger.find({
+      walletId: { $in: wallets.map(w => w._id) },
+      createdAt: { $gte: range.start, $lt: range.end }
+    }).sort({ createdAt: 1 });
+
+    const lines = [];
+    const excluded = {};
+    let missingPrice = false;
+
+    for (const entry of entries) {
+      const action = entry.meta?.action;
+      if (NON_INCOME_LEDGER_TYPES.includes(entry.type) || NON_INCOME_ACTIONS.includes(action)) {
+        if (EXCLUDED_CREDIT_TYPES.includes(entry.type)) {
+          excluded[entry.type] = round((excluded[entry.type] || 0) + entry.amountFxct, 6);
+        }
+        continue;
+      }
+      if (!(entry.amountFxct > 0)) continue;
+
+      const amountUsd = await this.toUsd(entry.amountFxct, entry.createdAt, priceCache);
+      if (amountUsd === null) missingPrice = true;
+
+      lines.push({
+        date: toDateKey(entry.createdAt),
+        type: entry.type,
+        description: entry.meta?.reason || action || entry.type,
+        ref: entry.ref || null,
+        amountFxct: entry.amountFxct,
+        amountUsd: round(amountUsd)
+      });
+    }
+
+    return {
+      totalFxct: round(lines.reduce((sum, l) => sum + l.amountFxct, 0), 6),
+      totalUsd: round(lines.reduce((sum, l) => sum + (l.amountUsd || 0), 0)),
+      lines,
+      excluded,
+      missingPrice
+    };
+  }
+
+  /**
+   * Realized gains on share sales in the year, matched to acquisitions first-in first-out
+   */
+  async getRealizedGains(userId, range, priceCache) {
+    const userKey = userId.toString();
+    const transactions = await ShareTransaction.find({
+      $or: [{ toUserId: userId }, { fromUserId: userId }],
+      createdAt: { $lt: range.end }
+    })
+      .populate('propertyId', 'title address')
+      .sort({ createdAt: 1, _id: 1 });
+
+    const lotsByProperty = new Map();
+    const sales = [];
+    const otherDispositions = [];
+    let missingPrice = false;
+
+    for (const tx of transactions) {
+      const propertyKey = tx.propertyId?._id?.toString() || tx.propertyId?.toString();
+      const propertyName = tx.propertyId?.title || tx.propertyId?.address?.oneLine || propertyKey;
+      const lots = lotsByProperty.get(propertyKey) || [];
+      lotsByProperty.set(propertyKey, lots);
+
+      if (tx.toUserId?.toString() === userKey) {
+        const priceUsd = await this.fxctUsdOn(tx.createdAt, priceCache);
+        lots.push({
+          acquiredAt: tx.createdAt,
+          shares: tx.shares,
+          costPerShareFxct: tx.pricePerShareFxct,
+          costPerShareUsd: priceUsd !== null ? tx.pricePerShareFxct * priceUsd : null
+        });
+        continue;
+      }
+
+      if (tx.fromUserId?.toString() !== userKey) continue;
+
+      // Consume lots even for dispositions outside the year so later sales match the right basis
+      const inYear = tx.createdAt >= range.start;
+      const isSale = tx.type === 'transfer' && tx.pricePerShareFxct > 0;
+      const salePriceUsd = inYear && isSale ? await this.fxctUsdOn(tx.createdAt, priceCache) : null;
+      let remaining = tx.shares;
+
+      while (remaining > 0) {
+        const lot = lots[0];
+        const matched = lot ? Math.min(lot.shares, remaining) : remaining;
+
+        if (inYear) {
+          const line = {
+            date: toDateKey(tx.createdAt),
+            propertyName,
+            ref: tx.ref || null,
+            shares: matched,
+            acquiredAt: lot ? toDateKey(lot.acquiredAt) : null,
+            costBasisFxct: round(lot ? lot.costPerShareFxct * matched : 0, 6),
+            costBasisUsd: lot && lot.costPerShareUsd !== null ? round(lot.costPerShareUsd * matched) : null,
+            basisUnknown: !lot
+          };
+
+          if (isSale) {
+            const proceedsFxct = tx.pricePerShareFxct * matched;
+            const proceedsUsd = salePriceUsd !== null ? proceedsFxct * salePriceUsd : null;
+            if (proceedsUsd === null || (lot && line.costBasisUsd === null)) missingPrice = true;
+            const heldDays = lot ? (tx.createdAt - lot.acquiredAt) / DAY_MS : 0;
+
+            sales.push({
+              ...line,
+              proceedsFxct: round(proceedsFxct, 6),
+              proceedsUsd: round(proceedsUsd),
+              gainFxct: round(proceedsFxct - (lot ? lot.costPerShareFxct * matched : 0), 6),
+              gainUsd: proceedsUsd !== null && line.costBasisUsd !== null ? round(proceedsUsd - line.costBasisUsd) : null,
+              term: lot && heldDays > LONG_TERM_DAYS ? 'long' : 'short'
+            });
+          } else {
+            otherDispositions.push({ ...line, kind: tx.type === 'transfer' ? 'gift' : tx.type });
+          }
+        }
+
+        if (!lot) break;
+        lot.shares -= matched;
+        remaining -= matched;
+        if (lot.shares === 0) lots.shift();
+      }
+    }
+
+    const totalsFor = (term) => {
+      const rows = sales.filter(s => !term || s.term === term);
+      return {
+        transactions: rows.length,
+        proceedsUsd: round(rows.reduce((sum, s) => sum + (s.proceedsUsd || 0), 0)),
+        costBasisUsd: round(rows.reduce((sum, s) => sum + (s.costBasisUsd || 0), 0)),
+        gainUsd: round(rows.reduce((sum, s) => sum + (s.gainUsd || 0), 0)),
+        proceedsFxct: round(rows.reduce((sum, s) => sum + s.proceedsFxct, 0), 6),
+        gainFxct: round(rows.reduce((sum, s) => sum + s.gainFxct, 0), 6)
+      };
+    };
+
+    return {
+      shortTerm: totalsFor('short'),
+      longTerm: totalsFor('long'),
+      total: totalsFor(null),
+      sales,
+      otherDispositions,
+      basisUnknownCount: sales.filter(s => s.basisUnknown).length,
+      missingPrice
+    };
+  }
+
+  /**
+   * Validate a requested tax year
+   * @param {number|string} taxYear - Calendar year from a request
+   * @returns {number|null} The year, or null when it is not a completed or current year
+   */
+  parseTaxYear(taxYear) {
+    const year = Number(taxYear);
+    if (!Number.isInteger(year) || year < FIRST_TAX_YEAR || year > new Date().getUTCFullYear()) {
+      return null;
+    }
+    return year;
+  }
+
+  /**
+   * Full tax-year summary for one user
+   * @param {string} userId - User ID
+   * @param {number} taxYear - Calendar year
+   * @returns {Promise<Object>} Summary with income, gains and form-style boxes
+   */
+  async buildTaxSummary(userId, taxYear) {
+    const year = this.parseTaxYear(taxYear);
+    if (year === null) {
+      throw new Error('Invalid tax year');
+    }
+
+    const range = {
+      start: new Date(Date.UTC(year, 0, 1)),
+      end: new Date(Date.UTC(year + 1, 0, 1))
+    };
+    const priceCache = new Map();
+    const objectId = new mongoose.Types.ObjectId(String(userId));
+
+    const user = await User.findById(userId).select('firstName lastName email');
+    const distributions = await this.getDistributionIncome(objectId, range, priceCache);
+    const otherIncome = await this.getOtherIncome(objectId, range, priceCache);
+    const realizedGains = await this.getRealizedGains(objectId, range, priceCache);
+
+    const warnings = [];
+    if (distributions.missingPrice || otherIncome.missingPrice || realizedGains.missingPrice) {
+      warnings.push(`Some FXCT amounts could not be valued in USD because no FXCT price was recorded within ${MAX_PRICE_AGE_DAYS} days of that date`);
+    }
+    if (realizedGains.basisUnknownCount > 0) {
+      warnings.push(`${realizedGains.basisUnknownCount} sale line(s) have no matching acquisition; cost basis reported as zero`);
+    }
+
+    this.metrics.summariesBuilt++;
+
+    return {
+      userId: userId.toString(),
+      recipient: user ? {
+        name: [user.firstName, user.lastName].filter(Boolean).join(' ') || null,
+        email: user.email
+      } : null,
+      taxYear: year,
+      generatedAt: new Date(),
+      overview: {
+        distributionIncomeUsd: distributions.totalUsd,
+        otherIncomeUsd: otherIncome.totalUsd,
+        shortTermGainUsd: realizedGains.shortTerm.gainUsd,
+        longTermGainUsd: realizedGains.longTerm.gainUsd,
+        totalRealizedGainUsd: realizedGains.total.gainUsd,
+        grossProceedsUsd: realizedGains.total.proceedsUsd,
+        totalReportableUsd: round(distributions.totalUsd + otherIncome.totalUsd + (realizedGains.total.gainUsd || 0))
+      },
+      // Box mapping mirrors the IRS forms an investor's preparer will expect
+      forms: {
+        '1099-DIV': { box1a_totalOrdinaryDividends: distributions.totalUsd },
+        '1099-MISC': { box3_otherIncome: otherIncome.totalUsd },
+        '1099-B': {
+          shortTerm: realizedGains.shortTerm,
+          longTerm: realizedGains.longTerm
+        }
+      },
+      distributions,
+      otherIncome,
+      realizedGains,
+      costBasisMethod: 'FIFO',
+      warnings
+    };
+  }
+
+  /**
+   * 1099-style CSV: summary boxes followed by the detail sections
+   */
+  renderCsv(summary) {
+    const rows = [];
+    const row = (...cells) => rows.push(cells.map(csvCell).join(','));
+
+    row('FractionaX Annual Tax Summary');
+    row('Tax Year', summary.taxYear);
+    row('Recipient', summary.recipient?.name || '', summary.recipient?.email || '');
+    row('Generated', summary.generatedAt.toISOString());
+    row('Cost Basis Method', summary.costBasisMethod);
+    row();
+
+    row('Form', 'Box', 'Description', 'Amount USD');
+    row('1099-DIV', '1a', 'Total ordinary dividends (property distributions)', summary.overview.distributionIncomeUsd);
+    row('1099-MISC', '3', 'Other income (wallet credits)', summary.overview.otherIncomeUsd);
+    row('1099-B', 'A/D', 'Short-term proceeds', summary.realizedGains.shortTerm.proceedsUsd);
+    row('1099-B', 'A/E', 'Short-term cost basis', summary.realizedGains.shortTerm.costBasisUsd);
+    row('1099-B', 'A', 'Short-term gain (loss)', summary.realizedGains.shortTerm.gainUsd);
+    row('1099-B', 'D/D', 'Long-term proceeds', summary.realizedGains.longTerm.proceedsUsd);
+    row('1099-B', 'D/E', 'Long-term cost basis', summary.realizedGains.longTerm.costBasisUsd);
+    row('1099-B', 'D', 'Long-term gain (loss)', summary.realizedGains.longTerm.gainUsd);
+    row();
+
+    row('Sales (Form 8949 detail)');
+    row('Property', 'Shares', 'Date Acquired', 'Date Sold', 'Proceeds USD', 'Cost Basis USD', 'Gain USD', 'Term', 'Proceeds FXCT', 'Cost Basis FXCT', 'Reference');
+    for (const s of summary.realizedGains.sales) {
+      row(s.propertyName, s.shares, s.acquiredAt || 'VARIOUS', s.date, s.proceedsUsd, s.costBasisUsd, s.gainUsd, s.term, s.proceedsFxct, s.costBasisFxct, s.ref);
+    }
+    row();
+
+    row('Distributions');
+    row('Date', 'Property', 'Shares', 'Amount FXCT', 'Amount USD', 'Distribution ID');
+    for (const d of summary.distributions.lines) {
+      row(d.date, d.propertyName, d.shares, d.amountFxct, d.amountUsd, d.distributionId);
+    }
+    row();
+
+    row('Other Income');
+    row('Date', 'Type', 'Description', 'Amount FXCT', 'Amount USD', 'Reference');
+    for (const o of summary.otherIncome.lines) {
+      row(o.date, o.type, o.description, o.amountFxct, o.amountUsd, o.ref);
+    }
+
+    if (summary.realizedGains.otherDispositions.length) {
+      row();
+      row('Non-sale Dispositions (no gain reported)');
+      row('Date', 'Property', 'Kind', 'Shares', 'Date Acquired', 'Cost Basis USD');
+      for (const d of summary.realizedGains.otherDispositions) {
+        row(d.date, d.propertyName, d.kind, d.shares, d.acquiredAt, d.costBasisUsd);
+      }
+    }
+
+    if (summary.warnings.length) {
+      row();
+      for (const warning of summary.warnings) row('Note', warning);
+    }
+
+    return Buffer.from(rows.join('\n') + '\n', 'utf8');
+  }
+
+  /**
+   * PDF rendering of the same summary
+   */
+  renderPdf(summary) {
+    const pdf = new PdfDocument({ title: `FractionaX ${summary.taxYear} Tax Summary` });
+    const gains = summary.realizedGains;
+
+    pdf.heading(`FractionaX Annual Tax Summary - ${summary.taxYear}`, 16)
+      .text(`Recipient: ${summary.recipient?.name || ''} ${summary.recipient?.email ? `<${summary.recipient.email}>` : ''}`)
+      .text(`Generated: ${summary.generatedAt.toISOString()}    Cost basis method: ${summary.costBasisMethod}`)
+      .space();
+
+    pdf.heading('Summary', 12)
+      .keyValue('1099-DIV Box 1a - Total ordinary dividends', usd(summary.overview.distributionIncomeUsd))
+      .keyValue('1099-MISC Box 3 - Other income', usd(summary.overview.otherIncomeUsd))
+      .keyValue('1099-B - Short-term gain (loss)', usd(gains.shortTerm.gainUsd))
+      .keyValue('1099-B - Long-term gain (loss)', usd(gains.longTerm.gainUsd))
+      .keyValue('Gross proceeds from share sales', usd(gains.total.proceedsUsd))
+      .space();
+
+    pdf.heading('Share Sales', 12);
+    if (gains.sales.length) {
+      pdf.table(
+        ['Property', 'Shares', 'Acquired', 'Sold', 'Proceeds', 'Basis', 'Gain', 'Term'],
+        gains.sales.map(s => [s.propertyName, s.shares, s.acquiredAt || 'VARIOUS', s.date, usd(s.proceedsUsd), usd(s.costBasisUsd), usd(s.gainUsd), s.term]),
+        [0.26, 0.07, 0.11, 0.11, 0.12, 0.12, 0.12, 0.09]
+      );
+    } else {
+      pdf.text('No share sales in this tax year.');
+    }
+
+    pdf.heading('Distributions by Property', 12);
+    if (summary.distributions.properties.length) {
+      pdf.table(
+        ['Property', 'Payments', 'FXCT', 'USD'],
+        summary.distributions.properties.map(p => [p.propertyName, p.payments, p.amountFxct.toFixed(4), usd(p.amountUsd)]),
+        [0.5, 0.14, 0.18, 0.18]
+      );
+    } else {
+      pdf.text('No distributions paid in this tax year.');
+    }
+
+    pdf.heading('Other Income', 12);
+    if (summary.otherIncome.lines.length) {
+      pdf.table(
+        ['Date', 'Description', 'FXCT', 'USD'],
+        summary.otherIncome.lines.map(o => [o.date, o.description, o.amountFxct.toFixed(4), usd(o.amountUsd)]),
+        [0.16, 0.48, 0.18, 0.18]
+      );
+    } else {
+      pdf.text('No other taxable credits in this tax year.');
+    }
+
+    if (summary.warnings.length) {
+      pdf.heading('Notes', 12);
+      summary.warnings.forEach(warning => pdf.text(`- ${warning}`));
+    }
+
+    pdf.space(12).text(
+      'This summary is provided for information only and is not an IRS information return. FXCT amounts are valued ' +
+      'in USD at the daily FXCT price recorded on each transaction date. Consult a tax professional.',
+      { size: 8 }
+    );
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Build, render and store the tax year's documents
+   * @param {string} userId - User ID
+   * @param {number} taxYear - Calendar year
+   * @param {Object} options - { formats: ['csv','pdf'], generatedBy }
+   * @returns {Promise<Object>} { summary, documents } (documents without file content)
+   */
+  async generateDocuments(userId, taxYear, options = {}) {
+    const formats = (options.formats && options.formats.length ? options.formats : ['csv', 'pdf'])
+      .filter(format => CONTENT_TYPES[format]);
+    if (formats.length === 0) {
+      throw new Error('No supported document formats requested');
+    }
+
+    const summary = await this.buildTaxSummary(userId, taxYear);
+    const documents = [];
+
+    for (const format of formats) {
+      const content = format === 'csv' ? this.renderCsv(summary) : this.renderPdf(summary);
+      const previous = await TaxDocument.findOne({ userId, taxYear: summary.taxYear, format }).sort({ version: -1 }).select('version');
+      const version = (previous?.version || 0) + 1;
+
+      const document = await TaxDocument.create({
+        documentId: `taxdoc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        userId,
+        taxYear: summary.taxYear,
+        format,
+        version,
+        filename: `fractionax_tax_summary_${summary.taxYear}${version > 1 ? `_v${version}` : ''}.${format}`,
+        contentType: CONTENT_TYPES[format],
+        content,
+        sizeBytes: content.length,
+        checksum: crypto.createHash('sha256').update(content).digest('hex'),
+        summary: summary.overview,
+        generatedBy: options.generatedBy
+      });
+
+      await TaxDocument.updateMany(
+        { userId, taxYear: summary.taxYear, format, _id: { $ne: document._id }, status: 'ready' },
+        { $set: { status: 'superseded' } }
+      );
+
+      documents.push(this.describe(document));
+    }
+
+    this.metrics.documentsGenerated += documents.length;
+    console.log(`🧾 Generated ${documents.length} tax document(s) for user ${userId}, year ${summary.taxYear}`);
+
+    return { summary, documents };
+  }
+
+  /**
+   * Stored documents for a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { taxYear, includeSuperseded }
+   */
+  async listDocuments(userId, filters = {}) {
+    const query = { userId };
+    if (filters.taxYear) query.taxYear = parseInt(filters.taxYear, 10);
+    if (!filters.includeSuperseded) query.status = 'ready';
+
+    const documents = await TaxDocument.find(query)
+      .select('-content')
+      .sort({ taxYear: -1, format: 1, version: -1 });
+
+    return documents.map(document => this.describe(document));
+  }
+
+  /**
+   * Fetch a stored file for download
+   * @param {string} documentId - Document ID
+   * @param {string|null} userId - Restrict to this owner; null for admin access
+   * @returns {Promise<Object>} TaxDocument including content
+   */
+  async getDocumentForDownload(documentId, userId = null) {
+    const query = { documentId };
+    if (userId) query.userId = userId;
+
+    const document = await TaxDocument.findOneAndUpdate(
+      query,
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } },
+      { new: true }
+    );
+    if (!document) {
+      throw new Error('Tax document not found');
+    }
+
+    this.metrics.downloads++;
+    return document;
+  }
+
+  describe(document) {
+    return {
+      documentId: document.documentId,
+      taxYear: document.taxYear,
+      format: document.format,
+      version: document.version,
+      status: document.status,
+      filename: document.filename,
+      sizeBytes: document.sizeBytes,
+      checksum: document.checksum,
+      summary: document.summary,
+      downloadCount: document.downloadCount,
+      createdAt: document.createdAt
+    };
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+const taxReportingService = new TaxReportingService();
+
+module.exports = taxReportingService;
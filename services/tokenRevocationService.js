@@ -0,0 +1,159 @@
+/**
+ * Token Revocation Service - Access token denylist consulted by verifyToken
+ *
+ * Features:
+ * - Per-user "tokens issued before" cutoff (User.tokensValidAfter)
+ * - Denylist by device session id (TokenRevocation)
+ * - Suspension and role checks against the current user record
+ * - Per-user revocation state cached in Redis, rebuilt from MongoDB on miss
+ */
+
+const User = require('../models/User');
+const TokenRevocation = require('../models/TokenRevocation');
+const { getAsync, setAsync, deleteAsync } = require('../utils/redisClient');
+
+const STATE_CACHE_TTL_SECONDS = 300;
+
+class TokenRevocationService {
+  constructor() {
+    this.metrics = {
+      checks: 0,
+      cacheMisses: 0,
+      rejected: 0
+    };
+  }
+
+  /**
+   * Decide whether a decoded access token may still be used
+   * @param {Object} decoded - Verified JWT payload
+   * @returns {Promise<Object>} { revoked, reason?, status? }
+   */
+  async checkToken(decoded) {
+    this.metrics.checks++;
+
+    const userId = decoded._id || decoded.id;
+    const state = await this.getState(userId);
+
+    // iat has whole-second precision, so a token issued in the same second as the
+    // cutoff is treated as issued before it; a re-login in that second has to refresh
+    const validAfterSeconds = state?.validAfter ? Math.floor(state.validAfter / 1000) : null;
+
+    let verdict = { revoked: false };
+
+    if (!state) {
+      verdict = { revoked: true, reason: 'user_not_found', status: 401 };
+    } else if (state.suspended) {
+      verdict = { revoked: true, reason: 'user_suspended', status: 403 };
+    } else if (validAfterSeconds && decoded.iat <= validAfterSeconds) {
+      verdict = { revoked: true, reason: 'token_revoked', status: 401 };
+    } else if (decoded.sid && state.sessions.includes(decoded.sid)) {
+      verdict = { revoked: true, reason: 'session_revoked', status: 401 };
+    } else if (decoded.role && decoded.role !== state.role) {
+      verdict = { revoked: true, reason: 'role_changed', status: 401 };
+    }
+
+    if (verdict.revoked) {
+      this.metrics.rejected++;
+    }
+    return verdict;
+  }
+
+  /**
+   * Reject every access token a user was issued up to now
+   * @param {string} userId - User ID
+   * @param {string} reason - Why (logged only)
+   * @returns {Promise<Date>} The new cutoff
+   */
+  async revokeAllBefore(userId, reason, at = new Date()) {
+    await User.updateOne({ _id: userId }, { tokensValidAfter: at });
+    await this.invalidate(userId);
+    console.log(`🔐 Access tokens issued before ${at.toISOString()} revoked for user ${userId} (${reason})`);
+    return at;
+  }
+
+  /**
+   * Deny every access token minted for a device session
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - UserSession.sessionId (JWT `sid` claim)
+   * @param {Date} expiresAt - Latest expiry of any access token for the session
+   * @param {Object} options - { reason, revokedBy }
+   */
+  async revokeSession(userId, sessionId, expiresAt, options = {}) {
+    await this.addEntry(userId, 'session', sessionId, expiresAt, options);
+  }
+
+  async addEntry(userId, kind, value, expiresAt, { reason = null, revokedBy = null } = {}) {
+    await TokenRevocation.updateOne(
+      { kind, value },
+      { $set: { userId, reason, revokedBy }, $max: { expiresAt } },
+      { upsert: true }
+    );
+    await this.invalidate(userId);
+  }
+
+  /**
+   * Current revocation state for a user, from Redis or rebuilt from MongoDB
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} null when the user no longer exists
+   */
+  async getState(userId) {
+    const cacheKey = this.getCacheKey(userId);
+
+    try {
+      const cached = await getAsync(cacheKey);
+      if (cached) {
+        return cached.missing ? null : cached;
+      }
+    } catch (cacheErr) {
+      console.warn('⚠️ Revocation cache lookup failed, reading from MongoDB:', cacheErr.message);
+    }
+
+    this.metrics.cacheMisses++;
+
+    const [user, entries] = await Promise.all([
+      User.findById(userId).select('role suspended tokensValidAfter').lean(),
+      TokenRevocation.find({ userId, expiresAt: { $gt: new Date() } }).select('kind value').lean()
+    ]);
+
+    const state = user
+      ? {
+          role: user.role,
+          suspended: !!user.suspended,
+          validAfter: user.tokensValidAfter ? new Date(user.tokensValidAfter).getTime() : null,
+          sessions: entries.filter(e => e.kind === 'session').map(e => e.value)
+        }
+      : { missing: true };
+
+    try {
+      await setAsync(cacheKey, state, STATE_CACHE_TTL_SECONDS);
+    } catch (cacheErr) {
+      console.warn('⚠️ Revocation cache write failed:', cacheErr.message);
+    }
+
+    return state.missing ? null : state;
+  }
+
+  /**
+   * Drop the cached state so the next request sees the latest user record
+   * @param {string} userId - User ID
+   */
+  async invalidate(userId) {
+    try {
+      await deleteAsync(this.getCacheKey(userId));
+    } catch (cacheErr) {
+      console.warn('⚠️ Revocation cache invalidation failed:', cacheErr.message);
+    }
+  }
+
+  getCacheKey(userId) {
+    return `auth:revocation:${userId}`;
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Export singleton instance
+const tokenRevocationService = new TokenRevocationService();
+module.exports = tokenRevocationService;
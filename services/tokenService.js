@@ -0,0 +1,286 @@
+/**
+ * Token Service - Access/refresh token issuance and rotation
+ *
+ * Features:
+ * - Short-lived access JWTs carrying a jti and the device session id
+ * - Opaque refresh tokens stored hashed, one rotating chain per device
+ * - Reuse detection: replaying a used refresh token revokes its whole family
+ * - Session, per-user and family level revocation for logout/force-logout,
+ *   mirrored into the access token denylist so revocation is immediate
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const User = require('../models/User');
+const tokenRevocationService = require('./tokenRevocationService');
+const { parseUserAgent } = require('../middleware/sessionTracking');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+class TokenService {
+  constructor() {
+    this.metrics = {
+      sessionsIssued: 0,
+      rotations: 0,
+      reuseDetected: 0,
+      revocations: 0
+    };
+  }
+
+  /**
+   * Sign a short-lived access token for a user/device session
+   * @param {Object} user - User document or decoded payload
+   * @param {string} sessionId - UserSession.sessionId
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { _id: user._id, email: user.email, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Start a new device session: UserSession record, refresh token family and access token
+   * @param {Object} user - User document
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} Token pair and session info
+   */
+  async issueSession(user, context = {}) {
+    const { ipAddress = 'unknown', userAgent = '' } = context;
+    const sessionId = crypto.randomBytes(32).toString('hex');
+
+    await UserSession.create({
+      userId: user._id,
+      sessionId,
+      ipAddress,
+      userAgent,
+      deviceInfo: parseUserAgent(userAgent)
+    });
+
+    const familyId = crypto.randomUUID();
+    const refresh = await this.createRefreshToken(user._id, sessionId, familyId, context);
+
+    this.metrics.sessionsIssued++;
+
+    return {
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken: refresh.rawToken,
+      refreshExpiresAt: refresh.expiresAt,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      sessionId
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, rotating the refresh token
+   * @param {string} rawToken - Refresh token presented by the client
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { success, reason?, accessToken?, refreshToken?, ... }
+   */
+  async rotate(rawToken, context = {}) {
+    if (!rawToken) {
+      return { success: false, reason: 'missing_token' };
+    }
+
+    const tokenHash = this.hashToken(rawToken);
+
+    // Claim the token atomically so two concurrent refreshes can't both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!current) {
+      const known = await RefreshToken.findOne({ tokenHash });
+      if (!known) {
+        return { success: false, reason: 'invalid_token' };
+      }
+
+      if (known.usedAt && !known.revokedAt) {
+        // A token that was already rotated is being replayed - treat the family as compromised
+        this.metrics.reuseDetected++;
+        console.warn(`🚨 Refresh token reuse detected for user ${known.userId} (family ${known.familyId})`);
+        await this.revokeFamily(known.familyId, 'reuse_detected');
+        await this.revokeSession(known.userId, known.sessionId, 'reuse_detected');
+        return { success: false, reason: 'token_reused' };
+      }
+
+      return { success: false, reason: known.revokedAt ? 'token_revoked' : 'token_expired' };
+    }
+
+    const user = await User.findById(current.userId).select('_id email role suspended');
+    if (!user || user.suspended) {
+      await this.revokeFamily(current.familyId, 'user_suspended');
+      return { success: false, reason: 'user_inactive' };
+    }
+
+    const session = await UserSession.findOne({ sessionId: current.sessionId, isActive: true });
+    if (!session) {
+      await this.revokeFamily(current.familyId, 'logout');
+      return { success: false, reason: 'session_ended' };
+    }
+
+    const next = await this.createRefreshToken(user._id, current.sessionId, current.familyId, context);
+    current.replacedByHash = next.tokenHash;
+    await current.save();
+    await session.updateActivity();
+
+    this.metrics.rotations++;
+
+    return {
+      success: true,
+      user,
+      accessToken: this.signAccessToken(user, current.sessionId),
+      refreshToken: next.rawToken,
+      refreshExpiresAt: next.expiresAt,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      sessionId: current.sessionId
+    };
+  }
+
+  /**
+   * End the device session that owns a refresh token (user-initiated logout)
+   * @param {string} rawToken - Refresh token from the cookie
+   * @returns {Promise<Object>} { success, sessionId? }
+   */
+  async logout(rawToken) {
+    if (!rawToken) {
+      return { success: false };
+    }
+
+    const token = await RefreshToken.findOne({ tokenHash: this.hashToken(rawToken) });
+    if (!token) {
+      return { success: false };
+    }
+
+    await this.revokeSession(token.userId, token.sessionId, 'logout');
+    return { success: true, sessionId: token.sessionId, userId: token.userId };
+  }
+
+  /**
+   * Revoke every refresh token in a family
+   * @param {string} familyId - Token family
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Tokens revoked
+   */
+  async revokeFamily(familyId, reason) {
+    const result = await RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    this.metrics.revocations += result.modifiedCount;
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke one device session and its refresh tokens
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - UserSession.sessionId
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} Revocation counts
+   */
+  async revokeSession(userId, sessionId, reason) {
+    const [tokens, sessions] = await Promise.all([
+      RefreshToken.updateMany(
+        { userId, sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      ),
+      UserSession.updateMany(
+        { userId, sessionId, isActive: true },
+        { isActive: false, logoutTime: new Date() }
+      ),
+      // Access tokens for this device stay valid until they expire unless denylisted
+      tokenRevocationService.revokeSession(
+        userId,
+        sessionId,
+        new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000),
+        { reason }
+      )
+    ]);
+
+    this.metrics.revocations += tokens.modifiedCount;
+    return { tokensRevoked: tokens.modifiedCount, sessionsTerminated: sessions.modifiedCount };
+  }
+
+  /**
+   * Revoke every session and refresh token a user holds
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} Revocation counts
+   */
+  async revokeAllForUser(userId, reason) {
+    const [tokens, sessions] = await Promise.all([
+      RefreshToken.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      ),
+      UserSession.updateMany(
+        { userId, isActive: true },
+        { isActive: false, logoutTime: new Date() }
+      ),
+      tokenRevocationService.revokeAllBefore(userId, reason)
+    ]);
+
+    this.metrics.revocations += tokens.modifiedCount;
+    console.log(`🔐 Revoked ${tokens.modifiedCount} refresh tokens / ${sessions.modifiedCount} sessions for user ${userId} (${reason})`);
+    return { tokensRevoked: tokens.modifiedCount, sessionsTerminated: sessions.modifiedCount };
+  }
+
+  /**
+   * Persist a new refresh token in a family
+   * @returns {Promise<Object>} { rawToken, tokenHash, expiresAt }
+   */
+  async createRefreshToken(userId, sessionId, familyId, context = {}) {
+    const rawToken = crypto.randomBytes(48).toString('base64url');
+    const tokenHash = this.hashToken(rawToken);
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+      userId,
+      sessionId,
+      familyId,
+      tokenHash,
+      expiresAt,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    return { rawToken, tokenHash, expiresAt };
+  }
+
+  hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  /**
+   * HTTP-only cookie options for the refresh token, scoped to the auth routes
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Object} Express cookie options
+   */
+  getRefreshCookieOptions(expiresAt) {
+    return {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/api/auth',
+      ...(expiresAt ? { expires: expiresAt } : {})
+    };
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Export singleton instance
+const tokenService = new TokenService();
+module.exports = tokenService;
+module.exports.REFRESH_COOKIE_NAME = REFRESH_COOKIE_NAME;
+module.exports.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
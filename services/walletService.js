@@ -36,12 +36,13 @@ class WalletService {
   }
 
   /**
-   * Create a new custodial wallet for a user
-   * @param {Object} request - CreateWalletRequest
+   * Create a new custodial wallet for a user, or the pooled wallet of an organization
+   * @param {Object} request - CreateWalletRequest ({ userId } or { organizationId }, createdBy)
    * @returns {Promise<Object>} Wallet and initial balance
    */
   async createWallet(request) {
-    const { userId, createdBy } = request;
+    const { userId, organizationId, createdBy } = request;
+    const owner = organizationId ? { organizationId } : { userId };
     
     // Start transaction session
     const session = await mongoose.startSession();
@@ -50,14 +51,16 @@ class WalletService {
       let result;
       await session.withTransaction(async () => {
         // Check if wallet already exists
-        const existingWallet = await Wallet.findOne({ userId }).session(session);
+        const existingWallet = await Wallet.findOne(owner).session(session);
         if (existingWallet) {
-          throw new Error(`Wallet already exists for user ${userId}`);
+          throw new Error(organizationId
+            ? `Wallet already exists for organization ${organizationId}`
+            : `Wallet already exists for user ${userId}`);
         }
 
         // Create wallet
         const wallet = new Wallet({
-          userId,
+          ...owner,
           status: 'active',
           metadata: {
             createdBy,
@@ -86,7 +89,7 @@ class WalletService {
           ref: 'wallet_creation',
           meta: {
             action: 'wallet_created',
-            userId,
+            ...owner,
             createdBy
           },
           balanceBefore: {
@@ -653,6 +656,163 @@ class WalletService {
     }
   }
 
+  /**
+   * Transfer FXCT between two wallets in a single transaction
+   * Debits the sender and credits the recipient, or neither
+   * @param {Object} request - TransferRequest
+   * @param {string} request.fromWalletId - Sending wallet
+   * @param {string} request.toWalletId - Receiving wallet
+   * @param {number} request.amount - FXCT to move
+   * @param {string} request.ref - Transfer reference shared by both ledger entries
+   * @param {Object} request.meta - Metadata recorded on both entries
+   * @param {string} request.idempotencyKey - Key for the pair (suffixed _out / _in per entry)
+   * @returns {Promise<Object>} Both ledger entries and the sender's new balance
+   */
+  async transfer(request) {
+    const { fromWalletId, toWalletId, amount, ref, meta = {}, idempotencyKey, processedBy } = request;
+
+    if (amount <= 0) {
+      throw new Error('Transfer amount must be positive');
+    }
+    if (fromWalletId.toString() === toWalletId.toString()) {
+      throw new Error('Cannot transfer to the same wallet');
+    }
+
+    const debitKey = `${idempotencyKey}_out`;
+    const creditKey = `${idempotencyKey}_in`;
+
+    // Check for existing transfer with same idempotency key
+    const existingDebit = await WalletLedger.findOne({ idempotencyKey: debitKey });
+    if (existingDebit) {
+      console.log(`ℹ️ Duplicate transfer detected: ${idempotencyKey}`);
+      const existingCredit = await WalletLedger.findOne({ idempotencyKey: creditKey });
+      return {
+        success: true,
+        debitTransaction: existingDebit.toObject(),
+        creditTransaction: existingCredit ? existingCredit.toObject() : null,
+        balance: await this.getBalance(fromWalletId.toString())
+      };
+    }
+
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        // Get both wallets and validate status; operations on one transaction's session must run one at a time
+        const fromWallet = await Wallet.findById(fromWalletId).session(session);
+        const toWallet = await Wallet.findById(toWalletId).session(session);
+        if (!fromWallet) {
+          throw new Error(`Wallet ${fromWalletId} not found`);
+        }
+        if (!toWallet) {
+          throw new Error(`Wallet ${toWalletId} not found`);
+        }
+        if (fromWallet.status === 'frozen' || fromWallet.status === 'suspended') {
+          throw new Error(`Cannot transfer from frozen/suspended wallet ${fromWalletId}`);
+        }
+        if (toWallet.status === 'frozen' || toWallet.status === 'suspended') {
+          throw new Error(`Cannot transfer to frozen/suspended wallet ${toWalletId}`);
+        }
+
+        const fromBalance = await WalletBalance.findOne({ walletId: fromWalletId }).session(session);
+        const toBalance = await WalletBalance.findOne({ walletId: toWalletId }).session(session);
+        if (!fromBalance) {
+          throw new Error(`Balance record not found for wallet ${fromWalletId}`);
+        }
+        if (!toBalance) {
+          throw new Error(`Balance record not found for wallet ${toWalletId}`);
+        }
+
+        // Check sufficient funds
+        if (fromBalance.availableFxct < amount) {
+          throw new Error(`Insufficient funds: need ${amount} FXCT, have ${fromBalance.availableFxct} FXCT`);
+        }
+
+        const fromBefore = { available: fromBalance.availableFxct, pending: fromBalance.pendingFxct };
+        const toBefore = { available: toBalance.availableFxct, pending: toBalance.pendingFxct };
+
+        // Update balances
+        fromBalance.availableFxct = new Decimal128((fromBalance.availableFxct - amount).toString());
+        toBalance.availableFxct = new Decimal128((toBalance.availableFxct + amount).toString());
+
+        const fromAfter = { available: fromBalance.availableFxct, pending: fromBalance.pendingFxct };
+        const toAfter = { available: toBalance.availableFxct, pending: toBalance.pendingFxct };
+
+        await fromBalance.save({ session });
+        await toBalance.save({ session });
+
+        const snapshot = (values) => ({
+          available: new Decimal128(values.available.toString()),
+          pending: new Decimal128(values.pending.toString())
+        });
+
+        // Create ledger entries
+        const debitEntry = new WalletLedger({
+          walletId: fromWalletId,
+          type: 'debit',
+          amountFxct: new Decimal128(amount.toString()),
+          ref,
+          meta: { ...meta, action: 'transfer_out', counterpartyWalletId: toWalletId },
+          balanceBefore: snapshot(fromBefore),
+          balanceAfter: snapshot(fromAfter),
+          idempotencyKey: debitKey,
+          processedBy
+        });
+        const creditEntry = new WalletLedger({
+          walletId: toWalletId,
+          type: 'credit',
+          amountFxct: new Decimal128(amount.toString()),
+          ref,
+          meta: { ...meta, action: 'transfer_in', counterpartyWalletId: fromWalletId },
+          balanceBefore: snapshot(toBefore),
+          balanceAfter: snapshot(toAfter),
+          idempotencyKey: creditKey,
+          processedBy
+        });
+
+        await debitEntry.save({ session });
+        await creditEntry.save({ session });
+
+        // Update wallet metadata
+        for (const wallet of [fromWallet, toWallet]) {
+          wallet.metadata.totalTransactions++;
+          wallet.metadata.lastActivity = new Date();
+          await wallet.save({ session });
+        }
+
+        result = {
+          success: true,
+          debitTransaction: debitEntry.toObject(),
+          creditTransaction: creditEntry.toObject(),
+          balance: {
+            available: parseFloat(fromAfter.available.toString()),
+            pending: parseFloat(fromAfter.pending.toString()),
+            total: parseFloat(fromAfter.available.toString()) + parseFloat(fromAfter.pending.toString()),
+            walletId: fromWalletId.toString(),
+            lastUpdated: fromBalance.updatedAt
+          }
+        };
+
+        this.metrics.transactionsProcessed += 2;
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' }
+      });
+
+      console.log(`✅ Transferred ${amount} FXCT: wallet ${fromWalletId} -> ${toWalletId}`);
+      return result;
+
+    } catch (error) {
+      this.metrics.errors++;
+      console.error('❌ Failed to transfer FXCT:', error.message);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   /**
    * Get wallet by user ID, creating one if it doesn't exist
    * @param {string} userId - User ID
@@ -686,6 +846,37 @@ class WalletService {
     }
   }
 
+  /**
+   * Get or create the pooled wallet of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} createdBy - Creator ID
+   * @returns {Promise<Object>} Wallet info
+   */
+  async getOrCreateOrganizationWallet(organizationId, createdBy = 'system') {
+    try {
+      const wallet = await Wallet.findOne({ organizationId });
+
+      if (wallet) {
+        const balance = await this.getBalance(wallet._id.toString());
+        return {
+          wallet: wallet.toObject(),
+          balance,
+          created: false
+        };
+      }
+
+      const result = await this.createWallet({ organizationId, createdBy });
+      return {
+        ...result,
+        created: true
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to get or create organization wallet:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get wallet transaction history
    * @param {string} walletId - Wallet ID
@@ -0,0 +1,495 @@
+/**
+ * Wallet Statement Service - Investor-facing view of an FXCT wallet
+ *
+ * Features:
+ * - Balance summary (available vs pending) with USD value at the 7-day average price
+ * - Filtered, paginated WalletLedger and WalletUsageLedger history
+ * - Per-endpoint and per-data-type spend breakdown
+ * - Monthly statements (opening/closing balance, activity, usage) as JSON, CSV or PDF
+ */
+
+const mongoose = require('mongoose');
+const { WalletLedger, WalletUsageLedger } = require('../models/Wallet');
+const User = require('../models/User');
+const walletService = require('./walletService');
+const { priceFeedService } = require('./priceFeedService');
+const { PdfDocument } = require('../utils/pdfWriter');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  pdf: 'application/pdf'
+};
+
+// Readable descriptions for ledger entries, keyed by meta.action
+const ACTION_LABELS = {
+  fxct_purchase: 'FXCT purchase',
+  fxct_purchase_reversal: 'Purchase refund/chargeback reversal',
+  fxct_purchase_reinstated: 'Chargeback resolved in your favor',
+  income_distribution: 'Property income distribution',
+  share_purchase: 'Share purchase',
+  share_purchase_hold: 'Share purchase reservation',
+  share_purchase_release: 'Share purchase reservation released',
+  share_purchase_refund: 'Share purchase refund',
+  share_sale: 'Share sale proceeds',
+  market_bid_hold: 'Market bid reserved',
+  market_bid_release: 'Market bid released',
+  price_improvement: 'Market price improvement',
+  transfer_out: 'Transfer sent',
+  transfer_in: 'Transfer received'
+};
+
+const TYPE_LABELS = {
+  issuance: 'Plan token issuance',
+  credit: 'Credit',
+  debit: 'Debit',
+  hold: 'Funds reserved',
+  release: 'Funds released',
+  withdraw: 'Withdrawal',
+  refund: 'Refund',
+  adjust: 'Adjustment'
+};
+
+function round(value, decimals = 6) {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return 0;
+  return typeof value === 'number' ? value : parseFloat(value.toString());
+}
+
+function snapshotTotal(snapshot) {
+  return snapshot ? toNumber(snapshot.available) + toNumber(snapshot.pending) : 0;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fxct(value) {
+  return `${value < 0 ? '-' : ''}${Math.abs(value).toFixed(4)}`;
+}
+
+class WalletStatementService {
+  /**
+   * Resolve the caller's wallet (created on first access, like deductFxct does)
+   */
+  async getWallet(userId) {
+    const { wallet, balance } = await walletService.getOrCreateWallet(userId, 'system');
+    return { wallet, balance, walletId: wallet._id.toString() };
+  }
+
+  /**
+   * Balance summary
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Available, pending and total FXCT with USD values
+   */
+  async getSummary(userId) {
+    const { wallet, balance } = await this.getWallet(userId);
+    const priceData = await priceFeedService.getSevenDayAverage().catch(() => null);
+    const price = priceData?.price || null;
+
+    const monthStart = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), 1));
+    const [monthUsage] = await WalletUsageLedger.aggregate([
+      { $match: { walletId: wallet._id, status: 'completed', createdAt: { $gte: monthStart } } },
+      { $group: { _id: null, calls: { $sum: 1 }, fxct: { $sum: { $toDouble: '$fxctDebited' } } } }
+    ]);
+
+    return {
+      walletId: wallet._id,
+      status: wallet.status,
+      balance: {
+        available: balance.available,
+        pending: balance.pending,
+        total: balance.total
+      },
+      valuation: price ? {
+        fxctUsdPrice: price,
+        priceBasis: '7-day average',
+        availableUsd: round(balance.available * price, 2),
+        pendingUsd: round(balance.pending * price, 2),
+        totalUsd: round(balance.total * price, 2)
+      } : null,
+      monthToDate: {
+        apiCalls: monthUsage?.calls || 0,
+        fxctSpent: round(monthUsage?.fxct || 0)
+      },
+      lastActivity: wallet.metadata?.lastActivity || null,
+      lastUpdated: balance.lastUpdated
+    };
+  }
+
+  /**
+   * Wallet ledger history
+   * @param {string} userId - User ID
+   * @param {Object} filters - { type, action, direction, ref, startDate, endDate, page, limit }
+   * @returns {Promise<Object>} Entries with pagination
+   */
+  async getLedger(userId, filters = {}) {
+    const { walletId } = await this.getWallet(userId);
+    const { type, action, direction, ref, startDate, endDate, page = 1, limit = 50 } = filters;
+
+    const query = { walletId: new mongoose.Types.ObjectId(walletId) };
+    if (type) query.type = type;
+    if (action) query['meta.action'] = action;
+    if (ref) query.ref = ref;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    if (direction === 'in') query.type = type || { $in: ['issuance', 'credit', 'refund'] };
+    // A consumed hold leaves the wallet; a restored hold never did, so it is neither in nor out
+    if (direction === 'out' && !type) {
+      query.$or = [
+        { type: { $in: ['debit', 'withdraw'] } },
+        { type: 'release', 'meta.releaseType': 'consume' }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      WalletLedger.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      WalletLedger.countDocuments(query)
+    ]);
+
+    return {
+      entries: entries.map(entry => this.formatLedgerEntry(entry)),
+      pagination: { page, limit, total, hasMore: skip + entries.length < total }
+    };
+  }
+
+  /**
+   * Shape a raw ledger entry for display; `change` is the signed effect on the total balance
+   */
+  formatLedgerEntry(entry) {
+    const before = snapshotTotal(entry.balanceBefore);
+    const after = snapshotTotal(entry.balanceAfter);
+    const meta = entry.meta || {};
+
+    return {
+      id: entry._id,
+      date: entry.createdAt,
+      type: entry.type,
+      action: meta.action || null,
+      description: this.describeEntry(entry),
+      amountFxct: toNumber(entry.amountFxct),
+      change: round(after - before),
+      balanceAfter: {
+        available: toNumber(entry.balanceAfter?.available),
+        pending: toNumber(entry.balanceAfter?.pending)
+      },
+      ref: entry.ref || null,
+      endpoint: meta.endpoint || null
+    };
+  }
+
+  describeEntry(entry) {
+    const meta = entry.meta || {};
+    if (meta.action && ACTION_LABELS[meta.action]) return ACTION_LABELS[meta.action];
+    if (meta.endpoint) return `API usage: ${meta.endpoint}`;
+    if (meta.reason) return meta.reason;
+    return TYPE_LABELS[entry.type] || entry.type;
+  }
+
+  /**
+   * API usage history
+   * @param {string} userId - User ID
+   * @param {Object} filters - { dataType, status, endpoint, pid, startDate, endDate, page, limit }
+   * @returns {Promise<Object>} Usage entries with pagination
+   */
+  async getUsage(userId, filters = {}) {
+    const { walletId } = await this.getWallet(userId);
+    const { dataType, status, endpoint, pid, startDate, endDate, page = 1, limit = 50 } = filters;
+
+    const query = { walletId: new mongoose.Types.ObjectId(walletId) };
+    if (dataType) query.dataType = dataType;
+    if (status) query.status = status;
+    if (endpoint) query.endpoint = endpoint;
+    if (pid) query.pid = pid;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      WalletUsageLedger.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-sessionData').lean(),
+      WalletUsageLedger.countDocuments(query)
+    ]);
+
+    return {
+      entries: entries.map(entry => ({
+        id: entry._id,
+        date: entry.createdAt,
+        endpoint: entry.endpoint || null,
+        dataType: entry.dataType,
+        pid: entry.pid || null,
+        fxct: toNumber(entry.fxctDebited),
+        status: entry.status
+      })),
+      pagination: { page, limit, total, hasMore: skip + entries.length < total }
+    };
+  }
+
+  /**
+   * Spend grouped by endpoint and by data type
+   * @param {string} userId - User ID
+   * @param {Object} range - { startDate, endDate } (defaults to the last 30 days)
+   * @returns {Promise<Object>} Breakdown with totals
+   */
+  async getSpendBreakdown(userId, range = {}) {
+    const { walletId } = await this.getWallet(userId);
+    return this.aggregateSpend(walletId, {
+      start: range.startDate ? new Date(range.startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      end: range.endDate ? new Date(range.endDate) : new Date()
+    });
+  }
+
+  async aggregateSpend(walletId, { start, end }) {
+    const [result] = await WalletUsageLedger.aggregate([
+      {
+        $match: {
+          walletId: new mongoose.Types.ObjectId(walletId.toString()),
+          createdAt: { $gte: start, $lte: end }
+        }
+      },
+      {
+        $facet: {
+          byEndpoint: [
+            {
+              $group: {
+                _id: { $ifNull: ['$endpoint', 'unknown'] },
+                calls: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                fxct: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, { $toDouble: '$fxctDebited' }, 0] } },
+                refundedFxct: { $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, { $toDouble: '$fxctDebited' }, 0] } },
+                declined: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+                dataTypes: { $addToSet: '$dataType' },
+                lastUsedAt: { $max: '$createdAt' }
+              }
+            },
+            { $sort: { fxct: -1 } }
+          ],
+          byDataType: [
+            { $match: { status: 'completed' } },
+            { $group: { _id: '$dataType', calls: { $sum: 1 }, fxct: { $sum: { $toDouble: '$fxctDebited' } } } },
+            { $sort: { fxct: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const byEndpoint = (result?.byEndpoint || []).map(row => ({
+      endpoint: row._id,
+      calls: row.calls,
+      fxct: round(row.fxct),
+      refundedFxct: round(row.refundedFxct),
+      averageFxct: row.calls > 0 ? round(row.fxct / row.calls) : 0,
+      declinedForBalance: row.declined,
+      dataTypes: row.dataTypes,
+      lastUsedAt: row.lastUsedAt
+    }));
+    const totalFxct = round(byEndpoint.reduce((sum, row) => sum + row.fxct, 0));
+
+    return {
+      period: { start, end },
+      totals: {
+        calls: byEndpoint.reduce((sum, row) => sum + row.calls, 0),
+        fxct: totalFxct,
+        refundedFxct: round(byEndpoint.reduce((sum, row) => sum + row.refundedFxct, 0)),
+        declinedForBalance: byEndpoint.reduce((sum, row) => sum + row.declinedForBalance, 0)
+      },
+      byEndpoint: byEndpoint.map(row => ({
+        ...row,
+        share: totalFxct > 0 ? round(row.fxct / totalFxct, 4) : 0
+      })),
+      byDataType: (result?.byDataType || []).map(row => ({
+        dataType: row._id,
+        calls: row.calls,
+        fxct: round(row.fxct)
+      }))
+    };
+  }
+
+  /**
+   * Monthly statement
+   * @param {string} userId - User ID
+   * @param {string} month - 'YYYY-MM' (UTC calendar month)
+   * @returns {Promise<Object>} Statement data
+   */
+  async buildStatement(userId, month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new Error('Statement month must be in YYYY-MM format');
+    }
+
+    const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    const end = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+    if (start > new Date()) {
+      throw new Error('Statement month is in the future');
+    }
+
+    const { wallet, walletId } = await this.getWallet(userId);
+    const walletObjectId = new mongoose.Types.ObjectId(walletId);
+
+    const [entries, previous, user, spend] = await Promise.all([
+      WalletLedger.find({ walletId: walletObjectId, createdAt: { $gte: start, $lt: end } }).sort({ createdAt: 1 }).lean(),
+      WalletLedger.findOne({ walletId: walletObjectId, createdAt: { $lt: start } }).sort({ createdAt: -1 }).lean(),
+      User.findById(userId).select('firstName lastName email').lean(),
+      this.aggregateSpend(walletId, { start, end: new Date(end.getTime() - 1) })
+    ]);
+
+    const openingBalance = entries.length
+      ? snapshotTotal(entries[0].balanceBefore)
+      : snapshotTotal(previous?.balanceAfter);
+    const closingBalance = entries.length
+      ? snapshotTotal(entries[entries.length - 1].balanceAfter)
+      : openingBalance;
+
+    const lines = entries.map(entry => this.formatLedgerEntry(entry));
+    const categories = {};
+    for (const line of lines) {
+      const key = line.description.startsWith('API usage') ? 'API usage' : line.description;
+      categories[key] = categories[key] || { description: key, count: 0, change: 0 };
+      categories[key].count++;
+      categories[key].change = round(categories[key].change + line.change);
+    }
+
+    return {
+      month,
+      period: { start, end },
+      account: {
+        name: [user?.firstName, user?.lastName].filter(Boolean).join(' ') || null,
+        email: user?.email || null,
+        walletId: wallet._id,
+        status: wallet.status
+      },
+      openingBalance: round(openingBalance),
+      closingBalance: round(closingBalance),
+      totals: {
+        moneyIn: round(lines.filter(l => l.change > 0).reduce((sum, l) => sum + l.change, 0)),
+        moneyOut: round(lines.filter(l => l.change < 0).reduce((sum, l) => sum - l.change, 0)),
+        netChange: round(closingBalance - openingBalance),
+        transactions: lines.length
+      },
+      categories: Object.values(categories).sort((a, b) => Math.abs(b.change) - Math.abs(a.change)),
+      transactions: lines,
+      usage: spend,
+      generatedAt: new Date()
+    };
+  }
+
+  renderStatementCsv(statement) {
+    const rows = [];
+    const row = (...cells) => rows.push(cells.map(csvCell).join(','));
+
+    row('FractionaX FXCT Wallet Statement');
+    row('Month', statement.month);
+    row('Account', statement.account.name || '', statement.account.email || '');
+    row('Wallet', statement.account.walletId);
+    row('Generated', statement.generatedAt.toISOString());
+    row();
+
+    row('Opening Balance FXCT', statement.openingBalance);
+    row('Money In FXCT', statement.totals.moneyIn);
+    row('Money Out FXCT', statement.totals.moneyOut);
+    row('Closing Balance FXCT', statement.closingBalance);
+    row();
+
+    row('Transactions');
+    row('Date', 'Type', 'Description', 'Change FXCT', 'Available After', 'Pending After', 'Reference');
+    for (const t of statement.transactions) {
+      row(t.date.toISOString(), t.type, t.description, t.change, t.balanceAfter.available, t.balanceAfter.pending, t.ref);
+    }
+    row();
+
+    row('API Spend by Endpoint');
+    row('Endpoint', 'Calls', 'FXCT', 'Average FXCT', 'Refunded FXCT', 'Share');
+    for (const e of statement.usage.byEndpoint) {
+      row(e.endpoint, e.calls, e.fxct, e.averageFxct, e.refundedFxct, e.share);
+    }
+
+    return Buffer.from(rows.join('\n') + '\n', 'utf8');
+  }
+
+  renderStatementPdf(statement) {
+    const pdf = new PdfDocument({ title: `FractionaX Wallet Statement ${statement.month}` });
+
+    pdf.heading(`FXCT Wallet Statement - ${statement.month}`, 16)
+      .text(`Account: ${statement.account.name || ''} ${statement.account.email ? `<${statement.account.email}>` : ''}`)
+      .text(`Wallet: ${statement.account.walletId}    Generated: ${statement.generatedAt.toISOString()}`)
+      .space();
+
+    pdf.heading('Summary', 12)
+      .keyValue('Opening balance', `${fxct(statement.openingBalance)} FXCT`)
+      .keyValue('Money in', `${fxct(statement.totals.moneyIn)} FXCT`)
+      .keyValue('Money out', `${fxct(-statement.totals.moneyOut)} FXCT`)
+      .keyValue('Closing balance', `${fxct(statement.closingBalance)} FXCT`, { bold: true })
+      .space();
+
+    if (statement.categories.length) {
+      pdf.heading('Activity by Category', 12)
+        .table(
+          ['Category', 'Count', 'Net FXCT'],
+          statement.categories.map(c => [c.description, c.count, fxct(c.change)]),
+          [0.6, 0.15, 0.25]
+        );
+    }
+
+    pdf.heading('Transactions', 12);
+    if (statement.transactions.length) {
+      pdf.table(
+        ['Date', 'Description', 'Change', 'Available', 'Pending'],
+        statement.transactions.map(t => [
+          t.date.toISOString().replace('T', ' ').slice(0, 16),
+          t.description,
+          fxct(t.change),
+          fxct(t.balanceAfter.available),
+          fxct(t.balanceAfter.pending)
+        ]),
+        [0.2, 0.38, 0.14, 0.14, 0.14]
+      );
+    } else {
+      pdf.text('No wallet activity this month.');
+    }
+
+    pdf.heading('API Spend by Endpoint', 12);
+    if (statement.usage.byEndpoint.length) {
+      pdf.table(
+        ['Endpoint', 'Calls', 'FXCT', 'Avg FXCT', 'Share'],
+        statement.usage.byEndpoint.map(e => [e.endpoint, e.calls, fxct(e.fxct), fxct(e.averageFxct), `${(e.share * 100).toFixed(1)}%`]),
+        [0.4, 0.12, 0.18, 0.16, 0.14]
+      );
+    } else {
+      pdf.text('No billable API usage this month.');
+    }
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Render a monthly statement file
+   * @param {string} userId - User ID
+   * @param {string} month - 'YYYY-MM'
+   * @param {string} format - 'csv' | 'pdf'
+   * @returns {Promise<Object>} { filename, contentType, content }
+   */
+  async renderStatement(userId, month, format) {
+    if (!CONTENT_TYPES[format]) {
+      throw new Error(`Unsupported statement format: ${format}`);
+    }
+
+    const statement = await this.buildStatement(userId, month);
+    return {
+      filename: `fractionax_wallet_statement_${month}.${format}`,
+      contentType: CONTENT_TYPES[format],
+      content: format === 'csv' ? this.renderStatementCsv(statement) : this.renderStatementPdf(statement)
+    };
+  }
+}
+
+const walletStatementService = new WalletStatementService();
+module.exports = walletStatementService;
@@ -0,0 +1,367 @@
+/**
+ * Wallet Transfer Service - User-to-user FXCT transfers
+ *
+ * Features:
+ * - Atomic debit/credit through walletService.transfer (one Mongo transaction)
+ * - Client idempotency keys scoped to the sender; retries return the original transfer
+ * - Per-transfer and rolling 24-hour limits per sender, checked in the same
+ *   transaction that records the transfer
+ * - Transfers to another user (by ID or email) or into the sender's organization wallet
+ * - WalletTransfer records for every attempt, including failures
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Wallet, WalletTransfer } = require('../models/Wallet');
+const { Organization, OrganizationMembership } = require('../models/Organization');
+const User = require('../models/User');
+const walletService = require('./walletService');
+const notificationService = require('./notificationService');
+const {
+  TRANSFER_MIN_FXCT,
+  TRANSFER_MAX_FXCT,
+  TRANSFER_DAILY_MAX_FXCT,
+  TRANSFER_DAILY_MAX_COUNT
+} = require('../config/pricing');
+
+function transferError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function round(value, decimals = 6) {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+}
+
+class WalletTransferService {
+  /**
+   * Send FXCT from the caller's personal wallet
+   * @param {string} senderId - Sending user
+   * @param {Object} request - { recipientUserId | recipientEmail | organizationId, amount, note, idempotencyKey }
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { transfer, balance, replayed }
+   */
+  async transfer(senderId, request, context = {}) {
+    const amount = round(Number(request.amount));
+    if (!(amount >= TRANSFER_MIN_FXCT) || amount > TRANSFER_MAX_FXCT) {
+      throw transferError(`Transfer amount must be between ${TRANSFER_MIN_FXCT} and ${TRANSFER_MAX_FXCT} FXCT`);
+    }
+
+    const scopedKey = `transfer_${senderId}_${request.idempotencyKey || crypto.randomUUID()}`;
+
+    const existing = await WalletTransfer.findOne({ idempotencyKey: scopedKey });
+    if (existing) {
+      return this.replay(existing, senderId, request, amount);
+    }
+
+    const recipient = await this.resolveRecipient(senderId, request);
+
+    const sender = await walletService.getOrCreateWallet(senderId, senderId);
+    const target = recipient.organization
+      ? await walletService.getOrCreateOrganizationWallet(recipient.organization._id, senderId)
+      : await walletService.getOrCreateWallet(recipient.user._id, senderId);
+
+    let record;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Touch the sender's wallet first: concurrent transfers from it conflict
+        // here and retry, so each sees the others' pending records in its limit check
+        await Wallet.updateOne(
+          { _id: sender.wallet._id },
+          { $set: { 'metadata.lastTransferAt': new Date() } },
+          { session }
+        );
+        await this.checkLimits(senderId, amount, session);
+
+        [record] = await WalletTransfer.create([{
+          transferId: `trf_${crypto.randomBytes(12).toString('hex')}`,
+          fromWalletId: sender.wallet._id,
+          toWalletId: target.wallet._id,
+          fromUserId: senderId,
+          toUserId: recipient.user?._id,
+          toOrganizationId: recipient.organization?._id,
+          amountFxct: amount,
+          note: request.note,
+          idempotencyKey: scopedKey,
+          requestContext: {
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+          }
+        }], { session });
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        // Concurrent retry with the same key
+        const raced = await WalletTransfer.findOne({ idempotencyKey: scopedKey });
+        return this.replay(raced, senderId, request, amount);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return this.execute(record);
+  }
+
+  /**
+   * Move the funds for a recorded transfer and settle its status
+   */
+  async execute(record, attempt = 1) {
+    let result;
+    try {
+      result = await walletService.transfer({
+        fromWalletId: record.fromWalletId.toString(),
+        toWalletId: record.toWalletId.toString(),
+        amount: record.amountFxct,
+        ref: `transfer_${record.transferId}`,
+        meta: {
+          transferId: record.transferId,
+          fromUserId: record.fromUserId,
+          toUserId: record.toUserId,
+          toOrganizationId: record.toOrganizationId,
+          note: record.note
+        },
+        idempotencyKey: record.idempotencyKey,
+        processedBy: record.fromUserId
+      });
+    } catch (error) {
+      if (error.code === 11000 && attempt === 1) {
+        // A concurrent retry wrote the ledger entries first; the second pass returns them
+        return this.execute(record, attempt + 1);
+      }
+      record.status = 'failed';
+      record.failureReason = error.message;
+      await record.save();
+      console.error(`❌ Transfer ${record.transferId} failed:`, error.message);
+      throw transferError(error.message, /Insufficient funds|frozen|suspended/.test(error.message) ? 422 : 500);
+    }
+
+    record.status = 'completed';
+    record.debitTransactionId = result.debitTransaction._id;
+    record.creditTransactionId = result.creditTransaction?._id;
+    record.completedAt = new Date();
+    await record.save();
+
+    console.log(`💸 Transfer ${record.transferId}: ${record.amountFxct} FXCT from user ${record.fromUserId}`);
+    await this.notifyRecipient(record);
+
+    return {
+      transfer: await this.formatTransfer(record.toObject()),
+      balance: result.balance,
+      replayed: false
+    };
+  }
+
+  /**
+   * Answer a retried request: same key and parameters return the original transfer
+   */
+  async replay(existing, senderId, request, amount) {
+    const sameRequest = existing.amountFxct === amount &&
+      (request.note || undefined) === (existing.note || undefined);
+    if (!sameRequest) {
+      throw transferError('Idempotency key was already used for a different transfer', 409);
+    }
+
+    if (existing.status === 'pending') {
+      // The original request stopped before settling; finishing it is safe because the ledger is idempotent
+      return this.execute(existing);
+    }
+    if (existing.status === 'failed') {
+      throw transferError(`Transfer ${existing.transferId} failed: ${existing.failureReason}`, 422);
+    }
+
+    return {
+      transfer: await this.formatTransfer(existing.toObject()),
+      balance: await walletService.getBalance(existing.fromWalletId.toString()),
+      replayed: true
+    };
+  }
+
+  /**
+   * Work out who receives the transfer
+   * @returns {Promise<Object>} { user } or { organization }
+   */
+  async resolveRecipient(senderId, request) {
+    const { recipientUserId, recipientEmail, organizationId } = request;
+
+    if (organizationId) {
+      const membership = await OrganizationMembership.findOne({ userId: senderId, organizationId, status: 'active' }).lean();
+      if (!membership) {
+        throw transferError('You can only fund the wallet of an organization you belong to', 403);
+      }
+      const organization = await Organization.findById(organizationId).lean();
+      if (!organization || organization.status !== 'active') {
+        throw transferError('Organization is not active', 409);
+      }
+      return { organization, user: null };
+    }
+
+    let user = null;
+    if (recipientUserId) {
+      user = mongoose.Types.ObjectId.isValid(recipientUserId)
+        ? await User.findById(recipientUserId).select('email firstName lastName').lean()
+        : null;
+    } else if (recipientEmail) {
+      user = await User.findOne({ email: recipientEmail.toLowerCase().trim() }).select('email firstName lastName').lean();
+    } else {
+      throw transferError('A recipient is required');
+    }
+
+    if (!user) {
+      throw transferError('Recipient not found', 404);
+    }
+    if (user._id.toString() === senderId.toString()) {
+      throw transferError('You cannot transfer FXCT to yourself');
+    }
+    return { user, organization: null };
+  }
+
+  /**
+   * Enforce the rolling 24-hour limits (pending transfers count against them)
+   * @param {Object} session - Transaction the new transfer is recorded in
+   */
+  async checkLimits(senderId, amount, session) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [usage] = await WalletTransfer.aggregate([
+      {
+        $match: {
+          fromUserId: new mongoose.Types.ObjectId(senderId.toString()),
+          status: { $in: ['pending', 'completed'] },
+          createdAt: { $gte: since }
+        }
+      },
+      { $group: { _id: null, count: { $sum: 1 }, fxct: { $sum: { $toDouble: '$amountFxct' } } } }
+    ]).session(session);
+
+    if ((usage?.count || 0) >= TRANSFER_DAILY_MAX_COUNT) {
+      throw transferError(`Daily transfer limit of ${TRANSFER_DAILY_MAX_COUNT} transfers reached`, 429);
+    }
+    if ((usage?.fxct || 0) + amount > TRANSFER_DAILY_MAX_FXCT) {
+      const remaining = round(Math.max(0, TRANSFER_DAILY_MAX_FXCT - (usage?.fxct || 0)));
+      throw transferError(`Transfer would exceed the daily limit of ${TRANSFER_DAILY_MAX_FXCT} FXCT (${remaining} FXCT remaining)`, 429);
+    }
+  }
+
+  async notifyRecipient(record) {
+    const sender = await User.findById(record.fromUserId).select('firstName lastName email').lean();
+    const senderName = [sender?.firstName, sender?.lastName].filter(Boolean).join(' ') || sender?.email || 'Another user';
+
+    if (record.toOrganizationId) {
+      const organization = await Organization.findById(record.toOrganizationId).select('name ownerId').lean();
+      if (!organization || organization.ownerId.toString() === record.fromUserId.toString()) return;
+      return notificationService.notify(organization.ownerId, {
+        type: 'organization_wallet_funded',
+        title: `${organization.name} wallet funded`,
+        message: `${senderName} added ${record.amountFxct} FXCT to the organization wallet.`,
+        severity: 'success',
+        data: { transferId: record.transferId, amountFxct: record.amountFxct },
+        dedupeKey: `transfer_${record.transferId}`
+      });
+    }
+
+    return notificationService.notify(record.toUserId, {
+      type: 'transfer_received',
+      title: `You received ${record.amountFxct} FXCT`,
+      message: `${senderName} sent you ${record.amountFxct} FXCT${record.note ? `: "${record.note}"` : '.'}`,
+      severity: 'success',
+      data: { transferId: record.transferId, amountFxct: record.amountFxct, fromUserId: record.fromUserId },
+      dedupeKey: `transfer_${record.transferId}`
+    });
+  }
+
+  /**
+   * Transfers sent or received by a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { direction: 'sent' | 'received', status, page, limit }
+   */
+  async listForUser(userId, options = {}) {
+    const { direction = null, status = null, page = 1, limit = 20 } = options;
+    const query = direction === 'sent'
+      ? { fromUserId: userId }
+      : direction === 'received'
+        ? { toUserId: userId, status: 'completed' }
+        : { $or: [{ fromUserId: userId }, { toUserId: userId, status: 'completed' }] };
+    if (status) query.status = status;
+
+    return this.paginate(query, page, limit, userId);
+  }
+
+  /**
+   * One transfer, visible to its sender and recipient
+   */
+  async getForUser(userId, transferId) {
+    const record = await WalletTransfer.findOne({
+      transferId,
+      $or: [{ fromUserId: userId }, { toUserId: userId }]
+    }).lean();
+    if (!record) {
+      throw transferError('Transfer not found', 404);
+    }
+    return this.formatTransfer(record, userId);
+  }
+
+  /**
+   * All transfers, for the admin audit view
+   * @param {Object} filters - { userId, status, startDate, endDate }
+   */
+  async listAll(filters = {}, pagination = {}) {
+    const { userId, status, startDate, endDate } = filters;
+    const query = {};
+    if (userId) query.$or = [{ fromUserId: userId }, { toUserId: userId }];
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    return this.paginate(query, pagination.page || 1, pagination.limit || 50);
+  }
+
+  async paginate(query, page, limit, viewerId = null) {
+    const skip = (page - 1) * limit;
+    const [records, total] = await Promise.all([
+      WalletTransfer.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      WalletTransfer.countDocuments(query)
+    ]);
+
+    return {
+      transfers: await Promise.all(records.map(record => this.formatTransfer(record, viewerId))),
+      pagination: { page, limit, total, hasMore: skip + records.length < total }
+    };
+  }
+
+  async formatTransfer(record, viewerId = null) {
+    const userIds = [record.fromUserId, record.toUserId].filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } }).select('firstName lastName email').lean();
+    const describe = (id) => {
+      const user = users.find(u => u._id.toString() === id?.toString());
+      return user ? { userId: user._id, name: [user.firstName, user.lastName].filter(Boolean).join(' ') || null, email: user.email } : null;
+    };
+    const organization = record.toOrganizationId
+      ? await Organization.findById(record.toOrganizationId).select('name').lean()
+      : null;
+
+    return {
+      transferId: record.transferId,
+      direction: viewerId ? (record.fromUserId.toString() === viewerId.toString() ? 'sent' : 'received') : undefined,
+      amountFxct: typeof record.amountFxct === 'number' ? record.amountFxct : parseFloat(record.amountFxct.toString()),
+      from: describe(record.fromUserId),
+      to: organization ? { organizationId: organization._id, name: organization.name } : describe(record.toUserId),
+      note: record.note || null,
+      status: record.status,
+      failureReason: record.failureReason || null,
+      createdAt: record.createdAt,
+      completedAt: record.completedAt || null
+    };
+  }
+}
+
+const walletTransferService = new WalletTransferService();
+module.exports = walletTransferService;
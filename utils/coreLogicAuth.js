@@ -1,4 +1,6 @@
-const axios = require("axios");
+const providerResilience = require("../services/providerResilience");
+
+const coreLogicClient = providerResilience.createClient("corelogic");
 
 let cachedToken = null;
 let expiresAt = null;
@@ -22,7 +24,7 @@ async function getCoreLogicAccessToken() {
   console.log(`🔑 Client Secret: ${process.env.CORELOGIC_CLIENT_SECRET ? '[SET]' : '[NOT SET]'}`);
 
   try {
-    const { data } = await axios.post(tokenUrl, "", { auth });
+    const { data } = await coreLogicClient.post(tokenUrl, "", { auth });
     console.log("✅ CoreLogic token obtained successfully");
 
     cachedToken = data.access_token;
@@ -1,9 +1,11 @@
-const axios = require("axios");
+const providerResilience = require("../services/providerResilience");
 require('dotenv').config(); // Ensure environment variables are loaded
 const { getCoreLogicAccessToken } = require("./coreLogicAuth");
 
 const BASE = process.env.CORELOGIC_BASE_URL;
 
+const coreLogicClient = providerResilience.createClient("corelogic");
+
 /**
  * CoreLogic Property Search Client - Updated based on official API documentation
  * Implements the correct endpoint structure and request formats
@@ -49,7 +51,7 @@ async function getPropertyInfoFromCoreLogic({ address1, city, state, postalcode,
         try {
           console.log(`🔍 Trying: ${endpoint}`);
           console.log(`📤 Full URL: ${endpoint}?${new URLSearchParams(searchParams).toString()}`);
-          const response = await axios.get(endpoint, { 
+          const response = await coreLogicClient.get(endpoint, { 
             headers, 
             params: searchParams,
             timeout: 10000 
@@ -96,7 +98,7 @@ async function getPropertyInfoFromCoreLogic({ address1, city, state, postalcode,
           for (const endpoint of spatialEndpoints) {
             try {
               console.log(`🗺️ Trying spatial: ${endpoint}`);
-              const response = await axios.get(endpoint, { 
+              const response = await coreLogicClient.get(endpoint, { 
                 headers, 
                 params: spatialParams,
                 timeout: 10000 
@@ -141,7 +143,7 @@ async function getPropertyInfoFromCoreLogic({ address1, city, state, postalcode,
         let detailSuccess = false;
         for (const endpoint of propertyEndpoints) {
           try {
-            const response = await axios.get(endpoint, { headers, timeout: 10000 });
+            const response = await coreLogicClient.get(endpoint, { headers, timeout: 10000 });
             propertyData = { ...propertyData, ...response.data };
             detailSuccess = true;
             console.log(`✅ Property details retrieved from ${endpoint}`);
@@ -176,7 +178,7 @@ async function getPropertyInfoFromCoreLogic({ address1, city, state, postalcode,
         let avmSuccess = false;
         for (const endpoint of avmEndpoints) {
           try {
-            const response = await axios.get(endpoint, { headers, timeout: 10000 });
+            const response = await coreLogicClient.get(endpoint, { headers, timeout: 10000 });
             avmData = response.data;
             avmSuccess = true;
             console.log(`✅ AVM data retrieved from ${endpoint}`);
@@ -6,11 +6,14 @@
  * This client implements all major CoreLogic Property API v2 endpoints
  * for comprehensive property intelligence and data enrichment.
  */
-const axios = require('axios');
 require('dotenv').config();
 
 const { getCoreLogicAccessToken } = require('./coreLogicAuth');
-const { getAsync, setAsync } = require('./redisClient');
+const cacheService = require('../services/cacheService');
+const providerResilience = require('../services/providerResilience');
+
+// Breaker, bulkhead, retries and NetworkAnalytics tracking for every CoreLogic call
+const coreLogicClient = providerResilience.createClient('corelogic');
 
 // Official CoreLogic API Base URL from OpenAPI spec
 const BASE_URL = 'https://property.corelogicapi.com';
@@ -39,11 +42,11 @@ class CoreLogicSuperClient {
   // Property Search - Main search endpoint
   async searchProperties({ streetAddress, city, state, zipCode, apn, county, countyCode, bestMatch = true }) {
     // 💰 AGGRESSIVE CACHING - Properties don't change often
-    const cacheKey = `cl:search:${JSON.stringify({ streetAddress, city, state, zipCode, apn, county, countyCode, bestMatch })}`;
-    const cached = await getAsync(cacheKey);
-    if (cached) {
+    const cacheParams = { streetAddress, city, state, zipCode, apn, county, countyCode, bestMatch };
+    const cached = await cacheService.get('corelogic_search', cacheParams);
+    if (cached.hit) {
       console.log(`💾 Cache HIT: Property search`);
-      return cached;
+      return cached.data;
     }
 
     const headers = await this.getAuthHeaders();
@@ -55,7 +58,7 @@ class CoreLogicSuperClient {
     console.log(`🔍 💸 CoreLogic Property Search (EXPENSIVE CALL):`, params);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/search`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/search`, {
         headers,
         params,
         timeout: 15000
@@ -64,7 +67,9 @@ class CoreLogicSuperClient {
       console.log(`✅ Property search successful`);
       
       // Cache for 24 hours - property data is relatively stable
-      await setAsync(cacheKey, response.data, 86400);
+      await cacheService.set('corelogic_search', cacheParams, response.data, {
+        tags: streetAddress ? [cacheService.addressTag({ streetAddress, city, state, zipCode })] : []
+      });
       console.log(`💾 Cached property search for 24h`);
       
       return response.data;
@@ -84,7 +89,7 @@ class CoreLogicSuperClient {
     console.log(`👤 CoreLogic Owner Search:`, params);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/search/owner`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/search/owner`, {
         headers,
         params,
         timeout: 15000
@@ -108,7 +113,7 @@ class CoreLogicSuperClient {
     console.log(`🗺️ CoreLogic Geocode Search:`, params);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/search/geocode`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/search/geocode`, {
         headers,
         params,
         timeout: 15000
@@ -129,7 +134,7 @@ class CoreLogicSuperClient {
     console.log(`⌨️ CoreLogic TypeAhead:`, input);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/typeahead`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/typeahead`, {
         headers,
         params: { input },
         timeout: 10000
@@ -154,7 +159,7 @@ class CoreLogicSuperClient {
     console.log(`🏠 CoreLogic Property Detail: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/property-detail`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/property-detail`, {
         headers,
         timeout: 20000
       });
@@ -174,7 +179,7 @@ class CoreLogicSuperClient {
     console.log(`🏗️ CoreLogic Buildings: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/buildings`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/buildings`, {
         headers,
         timeout: 15000
       });
@@ -194,7 +199,7 @@ class CoreLogicSuperClient {
     console.log(`📍 CoreLogic Site Location: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/site-location`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/site-location`, {
         headers,
         timeout: 15000
       });
@@ -214,7 +219,7 @@ class CoreLogicSuperClient {
     console.log(`💰 CoreLogic Tax Assessments: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/tax-assessments/latest`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/tax-assessments/latest`, {
         headers,
         timeout: 15000
       });
@@ -238,7 +243,7 @@ class CoreLogicSuperClient {
     console.log(`👥 CoreLogic Ownership: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/ownership`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/ownership`, {
         headers,
         timeout: 15000
       });
@@ -258,7 +263,7 @@ class CoreLogicSuperClient {
     console.log(`📊 CoreLogic Ownership Transfers: ${clip} (${saleType}/${latest})`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/ownership-transfers/${saleType}/${latest}`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/ownership-transfers/${saleType}/${latest}`, {
         headers,
         timeout: 15000
       });
@@ -278,7 +283,7 @@ class CoreLogicSuperClient {
     console.log(`📋 CoreLogic Transaction History: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/transaction-history`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/transaction-history`, {
         headers,
         timeout: 20000
       });
@@ -302,7 +307,7 @@ class CoreLogicSuperClient {
     console.log(`🏦 CoreLogic Current Mortgage: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/mortgage/current`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/mortgage/current`, {
         headers,
         timeout: 15000
       });
@@ -322,7 +327,7 @@ class CoreLogicSuperClient {
     console.log(`📊 CoreLogic Mortgage History: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/mortgage`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/mortgage`, {
         headers,
         timeout: 20000
       });
@@ -342,7 +347,7 @@ class CoreLogicSuperClient {
     console.log(`⚖️ CoreLogic Liens Summary: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/liens`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/liens`, {
         headers,
         timeout: 15000
       });
@@ -362,7 +367,7 @@ class CoreLogicSuperClient {
     console.log(`⚠️ CoreLogic Involuntary Liens: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/liens/involuntary-liens/${clip}`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/liens/involuntary-liens/${clip}`, {
         headers,
         timeout: 15000
       });
@@ -393,7 +398,7 @@ class CoreLogicSuperClient {
     console.log(`📊 CoreLogic Comparables: ${clip}`, params);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/comparables`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/comparables`, {
         headers,
         params,
         timeout: 20000
@@ -414,7 +419,7 @@ class CoreLogicSuperClient {
     console.log(`🏠 CoreLogic Rent Amount Model: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/avms/ram`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/avms/ram`, {
         headers,
         params: { clip },
         timeout: 15000
@@ -428,6 +433,27 @@ class CoreLogicSuperClient {
     }
   }
 
+  // Total Home Value AVM - Estimated market value
+  async getAVMValuation(clip) {
+    const headers = await this.getAuthHeaders();
+
+    console.log(`💰 CoreLogic AVM Valuation: ${clip}`);
+
+    try {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/avms/thv`, {
+        headers,
+        params: { clip },
+        timeout: 15000
+      });
+
+      console.log(`✅ AVM valuation successful`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ AVM valuation failed:`, error.response?.status, error.response?.data);
+      throw error;
+    }
+  }
+
   /**
    * 🎯 PROPENSITY SCORES
    */
@@ -439,7 +465,7 @@ class CoreLogicSuperClient {
     console.log(`🎯 CoreLogic Sale Propensity: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/sale-score`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/sale-score`, {
         headers,
         timeout: 15000
       });
@@ -456,7 +482,7 @@ class CoreLogicSuperClient {
     const headers = await this.getAuthHeaders();
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/rent-score`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/rent-score`, {
         headers,
         timeout: 15000
       });
@@ -473,7 +499,7 @@ class CoreLogicSuperClient {
     const headers = await this.getAuthHeaders();
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/refinance-score`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/refinance-score`, {
         headers,
         timeout: 15000
       });
@@ -490,7 +516,7 @@ class CoreLogicSuperClient {
     const headers = await this.getAuthHeaders();
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/heloc-score`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/propensity-scores/${clip}/heloc-score`, {
         headers,
         timeout: 15000
       });
@@ -513,7 +539,7 @@ class CoreLogicSuperClient {
     console.log(`🌍 CoreLogic Climate Risk Analytics: ${clip}`);
     
     try {
-      const response = await axios.get(`${this.baseURL}/v2/properties/${clip}/climate-risk-analytics/ar6/comprehensive`, {
+      const response = await coreLogicClient.get(`${this.baseURL}/v2/properties/${clip}/climate-risk-analytics/ar6/comprehensive`, {
         headers,
         timeout: 20000
       });
@@ -535,13 +561,14 @@ class CoreLogicSuperClient {
     console.log(`🧠 Getting comprehensive property intelligence for CLIP: ${clip}`);
     
     // 💰 SUPER AGGRESSIVE CACHING - This is the most expensive operation!
-    const cacheKey = `cl:comprehensive:${clip}`;
-    const cached = await getAsync(cacheKey);
-    if (cached) {
-      console.log(`💾 💰 Cache HIT: Comprehensive intelligence (SAVED BIG MONEY!)`);
-      return cached;
-    }
-    
+    // Only kept once the core property detail came back
+    return cacheService.wrap('corelogic_comprehensive', clip, () => this.fetchComprehensivePropertyIntelligence(clip), {
+      tags: [cacheService.tag('clip', clip)],
+      shouldCache: result => !result.errors?.propertyDetail
+    });
+  }
+
+  async fetchComprehensivePropertyIntelligence(clip) {
     console.log(`💸💸 VERY EXPENSIVE: Making 8+ CoreLogic API calls for ${clip}`);
     
     const results = {};
@@ -1,7 +1,9 @@
 // utils/helpscoutClient.js
-const axios = require("axios");
+const providerResilience = require("../services/providerResilience");
 const HELPSCOUT_API_KEY = process.env.HELPSCOUT_API_KEY;
 
+const helpScoutClient = providerResilience.createClient("helpscout");
+
 exports.sendHelpScoutReply = async (ticketId, { message, customerEmail }) => {
   try {
     const url = `https://api.helpscout.net/v2/conversations/${ticketId}/notes`;
@@ -15,7 +17,7 @@ exports.sendHelpScoutReply = async (ticketId, { message, customerEmail }) => {
       user: { email: customerEmail }, // Optional
     };
 
-    await axios.post(url, body, { headers });
+    await helpScoutClient.post(url, body, { headers });
   } catch (err) {
     console.error("HelpScout reply failed:", err.message);
   }
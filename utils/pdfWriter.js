@@ -0,0 +1,186 @@
+/**
+ * Minimal PDF writer for text reports (statements, tax summaries)
+ *
+ * Produces PDF 1.4 documents using the built-in Helvetica fonts, so no font
+ * files or native dependencies are needed. Supports headings, paragraphs,
+ * key/value rows and simple column tables with automatic page breaks.
+ */
+
+const PAGE_WIDTH = 612;   // US Letter, points
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+
+// Approximate Helvetica advance width (in 1/1000 em) for wrapping
+const AVG_CHAR_WIDTH = 0.5;
+
+function escapeText(text) {
+  return String(text ?? '')
+    // Standard fonts use WinAnsi; drop anything it can't encode
+    .replace(/[^\x20-\x7E]/g, '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+class PdfDocument {
+  constructor(options = {}) {
+    this.title = options.title || 'Document';
+    this.pages = [];
+    this.current = null;
+    this.y = 0;
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = PAGE_HEIGHT - MARGIN;
+    return this;
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN) {
+      this.addPage();
+    }
+  }
+
+  write(text, x, size, bold = false) {
+    this.current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${this.y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+  }
+
+  wrap(text, size, width) {
+    const maxChars = Math.max(10, Math.floor(width / (size * AVG_CHAR_WIDTH)));
+    const lines = [];
+    for (const paragraph of String(text ?? '').split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(' ')) {
+        if ((line + ' ' + word).trim().length > maxChars && line) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = (line + ' ' + word).trim();
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  heading(text, size = 14) {
+    this.ensureSpace(size + 10);
+    this.y -= size + 4;
+    this.write(text, MARGIN, size, true);
+    this.y -= 6;
+    return this;
+  }
+
+  text(text, options = {}) {
+    const size = options.size || 10;
+    for (const line of this.wrap(text, size, PAGE_WIDTH - MARGIN * 2)) {
+      this.ensureSpace(size + 4);
+      this.y -= size + 4;
+      this.write(line, MARGIN, size, options.bold);
+    }
+    return this;
+  }
+
+  /**
+   * Label on the left, value right-aligned to the margin
+   */
+  keyValue(label, value, options = {}) {
+    const size = options.size || 10;
+    const valueText = String(value ?? '');
+    this.ensureSpace(size + 4);
+    this.y -= size + 4;
+    this.write(label, MARGIN, size, options.bold);
+    this.write(valueText, PAGE_WIDTH - MARGIN - valueText.length * size * AVG_CHAR_WIDTH, size, options.bold);
+    return this;
+  }
+
+  /**
+   * Simple table; widths are fractions of the printable width, numeric cells right-aligned
+   * @param {string[]} headers - Column headings
+   * @param {Array<Array>} rows - Cell values
+   * @param {number[]} widths - Column widths summing to 1
+   */
+  table(headers, rows, widths, options = {}) {
+    const size = options.size || 8;
+    const printable = PAGE_WIDTH - MARGIN * 2;
+    const columns = widths.map(w => w * printable);
+
+    const drawRow = (cells, bold) => {
+      this.ensureSpace(size + 4);
+      this.y -= size + 4;
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        const maxChars = Math.floor(columns[i] / (size * AVG_CHAR_WIDTH)) - 1;
+        let value = String(cell ?? '');
+        if (value.length > maxChars) value = value.slice(0, Math.max(1, maxChars - 1)) + '.';
+        const numeric = typeof cell === 'number' || /^-?[$\d,.]+%?$/.test(value);
+        const offset = numeric && !bold ? columns[i] - value.length * size * AVG_CHAR_WIDTH - 2 : 0;
+        this.write(value, x + Math.max(0, offset), size, bold);
+        x += columns[i];
+      });
+    };
+
+    drawRow(headers, true);
+    for (const row of rows) {
+      if (this.y - (size + 4) < MARGIN) {
+        this.addPage();
+        drawRow(headers, true);
+      }
+      drawRow(row, false);
+    }
+    this.y -= 4;
+    return this;
+  }
+
+  space(points = 8) {
+    this.y -= points;
+    return this;
+  }
+
+  /**
+   * Serialize to a PDF buffer
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = add(`<< /Title (${escapeText(this.title)}) /Producer (FractionaX) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    const pageIds = this.pages.map((commands, index) => {
+      const footer = `BT /F1 8 Tf ${MARGIN} ${MARGIN / 2} Td (${escapeText(`${this.title} - page ${index + 1} of ${this.pages.length}`)}) Tj ET`;
+      const stream = [...commands, footer].join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(Buffer.byteLength(output, 'latin1'));
+      output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = { PdfDocument };
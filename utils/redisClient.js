@@ -151,6 +151,9 @@ const deletePatternAsync = async (pattern) => {
   }
 };
 
+// Live client once connected; the `client` export is captured before connecting
+const getClient = () => (connected ? client : null);
+
 const getUserKey = (req) => {
   return req.user?.id || req.sessionID || "anon";
 };
@@ -186,6 +189,7 @@ module.exports = {
   deletePatternAsync,
   getUserKey,
   client,
+  getClient,
   ensureConnected,
   getCachedCoreLogic,
   setCachedCoreLogic